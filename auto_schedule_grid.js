@@ -148,6 +148,25 @@
         }
     }
 
+    // ─────────────────────────────────────────────
+    // "WHY IS THIS HERE?" BADGE
+    // Shown on blocks the last generation explained (cell_explain.js) — in
+    // read-only views too. Opens the explanation, never the edit modal.
+    // ─────────────────────────────────────────────
+    function addWhyBadge(blk, bunk, act, explainIdx, name) {
+        if (!explainIdx || !window.CellExplain) return;
+        if (!window.CellExplain.explain(explainIdx, bunk, act.startMin)) return;
+        var btn = document.createElement('button');
+        btn.className = 'asg-why-btn';
+        btn.textContent = '?';
+        btn.title = 'Why is this here?';
+        btn.addEventListener('click', function (e) {
+            e.stopPropagation();
+            window.CellExplain.open(bunk, act.startMin, act.entry?._activity || name);
+        });
+        blk.appendChild(btn);
+    }
+
     // ─────────────────────────────────────────────
     // ACTIVITY COLOR PALETTE
     // ─────────────────────────────────────────────
@@ -683,6 +702,30 @@
     opacity: 0.6;
 }
 
+/* "Why is this here?" badge — cells with a saved generation explanation */
+.asg-why-btn {
+    position: absolute;
+    bottom: 2px; right: 3px;
+    width: 14px; height: 14px;
+    border-radius: 50%;
+    border: none;
+    padding: 0;
+    background: rgba(255,255,255,0.85);
+    color: #147D91;
+    font-size: 0.55rem;
+    font-weight: 800;
+    line-height: 14px;
+    text-align: center;
+    cursor: help;
+    opacity: 0;
+    transition: opacity 0.15s;
+    z-index: 2;
+}
+.asg-block:hover .asg-why-btn,
+.asg-tx-block:hover .asg-why-btn {
+    opacity: 1;
+}
+
 /* ════════════════════════════════════════
    LEAGUE ROW — the whole point of this rewrite
    ════════════════════════════════════════ */
@@ -908,6 +951,7 @@
         // ── BODY: one row per bunk ──
         var bunkActivities = {};
         bunks.forEach(function (b) { bunkActivities[b] = getBunkActivities(b, divName); });
+        var explainIdx = window.CellExplain ? window.CellExplain.load() : null;
 
         bunks.forEach(function (bunk) {
             var row = document.createElement('div');
@@ -988,6 +1032,7 @@
                     blk.style.padding = '3px 4px';
                 }
                 blk.title = name + '\n' + toLabel(act.startMin) + ' – ' + toLabel(act.endMin) + ' (' + act.duration + 'min)';
+                addWhyBadge(blk, bunk, act, explainIdx, name);
 
                 if (isEditable) {
                     (function (bunkName, dName, sMin, eMin, entryRef) {
@@ -1369,6 +1414,7 @@
         // Per-bunk activity lists
         var bunkActivities = {};
         bunks.forEach(function (b) { bunkActivities[b] = getBunkActivities(b, divName); });
+        var explainIdx = window.CellExplain ? window.CellExplain.load() : null;
 
         // Draw each bunk column
         bunks.forEach(function (bunk, ci) {
@@ -1522,6 +1568,8 @@
                     blk.appendChild(editIcon);
                 }
 
+                addWhyBadge(blk, bunk, act, explainIdx, name);
+
                 // ★★★ v2.1: CLICK HANDLER FOR POST-EDIT ★★★
                 if (isEditable) {
                     (function (bunkName, dName, sMin, eMin, entryRef) {
@@ -1312,6 +1312,16 @@
             }
         }
 
+        // ★ Staff: a special whose specialists are all off (day off / outside
+        //   their hours) at this time can't run — same gate the builder's
+        //   canUseSpecialAtTime applies. No roster configured = always passes.
+        const _staffAct = (entry && entry._assignedSpecial) || sport;
+        if (_staffAct && sMin != null && eMin != null && window.StaffScheduler
+            && !window.StaffScheduler.specialistOnDuty(_staffAct, sMin, eMin)) {
+            log('writeGuard BLOCKED: ' + bunk + ' (' + grade + ') "' + _staffAct + '" — no specialist on duty ' + sMin + '-' + eMin);
+            return false;
+        }
+
         // ★ Cooldown rules from rules.js — applies whether or not this is a
         //   field write (specials placed at named locations also have type
         //   constraints e.g. "no Sport 30 min after Lunch"). Without this,
@@ -1344,8 +1354,8 @@
                         _specialLocation: w._specialLocation
                     });
                 }
-                if (!window.SchedulingRules.isCandidateAllowed(cand, template, { mode: 'auto' })) {
-                    log('writeGuard BLOCKED: ' + bunk + ' (' + grade + ') ' + (sport || '?') + ' @ ' + (fieldName || '?') + ' — cooldown rule');
+                if (!window.SchedulingRules.isCandidateAllowed(cand, template, { mode: 'auto', grade: grade })) {
+                    log('writeGuard BLOCKED: ' + bunk + ' (' + grade + ') ' + (sport || '?') + ' @ ' + (fieldName || '?') + ' — cooldown / exposure rule');
                     return false;
                 }
             }
@@ -2537,7 +2547,7 @@
                         _specialLocation: w._specialLocation
                     });
                 }
-                if (!window.SchedulingRules.isCandidateAllowed(candCheck, template, { mode: 'auto' })) return false;
+                if (!window.SchedulingRules.isCandidateAllowed(candCheck, template, { mode: 'auto', grade: grade })) return false;
             }
         } catch (_) { /* never let rule-engine bug hide legal moves */ }
 
@@ -19,6 +19,7 @@
 //   C. Staggered sharing violations (shared field but mismatched start/end)
 //   D. Same-day activity repetitions
 //   E. Same-day field repetitions
+//   I. Heat & sun exposure rules (rules.js — time outdoors, shade windows)
 //
 // =================================================================
 
@@ -1001,6 +1002,51 @@
         return errors;
     }
 
+    // ★ HEAT & SUN EXPOSURE — the rules.js exposure rules (max time outdoors in
+    //   a row, shaded/indoor block in a window) re-checked on the finished day.
+    //   The 6.85b sweep fixes what it can; what's left (user-locked blocks, no
+    //   indoor option free) lands here. Times come from the entry's own stamp,
+    //   else the bunk's slot geometry, stretched across continuations.
+    function checkExposureRules(assignments, bunkGrade, divisionTimes) {
+        const errors = [];
+        const SR = window.SchedulingRules;
+        if (!SR || !SR.findExposureViolations || !(SR.getExposureRules() || []).length) return errors;
+
+        Object.entries(assignments).forEach(([bunk, slots]) => {
+            if (!Array.isArray(slots)) return;
+            const grade = bunkGrade[String(bunk)] || '';
+            const blocks = [];
+            slots.forEach((entry, idx) => {
+                if (!entry) return;
+                const slot = getBunkSlotTime(bunk, grade, idx, divisionTimes);
+                const s = entry._startMin != null ? entry._startMin : slot?.startMin;
+                const e = entry._endMin != null ? entry._endMin : slot?.endMin;
+                if (s == null || e == null) return;
+                const last = blocks[blocks.length - 1];
+                if (entry.continuation && last) { last.endMin = Math.max(last.endMin, e); return; }
+                blocks.push({
+                    startMin: s, endMin: e,
+                    event: entry._activity || entry.sport || '',
+                    field: entry.field, _specialLocation: entry._specialLocation, _assignedSpecial: entry._assignedSpecial
+                });
+            });
+            SR.findExposureViolations(blocks, grade).forEach(v => {
+                const acts = v.blocks.map(k => blocks[k].event).filter(Boolean);
+                errors.push({
+                    type: 'exposure_rule',
+                    bunk,
+                    grade,
+                    message: v.kind === 'max-outdoor'
+                        ? `<strong>Too Long Outdoors:</strong> <u>${bunk}</u> (${grade}) is outdoors ` +
+                          `${formatTime(v.startMin)} – ${formatTime(v.endMin)} (${v.endMin - v.startMin} min, limit ${parseInt(v.rule.minutes) || 0}): ${acts.join(', ')}`
+                        : `<strong>No Shade Break:</strong> <u>${bunk}</u> (${grade}) has no shaded or indoor block ` +
+                          `between ${formatTime(v.startMin)} and ${formatTime(v.endMin)} — outdoors for ${acts.join(', ')}`
+                });
+            });
+        });
+        return errors;
+    }
+
     function validateAutoSchedule(opts) {
         // ★ opts.silent = true → run the validation LOGIC and return the result
         //   WITHOUT showing the modal. Used by automated post-gen consumers (the
@@ -1061,6 +1107,12 @@
         catch (e) { console.warn('playoff-field-shortage check failed:', e); }
         playoffShortErrors.forEach(e => allErrors.push(e));
 
+        // I. Heat & sun exposure rules (time outdoors, shade windows)
+        let exposureErrors = [];
+        try { exposureErrors = checkExposureRules(assignments, bunkGrade, divisionTimes); }
+        catch (e) { console.warn('exposure-rule check failed:', e); }
+        exposureErrors.forEach(e => allErrors.push(e));
+
         // ── Summary ──
         const summary = {
             crossDivision: crossDivErrors.length,
@@ -1070,7 +1122,8 @@
             fieldReuse: fieldRepWarnings.length,
             electiveReservation: electiveErrors.length,
             playoffReservation: playoffResErrors.length,
-            playoffFieldShortage: playoffShortErrors.length
+            playoffFieldShortage: playoffShortErrors.length,
+            exposure: exposureErrors.length
         };
 
         console.log('🛡️ Auto Validator Results:');
@@ -1082,6 +1135,7 @@
         console.log('  Elective reservations:', summary.electiveReservation);
         console.log('  Playoff reservations:', summary.playoffReservation);
         console.log('  Playoff field shortages:', summary.playoffFieldShortage);
+        console.log('  Heat & sun exposure:', summary.exposure);
         console.log('  TOTAL errors:', allErrors.length);
 
         // ── Per-error detail (so the offending field/grade/bunks are visible
@@ -1165,7 +1219,8 @@
                 { label: 'Capacity', count: summary.capacity, color: '#AD1457' },
                 { label: 'Staggered', count: summary.staggeredSharing, color: '#E65100' },
                 { label: 'Repeats', count: summary.sameDayRepeat, color: '#4527A0' },
-                { label: 'Field Reuse', count: summary.fieldReuse, color: '#1565C0' }
+                { label: 'Field Reuse', count: summary.fieldReuse, color: '#1565C0' },
+                { label: 'Heat & Sun', count: summary.exposure || 0, color: '#B45309' }
             ];
             cards.forEach(c => {
                 const bg = c.count > 0 ? c.color + '15' : '#E8F5E9';
@@ -1185,7 +1240,8 @@
                     'Cross-Division Conflicts': errors.filter(e => e.type === 'cross_division'),
                     'Capacity Violations': errors.filter(e => e.type === 'capacity'),
                     'Staggered Sharing': errors.filter(e => e.type === 'staggered_sharing'),
-                    'Same-Day Repetitions': errors.filter(e => e.type === 'same_day_repeat')
+                    'Same-Day Repetitions': errors.filter(e => e.type === 'same_day_repeat'),
+                    'Heat & Sun Exposure': errors.filter(e => e.type === 'exposure_rule')
                 };
 
                 Object.entries(groups).forEach(([title, items]) => {
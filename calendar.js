@@ -1045,6 +1045,7 @@ all[date].updated_at = new Date().toISOString();
                         leagueRoundState: {},
                         leagueHistory: {},
                         specialtyLeagueHistory: {},
+                        leaguePlayerStats: {},
                         daily_schedules: {}, // ★ CRITICAL: Set empty to clear cloud
                         updated_at: new Date().toISOString()
                     };
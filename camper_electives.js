@@ -0,0 +1,508 @@
+/* =============================================================================
+ * CAMPER ELECTIVES  (window.CamperElectives)
+ * -----------------------------------------------------------------------------
+ * Scheduling is bunk-level: an elective tile reserves a set of activities for
+ * a whole grade, and until now nothing said which camper goes where. This
+ * module is the camper-level layer on top of it:
+ *
+ *   • campers (Campistry Me's camperRoster) rank the electives they want —
+ *     app1.camperElectivePrefs = { "<camper>": ["Drama", "Art", "Woodshop"] };
+ *   • after every generation, each elective tile on the day is MATCHED: the
+ *     grade's campers are split into one group per activity, honoring each
+ *     activity's camper capacity and fairness across the week;
+ *   • camperSchedule() returns one camper's day — the bunk's schedule with
+ *     their own elective substituted in — for the Camper Locator and the
+ *     Print Center "Campers" view.
+ *
+ * CAPACITY
+ *   `camperCapacity` on the special / field with that name. Unset = an even
+ *   share of the grade (ceil(campers / activities)), so a camp that never
+ *   configures capacity still gets balanced groups.
+ *
+ * FAIRNESS
+ *   Campers pick in priority order (serial dictatorship). Priority goes to the
+ *   camper with the most accumulated "regret" this week (sum of rank − 1 over
+ *   their earlier elective periods), then the fewest first choices; the tie
+ *   break is a hash of camper + date, so the order changes day to day but the
+ *   same inputs always give the same groups. A camper is steered away from an
+ *   activity they already had this week while another preferred one is open.
+ *
+ * STORAGE
+ *   app1.camperElectivesByDate[date][tileKey] — the reliable app1 path (same
+ *   precedent as dailyResourcesByDate), so a match made on one device is what
+ *   the locator shows on every other. Dates older than the retention window
+ *   are pruned on write.
+ *
+ * match() takes everything injected so it is unit-testable without a DOM —
+ * see tests/camper_electives.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var E = {};
+
+    var KEEP_DAYS = 60;
+
+    // ── utils ────────────────────────────────────────────────────────────────
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function hash(str) {
+        var h = 5381;
+        for (var i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+        return h >>> 0;
+    }
+    function parseTime(str) {
+        if (str == null || str === '') return null;
+        if (typeof str === 'number') return str;
+        try {
+            if (typeof window !== 'undefined' && window.CampUtils && window.CampUtils.parseTimeToMinutes) {
+                return window.CampUtils.parseTimeToMinutes(str);
+            }
+        } catch (e) { /* fall through */ }
+        var s = String(str).toLowerCase().trim();
+        var isPM = s.indexOf('pm') > -1, isAM = s.indexOf('am') > -1;
+        s = s.replace(/am|pm/g, '').trim();
+        var p = s.split(':'), h = parseInt(p[0], 10), m = parseInt(p[1], 10) || 0;
+        if (isNaN(h)) return null;
+        if (isPM && h !== 12) h += 12;
+        if (isAM && h === 12) h = 0;
+        return h * 60 + m;
+    }
+    function fmt(min) {
+        if (min == null) return '';
+        var h = Math.floor(min / 60), m = min % 60;
+        return ((h % 12) || 12) + ':' + (m < 10 ? '0' : '') + m + (h >= 12 ? 'pm' : 'am');
+    }
+
+    // Monday-anchored week containing dateKey, as YYYY-MM-DD strings.
+    E.weekOf = function (dateKey) {
+        if (!isDate(dateKey)) return [];
+        var p = dateKey.split('-').map(Number);
+        var d = new Date(Date.UTC(p[0], p[1] - 1, p[2]));
+        var back = (d.getUTCDay() + 6) % 7;
+        d.setUTCDate(d.getUTCDate() - back);
+        var out = [];
+        for (var i = 0; i < 7; i++) {
+            out.push(d.toISOString().slice(0, 10));
+            d.setUTCDate(d.getUTCDate() + 1);
+        }
+        return out;
+    };
+
+    E.tileKey = function (division, startMin, endMin) {
+        return String(division) + '|' + startMin + '-' + endMin;
+    };
+
+    // ── week ledger ──────────────────────────────────────────────────────────
+    // What each camper already got this week, from the stored matches of the
+    // OTHER days in the same week (today is being re-decided).
+    E.weekLedger = function (byDate, dateKey) {
+        var ledger = {};
+        E.weekOf(dateKey).forEach(function (d) {
+            if (d === dateKey) return;
+            var day = (byDate || {})[d] || {};
+            Object.keys(day).forEach(function (tk) {
+                var t = day[tk] || {};
+                Object.keys(t.byCamper || {}).forEach(function (c) {
+                    var rec = ledger[c] || (ledger[c] = { regret: 0, firsts: 0, periods: 0, had: {} });
+                    var rank = (t.rankByCamper || {})[c] || 0;
+                    rec.periods++;
+                    if (rank === 1) rec.firsts++;
+                    if (rank > 1) rec.regret += rank - 1;
+                    rec.had[norm(t.byCamper[c])] = 1;
+                });
+            });
+        });
+        return ledger;
+    };
+
+    // ── the matching pass ────────────────────────────────────────────────────
+    // opts: { dateKey, tile: { division, startMin, endMin, activities },
+    //         campers: [{ name, bunk }], prefs: { camper: [ranked] },
+    //         capacities: { activityLower: n }, ledger }
+    E.match = function (opts) {
+        opts = opts || {};
+        var tile = opts.tile || {};
+        var acts = (tile.activities || []).filter(Boolean);
+        var campers = (opts.campers || []).slice();
+        var prefs = opts.prefs || {};
+        var ledger = opts.ledger || {};
+        var dateKey = opts.dateKey || '';
+
+        var evenShare = acts.length ? Math.ceil(campers.length / acts.length) : 0;
+        var cap = {}, fill = {}, groups = {};
+        acts.forEach(function (a) {
+            var c = opts.capacities && opts.capacities[norm(a)];
+            cap[a] = (c != null && c > 0) ? c : evenShare;
+            fill[a] = 0;
+            groups[a] = { campers: [], bunks: {} };
+        });
+
+        function priority(c) {
+            var r = ledger[c.name] || { regret: 0, firsts: 0 };
+            return { regret: r.regret, firsts: r.firsts, tie: hash(c.name + '|' + dateKey) };
+        }
+        campers.sort(function (a, b) {
+            var pa = priority(a), pb = priority(b);
+            return (pb.regret - pa.regret) || (pa.firsts - pb.firsts) || (pa.tie - pb.tie)
+                || String(a.name).localeCompare(String(b.name));
+        });
+
+        var byCamper = {}, rankByCamper = {}, unplaced = [];
+        function place(c, act, rank) {
+            byCamper[c.name] = act;
+            rankByCamper[c.name] = rank;
+            fill[act]++;
+            groups[act].campers.push(c.name);
+            groups[act].bunks[c.bunk] = (groups[act].bunks[c.bunk] || 0) + 1;
+        }
+        function resolve(name) {
+            var n = norm(name);
+            for (var i = 0; i < acts.length; i++) if (norm(acts[i]) === n) return acts[i];
+            return null;
+        }
+
+        var noPrefs = [];
+        campers.forEach(function (c) {
+            var ranked = (prefs[c.name] || []).map(resolve).filter(Boolean);
+            if (!ranked.length) { noPrefs.push(c); return; }
+            var had = (ledger[c.name] && ledger[c.name].had) || {};
+            var pick = null, rank = 0;
+            // Pass 1: best open choice they have not already had this week.
+            for (var i = 0; i < ranked.length && !pick; i++) {
+                if (fill[ranked[i]] < cap[ranked[i]] && !had[norm(ranked[i])]) { pick = ranked[i]; rank = i + 1; }
+            }
+            // Pass 2: a repeat beats a non-choice.
+            for (var j = 0; j < ranked.length && !pick; j++) {
+                if (fill[ranked[j]] < cap[ranked[j]]) { pick = ranked[j]; rank = j + 1; }
+            }
+            if (pick) place(c, pick, rank);
+            else noPrefs.push(c);   // every choice full — treated like no preference
+        });
+
+        // Everyone else fills the emptiest open group, new-this-week first.
+        noPrefs.forEach(function (c) {
+            var had = (ledger[c.name] && ledger[c.name].had) || {};
+            var open = acts.filter(function (a) { return fill[a] < cap[a]; });
+            if (!open.length) { unplaced.push(c.name); return; }
+            open.sort(function (a, b) {
+                return ((had[norm(a)] ? 1 : 0) - (had[norm(b)] ? 1 : 0)) || (fill[a] - fill[b]) || acts.indexOf(a) - acts.indexOf(b);
+            });
+            var ranked = (prefs[c.name] || []).map(norm);
+            var r = ranked.indexOf(norm(open[0]));
+            place(c, open[0], r > -1 ? r + 1 : 0);
+        });
+
+        var stats = { campers: campers.length, first: 0, top2: 0, noPref: 0, unplaced: unplaced.length };
+        Object.keys(rankByCamper).forEach(function (c) {
+            var r = rankByCamper[c];
+            if (r === 1) stats.first++;
+            if (r >= 1 && r <= 2) stats.top2++;
+            if (r === 0) stats.noPref++;
+        });
+
+        return {
+            division: tile.division, startMin: tile.startMin, endMin: tile.endMin,
+            activities: acts, capacities: cap,
+            byCamper: byCamper, rankByCamper: rankByCamper, groups: groups,
+            unplaced: unplaced, stats: stats
+        };
+    };
+
+    // ── data access ──────────────────────────────────────────────────────────
+    function settings() {
+        try { return (typeof window !== 'undefined' && window.loadGlobalSettings) ? (window.loadGlobalSettings() || {}) : {}; }
+        catch (e) { return {}; }
+    }
+    function app1() { return settings().app1 || {}; }
+
+    E.loadPrefs = function () { return app1().camperElectivePrefs || {}; };
+    E.loadRoster = function () { return app1().camperRoster || {}; };
+    E.loadByDate = function () { return app1().camperElectivesByDate || {}; };
+
+    function persist(mutator) {
+        var gs = settings();
+        var a = gs.app1 || {};
+        mutator(a);
+        if (typeof window !== 'undefined' && window.saveGlobalSettings) window.saveGlobalSettings('app1', a);
+    }
+
+    E.savePrefs = function (prefs) {
+        persist(function (a) { a.camperElectivePrefs = prefs || {}; });
+    };
+
+    function capacitiesFor(activities) {
+        var a = app1(), out = {};
+        var rows = [].concat(a.specialActivities || [], a.fields || []);
+        activities.forEach(function (name) {
+            var row = rows.find(function (r) { return r && norm(r.name) === norm(name); });
+            var c = row && parseInt(row.camperCapacity, 10);
+            if (c > 0) out[norm(name)] = c;
+        });
+        return out;
+    }
+
+    function dayData(dateKey) {
+        try {
+            var all = (typeof window !== 'undefined' && window.loadAllDailyData) ? (window.loadAllDailyData() || {}) : {};
+            return all[dateKey] || {};
+        } catch (e) { return {}; }
+    }
+
+    function assignmentsFor(dateKey) {
+        if (typeof window !== 'undefined' && dateKey === window.currentScheduleDate && window.scheduleAssignments) {
+            return window.scheduleAssignments;
+        }
+        return dayData(dateKey).scheduleAssignments || {};
+    }
+
+    function gradeOfBunk(bunk) {
+        var divs = (typeof window !== 'undefined' && window.divisions) || {};
+        for (var g in divs) {
+            if ((divs[g].bunks || []).some(function (b) { return String(b) === String(bunk); })) return g;
+        }
+        return null;
+    }
+
+    // Elective tiles on the day. The skeleton gives the division, window and
+    // the reserved activities; in auto mode the layer is a WINDOW the block
+    // floats inside, so the placed entry's own times (an "Elective" cell on one
+    // of the grade's bunks) win when they can be found.
+    E.tilesForDay = function (dateKey, skeleton, scheduleAssignments, divisions) {
+        var sk = skeleton || dayData(dateKey).manualSkeleton
+            || (typeof window !== 'undefined' && (window.dailyOverrideSkeleton || window._autoSkeleton)) || [];
+        var sa = scheduleAssignments || assignmentsFor(dateKey);
+        var divs = divisions || (typeof window !== 'undefined' && window.divisions) || {};
+        var out = [];
+        (Array.isArray(sk) ? sk : []).forEach(function (it) {
+            if (!it || (it.type !== 'elective' && it.type !== 'swim_elective')) return;
+            var division = it.division || it.grade;
+            var s = it.startMin != null ? it.startMin : parseTime(it.startTime);
+            var e = it.endMin != null ? it.endMin : parseTime(it.endTime);
+            var acts = (it.electiveActivities && it.electiveActivities.length) ? it.electiveActivities : (it.reservedFields || []);
+            if (!division || s == null || e == null || !acts.length) return;
+            var bunks = (divs[division] && divs[division].bunks) || [];
+            for (var i = 0; i < bunks.length; i++) {
+                var hit = (sa[bunks[i]] || []).find(function (x) {
+                    return x && !x.continuation && x._startMin != null && x._startMin >= s && x._endMin <= e
+                        && /elective/i.test(String(x._activity || x.field || x.event || ''));
+                });
+                if (hit) { s = hit._startMin; e = hit._endMin; break; }
+            }
+            out.push({ division: division, startMin: s, endMin: e,
+                activities: acts.filter(function (a) { return !it.swimLocation || norm(a) !== norm(it.swimLocation); }) });
+        });
+        return out;
+    };
+
+    // Runs the match for every elective tile on the day and stores it.
+    E.matchDay = function (dateKey) {
+        var dk = dateKey || (typeof window !== 'undefined' && window.currentScheduleDate) || '';
+        if (!isDate(dk)) return null;
+        var roster = E.loadRoster();
+        var prefs = E.loadPrefs();
+        var names = Object.keys(roster);
+        if (!names.length) return null;
+        var tiles = E.tilesForDay(dk);
+        var byDate = E.loadByDate();
+        var ledger = E.weekLedger(byDate, dk);
+        var divs = (typeof window !== 'undefined' && window.divisions) || {};
+        var result = {};
+        tiles.forEach(function (tile) {
+            var bunks = ((divs[tile.division] && divs[tile.division].bunks) || []).map(String);
+            var campers = names
+                .filter(function (n) { return roster[n] && bunks.indexOf(String(roster[n].bunk)) > -1; })
+                .map(function (n) { return { name: n, bunk: String(roster[n].bunk) }; });
+            if (!campers.length) return;
+            result[E.tileKey(tile.division, tile.startMin, tile.endMin)] = E.match({
+                dateKey: dk, tile: tile, campers: campers, prefs: prefs,
+                capacities: capacitiesFor(tile.activities), ledger: ledger
+            });
+        });
+        persist(function (a) {
+            var store = a.camperElectivesByDate || {};
+            if (Object.keys(result).length) store[dk] = result;
+            else delete store[dk];
+            var keep = Object.keys(store).filter(isDate).sort().slice(-KEEP_DAYS);
+            Object.keys(store).forEach(function (d) { if (keep.indexOf(d) === -1) delete store[d]; });
+            a.camperElectivesByDate = store;
+        });
+        var n = Object.keys(result).length;
+        if (n) console.log('[Electives] matched ' + n + ' elective period(s) on ' + dk);
+        return result;
+    };
+
+    // ── per-camper views ─────────────────────────────────────────────────────
+    // The camper's elective (activity + window) covering `timeMin`, or null.
+    E.electiveFor = function (camperName, timeMin, dateKey) {
+        var dk = dateKey || (typeof window !== 'undefined' && window.currentScheduleDate) || '';
+        var day = E.loadByDate()[dk] || {};
+        for (var tk in day) {
+            var t = day[tk];
+            if (!t || !t.byCamper || !t.byCamper[camperName]) continue;
+            if (timeMin == null || (timeMin >= t.startMin && timeMin < t.endMin)) {
+                return { activity: t.byCamper[camperName], rank: (t.rankByCamper || {})[camperName] || 0,
+                    startMin: t.startMin, endMin: t.endMin, division: t.division };
+            }
+        }
+        return null;
+    };
+
+    // One camper's day: the bunk's blocks in time order, with the camper's own
+    // elective substituted for the grade-wide elective block.
+    // opts (tests): { roster, scheduleAssignments, byDate }
+    E.camperSchedule = function (camperName, dateKey, opts) {
+        opts = opts || {};
+        var dk = dateKey || (typeof window !== 'undefined' && window.currentScheduleDate) || '';
+        var roster = opts.roster || E.loadRoster();
+        var camper = roster[camperName];
+        if (!camper) return null;
+        var sa = opts.scheduleAssignments || assignmentsFor(dk);
+        var day = (opts.byDate || E.loadByDate())[dk] || {};
+        var mine = Object.keys(day).map(function (k) { return day[k]; })
+            .filter(function (t) { return t && t.byCamper && t.byCamper[camperName]; });
+
+        var rows = [];
+        (sa[camper.bunk] || []).forEach(function (e) {
+            if (!e || e._startMin == null || e._endMin == null) return;
+            var label = e._displayName || e._activity || e.sport || (typeof e.field === 'string' ? e.field : '');
+            var loc = typeof e.field === 'string' ? e.field : (e.field && e.field.name) || '';
+            var last = rows[rows.length - 1];
+            if (e.continuation && last && last.endMin === e._startMin) { last.endMin = e._endMin; return; }
+            if (!label || label === 'Free') return;
+            rows.push({ startMin: e._startMin, endMin: e._endMin, activity: label, location: loc === label ? '' : loc });
+        });
+        mine.forEach(function (t) {
+            rows = rows.filter(function (r) { return !(r.startMin < t.endMin && t.startMin < r.endMin); });
+            rows.push({ startMin: t.startMin, endMin: t.endMin, activity: t.byCamper[camperName], location: '',
+                elective: true, rank: (t.rankByCamper || {})[camperName] || 0 });
+        });
+        rows.sort(function (a, b) { return a.startMin - b.startMin; });
+        return { camper: camperName, bunk: camper.bunk, division: gradeOfBunk(camper.bunk) || camper.division,
+            dateKey: dk, rows: rows };
+    };
+
+    // ── preferences UI ───────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    E.openPreferences = function (grade) {
+        if (typeof document === 'undefined') return;
+        var old = document.getElementById('electivePrefsOverlay');
+        if (old) old.remove();
+        var divs = window.divisions || {};
+        var grades = Object.keys(divs);
+        var g = grade && divs[grade] ? grade : grades[0];
+        var overlay = document.createElement('div');
+        overlay.id = 'electivePrefsOverlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        var md = false;
+        overlay.addEventListener('mousedown', function (e) { md = (e.target === overlay); });
+        overlay.addEventListener('click', function (e) { if (e.target === overlay && md) overlay.remove(); });
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:820px;width:100%;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        box.innerHTML =
+            '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;gap:12px;">'
+            + '<h3 style="margin:0;font-size:18px;">Elective choices</h3>'
+            + '<select id="electivePrefsGrade" style="padding:5px 8px;border-radius:5px;border:1px solid #ccc;">'
+            + grades.map(function (x) { return '<option' + (x === g ? ' selected' : '') + '>' + esc(x) + '</option>'; }).join('') + '</select>'
+            + '<button id="electivePrefsClose" style="margin-left:auto;background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div>'
+            + '<div style="padding:10px 20px;border-bottom:1px solid #f0f0f0;color:#555;font-size:13px;">'
+            + 'Rank up to three electives per camper. Groups are re-matched after every generation, or with “Match today”.</div>'
+            + '<div id="electivePrefsBody" style="overflow:auto;padding:0 20px 16px;flex:1;"></div>'
+            + '<div style="display:flex;justify-content:flex-end;gap:10px;padding:14px 20px;border-top:1px solid #e0e0e0;">'
+            + '<button id="electivePrefsMatch" style="background:#147D91;color:#fff;border:none;padding:9px 18px;border-radius:5px;font-weight:600;cursor:pointer;">Match today</button>'
+            + '<button id="electivePrefsSave" style="background:#2e7d32;color:#fff;border:none;padding:9px 18px;border-radius:5px;font-weight:600;cursor:pointer;">Save choices</button></div>';
+        overlay.appendChild(box);
+        document.body.appendChild(overlay);
+
+        var body = box.querySelector('#electivePrefsBody');
+        function render() {
+            var grade = box.querySelector('#electivePrefsGrade').value;
+            var bunks = ((divs[grade] && divs[grade].bunks) || []).map(String);
+            var roster = E.loadRoster(), prefs = E.loadPrefs();
+            var opts = {};
+            // Every activity any elective tile in the grade can reserve.
+            [].concat(window.dailyOverrideSkeleton || [], window._autoSkeleton || []).forEach(function (it) {
+                if (it && (it.type === 'elective' || it.type === 'swim_elective') && (it.division || it.grade) === grade) {
+                    (it.electiveActivities || []).forEach(function (a) { opts[a] = 1; });
+                }
+            });
+            Object.keys(prefs).forEach(function (c) { (prefs[c] || []).forEach(function (a) { opts[a] = opts[a] || 0; }); });
+            var list = Object.keys(opts).sort();
+            var campers = Object.keys(roster).filter(function (n) { return bunks.indexOf(String(roster[n].bunk)) > -1; })
+                .sort(function (a, b) { return String(roster[a].bunk).localeCompare(String(roster[b].bunk)) || a.localeCompare(b); });
+            if (!campers.length) { body.innerHTML = '<div style="padding:30px;text-align:center;color:#888;">No campers in this grade. Add them in Campistry Me.</div>'; return; }
+            function sel(c, i) {
+                var cur = (prefs[c] || [])[i] || '';
+                return '<select data-camper="' + esc(c) + '" data-rank="' + i + '" style="padding:3px 6px;border:1px solid #ddd;border-radius:4px;font-size:12px;">'
+                    + '<option value="">—</option>' + list.map(function (a) {
+                        return '<option' + (a === cur ? ' selected' : '') + '>' + esc(a) + '</option>';
+                    }).join('') + '</select>';
+            }
+            body.innerHTML = '<table style="width:100%;border-collapse:collapse;font-size:13px;margin-top:8px;"><thead><tr style="text-align:left;color:#888;font-size:12px;">'
+                + '<th style="padding:6px;">Camper</th><th style="padding:6px;">Bunk</th><th style="padding:6px;">1st</th><th style="padding:6px;">2nd</th><th style="padding:6px;">3rd</th></tr></thead><tbody>'
+                + campers.map(function (c) {
+                    return '<tr style="border-bottom:1px solid #f3f3f3;"><td style="padding:5px 6px;">' + esc(c) + '</td><td style="padding:5px 6px;color:#666;">'
+                        + esc(roster[c].bunk) + '</td><td>' + sel(c, 0) + '</td><td>' + sel(c, 1) + '</td><td>' + sel(c, 2) + '</td></tr>';
+                }).join('') + '</tbody></table>';
+        }
+        function collect() {
+            var prefs = Object.assign({}, E.loadPrefs());
+            var rows = {};
+            Array.prototype.forEach.call(body.querySelectorAll('select[data-camper]'), function (s) {
+                var c = s.getAttribute('data-camper');
+                (rows[c] = rows[c] || [])[parseInt(s.getAttribute('data-rank'), 10)] = s.value;
+            });
+            Object.keys(rows).forEach(function (c) {
+                var seen = {};
+                var ranked = rows[c].filter(function (a) { if (!a || seen[a]) return false; seen[a] = 1; return true; });
+                if (ranked.length) prefs[c] = ranked; else delete prefs[c];
+            });
+            return prefs;
+        }
+        box.querySelector('#electivePrefsGrade').onchange = render;
+        box.querySelector('#electivePrefsClose').onclick = function () { overlay.remove(); };
+        box.querySelector('#electivePrefsSave').onclick = function () {
+            E.savePrefs(collect());
+            if (window.showToast) window.showToast('Elective choices saved', 'success');
+        };
+        box.querySelector('#electivePrefsMatch').onclick = function () {
+            E.savePrefs(collect());
+            var res = E.matchDay() || {};
+            var n = Object.keys(res).length;
+            if (window.showToast) window.showToast(n ? 'Matched ' + n + ' elective period(s)' : 'No elective periods on this day', n ? 'success' : 'info');
+        };
+        render();
+    };
+
+    // Renders one camper's day as a sheet (Print Center "Campers" view).
+    E.renderCamperSheet = function (camperName, dateKey) {
+        var sch = E.camperSchedule(camperName, dateKey);
+        if (!sch) return '';
+        var html = '<div class="pc3-sheet"><div class="pc3-sheet-head"><span class="pc3-sheet-title">' + esc(camperName) + '</span>'
+            + '<span class="pc3-sheet-subtitle">' + esc(sch.bunk) + (sch.division ? ' · ' + esc(sch.division) : '') + '</span></div>'
+            + '<div class="pc3-sheet-table-wrap"><table class="pc3-tbl"><thead><tr><th>Time</th><th>Activity</th><th>Location</th></tr></thead><tbody>';
+        sch.rows.forEach(function (r) {
+            html += '<tr><th class="row-head">' + esc(fmt(r.startMin)) + ' – ' + esc(fmt(r.endMin)) + '</th>'
+                + '<td' + (r.elective ? ' class="cell-special" style="font-weight:600;"' : '') + '>' + esc(r.activity)
+                + (r.elective ? ' <span style="font-size:10px;color:#6366f1;">ELECTIVE</span>' : '') + '</td>'
+                + '<td>' + esc(r.location) + '</td></tr>';
+        });
+        return html + '</tbody></table></div></div>';
+    };
+
+    if (typeof window !== 'undefined') {
+        window.CamperElectives = E;
+        if (window.addEventListener) {
+            window.addEventListener('campistry-generation-complete', function (e) {
+                try { E.matchDay((e && e.detail && e.detail.dateKey) || window.currentScheduleDate); }
+                catch (err) { console.warn('[Electives] match failed:', err); }
+            });
+        }
+    }
+    if (typeof module !== 'undefined' && module.exports) module.exports = E;
+})();
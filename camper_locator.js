@@ -8,6 +8,7 @@
 // - ★ No more slot-index mismatches between divisions
 // - ★ v2.0: Roster table removed — team assignments managed in Campistry Me
 // - ★ v2.0: getAllTeams reads from leaguesByName + specialtyLeagues
+// - ★ "Player stats" opens the camper's league stat card (LeaguePlayerStats)
 // =================================================================
 
 (function() {
@@ -186,7 +187,8 @@
     }
 
     /** Resolve which TEAM the camper is on for the league being played now.
-     *  Campers store teams per-league: { teams: { "<league>": "<team>" }, team: "<first>" }.
+     *  Campers store teams per-league: { teams: { "<league>": "<team>" }, team: "<first>" }
+     *  (written by Me's camper form and by its Team Builder draft / re-balance).
      *  During a league game we know the league, so prefer the team for THAT
      *  league; fall back to the legacy single `team`, then any assigned team. */
     function resolveCamperTeam(camper, leagueName) {
@@ -784,6 +786,13 @@
                         detailsHtml = `<strong>${escapeHtml(effectiveLeagueData?.gameLabel || 'League Game')}</strong> — Team <strong>${escapeHtml(team)}</strong> not found in matchups.${buildAllMatchupsHtml(effectiveLeagueData)}`;
                     }
                 }
+            } else if (window.CamperElectives && window.CamperElectives.electiveFor(camperName, targetTimeMin)) {
+                // Elective — the bunk's cell only says "Elective"; the camper's
+                // own group comes from the CamperElectives match.
+                const el = window.CamperElectives.electiveFor(camperName, targetTimeMin);
+                const choice = el.rank === 1 ? '1st choice' : el.rank === 2 ? '2nd choice' : el.rank === 3 ? '3rd choice' : el.rank ? `choice #${el.rank}` : 'assigned';
+                locationHtml = `<span style="color:#6366f1; font-weight:bold; font-size:1.4rem;">${escapeHtml(el.activity)}</span>`;
+                detailsHtml = `Elective: <strong>${escapeHtml(el.activity)}</strong> (${choice}) &bull; ${escapeHtml(minutesToTimeLabel(el.startMin))} – ${escapeHtml(minutesToTimeLabel(el.endMin))}`;
             } else {
                 // Standard Activity (_displayName = post-edit display alias, shown
                 // instead of the real activity; falls back to the real name).
@@ -795,6 +804,12 @@
             }
         }
 
+        // ★ League stat card (league_player_stats.js) — only once the camper
+        //   has a stat line in some league game.
+        const statsBtnHtml = window.LeaguePlayerStats?.hasStats(camperName)
+            ? `<div style="margin-top:12px;"><button type="button" class="locator-stats-btn" style="padding:6px 14px; border:1px solid #147D91; background:#fff; color:#147D91; border-radius:8px; font-weight:600; cursor:pointer;">Player stats</button></div>`
+            : '';
+
         resultContainer.innerHTML = `
             <div style="display:flex; align-items:center; gap:20px; flex-wrap:wrap;">
                 <div>
@@ -810,7 +825,10 @@
             <div style="margin-top:15px; padding-top:15px; border-top:1px solid #eee; color:#555;">
                 ${detailsHtml}
             </div>
+            ${statsBtnHtml}
         `;
+        const statsBtn = resultContainer.querySelector('.locator-stats-btn');
+        if (statsBtn) statsBtn.onclick = () => window.LeaguePlayerStats.openCard(camperName);
     }
 
 })();
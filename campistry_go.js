@@ -65,6 +65,9 @@
             avgStopTime: 2, maxWalkDistance: 375, maxRouteDuration: 90, maxRideTime: 45,
             googleMapsKey: '', googleProjectId: '',
             geoapifyKey: '',
+            // Optimizer / road-matrix backend (campistry_go_routing_backends.js).
+            // 'osrm-vroom' talks to a self-hosted OSRM + VROOM pair at these URLs.
+            routingBackend: 'google', vroomUrl: '', osrmUrl: '', routingProfile: '',
             campLat: null, campLng: null,
             // Neighborhood mode uses the OSM road graph to cluster campers by
             // shared road segments (which arterials they share, which streets
@@ -85,6 +88,8 @@
     };
     let _editBusId = null, _editMonitorId = null, _editCounselorId = null, _editCamper = null;
     let _generatedRoutes = null;
+    // The scenario a dry-run generateRoutes() is routing (campistry_go_scenarios.js)
+    let _scenario = null;
 let _toastTimer = null;
     const BUS_COLORS = ['#3b82f6','#ef4444','#22c55e','#f59e0b','#a855f7','#ec4899','#06b6d4','#f97316','#8b5cf6','#14b8a6','#6366f1','#84cc16','#e11d48','#0ea5e9','#d946ef'];
     const STORE = 'campistry_go_data';
@@ -184,6 +189,14 @@ let _toastTimer = null;
         return (sec / 3600) * avgSpeedMph;
     }
 
+    /** Road travel-time matrix (seconds) from the routing backend, or null —
+     *  callers fall back to drivingDist(). coords[0] is the camp. */
+    async function fetchDistanceMatrix(coords) {
+        if (!window.GoRoutingBackends || !coords || coords.length < 2) return null;
+        try { return await window.GoRoutingBackends.matrix(D.setup, coords); }
+        catch (e) { console.warn('[Go] Road matrix unavailable:', e.message); return null; }
+    }
+
     // =========================================================================
     // SMART CLUSTERING ENGINE
     // Street-aware distance, major road barriers, capacity caps
@@ -1303,6 +1316,7 @@ let _toastTimer = null;
 
     function switchMode(mode) {
         if (mode === D.activeMode) return;
+        if (_scenario) { toast('Scenario planner is running — wait for it to finish', 'error'); return; }
         saveModeData(); D.activeMode = mode; loadModeData(mode);
         _routeGeomCache = {}; window._routeGeomCache = _routeGeomCache; _generatedRoutes = D.savedRoutes;
         save(); renderFleet(); renderShifts(); renderStaff(); renderAddresses(); updateStats(); updateBusSelects();
@@ -1311,6 +1325,7 @@ let _toastTimer = null;
         if (sub) sub.textContent = mode === 'arrival' ? 'Morning Pickup Routes' : 'Afternoon Drop-off Routes';
         if (D.savedRoutes) { renderRouteResults(D.savedRoutes); }
         else { document.getElementById('routeResults').style.display = 'none'; document.getElementById('shiftResultsContainer').innerHTML = ''; }
+        if (document.getElementById('tab-boarding')?.classList.contains('active')) window.GoBoarding?.render();
         toast('Switched to ' + (mode === 'arrival' ? 'Arrival' : 'Dismissal') + ' mode');
     }
 
@@ -1427,6 +1442,13 @@ let _toastTimer = null;
         if (document.getElementById('clusterDissolvePct')) document.getElementById('clusterDissolvePct').value = s.clusterDissolvePct ?? 55;
         if (document.getElementById('clusterFloorPct')) document.getElementById('clusterFloorPct').value = s.clusterFloorPct ?? 30;
         if (document.getElementById('clusterSpreadRatio')) document.getElementById('clusterSpreadRatio').value = s.clusterSpreadRatio ?? 150;
+        if (document.getElementById('routingBackend')) {
+            document.getElementById('routingBackend').value = s.routingBackend || 'google';
+            document.getElementById('vroomUrl').value = s.vroomUrl || '';
+            document.getElementById('osrmUrl').value = s.osrmUrl || '';
+            document.getElementById('routingProfile').value = s.routingProfile || '';
+            onRoutingBackendChange();
+        }
         window._GoSetup = () => D.setup;
         if (document.getElementById('standaloneToggle')) document.getElementById('standaloneToggle').checked = !!s.standaloneMode;
     }
@@ -1456,8 +1478,45 @@ let _toastTimer = null;
         D.setup.clusterDissolvePct = parseInt(el('clusterDissolvePct')?.value) || 55;
         D.setup.clusterFloorPct = parseInt(el('clusterFloorPct')?.value) || 30;
         D.setup.clusterSpreadRatio = parseInt(el('clusterSpreadRatio')?.value) || 150;
+        if (el('routingBackend')) {
+            D.setup.routingBackend = el('routingBackend').value || 'google';
+            D.setup.vroomUrl = el('vroomUrl')?.value.trim() || '';
+            D.setup.osrmUrl = el('osrmUrl')?.value.trim() || '';
+            D.setup.routingProfile = el('routingProfile')?.value.trim() || '';
+        }
         window._GoSetup = () => D.setup;
         save(); toast('Setup saved');
+        if (window.GoRoutingBackends && !window.GoRoutingBackends.resolve(D.setup)) {
+            toast('Routing backend "' + window.GoRoutingBackends.selectedId(D.setup) + '" is not configured yet', 'error');
+        }
+    }
+
+    // ── Routing backend (campistry_go_routing_backends.js) ────────────────────
+    function onRoutingBackendChange() {
+        const sel = document.getElementById('routingBackend');
+        const selfHosted = !!sel && sel.value === 'osrm-vroom';
+        document.querySelectorAll('.routing-selfhosted').forEach(n => { n.style.display = selfHosted ? '' : 'none'; });
+    }
+
+    async function testRoutingBackend() {
+        const btn = document.getElementById('btnTestSelfHosted');
+        const box = document.getElementById('selfHostedStatus');
+        if (!btn || !box || !window.GoOsrmVroom) return;
+        const el = id => document.getElementById(id);
+        const probe = Object.assign({}, D.setup, {
+            vroomUrl: el('vroomUrl')?.value.trim() || '',
+            osrmUrl: el('osrmUrl')?.value.trim() || '',
+            routingProfile: el('routingProfile')?.value.trim() || ''
+        });
+        btn.disabled = true;
+        btn.textContent = '⏳ Testing...';
+        box.style.display = 'block';
+        box.textContent = 'Contacting OSRM and VROOM…';
+        const res = await window.GoOsrmVroom.test(probe);
+        box.textContent = res.lines.join('\n');
+        box.style.borderColor = res.ok ? '#22c55e' : '#ef4444';
+        btn.disabled = false;
+        btn.textContent = '🔍 Test OSRM + VROOM';
     }
 
     // ── Google Route Optimization connection test ──────────────────────────────
@@ -1556,9 +1615,18 @@ let _toastTimer = null;
             const rs = getBusReserve(b);
             const avail = Math.max(0, (b.capacity || 0) - staff - rs);
             const rsLabel = b.reserveMode === 'custom' ? rs + ' (custom)' : rs;
-            return '<div class="bus-card" style="cursor:pointer" onclick="CampistryGo.editBus(\'' + b.id + '\')"><div class="bus-card-stripe" style="background:' + esc(b.color) + '"></div><div class="bus-card-header"><div><div class="bus-card-name">' + esc(b.name) + '</div>' + (b.notes ? '<div class="bus-card-number">' + esc(b.notes) + '</div>' : '') + '</div></div><div class="bus-card-stats"><div class="bus-stat"><div class="bus-stat-value">' + b.capacity + '</div><div class="bus-stat-label">Seats</div></div><div class="bus-stat"><div class="bus-stat-value">' + avail + '</div><div class="bus-stat-label">For Kids</div></div><div class="bus-stat"><div class="bus-stat-value">' + staff + '</div><div class="bus-stat-label">Staff</div></div><div class="bus-stat"><div class="bus-stat-value">' + rsLabel + '</div><div class="bus-stat-label">Reserved</div></div></div>' + (mon ? '<div style="margin-top:.75rem;font-size:.75rem;color:var(--text-muted)">Monitor: <strong style="color:var(--text-secondary)">' + esc(mon.name) + '</strong></div>' : '') + '</div>';
+            return '<div class="bus-card" style="cursor:pointer" onclick="CampistryGo.editBus(\'' + b.id + '\')"><div class="bus-card-stripe" style="background:' + esc(b.color) + '"></div><div class="bus-card-header"><div><div class="bus-card-name">' + esc(b.name) + '</div>' + (b.notes ? '<div class="bus-card-number">' + esc(b.notes) + '</div>' : '') + '</div></div><div class="bus-card-stats"><div class="bus-stat"><div class="bus-stat-value">' + b.capacity + '</div><div class="bus-stat-label">Seats</div></div><div class="bus-stat"><div class="bus-stat-value">' + avail + '</div><div class="bus-stat-label">For Kids</div></div><div class="bus-stat"><div class="bus-stat-value">' + staff + '</div><div class="bus-stat-label">Staff</div></div><div class="bus-stat"><div class="bus-stat-value">' + rsLabel + '</div><div class="bus-stat-label">Reserved</div></div></div>' + (mon ? '<div style="margin-top:.75rem;font-size:.75rem;color:var(--text-muted)">Monitor: <strong style="color:var(--text-secondary)">' + esc(mon.name) + '</strong></div>' : '') + busCapsHtml(b) + '</div>';
         }).join('') + '</div>';
     }
+    // Lift / car seats / aide line on a bus card (campistry_go_transport_needs.js)
+    function busCapsHtml(b) {
+        if (!window.GoTransportNeeds) return '';
+        const caps = window.GoTransportNeeds.capsOf(b), parts = [];
+        if (caps.lift) parts.push('♿ Lift · ' + caps.wheelchairSeats + ' wheelchair position' + (caps.wheelchairSeats === 1 ? '' : 's'));
+        if (caps.carSeats) parts.push(caps.carSeats + ' car seat' + (caps.carSeats === 1 ? '' : 's'));
+        if (caps.aide) parts.push('Aide on board');
+        return parts.length ? '<div class="bus-card-caps">' + esc(parts.join(' · ')) + '</div>' : '';
+    }
     function openBusModal(editId) {
         _editBusId = editId || null;
         document.getElementById('busModalTitle').textContent = editId ? 'Edit Bus' : 'Add Bus';
@@ -1573,6 +1641,11 @@ let _toastTimer = null;
         document.getElementById('busReserveMode').value = mode;
         document.getElementById('busReserveCustom').value = ex?.reserveSeats ?? '';
         document.getElementById('busReserveCustom').style.display = mode === 'custom' ? '' : 'none';
+        // Special transport capabilities
+        document.getElementById('busLift').checked = !!ex?.lift;
+        document.getElementById('busWheelchairSeats').value = ex?.wheelchairSeats || '';
+        document.getElementById('busCarSeats').value = ex?.carSeats || '';
+        document.getElementById('busAide').checked = !!ex?.aide;
         // Show delete button only when editing existing bus
         const delBtn = document.getElementById('busDeleteBtn');
         if (delBtn) delBtn.style.display = editId ? '' : 'none';
@@ -1585,9 +1658,13 @@ let _toastTimer = null;
         const notes = document.getElementById('busNotes')?.value.trim();
         const reserveMode = document.getElementById('busReserveMode')?.value || 'default';
         const reserveSeats = reserveMode === 'custom' ? (parseInt(document.getElementById('busReserveCustom')?.value) || 0) : null;
+        const lift = !!document.getElementById('busLift')?.checked;
+        const wheelchairSeats = lift ? Math.max(1, parseInt(document.getElementById('busWheelchairSeats')?.value) || 0) : 0;
+        const carSeats = Math.max(0, parseInt(document.getElementById('busCarSeats')?.value) || 0);
+        const aide = !!document.getElementById('busAide')?.checked;
         if (!name) { toast('Enter name', 'error'); return; } if (!cap || cap < 1) { toast('Enter capacity', 'error'); return; }
-        if (_editBusId) { const b = D.buses.find(x => x.id === _editBusId); if (b) { b.name = name; b.capacity = cap; b.color = color; b.notes = notes; b.reserveMode = reserveMode; b.reserveSeats = reserveSeats; } }
-        else D.buses.push({ id: uid(), name, capacity: cap, color, notes, reserveMode, reserveSeats });
+        if (_editBusId) { const b = D.buses.find(x => x.id === _editBusId); if (b) { b.name = name; b.capacity = cap; b.color = color; b.notes = notes; b.reserveMode = reserveMode; b.reserveSeats = reserveSeats; b.lift = lift; b.wheelchairSeats = wheelchairSeats; b.carSeats = carSeats; b.aide = aide; } }
+        else D.buses.push({ id: uid(), name, capacity: cap, color, notes, reserveMode, reserveSeats, lift, wheelchairSeats, carSeats, aide });
         save(); closeModal('busModal'); renderFleet(); updateStats(); updateBusSelects(); toast(_editBusId ? 'Updated' : 'Bus added');
     }
 
@@ -2247,8 +2324,10 @@ let _toastTimer = null;
             const confTitle = (confPct ? confPct + ' confidence' + srcLabel : '') + (r.crossValidated ? ' [cross-validated]' : '');
             const badge = r.hasAddr ? (r.geocodeWarning ? '<span class="badge badge-danger" title="' + esc(r.geocodeWarning) + '">⚠ ' + esc(r.geocodeWarning.substring(0,30)) + '</span>' : r.geocoded ? (r.zipMismatch ? '<span class="badge badge-warning" title="ZIP mismatch' + (confTitle ? ' — ' + confTitle : '') + '">⚠ Check ZIP</span>' : r.confidence >= 0.8 ? '<span class="badge badge-success" title="' + esc(confTitle) + '">✓ ' + confPct + (r.crossValidated ? ' ✓✓' : '') + '</span>' : r.confidence >= 0.5 ? '<span class="badge badge-warning" title="' + esc(confTitle) + '">' + confPct + srcLabel + '</span>' : '<span class="badge badge-danger" title="' + esc(confTitle) + '">⚠ ' + confPct + '</span>') : validated ? '<span class="badge badge-warning">Verified, not geocoded</span>' : '<span class="badge badge-warning">Not geocoded</span>') : '<span class="badge badge-danger">Missing</span>';
             const safeName = esc(r.name.replace(/'/g, "\\'"));
+            const needsTxt = window.GoTransportNeeds ? window.GoTransportNeeds.describeNeeds(window.GoTransportNeeds.needsOf(D.addresses[r.name])) : '';
+            const needsBadge = needsTxt ? ' <span class="badge badge-neutral" title="' + esc(needsTxt) + '">' + esc(needsTxt) + '</span>' : '';
             const deleteBtn = r.hasAddr ? '<button class="btn btn-ghost btn-sm" onclick="if(confirm(\'Delete address for ' + safeName + '?\'))CampistryGo._quickDeleteAddress(\'' + safeName + '\')" title="Delete address" style="color:var(--danger,#ef4444);font-size:.75rem;">🗑</button>' : '';
-            return '<tr><td style="font-size:.75rem;color:var(--text-muted);font-family:monospace;">' + (r.id ? '#' + String(r.id).padStart(4, '0') : '') + '</td><td style="font-weight:600">' + esc(r.last) + '</td><td>' + esc(r.first) + '</td><td>' + (esc(r.division) || '—') + '</td><td>' + (esc(r.grade) || '—') + '</td><td>' + (esc(r.bunk) || '—') + '</td><td>' + (full ? esc(full) : '<span style="color:var(--text-muted)">No address</span>') + '</td><td>' + badge + '</td><td><div style="display:flex;gap:4px;"><button class="btn btn-ghost btn-sm" onclick="CampistryGo.editAddress(\'' + safeName + '\')">' + (r.hasAddr ? 'Edit' : 'Add') + '</button>' + (r.geocoded ? '<button class="btn btn-ghost btn-sm" onclick="CampistryGo.locateCamper(\'' + safeName + '\')" title="Show on map" style="font-size:.7rem;">📍</button>' : '') + deleteBtn + '</div></td></tr>';
+            return '<tr><td style="font-size:.75rem;color:var(--text-muted);font-family:monospace;">' + (r.id ? '#' + String(r.id).padStart(4, '0') : '') + '</td><td style="font-weight:600">' + esc(r.last) + '</td><td>' + esc(r.first) + '</td><td>' + (esc(r.division) || '—') + '</td><td>' + (esc(r.grade) || '—') + '</td><td>' + (esc(r.bunk) || '—') + '</td><td>' + (full ? esc(full) : '<span style="color:var(--text-muted)">No address</span>') + needsBadge + '</td><td>' + badge + '</td><td><div style="display:flex;gap:4px;"><button class="btn btn-ghost btn-sm" onclick="CampistryGo.editAddress(\'' + safeName + '\')">' + (r.hasAddr ? 'Edit' : 'Add') + '</button>' + (r.geocoded ? '<button class="btn btn-ghost btn-sm" onclick="CampistryGo.locateCamper(\'' + safeName + '\')" title="Show on map" style="font-size:.7rem;">📍</button>' : '') + deleteBtn + '</div></td></tr>';
         }).join('');
     }
     function updateAddrProgress(n, t) { const p = t > 0 ? Math.round(n / t * 100) : 0; document.getElementById('addressProgressBar').style.width = p + '%'; document.getElementById('addressProgressText').textContent = n + ' of ' + t + ' (' + p + '%)'; }
@@ -2317,6 +2396,13 @@ let _toastTimer = null;
         // Arrival/Dismissal checkboxes (default true if not set)
         document.getElementById('addrArrival').checked = a._arrival !== false;
         document.getElementById('addrDismissal').checked = a._dismissal !== false;
+        // Transport needs (campistry_go_transport_needs.js)
+        const needs = a.needs || {};
+        document.getElementById('addrNeedWheelchair').checked = !!needs.wheelchair;
+        document.getElementById('addrNeedAide').checked = !!needs.aide;
+        document.getElementById('addrNeedDoor').checked = !!needs.door;
+        document.getElementById('addrNeedCarSeat').checked = !!needs.carSeat;
+        document.getElementById('addrNeedAvoid').value = (needs.avoid || []).join(', ');
         const deleteBtn = document.getElementById('addrDeleteBtn');
         if (deleteBtn) deleteBtn.style.display = D.addresses[name] ? 'inline-flex' : 'none';
         openModal('addressModal'); document.getElementById('addrStreet').focus();
@@ -2340,11 +2426,20 @@ let _toastTimer = null;
         const addrChanged = existing.street !== st || existing.city !== ci || existing.state !== sa || existing.zip !== z;
         const forArrival = document.getElementById('addrArrival')?.checked !== false;
         const forDismissal = document.getElementById('addrDismissal')?.checked !== false;
+        const needs = {
+            wheelchair: !!document.getElementById('addrNeedWheelchair')?.checked,
+            aide: !!document.getElementById('addrNeedAide')?.checked,
+            door: !!document.getElementById('addrNeedDoor')?.checked,
+            carSeat: !!document.getElementById('addrNeedCarSeat')?.checked,
+            avoid: (document.getElementById('addrNeedAvoid')?.value || '').split(',').map(x => x.trim()).filter(Boolean)
+        };
         D.addresses[_editCamper] = Object.assign(existing, {
             street: st, city: ci, state: sa, zip: z,
             _camperId: camperId, _division: division, _grade: grade, _bunk: bunk,
             _arrival: forArrival, _dismissal: forDismissal
         });
+        if (needs.wheelchair || needs.aide || needs.door || needs.carSeat || needs.avoid.length) D.addresses[_editCamper].needs = needs;
+        else delete D.addresses[_editCamper].needs;
         // Only re-geocode if address actually changed
         if (addrChanged) {
             D.addresses[_editCamper].lat = null;
@@ -3078,6 +3173,7 @@ let _toastTimer = null;
         let rwi  = hdr.findIndex(h => ['ride with','ridewith','ride-with','pair with'].includes(h) || h.includes('pair'));
         let roi  = hdr.findIndex(h => ['role','type','person type','participant type'].includes(h));
         let nsi  = hdr.findIndex(h => ['needs stop','needsstop','needs a stop','stop'].includes(h));
+        let tni  = hdr.findIndex(h => ['transport needs','special transport','special needs','needs'].includes(h));
         let arri = hdr.findIndex(h => ['arrival','arr','morning','am'].includes(h));
         let disi = hdr.findIndex(h => ['dismissal','dis','dismiss','afternoon','pm'].includes(h));
 
@@ -3086,7 +3182,7 @@ let _toastTimer = null;
         const _usStates = new Set(['AL','AK','AZ','AR','CA','CO','CT','DE','FL','GA','HI','ID','IL','IN','IA','KS','KY','LA','ME','MD','MA','MI','MN','MS','MO','MT','NE','NV','NH','NJ','NM','NY','NC','ND','OH','OK','OR','PA','RI','SC','SD','TN','TX','UT','VT','VA','WA','WV','WI','WY','DC']);
 
         // Build claimed set from Phase 1 results
-        const _claimed = () => new Set([idi,lni,fni,ni,divi,gri,bki,si,ci,sti,zi,tri,rwi,roi,nsi,arri,disi].filter(x => x >= 0));
+        const _claimed = () => new Set([idi,lni,fni,ni,divi,gri,bki,si,ci,sti,zi,tri,rwi,roi,nsi,tni,arri,disi].filter(x => x >= 0));
 
         // Infer address (most distinctive: digits then word, e.g. "15 Oak Drive")
         if (si < 0) {
@@ -3180,6 +3276,9 @@ let _toastTimer = null;
             const rideWith = rwi >= 0 ? (cols[rwi] || '').trim() : '';
             const role = roi >= 0 ? (cols[roi] || '').trim().toLowerCase() : 'camper';
             const needsStop = nsi >= 0 ? (cols[nsi] || '').trim().toLowerCase() : '';
+            // e.g. "wheelchair; aide; not with: Ben Cohen" (campistry_go_transport_needs.js)
+            const transportNeeds = tni >= 0 && window.GoTransportNeeds
+                ? window.GoTransportNeeds.parseNeeds(cols[tni] || '') : null;
             const arrVal = arri >= 0 ? (cols[arri] || '').trim().toLowerCase() : '';
             const disVal = disi >= 0 ? (cols[disi] || '').trim().toLowerCase() : '';
             const forArrival = arrVal === 'n' || arrVal === 'no' || arrVal === 'false' ? false : true;
@@ -3272,6 +3371,10 @@ let _toastTimer = null;
                         _division: division, _grade: grade, _bunk: bunk,
                         _arrival: forArrival, _dismissal: forDismissal
                     });
+                    // A needs column wins; without one, needs set in Go survive the re-import
+                    const _needs = tni >= 0 ? transportNeeds : (_ex?.needs || null);
+                    if (_needs) D.addresses[rn].needs = _needs;
+                    else delete D.addresses[rn].needs;
                 } else {
                     _skippedNoAddr++;
                 }
@@ -3425,12 +3528,39 @@ let _toastTimer = null;
     let _slicedZones = null; // result of sliceRegionsIntoZones()
     let _zonePreviewLayers = []; // Leaflet layers for zone preview
 
-async function generateRoutes() {
+async function generateRoutes(opts) {
+    // opts.dryRun + opts.scenario — the scenario planner
+    // (campistry_go_scenarios.js): route the scenario's buses with its shift
+    // offset and ride-time limit, return the shift results, save nothing.
+    const dryRun = !!(opts && opts.dryRun);
+    const scenario = dryRun ? (opts.scenario || null) : null;
+    if (!dryRun && _scenario) {
+        toast('Scenario planner is running — wait for it to finish', 'error');
+        return;
+    }
+    _scenario = scenario;
+    try {
+        return await _generateRoutes(dryRun, scenario);
+    } finally {
+        _scenario = null;
+    }
+}
+
+async function _generateRoutes(dryRun, scenario) {
     // -------------------------------------------------------------------------
     // PRE-FLIGHT
     // -------------------------------------------------------------------------
     _intersectionCache = null;
 
+    // A dry run is one scenario of a grid: its problems go back to the
+    // planner's table (an abort throws, the row shows it) instead of a toast
+    // per scenario. Warnings stay in the console.
+    const notify = (msg, type) => { if (!dryRun) toast(msg, type); };
+    const abort = msg => {
+        if (dryRun) throw new Error(msg);
+        toast(msg, 'error');
+    };
+
     const roster = getRoster();
     const reserveSeats = parseInt(document.getElementById('routeReserveSeats')?.value) || 0;
     const avgStopMin = D.setup.avgStopTime || 2;
@@ -3443,7 +3573,7 @@ async function generateRoutes() {
 
     // Hard preflight: must have buses
     if (!D.buses.length) {
-        toast('Add buses first', 'error');
+        abort('Add buses first');
         return;
     }
 
@@ -3459,7 +3589,7 @@ async function generateRoutes() {
         ungeocoded.push(name);
     });
     if (!hasAnyGeocoded) {
-        toast('No geocoded campers — geocode addresses first', 'error');
+        abort('No geocoded campers — geocode addresses first');
         return;
     }
     if (ungeocoded.length) {
@@ -3467,8 +3597,8 @@ async function generateRoutes() {
             ' camper(s) not geocoded. They will be dropped from routing.');
         console.error('[Go] Ungeocoded:', ungeocoded.slice(0, 20),
             ungeocoded.length > 20 ? '(+' + (ungeocoded.length - 20) + ' more)' : '');
-        toast(ungeocoded.length + ' camper(s) not geocoded — geocode them first to include',
-              'error');
+        notify(ungeocoded.length + ' camper(s) not geocoded — geocode them first to include',
+             'error');
         // We continue rather than abort — but we've told the user loudly.
     }
 
@@ -3477,7 +3607,7 @@ async function generateRoutes() {
         if (!window.CampistryGoNeighborhoods?.buildNeighborhoods) {
             console.error('[Go] CampistryGoNeighborhoods module not loaded. ' +
                 'Routing cannot proceed with the primary path.');
-            toast('Neighborhood module missing — cannot generate routes', 'error');
+            abort('Neighborhood module missing — cannot generate routes');
             return;
         }
     }
@@ -3491,7 +3621,7 @@ async function generateRoutes() {
     } else if (D.setup.campLat && D.setup.campLng) {
         _campCoordsCache = { lat: D.setup.campLat, lng: D.setup.campLng };
     } else {
-        toast('Camp coordinates not found — geocode the camp address in Setup first', 'error');
+        abort('Camp coordinates not found — geocode the camp address in Setup first');
         return;
     }
     const campCoords = _campCoordsCache;
@@ -3523,6 +3653,13 @@ async function generateRoutes() {
     const geoapifyKey  = D.setup.geoapifyKey || '';
     const googleAvailable = !!(googleKey && googleProjId &&
                                window.GoGoogleOptimizer?.optimizeTours);
+    // The optimizer behind the per-bus TSP and the global fallback: Google
+    // unless Setup picks another backend.
+    const routingBackend = window.GoRoutingBackends
+        ? window.GoRoutingBackends.resolve(D.setup)
+        : (googleAvailable ? { id: 'google', label: 'Google' } : null);
+    const optimizerAvailable = !!routingBackend;
+    const optimizerName = routingBackend ? (routingBackend.label || routingBackend.id) : null;
 
     // Supabase proxy token (for Google edge-function auth)
     const _supabaseUrl = window.__CAMPISTRY_SUPABASE__?.url || '';
@@ -3539,9 +3676,9 @@ async function generateRoutes() {
     const _secondaryName = _pipelineMode === 'spatial-sort' ? 'NEIGHBORHOOD' : 'SPATIAL SORT';
     console.log('[Go v6] Routing strategy: ' + _primaryName + ' (primary) → ' +
                 _secondaryName + ' (secondary) → ' +
-                (googleAvailable ? 'Google Route Optimization (fallback)' : 'NO FALLBACK'));
+                (optimizerAvailable ? optimizerName + ' (fallback)' : 'NO FALLBACK'));
     console.log('[Go v6] Per-bus TSP optimizer: ' +
-                (googleAvailable ? 'Google' : geoapifyKey ? 'Geoapify' : 'local 2-opt'));
+                (optimizerAvailable ? optimizerName : 'spine order'));
 
     // -------------------------------------------------------------------------
     // SHIFT LOOP
@@ -3551,10 +3688,15 @@ async function generateRoutes() {
     // Phase 3: load persistent flags before the shift loop
     if (window.GoFlagPersistence) await _ensureFlags();
 
-    const shifts = D.shifts.length ? D.shifts : [{
+    let shifts = D.shifts.length ? D.shifts : [{
         id: '__all__', label: 'All Campers', divisions: [],
         departureTime: isArrival ? '07:00' : '16:00', _isVirtual: true
     }];
+    if (scenario && scenario.startOffsetMin) {
+        shifts = shifts.map(sh => Object.assign({}, sh, {
+            departureTime: _shiftClock(sh.departureTime || (isArrival ? '08:00' : '16:00'), scenario.startOffsetMin)
+        }));
+    }
 
     for (let si = 0; si < shifts.length; si++) {
         const shift = shifts[si];
@@ -3572,11 +3714,17 @@ async function generateRoutes() {
                 console.warn('[Go v5] Shift "' + shiftLabel + '": ' +
                     (shiftBusIds.length - validIds.length) +
                     ' assigned buses no longer exist — using all buses');
-                shift.assignedBuses = [];
                 shiftBusIds = vehicles.map(v => v.busId);
-                save();
+                if (!dryRun) {
+                    shift.assignedBuses = [];
+                    save();
+                }
             }
         }
+        if (scenario) {
+            const kept = shiftBusIds.filter(bid => scenario.busIds.includes(bid));
+            shiftBusIds = kept.length ? kept : scenario.busIds;
+        }
         const shiftVehicles = shiftBusIds
             .map(bid => vehicles.find(v => v.busId === bid))
             .filter(Boolean);
@@ -3641,10 +3789,11 @@ async function generateRoutes() {
                 campLat, campLng,
                 reserveSeats, dropoffMode: mode,
                 isArrival,
-                googleAvailable, googleKey, googleProjId,
+                googleAvailable, optimizerAvailable, googleKey, googleProjId,
                 _supabaseUrl, _googleProxyToken,
                 serviceTimeSec: avgStopMin * 60,
-                shiftIdx: si
+                shiftIdx: si,
+                dryRun
             };
 
             // PRIMARY — matches user's pipelineMode setting
@@ -3699,20 +3848,21 @@ async function generateRoutes() {
         // Loud: toast + console.error so operator knows to fix the root cause.
         // =====================================================================
         if (!routes) {
-            if (!googleAvailable) {
+            if (!optimizerAvailable) {
                 console.error('[Go v5] Both paths unavailable. Primary (neighborhoods) ' +
-                    'failed and fallback (Google Route Optimization) is not configured.');
-                toast('Route generation failed — see console. Configure Google API key ' +
-                      'or fix neighborhood preflight errors.', 'error');
+                    'failed and the fallback optimizer ("' + (window.GoRoutingBackends?.selectedId(D.setup) || 'google') +
+                    '") is not configured.');
+                notify('Route generation failed — see console. Configure the routing backend ' +
+                     'in Setup or fix neighborhood preflight errors.', 'error');
                 allShiftResults.push({ shift, routes: [], camperCount: 0 });
                 continue;
             }
 
             console.error('[Go v5] FALLBACK: neighborhood pipeline failed, using ' +
-                'Google Route Optimization over global corner stops. Route quality ' +
+                optimizerName + ' over global corner stops. Route quality ' +
                 'will be lower; investigate root cause.');
-            toast('Route quality warning: primary pipeline failed, using fallback. ' +
-                  'See console.', 'error');
+            notify('Route quality warning: primary pipeline failed, using fallback. ' +
+                 'See console.', 'error');
 
             try {
                 routes = await _fallbackGoogleGlobal({
@@ -3725,7 +3875,7 @@ async function generateRoutes() {
                     _supabaseUrl, _googleProxyToken,
                     serviceTimeSec: avgStopMin * 60
                 });
-                if (routes) routeSource = 'google-fallback';
+                if (routes) routeSource = (routingBackend.id || 'google') + '-fallback';
             } catch (e) {
                 console.error('[Go v5] Fallback pipeline threw:', e);
                 routes = null;
@@ -3734,7 +3884,7 @@ async function generateRoutes() {
 
         if (!routes) {
             console.error('[Go v5] Shift "' + shiftLabel + '": all routing paths failed');
-            toast('Failed to generate routes for ' + shiftLabel, 'error');
+            notify('Failed to generate routes for ' + shiftLabel, 'error');
             allShiftResults.push({ shift, routes: [], camperCount: 0 });
             continue;
         }
@@ -3749,7 +3899,18 @@ async function generateRoutes() {
         // - ETA pipeline second pass after splits
         // - max-ride-time audit
         // - staff nearest-stop suggestions
+        // - transport needs: door riders, lift / aide / car-seat buses,
+        //   must-not-ride-with pairs (enforced first, audited last)
         // =====================================================================
+        if (window.GoTransportNeeds) {
+            const tn = window.GoTransportNeeds.enforce(routes, shiftVehicles,
+                { walkFt: D.setup.maxWalkDistance || 0, reserveSeats });
+            if (tn.moved.length) {
+                console.log('[Go] ' + shiftLabel + ': transport needs moved ' + tn.moved.length +
+                    ' camper(s) — ' + tn.moved.map(m => m.name).join(', '));
+            }
+        }
+
         _rebalanceBusLoads(routes, shiftVehicles);
 
         _applyETAsAndAudits(routes, {
@@ -3774,7 +3935,21 @@ async function generateRoutes() {
         }
 
         // Staff suggestions (unchanged from v4) — mutate D.monitors / D.counselors
-        _suggestStaffStops(routes, noStopStaff, campLat, campLng);
+        if (!dryRun) _suggestStaffStops(routes, noStopStaff, campLat, campLng);
+
+        // Whatever the fleet could not honor stays on its bus; the dispatcher
+        // dashboard lists it (_analyzeRoute re-audits live after edits).
+        if (window.GoTransportNeeds) {
+            const unmet = [];
+            routes.forEach(r => {
+                const v = shiftVehicles.find(x => x.busId === r.busId);
+                window.GoTransportNeeds.audit(r, v).forEach(iss => unmet.push(r.busName + ': ' + iss.msg));
+            });
+            if (unmet.length) {
+                console.error('[Go] ' + shiftLabel + ': ' + unmet.length + ' transport need(s) not met:', unmet);
+                notify(shiftLabel + ': ' + unmet.length + ' transport need(s) not met — see the dispatcher dashboard', 'error');
+            }
+        }
 
         routes.forEach(r => { r._source = r._source || routeSource; });
 
@@ -3785,9 +3960,17 @@ async function generateRoutes() {
         });
     }
 
-    // -------------------------------------------------------------------------
-    // FINALIZE
-    // -------------------------------------------------------------------------
+    if (dryRun) return allShiftResults;
+
+    _finalizeRoutes(allShiftResults, 'Routes generated');
+}
+
+// =============================================================================
+// FINALIZE — install shift results as the live routes: imbalance audit, road
+// geometry cache, save, render. generateRoutes() and the scenario planner's
+// Apply both end here.
+// =============================================================================
+function _finalizeRoutes(allShiftResults, doneLabel) {
     _generatedRoutes = allShiftResults;
     _routeGeomCache = {}; window._routeGeomCache = _routeGeomCache;
 
@@ -3834,18 +4017,60 @@ async function generateRoutes() {
     D.savedRoutes = allShiftResults;
     save();
 
-    const elapsed = Math.round((Date.now() - _routeProgStart) / 1000);
-    const elapsedStr = elapsed < 60 ? elapsed + 's' : Math.floor(elapsed / 60) + 'm ' + (elapsed % 60) + 's';
+    const elapsed = _routeProgStart ? Math.round((Date.now() - _routeProgStart) / 1000) : null;
+    const elapsedStr = elapsed == null ? '' : elapsed < 60 ? elapsed + 's' : Math.floor(elapsed / 60) + 'm ' + (elapsed % 60) + 's';
     const totalRoutes = allShiftResults.reduce((s, sr) => s + sr.routes.length, 0);
     const totalCampers = allShiftResults.reduce((s, sr) => s + sr.camperCount, 0);
 
-    showProgressDone('Routes generated',
-        totalRoutes + ' route(s), ' + totalCampers + ' camper(s) in ' + elapsedStr);
+    showProgressDone(doneLabel,
+        totalRoutes + ' route(s), ' + totalCampers + ' camper(s)' + (elapsedStr ? ' in ' + elapsedStr : ''));
     renderRouteResults(allShiftResults);
     renderStaff();
     setTimeout(hideProgress, 2000);
 }
 
+// =============================================================================
+// SCENARIO PLANNER hooks (campistry_go_scenarios.js)
+// =============================================================================
+function _runScenario(scenario) {
+    return generateRoutes({ dryRun: true, scenario });
+}
+
+// Adopt a scenario: its shift times, ride-time limit and bus list become the
+// setup, and its routes (already computed) become the saved routes.
+function _applyScenario(scenario, shiftResults) {
+    if (scenario.mode && scenario.mode !== D.activeMode) {
+        toast('Those scenarios were run for ' + scenario.mode + ' — run them again', 'error');
+        return false;
+    }
+    const isArrival = D.activeMode === 'arrival';
+    D.setup.maxRideTime = scenario.maxRideTime;
+    D.shifts.forEach(sh => {
+        if (scenario.startOffsetMin) {
+            sh.departureTime = _shiftClock(sh.departureTime || (isArrival ? '08:00' : '16:00'), scenario.startOffsetMin);
+        }
+        const kept = (sh.assignedBuses?.length ? sh.assignedBuses : D.buses.map(b => b.id))
+            .filter(bid => scenario.busIds.includes(bid));
+        sh.assignedBuses = kept.length ? kept : scenario.busIds.slice();
+    });
+    if (!D.shifts.length && scenario.busIds.length < D.buses.length) {
+        console.warn('[Go] Scenario applied without shifts — the next Generate Routes uses the whole fleet again');
+    }
+    // A run with an offset routed copies of the shifts; point back at D.shifts
+    shiftResults.forEach(sr => {
+        const live = D.shifts.find(sh => sh.id === sr.shift?.id);
+        if (live) sr.shift = live;
+    });
+
+    const noStopStaff = _collectNoStopStaff();
+    shiftResults.forEach(sr => _suggestStaffStops(sr.routes, noStopStaff, D.setup.campLat, D.setup.campLng));
+    _routeProgStart = 0;
+    _finalizeRoutes(shiftResults, 'Scenario applied — ' + scenario.label);
+    renderShifts();
+    toast('Scenario applied');
+    return true;
+}
+
 
 // =============================================================================
 // PRIMARY PATH: Road-graph neighborhoods
@@ -3875,10 +4100,11 @@ async function _tryNeighborhoodPipeline({
     campLat, campLng,
     reserveSeats, dropoffMode,
     isArrival,
-    googleAvailable, googleKey, googleProjId,
+    googleAvailable, optimizerAvailable, googleKey, googleProjId,
     _supabaseUrl, _googleProxyToken,
     serviceTimeSec,
-    shiftIdx
+    shiftIdx,
+    dryRun
 }) {
     showProgress(shiftLabel + ': detecting neighborhoods...', pctBase + 10);
 
@@ -4067,7 +4293,7 @@ async function _tryNeighborhoodPipeline({
     // a single-vehicle TSP on each bus to find the best stop sequence.
     // This gets LSTA-grade stop ordering within each zone without letting
     // the solver move campers between zones.
-    if (googleAvailable && routes.length) {
+    if (optimizerAvailable && routes.length) {
         showProgress(shiftLabel + ': optimizing stop order per bus...', pctBase + 60);
         for (const r of routes) {
             if (r.stops.length < 3) continue;
@@ -4097,8 +4323,8 @@ async function _tryNeighborhoodPipeline({
         }
     }
 
-    // ── Record year-over-year assignment state ──
-    if (window.GoNhPersistence) {
+    // ── Record year-over-year assignment state (not for a scenario's dry run) ──
+    if (!dryRun && window.GoNhPersistence) {
         try {
             const prevPayload = await window.GoNhPersistence.load();
             await window.GoNhPersistence.recordAssignment(nhAssignment, nhResult);
@@ -4119,7 +4345,7 @@ async function _tryNeighborhoodPipeline({
         }
     }
 
-    toast('✓ Routes generated — ' + routes.length + ' buses, ' +
+    if (!dryRun) toast('✓ Routes generated — ' + routes.length + ' buses, ' +
           nhResult.neighborhoods.length + ' neighborhoods');
     console.log('[Go v5] Primary path complete: ' + routes.length + ' routes, ' +
         routes.reduce((s, r) => s + r.stops.length, 0) + ' stops, ' +
@@ -4142,10 +4368,11 @@ async function _trySpatialSortPipeline({
     campLat, campLng,
     reserveSeats, dropoffMode,
     isArrival,
-    googleAvailable, googleKey, googleProjId,
+    googleAvailable, optimizerAvailable, googleKey, googleProjId,
     _supabaseUrl, _googleProxyToken,
     serviceTimeSec,
-    shiftIdx
+    shiftIdx,
+    dryRun
 }) {
     const avgCapacity = shiftVehicles.length
         ? Math.floor(shiftVehicles.reduce((s, v) => s + (v.capacity || 0), 0) / shiftVehicles.length)
@@ -5054,7 +5281,7 @@ async function _trySpatialSortPipeline({
         ' total (mode: ' + dropoffMode + ')');
 
     // ── H. Per-bus Google TSP — orders stops within each bus, never crosses buses ──
-    if (googleAvailable && routes.length) {
+    if (optimizerAvailable && routes.length) {
         showProgress(shiftLabel + ': optimizing stop order per bus...', pctBase + 80);
         for (const r of routes) {
             if (r.stops.length < 3) continue;
@@ -5098,7 +5325,7 @@ async function _trySpatialSortPipeline({
         }
     }
 
-    toast('✓ Routes complete — ' + routes.length + ' buses, ' +
+    if (!dryRun) toast('✓ Routes complete — ' + routes.length + ' buses, ' +
         routes.reduce((s, r) => s + r.stops.length, 0) + ' stops (' + dropoffMode + ')');
     return routes;
 }
@@ -5152,6 +5379,32 @@ function _minsToHHMM(totalMin) {
     return (h < 10 ? '0' : '') + h + ':' + (m < 10 ? '0' : '') + m;
 }
 
+// Max ride time in minutes — the scenario's limit during a scenario run.
+function _maxRideTime() {
+    return (_scenario && _scenario.maxRideTime) || D.setup.maxRideTime || 45;
+}
+
+// "HH:MM" moved by deltaMin, wrapped to the day.
+function _shiftClock(hhmm, deltaMin) {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return _minsToHHMM((((h * 60 + (m || 0) + deltaMin) % 1440) + 1440) % 1440);
+}
+
+
+// =============================================================================
+// Optimizer dispatch — the backend picked in Setup (campistry_go_routing_backends.js),
+// or Google directly when the backend registry isn't loaded.
+// =============================================================================
+function _optimizerReady() {
+    if (window.GoRoutingBackends) return !!window.GoRoutingBackends.resolve(D.setup);
+    return !!window.GoGoogleOptimizer?.optimizeTours;
+}
+
+function _optimizeTours(options) {
+    if (window.GoRoutingBackends) return window.GoRoutingBackends.optimizeTours(D.setup, options);
+    return window.GoGoogleOptimizer.optimizeTours(options);
+}
+
 
 // =============================================================================
 // REPLACEMENT _perBusGoogleTSP
@@ -5168,7 +5421,7 @@ async function _perBusGoogleTSP({
     shift,
     shiftIdx    // NEW PHASE 3: the shift index for anchor lookup
 }) {
-    if (!window.GoGoogleOptimizer?.optimizeTours) return null;
+    if (!_optimizerReady()) return null;
 
     const singleBus = [{
         busId:    route.busId,
@@ -5210,14 +5463,14 @@ async function _perBusGoogleTSP({
             ? 'pickup ' + (zw.startHHMM || '?') + ' → camp ' + (zw.endHHMM || '?')
             : 'camp ' + (zw.startHHMM || '?') + ' → dropoffs'));
 
-    const result = await window.GoGoogleOptimizer.optimizeTours({
+    const result = await _optimizeTours({
         stops: route.stops,
         vehicles: singleBus,
         campLat, campLng,
         isArrival,
         serviceTime:   serviceTimeSec,
         departureTime: shiftTarget,
-        maxRideTimeSec: (D.setup.maxRideTime || 45) * 60,
+        maxRideTimeSec: _maxRideTime() * 60,
         maxRouteDurationSec: (D.setup.maxRouteDuration || 60) * 60,
         vehicleTimeWindows,
         pinnedAnchorIndex: pinnedIdx,  // NEW PHASE 3
@@ -5295,7 +5548,7 @@ async function _fallbackGoogleGlobal({
         return null;
     }
 
-    showProgress(shiftLabel + ': FALLBACK — Google Route Optimization...', pctBase + 45);
+    showProgress(shiftLabel + ': FALLBACK — route optimization...', pctBase + 45);
 
     // Pre-assign stops to buses by angle-from-camp + equal-size chunks, purely
     // for the purpose of back-solving time windows.  The real assignment
@@ -5307,14 +5560,14 @@ async function _fallbackGoogleGlobal({
         isArrival, shift.departureTime, avgSpeedMph, avgStopMin
     );
 
-    const result = await window.GoGoogleOptimizer.optimizeTours({
+    const result = await _optimizeTours({
         stops: dedupStops,
         vehicles: shiftVehicles,
         campLat, campLng,
         isArrival,
         serviceTime: serviceTimeSec,
         departureTime: shift.departureTime || (isArrival ? '07:30' : '16:00'),
-        maxRideTimeSec: (D.setup.maxRideTime || 45) * 60,
+        maxRideTimeSec: _maxRideTime() * 60,
         maxRouteDurationSec: (D.setup.maxRouteDuration || 60) * 60,
         vehicleTimeWindows,
         googleKey, googleProjId,
@@ -5324,7 +5577,7 @@ async function _fallbackGoogleGlobal({
     });
 
     if (!result || !result.length) {
-        console.error('[Go v5.2] Fallback: Google Route Optimization returned empty');
+        console.error('[Go v5.2] Fallback: route optimization returned empty');
         return null;
     }
 
@@ -5395,6 +5648,8 @@ function _estimateFallbackTimeWindows(stops, vehicles, campLat, campLng,
 //   2. Close-distance merge: if A and B are within 0.10mi (~530ft)
 //      regardless of street, absorb.
 //
+// Stops holding a door-to-door rider (transport needs) are never merged.
+//
 // Capacity cap: never let a merged stop exceed 15 campers (camp's typical
 // max). Self-contained distance fn (degree → miles approximation, fine at
 // our scale).
@@ -5424,6 +5679,11 @@ function _consolidateBusStops(stops) {
     function camperCount(s) {
         return Array.isArray(s.campers) ? s.campers.length : 0;
     }
+    // A door-to-door rider's stop stays put (transport needs)
+    const TN = window.GoTransportNeeds;
+    function isDoorStop(s) {
+        return !!TN && TN.profile(s).door.length > 0;
+    }
 
     function runMerge(radiusMi, requireSameStreet) {
         let merged = true;
@@ -5432,6 +5692,7 @@ function _consolidateBusStops(stops) {
             outer: for (let i = stops.length - 1; i >= 0; i--) {
                 const cntI = camperCount(stops[i]);
                 if (cntI === 0) continue;
+                if (isDoorStop(stops[i])) continue;
                 const sA = requireSameStreet ? streetsOf(stops[i].address) : null;
                 if (requireSameStreet && !sA.length) continue;
                 let bestJ = -1, bestDist = radiusMi;
@@ -5439,6 +5700,7 @@ function _consolidateBusStops(stops) {
                     if (j === i) continue;
                     const cntJ = camperCount(stops[j]);
                     if (cntJ + cntI > MAX_STOP_CAP) continue;
+                    if (isDoorStop(stops[j])) continue;
                     if (requireSameStreet) {
                         const sB = streetsOf(stops[j].address);
                         if (!sA.some(n => sB.includes(n))) continue;
@@ -5576,6 +5838,8 @@ function _splitOverlongRoutes(routes, shiftVehicles, campLat, campLng, maxRouteM
             const cap = capById[r.busId] || 0;
             const cur = camperCount(r);
             if (cap && cur + candCount > cap) return;
+            if (window.GoTransportNeeds &&
+                !window.GoTransportNeeds.fits(r, candidate, (shiftVehicles || []).find(v => v.busId === r.busId))) return;
 
             let nearest = Infinity;
             r.stops.forEach(st => {
@@ -5635,7 +5899,8 @@ function _splitOverlongRoutes(routes, shiftVehicles, campLat, campLng, maxRouteM
 //   3. The transfer brings them measurably closer in load.
 //
 // Safe by construction: never moves campers individually, never violates
-// capacity, and only moves stops that geographically fit better elsewhere.
+// capacity or a transport need, and only moves stops that geographically fit
+// better elsewhere.
 // =============================================================================
 function _rebalanceBusLoads(routes, shiftVehicles) {
     if (!routes || routes.length < 2) return;
@@ -5692,10 +5957,13 @@ function _rebalanceBusLoads(routes, shiftVehicles) {
         // (c) when moved, doesn't flip the imbalance the other way.
         let bestStopIdx = -1;
         let bestScore = 0;
+        const lightVeh = (shiftVehicles || []).find(v => v.busId === lightest.busId);
         heaviest.stops.forEach((st, idx) => {
             if (st.isMonitor || st.isCounselor) return;
             const stopCount = st.campers?.length || 0;
             if (stopCount === 0 || stopCount > lightRoom) return;
+            // Never onto a bus that can't carry the stop's riders
+            if (window.GoTransportNeeds && !window.GoTransportNeeds.fits(lightest, st, lightVeh)) return;
             // Don't flip the imbalance
             const projHeavy = heaviest.camperCount - stopCount;
             const projLight = lightest.camperCount + stopCount;
@@ -5748,7 +6016,7 @@ function _applyETAsAndAudits(routes, {
     const [depHour, depMin] = (shift.departureTime ||
         (isArrival ? '08:00' : '16:00')).split(':').map(Number);
     const shiftTargetMin = depHour * 60 + depMin;
-    const maxRideMin = D.setup.maxRideTime || 45;
+    const maxRideMin = _maxRideTime();
 
     function driveMin(a, b) {
         if (a.lat && b.lat) return drivingDist(a.lat, a.lng, b.lat, b.lng) / 60;
@@ -7637,7 +7905,7 @@ function findAnchorStop(campers, intersections, walkMi = 0.2) {
             document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
             btn.classList.add('active');
             const t = btn.dataset.tab; document.getElementById('tab-' + t)?.classList.add('active');
-            if (t === 'fleet') { renderFleet(); renderShifts(); } else if (t === 'shifts') renderShifts(); else if (t === 'staff') renderStaff(); else if (t === 'addresses') renderAddresses(); else if (t === 'routes') {
+            if (t === 'fleet') { renderFleet(); renderShifts(); } else if (t === 'shifts') renderShifts(); else if (t === 'staff') renderStaff(); else if (t === 'addresses') renderAddresses(); else if (t === 'boarding') { window.GoBoarding?.render(); } else if (t === 'routes') { window.GoScenarios?.render();
                 runPreflight();
                 if (_pendingMapInit) { setTimeout(function() { initMap(_pendingMapInit); _pendingMapInit = null; }, 150); }
                 else { setTimeout(function() { if (_map) _map.invalidateSize(); }, 150); }
@@ -7655,6 +7923,38 @@ function findAnchorStop(campers, intersections, walkMi = 0.2) {
         const modeLabel = document.getElementById('modeLabel');
         if (modeLabel) modeLabel.textContent = D.activeMode === 'arrival' ? 'Morning Pickup Routes' : 'Afternoon Drop-off Routes';
         initTabs(); populateSetup(); renderFleet(); renderShifts(); renderStaff(); renderAddresses(); updateStats(); updateBusSelects();
+        // Boarding check-in reads the live routes / roster (campistry_go_boarding.js)
+        window.GoBoarding?.attach({
+            getRoutes:   () => _generatedRoutes || D.savedRoutes || [],
+            getRoster:   () => getRoster(),
+            isArrival:   () => D.activeMode === 'arrival',
+            getMonitors: () => D.monitors
+        });
+        // Wheelchair / aide / door / car-seat needs and bus capabilities
+        // (campistry_go_transport_needs.js)
+        window.GoTransportNeeds?.attach({
+            getAddresses: () => D.addresses,
+            getBuses:     () => D.buses
+        });
+        // Fleet-size / bell-time scenario grid on the Routes tab
+        // (campistry_go_scenarios.js)
+        window.GoScenarios?.attach({
+            getBuses:      () => D.buses,
+            getSetup:      () => D.setup,
+            isArrival:     () => D.activeMode === 'arrival',
+            getAddresses:  () => D.addresses,
+            getCamp:       () => _campCoordsCache,
+            runScenario:   _runScenario,
+            quality:       routes => computeRouteQuality(routes, D.setup.campLat, D.setup.campLng, D.setup.maxWalkDistance),
+            grade:         scoreToGrade,
+            applyScenario: _applyScenario,
+            done:          rows => {
+                const ran = rows.filter(r => r.metrics).length;
+                showProgressDone('Scenarios finished', ran + ' of ' + rows.length + ' scenario(s) routed');
+                setTimeout(hideProgress, 2000);
+            }
+        });
+        if (location.hash === '#boarding') document.querySelector('.tab-btn[data-tab="boarding"]')?.click();
         if (D.setup.campLat && D.setup.campLng) { _campCoordsCache = { lat: D.setup.campLat, lng: D.setup.campLng }; }
         if (D.savedRoutes && D.savedRoutes.length) {
             let needsSave = false;
@@ -8227,6 +8527,14 @@ function _analyzeRoute(route, shiftIdx, campLat, campLng, maxRideMin, isArrival,
             msg: rideViolations + ' stop(s) over ' + maxRideMin + ' min ride' });
     }
 
+    // Transport needs the bus doesn't meet (lift, aide, car seats, door
+    // pickup, must-not-ride-with) — audited live so manual edits show up too
+    if (window.GoTransportNeeds) {
+        window.GoTransportNeeds.audit(route).forEach(iss => {
+            issues.push({ type: 'transport-' + iss.kind, severity: 'error', msg: iss.msg });
+        });
+    }
+
     // Anchor analysis
     const anchor = _detectAnchorForRoute(route, campLat, campLng);
     if (anchor && anchor.kidCount >= 3) {
@@ -8285,6 +8593,17 @@ async function renderDispatcherDashboard(allShifts) {
     // Load flags if not already
     await _ensureFlags();
 
+    // Live tracking follows the routes shown here (campistry_go_tracking.js)
+    if (window.GoTracking) {
+        window.GoTracking.attach({
+            getRoutes: () => _generatedRoutes || allShifts,
+            getSetup:  () => D.setup,
+            isArrival: () => D.activeMode === 'arrival',
+            getMap:    () => _map,
+            getCamp:   () => _campCoordsCache
+        });
+    }
+
     const campLat = D.setup.campLat || _campCoordsCache?.lat || 0;
     const campLng = D.setup.campLng || _campCoordsCache?.lng || 0;
     const maxRideMin = D.setup.maxRideTime || 45;
@@ -8465,6 +8784,14 @@ async function renderDispatcherDashboard(allShifts) {
                 html += '</div>';
             }
 
+            // Live position / stop ETAs once the route is approved
+            if (isApproved && window.GoTracking) {
+                html += '<div class="dispatch-live" data-live-key="' +
+                        esc(window.GoTracking._key(shiftData.shiftIdx, r.busId)) + '">' +
+                    window.GoTracking.liveHtml(shiftData.shiftIdx, r.busId) +
+                '</div>';
+            }
+
             html += '</div>'; // end dispatch-route
         });
 
@@ -8473,12 +8800,15 @@ async function renderDispatcherDashboard(allShifts) {
 
     container.innerHTML = html;
     container.style.display = '';
+
+    // The GPS feed matters once something is approved to run
+    if (approved > 0 && window.GoTracking) window.GoTracking.connect();
 }
 // =========================================================================
     // PUBLIC API
     // =========================================================================
     window.CampistryGo = {
-        saveSetup, toggleStandalone,
+        saveSetup, toggleStandalone, onRoutingBackendChange, testRoutingBackend,
         openBusModal, saveBus, editBus, deleteBus, deleteBusFromModal, _pickColor, quickCreateBuses,
         addShift, deleteShift, toggleShiftDiv, updateShiftTime, renameShift,
         toggleShiftGrade, setShiftGradeMode, toggleShiftBus, setAllShiftBuses,
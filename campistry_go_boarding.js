@@ -0,0 +1,482 @@
+// =============================================================================
+// campistry_go_boarding.js — Bus boarding check-in and the arrival manifest
+// =============================================================================
+//
+// Go knows who is ASSIGNED to each stop; this records who actually got on.
+// A bus monitor opens the Boarding tab on a phone, picks their bus, and walks
+// the route stop by stop marking each camper:
+//
+//   boarded  — on the bus
+//   absent   — not at the stop / not at dismissal
+//   parent   — a parent brought them (arrival) or took them (dismissal)
+//
+// Tapping the active mark again clears it.
+//
+// STORAGE
+//   One record per bus per day, in go_standalone_data via GoCloudSync:
+//     data_type 'boarding:<YYYY-MM-DD>:<mode>:<shiftIdx>:<busId>'
+//     data      { date, mode, shiftIdx, busId, busName,
+//                 marks: { [camperName]: { status|null, at (ms), by } } }
+//   Every mark is written to localStorage first (a bus is often out of
+//   signal) and flushed when the cloud is reachable — on each mark, on the
+//   browser's 'online' event and from the Retry button. A flush re-reads the
+//   cloud row and merges per camper, newest mark wins, so a second phone on
+//   the same bus does not wipe the first one's marks.
+//
+// MANIFEST
+//   The office view for one day and mode: per-bus counts, then the lists to
+//   act on — campers on a bus nobody checked, absences, parent hand-offs,
+//   Campistry Me campers who are on no bus at all, and marked names Me does
+//   not know. Exported as CSV.
+//
+// Public API:
+//   GoBoarding.attach(ctx)      — { getRoutes, getRoster, isArrival, getMonitors }
+//   GoBoarding.render()         — draws #boardingRoot (the Boarding tab)
+//   GoBoarding.mark(shiftIdx, busId, camperName, status, opts?)
+//   GoBoarding.load(date?)      → Promise — local + cloud records for a day
+//   GoBoarding.flush()          → Promise — push unsynced records
+//   GoBoarding.manifest(opts)   → { buses, totals, boarded, unchecked, absent, parent,
+//                                   notRouted, unknown }
+//   GoBoarding.exportManifestCsv()
+// =============================================================================
+
+window.GoBoarding = (function () {
+    'use strict';
+
+    const PREFIX = 'boarding:';
+    const LS_KEY = 'campistry_go_boarding_v1';
+    const LS_BUS = 'campistry_go_boarding_bus';
+    const KEEP_DAYS = 14;           // local copies older than this are dropped
+    const STATUSES = ['boarded', 'absent', 'parent'];
+
+    let _ctx = {};
+    let _store = {};                // data_type → record
+    let _dirty = {};                // data_type → edit count while unsynced
+    let _flushing = null;            // the running flush's promise
+    let _flushAgain = false;
+    let _view = { date: null, bus: null, tab: 'checkin' };
+    let _loadedDay = null;
+
+    // ── Context (wired by campistry_go.js) ───────────────────────────────────
+    function attach(ctx) { _ctx = Object.assign({}, _ctx, ctx || {}); }
+    function _shifts() { try { return (_ctx.getRoutes && _ctx.getRoutes()) || []; } catch (_) { return []; } }
+    function _roster() { try { return (_ctx.getRoster && _ctx.getRoster()) || {}; } catch (_) { return {}; } }
+    function _isArrival() { try { return !!(_ctx.isArrival && _ctx.isArrival()); } catch (_) { return false; } }
+    function _mode() { return _isArrival() ? 'arrival' : 'dismissal'; }
+
+    function _ls() { try { return typeof localStorage !== 'undefined' ? localStorage : null; } catch (_) { return null; } }
+    function _today() {
+        const d = new Date();
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+    function _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+    function statusLabel(status, isArrival) {
+        if (status === 'boarded') return isArrival ? 'Boarded' : 'On bus';
+        if (status === 'absent') return 'Absent';
+        if (status === 'parent') return isArrival ? 'Parent drop-off' : 'Parent pick-up';
+        return 'Not checked';
+    }
+
+    function dayKey(date, mode, shiftIdx, busId) {
+        return PREFIX + date + ':' + mode + ':' + shiftIdx + ':' + busId;
+    }
+
+    // ── Local mirror ─────────────────────────────────────────────────────────
+    function _restore() {
+        const ls = _ls();
+        if (!ls) return;
+        try {
+            const raw = JSON.parse(ls.getItem(LS_KEY) || 'null');
+            if (!raw) return;
+            const cutoff = new Date(Date.now() - KEEP_DAYS * 86400000).toISOString().slice(0, 10);
+            _store = {}; _dirty = raw.dirty || {};
+            Object.entries(raw.records || {}).forEach(([k, rec]) => {
+                if (rec && rec.date >= cutoff) _store[k] = rec;
+                else delete _dirty[k];
+            });
+        } catch (e) {
+            console.warn('[GoBoarding] Local copy unreadable:', e.message);
+        }
+    }
+    function _persist() {
+        const ls = _ls();
+        if (!ls) return;
+        try { ls.setItem(LS_KEY, JSON.stringify({ records: _store, dirty: _dirty })); }
+        catch (e) { console.warn('[GoBoarding] Could not save locally:', e.message); }
+    }
+
+    // -------------------------------------------------------------------------
+    // mergeRecords(a, b) — per camper, the newer mark wins (a clear is a mark)
+    // -------------------------------------------------------------------------
+    function mergeRecords(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+        const marks = Object.assign({}, a.marks || {});
+        Object.entries(b.marks || {}).forEach(([name, m]) => {
+            if (!marks[name] || (m && m.at > marks[name].at)) marks[name] = m;
+        });
+        return Object.assign({}, a, b, { marks: marks });
+    }
+
+    // -------------------------------------------------------------------------
+    // mark(shiftIdx, busId, camperName, status, { date?, by? })
+    // status null (or the camper's current status) clears the mark.
+    // -------------------------------------------------------------------------
+    function mark(shiftIdx, busId, camperName, status, opts) {
+        opts = opts || {};
+        if (status != null && STATUSES.indexOf(status) < 0) {
+            console.warn('[GoBoarding] Unknown status', status);
+            return null;
+        }
+        const date = opts.date || _view.date || _today();
+        const mode = opts.mode || _mode();
+        const key = dayKey(date, mode, shiftIdx, busId);
+        const sr = _shifts()[shiftIdx];
+        const route = sr && (sr.routes || []).find(r => r.busId === busId);
+        const rec = _store[key] || {
+            date: date, mode: mode, shiftIdx: shiftIdx, busId: busId,
+            busName: route ? route.busName : busId, marks: {}
+        };
+        const prev = rec.marks[camperName];
+        const next = (prev && prev.status === status) ? null : status;
+        rec.marks[camperName] = { status: next, at: Date.now(), by: opts.by != null ? opts.by : _monitorFor(busId) };
+        rec.updatedAt = new Date().toISOString();
+        _store[key] = rec;
+        _dirty[key] = (_dirty[key] || 0) + 1;
+        _persist();
+        flush();
+        return rec.marks[camperName];
+    }
+
+    function _monitorFor(busId) {
+        try {
+            const m = ((_ctx.getMonitors && _ctx.getMonitors()) || []).find(x => x.assignedBus === busId);
+            return m ? m.name : '';
+        } catch (_) { return ''; }
+    }
+
+    // -------------------------------------------------------------------------
+    // flush() — push unsynced records, merging with whatever the cloud holds.
+    // A call while one is running joins it and gets one more round.
+    // -------------------------------------------------------------------------
+    function flush() {
+        const cloud = window.GoCloudSync;
+        if (!cloud || typeof cloud.loadPrefix !== 'function') { _renderStatus(); return Promise.resolve(); }
+        if (_flushing) { _flushAgain = true; return _flushing; }
+        _flushing = (async () => {
+            do {
+                _flushAgain = false;
+                await _flushOnce(cloud);
+            } while (_flushAgain);
+        })().finally(() => {
+            _flushing = null;
+            _persist();
+            _renderStatus();
+        });
+        return _flushing;
+    }
+
+    async function _flushOnce(cloud) {
+        for (const key of Object.keys(_dirty)) {
+            const edits = _dirty[key];
+            const got = await cloud.loadPrefix(key);
+            if (got === null) return;                     // offline / not signed in — try later
+            const merged = mergeRecords(got[key] || null, _store[key]);
+            const res = await cloud.save(key, merged);
+            if (!res || !res.ok) return;
+            _store[key] = mergeRecords(_store[key], merged);
+            // A mark made while this one was in flight goes next round.
+            if (_dirty[key] === edits) delete _dirty[key];
+            else _flushAgain = true;
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // load(date?) — bring in every bus's record for the day (current mode)
+    // -------------------------------------------------------------------------
+    async function load(date) {
+        const d = date || _view.date || _today();
+        const mode = _mode();
+        const cloud = window.GoCloudSync;
+        if (cloud && typeof cloud.loadPrefix === 'function') {
+            const got = await cloud.loadPrefix(PREFIX + d + ':' + mode + ':');
+            if (got) {
+                Object.entries(got).forEach(([k, rec]) => { _store[k] = mergeRecords(rec, _store[k]); });
+                _persist();
+            }
+        }
+        _loadedDay = d + ':' + mode;
+        return recordsFor(d, mode);
+    }
+    function recordsFor(date, mode) {
+        const p = PREFIX + date + ':' + mode + ':';
+        const out = {};
+        Object.keys(_store).forEach(k => { if (k.indexOf(p) === 0) out[k] = _store[k]; });
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // manifest({ shifts, records, roster, isArrival, date, mode }) — pure
+    // -------------------------------------------------------------------------
+    function manifest(opts) {
+        const shifts = opts.shifts || [];
+        const records = opts.records || {};
+        const roster = opts.roster || {};
+        const date = opts.date, mode = opts.mode;
+        const seen = new Set();
+        const buses = [];
+        const boarded = [], unchecked = [], absent = [], parent = [];
+        const totals = { assigned: 0, boarded: 0, absent: 0, parent: 0, unchecked: 0 };
+
+        shifts.forEach((sr, si) => {
+            (sr.routes || []).forEach(r => {
+                if (!r.stops || !r.stops.length) return;
+                const rec = records[dayKey(date, mode, si, r.busId)] || { marks: {} };
+                const row = { shiftIdx: si, shift: sr.shift?.label || 'Shift ' + (si + 1), busId: r.busId,
+                    busName: r.busName, busColor: r.busColor,
+                    assigned: 0, boarded: 0, absent: 0, parent: 0, unchecked: 0 };
+                r.stops.forEach(st => {
+                    if (st.isMonitor || st.isCounselor) return;
+                    (st.campers || []).forEach(c => {
+                        seen.add(c.name);
+                        const m = rec.marks[c.name];
+                        const status = m && m.status ? m.status : 'unchecked';
+                        const entry = { name: c.name, busName: r.busName, shift: row.shift, stopNum: st.stopNum,
+                            address: st.address, by: m?.by || '', at: m?.at || null };
+                        row.assigned++; row[status]++;
+                        if (status === 'boarded') boarded.push(entry);
+                        else if (status === 'unchecked') unchecked.push(entry);
+                        else if (status === 'absent') absent.push(entry);
+                        else if (status === 'parent') parent.push(entry);
+                    });
+                });
+                Object.keys(totals).forEach(k => { totals[k] += row[k]; });
+                buses.push(row);
+            });
+        });
+
+        const marked = new Set();
+        Object.values(records).forEach(rec => Object.entries(rec.marks || {}).forEach(([n, m]) => { if (m && m.status) marked.add(n); }));
+        const rosterNames = Object.keys(roster);
+        const notRouted = rosterNames.filter(n => !seen.has(n) && !marked.has(n)).sort();
+        const unknown = rosterNames.length ? [...marked].filter(n => !roster[n]).sort() : [];
+
+        return { date: date, mode: mode, buses: buses, totals: totals,
+            boarded: boarded, unchecked: unchecked, absent: absent, parent: parent,
+            notRouted: notRouted, unknown: unknown };
+    }
+
+    function _currentManifest() {
+        const date = _view.date || _today(), mode = _mode();
+        return manifest({ shifts: _shifts(), records: recordsFor(date, mode), roster: _roster(),
+            isArrival: _isArrival(), date: date, mode: mode });
+    }
+
+    // ── CSV export ───────────────────────────────────────────────────────────
+    function exportManifestCsv() {
+        const mf = _currentManifest();
+        const isArr = mf.mode === 'arrival';
+        const q = v => '"' + String(v == null ? '' : v).replace(/"/g, '""') + '"';
+        const rows = [['Camper', 'Status', 'Shift', 'Bus', 'Stop', 'Address', 'Marked by', 'Marked at']];
+        const push = (list, status) => list.forEach(e => rows.push([e.name, statusLabel(status, isArr), e.shift, e.busName,
+            e.stopNum, e.address, e.by, e.at ? new Date(e.at).toLocaleTimeString() : '']));
+        push(mf.boarded, 'boarded'); push(mf.absent, 'absent'); push(mf.parent, 'parent'); push(mf.unchecked, null);
+        mf.notRouted.forEach(n => rows.push([n, 'Not on any bus', '', '', '', '', '', '']));
+        mf.unknown.forEach(n => rows.push([n, 'Not in Campistry Me roster', '', '', '', '', '', '']));
+        const csv = rows.map(r => r.map(q).join(',')).join('\n');
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        a.download = 'bus_manifest_' + mf.mode + '_' + mf.date + '.csv';
+        a.click();
+    }
+
+    // -------------------------------------------------------------------------
+    // View (#boardingRoot)
+    // -------------------------------------------------------------------------
+    function _busOptions() {
+        const out = [];
+        _shifts().forEach((sr, si) => (sr.routes || []).forEach(r => {
+            if (r.stops && r.stops.length) out.push({ value: si + '|' + r.busId, shiftIdx: si, route: r,
+                label: (sr.shift?.label || 'Shift ' + (si + 1)) + ' — ' + r.busName });
+        }));
+        return out;
+    }
+
+    function render() {
+        const root = typeof document !== 'undefined' && document.getElementById('boardingRoot');
+        if (!root) return;
+        if (!root._goBoardingWired) { _wire(root); root._goBoardingWired = true; }
+        if (!_view.date) _view.date = _today();
+        const dayMode = _view.date + ':' + _mode();
+        if (_loadedDay !== dayMode) {
+            _loadedDay = dayMode;                         // once per day/mode; Refresh reloads
+            load(_view.date).then(() => _renderBody());
+            if (Object.keys(_dirty).length) flush();      // marks left from an offline stretch
+        }
+
+        const opts = _busOptions();
+        if (!_view.bus) { const ls = _ls(); _view.bus = ls && ls.getItem(LS_BUS); }
+        if (!opts.some(o => o.value === _view.bus)) _view.bus = opts.length ? opts[0].value : null;
+
+        root.innerHTML =
+            '<div class="boarding-toolbar">' +
+                '<div class="boarding-seg">' +
+                    '<button class="' + (_view.tab === 'checkin' ? 'active' : '') + '" data-act="tab" data-tab="checkin">Check-in</button>' +
+                    '<button class="' + (_view.tab === 'manifest' ? 'active' : '') + '" data-act="tab" data-tab="manifest">Manifest</button>' +
+                '</div>' +
+                (_view.tab === 'checkin'
+                    ? '<select class="form-select" data-act="bus">' + (opts.length ? opts.map(o =>
+                        '<option value="' + _esc(o.value) + '"' + (o.value === _view.bus ? ' selected' : '') + '>' + _esc(o.label) + '</option>').join('')
+                        : '<option>No routes yet</option>') + '</select>'
+                    : '') +
+                '<input type="date" class="form-input" data-act="date" value="' + _esc(_view.date) + '">' +
+                '<span class="boarding-sync" id="boardingSync"></span>' +
+            '</div>' +
+            '<div id="boardingBody"></div>';
+        _renderBody();
+        _renderStatus();
+    }
+
+    function _renderBody() {
+        const body = typeof document !== 'undefined' && document.getElementById('boardingBody');
+        if (!body) return;
+        body.innerHTML = _view.tab === 'manifest' ? _manifestHtml() : _checkinHtml();
+    }
+
+    function _checkinHtml() {
+        const opt = _busOptions().find(o => o.value === _view.bus);
+        if (!opt) return '<div class="empty-state"><h3>No routes</h3><p>Generate routes first — check-in follows the route\'s stops.</p></div>';
+        const isArr = _isArrival();
+        const r = opt.route, si = opt.shiftIdx;
+        const rec = _store[dayKey(_view.date, _mode(), si, r.busId)] || { marks: {} };
+        const counts = { boarded: 0, absent: 0, parent: 0, total: 0 };
+        let html = '';
+        r.stops.forEach(st => {
+            if (st.isMonitor || st.isCounselor || !(st.campers || []).length) return;
+            const done = st.campers.filter(c => rec.marks[c.name]?.status).length;
+            html += '<div class="boarding-stop">' +
+                '<div class="boarding-stop-head">' +
+                    '<span class="boarding-stop-num" style="background:' + _esc(r.busColor) + '">' + _esc(st.stopNum) + '</span>' +
+                    '<div class="boarding-stop-info"><div>' + _esc(st.address) + '</div>' +
+                        '<small>' + (st.estimatedTime ? _esc(st.estimatedTime) + ' · ' : '') + done + '/' + st.campers.length + ' checked</small></div>' +
+                    (done < st.campers.length
+                        ? '<button class="btn btn-ghost btn-sm" data-act="stop-all" data-si="' + si + '" data-bus="' + _esc(r.busId) + '" data-stop="' + _esc(st.stopNum) + '">All ' + (isArr ? 'boarded' : 'on bus') + '</button>'
+                        : '') +
+                '</div>';
+            st.campers.forEach(c => {
+                const cur = rec.marks[c.name]?.status || null;
+                counts.total++; if (cur) counts[cur]++;
+                html += '<div class="boarding-camper' + (cur ? ' is-' + cur : '') + '">' +
+                    '<div class="boarding-camper-name">' + _esc(c.name) +
+                        (c.division || c.bunk ? '<small>' + _esc([c.division, c.bunk].filter(Boolean).join(' · ')) + '</small>' : '') + '</div>' +
+                    '<div class="boarding-marks">' + STATUSES.map(s =>
+                        '<button class="boarding-mark m-' + s + (cur === s ? ' active' : '') + '" data-act="mark" data-si="' + si +
+                        '" data-bus="' + _esc(r.busId) + '" data-name="' + _esc(c.name) + '" data-status="' + s + '">' +
+                        _esc(statusLabel(s, isArr)) + '</button>').join('') +
+                    '</div></div>';
+            });
+            html += '</div>';
+        });
+        const left = counts.total - counts.boarded - counts.absent - counts.parent;
+        return '<div class="boarding-progress"><strong>' + (counts.total - left) + ' / ' + counts.total + '</strong> checked · ' +
+            counts.boarded + ' ' + statusLabel('boarded', isArr).toLowerCase() + ' · ' + counts.absent + ' absent · ' +
+            counts.parent + ' with parent' + (left ? ' · <span class="boarding-left">' + left + ' to go</span>' : '') + '</div>' + html;
+    }
+
+    function _manifestHtml() {
+        const mf = _currentManifest();
+        const isArr = mf.mode === 'arrival';
+        const t = mf.totals;
+        const list = (title, items, cls, fmt) => items.length
+            ? '<div class="boarding-mf-list ' + cls + '"><h4>' + _esc(title) + ' (' + items.length + ')</h4><ul>' +
+                items.map(fmt).join('') + '</ul></div>'
+            : '';
+        const who = e => '<li><strong>' + _esc(e.name) + '</strong> — ' + _esc(e.busName) + ', stop ' + _esc(e.stopNum) +
+            ' <small>' + _esc(e.address) + (e.by ? ' · ' + _esc(e.by) : '') + '</small></li>';
+        let html = '<div class="boarding-mf-head">' +
+                '<div><strong>' + (isArr ? 'Camp-arrival manifest' : 'Dismissal manifest') + '</strong> · ' + _esc(mf.date) + '</div>' +
+                '<div class="boarding-mf-actions">' +
+                    '<button class="btn btn-ghost btn-sm" data-act="refresh">Refresh</button>' +
+                    '<button class="btn btn-secondary btn-sm" data-act="csv">Export CSV</button>' +
+                '</div></div>' +
+            '<div class="boarding-mf-totals">' +
+                '<div><b>' + t.assigned + '</b><span>On routes</span></div>' +
+                '<div><b>' + t.boarded + '</b><span>' + _esc(statusLabel('boarded', isArr)) + '</span></div>' +
+                '<div><b>' + t.absent + '</b><span>Absent</span></div>' +
+                '<div><b>' + t.parent + '</b><span>' + _esc(statusLabel('parent', isArr)) + '</span></div>' +
+                '<div class="' + (t.unchecked ? 'warn' : '') + '"><b>' + t.unchecked + '</b><span>Not checked</span></div>' +
+            '</div>';
+        html += list('On a bus, not checked — find these campers', mf.unchecked, 'warn', who);
+        html += list('Absent', mf.absent, '', who);
+        html += list(statusLabel('parent', isArr), mf.parent, '', who);
+        html += list('In Campistry Me, on no bus', mf.notRouted, 'muted', n => '<li>' + _esc(n) + '</li>');
+        html += list('Marked but not in the Campistry Me roster', mf.unknown, 'muted', n => '<li>' + _esc(n) + '</li>');
+        html += '<table class="data-table boarding-mf-table"><thead><tr><th>Bus</th><th>Shift</th><th>On route</th><th>' +
+            _esc(statusLabel('boarded', isArr)) + '</th><th>Absent</th><th>Parent</th><th>Not checked</th></tr></thead><tbody>' +
+            mf.buses.map(b => '<tr><td><span class="boarding-dot" style="background:' + _esc(b.busColor) + '"></span>' + _esc(b.busName) +
+                '</td><td>' + _esc(b.shift) + '</td><td>' + b.assigned + '</td><td>' + b.boarded + '</td><td>' + b.absent +
+                '</td><td>' + b.parent + '</td><td' + (b.unchecked ? ' class="warn"' : '') + '>' + b.unchecked + '</td></tr>').join('') +
+            '</tbody></table>';
+        return html;
+    }
+
+    function _renderStatus() {
+        const el = typeof document !== 'undefined' && document.getElementById('boardingSync');
+        if (!el) return;
+        const n = Object.keys(_dirty).length;
+        el.className = 'boarding-sync' + (n ? ' pending' : '');
+        el.innerHTML = n
+            ? n + ' bus record' + (n === 1 ? '' : 's') + ' waiting to sync <button class="btn btn-ghost btn-sm" data-act="retry">Retry</button>'
+            : 'All check-ins saved';
+    }
+
+    function _wire(root) {
+        root.addEventListener('click', e => {
+            const b = e.target.closest('[data-act]');
+            if (!b || b.tagName === 'SELECT' || b.tagName === 'INPUT') return;
+            const act = b.dataset.act;
+            if (act === 'tab') { _view.tab = b.dataset.tab; render(); }
+            else if (act === 'mark') { mark(Number(b.dataset.si), b.dataset.bus, b.dataset.name, b.dataset.status); _renderBody(); }
+            else if (act === 'stop-all') { _markStop(Number(b.dataset.si), b.dataset.bus, b.dataset.stop); _renderBody(); }
+            else if (act === 'retry') flush();
+            else if (act === 'refresh') load(_view.date).then(_renderBody);
+            else if (act === 'csv') exportManifestCsv();
+        });
+        root.addEventListener('change', e => {
+            const act = e.target.dataset && e.target.dataset.act;
+            if (act === 'bus') {
+                _view.bus = e.target.value;
+                const ls = _ls(); if (ls) ls.setItem(LS_BUS, _view.bus);
+                _renderBody();
+            } else if (act === 'date') {
+                _view.date = e.target.value || _today();
+                render();
+            }
+        });
+    }
+
+    function _markStop(shiftIdx, busId, stopNum) {
+        const sr = _shifts()[shiftIdx];
+        const r = sr && (sr.routes || []).find(x => x.busId === busId);
+        const st = r && r.stops.find(s => String(s.stopNum) === String(stopNum));
+        if (!st) return;
+        const rec = _store[dayKey(_view.date || _today(), _mode(), shiftIdx, busId)];
+        (st.campers || []).forEach(c => {
+            if (!rec || !rec.marks[c.name]?.status) mark(shiftIdx, busId, c.name, 'boarded');
+        });
+    }
+
+    _restore();
+    if (typeof window.addEventListener === 'function') window.addEventListener('online', () => { flush(); });
+
+    return {
+        attach: attach, render: render,
+        mark: mark, load: load, flush: flush,
+        manifest: manifest, exportManifestCsv: exportManifestCsv,
+        recordsFor: recordsFor, mergeRecords: mergeRecords, dayKey: dayKey,
+        STATUSES: STATUSES
+    };
+
+})();
@@ -21,6 +21,11 @@
 //   'state'     — setup, buses, shifts, monitors, counselors (all modes)
 //   'addresses' — geocoded camper addresses (large; kept in own row)
 //   'routes'    — computed route results   (large; kept in own row)
+//   'boarding:<date>:<mode>:<shiftIdx>:<busId>'
+//               — one bus's check-ins for one day (campistry_go_boarding.js).
+//                 One row per bus so two monitors never overwrite each
+//                 other; a season piles up hundreds, so loadAll() skips
+//                 them and loadPrefix() reads one day's.
 //
 // SQL to create:
 //   CREATE TABLE IF NOT EXISTS go_standalone_data (
@@ -42,6 +47,7 @@ window.GoCloudSync = (function () {
     'use strict';
 
     const TABLE = 'go_standalone_data';
+    const DAILY_PREFIX = 'boarding:';
 
     // -------------------------------------------------------------------------
     // Helpers
@@ -117,7 +123,8 @@ window.GoCloudSync = (function () {
             const { data, error } = await client
                 .from(TABLE)
                 .select('data_type, data, updated_at')   // ★ CB-114: include updated_at for recency
-                .eq('camp_id', campId);
+                .eq('camp_id', campId)
+                .not('data_type', 'like', DAILY_PREFIX + '%');
 
             if (error) {
                 console.warn('[GoCloud] Load error:', error.message);
@@ -148,8 +155,38 @@ window.GoCloudSync = (function () {
         }
     }
 
+    // -------------------------------------------------------------------------
+    // loadPrefix(prefix)
+    // Rows whose data_type starts with prefix, as { data_type: data }.
+    // Returns null on error, {} when there are none.
+    // -------------------------------------------------------------------------
+    async function loadPrefix(prefix) {
+        if (!isReady()) return null;
+        const campId = getCampId();
+        const client = getClient();
+
+        try {
+            const { data, error } = await client
+                .from(TABLE)
+                .select('data_type, data')
+                .eq('camp_id', campId)
+                .like('data_type', String(prefix).replace(/[%_\\]/g, '\\$&') + '%');
+
+            if (error) {
+                console.warn('[GoCloud] Load error for', prefix + '*:', error.message);
+                return null;
+            }
+            const result = {};
+            for (const row of (data || [])) result[row.data_type] = row.data;
+            return result;
+        } catch (e) {
+            console.error('[GoCloud] Load exception:', prefix + '*', e);
+            return null;
+        }
+    }
+
     // -------------------------------------------------------------------------
     // Public API
     // -------------------------------------------------------------------------
-    return { save, loadAll };
+    return { save, loadAll, loadPrefix };
 })();
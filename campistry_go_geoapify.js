@@ -160,12 +160,24 @@ window.GoGeoapifyOptimizer = (function () {
 
         const campCoord = [campLng, campLat]; // Geoapify uses [lng, lat]
 
+        // Transport needs (campistry_go_transport_needs.js): a stop whose riders
+        // need a lift, an aide or a car seat carries them as requirements; only
+        // buses listing the matching capabilities can take it. Geoapify has one
+        // load dimension, so wheelchair / car-seat counts are left to the audit.
+        const TN = window.GoTransportNeeds;
+        const typed = !!(TN && TN.constrained(stops, vehicles));
+
         // ── Build agents (buses) ──
         const agents = vehicles.map(function (v) {
             const cap = v.capacity || 44;
-            return isArrival
+            const a = isArrival
                 ? { pickup_capacity:   cap, end_location:   campCoord }
                 : { delivery_capacity: cap, start_location: campCoord };
+            if (typed) {
+                const have = TN.capabilities(TN.capsFor(v));
+                if (have.length) a.capabilities = have;
+            }
+            return a;
         });
 
         // ── Build jobs (stops) ──
@@ -179,6 +191,10 @@ window.GoGeoapifyOptimizer = (function () {
             } else {
                 j.delivery_amount = s.campers.length;
             }
+            if (typed) {
+                const need = TN.requirements(TN.profile(s));
+                if (need.length) j.requirements = need;
+            }
             return j;
         });
 
@@ -350,19 +366,26 @@ window.GoGeoapifyOptimizer = (function () {
     // -------------------------------------------------------------------------
     function _cheapestInsert(routes, stop, vehicles) {
         if (!stop) return;
+        // Buses that fit the stop's transport needs first, else the cheapest
+        // with seats — the needs pass in generateRoutes moves or reports it.
+        const TN = window.GoTransportNeeds;
         let bestRoute = null, bestPos = 0, bestCost = Infinity;
+        let anyRoute = null, anyPos = 0, anyCost = Infinity;
         for (const route of routes) {
             const v = vehicles.find(function (v) { return v.busId === route.busId; });
             if (v && route.camperCount + stop.campers.length > v.capacity) continue;
+            const needsOk = !TN || TN.fits(route, stop, v);
             for (let i = 0; i <= route.stops.length; i++) {
                 const prev = route.stops[i - 1] || null;
                 const next = route.stops[i]     || null;
                 const cost = (prev ? _hav(prev.lat, prev.lng, stop.lat, stop.lng) : 0)
                            + (next ? _hav(stop.lat, stop.lng, next.lat, next.lng) : 0)
                            - (prev && next ? _hav(prev.lat, prev.lng, next.lat, next.lng) : 0);
-                if (cost < bestCost) { bestCost = cost; bestRoute = route; bestPos = i; }
+                if (needsOk && cost < bestCost) { bestCost = cost; bestRoute = route; bestPos = i; }
+                if (cost < anyCost) { anyCost = cost; anyRoute = route; anyPos = i; }
             }
         }
+        if (!bestRoute && anyRoute) { bestRoute = anyRoute; bestPos = anyPos; }
         if (bestRoute) {
             bestRoute.stops.splice(bestPos, 0, { stopNum: bestPos + 1, campers: stop.campers, address: stop.address, lat: stop.lat, lng: stop.lng });
             bestRoute.stops.forEach(function (s, i) { s.stopNum = i + 1; });
@@ -190,6 +190,12 @@ window.GoGoogleOptimizer = (function () {
         const campLocation = { latitude: campLat, longitude: campLng };
         const SKIP_PENALTY = 10000;
 
+        // Transport needs (campistry_go_transport_needs.js): a stop whose riders
+        // need a lift, an aide or a car seat may only go on a bus with one, and
+        // wheelchairs / car seats are counted as their own load types.
+        const TN = window.GoTransportNeeds;
+        const typed = !!(TN && TN.constrained(stops, vehicles));
+
         const shipments = stops.map((stop, idx) => {
             const homeLocation = { latitude: stop.lat, longitude: stop.lng };
             const homeVisit = {
@@ -203,10 +209,22 @@ window.GoGoogleOptimizer = (function () {
                 label:           'camp:' + idx
             };
 
+            const loadDemands = { campers: { amount: String(stop.campers.length) } };
+            let allowedVehicleIndices = null;
+            if (typed) {
+                const p = TN.profile(stop);
+                if (p.wheelchair) loadDemands.wheelchair = { amount: String(p.wheelchair) };
+                if (p.carSeat)    loadDemands.carSeat    = { amount: String(p.carSeat) };
+                allowedVehicleIndices = TN.vehicleIndices(stop, vehicles);
+            }
+
             return {
                 label:       String(idx),
                 penaltyCost: SKIP_PENALTY,
-                loadDemands: { campers: { amount: String(stop.campers.length) } },
+                loadDemands: loadDemands,
+                // An empty list (no bus can carry the stop) is left off: the
+                // stop still rides somewhere and the needs audit reports it.
+                ...(allowedVehicleIndices && allowedVehicleIndices.length ? { allowedVehicleIndices } : {}),
                 // No pickupToDeliveryTimeLimit — hard per-camper ride cap caused
                 // far stops to be declared infeasible and cheapest-inserted in
                 // random positions, creating zigzag routes. Ride-time violations
@@ -286,6 +304,11 @@ window.GoGoogleOptimizer = (function () {
                 costPerKilometer: 1,
                 routeDurationLimit: routeDurationLimit
             };
+            if (typed) {
+                const caps = TN.capsFor(v);
+                veh.loadLimits.wheelchair = { maxLoad: String(caps.wheelchairSeats) };
+                veh.loadLimits.carSeat    = { maxLoad: String(caps.carSeats) };
+            }
 
             // Per-vehicle time window (Phase 2)
             const vtw = vtwByBusId[v.busId];
@@ -656,7 +679,7 @@ window.GoGoogleOptimizer = (function () {
     }
 
     // -------------------------------------------------------------------------
-    // _cheapestInsert — unchanged from v4
+    // _cheapestInsert — v4, plus the transport-needs preference
     // -------------------------------------------------------------------------
     function _cheapestInsert(routes, stop, vehicles) {
         if (!routes.length) return;
@@ -670,10 +693,15 @@ window.GoGoogleOptimizer = (function () {
             return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
         };
 
+        // Buses that fit the stop's transport needs first; failing that, the
+        // cheapest bus with seats (enforce() / the audit take it from there).
+        const TN = window.GoTransportNeeds;
         let best = null, bestCost = Infinity, bestPos = 0;
+        let any = null, anyCost = Infinity, anyPos = 0;
         for (const route of routes) {
             const cap = route._cap || 44;
             if (route.camperCount + stop.campers.length > cap) continue;
+            const needsOk = !TN || TN.fits(route, stop, vehicles.find(v => v.busId === route.busId));
 
             for (let pos = 0; pos <= route.stops.length; pos++) {
                 let cost;
@@ -691,11 +719,15 @@ window.GoGoogleOptimizer = (function () {
                            haversine(stop.lat, stop.lng, next.lat, next.lng) -
                            haversine(prev.lat, prev.lng, next.lat, next.lng);
                 }
-                if (cost < bestCost) {
+                if (needsOk && cost < bestCost) {
                     bestCost = cost; best = route; bestPos = pos;
                 }
+                if (cost < anyCost) {
+                    anyCost = cost; any = route; anyPos = pos;
+                }
             }
         }
+        if (!best && any) { best = any; bestPos = anyPos; }
 
         if (best) {
             best.stops.splice(bestPos, 0, {
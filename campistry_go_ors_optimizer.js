@@ -58,6 +58,8 @@
 //   1. campistry_go.js calls GoOrsOptimizer.optimizeTours(options)
 //   2. stops[] → jobs[] (id = stop_index + 1, location = [lng, lat], amount = [campers])
 //   3. vehicles[] → vehicles[] (id = vehicle_index + 1, capacity = [effectiveCap])
+//      When a stop's riders need a lift, an aide or a car seat, both sides go
+//      typed — [seats, wheelchairs, car seats] plus need skills (GoTransportNeeds)
 //      Dismissal: vehicle start = camp (bus leaves camp, stops end at last home)
 //      Arrival:   vehicle end   = camp (bus starts at first pickup, ends at camp)
 //   4. If multiple buses: recursively bisect stops by geography (bearing → distance
@@ -69,6 +71,10 @@
 //
 // Requires: D.setup.orsKey set in Setup → Advanced Settings,
 //           OR window.__CAMPISTRY_ORS_KEY__ defined before this script loads.
+//
+// Self-hosted VROOM: options.endpoint points the same request at a local
+// vroom-express (no key needed); options.profile / options.source override the
+// vehicle profile and the routes' _source tag. See campistry_go_osrm_vroom.js.
 // =============================================================================
 
 window.GoOrsOptimizer = (function () {
@@ -99,6 +105,9 @@ window.GoOrsOptimizer = (function () {
     //   isArrival     : bool   — true = pickup at homes and deliver to camp
     //   serviceTimeSec: number — dwell time per stop in seconds (default 120)
     //   apiKey        : string — ORS API key (caller may supply directly)
+    //   endpoint      : string — self-hosted VROOM URL (no key required)
+    //   profile       : string — vehicle profile (default 'driving-hgv')
+    //   source        : string — _source tag on the routes (default 'ors-vroom')
     // }
     //
     // Returns array of route objects (app format) or null on any failure.
@@ -106,12 +115,12 @@ window.GoOrsOptimizer = (function () {
     async function optimizeTours(options) {
         const { stops, vehicles, campLat, campLng, isArrival, serviceTimeSec, apiKey } = options;
 
-        const key = apiKey
+        const key = options.endpoint ? (apiKey || null) : (apiKey
             || (window._GoSetup ? window._GoSetup()?.orsKey : null)
             || window.__CAMPISTRY_ORS_KEY__
-            || null;
+            || null);
 
-        if (!key)             { console.warn('[OrsVroom] No API key — set D.setup.orsKey or window.__CAMPISTRY_ORS_KEY__'); return null; }
+        if (!key && !options.endpoint) { console.warn('[OrsVroom] No API key — set D.setup.orsKey or window.__CAMPISTRY_ORS_KEY__'); return null; }
         if (!stops || !stops.length)    { console.warn('[OrsVroom] No stops provided');    return null; }
         if (!vehicles || !vehicles.length) { console.warn('[OrsVroom] No vehicles provided'); return null; }
         if (campLat == null || campLng == null) { console.warn('[OrsVroom] Camp coordinates missing'); return null; }
@@ -394,6 +403,11 @@ window.GoOrsOptimizer = (function () {
         //   Grandfathered stops get a boost so they stick to last year's pattern.
         // skills:  used for hard bus pins. A stop whose campers are all forced onto
         //   one bus gets a unique skill; only that vehicle declares that skill.
+        // Transport needs (campistry_go_transport_needs.js): when a stop asks for
+        //   a lift, an aide or a car seat, amount becomes [seats, wheelchairs,
+        //   car seats] and the needs become skills only capable buses declare.
+        const TN = window.GoTransportNeeds;
+        const typed = !!(TN && TN.constrained(stops, vehicles));
         const jobs = stops.map(function (stop, idx) {
             var job = {
                 id:       idx + 1,
@@ -408,6 +422,12 @@ window.GoOrsOptimizer = (function () {
                 // Skill id 1000+idx encodes the forced vehicle index
                 job.skills = [1000 + (stop._forcedBusIdx | 0)];
             }
+            if (typed) {
+                var p = TN.profile(stop);
+                job.amount = [p.seats, p.wheelchair, p.carSeat];
+                var needSkills = TN.skills(TN.requirements(p));
+                if (needSkills.length) job.skills = (job.skills || []).concat(needSkills);
+            }
             return job;
         });
 
@@ -437,11 +457,16 @@ window.GoOrsOptimizer = (function () {
                 // HGV = heavy-goods-vehicle. Closest ORS profile to a school bus:
                 // respects truck turn restrictions, avoids low bridges and roads
                 // posted against heavy vehicles, and applies lower free-flow speeds.
-                profile:  'driving-hgv',
+                profile:  options.profile || 'driving-hgv',
                 capacity: [effectiveCap],     // must match jobs[].amount dimensionality
                 skills:   [1000 + idx],       // identity skill — supports hard "pin to bus" via job.skills
                 max_travel_time: routeDurSec  // hard cap on total driving + service per route
             };
+            if (typed) {
+                const caps = TN.capsFor(v);
+                veh.capacity = [effectiveCap, caps.wheelchairSeats, caps.carSeats];
+                veh.skills = veh.skills.concat(TN.skills(TN.capabilities(caps)));
+            }
 
             if (isArrival) {
                 // Arrival mode: bus starts at first pickup (no fixed start),
@@ -473,12 +498,11 @@ window.GoOrsOptimizer = (function () {
 
         let resp, data;
         try {
-            resp = await fetch(ENDPOINT, {
+            const headers = { 'Content-Type': 'application/json' };
+            if (key) headers.Authorization = key;   // ORS uses plain key, no "Bearer" prefix
+            resp = await fetch(options.endpoint || ENDPOINT, {
                 method:  'POST',
-                headers: {
-                    'Content-Type':  'application/json',
-                    'Authorization': key        // ORS uses plain key, no "Bearer" prefix
-                },
+                headers: headers,
                 body: JSON.stringify(body)
             });
             data = await resp.json();
@@ -514,7 +538,7 @@ window.GoOrsOptimizer = (function () {
             return null;
         }
 
-        return _parseResponse(data, stops, vehicles, isArrival);
+        return _parseResponse(data, stops, vehicles, isArrival, options.source);
     }
 
     // -------------------------------------------------------------------------
@@ -525,7 +549,7 @@ window.GoOrsOptimizer = (function () {
     // so we do NOT reverse the stop order.
     // For dismissal mode the order is camp → stops, which is also correct as-is.
     // -------------------------------------------------------------------------
-    function _parseResponse(data, stops, vehicles, isArrival) {
+    function _parseResponse(data, stops, vehicles, isArrival, source) {
         const routes = [];
 
         for (var ri = 0; ri < data.routes.length; ri++) {
@@ -583,7 +607,7 @@ window.GoOrsOptimizer = (function () {
                 camperCount:   camperCount,
                 _cap:          vehicle.capacity,
                 totalDuration: route.duration || 0,  // seconds, from Vroom response
-                _source:       'ors-vroom'
+                _source:       source || 'ors-vroom'
             });
         }
 
@@ -625,6 +649,10 @@ window.GoOrsOptimizer = (function () {
         var bestRoute = null;
         var bestPos   = 0;
         var bestCost  = Infinity;
+        // Fallback when no bus fits the stop's transport needs: the cheapest
+        // bus with seats. generateRoutes' enforce() pass moves the riders on
+        // or reports them — the stop itself is never dropped for this.
+        var anyRoute = null, anyPos = 0, anyCost = Infinity;
 
         for (var ri = 0; ri < routes.length; ri++) {
             var route = routes[ri];
@@ -642,6 +670,8 @@ window.GoOrsOptimizer = (function () {
                 var _realCap  = Math.max(1, (v.capacity || 44) - _reserved);
                 if (route.camperCount + stop.campers.length > _realCap) continue;
             }
+            // A stop whose riders need a lift / aide / car seat only goes on a bus that has one
+            var needsOk = !window.GoTransportNeeds || window.GoTransportNeeds.fits(route, stop, v);
 
             for (var i = 0; i <= route.stops.length; i++) {
                 var prev = route.stops[i - 1] || null;
@@ -650,13 +680,24 @@ window.GoOrsOptimizer = (function () {
                 var cost = (prev ? _hav(prev.lat, prev.lng, stop.lat, stop.lng) : 0)
                          + (next ? _hav(stop.lat, stop.lng, next.lat, next.lng) : 0)
                          - (prev && next ? _hav(prev.lat, prev.lng, next.lat, next.lng) : 0);
-                if (cost < bestCost) {
+                if (needsOk && cost < bestCost) {
                     bestCost  = cost;
                     bestRoute = route;
                     bestPos   = i;
                 }
+                if (cost < anyCost) {
+                    anyCost  = cost;
+                    anyRoute = route;
+                    anyPos   = i;
+                }
             }
         }
+        if (!bestRoute && anyRoute) {
+            console.warn('[OrsVroom] cheapestInsert: no bus fits the transport needs at ' + stop.address +
+                ' — placed on ' + anyRoute.busName + ' for the needs pass');
+            bestRoute = anyRoute;
+            bestPos   = anyPos;
+        }
 
         if (bestRoute) {
             bestRoute.stops.splice(bestPos, 0, {
@@ -0,0 +1,175 @@
+// =============================================================================
+// campistry_go_osrm_vroom.js — Self-hosted OSRM + VROOM routing backend
+// =============================================================================
+//
+// Route optimization with no per-call cost: a camp (or a test harness) runs
+// its own OSRM road router and a VROOM solver in front of it, and Go talks to
+// them directly instead of Google / Geoapify / ORS.
+//
+//   VROOM (vroom-express)   POST {vroomUrl}/          → same body and response
+//                                                       as ORS /optimization
+//   OSRM                    GET  {osrmUrl}/table/v1/{profile}/{lng,lat;…}
+//                                ?annotations=duration → { code:'Ok', durations }
+//
+// VROOM's HTTP front end speaks exactly the request/response shape ORS does
+// (ORS is VROOM behind an API key), so optimizeTours() hands the job to
+// GoOrsOptimizer with the local endpoint, no key, and the local profile —
+// the geographic bisection, the capacity handling and the unassigned-stop
+// fallback are the ones the ORS path already uses.
+//
+// matrix() is the road-time matrix for the single-bus re-optimize TSP
+// (seconds, row/col 0 = the first coordinate). OSRM caps the coordinates in
+// one table request (--max-table-size, 100 by default), so a larger roster is
+// fetched in blocks of 50 sources × 50 destinations and stitched together.
+//
+// Typical local setup:
+//   osrm-routed --algorithm mld region.osrm            (port 5000)
+//   vroom-express with router 'osrm', profile 'car'   (port 3000)
+//
+// Setup fields (Setup → Advanced Settings → Routing backend):
+//   D.setup.routingBackend = 'osrm-vroom'
+//   D.setup.vroomUrl       = 'http://localhost:3000'
+//   D.setup.osrmUrl        = 'http://localhost:5000'
+//   D.setup.routingProfile = 'car'   (optional; VROOM/OSRM profile name)
+// =============================================================================
+
+window.GoOsrmVroom = (function () {
+    'use strict';
+
+    const DEFAULT_PROFILE = 'car';
+    // OSRM's default --max-table-size. Above it, a block's sources plus its
+    // destinations must fit, so each side gets half.
+    const TABLE_BLOCK = 100;
+
+    function _setup(options) {
+        return (options && options.setup) || (window._GoSetup ? window._GoSetup() : null) || {};
+    }
+    function _base(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+
+    // -------------------------------------------------------------------------
+    // isConfigured(setup?) — true when a VROOM endpoint is set
+    // -------------------------------------------------------------------------
+    function isConfigured(setup) {
+        const s = setup || _setup();
+        return !!_base(s.vroomUrl);
+    }
+
+    // -------------------------------------------------------------------------
+    // optimizeTours(options) — same options and route format as
+    // GoOrsOptimizer.optimizeTours; `_source` is 'osrm-vroom'.
+    // -------------------------------------------------------------------------
+    async function optimizeTours(options) {
+        const s = _setup(options);
+        const url = _base(options.vroomUrl || s.vroomUrl);
+        if (!url) { console.warn('[OsrmVroom] No VROOM URL — set it in Setup → Advanced Settings'); return null; }
+        if (!window.GoOrsOptimizer || typeof window.GoOrsOptimizer.optimizeTours !== 'function') {
+            console.warn('[OsrmVroom] campistry_go_ors_optimizer.js not loaded');
+            return null;
+        }
+        return window.GoOrsOptimizer.optimizeTours(Object.assign({}, options, {
+            endpoint: url + '/',
+            apiKey:   null,
+            profile:  options.profile || s.routingProfile || DEFAULT_PROFILE,
+            source:   'osrm-vroom'
+        }));
+    }
+
+    // -------------------------------------------------------------------------
+    // matrix(coords, setup?) — [{lat,lng}] → seconds[i][j], or null
+    // -------------------------------------------------------------------------
+    async function matrix(coords, setup) {
+        const s = setup || _setup();
+        const url = _base(s.osrmUrl);
+        if (!url || !coords || coords.length < 2) return null;
+        const profile = s.routingProfile || DEFAULT_PROFILE;
+        const n = coords.length;
+        const all = coords.map(c => c.lng + ',' + c.lat).join(';');
+        const out = [];
+        for (let i = 0; i < n; i++) out.push(new Array(n).fill(null));
+
+        const step = n <= TABLE_BLOCK ? TABLE_BLOCK : TABLE_BLOCK / 2;
+        const ranges = [];
+        for (let i = 0; i < n; i += step) ranges.push([i, Math.min(n, i + step)]);
+        const idx = (r) => { const a = []; for (let i = r[0]; i < r[1]; i++) a.push(i); return a; };
+
+        for (const src of ranges) {
+            for (const dst of ranges) {
+                // One coordinate list per request: the sources and destinations
+                // of this block, de-duplicated, then indexed into.
+                const ids = Array.from(new Set(idx(src).concat(idx(dst))));
+                const pos = {}; ids.forEach((id, k) => { pos[id] = k; });
+                const coordStr = n <= TABLE_BLOCK ? all : ids.map(id => coords[id].lng + ',' + coords[id].lat).join(';');
+                const at = (id) => (n <= TABLE_BLOCK ? id : pos[id]);
+                const q = '?annotations=duration' +
+                    '&sources=' + idx(src).map(at).join(';') +
+                    '&destinations=' + idx(dst).map(at).join(';');
+                let data;
+                try {
+                    const resp = await fetch(url + '/table/v1/' + encodeURIComponent(profile) + '/' + coordStr + q);
+                    data = await resp.json();
+                    if (!resp.ok || data.code !== 'Ok' || !Array.isArray(data.durations)) {
+                        console.warn('[OsrmVroom] Table request failed:', (data && (data.message || data.code)) || resp.status);
+                        return null;
+                    }
+                } catch (e) {
+                    console.warn('[OsrmVroom] OSRM unreachable:', e.message);
+                    return null;
+                }
+                data.durations.forEach((row, si) => {
+                    (row || []).forEach((v, di) => {
+                        out[src[0] + si][dst[0] + di] = (v == null ? null : Math.round(v));
+                    });
+                });
+            }
+        }
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // test(setup?, at?) — connection check for the Setup button.
+    // Returns { ok, lines: [string] }.
+    // -------------------------------------------------------------------------
+    async function test(setup, at) {
+        const s = setup || _setup();
+        const lines = [];
+        let ok = true;
+        const here = at || { lat: s.campLat || 40.7128, lng: s.campLng || -74.006 };
+        const near = { lat: here.lat + 0.01, lng: here.lng + 0.01 };
+
+        if (_base(s.osrmUrl)) {
+            const m = await matrix([here, near], s);
+            if (m && m[0][1] != null) lines.push('✅ OSRM: ' + Math.round(m[0][1]) + 's between two test points');
+            else { ok = false; lines.push('❌ OSRM: no travel-time table from ' + _base(s.osrmUrl)); }
+        } else {
+            lines.push('ℹ️  OSRM URL not set — re-optimize falls back to straight-line estimates');
+        }
+
+        if (_base(s.vroomUrl)) {
+            try {
+                const resp = await fetch(_base(s.vroomUrl) + '/', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        jobs: [{ id: 1, location: [near.lng, near.lat], amount: [1] }],
+                        vehicles: [{ id: 1, profile: s.routingProfile || DEFAULT_PROFILE, start: [here.lng, here.lat], capacity: [1] }]
+                    })
+                });
+                const data = await resp.json();
+                if (resp.ok && data.code === 0) lines.push('✅ VROOM: solved a one-stop test route');
+                else { ok = false; lines.push('❌ VROOM: ' + ((data && (data.error || data.message)) || ('HTTP ' + resp.status))); }
+            } catch (e) {
+                ok = false;
+                lines.push('❌ VROOM unreachable at ' + _base(s.vroomUrl) + ': ' + e.message);
+            }
+        } else {
+            ok = false;
+            lines.push('❌ VROOM URL not set');
+        }
+        return { ok: ok, lines: lines };
+    }
+
+    return { isConfigured: isConfigured, optimizeTours: optimizeTours, matrix: matrix, test: test };
+
+})();
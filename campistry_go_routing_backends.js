@@ -0,0 +1,132 @@
+// =============================================================================
+// campistry_go_routing_backends.js — Pluggable optimizer / matrix backends
+// =============================================================================
+//
+// Go's per-bus TSP and its global fallback used to call GoGoogleOptimizer by
+// name, and the single-bus re-optimize had no road matrix at all. Every
+// routing service is now a backend behind one interface:
+//
+//   {
+//     id, label,
+//     isConfigured(setup)       → bool
+//     optimizeTours(options)    → routes (app format) | null
+//                                 options as GoGoogleOptimizer / GoOrsOptimizer
+//                                 take them: stops, vehicles, campLat/Lng,
+//                                 isArrival, serviceTimeSec, departureTime, …
+//     matrix(coords, setup)?    → seconds[i][j] | null   (optional)
+//   }
+//
+// D.setup.routingBackend picks one ('google' when unset, the Campistry-hosted
+// default). A backend that is picked but not configured is NOT silently
+// swapped for a paid one — resolve() returns null and Go says so.
+//
+// Built in:
+//   'google'      GoGoogleOptimizer via the optimize-routes edge function
+//   'ors'         GoOrsOptimizer (OpenRouteService, API key)
+//   'geoapify'    GoGeoapifyOptimizer (API key)
+//   'osrm-vroom'  GoOsrmVroom — self-hosted OSRM + VROOM, no per-call cost
+//
+// register() adds or replaces one (a test harness registers a stand-in).
+// =============================================================================
+
+window.GoRoutingBackends = (function () {
+    'use strict';
+
+    const DEFAULT_ID = 'google';
+    const _backends = {};
+    const _order = [];
+
+    function register(backend) {
+        if (!backend || !backend.id || typeof backend.optimizeTours !== 'function') {
+            console.warn('[RoutingBackends] register() needs { id, optimizeTours }');
+            return;
+        }
+        if (!_backends[backend.id]) _order.push(backend.id);
+        _backends[backend.id] = backend;
+    }
+    function get(id) { return _backends[id] || null; }
+    function list() { return _order.map(id => _backends[id]); }
+
+    function _setup(setup) {
+        return setup || (window._GoSetup ? window._GoSetup() : null) || {};
+    }
+    function selectedId(setup) {
+        return _setup(setup).routingBackend || DEFAULT_ID;
+    }
+
+    // -------------------------------------------------------------------------
+    // resolve(setup) — the selected backend when it is ready to use, else null
+    // -------------------------------------------------------------------------
+    function resolve(setup) {
+        const s = _setup(setup);
+        const b = get(selectedId(s));
+        if (!b) return null;
+        try { return b.isConfigured(s) ? b : null; } catch (e) { return null; }
+    }
+
+    // -------------------------------------------------------------------------
+    // optimizeTours(setup, options) — dispatch to the selected backend.
+    // Google takes `serviceTime`, the VROOM family `serviceTimeSec`; both are
+    // passed so callers can use either.
+    // -------------------------------------------------------------------------
+    async function optimizeTours(setup, options) {
+        const s = _setup(setup);
+        const b = resolve(s);
+        if (!b) {
+            console.warn('[RoutingBackends] Backend "' + selectedId(s) + '" is not configured');
+            return null;
+        }
+        const svc = options.serviceTimeSec != null ? options.serviceTimeSec : options.serviceTime;
+        return b.optimizeTours(Object.assign({}, options, { serviceTimeSec: svc, serviceTime: svc, setup: s }));
+    }
+
+    // -------------------------------------------------------------------------
+    // matrix(setup, coords) — road seconds from the selected backend, or null
+    // (callers fall back to their haversine estimate).
+    // -------------------------------------------------------------------------
+    async function matrix(setup, coords) {
+        const s = _setup(setup);
+        const b = resolve(s);
+        if (!b || typeof b.matrix !== 'function') return null;
+        try { return await b.matrix(coords, s); } catch (e) {
+            console.warn('[RoutingBackends] ' + b.id + ' matrix failed:', e.message);
+            return null;
+        }
+    }
+
+    // ── Built-in backends ────────────────────────────────────────────────────
+    register({
+        id: 'google',
+        label: 'Google Route Optimization (Campistry-hosted)',
+        isConfigured: s => !!(s.googleMapsKey && s.googleProjectId && window.GoGoogleOptimizer?.optimizeTours),
+        optimizeTours: options => window.GoGoogleOptimizer.optimizeTours(options)
+    });
+    register({
+        id: 'ors',
+        label: 'OpenRouteService (API key)',
+        isConfigured: () => !!window.GoOrsOptimizer?.isConfigured(),
+        optimizeTours: options => window.GoOrsOptimizer.optimizeTours(options)
+    });
+    register({
+        id: 'geoapify',
+        label: 'Geoapify Route Planner (API key)',
+        isConfigured: () => !!window.GoGeoapifyOptimizer?.isConfigured(),
+        optimizeTours: options => window.GoGeoapifyOptimizer.optimizeTours(Object.assign({}, options, {
+            apiKey: options.apiKey || options.setup?.geoapifyKey
+        }))
+    });
+    register({
+        id: 'osrm-vroom',
+        label: 'Self-hosted OSRM + VROOM',
+        isConfigured: s => !!window.GoOsrmVroom?.isConfigured(s),
+        optimizeTours: options => window.GoOsrmVroom.optimizeTours(options),
+        matrix: (coords, s) => window.GoOsrmVroom.matrix(coords, s)
+    });
+
+    return {
+        register: register, get: get, list: list,
+        selectedId: selectedId, resolve: resolve,
+        optimizeTours: optimizeTours, matrix: matrix
+    };
+
+})();
@@ -0,0 +1,400 @@
+// =============================================================================
+// campistry_go_scenarios.js — Fleet-size / bell-time scenario planner
+// =============================================================================
+//
+// "Could we do this with 2 fewer buses if pickup started 10 minutes earlier?"
+// used to mean editing Setup, regenerating, writing the numbers down and
+// putting everything back. This module runs the routing pipeline over a grid
+// of fleet sizes × shift-time offsets × max-ride-time limits and tabulates
+// each result so a director can pick a trade-off and apply it.
+//
+// GRID
+//   fleetSizes × startOffsets (minutes, applied to every shift's time) ×
+//   maxRideTimes, capped at MAX_SCENARIOS runs. A fleet of n keeps the n buses
+//   the routes can least do without: buses with a lift, aide or car seats
+//   first (campistry_go_transport_needs.js), then the largest, then fleet
+//   order.
+//
+// RUNS
+//   Sequential, one ctx.runScenario() per scenario — generateRoutes() in
+//   dry-run mode: nothing saved, no staff suggestions written, D untouched.
+//   Every run calls the routing backend, so the grid size is shown before a
+//   run starts and a run can be stopped between scenarios.
+//
+// METRICS (per scenario, over all shifts)
+//   buses        — buses carrying at least one camper
+//   miles        — the road polyline when the backend returned one, else the
+//                  stop chain × ROAD_FACTOR (camp leg included)
+//   longestRide  — the longest stop _rideTimeMin Go's ETA pass wrote
+//   avgWalkFt    — Manhattan walk home → stop, averaged over riders
+//   grade        — computeRouteQuality per shift, weighted by campers
+//   short        — campers routed in the best scenario but not this one
+//   A scenario no other scenario beats on buses, miles, longest ride, walk
+//   and score (with nobody left off) is marked as a trade-off.
+//
+// APPLY
+//   ctx.applyScenario(scenario, shiftResults) — writes the shift times, the
+//   ride-time limit and the shifts' bus lists, and installs the scenario's
+//   routes as the saved routes (no re-run, so the routes are the ones in the
+//   table).
+//
+// Public API:
+//   GoScenarios.attach(ctx)           — { getBuses, getSetup, isArrival,
+//                                         getAddresses, getCamp,
+//                                         runScenario, quality, grade,
+//                                         applyScenario, done }
+//   GoScenarios.grid(opts)            → [scenario]   opts { fleetSizes,
+//                                                     startOffsets, maxRideTimes }
+//   GoScenarios.fleetFor(buses, n)    → [busId]
+//   GoScenarios.metrics(shiftResults) → { buses, miles, longestRide, avgWalkFt,
+//                                         campers, score, grade }
+//   GoScenarios.tradeOffs(rows)       → rows, each with .tradeOff
+//   GoScenarios.run(opts, onProgress) → Promise<[row]>
+//   GoScenarios.cancel() / results() / apply(id) / render()
+// =============================================================================
+
+window.GoScenarios = (function () {
+    'use strict';
+
+    const MAX_SCENARIOS = 24;
+    const ROAD_FACTOR = 1.35;       // as campistry_go.js
+    const FT_PER_MI = 5280;
+
+    let _ctx = {};
+    let _rows = [];
+    let _running = false;
+    let _cancel = false;
+    let _status = '';
+    let _form = null;               // last grid entered in the card
+
+    // ── Context (wired by campistry_go.js) ───────────────────────────────────
+    function attach(ctx) {
+        _ctx = Object.assign({}, _ctx, ctx || {});
+        render();
+    }
+    function _call(name, dflt) {
+        try { const v = _ctx[name] && _ctx[name](); return v == null ? dflt : v; } catch (_) { return dflt; }
+    }
+    function _buses() { return _call('getBuses', []); }
+    function _setup() { return _call('getSetup', {}); }
+    function _addresses() { return _call('getAddresses', {}); }
+    function _camp() {
+        const c = _call('getCamp', null);
+        if (c && c.lat && c.lng) return c;
+        const s = _setup();
+        return s.campLat && s.campLng ? { lat: s.campLat, lng: s.campLng } : null;
+    }
+
+    // ── Geometry helpers ─────────────────────────────────────────────────────
+    function _mi(aLat, aLng, bLat, bLng) {
+        const R = 3958.8, toR = Math.PI / 180;
+        const dLat = (bLat - aLat) * toR, dLng = (bLng - aLng) * toR;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(aLat * toR) * Math.cos(bLat * toR) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+    // Grid-street walk, as manhattanMi() in campistry_go.js
+    function _walkMi(aLat, aLng, bLat, bLng) { return _mi(aLat, aLng, bLat, aLng) + _mi(bLat, aLng, bLat, bLng); }
+    function _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+    function _signed(n) { return n > 0 ? '+' + n : n < 0 ? '−' + Math.abs(n) : '0'; }
+
+    // -------------------------------------------------------------------------
+    // The grid
+    // -------------------------------------------------------------------------
+    function fleetFor(buses, n) {
+        const TN = window.GoTransportNeeds;
+        const special = b => (TN ? TN.capabilities(TN.capsOf(b)).length : 0);
+        const keep = new Set((buses || [])
+            .map((b, i) => ({ b, i }))
+            .sort((x, y) => special(y.b) - special(x.b) ||
+                ((y.b.capacity || 0) - (x.b.capacity || 0)) || x.i - y.i)
+            .slice(0, Math.max(0, n))
+            .map(x => x.b.id));
+        return (buses || []).filter(b => keep.has(b.id)).map(b => b.id);
+    }
+
+    function _uniq(list) {
+        const out = [];
+        (list || []).forEach(v => { const n = Number(v); if (Number.isFinite(n) && !out.includes(n)) out.push(n); });
+        return out;
+    }
+
+    function grid(opts) {
+        const buses = _buses();
+        const setup = _setup();
+        const o = opts || {};
+        const sizes = _uniq(o.fleetSizes).map(n => Math.round(n)).filter(n => n >= 1 && n <= buses.length);
+        const offsets = _uniq(o.startOffsets).map(n => Math.round(n));
+        const rides = _uniq(o.maxRideTimes).map(n => Math.round(n)).filter(n => n > 0);
+        if (!sizes.length && buses.length) sizes.push(buses.length);
+        if (!offsets.length) offsets.push(0);
+        if (!rides.length) rides.push(setup.maxRideTime || 45);
+
+        const mode = _call('isArrival', false) ? 'arrival' : 'dismissal';
+        const out = [];
+        sizes.forEach(n => offsets.forEach(off => rides.forEach(ride => {
+            out.push({
+                id: 's' + (out.length + 1),
+                fleetSize: n,
+                busIds: fleetFor(buses, n),
+                startOffsetMin: off,
+                maxRideTime: ride,
+                mode,
+                label: n + ' bus' + (n === 1 ? '' : 'es') + ' · ' + _signed(off) + ' min · ' + ride + ' min ride cap'
+            });
+        })));
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // Metrics for one scenario's shift results
+    // -------------------------------------------------------------------------
+    function _routeMiles(r, camp, isArrival) {
+        const pts = r._roadPts;
+        let mi = 0;
+        if (Array.isArray(pts) && pts.length > 1) {
+            for (let i = 1; i < pts.length; i++) mi += _mi(pts[i - 1][0], pts[i - 1][1], pts[i][0], pts[i][1]);
+            return mi;
+        }
+        const chain = r.stops.filter(s => s.lat && s.lng);
+        if (camp) {
+            if (isArrival) chain.push(camp);
+            else {
+                chain.unshift(camp);
+                if (r.returnTocamp) chain.push(camp);
+            }
+        }
+        for (let i = 1; i < chain.length; i++) mi += _mi(chain[i - 1].lat, chain[i - 1].lng, chain[i].lat, chain[i].lng);
+        return mi * ROAD_FACTOR;
+    }
+
+    function metrics(shiftResults) {
+        const camp = _camp();
+        const isArrival = _call('isArrival', false);
+        const addrs = _addresses();
+        const busIds = new Set();
+        let miles = 0, longest = 0, walkFt = 0, walkers = 0, campers = 0, scoreSum = 0, scoreW = 0;
+
+        (shiftResults || []).forEach(sr => {
+            const routes = (sr.routes || []).filter(r => r.stops && r.stops.length && r.camperCount > 0);
+            routes.forEach(r => {
+                busIds.add(r.busId);
+                campers += r.camperCount;
+                miles += _routeMiles(r, camp, isArrival);
+                r.stops.forEach(st => {
+                    if (st._rideTimeMin > longest) longest = st._rideTimeMin;
+                    if (st.isMonitor || st.isCounselor || !st.lat) return;
+                    (st.campers || []).forEach(c => {
+                        const a = addrs[c.name];
+                        if (!a || !a.lat || !a.lng) return;
+                        walkFt += _walkMi(a.lat, a.lng, st.lat, st.lng) * FT_PER_MI;
+                        walkers++;
+                    });
+                });
+            });
+            if (!routes.length || !_ctx.quality) return;
+            const q = _ctx.quality(routes);
+            const w = routes.reduce((s, r) => s + r.camperCount, 0);
+            if (q && q.overall) { scoreSum += q.overall.score * w; scoreW += w; }
+        });
+
+        const score = scoreW ? Math.round(scoreSum / scoreW) : 0;
+        return {
+            buses: busIds.size,
+            miles: Math.round(miles * 10) / 10,
+            longestRide: Math.round(longest),
+            avgWalkFt: walkers ? Math.round(walkFt / walkers) : 0,
+            campers,
+            score,
+            grade: _ctx.grade ? _ctx.grade(score) : null
+        };
+    }
+
+    // Pareto front over the finished rows; a row leaving campers behind is
+    // never a trade-off.
+    function tradeOffs(rows) {
+        const done = (rows || []).filter(r => r.metrics);
+        const most = done.reduce((m, r) => Math.max(m, r.metrics.campers), 0);
+        done.forEach(r => { r.short = most - r.metrics.campers; });
+        const keys = [m => m.buses, m => m.miles, m => m.longestRide, m => m.avgWalkFt, m => -m.score];
+        const beats = (a, b) => keys.every(k => k(a) <= k(b)) && keys.some(k => k(a) < k(b));
+        (rows || []).forEach(r => {
+            r.tradeOff = !!r.metrics && r.short === 0 &&
+                !done.some(o => o !== r && o.short === 0 && beats(o.metrics, r.metrics));
+        });
+        return rows;
+    }
+
+    // -------------------------------------------------------------------------
+    // Running the grid
+    // -------------------------------------------------------------------------
+    async function run(opts, onProgress) {
+        if (_running) return _rows;
+        if (!_ctx.runScenario) throw new Error('GoScenarios: not attached');
+        const scenarios = grid(opts).slice(0, MAX_SCENARIOS);
+        _running = true; _cancel = false;
+        _rows = scenarios.map(s => ({ scenario: s, metrics: null, result: null, error: null }));
+        try {
+            for (let i = 0; i < _rows.length; i++) {
+                if (_cancel) break;
+                const row = _rows[i];
+                _status = 'Scenario ' + (i + 1) + ' of ' + _rows.length + ' — ' + row.scenario.label;
+                if (onProgress) onProgress(i, _rows.length, row.scenario);
+                _renderBody();
+                try {
+                    const res = await _ctx.runScenario(row.scenario);
+                    if (res && res.length) {
+                        row.result = res;
+                        row.metrics = metrics(res);
+                    } else {
+                        row.error = 'No routes';
+                    }
+                } catch (e) {
+                    console.error('[GoScenarios] ' + row.scenario.label + ' failed:', e);
+                    row.error = (e && e.message) || 'Failed';
+                }
+                tradeOffs(_rows);
+            }
+            const ran = _rows.filter(r => r.metrics || r.error).length;
+            _status = (_cancel ? 'Stopped after ' : 'Ran ') + ran + ' of ' + _rows.length + ' scenario' + (_rows.length === 1 ? '' : 's');
+        } finally {
+            _running = false;
+            _cancel = false;
+            _renderBody();
+            if (_ctx.done) { try { _ctx.done(_rows); } catch (_) { /* display only */ } }
+        }
+        return _rows;
+    }
+
+    function cancel() { if (_running) { _cancel = true; _status = 'Stopping after this scenario…'; _renderBody(); } }
+    function results() { return _rows.slice(); }
+
+    function apply(id) {
+        const row = _rows.find(r => r.scenario.id === id);
+        if (!row || !row.result || _running || !_ctx.applyScenario) return false;
+        if (_ctx.applyScenario(row.scenario, row.result) === false) return false;
+        _status = 'Applied: ' + row.scenario.label;
+        _renderBody();
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+    // The Routes-tab card
+    // -------------------------------------------------------------------------
+    function _defaults() {
+        const n = _buses().length;
+        const ride = _setup().maxRideTime || 45;
+        return {
+            fleetSizes: [n - 2, n - 1, n].filter(x => x >= 1).join(', '),
+            startOffsets: '-10, 0',
+            maxRideTimes: String(ride)
+        };
+    }
+    function _parseList(text) {
+        return String(text || '').split(/[,\s]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+    }
+    function _readForm(root) {
+        const val = act => { const el = root.querySelector('[data-act="' + act + '"]'); return el ? el.value : ''; };
+        _form = { fleetSizes: val('fleet'), startOffsets: val('offsets'), maxRideTimes: val('rides') };
+        return {
+            fleetSizes: _parseList(_form.fleetSizes),
+            startOffsets: _parseList(_form.startOffsets),
+            maxRideTimes: _parseList(_form.maxRideTimes)
+        };
+    }
+
+    function render() {
+        const root = typeof document !== 'undefined' && document.getElementById('scenarioPlannerRoot');
+        if (!root) return;
+        if (!root._goScenariosWired) { _wire(root); root._goScenariosWired = true; }
+        const f = _form || _defaults();
+        const timeWord = _call('isArrival', false) ? 'Arrival time' : 'Dismissal time';
+        root.innerHTML =
+            '<div class="scenario-form">' +
+                '<label>Fleet sizes<input type="text" class="form-input" data-act="fleet" value="' + _esc(f.fleetSizes) + '" placeholder="8, 9, 10"></label>' +
+                '<label>' + timeWord + ' offsets (min)<input type="text" class="form-input" data-act="offsets" value="' + _esc(f.startOffsets) + '" placeholder="-10, 0, 10"></label>' +
+                '<label>Max ride times (min)<input type="text" class="form-input" data-act="rides" value="' + _esc(f.maxRideTimes) + '" placeholder="45, 60"></label>' +
+                '<span class="scenario-count" id="scenarioCount"></span>' +
+                '<button class="btn btn-primary btn-sm" data-act="run">Run scenarios</button>' +
+                '<button class="btn btn-secondary btn-sm" data-act="stop">Stop</button>' +
+            '</div>' +
+            '<div id="scenarioBody"></div>';
+        _renderCount(root);
+        _renderBody();
+    }
+
+    function _renderCount(root) {
+        const el = root.querySelector('#scenarioCount');
+        if (!el) return;
+        const n = grid(_readForm(root)).length;
+        el.textContent = n + ' run' + (n === 1 ? '' : 's') + (n > MAX_SCENARIOS ? ' — only the first ' + MAX_SCENARIOS + ' will run' : '');
+        el.classList.toggle('warn', n > MAX_SCENARIOS);
+    }
+
+    function _renderBody() {
+        const body = typeof document !== 'undefined' && document.getElementById('scenarioBody');
+        if (!body) return;
+        const root = document.getElementById('scenarioPlannerRoot');
+        const runBtn = root && root.querySelector('[data-act="run"]');
+        const stopBtn = root && root.querySelector('[data-act="stop"]');
+        if (runBtn) runBtn.disabled = _running;
+        if (stopBtn) stopBtn.style.display = _running ? '' : 'none';
+
+        let h = _status ? '<div class="scenario-status">' + _esc(_status) + '</div>' : '';
+        if (!_rows.length) {
+            body.innerHTML = h + '<div class="scenario-empty">Each scenario is a full routing run against the routing backend. ' +
+                'Results appear here as they finish; nothing changes until you apply one.</div>';
+            return;
+        }
+        h += '<div class="table-wrapper"><table class="data-table scenario-table"><thead><tr>' +
+            '<th>Scenario</th><th>Buses used</th><th>Total miles</th><th>Longest ride</th><th>Avg walk</th><th>Grade</th><th></th>' +
+            '</tr></thead><tbody>';
+        _rows.forEach(r => {
+            const s = r.scenario, m = r.metrics;
+            const tag = r.tradeOff ? ' <span class="badge badge-success" title="No other scenario beats it on every measure">Trade-off</span>' : '';
+            if (!m) {
+                h += '<tr class="scenario-pending"><td>' + _esc(s.label) + '</td><td colspan="6">' +
+                    (r.error ? '<span class="scenario-warn">' + _esc(r.error) + '</span>' : _running ? 'Waiting…' : 'Not run') + '</td></tr>';
+                return;
+            }
+            const overCap = m.longestRide > s.maxRideTime;
+            h += '<tr' + (r.tradeOff ? ' class="scenario-best"' : '') + '>' +
+                '<td>' + _esc(s.label) + tag + (r.short ? '<div class="scenario-warn">' + r.short + ' camper' + (r.short === 1 ? '' : 's') + ' not routed</div>' : '') + '</td>' +
+                '<td>' + m.buses + ' / ' + s.fleetSize + '</td>' +
+                '<td>' + m.miles.toFixed(1) + '</td>' +
+                '<td' + (overCap ? ' class="scenario-warn" title="Over the ' + s.maxRideTime + ' min cap"' : '') + '>' + m.longestRide + ' min</td>' +
+                '<td>' + m.avgWalkFt + ' ft</td>' +
+                '<td>' + (m.grade ? '<span class="scenario-grade g-' + _esc(m.grade) + '">' + _esc(m.grade) + '</span> ' : '') + m.score + '</td>' +
+                '<td><button class="btn btn-secondary btn-sm" data-act="apply" data-id="' + _esc(s.id) + '"' + (_running ? ' disabled' : '') + '>Apply</button></td>' +
+            '</tr>';
+        });
+        body.innerHTML = h + '</tbody></table></div>';
+    }
+
+    function _wire(root) {
+        root.addEventListener('click', e => {
+            const b = e.target.closest('[data-act]');
+            if (!b || b.tagName === 'INPUT') return;
+            const act = b.dataset.act;
+            if (act === 'run') {
+                const opts = _readForm(root);
+                const n = Math.min(MAX_SCENARIOS, grid(opts).length);
+                if (typeof confirm === 'function' && !confirm('Run ' + n + ' routing scenario' + (n === 1 ? '' : 's') + '? Each one calls the routing backend.')) return;
+                run(opts);
+            } else if (act === 'stop') cancel();
+            else if (act === 'apply') {
+                const row = _rows.find(r => r.scenario.id === b.dataset.id);
+                if (row && (typeof confirm !== 'function' || confirm('Apply "' + row.scenario.label + '"? This replaces the current routes and updates the shift times, ride-time limit and shift buses.'))) apply(b.dataset.id);
+            }
+        });
+        root.addEventListener('input', e => {
+            if (e.target.dataset && e.target.dataset.act) _renderCount(root);
+        });
+    }
+
+    return {
+        attach, grid, fleetFor, metrics, tradeOffs, run, cancel, results, apply, render,
+        MAX_SCENARIOS
+    };
+})();
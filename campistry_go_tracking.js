@@ -0,0 +1,554 @@
+// =============================================================================
+// campistry_go_tracking.js — Live bus positions, stop ETAs, late flags
+// =============================================================================
+//
+// Approved routes used to stop at the dispatcher dashboard: nothing followed
+// the buses on the day. This module takes GPS fixes, places each bus on its
+// planned stop sequence, and re-projects the ETA of every stop it has not
+// reached yet.
+//
+// FEED
+//   A fix is { busId, shiftIdx?, lat, lng, at (ms), speed?, heading? }.
+//   Three sources, all through ingest():
+//     * the bus-positions edge function → go_bus_positions (migration 016),
+//       read here by connect() (latest rows + realtime INSERTs)
+//     * simulate() — replays a route's road polyline (or the straight
+//       camp → stop chain when none is cached) on the planned schedule, a
+//       stand-in GPS feed for demos and testing
+//     * any caller holding a fix (a test, a tracker bridge)
+//   Without shiftIdx the bus's route is the one whose time window is
+//   nearest the fix.
+//
+// ETAS
+//   A stop counts as reached once a fix comes within ARRIVE_M of it (a later
+//   stop reached marks the earlier ones too). The next stop's ETA is the
+//   straight-line drive from the bus (× ROAD_FACTOR at the setup's average
+//   speed) plus the dwell; every later stop keeps its planned gap to the one
+//   before. A bus never leaves a stop before its planned time, so ETAs only
+//   slip later. Planned times are the stop.estimatedMin values Go wrote.
+//
+// LATE
+//   The route's window: arrival — the bus is at camp by the shift time;
+//   dismissal — it leaves camp at the shift time and the last drop is
+//   planned for the last stop's time. A bus whose projected finish runs past
+//   the end of its window by more than D.setup.lateGraceMin (default 5) is
+//   flagged late — on the map marker and on the dashboard.
+//
+// Public API:
+//   GoTracking.attach(ctx)                 — { getRoutes, getSetup, isArrival,
+//                                              getMap, getCamp }
+//   GoTracking.ingest(fix)                 → status | null
+//   GoTracking.status(shiftIdx, busId)     → status | null
+//   GoTracking.stopEtas(shiftIdx, busId)   → [{ stopNum, address, plannedMin,
+//                                               etaMin, delayMin, reached }]
+//   GoTracking.all()                       → [status]
+//   GoTracking.simulate(shiftIdx, busId, { speedup, tickMs, delayMin })
+//                                          → { stop(), done: Promise }
+//   GoTracking.toggleSimulation(shiftIdx, busId)
+//   GoTracking.connect() / disconnect()    — the cloud feed
+//   GoTracking.liveHtml(shiftIdx, busId)   — the dashboard strip
+//   GoTracking.onChange(fn) / reset()
+// =============================================================================
+
+window.GoTracking = (function () {
+    'use strict';
+
+    const TABLE = 'go_bus_positions';
+    const ARRIVE_M = 75;            // within this of a stop = the bus reached it
+    const STALE_SEC = 120;          // no fix for this long → "no signal"
+    const ROAD_FACTOR = 1.35;       // as campistry_go.js
+    const DEFAULT_GRACE_MIN = 5;
+    const RECENT_MIN = 15;          // connect() backfills fixes this fresh
+
+    let _ctx = {};
+    const _buses = {};              // key → { busId, shiftIdx, lat, lng, at, receivedAt, next, doneMin, simulated }
+    const _sims = {};               // key → simulation handle
+    const _listeners = [];
+    const _markers = {};
+    let _channel = null;
+    let _connecting = null;         // the connect() awaiting its backfill
+
+    function _key(shiftIdx, busId) { return shiftIdx + '_' + busId; }
+
+    // ── Context (wired by campistry_go.js) ───────────────────────────────────
+    function attach(ctx) {
+        _ctx = Object.assign({}, _ctx, ctx || {});
+        _renderMarkers();
+    }
+    function _shifts() { try { return (_ctx.getRoutes && _ctx.getRoutes()) || []; } catch (_) { return []; } }
+    function _setup() { try { return (_ctx.getSetup && _ctx.getSetup()) || {}; } catch (_) { return {}; } }
+    function _isArrival() { try { return !!(_ctx.isArrival && _ctx.isArrival()); } catch (_) { return false; } }
+    function _camp() {
+        try {
+            const c = _ctx.getCamp && _ctx.getCamp();
+            if (c && c.lat && c.lng) return c;
+        } catch (_) { /* fall through */ }
+        const s = _setup();
+        return s.campLat && s.campLng ? { lat: s.campLat, lng: s.campLng } : null;
+    }
+    function _opts() {
+        const s = _setup();
+        return {
+            isArrival:  _isArrival(),
+            avgSpeed:   s.avgSpeed || 25,
+            avgStopMin: s.avgStopTime || 2,
+            graceMin:   s.lateGraceMin != null ? s.lateGraceMin : DEFAULT_GRACE_MIN,
+            camp:       _camp()
+        };
+    }
+
+    // ── Geometry / time helpers ──────────────────────────────────────────────
+    function _meters(aLat, aLng, bLat, bLng) {
+        const R = 6371000, toR = Math.PI / 180;
+        const dLat = (bLat - aLat) * toR, dLng = (bLng - aLng) * toR;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(aLat * toR) * Math.cos(bLat * toR) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+    function _driveMin(a, b, o) {
+        const mi = _meters(a.lat, a.lng, b.lat, b.lng) / 1609.34;
+        return mi * ROAD_FACTOR / o.avgSpeed * 60;
+    }
+    function _parseTime(t, dflt) { const [h, m] = (t || dflt).split(':').map(Number); return h * 60 + (m || 0); }
+    function _minOfDay(ms) { const d = new Date(ms); return d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60; }
+    function _msAtMin(min) { const d = new Date(); d.setHours(0, 0, 0, 0); return d.getTime() + Math.round(min * 60000); }
+    function _fmt(totalMin) {
+        let total = Math.round(totalMin);
+        let h = Math.floor(total / 60), m = total % 60;
+        const p = h >= 12 ? 'PM' : 'AM', h12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
+        return h12 + ':' + String(m).padStart(2, '0') + ' ' + p;
+    }
+    function _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    // Planned stop times, filling any gap from the drive estimate so the
+    // chain is always complete.
+    function _planned(route, shift, o) {
+        const stops = route.stops || [];
+        const out = stops.map(s => (typeof s.estimatedMin === 'number' ? s.estimatedMin : null));
+        const start = _window(route, shift, o, out).startMin;
+        for (let i = 0; i < out.length; i++) {
+            if (out[i] != null) continue;
+            const prev = i > 0 ? stops[i - 1] : (!o.isArrival ? o.camp : null);
+            const prevMin = i > 0 ? out[i - 1] : start;
+            const leg = prev && prev.lat && stops[i].lat ? _driveMin(prev, stops[i], o) : 3;
+            out[i] = prevMin + leg + o.avgStopMin;
+        }
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // The route's time window (minutes of the day)
+    // -------------------------------------------------------------------------
+    function _window(route, shift, o, planned) {
+        const dur = route.totalDuration || 0;
+        if (o.isArrival) {
+            const end = _parseTime(shift && shift.departureTime, '08:00');
+            return { startMin: end - dur, endMin: end };
+        }
+        const start = _parseTime(shift && shift.departureTime, '16:00');
+        const last = planned && planned.length ? planned[planned.length - 1] : null;
+        return { startMin: start, endMin: last != null ? last : start + dur };
+    }
+
+    // -------------------------------------------------------------------------
+    // compute(route, shift, bus, o) — the status of one tracked bus (pure)
+    // -------------------------------------------------------------------------
+    function compute(route, shift, bus, o) {
+        const stops = route.stops || [];
+        const planned = _planned(route, shift, o);
+        const win = _window(route, shift, o, planned);
+        const nowMin = _minOfDay(bus.at);
+        const pos = { lat: bus.lat, lng: bus.lng };
+        const n = stops.length;
+
+        const etas = new Array(n).fill(null);
+        let t = null;
+        for (let i = bus.next; i < n; i++) {
+            if (i === bus.next) {
+                const from = (!o.isArrival && i === 0) ? Math.max(nowMin, win.startMin) : nowMin;
+                const leg = stops[i].lat ? _driveMin(pos, stops[i], o) : 0;
+                t = from + leg + o.avgStopMin;
+            } else {
+                t += planned[i] - planned[i - 1];
+            }
+            t = Math.max(t, planned[i]);
+            etas[i] = t;
+        }
+
+        let finishMin;
+        if (o.isArrival) {
+            if (bus.next < n) finishMin = etas[n - 1] + (win.endMin - planned[n - 1]);
+            else finishMin = nowMin + (o.camp ? _driveMin(pos, o.camp, o) : 0);
+        } else {
+            // Planned times include the dwell, so a finished route is timed
+            // from reaching its last stop plus one.
+            finishMin = bus.next < n ? etas[n - 1] : (bus.doneMin != null ? bus.doneMin : nowMin) + o.avgStopMin;
+        }
+        const lateMin = finishMin - win.endMin;
+        const done = o.isArrival
+            ? bus.next >= n && !!o.camp && _meters(pos.lat, pos.lng, o.camp.lat, o.camp.lng) <= ARRIVE_M
+            : bus.next >= n;
+
+        return {
+            busId: bus.busId, shiftIdx: bus.shiftIdx,
+            busName: route.busName, busColor: route.busColor,
+            lat: bus.lat, lng: bus.lng, at: bus.at, nowMin: nowMin,
+            simulated: !!bus.simulated,
+            stale: !bus.simulated && (Date.now() - bus.receivedAt) > STALE_SEC * 1000,
+            nextIdx: bus.next < n ? bus.next : null,
+            window: win,
+            finishMin: finishMin,
+            lateMin: lateMin,
+            late: lateMin > o.graceMin,
+            done: done,
+            stops: stops.map((s, i) => ({
+                stopNum: s.stopNum, address: s.address,
+                plannedMin: planned[i],
+                etaMin: etas[i],
+                delayMin: etas[i] != null ? etas[i] - planned[i] : null,
+                reached: i < bus.next
+            }))
+        };
+    }
+
+    // Which stops has this fix reached? Advances bus.next in place.
+    function _advance(route, bus) {
+        const stops = route.stops || [];
+        for (let i = stops.length - 1; i >= bus.next; i--) {
+            const s = stops[i];
+            if (s.lat && s.lng && _meters(bus.lat, bus.lng, s.lat, s.lng) <= ARRIVE_M) {
+                bus.next = i + 1;
+                break;
+            }
+        }
+    }
+
+    function _findRoute(busId, shiftIdx, nowMin) {
+        const shifts = _shifts();
+        if (shiftIdx != null && shifts[shiftIdx]) {
+            const r = (shifts[shiftIdx].routes || []).find(x => x.busId === busId && x.stops?.length);
+            return r ? { route: r, shift: shifts[shiftIdx].shift, shiftIdx: shiftIdx } : null;
+        }
+        const o = _opts();
+        let best = null, bestGap = Infinity;
+        shifts.forEach((sr, si) => {
+            const r = (sr.routes || []).find(x => x.busId === busId && x.stops?.length);
+            if (!r) return;
+            const w = _window(r, sr.shift, o, _planned(r, sr.shift, o));
+            const gap = nowMin < w.startMin ? w.startMin - nowMin : nowMin > w.endMin ? nowMin - w.endMin : 0;
+            if (gap < bestGap) { bestGap = gap; best = { route: r, shift: sr.shift, shiftIdx: si }; }
+        });
+        return best;
+    }
+
+    // -------------------------------------------------------------------------
+    // ingest(fix) — one GPS position from any source
+    // -------------------------------------------------------------------------
+    function ingest(fix) {
+        const lat = Number(fix && fix.lat), lng = Number(fix && fix.lng);
+        if (!fix || !fix.busId || !isFinite(lat) || !isFinite(lng) ||
+            Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            console.warn('[GoTracking] Ignored a malformed fix:', fix);
+            return null;
+        }
+        const at = fix.at != null ? Number(fix.at) : Date.now();
+        const found = _findRoute(String(fix.busId), fix.shiftIdx != null ? Number(fix.shiftIdx) : null, _minOfDay(at));
+        if (!found) return null;
+
+        const key = _key(found.shiftIdx, found.route.busId);
+        const bus = _buses[key] || (_buses[key] = { busId: found.route.busId, shiftIdx: found.shiftIdx, next: 0, at: 0 });
+        if (at < bus.at) return status(found.shiftIdx, found.route.busId); // out of order — keep the newer fix
+        const wasDone = bus.next >= (found.route.stops || []).length;
+        Object.assign(bus, { lat: lat, lng: lng, at: at, receivedAt: Date.now(), simulated: !!fix.simulated });
+        if (fix.speed != null) bus.speed = Number(fix.speed);
+        if (fix.heading != null) bus.heading = Number(fix.heading);
+        _advance(found.route, bus);
+        if (!wasDone && bus.next >= found.route.stops.length) bus.doneMin = _minOfDay(at);
+
+        const st = compute(found.route, found.shift, bus, _opts());
+        _emit(st);
+        return st;
+    }
+
+    function status(shiftIdx, busId) {
+        const bus = _buses[_key(shiftIdx, busId)];
+        if (!bus) return null;
+        const found = _findRoute(busId, shiftIdx, _minOfDay(bus.at));
+        return found ? compute(found.route, found.shift, bus, _opts()) : null;
+    }
+    function stopEtas(shiftIdx, busId) {
+        const st = status(shiftIdx, busId);
+        return st ? st.stops : [];
+    }
+    function all() {
+        return Object.values(_buses).map(b => status(b.shiftIdx, b.busId)).filter(Boolean);
+    }
+    function onChange(fn) { if (typeof fn === 'function') _listeners.push(fn); }
+    function reset() {
+        Object.keys(_sims).forEach(k => _sims[k].stop());
+        Object.keys(_buses).forEach(k => delete _buses[k]);
+        Object.keys(_markers).forEach(k => { try { _markers[k].remove(); } catch (_) {} delete _markers[k]; });
+    }
+
+    function _emit(st) {
+        _renderMarker(st);
+        _renderLive(st.shiftIdx, st.busId);
+        _listeners.forEach(fn => { try { fn(st); } catch (e) { console.warn('[GoTracking] listener failed:', e.message); } });
+    }
+
+    // -------------------------------------------------------------------------
+    // Simulator — a route's polyline replayed on its planned schedule
+    // -------------------------------------------------------------------------
+    // track(route, shift, o, geom?) → [{ lat, lng, min }], times non-decreasing.
+    // Anchors are the camp and the stops at their planned times (arriving a
+    // dwell early, leaving on time); the road polyline between two anchors is
+    // walked at an even pace.
+    function track(route, shift, o, geom) {
+        const stops = (route.stops || []).filter(s => s.lat && s.lng);
+        const planned = _planned(route, shift, o);
+        const win = _window(route, shift, o, planned);
+        const plannedOf = new Map((route.stops || []).map((s, i) => [s, planned[i]]));
+        const anchors = [];
+        if (!o.isArrival && o.camp) anchors.push({ lat: o.camp.lat, lng: o.camp.lng, arrive: win.startMin, leave: win.startMin });
+        stops.forEach(s => {
+            const p = plannedOf.get(s);
+            anchors.push({ lat: s.lat, lng: s.lng, arrive: p - o.avgStopMin, leave: p });
+        });
+        if (o.isArrival && o.camp) anchors.push({ lat: o.camp.lat, lng: o.camp.lng, arrive: win.endMin, leave: win.endMin });
+        if (!anchors.length) return [];
+
+        const line = (geom && geom.length > 1) ? geom.map(p => ({ lat: p[0], lng: p[1] })) : anchors;
+        // Nearest polyline vertex to each anchor, searching forward only.
+        const at = [];
+        let from = 0;
+        anchors.forEach(a => {
+            let best = from, bestD = Infinity;
+            for (let i = from; i < line.length; i++) {
+                const d = _meters(a.lat, a.lng, line[i].lat, line[i].lng);
+                if (d < bestD) { bestD = d; best = i; }
+            }
+            at.push(best); from = best;
+        });
+
+        const out = [{ lat: anchors[0].lat, lng: anchors[0].lng, min: anchors[0].arrive }];
+        for (let k = 0; k < anchors.length; k++) {
+            const a = anchors[k];
+            if (k > 0) {
+                const prev = anchors[k - 1];
+                const pts = [prev].concat(line.slice(at[k - 1] + 1, at[k]), [a]);
+                const seg = [0];
+                for (let i = 1; i < pts.length; i++) seg.push(seg[i - 1] + _meters(pts[i - 1].lat, pts[i - 1].lng, pts[i].lat, pts[i].lng));
+                const total = seg[seg.length - 1] || 1;
+                const t0 = prev.leave, t1 = Math.max(prev.leave, a.arrive);
+                for (let i = 1; i < pts.length; i++) out.push({ lat: pts[i].lat, lng: pts[i].lng, min: t0 + (t1 - t0) * seg[i] / total });
+            }
+            if (a.leave > out[out.length - 1].min) out.push({ lat: a.lat, lng: a.lng, min: a.leave });
+        }
+        return out;
+    }
+
+    function positionAt(tr, min) {
+        if (!tr.length) return null;
+        if (min <= tr[0].min) return { lat: tr[0].lat, lng: tr[0].lng };
+        for (let i = 1; i < tr.length; i++) {
+            if (min <= tr[i].min) {
+                const a = tr[i - 1], b = tr[i];
+                const f = b.min > a.min ? (min - a.min) / (b.min - a.min) : 1;
+                return { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f };
+            }
+        }
+        const z = tr[tr.length - 1];
+        return { lat: z.lat, lng: z.lng };
+    }
+
+    // simulate(shiftIdx, busId, opts) — speedup × real time (default 30: a
+    // 40-minute route in 80 s), a fix every tickMs (default 1000), starting
+    // delayMin (default 0) behind the plan. Fix times are the replayed ones.
+    function simulate(shiftIdx, busId, opts) {
+        opts = opts || {};
+        const sr = _shifts()[shiftIdx];
+        const route = sr && (sr.routes || []).find(r => r.busId === busId);
+        if (!route || !route.stops?.length) { console.warn('[GoTracking] No route to simulate for', busId); return null; }
+        const key = _key(shiftIdx, busId);
+        stopSimulation(shiftIdx, busId);
+        delete _buses[key];
+
+        const o = _opts();
+        const geomCache = (window.CampistryGo?._getRouteGeomCache?.()) || window._routeGeomCache || {};
+        const tr = track(route, sr.shift, o, geomCache[busId + '_' + shiftIdx] || route._roadPts);
+        if (!tr.length) return null;
+        const delay = opts.delayMin || 0;
+        const speedup = opts.speedup || 30;
+        const tickMs = opts.tickMs || 1000;
+        const endMin = tr[tr.length - 1].min;
+        let t = tr[0].min;
+
+        let finish;
+        const handle = { key: key, done: new Promise(r => { finish = r; }), stop: null };
+        const step = () => {
+            const p = positionAt(tr, t);
+            ingest({ busId: busId, shiftIdx: shiftIdx, lat: p.lat, lng: p.lng, at: _msAtMin(t + delay), simulated: true });
+            if (t >= endMin) { handle.stop(); return; }
+            t = Math.min(endMin, t + speedup * tickMs / 60000);
+        };
+        const timer = setInterval(step, tickMs);
+        handle.stop = () => {
+            clearInterval(timer);
+            if (_sims[key] === handle) delete _sims[key];
+            _renderLive(shiftIdx, busId);
+            finish();
+        };
+        _sims[key] = handle;
+        step();
+        return handle;
+    }
+    function stopSimulation(shiftIdx, busId) {
+        const h = _sims[_key(shiftIdx, busId)];
+        if (h) h.stop();
+    }
+    function toggleSimulation(shiftIdx, busId) {
+        if (_sims[_key(shiftIdx, busId)]) stopSimulation(shiftIdx, busId);
+        else simulate(shiftIdx, busId);
+    }
+
+    // -------------------------------------------------------------------------
+    // Cloud feed — go_bus_positions rows written by the bus-positions function
+    // -------------------------------------------------------------------------
+    function _campId() {
+        return window.CampistryDB?.getCampId?.() ||
+            (typeof localStorage !== 'undefined' && localStorage.getItem('campistry_camp_id')) || null;
+    }
+    function _fromRow(row) {
+        return {
+            busId: row.bus_id, shiftIdx: row.shift_idx, lat: row.lat, lng: row.lng,
+            speed: row.speed_mps, heading: row.heading, at: Date.parse(row.recorded_at)
+        };
+    }
+
+    // A call made while another is still backfilling shares that one, so a
+    // dashboard re-render never opens a second channel.
+    function connect() {
+        if (_connecting) return _connecting;
+        const client = window.supabase;
+        const id = _campId();
+        if (_channel || !client || !id || typeof client.from !== 'function') return Promise.resolve(false);
+        let attempt = null;
+        attempt = _connecting = _connect(client, id, () => _connecting === attempt)
+            .finally(() => { if (_connecting === attempt) _connecting = null; });
+        return attempt;
+    }
+    async function _connect(client, id, current) {
+        try {
+            const since = new Date(Date.now() - RECENT_MIN * 60000).toISOString();
+            const { data, error } = await client.from(TABLE)
+                .select('bus_id, shift_idx, lat, lng, speed_mps, heading, recorded_at')
+                .eq('camp_id', id).gte('recorded_at', since)
+                .order('recorded_at', { ascending: true }).limit(2000);
+            if (error) throw error;
+            (data || []).forEach(row => ingest(_fromRow(row)));
+        } catch (e) {
+            console.warn('[GoTracking] Backfill failed:', e.message);
+        }
+        // disconnect() while the backfill was out cancels the subscription
+        if (!current()) return false;
+        if (typeof client.channel === 'function') {
+            _channel = client.channel('go-bus-positions-' + id + '-' + Date.now())
+                .on('postgres_changes', { event: 'INSERT', schema: 'public', table: TABLE, filter: 'camp_id=eq.' + id },
+                    payload => { if (payload && payload.new) ingest(_fromRow(payload.new)); })
+                .subscribe();
+        }
+        return true;
+    }
+    function disconnect() {
+        _connecting = null;
+        if (!_channel) return;
+        try { window.supabase?.removeChannel?.(_channel); } catch (_) {}
+        _channel = null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Map markers
+    // -------------------------------------------------------------------------
+    function _renderMarker(st) {
+        const map = _ctx.getMap && _ctx.getMap();
+        if (!map || typeof L === 'undefined') return;
+        const key = _key(st.shiftIdx, st.busId);
+        const cls = 'go-live-bus' + (st.late ? ' late' : '') + (st.stale ? ' stale' : '');
+        const icon = L.divIcon({
+            html: '<div class="' + cls + '" style="background:' + _esc(st.busColor || '#147D91') + '">🚌</div>',
+            className: '', iconSize: [30, 30], iconAnchor: [15, 15]
+        });
+        const next = st.nextIdx != null ? st.stops[st.nextIdx] : null;
+        const tip = _esc(st.busName || st.busId) +
+            (next ? ' · stop ' + next.stopNum + ' ' + _fmt(next.etaMin) : st.done ? ' · done' : '') +
+            (st.late ? ' · ' + Math.round(st.lateMin) + ' min late' : '');
+        let m = _markers[key];
+        if (m && m._map !== map) { try { m.remove(); } catch (_) {} m = null; }
+        if (!m) {
+            m = L.marker([st.lat, st.lng], { icon: icon, zIndexOffset: 1000 }).addTo(map);
+            m.bindTooltip(tip);
+            _markers[key] = m;
+        } else {
+            m.setLatLng([st.lat, st.lng]);
+            m.setIcon(icon);
+            m.setTooltipContent(tip);
+        }
+    }
+    function _renderMarkers() { all().forEach(_renderMarker); }
+
+    // -------------------------------------------------------------------------
+    // Dashboard strip — campistry_go.js puts one under every approved route
+    // -------------------------------------------------------------------------
+    function liveHtml(shiftIdx, busId) {
+        const simming = !!_sims[_key(shiftIdx, busId)];
+        const btn = '<button class="btn btn-ghost btn-sm" onclick="GoTracking.toggleSimulation(' + Number(shiftIdx) +
+            ',\'' + _esc(String(busId).replace(/\\/g, '\\\\').replace(/'/g, "\\'")) + '\')">' +
+            (simming ? '■ Stop replay' : '▶ Replay route') + '</button>';
+        const st = status(shiftIdx, busId);
+        if (!st) return '<span class="dispatch-live-idle">No GPS fix yet</span>' + btn;
+
+        const badge = st.done ? '<span class="dispatch-live-badge done">Done</span>'
+            : st.stale ? '<span class="dispatch-live-badge stale">No signal</span>'
+            : st.late ? '<span class="dispatch-live-badge late">Late +' + Math.round(st.lateMin) + ' min</span>'
+            : '<span class="dispatch-live-badge ok">On time</span>';
+        const next = st.nextIdx != null ? st.stops[st.nextIdx] : null;
+        const finishLbl = _isArrival() ? 'Camp by ' : 'Last drop ';
+        let html = badge + (st.simulated ? '<span class="dispatch-live-sim">replay</span>' : '') +
+            '<span>' + (next
+                ? 'Next: stop ' + next.stopNum + ' · ' + _esc(next.address) + ' · <strong>' + _fmt(next.etaMin) + '</strong>'
+                : (st.done ? 'All stops served' : 'Heading to camp')) + '</span>' +
+            '<span class="dispatch-live-finish">' + finishLbl + _fmt(st.finishMin) +
+                ' (planned ' + _fmt(st.window.endMin) + ')</span>' + btn;
+
+        const rows = st.stops.filter(s => !s.reached).map(s =>
+            '<tr><td>' + _esc(s.stopNum) + '</td><td>' + _esc(s.address) + '</td><td>' + _fmt(s.plannedMin) + '</td>' +
+            '<td><strong>' + _fmt(s.etaMin) + '</strong>' + (s.delayMin >= 1 ? ' <span class="dispatch-live-delay">+' + Math.round(s.delayMin) + '</span>' : '') + '</td></tr>'
+        ).join('');
+        if (rows) {
+            html += '<details class="dispatch-live-etas"><summary>Stop ETAs</summary><table>' +
+                '<thead><tr><th>Stop</th><th>Address</th><th>Planned</th><th>ETA</th></tr></thead><tbody>' + rows + '</tbody></table></details>';
+        }
+        return html;
+    }
+    function _renderLive(shiftIdx, busId) {
+        if (typeof document === 'undefined' || !document.querySelector) return;
+        const el = document.querySelector('[data-live-key="' + _key(shiftIdx, busId).replace(/"/g, '\\"') + '"]');
+        if (!el) return;
+        const open = !!el.querySelector('details[open]');
+        el.innerHTML = liveHtml(shiftIdx, busId);
+        if (open) { const d = el.querySelector('details'); if (d) d.open = true; }
+    }
+
+    return {
+        attach: attach,
+        ingest: ingest, status: status, stopEtas: stopEtas, all: all,
+        simulate: simulate, stopSimulation: stopSimulation, toggleSimulation: toggleSimulation,
+        connect: connect, disconnect: disconnect,
+        liveHtml: liveHtml, onChange: onChange, reset: reset,
+        // exposed for tests
+        compute: compute, track: track, positionAt: positionAt,
+        _key: _key
+    };
+
+})();
@@ -0,0 +1,488 @@
+// =============================================================================
+// campistry_go_transport_needs.js — Special-transport constraints for routing
+// =============================================================================
+//
+// Some campers can't ride just any bus or board at just any corner.
+//
+//   Camper needs — D.addresses[name].needs
+//     wheelchair  rides in a wheelchair position; the bus needs a lift
+//     aide        needs an aide on board
+//     door        boards and leaves at their own door, never a shared corner
+//     carSeat     rides in a car seat
+//     avoid       [names] — must not ride the same bus as these campers
+//                 (one side listing the other is enough)
+//
+//   Bus capabilities — D.buses[i]
+//     lift              wheelchair lift
+//     wheelchairSeats   wheelchair positions (a lift with none set counts 1)
+//     carSeats          car seats installed
+//     aide              an aide rides this bus
+//
+// Seat types: a wheelchair rider takes a wheelchair position, not a seat; a
+// car-seat rider takes a seat and one of the car seats.
+//
+// Where the constraints are honored:
+//   * the optimizer adapters — Google (allowedVehicleIndices + typed load
+//     demands), ORS / self-hosted VROOM (skills + typed amounts), Geoapify
+//     (requirements / capabilities) — and their cheapest-insert fallbacks,
+//     which prefer a bus that fits() the stop. When none does, the stop still
+//     goes on the cheapest bus with seats rather than being dropped, and the
+//     enforce() pass below moves the rider or reports it;
+//   * generateRoutes, which runs enforce() on every shift whatever pipeline
+//     produced the routes: door riders get their own stop, and a rider on a
+//     bus that can't carry them (or beside someone they must not ride with)
+//     moves to the cheapest bus that can;
+//   * the load rebalancer and the overlong-route splitter, which skip any
+//     transfer fits() refuses.
+//
+// Whatever is still unmet — no bus has a lift, the aide bus is full — stays
+// where it is and audit() names it; the dispatcher dashboard lists those as
+// errors rather than dropping the camper.
+//
+// With one vehicle in a request there is no assignment to constrain, so the
+// adapters leave a per-bus TSP alone (constrained() is false).
+//
+// attach({ getAddresses, getBuses }) wires the module to Go's data.
+// =============================================================================
+
+window.GoTransportNeeds = (function () {
+    'use strict';
+
+    // A door rider's stop must be within this many metres of home.
+    const DOOR_M = 40;
+    // Capability names as Geoapify takes them; VROOM gets SKILLS[name].
+    // Bus pins in the ORS adapter use skills 1000+, so these stay below.
+    const SKILLS = { 'lift': 1, 'aide': 2, 'car-seat': 3 };
+    const FT_TO_M = 0.3048;
+
+    let _ctx = { getAddresses: () => ({}), getBuses: () => [] };
+
+    function attach(ctx) {
+        _ctx = Object.assign({}, _ctx, ctx || {});
+    }
+
+    function _addresses() { return (_ctx.getAddresses && _ctx.getAddresses()) || {}; }
+    function _nameOf(c) { return typeof c === 'string' ? c : (c && c.name) || ''; }
+    function _isStaffStop(st) { return !!(st && (st.isMonitor || st.isCounselor)); }
+
+    // -------------------------------------------------------------------------
+    // needsOf(addressRecord) → { wheelchair, aide, door, carSeat, avoid } | null
+    // parseNeeds(text)       → the same, from a CSV cell such as
+    //                          "wheelchair; aide; not with: Ben Cohen"
+    // -------------------------------------------------------------------------
+    function needsOf(rec) {
+        const n = rec && rec.needs;
+        if (!n) return null;
+        const avoid = (Array.isArray(n.avoid) ? n.avoid : String(n.avoid || '').split(/[;,]/))
+            .map(s => String(s).trim()).filter(Boolean);
+        const out = {
+            wheelchair: !!n.wheelchair, aide: !!n.aide, door: !!n.door, carSeat: !!n.carSeat,
+            avoid: avoid
+        };
+        return (out.wheelchair || out.aide || out.door || out.carSeat || avoid.length) ? out : null;
+    }
+    function needsFor(name) {
+        return needsOf(_addresses()[name]);
+    }
+    function parseNeeds(text) {
+        const out = { wheelchair: false, aide: false, door: false, carSeat: false, avoid: [] };
+        String(text || '').split(';').forEach(part => {
+            const p = part.trim();
+            const lc = p.toLowerCase();
+            const m = /^(?:not with|avoid|separate from)\s*:?\s*(.+)$/i.exec(p);
+            if (m) out.avoid = out.avoid.concat(m[1].split(',').map(s => s.trim()).filter(Boolean));
+            else if (/wheel\s*chair|\bwc\b/.test(lc)) out.wheelchair = true;
+            else if (/\baide\b/.test(lc)) out.aide = true;
+            else if (/door/.test(lc)) out.door = true;
+            else if (/car\s*seat|booster/.test(lc)) out.carSeat = true;
+        });
+        return needsOf({ needs: out });
+    }
+    function describeNeeds(n) {
+        if (!n) return '';
+        const parts = [];
+        if (n.wheelchair) parts.push('wheelchair');
+        if (n.aide) parts.push('aide');
+        if (n.door) parts.push('door pickup');
+        if (n.carSeat) parts.push('car seat');
+        if (n.avoid.length) parts.push('not with: ' + n.avoid.join(', '));
+        return parts.join('; ');
+    }
+
+    // -------------------------------------------------------------------------
+    // capsOf(bus) → { lift, wheelchairSeats, carSeats, aide }
+    // capsFor(vehicle) — the vehicle's own caps, else its bus's
+    // -------------------------------------------------------------------------
+    function capsOf(bus) {
+        const b = bus || {};
+        const lift = !!b.lift;
+        const wc = Math.max(0, parseInt(b.wheelchairSeats, 10) || 0);
+        return {
+            lift: lift,
+            wheelchairSeats: lift ? Math.max(1, wc) : 0,
+            carSeats: Math.max(0, parseInt(b.carSeats, 10) || 0),
+            aide: !!b.aide
+        };
+    }
+    function capsFor(vehicle) {
+        if (vehicle && vehicle.caps) return vehicle.caps;
+        const id = vehicle && vehicle.busId;
+        const bus = ((_ctx.getBuses && _ctx.getBuses()) || []).find(b => b.id === id);
+        return capsOf(bus);
+    }
+    function capabilities(caps) {
+        const out = [];
+        if (caps.lift && caps.wheelchairSeats > 0) out.push('lift');
+        if (caps.aide) out.push('aide');
+        if (caps.carSeats > 0) out.push('car-seat');
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // profile(stop) → what a stop asks of its bus:
+    //   { seats, wheelchair, carSeat, aide, door: [names] }
+    // -------------------------------------------------------------------------
+    function profile(stop) {
+        const p = { seats: 0, wheelchair: 0, carSeat: 0, aide: 0, door: [] };
+        ((stop && stop.campers) || []).forEach(c => {
+            const name = _nameOf(c);
+            if (!name) return;
+            const n = needsFor(name);
+            if (n && n.wheelchair) p.wheelchair++; else p.seats++;
+            if (!n) return;
+            if (n.carSeat) p.carSeat++;
+            if (n.aide) p.aide++;
+            if (n.door) p.door.push(name);
+        });
+        return p;
+    }
+    function requirements(p) {
+        const out = [];
+        if (p.wheelchair) out.push('lift');
+        if (p.aide) out.push('aide');
+        if (p.carSeat) out.push('car-seat');
+        return out;
+    }
+    function missing(caps, p) {
+        const have = capabilities(caps);
+        return requirements(p).filter(r => !have.includes(r));
+    }
+    function skills(names) {
+        return names.map(n => SKILLS[n]).filter(Boolean);
+    }
+
+    // -------------------------------------------------------------------------
+    // constrained(stops, vehicles) — does this optimizer request need the
+    // typed model at all? Only when there is a choice of bus and some stop
+    // asks for a capability.
+    // -------------------------------------------------------------------------
+    function constrained(stops, vehicles) {
+        if (!vehicles || vehicles.length < 2) return false;
+        return (stops || []).some(s => requirements(profile(s)).length > 0);
+    }
+
+    // -------------------------------------------------------------------------
+    // vehicleIndices(stop, vehicles) → indices of the vehicles that can carry
+    // the stop, or null when any can.
+    // -------------------------------------------------------------------------
+    function vehicleIndices(stop, vehicles) {
+        const p = profile(stop);
+        if (!requirements(p).length) return null;
+        const out = [];
+        (vehicles || []).forEach((v, i) => { if (!missing(capsFor(v), p).length) out.push(i); });
+        return out;
+    }
+
+    function _riders(route) {
+        const out = [];
+        ((route && route.stops) || []).forEach(st => {
+            if (_isStaffStop(st)) return;
+            (st.campers || []).forEach(c => {
+                const name = _nameOf(c);
+                if (name) out.push({ name: name, stop: st, camper: c });
+            });
+        });
+        return out;
+    }
+    function _load(route) {
+        const l = { seats: 0, wheelchair: 0, carSeat: 0 };
+        _riders(route).forEach(r => {
+            const n = needsFor(r.name);
+            if (n && n.wheelchair) l.wheelchair++; else l.seats++;
+            if (n && n.carSeat) l.carSeat++;
+        });
+        return l;
+    }
+    function _avoids(a, b) {
+        const la = a.toLowerCase(), lb = b.toLowerCase();
+        const na = needsFor(a), nb = needsFor(b);
+        return !!((na && na.avoid.some(x => x.toLowerCase() === lb)) ||
+                  (nb && nb.avoid.some(x => x.toLowerCase() === la)));
+    }
+    function _conflict(namesA, namesB) {
+        for (const a of namesA) for (const b of namesB) {
+            if (a !== b && _avoids(a, b)) return [a, b];
+        }
+        return null;
+    }
+
+    // -------------------------------------------------------------------------
+    // fits(route, stop, vehicle?) — may this stop join this bus? Checks the
+    // capabilities, wheelchair / car-seat counts and must-not-ride-with pairs.
+    // Plain seat capacity stays with the caller, which already checks it.
+    // -------------------------------------------------------------------------
+    function fits(route, stop, vehicle) {
+        const p = profile(stop);
+        const caps = capsFor(vehicle || { busId: route.busId });
+        if (missing(caps, p).length) return false;
+        const load = _load(route);
+        if (p.wheelchair && load.wheelchair + p.wheelchair > caps.wheelchairSeats) return false;
+        if (p.carSeat && load.carSeat + p.carSeat > caps.carSeats) return false;
+        const mine = ((stop && stop.campers) || []).map(_nameOf).filter(Boolean);
+        return !_conflict(mine, _riders(route).map(r => r.name));
+    }
+
+    function _metres(a, b) {
+        const R = 6371000;
+        const dLat = (b.lat - a.lat) * Math.PI / 180;
+        const dLng = (b.lng - a.lng) * Math.PI / 180;
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+    function _home(name) {
+        const a = _addresses()[name];
+        if (!a || !a.lat || !a.lng) return null;
+        return {
+            lat: a.lat, lng: a.lng,
+            address: [a.street, a.city, a.state, a.zip].filter(Boolean).join(', ')
+        };
+    }
+    function _atDoor(name, stop) {
+        const h = _home(name);
+        if (!h || !stop || stop.lat == null || stop.lng == null) return true;  // nothing to judge by
+        return _metres(h, stop) <= DOOR_M;
+    }
+
+    // -------------------------------------------------------------------------
+    // audit(route, vehicle?) → [{ kind, severity, msg, camper?, stopNum? }]
+    //   kind: 'lift' | 'aide' | 'car-seat' | 'wheelchair-seats' |
+    //         'car-seats' | 'door' | 'avoid'
+    // -------------------------------------------------------------------------
+    function audit(route, vehicle) {
+        const out = [];
+        if (!route || !route.stops) return out;
+        const caps = capsFor(vehicle || { busId: route.busId });
+        const bus = route.busName || 'this bus';
+        const riders = _riders(route);
+        const onBus = new Set(riders.map(r => r.name.toLowerCase()));
+        const issue = (kind, msg, r) => out.push({
+            kind: kind, severity: 'error', msg: msg,
+            camper: r ? r.name : undefined, stopNum: r ? r.stop.stopNum : undefined
+        });
+        let wc = 0, cs = 0;
+        const pairs = new Set();
+
+        riders.forEach(r => {
+            const n = needsFor(r.name);
+            if (!n) return;
+            if (n.wheelchair) {
+                wc++;
+                if (!caps.lift) issue('lift', r.name + ' uses a wheelchair — ' + bus + ' has no lift', r);
+            }
+            if (n.aide && !caps.aide) issue('aide', r.name + ' needs an aide — ' + bus + ' has no aide on board', r);
+            if (n.carSeat) {
+                cs++;
+                if (!caps.carSeats) issue('car-seat', r.name + ' needs a car seat — ' + bus + ' has none', r);
+            }
+            if (n.door && !_atDoor(r.name, r.stop)) {
+                issue('door', r.name + ' rides door-to-door — stop ' + r.stop.stopNum + ' is ' +
+                    (r.stop.address || 'not at home'), r);
+            }
+            n.avoid.forEach(other => {
+                const key = [r.name.toLowerCase(), other.toLowerCase()].sort().join('|');
+                if (!onBus.has(other.toLowerCase()) || pairs.has(key)) return;
+                pairs.add(key);
+                issue('avoid', r.name + ' and ' + other + ' must not ride together', r);
+            });
+        });
+        if (caps.lift && wc > caps.wheelchairSeats) {
+            issue('wheelchair-seats', wc + ' wheelchair riders, ' + caps.wheelchairSeats +
+                ' wheelchair position' + (caps.wheelchairSeats === 1 ? '' : 's'));
+        }
+        if (caps.carSeats && cs > caps.carSeats) {
+            issue('car-seats', cs + ' car-seat riders, ' + caps.carSeats + ' car seat' +
+                (caps.carSeats === 1 ? '' : 's'));
+        }
+        return out;
+    }
+
+    // ── enforce() helpers ────────────────────────────────────────────────────
+    function _touch(route) {
+        route.stops.forEach((s, i) => { s.stopNum = i + 1; });
+        route.camperCount = _riders(route).length;
+        route._tspLegTimes = null;   // positions moved; the solver's legs are stale
+    }
+    // Cheapest position for `stop` in `route`, by straight-line detour.
+    function _bestSlot(route, stop) {
+        let best = { pos: route.stops.length, cost: Infinity };
+        for (let i = 0; i <= route.stops.length; i++) {
+            const prev = route.stops[i - 1], next = route.stops[i];
+            const cost = (prev ? _metres(prev, stop) : 0) + (next ? _metres(stop, next) : 0) -
+                (prev && next ? _metres(prev, next) : 0);
+            if (cost < best.cost) best = { pos: i, cost: cost };
+        }
+        if (!isFinite(best.cost)) best.cost = 0;
+        return best;
+    }
+
+    // Door riders (and anyone sharing their home) leave a shared stop for
+    // their own, slotted into the same route.
+    function _doorSplit(route) {
+        const fresh = [];
+        route.stops.forEach(st => {
+            if (_isStaffStop(st) || !st.campers || st.campers.length < 1) return;
+            const homes = [];
+            st.campers.forEach(c => {
+                const name = _nameOf(c);
+                const n = needsFor(name);
+                if (!n || !n.door || _atDoor(name, st)) return;
+                const h = _home(name);
+                if (!h) return;
+                if (!homes.some(x => _metres(x, h) <= DOOR_M)) homes.push(h);
+            });
+            if (!homes.length) return;
+            homes.forEach(h => {
+                const goes = st.campers.filter(c => {
+                    const ch = _home(_nameOf(c));
+                    return ch && _metres(ch, h) <= DOOR_M;
+                });
+                st.campers = st.campers.filter(c => !goes.includes(c));
+                fresh.push({ stopNum: 0, address: h.address, lat: h.lat, lng: h.lng, campers: goes, _door: true });
+            });
+        });
+        if (!fresh.length) return false;
+        route.stops = route.stops.filter(s => _isStaffStop(s) || (s.campers && s.campers.length));
+        fresh.forEach(s => route.stops.splice(_bestSlot(route, s).pos, 0, s));
+        _touch(route);
+        return true;
+    }
+
+    // Riders who have to leave this bus: ones it can't carry, the overflow of
+    // its wheelchair positions and car seats, and one of each must-not-ride pair.
+    function _misfits(route, vehicle) {
+        const caps = capsFor(vehicle);
+        const out = [];
+        const add = n => { if (!out.includes(n)) out.push(n); };
+        let wc = 0, cs = 0;
+        const seen = [];
+        _riders(route).forEach(r => {
+            const n = needsFor(r.name);
+            if (n) {
+                if ((n.wheelchair && !caps.lift) || (n.aide && !caps.aide) || (n.carSeat && !caps.carSeats)) add(r.name);
+                if (n.wheelchair && ++wc > caps.wheelchairSeats) add(r.name);
+                if (n.carSeat && ++cs > caps.carSeats) add(r.name);
+            }
+            if (seen.some(s => !out.includes(s) && _avoids(s, r.name))) add(r.name);
+            seen.push(r.name);
+        });
+        return out;
+    }
+
+    // Move one rider to the cheapest bus that fits them: onto an existing stop
+    // within walking distance of home, or a stop of their own (always, for a
+    // door rider). A seat counts only up to the bus's capacity less the
+    // reserved seats, as when the buses were first packed. Returns the
+    // receiving route, or null when none can.
+    function _relocate(name, from, routes, vehOf, walkM, reserve) {
+        const stop = from.stops.find(s => !_isStaffStop(s) && (s.campers || []).some(c => _nameOf(c) === name));
+        if (!stop) return null;
+        const camper = stop.campers.find(c => _nameOf(c) === name);
+        const n = needsFor(name);
+        const home = _home(name) || { lat: stop.lat, lng: stop.lng, address: stop.address };
+        const single = { stopNum: 0, address: home.address, lat: home.lat, lng: home.lng, campers: [camper] };
+        if (n && n.door) single._door = true;
+
+        let best = null;
+        routes.forEach(r => {
+            if (r === from) return;
+            const v = vehOf(r.busId);
+            if (v.capacity && !(n && n.wheelchair) && _load(r).seats + 1 > Math.max(0, v.capacity - reserve)) return;
+            if (!fits(r, single, v)) return;
+            let opt = null;
+            if (!(n && n.door) && walkM > 0) {
+                r.stops.forEach(s => {
+                    if (_isStaffStop(s) || !(s.campers || []).length) return;
+                    const d = _metres(home, s);
+                    if (d <= walkM && (!opt || d < opt.cost)) opt = { join: s, cost: d };
+                });
+            }
+            if (!opt) {
+                const slot = _bestSlot(r, single);
+                opt = { pos: slot.pos, cost: slot.cost };
+            }
+            if (!best || opt.cost < best.cost) best = Object.assign({ route: r }, opt);
+        });
+        if (!best) return null;
+
+        stop.campers = stop.campers.filter(c => c !== camper);
+        if (!stop.campers.length) from.stops = from.stops.filter(s => s !== stop);
+        if (best.join) best.join.campers.push(camper);
+        else best.route.stops.splice(best.pos, 0, single);
+        _touch(from);
+        _touch(best.route);
+        return best.route;
+    }
+
+    // -------------------------------------------------------------------------
+    // enforce(routes, vehicles, { walkFt, reserveSeats }) — make one shift's
+    // routes honor the needs as far as the fleet allows. Mutates the routes in
+    // place.
+    // Returns { moved: [{ name, from, to }], violations: [audit entry + busId] }.
+    // -------------------------------------------------------------------------
+    function enforce(routes, vehicles, opts) {
+        const o = opts || {};
+        const walkM = (o.walkFt || 0) > 0 ? o.walkFt * FT_TO_M : 0;
+        const reserve = Math.max(0, parseInt(o.reserveSeats, 10) || 0);
+        const vehOf = id => (vehicles || []).find(v => v.busId === id) || { busId: id };
+        const moved = [];
+        const list = (routes || []).filter(r => r && r.stops);
+
+        list.forEach(r => _doorSplit(r));
+
+        const stuck = new Set();
+        for (let pass = 0; pass < 3; pass++) {
+            let changed = false;
+            list.forEach(r => {
+                _misfits(r, vehOf(r.busId)).forEach(name => {
+                    if (stuck.has(name)) return;
+                    const to = _relocate(name, r, list, vehOf, walkM, reserve);
+                    if (to) {
+                        moved.push({ name: name, from: r.busId, to: to.busId });
+                        changed = true;
+                    } else {
+                        stuck.add(name);
+                    }
+                });
+            });
+            if (!changed) break;
+        }
+
+        const violations = [];
+        list.forEach(r => {
+            audit(r, vehOf(r.busId)).forEach(v => violations.push(Object.assign({ busId: r.busId }, v)));
+        });
+        return { moved: moved, violations: violations };
+    }
+
+    return {
+        attach: attach,
+        needsOf: needsOf, needsFor: needsFor, parseNeeds: parseNeeds, describeNeeds: describeNeeds,
+        capsOf: capsOf, capsFor: capsFor, capabilities: capabilities,
+        profile: profile, requirements: requirements, missing: missing, skills: skills,
+        constrained: constrained, vehicleIndices: vehicleIndices, fits: fits,
+        audit: audit, enforce: enforce,
+        DOOR_M: DOOR_M
+    };
+
+})();
@@ -9,6 +9,7 @@ var AV_BG=['#147D91','#6366F1','#0EA5E9','#10B981','#F43F5E','#8B5CF6','#D97706'
 
 var structure={}, roster={}, families={}, payments=[], broadcasts=[], bunkAsgn={}, bunkManualCounts={};
 var enrollments={}, sessions=[], enrollSettings={}, formConfig=null;
+var teamBuilder={together:[],apart:[]};
 var finStaff=[], finExpenses=[], finPayments=[], finBudget={revenue:0,payroll:0,expenses:0}, finIntegrations={};
 var curPage='campers', editingCamper=null, editingDiv=null, editingFam=null;
 var nextCamperId=1;
@@ -105,6 +106,7 @@ function loadData(){
         broadcasts=me.broadcasts||[]; bunkAsgn=me.bunkAssignments||{}; bunkManualCounts=me.bunkManualCounts||{};
         enrollments=me.enrollments||{}; sessions=me.sessions||[]; enrollSettings=me.enrollSettings||{};
         formConfig=me.formConfig||null;
+        teamBuilder=Object.assign({together:[],apart:[]},me.teamBuilder||{});
         // Ensure promoCodes live inside enrollSettings
         if(me.promoCodes&&!enrollSettings.promoCodes)enrollSettings.promoCodes=me.promoCodes;
         // Analytics & Finance
@@ -155,6 +157,7 @@ function save(){
             sessions:sessions,
             enrollSettings:enrollSettings,
             formConfig:formConfig,
+            teamBuilder:teamBuilder,
             promoCodes:enrollSettings.promoCodes||(g.campistryMe?.promoCodes)||{},
             finance:{staff:finStaff,expenses:finExpenses,payments:finPayments,budget:finBudget,integrations:finIntegrations}
         });
@@ -306,7 +309,7 @@ function ff(label,id,val,type,opts){
 
 // ═══ RENDERERS ═══════════════════════════════════════════════════
 function render(p){
-    var m={families:renderFamilies,campers:renderCampers,structure:renderStructure,bunkbuilder:renderBB,enrollment:renderEnrollment,billing:renderBilling,broadcasts:renderBroadcasts,analytics:renderAnalytics,forms:renderForms,reports:renderReports,settings:renderSettings};
+    var m={families:renderFamilies,campers:renderCampers,structure:renderStructure,bunkbuilder:renderBB,teambuilder:renderTB,enrollment:renderEnrollment,billing:renderBilling,broadcasts:renderBroadcasts,analytics:renderAnalytics,forms:renderForms,reports:renderReports,settings:renderSettings};
     if(m[p])m[p]();else renderSoon(p);
 }
 
@@ -764,6 +767,7 @@ function saveCamper(){
     // Reject instead of clobbering an existing record.
     if(editingCamper&&editingCamper!==full&&roster[full]){toast('A camper named "'+full+'" already exists','error');return}
     var existingId=(editingCamper&&roster[editingCamper])?roster[editingCamper].camperId:null;
+    var prevSkills=(editingCamper&&roster[editingCamper])?roster[editingCamper].skills:null;
     // ★ #4 cascade: roster keys are NAMES, and families[].camperIds / bunkAsgn[bunk] /
     // payments[].camper / Campistry-Go addresses all reference campers BY NAME. On a
     // rename we must update those refs or the camper is silently detached from their
@@ -792,6 +796,7 @@ function saveCamper(){
         allergies:document.getElementById('ceAlg').value||'',medications:document.getElementById('ceMed').value||'',
         dietary:document.getElementById('ceDiet').value||''
     };
+    if(prevSkills)roster[full].skills=prevSkills; // Team Builder ratings aren't on this form
     // Sync address to Campistry Go format
     syncAddressToGo(full,roster[full]);
     save();closeModal('camperEditModal');render(curPage);toast(editingCamper?'Updated':'Added');
@@ -805,12 +810,14 @@ function cascadeCamperRename(oldName,newName){
     try{Object.values(families).forEach(function(f){if(Array.isArray(f.camperIds))f.camperIds=f.camperIds.map(function(c){return c===oldName?newName:c})});}catch(_){}
     try{Object.keys(bunkAsgn).forEach(function(b){if(Array.isArray(bunkAsgn[b]))bunkAsgn[b]=bunkAsgn[b].map(function(c){return c===oldName?newName:c})});}catch(_){}
     try{(payments||[]).forEach(function(p){if(p&&p.camper===oldName)p.camper=newName});}catch(_){}
+    try{['together','apart'].forEach(function(k){(teamBuilder[k]||[]).forEach(function(pr){for(var i=0;i<pr.length;i++)if(pr[i]===oldName)pr[i]=newName})});}catch(_){}
     try{var raw=localStorage.getItem('campistry_go_data');if(raw){var go=JSON.parse(raw);if(go&&go.addresses&&go.addresses[oldName]){go.addresses[newName]=go.addresses[oldName];delete go.addresses[oldName];localStorage.setItem('campistry_go_data',JSON.stringify(go))}}}catch(_){}
 }
 function cascadeCamperDelete(name){
     if(!name)return;
     try{Object.values(families).forEach(function(f){if(Array.isArray(f.camperIds))f.camperIds=f.camperIds.filter(function(c){return c!==name})});}catch(_){}
     try{Object.keys(bunkAsgn).forEach(function(b){if(Array.isArray(bunkAsgn[b]))bunkAsgn[b]=bunkAsgn[b].filter(function(c){return c!==name})});}catch(_){}
+    try{['together','apart'].forEach(function(k){teamBuilder[k]=(teamBuilder[k]||[]).filter(function(pr){return pr.indexOf(name)<0})});}catch(_){}
     // payments are intentionally KEPT — silently erasing billing history when a camper
     // is removed is worse than leaving the (now-deleted) name on the financial record.
     try{var raw=localStorage.getItem('campistry_go_data');if(raw){var go=JSON.parse(raw);if(go&&go.addresses&&go.addresses[name]){delete go.addresses[name];localStorage.setItem('campistry_go_data',JSON.stringify(go))}}}catch(_){}
@@ -1926,6 +1933,170 @@ function openBunkCountModal(bunkName){
     },60);
 }
 
+// ── TEAM BUILDER ─────────────────────────────────────────────────
+// Drafts a league's teams for one division / grade with TeamDraft
+// (team_draft.js): ratings per sport live on the camper (roster[n].skills),
+// keep-together / keep-apart pairs in campistryMe.teamBuilder. Applying writes
+// roster[n].teams[league] — the same field the camper form sets and the Flow
+// Camper Locator reads (resolveCamperTeam).
+var tb={league:'',division:'',grade:'',sport:'',count:0,maxMoves:'',result:null,mode:''};
+function getLeagueSports(lg){
+    try{
+        var g=JSON.parse(localStorage.getItem('campGlobalSettings_v1')||'{}');
+        var l=(g.leaguesByName||{})[lg];
+        if(l&&Array.isArray(l.sports))return l.sports;
+        var sp=Object.values(g.specialtyLeagues||{}).find(function(x){return x&&x.name===lg});
+        return sp&&sp.sport?[sp.sport]:[];
+    }catch(e){return[]}
+}
+function tbTeams(){
+    var all=getLeagues()[tb.league]||[];
+    var n=tb.count>0?Math.min(tb.count,all.length):all.length;
+    return all.slice(0,n);
+}
+function tbInput(){
+    var inp=window.TeamDraft.campersFor(roster,{division:tb.division,grade:tb.grade,sport:tb.sport,league:tb.league});
+    var inScope={};inp.campers.forEach(function(c){inScope[c.name]=true});
+    var pairs=function(k){return(teamBuilder[k]||[]).filter(function(pr){return inScope[pr[0]]&&inScope[pr[1]]})};
+    return{campers:inp.campers,current:inp.current,teams:tbTeams(),together:pairs('together'),apart:pairs('apart')};
+}
+function renderTB(){
+    var c=document.getElementById('page-teambuilder');if(!c)return;
+    var leagues=getLeagues(),lgNames=Object.keys(leagues).sort();
+    var h='<div class="sec-hd"><div><h2 class="sec-title">Team Builder</h2><p class="sec-desc">Balanced league teams from ratings, bunks and ages</p></div></div>';
+    if(!window.TeamDraft){c.innerHTML=h+'<div class="me-empty"><h3>Team Builder unavailable</h3><p>team_draft.js did not load.</p></div>';return}
+    if(!lgNames.length){c.innerHTML=h+'<div class="me-empty"><h3>No leagues</h3><p>Set up leagues and their teams in <a href="flow.html" style="color:var(--me);font-weight:600">Campistry Flow</a> first.</p></div>';return}
+    if(tb.league&&!leagues[tb.league])tb.league='';
+    var sports=tb.league?getLeagueSports(tb.league):[];
+    if(tb.sport&&sports.indexOf(tb.sport)<0)tb.sport='';
+    var sel=function(id,val,opts,labels,fn){return'<select class="fs" id="'+id+'" onchange="CampistryMe.tbSet(\''+fn+'\',this.value)">'+opts.map(function(o,i){return'<option value="'+esc(o)+'"'+(o===val?' selected':'')+'>'+esc(labels?labels[i]:(o||'—'))+'</option>'}).join('')+'</select>'};
+    h+='<div class="me-card" style="padding:16px;margin-bottom:14px"><div class="fr" style="flex-wrap:wrap;gap:12px">';
+    h+='<div class="fg"><label class="fl">League</label>'+sel('tbLeague',tb.league,[''].concat(lgNames),null,'league')+'</div>';
+    h+='<div class="fg"><label class="fl">Division</label>'+sel('tbDiv',tb.division,[''].concat(Object.keys(structure).sort()),null,'division')+'</div>';
+    h+='<div class="fg"><label class="fl">Grade</label>'+sel('tbGrade',tb.grade,grOpts(tb.division),[ 'All grades'].concat(grOpts(tb.division).slice(1)),'grade')+'</div>';
+    h+='<div class="fg"><label class="fl">Rate by</label>'+sel('tbSport',tb.sport,[''].concat(sports),['Overall'].concat(sports),'sport')+'</div>';
+    h+='<div class="fg"><label class="fl">Teams</label><input type="number" class="fi" min="2" max="'+((leagues[tb.league]||[]).length||2)+'" value="'+(tbTeams().length||'')+'" onchange="CampistryMe.tbSet(\'count\',this.value)" style="width:80px"></div>';
+    h+='</div></div>';
+    if(!tb.league||!tb.division){c.innerHTML=h+'<div class="me-empty"><h3>Pick a league and a division</h3><p>The draft splits that group\'s campers over the league\'s teams.</p></div>';return}
+    var teams=tbTeams();
+    if(teams.length<2){c.innerHTML=h+'<div class="me-empty"><h3>Not enough teams</h3><p>'+esc(tb.league)+' needs at least two teams.</p></div>';return}
+    var inp=tbInput();
+    if(!inp.campers.length){c.innerHTML=h+'<div class="me-empty"><h3>No campers</h3><p>Nobody in this division'+(tb.grade?' / grade':'')+' yet.</p></div>';return}
+    var onTeam=Object.keys(inp.current).length;
+
+    // Ratings
+    h+='<div style="display:grid;grid-template-columns:minmax(0,3fr) minmax(0,2fr);gap:14px;align-items:start">';
+    h+='<div class="me-card"><div class="me-tw"><table class="me-t"><thead><tr><th>Camper</th><th>Bunk</th><th>Age</th><th>'+esc(tb.sport||'Overall')+' (1–5)</th><th>Team now</th></tr></thead><tbody>';
+    inp.campers.forEach(function(cp){
+        var r=cp.rating;
+        var cell=tb.sport
+            ?'<input type="number" class="fi" min="1" max="5" step="1" value="'+(r!=null?r:'')+'" onchange="CampistryMe.tbRate(\''+je(cp.name)+'\',this.value)" style="width:70px;padding:4px 8px">'
+            :(r!=null?(Math.round(r*10)/10):'<span style="color:var(--s400)">—</span>');
+        h+='<tr><td>'+esc(cp.name)+'</td><td>'+esc(cp.bunk||'—')+'</td><td>'+(cp.age!=null?Math.floor(cp.age):'—')+'</td><td>'+cell+'</td><td>'+esc(inp.current[cp.name]||'—')+'</td></tr>';
+    });
+    h+='</tbody></table></div></div>';
+
+    // Constraints + actions
+    var names=inp.campers.map(function(x){return x.name});
+    var pairBox=function(kind,title){
+        var list=inp[kind];
+        var b='<div class="fsec" style="margin-top:0">'+title+'</div>';
+        if(!list.length)b+='<p style="font-size:.75rem;color:var(--s400);margin:0 0 6px">None</p>';
+        list.forEach(function(pr){
+            var i=teamBuilder[kind].indexOf(pr);
+            b+='<div style="display:flex;justify-content:space-between;align-items:center;font-size:.8rem;padding:3px 0">'+esc(pr[0])+' &amp; '+esc(pr[1])+'<button class="me-btn me-btn--ghost me-btn--sm" onclick="CampistryMe.tbRemovePair(\''+kind+'\','+i+')">✕</button></div>';
+        });
+        var opts='<option value="">—</option>'+names.map(function(n){return'<option value="'+esc(n)+'">'+esc(n)+'</option>'}).join('');
+        b+='<div style="display:flex;gap:6px;margin:4px 0 12px"><select class="fs" id="tbPairA_'+kind+'">'+opts+'</select><select class="fs" id="tbPairB_'+kind+'">'+opts+'</select><button class="me-btn me-btn--sec me-btn--sm" onclick="CampistryMe.tbAddPair(\''+kind+'\')">Add</button></div>';
+        return b;
+    };
+    h+='<div><div class="me-card" style="padding:16px;margin-bottom:14px">'+pairBox('together','Keep together')+pairBox('apart','Keep apart')+'</div>';
+    h+='<div class="me-card" style="padding:16px;display:flex;flex-direction:column;gap:8px">';
+    h+='<button class="me-btn me-btn--pri" onclick="CampistryMe.tbRun(\'draft\')">⚡ Draft '+teams.length+' teams</button>';
+    h+='<div style="display:flex;gap:6px;align-items:center"><button class="me-btn me-btn--sec" style="flex:1" onclick="CampistryMe.tbRun(\'rebalance\')"'+(onTeam?'':' disabled title="Nobody is on a team in this league yet"')+'>⚖ Re-balance</button>';
+    h+='<input type="number" class="fi" min="1" placeholder="Max moves" value="'+esc(tb.maxMoves)+'" onchange="CampistryMe.tbSet(\'maxMoves\',this.value)" style="width:110px"></div>';
+    h+='<p style="font-size:.72rem;color:var(--s400);margin:0">Re-balance keeps today\'s teams and moves as few campers as it can.</p>';
+    h+='</div></div></div>';
+
+    if(tb.result)h+=tbResultHtml(tb.result,inp);
+    c.innerHTML=h;
+}
+function tbResultHtml(r,inp){
+    var moved={};(r.moves||[]).forEach(function(m){moved[m.name]=m});
+    var h='<div class="me-card" style="padding:16px;margin-top:14px">';
+    h+='<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:10px"><div><div style="font-weight:700;color:var(--s800)">'+(tb.mode==='rebalance'?'Re-balance':'Draft')+' preview</div>';
+    h+='<div style="font-size:.78rem;color:var(--s500)">Rating spread '+r.spread+(tb.mode==='rebalance'?' · '+r.moves.length+' move'+(r.moves.length===1?'':'s')+(r.placed.length?' · '+r.placed.length+' placed':''):'')+'</div></div>';
+    h+='<div style="display:flex;gap:8px"><button class="me-btn me-btn--sec me-btn--sm" onclick="CampistryMe.tbDiscard()">Discard</button><button class="me-btn me-btn--pri me-btn--sm" onclick="CampistryMe.tbApply()">Apply to roster</button></div></div>';
+    (r.notes||[]).forEach(function(n){h+='<div style="font-size:.75rem;color:#B45309;background:#FFFBEB;border:1px solid #FDE68A;border-radius:var(--r);padding:6px 10px;margin-bottom:6px">'+esc(n)+'</div>'});
+    h+='<div style="display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:10px">';
+    r.teams.forEach(function(t){
+        h+='<div style="border:1px solid var(--s200);border-radius:var(--r);padding:10px"><div style="font-weight:700;color:var(--s800)">'+esc(t.name)+' <span style="font-weight:400;color:var(--s400);font-size:.75rem">'+t.size+'</span></div>';
+        h+='<div style="font-size:.72rem;color:var(--s500);margin:2px 0 6px">Avg '+(t.avgRating!=null?t.avgRating:'—')+' · age '+(t.avgAge!=null?t.avgAge:'—')+' · '+Object.keys(t.bunks).sort().map(function(b){return esc(b)+' '+t.bunks[b]}).join(', ')+'</div>';
+        t.members.forEach(function(n){
+            var m=moved[n],isNew=(r.placed||[]).indexOf(n)>=0;
+            h+='<div style="font-size:.8rem;padding:1px 0'+(m||isNew?';color:var(--me);font-weight:600':'')+'">'+esc(n)+(m?' <span style="font-weight:400;font-size:.7rem">from '+esc(m.from)+'</span>':'')+(isNew?' <span style="font-weight:400;font-size:.7rem">new</span>':'')+'</div>';
+        });
+        h+='</div>';
+    });
+    return h+'</div></div>';
+}
+function tbSet(k,v){
+    if(k==='count')tb.count=parseInt(v,10)||0;
+    else tb[k]=v;
+    if(k==='league'){tb.count=0;tb.sport=''}
+    if(k==='division')tb.grade='';
+    tb.result=null;
+    renderTB();
+}
+function tbRate(name,v){
+    var c=roster[name];if(!c||!tb.sport)return;
+    if(!c.skills||typeof c.skills!=='object')c.skills={};
+    var n=parseInt(v,10);
+    if(v===''||isNaN(n))delete c.skills[tb.sport];
+    else c.skills[tb.sport]=Math.max(1,Math.min(5,n));
+    tb.result=null;
+    save();
+}
+function tbAddPair(kind){
+    var a=(document.getElementById('tbPairA_'+kind)||{}).value,b=(document.getElementById('tbPairB_'+kind)||{}).value;
+    if(!a||!b||a===b){toast('Pick two different campers','error');return}
+    var list=teamBuilder[kind]||(teamBuilder[kind]=[]);
+    if(list.some(function(pr){return(pr[0]===a&&pr[1]===b)||(pr[0]===b&&pr[1]===a)}))return;
+    list.push([a,b]);tb.result=null;save();renderTB();
+}
+function tbRemovePair(kind,i){
+    if(!teamBuilder[kind]||i<0)return;
+    teamBuilder[kind].splice(i,1);tb.result=null;save();renderTB();
+}
+function tbRun(mode){
+    var inp=tbInput();
+    tb.mode=mode;
+    if(mode==='rebalance'){
+        var mm=parseInt(tb.maxMoves,10);
+        if(mm>0)inp.maxMoves=mm;
+        tb.result=window.TeamDraft.rebalance(inp);
+        if(!tb.result.moves.length&&!tb.result.placed.length)toast('Teams are already balanced');
+    }else{
+        tb.result=window.TeamDraft.draft(inp);
+    }
+    renderTB();
+}
+function tbDiscard(){tb.result=null;renderTB()}
+function tbApply(){
+    var r=tb.result;if(!r||!tb.league)return;
+    if(tb.mode==='draft'&&Object.keys(tbInput().current).length&&!confirm('Replace everyone\'s '+tb.league+' team with this draft?'))return;
+    var n=0;
+    Object.keys(r.assignment).forEach(function(name){
+        var c=roster[name];if(!c)return;
+        if(!c.teams||typeof c.teams!=='object')c.teams={};
+        if(c.teams[tb.league]!==r.assignment[name])n++;
+        c.teams[tb.league]=r.assignment[name];
+        c.team=Object.values(c.teams)[0]||c.team||'';
+    });
+    tb.result=null;
+    save();renderTB();toast(n?n+' camper'+(n===1?'':'s')+' moved to new teams':'No team changes');
+}
+
 // ── BILLING / BROADCASTS / SOON ──────────────────────────────────
 // ── REGISTRATION & ENROLLMENT ─────────────────────────────────────
 function renderEnrollment(){
@@ -4713,6 +4884,7 @@ window.CampistryMe={
     addDiv:function(){openDivForm(null)},editDiv:function(n){openDivForm(n)},deleteDiv:deleteDiv,moveDivision:moveDivision,setAgeDirection:setAgeDirection,
     openCsv:function(){openModal('csvModal')},exportCsv:exportCsv,downloadTemplate:downloadTemplate,
     bbDrop:bbDrop,autoAssign:autoAssign,clearBunks:clearBunks,setBunkCount:setBunkCount,openBunkCountModal:openBunkCountModal,_clearBunkCount:_clearBunkCount,
+    tbSet:tbSet,tbRate:tbRate,tbAddPair:tbAddPair,tbRemovePair:tbRemovePair,tbRun:tbRun,tbDiscard:tbDiscard,tbApply:tbApply,
     addSession:addSession,deleteSession:deleteSession,editSession:editSession,toggleSessionReg:toggleSessionReg,copyRegLink:copyRegLink,addApplication:addApplication,autoPromoteWaitlist:autoPromoteWaitlist,
     viewApplication:viewApplication,updateEnrollStatus:updateEnrollStatus,enrollCamper:enrollCamper,
     saveAppNote:saveAppNote,printApplication:printApplication,
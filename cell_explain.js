@@ -0,0 +1,456 @@
+/* =============================================================================
+ * CELL EXPLAIN  (window.CellExplain)
+ * -----------------------------------------------------------------------------
+ * "Why is this cell here?" — the reviewable side of generation_trace.js. The
+ * brain trace records every score breakdown, hard block and ranked list, but
+ * it lives in memory for three runs and is only reachable through
+ * downloadGenTrace(). This module distills the latest trace into a compact
+ * per-cell index and keeps it WITH the day's schedule, so the post-edit modal
+ * and the auto grid can answer, days later:
+ *
+ *   • which alternatives were ranked for this bunk at this time, in order;
+ *   • each one's score per component (recency, streak, coverage, limit, rest);
+ *   • why every option ranked above the placed one was not used.
+ *
+ * INDEX SHAPE  (_genExplain on the day's data / cloud row)
+ *   { v, date, at, bunks: { <bunk>: {
+ *       acts:  { <activity>: { t, r, s, c, l, o, b } },   // score breakdown
+ *       cells: { <startMin>: { a, f, e, k, src, o, n, rank, dir, alts, why, sc } }
+ *   } } }
+ *   acts keys: t total · r recency · s streak · c coverage · l limit ·
+ *   o the other components summed · b block reason (when hard-blocked).
+ *   cells.alts is [[name, score, field?]] in the order the engine ranked them;
+ *   dir is +1 when the higher score won (sport picks) and −1 when the lower
+ *   rotation score won (priority lists). k is the placing decision, src the
+ *   list the alternatives came from when that is a different record.
+ *   why[name] = [reason, detail] for the better-ranked options; sc holds
+ *   slot-specific breakdowns (manual builder).
+ *
+ * Captured on GenTrace's `campistry-gentrace-captured` event; bunks a scoped
+ * generation didn't touch keep their earlier explanation. build()/explain()
+ * take the trace injected — see tests/cell_explain.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var VERSION = 1;
+    var MAX_ALTS = 6;
+    var LIST_KINDS = { 'sport-priority-list': 1, 'special-priority-list': 1 };
+
+    var KIND_LABELS = {
+        'sport-pick': 'Sport pick',
+        'sport-priority-list': 'Sport rotation list',
+        'special-priority-list': 'Special rotation list',
+        'rank': 'Rotation ranking',
+        'fallback-fill': 'Fallback fill',
+        'free-fill': 'Free-time fill',
+        'repeat-heal': 'Repeat heal',
+        'override-fill': 'Bunk override',
+        'manual-commit': 'Manual builder'
+    };
+
+    var ORIGIN_LABELS = {
+        override: 'a bunk override kept through generation',
+        postEdit: 'a post-generation edit',
+        trip: 'a trip',
+        pinned: 'a pinned activity',
+        league: 'a league game',
+        transition: 'a transition block'
+    };
+
+    var C = {};
+
+    // ── helpers ──────────────────────────────────────────────────────────────
+    function parseWindow(w) {
+        var m = /^(\d+)-(\d+)$/.exec(String(w == null ? '' : w));
+        return m ? { s: +m[1], e: +m[2] } : null;
+    }
+
+    function round(n) { return typeof n === 'number' && isFinite(n) ? Math.round(n) : null; }
+
+    function compact(rec) {
+        if (!rec) return null;
+        var out = {};
+        if (rec.blocked) { out.b = rec.blockReason || 'blocked'; return out; }
+        var other = (rec.frequency || 0) + (rec.variety || 0) + (rec.distribution || 0)
+            + (rec.avoid || 0) + (rec.weekPlan || 0);
+        [['t', rec.total], ['r', rec.recency], ['s', rec.streak], ['c', rec.coverage],
+            ['l', rec.limit], ['o', other]].forEach(function (p) {
+            var v = round(p[1]);
+            if (v) out[p[0]] = v;
+        });
+        if (rec.total === Infinity) out.b = rec.blockReason || 'blocked';
+        return out;
+    }
+
+    function indexScores(scores) {
+        var idx = {};
+        Object.keys(scores || {}).forEach(function (k) {
+            var rec = scores[k];
+            if (!rec || rec.bunk == null || rec.activity == null) return;
+            var b = String(rec.bunk);
+            (idx[b] = idx[b] || {});
+            (idx[b][rec.activity] = idx[b][rec.activity] || {})[rec.slot == null ? 0 : rec.slot] = rec;
+        });
+        return idx;
+    }
+
+    // Breakdown for the bunk-wide map: slot 0 (auto) first, else the lowest slot.
+    function baseScore(bySlot) {
+        if (!bySlot) return null;
+        if (bySlot[0]) return bySlot[0];
+        var slots = Object.keys(bySlot).map(Number).sort(function (a, b) { return a - b; });
+        return slots.length ? bySlot[slots[0]] : null;
+    }
+
+    function lastBlocks(blocks) {
+        var idx = {};
+        (blocks || []).forEach(function (bl) {
+            if (!bl || bl.bunk == null) return;
+            (idx[bl.bunk] = idx[bl.bunk] || {})[bl.activity] = bl;
+        });
+        return idx;
+    }
+
+    function names(list) { return (list || []).map(function (c) { return c && c.name; }); }
+
+    // The record that explains a placed cell: the last placement decision whose
+    // window covers the cell's start, else the bunk's latest priority list (or
+    // engine ranking) that contains the placed activity.
+    function findSource(decs, ranks, startMin, activity) {
+        var placement = null;
+        for (var i = decs.length - 1; i >= 0; i--) {
+            var d = decs[i];
+            if (LIST_KINDS[d.kind]) continue;
+            var w = parseWindow(d.window);
+            if (w && w.s <= startMin && startMin < w.e) { placement = d; break; }
+        }
+        if (placement && placement.candidates && placement.candidates.length) {
+            return { dec: placement, list: placement.candidates.slice().sort(function (a, b) { return (b.score || 0) - (a.score || 0); }), dir: 1 };
+        }
+        var lists = ['special-priority-list', 'sport-priority-list'];
+        for (var li = 0; li < lists.length; li++) {
+            for (var j = decs.length - 1; j >= 0; j--) {
+                if (decs[j].kind === lists[li] && names(decs[j].candidates).indexOf(activity) !== -1) {
+                    return { dec: placement || decs[j], kind: lists[li], list: decs[j].candidates, dir: -1 };
+                }
+            }
+        }
+        for (var r = ranks.length - 1; r >= 0; r--) {
+            if (names(ranks[r].ranked).indexOf(activity) !== -1) {
+                return { dec: placement, kind: 'rank', list: ranks[r].ranked, dir: -1, blockedNames: ranks[r].blocked };
+            }
+        }
+        return placement ? { dec: placement, list: [], dir: -1 } : null;
+    }
+
+    // ── build ────────────────────────────────────────────────────────────────
+    /**
+     * Distill a GenTrace trace into the per-cell explanation index. Only bunks
+     * the run actually decided for are included.
+     * @param {Object} tr   a trace from GenTrace.traces
+     * @param {Object} [opts] { date } — overrides tr.meta.date
+     * @returns {Object} index (see INDEX SHAPE)
+     */
+    C.build = function (tr, opts) {
+        opts = opts || {};
+        tr = tr || {};
+        var out = { v: VERSION, date: opts.date || (tr.meta && tr.meta.date) || null,
+            at: (tr.result && tr.result.endedAt) || new Date().toISOString(), bunks: {} };
+        var decByBunk = {}, rankByBunk = {};
+        (tr.decisions || []).forEach(function (d) {
+            if (d && d.bunk != null) (decByBunk[d.bunk] = decByBunk[d.bunk] || []).push(d);
+        });
+        (tr.ranks || []).forEach(function (rk) {
+            if (rk && rk.bunk != null) (rankByBunk[rk.bunk] = rankByBunk[rk.bunk] || []).push(rk);
+        });
+        var scoreIdx = indexScores(tr.scores);
+        var blockIdx = lastBlocks(tr.blocks);
+        var fs = tr.finalSchedule || {};
+
+        Object.keys(fs).forEach(function (bunk) {
+            var decs = decByBunk[bunk] || [], ranks = rankByBunk[bunk] || [];
+            if (!decs.length && !ranks.length) return;
+            var rows = Array.isArray(fs[bunk]) ? fs[bunk] : [];
+            var bScores = scoreIdx[bunk] || {}, bBlocks = blockIdx[bunk] || {};
+            var acts = {}, cells = {};
+
+            function noteAct(name) {
+                if (name == null || acts[name]) return;
+                var c = compact(baseScore(bScores[name]));
+                if (c) acts[name] = c;
+            }
+
+            rows.forEach(function (row, slot) {
+                if (!row || row === 'cont' || typeof row.s !== 'number' || !row.a) return;
+                var cell = { a: row.a };
+                if (row.f && row.f !== row.a) cell.f = row.f;
+                if (typeof row.e === 'number') cell.e = row.e;
+                if (row.o) cell.o = row.o;
+                var src = findSource(decs, ranks, row.s, row.a);
+                if (src) {
+                    var dec = src.dec;
+                    cell.k = (dec && dec.kind) || src.kind || null;
+                    if (src.kind && src.kind !== cell.k) cell.src = src.kind;
+                    if (dec && dec.note) cell.n = String(dec.note);
+                    else if (dec && dec.from) cell.n = 'replaced ' + dec.from + ' (done yesterday)';
+                    else if (dec && dec.relaxed) cell.n = dec.relaxed + ' relaxed';
+                    var list = src.list || [];
+                    var pos = names(list).indexOf(row.a);
+                    cell.rank = pos === -1 ? null : pos + 1;
+                    cell.dir = src.dir;
+                    var keep = list.slice(0, MAX_ALTS);
+                    if (pos >= MAX_ALTS) keep.push(list[pos]);
+                    cell.alts = keep.map(function (c) {
+                        var t = [c.name, round(c.score)];
+                        if (c.field) t.push(c.field);
+                        return t;
+                    });
+                    var why = {};
+                    list.slice(0, pos === -1 ? MAX_ALTS : Math.min(pos, MAX_ALTS)).forEach(function (c) {
+                        var bl = bBlocks[c.name];
+                        var rec = (bScores[c.name] || {})[slot] || baseScore(bScores[c.name]);
+                        if (bl) why[c.name] = bl.detail ? [bl.reason, bl.detail] : [bl.reason];
+                        else if (rec && rec.blocked) why[c.name] = [rec.blockReason || 'blocked'];
+                        else why[c.name] = null;
+                    });
+                    (src.blockedNames || []).slice(0, MAX_ALTS).forEach(function (n) {
+                        var bl = bBlocks[n];
+                        if (!(n in why)) why[n] = bl ? (bl.detail ? [bl.reason, bl.detail] : [bl.reason]) : ['blocked'];
+                    });
+                    if (Object.keys(why).length) cell.why = why;
+                    keep.forEach(function (c) {
+                        noteAct(c.name);
+                        var exact = slot !== 0 && (bScores[c.name] || {})[slot];
+                        if (exact && exact !== baseScore(bScores[c.name])) {
+                            (cell.sc = cell.sc || {})[c.name] = compact(exact);
+                        }
+                    });
+                }
+                noteAct(row.a);
+                cells[row.s] = cell;
+            });
+            out.bunks[bunk] = { acts: acts, cells: cells };
+        });
+        return out;
+    };
+
+    /**
+     * Keep explanations of bunks the newer run didn't decide for (a scoped
+     * generation leaves other divisions untouched). Same-date only.
+     */
+    C.carryForward = function (prev, next) {
+        if (!prev || !next || prev.date !== next.date || !prev.bunks) return next;
+        Object.keys(prev.bunks).forEach(function (b) {
+            if (!next.bunks[b]) next.bunks[b] = prev.bunks[b];
+        });
+        return next;
+    };
+
+    // ── explain ──────────────────────────────────────────────────────────────
+    /**
+     * The explanation for one placed cell, resolved for display.
+     * @returns {Object|null} { bunk, startMin, endMin, chosen, field, kind,
+     *   kindLabel, note, origin, rank, dir, rows:[{name, score, field, chosen,
+     *   components, blocked, reason}] }
+     */
+    C.explain = function (index, bunk, startMin) {
+        var b = index && index.bunks && index.bunks[bunk];
+        if (!b || !b.cells) return null;
+        var key = String(startMin), cell = b.cells[key];
+        if (!cell) {
+            Object.keys(b.cells).some(function (k) {
+                var c = b.cells[k];
+                if (+k <= startMin && typeof c.e === 'number' && startMin < c.e) { key = k; cell = c; return true; }
+                return false;
+            });
+        }
+        if (!cell) return null;
+        var label = function (k) { return k ? (KIND_LABELS[k] || k) : null; };
+        var res = {
+            bunk: bunk, startMin: +key, endMin: cell.e != null ? cell.e : null,
+            chosen: cell.a, field: cell.f || null, kind: cell.k || null,
+            kindLabel: cell.src ? label(cell.k) + ' (ranked by the ' + label(cell.src).toLowerCase() + ')' : label(cell.k),
+            note: cell.n || null, origin: cell.o || null,
+            rank: cell.rank || null, dir: cell.dir || -1, rows: []
+        };
+        var seen = {};
+        (cell.alts || []).forEach(function (t) {
+            seen[t[0]] = true;
+            var comp = (cell.sc && cell.sc[t[0]]) || b.acts[t[0]] || null;
+            var why = cell.why && (t[0] in cell.why) ? cell.why[t[0]] : undefined;
+            res.rows.push({
+                name: t[0], score: t[1], field: t[2] || null, chosen: t[0] === cell.a,
+                components: comp, blocked: !!(why || (comp && comp.b)),
+                reason: why === undefined ? null : (why ? C.reasonText(why[0], why[1]) : C.reasonText(null))
+            });
+        });
+        Object.keys(cell.why || {}).forEach(function (n) {
+            if (seen[n]) return;
+            var w = cell.why[n];
+            res.rows.push({ name: n, score: null, field: null, chosen: false,
+                components: b.acts[n] || null, blocked: true, reason: C.reasonText(w && w[0], w && w[1]) });
+        });
+        return res;
+    };
+
+    /** Plain-language text for a GenTrace block reason (+ its detail). */
+    C.reasonText = function (reason, d) {
+        d = d || {};
+        switch (reason) {
+            case null: case undefined:
+                return 'No hard block recorded — passed over at placement (field or capacity taken at this time)';
+            case 'already-done-today': return 'Already done today';
+            case 'special-disabled': return 'Turned off';
+            case 'per-date-bunk-restriction': return 'Restricted to other bunks today';
+            case 'frequencyDays-cooldown':
+                return 'Cooldown — done ' + (d.daysSince != null ? d.daysSince + ' day(s) ago' : 'recently')
+                    + (d.cooldownDays != null ? ', needs ' + d.cooldownDays : '');
+            case 'multiPart-complete': return 'All ' + (d.totalParts || '') + ' parts already done';
+            case 'multiPart-daysBetween': return 'Next part not due yet (' + d.daysSince + ' of ' + d.daysBetween + ' days)';
+            case 'availableDays-weekday': return 'Not offered on ' + (d.today || 'this day');
+            case 'rotationCohort-waiting': return 'Waiting for the rest of the cohort to catch up';
+            case 'maxUsage-cap': return 'Usage cap reached (' + d.count + '/' + d.maxUsage + (d.period ? ' per ' + d.period : '') + ')';
+            case 'exactFrequency-reached': return 'Exact frequency reached (' + d.count + '/' + d.exactFrequency + ')';
+            case 'fairShare-cap': return 'Ahead of its fair share (' + d.myCount + ' vs floor ' + d.floor + ')';
+            case 'limit': return 'Usage limit';
+            case 'blocked': return 'Blocked by the rotation rules';
+            default: return String(reason).replace(/[-_]/g, ' ');
+        }
+    };
+
+    // ── data access ──────────────────────────────────────────────────────────
+    /** The saved index for a date (window copy for the viewed date, else daily data). */
+    C.load = function (dateKey) {
+        if (typeof window === 'undefined') return null;
+        var dk = dateKey || window.currentScheduleDate;
+        if (window._genExplain && window._genExplain.date === dk) return window._genExplain;
+        try {
+            var all = (window.loadAllDailyData && window.loadAllDailyData()) || {};
+            var gx = all[dk] && all[dk]._genExplain;
+            return gx && gx.date === dk ? gx : null;
+        } catch (e) { return null; }
+    };
+
+    C.has = function (bunk, startMin, dateKey) {
+        return !!C.explain(C.load(dateKey), bunk, startMin);
+    };
+
+    C.capture = function (tr) {
+        if (!tr || !tr.finalSchedule || typeof window === 'undefined') return null;
+        var dk = window.currentScheduleDate;
+        var idx = C.build(tr);
+        if (!idx.date || idx.date !== dk) return null; // the viewed day moved on mid-run
+        C.carryForward(C.load(dk), idx);
+        window._genExplain = idx;
+        try { if (window.saveCurrentDailyData) window.saveCurrentDailyData('_genExplain', idx); }
+        catch (e) { console.warn('[CellExplain] could not save explanation:', e); }
+        // The grid painted before the trace closed — repaint so the "?" badges show.
+        setTimeout(function () { try { if (window.updateTable) window.updateTable(); } catch (e) { /* non-fatal */ } }, 0);
+        return idx;
+    };
+
+    // ── UI ───────────────────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+    function num(v) { return v == null ? '<span style="color:#d1d5db;">–</span>' : esc(v); }
+
+    /**
+     * Panel body: ranked alternatives with component scores and rejection
+     * reasons. `currentActivity` flags a cell edited after generation.
+     */
+    C.renderHtml = function (ex, currentActivity) {
+        if (!ex) {
+            return '<div style="font-size:0.8rem;color:#6b7280;">No generation record for this cell — it was placed before explanations were saved, by hand, or by a run on another device that predates this feature.</div>';
+        }
+        var html = '<div style="font-size:0.8rem;color:#374151;margin-bottom:8px;line-height:1.45;">'
+            + '<b>' + esc(ex.chosen) + '</b>' + (ex.field ? ' @ ' + esc(ex.field) : '')
+            + (ex.kindLabel ? ' · ' + esc(ex.kindLabel) : '')
+            + (ex.rank ? ' · ranked #' + ex.rank : '')
+            + (ex.note ? '<br><span style="color:#6b7280;">Note: ' + esc(ex.note) + '</span>' : '')
+            + '</div>';
+        if (currentActivity && ex.chosen && String(currentActivity).toLowerCase() !== String(ex.chosen).toLowerCase()) {
+            html += '<div style="font-size:0.75rem;background:#fffbeb;border:1px solid #fde68a;color:#92400e;border-radius:6px;padding:6px 8px;margin-bottom:8px;">'
+                + 'Edited after generation — the generator placed <b>' + esc(ex.chosen) + '</b> here.</div>';
+        }
+        if (ex.origin && ORIGIN_LABELS[ex.origin]) {
+            html += '<div style="font-size:0.75rem;color:#6b7280;margin-bottom:8px;">This cell is ' + ORIGIN_LABELS[ex.origin] + ', not a rotation choice.</div>';
+        }
+        if (!ex.rows.length) return html;
+        html += '<div style="font-size:0.7rem;color:#9ca3af;margin-bottom:4px;">'
+            + (ex.dir > 0 ? 'Higher score wins.' : 'Lower rotation score wins; components add up to the total.') + '</div>'
+            + '<table style="width:100%;border-collapse:collapse;font-size:0.75rem;">'
+            + '<thead><tr style="text-align:left;color:#6b7280;border-bottom:1px solid #e5e7eb;">'
+            + '<th style="padding:4px;">#</th><th style="padding:4px;">Activity</th><th style="padding:4px;text-align:right;">Score</th>'
+            + '<th style="padding:4px;text-align:right;">Recency</th><th style="padding:4px;text-align:right;">Streak</th>'
+            + '<th style="padding:4px;text-align:right;">Coverage</th><th style="padding:4px;text-align:right;">Limit</th>'
+            + '<th style="padding:4px;text-align:right;">Other</th></tr></thead><tbody>';
+        ex.rows.forEach(function (r, i) {
+            var c = r.components || {};
+            html += '<tr style="border-bottom:1px solid #f3f4f6;' + (r.chosen ? 'background:#ecfdf5;font-weight:600;' : '') + '">'
+                + '<td style="padding:4px;color:#9ca3af;">' + (r.score == null && r.blocked ? '' : i + 1) + '</td>'
+                + '<td style="padding:4px;">' + esc(r.name) + (r.field && r.field !== r.name ? ' <span style="color:#9ca3af;">@ ' + esc(r.field) + '</span>' : '')
+                + (r.chosen ? ' <span style="color:#059669;">✓ placed</span>' : '') + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(r.score != null ? r.score : c.t) + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(c.r) + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(c.s) + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(c.c) + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(c.l) + '</td>'
+                + '<td style="padding:4px;text-align:right;">' + num(c.o) + '</td></tr>';
+            if (r.reason) {
+                html += '<tr><td></td><td colspan="7" style="padding:0 4px 5px;color:' + (r.blocked ? '#b91c1c' : '#6b7280') + ';font-size:0.7rem;">'
+                    + (r.blocked ? '✗ ' : '· ') + esc(r.reason) + '</td></tr>';
+            }
+        });
+        return html + '</tbody></table>';
+    };
+
+    /** Collapsible "Why is this here?" card for edit modals ('' when nothing recorded). */
+    C.panelHtml = function (bunk, startMin, currentActivity, dateKey) {
+        var ex = C.explain(C.load(dateKey), bunk, startMin);
+        if (!ex) return '';
+        return '<details id="cell-explain-panel" style="background:#fff;border:1px solid #e8eaed;border-radius:12px;margin-bottom:16px;overflow:hidden;">'
+            + '<summary style="cursor:pointer;outline:none;padding:10px 14px;background:#f8fafc;font-weight:600;font-size:0.85rem;color:#147D91;">Why is this here?</summary>'
+            + '<div style="padding:10px 14px 12px;">' + C.renderHtml(ex, currentActivity) + '</div></details>';
+    };
+
+    /** Standalone modal (auto grid "?" badge, read-only viewers). */
+    C.open = function (bunk, startMin, currentActivity, dateKey) {
+        if (typeof document === 'undefined') return;
+        var old = document.getElementById('cellExplainOverlay');
+        if (old) old.remove();
+        var ex = C.explain(C.load(dateKey), bunk, startMin);
+        var fmt = (window.SchedulerCoreUtils && window.SchedulerCoreUtils.minutesToTimeLabel) || function (m) { return String(m); };
+        var overlay = document.createElement('div');
+        overlay.id = 'cellExplainOverlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        var md = false;
+        overlay.addEventListener('mousedown', function (e) { md = (e.target === overlay); });
+        overlay.addEventListener('click', function (e) { if (e.target === overlay && md) overlay.remove(); });
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:640px;width:100%;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        box.innerHTML =
+            '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;">'
+            + '<h3 style="margin:0;font-size:18px;">Why is this here? <span style="font-weight:400;color:#6b7280;font-size:14px;">' + esc(bunk)
+            + ' · ' + esc(fmt(ex ? ex.startMin : startMin)) + '</span></h3>'
+            + '<button id="cellExplainClose" style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div>'
+            + '<div style="overflow:auto;padding:14px 20px;">' + C.renderHtml(ex, currentActivity) + '</div>';
+        overlay.appendChild(box);
+        document.body.appendChild(overlay);
+        document.getElementById('cellExplainClose').onclick = function () { overlay.remove(); };
+    };
+
+    if (typeof window !== 'undefined') {
+        window.CellExplain = C;
+        if (window.addEventListener) {
+            window.addEventListener('campistry-gentrace-captured', function () {
+                try { C.capture(window.GenTrace && window.GenTrace.traces[0]); }
+                catch (err) { console.warn('[CellExplain] capture failed:', err); }
+            });
+        }
+    }
+    if (typeof module !== 'undefined' && module.exports) module.exports = C;
+})();
@@ -66,6 +66,8 @@
             
             // ★ Indoor/Outdoor for rainy day
             rainyDayAvailable: f.rainyDayAvailable === true,
+            // Sun exposure for the heat & sun rules (unset = follow rainyDayAvailable)
+            ...(['indoor', 'shaded', 'outdoor'].includes(f.exposure) ? { exposure: f.exposure } : {}),
             
             // Preserve per-grade sharing overrides
             ...(f.gradeShareRules ? { gradeShareRules: f.gradeShareRules } : {}),
@@ -67,6 +67,13 @@ let _generationBunkScope = null;
 //   tab-visibility refresh can't reload stale state over a live generation.
 let _daOptimizerRunning = false;
 
+// ★ Headless Generate (WeekPlanner "generate the week"): while set, the
+//   optimizer's alerts/confirms don't open modals — alerts are collected on
+//   the run record and confirms resolve true (the week dialog already asked the
+//   one question that matters: replace these days). `ok` records whether the
+//   solver succeeded, since runOptimizer itself returns nothing.
+let _daHeadlessRun = null;
+
 function _daIsBackToBack(ev) {
   if (!ev.leagueName || (ev.type !== 'league' && ev.type !== 'specialty_league')) return false;
   const parseT = window.SchedulerCoreUtils?.parseTimeToMinutes;
@@ -726,6 +733,7 @@ async function daTryMergeSwimElective(newEvent, divName, skeleton) {
 
 function daShowConfirm(message, opts) {
   opts = opts || {};
+  if (_daHeadlessRun) { _daHeadlessRun.messages.push(String(message)); return Promise.resolve(true); }
   return new Promise(function(resolve) {
     // ★ Day 25b fix (#5): distinct (prefixed) overlay id so a confirm no longer
     //   removes an open input modal (daShowModal) — they used to share one id.
@@ -789,6 +797,7 @@ function daShowConfirm(message, opts) {
 }
 
 function daShowAlert(message) {
+  if (_daHeadlessRun) { _daHeadlessRun.messages.push(String(message)); return Promise.resolve(); }
   return new Promise(function(resolve) {
     // ★ Day 25b fix (#5): distinct (prefixed) overlay id so an alert no longer
     //   removes an open input modal (daShowModal) — they used to share one id.
@@ -1434,6 +1443,7 @@ function renderRainyDayPanel() {
   }
      
   panel.innerHTML = `
+    <div id="da-weather-forecast"></div>
     <div class="da-rainy-dropdown ${isExpanded ? 'expanded' : ''} ${isActive ? 'active' : ''}">
       <div class="da-rainy-dropdown-header" id="da-rainy-dropdown-toggle">
         <div class="da-rainy-dropdown-title">
@@ -1559,6 +1569,7 @@ function renderRainyDayPanel() {
                 ${skeletonOptions}
               </select>
             </div>
+            ${_daWeatherSettingsHtml()}
           </div>
         </div>
       </div>
@@ -1566,6 +1577,8 @@ function renderRainyDayPanel() {
   `;
   
   bindRainyDayEvents();
+  _daBindWeatherSettings();
+  _daWeatherRefresh();
 }
 
 function bindRainyDayEvents() {
@@ -2378,6 +2391,42 @@ function _rainyClearCuts() {
 }
 
 // Show mid-day rain start time picker modal
+// Keep / cut / clear counts for a rain cut at rainStartMin — shared by the
+// Mid-Day modal and the forecast suggestion preview.
+function _rainySplitPreviewHtml(rainStartMin) {
+  // Dry-run of the REAL split (pure function) so the preview always matches
+  // what confirming will actually do — counts are per BLOCK, per bunk.
+  const st = _rainySplitScheduleAt(
+    window.scheduleAssignments || {},
+    window.divisionTimes || {},
+    _rainyScopedDivisions(),
+    rainStartMin
+  ).stats;
+
+  return `
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px;text-align:center;">
+      <div style="background:#d1fae5;padding:8px;border-radius:6px;">
+        <div style="font-size:20px;font-weight:700;color:#065f46;">${st.keptDone + st.keptInProgress}</div>
+        <div style="font-size:11px;color:#047857;">✅ Keep</div>
+      </div>
+      <div style="background:#fef3c7;padding:8px;border-radius:6px;">
+        <div style="font-size:20px;font-weight:700;color:#92400e;">${st.erasedInProgress}</div>
+        <div style="font-size:11px;color:#a16207;">⚠️ Cut (&lt;75%)</div>
+      </div>
+      <div style="background:#fee2e2;padding:8px;border-radius:6px;">
+        <div style="font-size:20px;font-weight:700;color:#991b1b;">${st.erasedFuture}</div>
+        <div style="font-size:11px;color:#dc2626;">🗑️ Clear</div>
+      </div>
+    </div>
+    ${(st.keptInProgress + st.erasedInProgress) > 0 ? `
+      <div style="margin-top:10px;font-size:12px;color:#64748b;">
+        In progress at the cut: <strong>${st.keptInProgress}</strong> ≥75% done (kept &amp; counted),
+        <strong>${st.erasedInProgress}</strong> under 75% (cleared, not counted)
+      </div>
+    ` : ''}
+  `;
+}
+
 function showMidDayRainModal() {
   // Remove any existing modal
   const existingModal = document.getElementById('da-midday-rain-modal');
@@ -2442,39 +2491,7 @@ function showMidDayRainModal() {
     if (!timeInput || !previewContent) return;
     
     const [hours, mins] = timeInput.value.split(':').map(Number);
-    const rainStartMin = hours * 60 + mins;
-
-    // Dry-run of the REAL split (pure function) so the preview always matches
-    // what confirming will actually do — counts are per BLOCK, per bunk.
-    const st = _rainySplitScheduleAt(
-      window.scheduleAssignments || {},
-      window.divisionTimes || {},
-      _rainyScopedDivisions(),
-      rainStartMin
-    ).stats;
-
-    previewContent.innerHTML = `
-      <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px;text-align:center;">
-        <div style="background:#d1fae5;padding:8px;border-radius:6px;">
-          <div style="font-size:20px;font-weight:700;color:#065f46;">${st.keptDone + st.keptInProgress}</div>
-          <div style="font-size:11px;color:#047857;">✅ Keep</div>
-        </div>
-        <div style="background:#fef3c7;padding:8px;border-radius:6px;">
-          <div style="font-size:20px;font-weight:700;color:#92400e;">${st.erasedInProgress}</div>
-          <div style="font-size:11px;color:#a16207;">⚠️ Cut (&lt;75%)</div>
-        </div>
-        <div style="background:#fee2e2;padding:8px;border-radius:6px;">
-          <div style="font-size:20px;font-weight:700;color:#991b1b;">${st.erasedFuture}</div>
-          <div style="font-size:11px;color:#dc2626;">🗑️ Clear</div>
-        </div>
-      </div>
-      ${(st.keptInProgress + st.erasedInProgress) > 0 ? `
-        <div style="margin-top:10px;font-size:12px;color:#64748b;">
-          In progress at the cut: <strong>${st.keptInProgress}</strong> ≥75% done (kept &amp; counted),
-          <strong>${st.erasedInProgress}</strong> under 75% (cleared, not counted)
-        </div>
-      ` : ''}
-    `;
+    previewContent.innerHTML = _rainySplitPreviewHtml(hours * 60 + mins);
   };
   
   // Event handlers
@@ -2520,6 +2537,342 @@ function showMidDayRainModal() {
   updatePreview();
 }
 
+// =================================================================
+// ★ WEATHER FORECAST SUGGESTIONS (weather_forecast.js)
+// The forecast becomes one-click proposals above the rainy panel:
+//   • today    — "go rainy at 1:30pm" / "full rainy day": the same
+//                activate paths as the Mid-Day modal and the toggle
+//   • tomorrow — "full rainy day tomorrow": saved as an accepted plan
+//                and applied the first time that date is opened here
+//   • heat     — close outdoor fields during the heat-index window
+//                (per-date Unavailable time rules tagged _heat), then
+//                offer to re-roll the outdoor tiles in it indoors
+// Each card previews what accepting does before anything changes.
+// =================================================================
+let _daWeatherSeq = 0;
+
+function _daWeatherDayBounds() {
+  let s = null, e = null;
+  Object.values(window.divisions || {}).forEach(d => {
+    const ds = parseTimeToMinutes(d?.startTime), de = parseTimeToMinutes(d?.endTime);
+    if (ds != null && (s == null || ds < s)) s = ds;
+    if (de != null && (e == null || de > e)) e = de;
+  });
+  return { startMin: s ?? 540, endMin: e ?? 1020 };
+}
+
+function _daWeatherAnalyze(forecast, dateKey) {
+  const cfg = window.WeatherForecast.settings();
+  return window.WeatherForecast.analyzeDay(forecast, dateKey, Object.assign(_daWeatherDayBounds(), {
+    rainProbPct: cfg.rainProbPct, rainMm: cfg.rainMm, fullDayFraction: cfg.fullDayFraction, heatIndexF: cfg.heatIndexF
+  }));
+}
+
+// An accepted "tomorrow" plan switches the day once, on the first visit —
+// turning rainy mode off afterwards is the director's call and sticks.
+function _daApplyWeatherPlan() {
+  const WF = window.WeatherForecast;
+  const dateKey = window.currentScheduleDate;
+  const plan = (WF && dateKey) ? WF.getPlan(dateKey) : null;
+  if (!plan || plan.appliedAt || !window.AccessControl?.canEdit?.()) return false;
+  WF.savePlan(dateKey, Object.assign({}, plan, { appliedAt: new Date().toISOString() }));
+  if (plan.kind !== 'full-day' || isRainyDayActive()) return false;
+  console.log(`[Weather] Applying the accepted rainy-day plan for ${dateKey}`);
+  activateFullDayRainyMode();
+  return true;
+}
+
+function _daHeatRuleFields() {
+  return Object.keys(currentOverrides.dailyFieldAvailability || {})
+    .filter(f => (currentOverrides.dailyFieldAvailability[f] || []).some(r => r && r._heat));
+}
+
+function _daHeatTiles(windows) {
+  const invalid = _rainyBuildInvalidSets('rain');
+  invalid.specials = new Set();   // heat closes outdoor FIELDS only
+  const lockCut = _rainyGetLastCutMin();
+  return _rainyScanInvalidTiles(window.scheduleAssignments || {}, window.divisionTimes || {}, _rainyScopedDivisions(), invalid)
+    .filter(t => windows.some(w => t.startMin < w.endMin && (t.endMin ?? t.startMin + 1) > w.startMin))
+    .filter(t => lockCut == null || t.startMin >= lockCut);
+}
+
+function _daSetHeatRules(windows) {
+  const dfa = currentOverrides.dailyFieldAvailability || (currentOverrides.dailyFieldAvailability = {});
+  const outdoor = getRainyDayStats().outdoorFieldNames;
+  Object.keys(dfa).forEach(name => {
+    dfa[name] = (dfa[name] || []).filter(r => !r || !r._heat);
+    if (dfa[name].length === 0) delete dfa[name];
+  });
+  (windows || []).forEach(w => {
+    outdoor.forEach(name => {
+      (dfa[name] = dfa[name] || []).push({
+        type: 'Unavailable', start: minutesToTime(w.startMin), end: minutesToTime(w.endMin),
+        startMin: w.startMin, endMin: w.endMin, _heat: true
+      });
+    });
+  });
+  saveOverridesUnified();
+  return outdoor.length;
+}
+
+function _daWeatherCard(id, icon, title, detail, acceptLabel, tone) {
+  const c = tone === 'heat'
+    ? { bg: '#fff7ed', bd: '#fdba74', tx: '#9a3412' }
+    : { bg: '#eff6ff', bd: '#93c5fd', tx: '#1e3a8a' };
+  return `
+    <div class="da-weather-card" data-wid="${id}" style="display:flex;align-items:center;gap:10px;flex-wrap:wrap;margin:0 0 8px;padding:10px 12px;background:${c.bg};border:1px solid ${c.bd};border-radius:8px;">
+      <span style="font-size:20px;">${icon}</span>
+      <div style="flex:1;min-width:200px;font-size:12px;color:${c.tx};">
+        <strong>${title}</strong><br>${detail}
+      </div>
+      <button class="da-btn da-btn-secondary da-btn-sm" data-wact="preview">Preview</button>
+      ${acceptLabel ? `<button class="da-btn da-btn-primary da-btn-sm" data-wact="accept">${acceptLabel}</button>` : ''}
+      <button class="da-btn da-btn-secondary da-btn-sm" data-wact="dismiss" title="Dismiss">✕</button>
+    </div>`;
+}
+
+function _daSkeletonPreviewHtml(skeleton, fromMin) {
+  const byDiv = {};
+  (skeleton || []).forEach(b => {
+    const sm = parseTimeToMinutes(b.startTime), em = parseTimeToMinutes(b.endTime);
+    if (sm == null || em == null || (fromMin != null && em <= fromMin)) return;
+    (byDiv[b.division] = byDiv[b.division] || []).push({ sm, em, ev: b.event || b.type });
+  });
+  const divs = Object.keys(byDiv).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (divs.length === 0) return '<div style="color:#64748b;font-size:12px;">No skeleton blocks.</div>';
+  return divs.map(d => `
+    <div style="margin-bottom:8px;">
+      <div style="font-weight:600;font-size:12px;margin-bottom:3px;">${_escHtml(d)}</div>
+      <div style="display:flex;flex-wrap:wrap;gap:4px;">
+        ${byDiv[d].sort((a, b) => a.sm - b.sm).map(x =>
+          `<span style="font-size:11px;padding:2px 6px;border-radius:4px;background:#f1f5f9;border:1px solid #e2e8f0;">${minutesToTime(x.sm)} ${_escHtml(x.ev)}</span>`).join('')}
+      </div>
+    </div>`).join('');
+}
+
+function _daWeatherPreviewHtml(s) {
+  const stats = getRainyDayStats();
+  const closed = stats.outdoorFieldNames.length
+    ? `<div style="font-size:12px;color:#64748b;margin-top:10px;"><strong>Closed:</strong> ${stats.outdoorFieldNames.map(_escHtml).join(', ')}<br><strong>Open:</strong> ${stats.indoorFieldNames.map(_escHtml).join(', ') || 'no indoor fields configured'}</div>`
+    : '';
+  if (s.kind === 'heat') {
+    const tiles = _daHeatTiles(s.heat);
+    const when = s.heat.map(w => `${minutesToTime(w.startMin)}–${minutesToTime(w.endMin)} (${Math.round(w.peakF)}°F)`).join(', ');
+    return `<p style="margin:0 0 8px;">Outdoor fields become <strong>Unavailable</strong> ${when}. Generate then fills that window indoors.</p>
+      <p style="margin:0;">${tiles.length ? `<strong>${tiles.length}</strong> scheduled tile(s) on outdoor fields fall in it — you'll be offered to re-roll just those.` : 'No scheduled tile is outdoors in that window yet.'}</p>${closed}`;
+  }
+  if (s.kind === 'mid-day') {
+    const dailySkel = window.dailyOverrideSkeleton || dailyOverrideSkeleton;
+    return `<p style="margin:0 0 8px;">The day is split at <strong>${minutesToTime(s.startMin)}</strong> — the same as Mid-Day Mode.</p>
+      ${_rainySplitPreviewHtml(s.startMin)}
+      <div style="font-weight:600;margin:12px 0 6px;">Refilled indoors after the cut:</div>
+      ${_daSkeletonPreviewHtml(dailySkel, s.startMin)}${closed}`;
+  }
+  const rainyName = isAutoSkeletonSwitchEnabled() ? getRainyDaySkeletonName() : null;
+  const rainySkel = rainyName ? (window.loadGlobalSettings?.()?.app1?.savedSkeletons || {})[rainyName] : null;
+  const structure = (rainySkel && rainySkel.length)
+    ? `<div style="font-weight:600;margin:4px 0 6px;">Day runs on the "${_escHtml(rainyName)}" skeleton:</div>${_daSkeletonPreviewHtml(rainySkel)}`
+    : '<p style="margin:0;">The current skeleton stays; every outdoor tile is filled indoors.</p>';
+  return `<p style="margin:0 0 8px;">${s.dateKey === window.currentScheduleDate ? 'Today' : _escHtml(s.dateKey)} becomes a <strong>full rainy day</strong>.</p>${structure}${closed}`;
+}
+
+function _daWeatherPreview(s, onAccept) {
+  document.getElementById('da-weather-preview-modal')?.remove();
+  const modal = document.createElement('div');
+  modal.id = 'da-weather-preview-modal';
+  modal.className = 'da-modal-overlay';
+  modal.innerHTML = `
+    <div class="da-modal" style="max-width:560px;">
+      <div class="da-modal-header">
+        <h3>${s.icon} ${_escHtml(s.title)}</h3>
+        <button class="da-modal-close" data-wact="close">×</button>
+      </div>
+      <div class="da-modal-body" style="max-height:60vh;overflow:auto;font-size:13px;color:#334155;">
+        <div style="font-size:12px;color:#64748b;margin-bottom:10px;">${s.detail}</div>
+        ${_daWeatherPreviewHtml(s)}
+      </div>
+      <div class="da-modal-footer">
+        <button class="da-btn da-btn-secondary" data-wact="close">Cancel</button>
+        <button class="da-btn da-btn-primary" data-wact="accept">${_escHtml(s.acceptLabel)}</button>
+      </div>
+    </div>`;
+  document.body.appendChild(modal);
+  modal.querySelectorAll('[data-wact="close"]').forEach(b => { b.onclick = () => modal.remove(); });
+  modal.querySelector('[data-wact="accept"]').onclick = () => { modal.remove(); onAccept(); };
+  let _wOverlayF = false;
+  modal.addEventListener('mousedown', (e) => { _wOverlayF = (e.target === modal); });
+  modal.onclick = (e) => { if (e.target === modal && _wOverlayF) modal.remove(); };
+}
+
+async function _daWeatherAccept(s) {
+  const WF = window.WeatherForecast;
+  if (s.kind === 'plan') {
+    if (!window.AccessControl?.checkEditAccess?.('plan a rainy day')) return;
+    WF.savePlan(s.dateKey, { kind: 'full-day', acceptedAt: new Date().toISOString(), startMin: s.startMin });
+  } else if (s.kind === 'full-day') {
+    const result = activateFullDayRainyMode();
+    renderRainyDayPanel();
+    renderResourceOverridesUI();
+    renderGrid();
+    if (result) await _rainyOfferScheduleFix(true, !!result.structureChanged);
+    return;
+  } else if (s.kind === 'mid-day') {
+    activateMidDayRainyMode(s.startMin);
+    renderResourceOverridesUI();
+    renderGrid();
+  } else if (s.kind === 'heat') {
+    if (!window.AccessControl?.checkEditAccess?.('close outdoor fields for heat')) return;
+    const n = _daSetHeatRules(s.heat);
+    console.log(`[Weather] Heat rules set on ${n} outdoor field(s)`);
+    renderResourceOverridesUI();
+    const tiles = _daHeatTiles(s.heat);
+    if (tiles.length && window._daBuilderMode !== 'auto') {
+      await _daPartialRegenerate(tiles, {
+        confirmMessage: '🔥 ' + tiles.length + (tiles.length === 1 ? ' scheduled tile is' : ' scheduled tiles are') +
+          ' on an outdoor field during the heat window.<br><br>Re-roll just ' +
+          (tiles.length === 1 ? 'that tile' : 'those tiles') + ' indoors? Everything else stays exactly as it is.'
+      });
+    }
+  }
+  renderRainyDayPanel();
+}
+
+// Builds the suggestion cards for today + tomorrow. Async (the provider may
+// fetch); a newer call supersedes an older one still in flight.
+async function _daWeatherRefresh(force) {
+  const WF = window.WeatherForecast;
+  const el = document.getElementById('da-weather-forecast');
+  if (!WF || !el) return;
+  if (_daApplyWeatherPlan()) { renderRainyDayPanel(); renderResourceOverridesUI(); renderGrid(); return; }
+  if (!WF.isConfigured()) { el.innerHTML = ''; return; }
+
+  const seq = ++_daWeatherSeq;
+  const forecast = await WF.getForecast({ force: !!force });
+  if (seq !== _daWeatherSeq || !document.body.contains(el)) return;
+  if (!forecast) {
+    el.innerHTML = WF.lastError()
+      ? `<div style="margin:0 0 8px;font-size:12px;color:#b45309;">⚠️ Forecast unavailable: ${_escHtml(WF.lastError())}</div>` : '';
+    return;
+  }
+
+  const today = window.currentScheduleDate;
+  const tomorrow = WF.addDays(today, 1);
+  const a = _daWeatherAnalyze(forecast, today);
+  const b = _daWeatherAnalyze(forecast, tomorrow);
+  const pct = r => Math.round((r.peakProb || 0) * 100) + '%';
+  const suggestions = [];
+  const rainy = isRainyDayActive();
+
+  if (a.rain && !rainy && !WF.isDismissed(today, 'rain')) {
+    const lastCut = _rainyGetLastCutMin();
+    if (a.rain.kind === 'full-day') {
+      suggestions.push({ id: 'rain', kind: 'full-day', dateKey: today, icon: '🌧️', tone: 'rain',
+        title: 'Rain forecast for the whole day',
+        detail: `Up to ${pct(a.rain)} chance, wet ${Math.round(a.rain.wetFraction * 100)}% of the camp day.`,
+        acceptLabel: 'Go rainy today' });
+    } else if (lastCut == null || a.rain.startMin >= lastCut) {
+      const at = minutesToTime(a.rain.startMin);
+      suggestions.push({ id: 'rain', kind: 'mid-day', dateKey: today, startMin: a.rain.startMin, icon: '🌦️', tone: 'rain',
+        title: `Rain from ${at}`,
+        detail: `Up to ${pct(a.rain)} chance${a.rain.clearsAt ? `, clearing around ${minutesToTime(a.rain.clearsAt)}` : ''}. Keeps the morning, moves the rest indoors.`,
+        acceptLabel: `Go rainy at ${at}` });
+    }
+  }
+  if (a.heat.length && !WF.isDismissed(today, 'heat') && _daHeatRuleFields().length === 0) {
+    const peak = Math.max(...a.heat.map(w => w.peakF));
+    suggestions.push({ id: 'heat', kind: 'heat', dateKey: today, heat: a.heat, icon: '🔥', tone: 'heat',
+      title: `Heat index up to ${Math.round(peak)}°F`,
+      detail: a.heat.map(w => `${minutesToTime(w.startMin)}–${minutesToTime(w.endMin)}`).join(', ') + ' — pull outdoor sports indoors.',
+      acceptLabel: 'Move indoors' });
+  }
+  const plan = WF.getPlan(tomorrow);
+  if (plan && !plan.appliedAt) {
+    suggestions.push({ id: 'plan', kind: 'planned', dateKey: tomorrow, icon: '📅', tone: 'rain',
+      title: 'Tomorrow is planned as a rainy day', detail: 'Applied automatically when you open tomorrow.', acceptLabel: null });
+  } else if (b.rain && b.rain.kind === 'full-day' && !WF.isDismissed(tomorrow, 'rain')) {
+    suggestions.push({ id: 'plan', kind: 'plan', dateKey: tomorrow, startMin: b.rain.startMin, icon: '🌧️', tone: 'rain',
+      title: 'Full rainy day forecast tomorrow',
+      detail: `Up to ${pct(b.rain)} chance, wet ${Math.round(b.rain.wetFraction * 100)}% of the camp day.`,
+      acceptLabel: 'Plan rainy day' });
+  }
+
+  el.innerHTML = suggestions.map(x => _daWeatherCard(x.id, x.icon, _escHtml(x.title), x.detail, x.acceptLabel, x.tone)).join('');
+  suggestions.forEach(x => {
+    const card = el.querySelector(`.da-weather-card[data-wid="${x.id}"]`);
+    if (!card) return;
+    const accept = () => _daWeatherAccept(x);
+    card.querySelector('[data-wact="preview"]').onclick = (e) => {
+      e.stopPropagation();
+      if (x.kind === 'planned') { _daWeatherPreview(Object.assign({}, x, { kind: 'full-day', acceptLabel: 'Cancel the plan' }), () => { WF.clearPlan(tomorrow); _daWeatherRefresh(); }); return; }
+      _daWeatherPreview(x, accept);
+    };
+    const acc = card.querySelector('[data-wact="accept"]');
+    if (acc) acc.onclick = (e) => { e.stopPropagation(); accept(); };
+    card.querySelector('[data-wact="dismiss"]').onclick = (e) => {
+      e.stopPropagation();
+      if (x.kind === 'planned') WF.clearPlan(x.dateKey);
+      else WF.dismiss(x.dateKey, x.kind === 'heat' ? 'heat' : 'rain');
+      _daWeatherRefresh();
+    };
+  });
+}
+
+function _daWeatherSettingsHtml() {
+  if (!window.WeatherForecast) return '';
+  const cfg = window.WeatherForecast.settings();
+  const heatFields = _daHeatRuleFields();
+  return `
+    <div class="da-rainy-settings-row">
+      <div>
+        <span class="da-rainy-settings-label">Forecast Source</span>
+        <div class="da-rainy-settings-sublabel">JSON file URL for the local forecast provider (hourly rain + heat index)</div>
+      </div>
+      <input type="text" id="da-weather-url" class="da-input" style="max-width:220px;" placeholder="weather.json" value="${_escHtml(cfg.localUrl || '')}">
+    </div>
+    <div class="da-rainy-settings-row">
+      <div>
+        <span class="da-rainy-settings-label">Forecast Thresholds</span>
+        <div class="da-rainy-settings-sublabel">Rain chance (%) that counts as wet · heat index (°F) that moves sports indoors</div>
+      </div>
+      <div style="display:flex;gap:6px;">
+        <input type="number" id="da-weather-rain-pct" class="da-input" style="width:70px;" min="1" max="100" value="${cfg.rainProbPct}">
+        <input type="number" id="da-weather-heat-f" class="da-input" style="width:70px;" min="70" max="130" value="${cfg.heatIndexF}">
+      </div>
+    </div>
+    ${heatFields.length ? `
+    <div class="da-rainy-settings-row">
+      <div>
+        <span class="da-rainy-settings-label">Heat Closures</span>
+        <div class="da-rainy-settings-sublabel">${heatFields.length} outdoor field(s) closed for heat today</div>
+      </div>
+      <button id="da-weather-clear-heat" class="da-btn da-btn-secondary da-btn-sm">Reopen</button>
+    </div>` : ''}`;
+}
+
+function _daBindWeatherSettings() {
+  const WF = window.WeatherForecast;
+  if (!WF) return;
+  const url = document.getElementById('da-weather-url');
+  const pct = document.getElementById('da-weather-rain-pct');
+  const heat = document.getElementById('da-weather-heat-f');
+  const save = () => {
+    WF.saveSettings({
+      localUrl: url ? url.value.trim() : '',
+      rainProbPct: Math.min(100, Math.max(1, parseInt(pct?.value, 10) || WF.DEFAULTS.rainProbPct)),
+      heatIndexF: parseInt(heat?.value, 10) || WF.DEFAULTS.heatIndexF
+    });
+    _daWeatherRefresh(true);
+  };
+  [url, pct, heat].forEach(i => { if (i) { i.onclick = (e) => e.stopPropagation(); i.onchange = save; } });
+  const clearHeat = document.getElementById('da-weather-clear-heat');
+  if (clearHeat) clearHeat.onclick = (e) => {
+    e.stopPropagation();
+    _daSetHeatRules([]);
+    renderResourceOverridesUI();
+    renderRainyDayPanel();
+  };
+}
+
 function switchToRainySkeleton() {
   const skeletonName = getRainyDaySkeletonName();
   if (!skeletonName) {
@@ -3323,6 +3676,7 @@ function daCleanupOrphanChangeTiles() {
     console.log(`[DA-CLEANUP] Removed ${before - dailyOverrideSkeleton.length} orphan Change tile(s)`);
     // Persist only if the user can edit — this is an automatic cleanup, so a
     // read-only session shouldn't trip the #5a "not saved" warning.
+    _daHistory()?.amend();
     if (window.AccessControl?.canEdit?.() && typeof saveDailySkeleton === 'function') saveDailySkeleton();
   }
 }
@@ -5723,6 +6077,7 @@ let tmpl = assignments[today] || assignments['Default'];
   }
   
  console.log('[DailyAdj] Auto layers loaded:', Object.keys(daAutoLayers).length, 'grades');
+ _daHistory()?.adopt();
 }
 
 // ★ Bound the per-date app1 maps so they can't grow without limit. These maps
@@ -5744,7 +6099,7 @@ function _pruneOldDailyDateMaps(app1, keepKey) {
     var DATE = /^\d{4}-\d{2}-\d{2}$/;
     var maps = ['dailySkeletons', 'dailySkeletonsTs', 'dailyAutoLayers', 'dailyAutoLayersTs',
                 'dailyResourcesByDate', 'dailyColumnOrders', 'dailyTripsByDate',
-                'dailyBunkOverridesByDate'];
+                'dailyBunkOverridesByDate', 'camperElectivesByDate'];
     var pruned = 0;
     maps.forEach(function (m) {
       var map = app1[m];
@@ -5780,9 +6135,17 @@ function saveDAAutoLayers() {
     window.saveGlobalSettings?.('app1', masterSettings.app1);
     window.forceSyncToCloud?.();
   } catch (e) { console.error('[DailyAdj] Failed to save auto layers to cloud:', e); }
+  _daHistory()?.checkpoint();
 }
 
-  function loadDailySkeleton() {
+function loadDailySkeleton() {
+  _daReadDailySkeleton();
+  // Trip edits re-read the skeleton right after saving it — adopt() keeps the
+  // history then, and only starts over when a different day / state came in.
+  _daHistory()?.adopt();
+}
+
+function _daReadDailySkeleton() {
   const dateKey = window.currentScheduleDate;
   console.log('[DailyAdj] loadDailySkeleton called for date:', dateKey);
   
@@ -5942,6 +6305,38 @@ function saveDailySkeleton() {
   
   window.dailyOverrideSkeleton = dailyOverrideSkeleton;
   window.forceSyncToCloud?.();
+  _daHistory()?.checkpoint();
+}
+
+// --- Undo / Redo (edit_history.js) ---
+// One step per saved canvas edit, per day: manual mode snapshots
+// dailyOverrideSkeleton (span mirrors from _daSyncSpanSiblings included —
+// they're written before the save), auto mode the DAW daAutoLayers. Only
+// the canvas is restored — cells a tile removal already cleared from the
+// generated day come back with the next generation, not with the undo.
+let _daHist = null;
+function _daHistory() {
+  if (!_daHist && window.EditHistory) {
+    _daHist = window.EditHistory.create('daily-adjustments', {
+      capture: () => (window._daBuilderMode === 'auto' ? daAutoLayers : dailyOverrideSkeleton),
+      scope: () => (window.currentScheduleDate || '') + '|' + (window._daBuilderMode === 'auto' ? 'auto' : 'manual'),
+      noun: () => (window._daBuilderMode === 'auto' ? 'layer' : 'tile'),
+      isActive: () => { const g = document.getElementById('da-skeleton-grid'); return !!(g && g.offsetParent !== null); },
+      apply: (state) => {
+        if (window._daBuilderMode === 'auto') {
+          daAutoLayers = (state && typeof state === 'object') ? state : {};
+          saveDAAutoLayers();
+        } else {
+          dailyOverrideSkeleton = Array.isArray(state) ? state : [];
+          window.dailyOverrideSkeleton = dailyOverrideSkeleton;
+          selectedTileId = null;
+          saveDailySkeleton();
+        }
+        renderGrid();
+      }
+    });
+  }
+  return _daHist;
 }
 
 function daGetConflictingFacilities(startTime, endTime, excludeId) {
@@ -6254,7 +6649,10 @@ function renderToolbar() {
         return '<button id="da-bunk-view-btn" class="da-btn da-btn-ghost' + (_boBunkViewActive ? ' active' : '') + '" style="' + (_boBunkViewActive ? 'background:#f59e0b;color:#fff;border-color:#f59e0b;' : '') + '">Bunk Overrides' + badge + '</button>';
       })()}
       <button id="da-trips-btn" class="da-btn da-btn-ghost">Trips${(() => { const dateKey = window.currentScheduleDate || new Date().toISOString().split('T')[0]; const tc = loadDailyTrips(dateKey).length; return tc > 0 ? ' <span style="background:#ef4444;color:#fff;border-radius:99px;padding:1px 6px;font-size:10px;font-weight:700;margin-left:4px;">' + tc + '</span>' : ''; })()}</button>
+      ${window.FieldDayEvents ? '<button id="da-fieldday-btn" class="da-btn da-btn-ghost" title="Build a field day / Color War rotation and pin it to this day">Field Day</button>' : ''}
       <button id="da-gen-scope-btn" class="da-btn da-btn-ghost" title="Choose which divisions to generate">${_getGenScopeBtnLabel()}</button>
+      ${window.WeekPlanner ? '<button id="da-generate-week-btn" class="da-btn da-btn-ghost" title="Plan and generate several days together">Generate Week</button>' : ''}
+      ${window.WhatIfSandbox && window._daBuilderMode === 'auto' ? '<button id="da-whatif-btn" class="da-btn da-btn-ghost" title="Try closed fields, trips or special capacities on a scratch copy of the day">What-if</button>' : ''}
       <button id="da-generate-btn" class="da-btn da-btn-success">▶ Generate Schedule</button>
     </div>
   `;
@@ -6337,6 +6735,12 @@ function renderToolbar() {
   }
   
   document.getElementById('da-generate-btn').onclick = runOptimizer;
+  const _weekBtn = document.getElementById('da-generate-week-btn');
+  if (_weekBtn) _weekBtn.onclick = () => window.WeekPlanner.openDialog();
+  const _whatIfBtn = document.getElementById('da-whatif-btn');
+  if (_whatIfBtn) _whatIfBtn.onclick = () => window.WhatIfSandbox.openDialog();
+  const _fieldDayBtn = document.getElementById('da-fieldday-btn');
+  if (_fieldDayBtn) _fieldDayBtn.onclick = () => window.FieldDayEvents.openDialog(window.currentScheduleDate);
 
   document.getElementById('da-gen-scope-btn').onclick = (e) => {
     e.stopPropagation();
@@ -6741,6 +7145,7 @@ async function runOptimizer() {
             } finally {
                 delete window.__allowedBunkSet;
             }
+            if (_daHeadlessRun) _daHeadlessRun.ok = !!success;
             // ★ Day 22.5 IRON GATE: post-gen time-rule scrub (shared helper).
             //   Runs SYNCHRONOUSLY after runAutoScheduler returns, BEFORE the
             //   schedule-generated event dispatches / save / UI re-render.
@@ -7071,6 +7476,7 @@ async function runOptimizer() {
     // ★ Day 22.5: install per-bunk gate for manual solver (same hook as auto)
     if (scopeBunksManual) window.__allowedBunkSet = new Set(scopeBunksManual.map(String));
     success = await window.runSkeletonOptimizer(dailyOverrideSkeleton, currentOverrides, scopeDivsManual);
+    if (_daHeadlessRun) _daHeadlessRun.ok = !!success;
   } finally {
     // ★★★ POST-GENERATION CLEANUP — always clear even if generation throws ★★★
     window._preGenClearActive = false;
@@ -12214,7 +12620,29 @@ window.DailyAdjustmentsInternal = {
   // ★ Multi-grade span helpers (mobile touch + future validation integration)
   spanMembers: typeof _daSpanMembers === 'function' ? _daSpanMembers : function(ev){ return ev ? [ev] : []; },
   commitSpanResize: typeof _daCommitSpanResize === 'function' ? _daCommitSpanResize : function(){},
-  syncSpanSiblings: typeof _daSyncSpanSiblings === 'function' ? _daSyncSpanSiblings : function(){}
+  syncSpanSiblings: typeof _daSyncSpanSiblings === 'function' ? _daSyncSpanSiblings : function(){},
+  // ★ Generate with no modals (WeekPlanner) → { ok, messages }
+  generateHeadless: async function() {
+    if (_daHeadlessRun || _daOptimizerRunning) return { ok: false, messages: ['A schedule is already being generated.'] };
+    const run = _daHeadlessRun = { ok: false, messages: [] };
+    try { await runOptimizer(); } finally { _daHeadlessRun = null; }
+    return run;
+  },
+  // ★ What-if sandbox: layers for its oracle input, re-sync after a scratch
+  //   run, and close facilities when a what-if is promoted.
+  get autoLayers() { return daAutoLayers; },
+  reloadOverrides: function() { loadCurrentOverrides(); },
+  closeFacilities: function(names) {
+    loadCurrentOverrides();
+    const specials = (window.loadGlobalSettings?.()?.app1?.specialActivities) || [];
+    (names || []).forEach(name => {
+      if (!currentOverrides.disabledFields.includes(name)) currentOverrides.disabledFields.push(name);
+      specials.forEach(s => {
+        if (s && s.location === name && !currentOverrides.disabledSpecials.includes(s.name)) currentOverrides.disabledSpecials.push(s.name);
+      });
+    });
+    saveOverridesUnified();
+  }
 };
  
 
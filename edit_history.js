@@ -0,0 +1,241 @@
+// =================================================================
+// edit_history.js — Multi-level undo / redo for the skeleton builders
+// VERSION: v1.0
+// -----------------------------------------------------------------
+// The Master Schedule Builder (dailySkeleton tiles / dawLayers) and
+// the Daily Adjustments canvas (dailyOverrideSkeleton / daAutoLayers)
+// keep their state in a plain array or { grade: [layers] } object and
+// persist it through one save function each. A history sits on that
+// save: every save calls checkpoint(), which compares the state with
+// the last recorded one and, if it differs, pushes one step holding
+// both snapshots. One user action = one step, so a grade-wide span
+// edit (the member tile plus every mirror _mbSyncSpanSiblings /
+// _daSyncSpanSiblings rewrote before the save) undoes in one go.
+//
+//   h = EditHistory.create('msb', {
+//         capture: () => state,            // deep-copied on record
+//         apply:   (state) => { … },       // write back + save + render
+//         scope:   () => 'manual',         // scope change = fresh history
+//         isActive: () => bool,            // owns the keyboard right now
+//         noun: 'tile'                     // for step labels (or a getter)
+//       })
+//   h.checkpoint()   record a step if the state changed
+//   h.amend()        fold an automatic cleanup into the last step
+//   h.adopt()        take a (re)loaded state as the new baseline
+//   h.reset()        clear both stacks
+//   h.undo() / h.redo()
+//
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo — for whichever
+// registered history reports isActive(), never while typing in a
+// field. The listener runs in the capture phase and claims the event,
+// so the post-edit grid's own Ctrl+Z (post_edit_system.js) stays out.
+// =================================================================
+
+(function () {
+    'use strict';
+
+    const DEFAULT_MAX = 50;
+    const histories = {};
+    let _keysInstalled = false;
+
+    function snap(state) {
+        return JSON.stringify(state === undefined ? null : state);
+    }
+
+    // ------------------------------------------------------------------
+    // Step labels — "Moved 1 tile", "Removed 3 tiles"… computed from the
+    // two snapshots, so the builders don't have to name every edit.
+    // Items are matched by id; both an array of tiles and an object of
+    // per-grade layer arrays are understood.
+    // ------------------------------------------------------------------
+    function itemsOf(state) {
+        const out = {};
+        const add = (it) => { if (it && typeof it === 'object' && it.id != null) out[it.id] = it; };
+        if (Array.isArray(state)) state.forEach(add);
+        else if (state && typeof state === 'object') {
+            Object.keys(state).forEach(k => { if (Array.isArray(state[k])) state[k].forEach(add); });
+        }
+        return out;
+    }
+
+    function timesOf(it) {
+        return [it.startTime, it.endTime, it.startMin, it.endMin].join('|');
+    }
+
+    function describe(before, after, noun) {
+        noun = noun || 'tile';
+        const a = itemsOf(before), b = itemsOf(after);
+        let added = 0, removed = 0, moved = 0, edited = 0;
+        Object.keys(b).forEach(id => {
+            if (!a[id]) { added++; return; }
+            if (snap(a[id]) === snap(b[id])) return;
+            const sameExceptTime = snap(Object.assign({}, a[id], { startTime: 0, endTime: 0, startMin: 0, endMin: 0 })) ===
+                                   snap(Object.assign({}, b[id], { startTime: 0, endTime: 0, startMin: 0, endMin: 0 }));
+            if (sameExceptTime && timesOf(a[id]) !== timesOf(b[id])) moved++; else edited++;
+        });
+        Object.keys(a).forEach(id => { if (!b[id]) removed++; });
+        const n = (k) => k + ' ' + noun + (k === 1 ? '' : 's');
+        const parts = [];
+        if (added) parts.push('added ' + n(added));
+        if (removed) parts.push('removed ' + n(removed));
+        if (moved) parts.push('moved ' + n(moved));
+        if (edited) parts.push('edited ' + n(edited));
+        if (!parts.length) return 'Edit';
+        const text = parts.join(', ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // ------------------------------------------------------------------
+    // A history
+    // ------------------------------------------------------------------
+    function create(name, opts) {
+        opts = opts || {};
+        const max = opts.max || DEFAULT_MAX;
+        const scopeOf = () => { try { return opts.scope ? String(opts.scope()) : ''; } catch (_e) { return ''; } };
+
+        let undoStack = [];   // [{ label, before, after }] — snapshots as JSON strings
+        let redoStack = [];
+        let baseline = null;
+        let scope = null;
+        let applying = false;
+
+        function current() { return snap(opts.capture()); }
+
+        function reset() {
+            undoStack = [];
+            redoStack = [];
+            baseline = current();
+            scope = scopeOf();
+            changed();
+        }
+
+        // Invariant: baseline === top-of-undo.after === top-of-redo.before.
+        function checkpoint(label) {
+            if (applying) return false;
+            const now = current();
+            if (baseline === null || scopeOf() !== scope) { reset(); return false; }
+            if (now === baseline) return false;
+            const noun = typeof opts.noun === 'function' ? opts.noun() : opts.noun;
+            undoStack.push({ label: label || describe(JSON.parse(baseline), JSON.parse(now), noun), before: baseline, after: now });
+            if (undoStack.length > max) undoStack.shift();
+            redoStack = [];
+            baseline = now;
+            changed();
+            return true;
+        }
+
+        // A save the app makes on its own right after a user edit (orphan
+        // Change-tile cleanup on render) belongs to that edit's step.
+        function amend() {
+            if (applying) return;
+            if (baseline === null || scopeOf() !== scope) { reset(); return; }
+            const now = current();
+            if (now === baseline) return;
+            if (undoStack.length) undoStack[undoStack.length - 1].after = now;
+            if (redoStack.length) redoStack[redoStack.length - 1].before = now;
+            baseline = now;
+        }
+
+        // A load replaces the state from storage — keep the history when it's
+        // the same state (a re-read after our own save), start over otherwise.
+        function adopt() {
+            if (applying) return;
+            if (baseline === null || scopeOf() !== scope || current() !== baseline) reset();
+        }
+
+        function step(from, to, pick) {
+            if (!from.length) return null;
+            const s = from.pop();
+            to.push(s);
+            applying = true;
+            try { opts.apply(JSON.parse(s[pick])); }
+            finally { applying = false; }
+            baseline = current();
+            changed();
+            return s.label;
+        }
+
+        function undo() { return step(undoStack, redoStack, 'before'); }
+        function redo() { return step(redoStack, undoStack, 'after'); }
+
+        function changed() {
+            if (typeof opts.onChange === 'function') {
+                try { opts.onChange(h); } catch (e) { console.error('[EditHistory] onChange failed:', e); }
+            }
+        }
+
+        const h = {
+            name,
+            checkpoint, amend, adopt, reset, undo, redo,
+            canUndo: () => undoStack.length > 0,
+            canRedo: () => redoStack.length > 0,
+            peekUndo: () => (undoStack.length ? undoStack[undoStack.length - 1].label : null),
+            peekRedo: () => (redoStack.length ? redoStack[redoStack.length - 1].label : null),
+            isActive: () => { try { return !!(opts.isActive && opts.isActive()); } catch (_e) { return false; } }
+        };
+        histories[name] = h;
+        installKeys();
+        return h;
+    }
+
+    function get(name) { return histories[name] || null; }
+
+    function active() {
+        const names = Object.keys(histories);
+        for (let i = 0; i < names.length; i++) {
+            if (histories[names[i]].isActive()) return histories[names[i]];
+        }
+        return null;
+    }
+
+    // ------------------------------------------------------------------
+    // Keyboard + feedback
+    // ------------------------------------------------------------------
+    function keyAction(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+        const k = String(e.key || '').toLowerCase();
+        if (k === 'z') return e.shiftKey ? 'redo' : 'undo';
+        if (k === 'y' && !e.shiftKey) return 'redo';
+        return null;
+    }
+
+    function isTyping(t) {
+        if (!t) return false;
+        const tag = t.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!t.isContentEditable;
+    }
+
+    function onKey(e) {
+        const action = keyAction(e);
+        if (!action || isTyping(e.target)) return;
+        const h = active();
+        if (!h) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const label = action === 'undo' ? h.undo() : h.redo();
+        if (label) toast((action === 'undo' ? '↶ Undid: ' : '↷ Redid: ') + label);
+        else toast(action === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+    }
+
+    function installKeys() {
+        if (_keysInstalled || typeof document === 'undefined' || !document.addEventListener) return;
+        _keysInstalled = true;
+        document.addEventListener('keydown', onKey, true);
+    }
+
+    function toast(msg) {
+        if (typeof document === 'undefined' || !document.body) return;
+        document.getElementById('edit-history-toast')?.remove();
+        const t = document.createElement('div');
+        t.id = 'edit-history-toast';
+        t.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);z-index:100002;padding:8px 18px;background:#0f172a;color:#fff;border-radius:8px;font-size:13px;font-weight:600;box-shadow:0 8px 24px rgba(0,0,0,.2);pointer-events:none;';
+        t.textContent = msg;
+        document.body.appendChild(t);
+        setTimeout(() => t.remove(), 1800);
+    }
+
+    const EditHistory = { create, get, active, describe, keyAction };
+
+    if (typeof window !== 'undefined') window.EditHistory = EditHistory;
+    if (typeof module !== 'undefined' && module.exports) module.exports = EditHistory;
+})();
@@ -2587,7 +2587,12 @@ function summaryAccess(f) {
     return `${count} grade${count !== 1 ? 's' : ''} allowed${pStr}`;
 }
 function summaryTime(f) { return f.timeRules?.length ? `${f.timeRules.length} rule(s) active` : "Available all day"; }
-function summaryWeather(f) { return f.rainyDayAvailable ? "Indoor (available on rain days)" : "Outdoor"; }
+function fieldExposure(f) { return ['indoor', 'shaded', 'outdoor'].includes(f.exposure) ? f.exposure : (f.rainyDayAvailable ? 'indoor' : 'outdoor'); }
+function summaryWeather(f) {
+    const rain = f.rainyDayAvailable ? "Indoor (available on rain days)" : "Outdoor";
+    const sun = fieldExposure(f);
+    return (sun === 'shaded' || (sun === 'indoor') !== !!f.rainyDayAvailable) ? `${rain} · ${sun[0].toUpperCase() + sun.slice(1)} for sun rules` : rain;
+}
 function summaryCombo(fieldItem) {
     const combo = getComboForField(fieldItem.name);
     if (!combo) return 'Not configured';
@@ -3090,8 +3095,25 @@ function renderWeatherSettings(item) {
                 </div>
                 <label class="switch"><input type="checkbox" id="fac-rainy-toggle" ${isIndoor ? 'checked' : ''}><span class="slider"></span></label>
             </div>
+            <p style="font-size:0.85rem; color:#6b7280; margin:16px 0 8px 0;">
+                Sun exposure &mdash; used by the Heat &amp; Sun rules (time outdoors, shade windows).
+            </p>
+            <div id="fac-exposure" style="display:flex; gap:8px;">
+                ${['indoor', 'shaded', 'outdoor'].map(x => `
+                <button type="button" class="activity-button${fieldExposure(item) === x ? ' active' : ''}" data-exposure="${x}">${x === 'indoor' ? 'Indoor' : x === 'shaded' ? 'Shaded' : 'Outdoor (full sun)'}</button>`).join('')}
+            </div>
         </div>`;
 
+    container.querySelectorAll('#fac-exposure [data-exposure]').forEach(btn => {
+        btn.onclick = function () {
+            item.exposure = this.dataset.exposure;
+            saveFieldData();
+            container.querySelectorAll('#fac-exposure [data-exposure]').forEach(b => b.classList.toggle('active', b === this));
+            const summaryEl = container.closest('.detail-section')?.querySelector('.detail-section-summary');
+            if (summaryEl) summaryEl.textContent = summaryWeather(item);
+        };
+    });
+
     container.querySelector('#fac-rainy-toggle').onchange = function () {
         item.rainyDayAvailable = this.checked;
         saveFieldData();
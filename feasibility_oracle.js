@@ -1,4 +1,4 @@
-// feasibility_oracle.js — CAMPISTRY FEASIBILITY ORACLE v1.0
+// feasibility_oracle.js — CAMPISTRY FEASIBILITY ORACLE v1.1
 // ============================================================
 // Answers one question before the optimizer spends a single cycle:
 //   "Does a perfect schedule mathematically EXIST for today?"
@@ -15,6 +15,12 @@
 // If max_flow < total demand → MATHEMATICALLY IMPOSSIBLE — the min-cut (König's
 //   theorem) names the exact bottleneck: which grade × window pair exceeds capacity.
 //
+// v1.1: the cut is also explained in words — "Grade 3 and Grade 4 need 840
+// field-minutes between 10:00am–11:30am but only 600 exist on fields they may
+// use" (result.cuts) — and suggestRelaxations() re-solves the flow for
+// concrete one-step changes (open a field to a grade, allow sharing on a field,
+// shift a league / swim / special) and ranks the ones that restore feasibility.
+//
 // The oracle also produces a time-slice utilization heatmap (ρ = demand/capacity)
 // that the rotation matrix uses to stagger grades into off-field activities during
 // high-pressure windows — BEFORE the optimizer even tries.
@@ -27,7 +33,7 @@
 // ============================================================
 (function() {
     'use strict';
-    const VERSION = '1.0';
+    const VERSION = '1.1';
 
     // =========================================================================
     // § 1 — EDMONDS-KARP MAX-FLOW
@@ -137,6 +143,10 @@
         return h * 60 + mn;
     }
 
+    // Field capacity follows the sharing rule (not_sharable → 1 bunk) unless a
+    // plain capacity is set; grade limits come from the access restrictions.
+    // The flow treats any sharing as capacity — same-division-only sharing is
+    // not modelled.
     function _getFields(globalSettings) {
         var gs = globalSettings || window.globalSettings || {};
         var raw = (gs.app1 && gs.app1.fields) || gs.fields || [];
@@ -152,12 +162,17 @@
             }
             return [];
         }
-        return raw.map(function(f) {
+        return raw.filter(function(f) { return f && f.available !== false; }).map(function(f) {
+            var sw = f.sharableWith || {};
+            var ar = f.accessRestrictions;
+            var cap = parseInt(f.capacity || f.maxBunks || f.cap, 10)
+                || (sw.type === 'not_sharable' ? 1 : parseInt(sw.capacity, 10)) || 2;
             return {
                 name:      f.name || f.field || String(f),
-                cap:       Math.max(1, parseInt(f.capacity || f.maxBunks || f.cap || 2, 10) || 2),
-                shareType: f.shareType || f.sharing || 'all',
-                grades:    f.grades || f.allowedGrades || f.allowedDivisions || null
+                cap:       Math.max(1, cap),
+                shareType: f.shareType || f.sharing || sw.type || 'all',
+                grades:    f.grades || f.allowedGrades || f.allowedDivisions
+                           || (ar && ar.enabled === true ? Object.keys(ar.divisions || {}) : null)
             };
         });
     }
@@ -256,23 +271,22 @@
     // § 4 — MAIN ORACLE: build flow network + run max-flow
     // =========================================================================
 
-    function check(config) {
-        config = config || {};
-        var allGrades     = config.allGrades     || [];
-        var divisions     = config.divisions     || window.divisions || {};
-        var layersByGrade = config.layersByGrade || {};
-        var globalSettings= config.globalSettings|| window.globalSettings || {};
-
-        if (allGrades.length === 0) {
-            return { feasible: true, skipped: true, reason: 'No grades configured' };
-        }
+    var SUPPLY_SLICE = 15;
 
-        var fields = _getFields(globalSettings);
-        if (fields.length === 0) {
-            return { feasible: true, skipped: true, reason: 'No field data available yet' };
-        }
+    function _dayBounds(allGrades, divisions) {
+        var dayStart = 9999, dayEnd = 0;
+        allGrades.forEach(function(g) {
+            var div = divisions[g] || {};
+            var s = _parseTime(div.startTime) || 540;
+            var e = _parseTime(div.endTime)   || 960;
+            if (s < dayStart) dayStart = s;
+            if (e > dayEnd)   dayEnd   = e;
+        });
+        return { start: dayStart, end: dayEnd };
+    }
 
-        // ── Build demand nodes: one per (grade, on-field window) ─────────────
+    // One demand node per (grade, on-field window).
+    function _demandNodes(allGrades, divisions, layersByGrade) {
         var demandNodes = []; // { grade, bunks, winStart, winEnd }
         allGrades.forEach(function(g) {
             var div = divisions[g] || {};
@@ -285,25 +299,16 @@
                 demandNodes.push({ grade: g, bunks: bunkCount, winStart: w.s, winEnd: w.e });
             });
         });
+        return demandNodes;
+    }
 
-        if (demandNodes.length === 0) {
-            return { feasible: true, skipped: true, reason: 'No on-field windows found' };
-        }
-
-        // ── Build supply nodes: (field, 15-min slice) ────────────────────────
-        var SUPPLY_SLICE = 15;
-        var dayStart = 9999, dayEnd = 0;
-        allGrades.forEach(function(g) {
-            var div = divisions[g] || {};
-            var s = _parseTime(div.startTime) || 540;
-            var e = _parseTime(div.endTime)   || 960;
-            if (s < dayStart) dayStart = s;
-            if (e > dayEnd)   dayEnd   = e;
-        });
-
+    // Builds the flow network for demandNodes × (field, 15-min slice) and runs
+    // Edmonds-Karp. Returns the solved network — check() reads the verdict and
+    // the min-cut off it, suggestRelaxations() only the flow.
+    function _solve(demandNodes, fields, day) {
         var supplyNodes = [];
         fields.forEach(function(f) {
-            for (var t = dayStart; t < dayEnd; t += SUPPLY_SLICE) {
+            for (var t = day.start; t < day.end; t += SUPPLY_SLICE) {
                 supplyNodes.push({ fieldName: f.name, grades: f.grades, cap: f.cap,
                                    sliceStart: t, sliceEnd: t + SUPPLY_SLICE });
             }
@@ -351,12 +356,99 @@
             addEdge(g, 1 + D + si, SINK, sn.cap * SUPPLY_SLICE);
         });
 
+        var flow = maxFlow(g, SOURCE, SINK, N);
+        return { g: g, flow: flow, totalDemand: totalDemand, deficit: Math.max(0, totalDemand - flow),
+                 demandNodes: demandNodes, supplyNodes: supplyNodes, D: D, S: S, N: N, SOURCE: SOURCE };
+    }
+
+    function _joinNames(list) {
+        if (list.length <= 1) return list.join('');
+        return list.slice(0, -1).join(', ') + ' and ' + list[list.length - 1];
+    }
+
+    // ── Min-cut explanation ──────────────────────────────────────────────────
+    // After max-flow, the demand nodes still reachable from SOURCE in the
+    // residual graph form Hall's violating set X: every field slice they may
+    // use is already full. Grouped into independent pieces (demand nodes that
+    // share a field slice), each piece reads as one sentence — these grades
+    // need this many field-minutes in this window, only that many exist on the
+    // fields they may use. The pieces' deficits sum to the total deficit.
+    function _explainCut(sol) {
+        var g = sol.g, D = sol.D, S = sol.S;
+        var reachable = reachableFromSource(g, sol.SOURCE, sol.N);
+        var parent = {};
+        function find(x) { while (parent[x] !== x) { parent[x] = parent[parent[x]]; x = parent[x]; } return x; }
+        var ownerOfSupply = {};
+        for (var di = 0; di < D; di++) {
+            if (!reachable[1 + di]) continue;
+            parent[di] = di;
+            g[1 + di].forEach(function(e) {
+                if (e.cap <= 0 || e.to < 1 + D || e.to >= 1 + D + S || !reachable[e.to]) return;
+                if (ownerOfSupply[e.to] == null) ownerOfSupply[e.to] = di;
+                else parent[find(di)] = find(ownerOfSupply[e.to]);
+            });
+        }
+        var pieces = {};
+        Object.keys(parent).forEach(function(k) {
+            var di = +k, root = find(di), dn = sol.demandNodes[di];
+            var p = pieces[root] = pieces[root] || { grades: [], fields: [], winStart: Infinity, winEnd: 0, needed: 0, available: 0, _supply: {} };
+            if (p.grades.indexOf(dn.grade) === -1) p.grades.push(dn.grade);
+            p.winStart = Math.min(p.winStart, dn.winStart);
+            p.winEnd = Math.max(p.winEnd, dn.winEnd);
+            p.needed += dn.bunks * (dn.winEnd - dn.winStart);
+            g[1 + di].forEach(function(e) {
+                if (e.cap <= 0 || e.to < 1 + D || e.to >= 1 + D + S) return;
+                if (!reachable[e.to]) { p.available += e.cap; return; } // edge itself is in the cut
+                if (p._supply[e.to]) return;
+                p._supply[e.to] = 1;
+                var sn = sol.supplyNodes[e.to - (1 + D)];
+                p.available += sn.cap * SUPPLY_SLICE;
+                if (p.fields.indexOf(sn.fieldName) === -1) p.fields.push(sn.fieldName);
+            });
+        });
+        return Object.keys(pieces).map(function(k) {
+            var p = pieces[k];
+            delete p._supply;
+            p.deficit = Math.max(0, p.needed - p.available);
+            p.text = _joinNames(p.grades) + (p.grades.length > 1 ? ' need ' : ' needs ') + p.needed +
+                ' field-minutes between ' + _tLabel(p.winStart) + '–' + _tLabel(p.winEnd) +
+                ' but only ' + p.available + ' exist on fields ' + (p.grades.length > 1 ? 'they' : 'it') + ' may use' +
+                (p.fields.length ? ' (' + p.fields.join(', ') + ')' : '');
+            return p;
+        }).filter(function(p) { return p.deficit > 0; })
+          .sort(function(a, b) { return b.deficit - a.deficit; });
+    }
+
+    function check(config) {
+        config = config || {};
+        var allGrades     = config.allGrades     || [];
+        var divisions     = config.divisions     || window.divisions || {};
+        var layersByGrade = config.layersByGrade || {};
+        var globalSettings= config.globalSettings|| window.globalSettings || {};
+
+        if (allGrades.length === 0) {
+            return { feasible: true, skipped: true, reason: 'No grades configured' };
+        }
+
+        var fields = _getFields(globalSettings);
+        if (fields.length === 0) {
+            return { feasible: true, skipped: true, reason: 'No field data available yet' };
+        }
+
+        var demandNodes = _demandNodes(allGrades, divisions, layersByGrade);
+        if (demandNodes.length === 0) {
+            return { feasible: true, skipped: true, reason: 'No on-field windows found' };
+        }
+
         // ── Run Edmonds-Karp ─────────────────────────────────────────────────
         var t0 = Date.now();
-        var flow = maxFlow(g, SOURCE, SINK, N);
+        var sol = _solve(demandNodes, fields, _dayBounds(allGrades, divisions));
         var elapsed = Date.now() - t0;
+        var g = sol.g, D = sol.D, S = sol.S, N = sol.N, SOURCE = sol.SOURCE;
+        var supplyNodes = sol.supplyNodes;
+        var flow = sol.flow, totalDemand = sol.totalDemand;
 
-        var deficit   = Math.max(0, totalDemand - flow);
+        var deficit   = sol.deficit;
         var feasible  = deficit === 0;
         var feasPct   = totalDemand > 0 ? Math.round(flow / totalDemand * 100) : 100;
 
@@ -365,6 +457,7 @@
         // Demand nodes on S-side that have edges to non-reachable supply nodes
         // are at the boundary — they are the bottleneck grade-windows.
         var bottlenecks = [];
+        var cuts = [];
         if (!feasible) {
             var reachable = reachableFromSource(g, SOURCE, N);
             demandNodes.forEach(function(dn, di) {
@@ -411,6 +504,7 @@
             }
             // Sort by severity (largest deficit first)
             bottlenecks.sort(function(a, b) { return b.deficit - a.deficit; });
+            cuts = _explainCut(sol);
         }
 
         // ── Utilization heatmap ───────────────────────────────────────────────
@@ -423,6 +517,7 @@
             totalDemand: totalDemand,
             deficit:     deficit,
             bottlenecks: bottlenecks,
+            cuts:        cuts,
             utilization: utilization,
             elapsedMs:   elapsed,
             fields:      fields
@@ -430,6 +525,123 @@
     }
 
 
+    // =========================================================================
+    // § 4b — RELAXATIONS
+    //   For an infeasible day, tries concrete one-step changes around the cut
+    //   and re-solves the flow for each:
+    //     open-field   — let a cut grade use a field its access rules keep it off
+    //     share-field  — one more bunk at a time on a field the cut fills
+    //     shift-layer  — move a cut grade's league / swim / special 10–30 min
+    //   Ranked: changes that restore feasibility first, smallest change first,
+    //   then by how much of the shortfall is left. Each re-solve is a full
+    //   max-flow, so the candidates are capped (opts.maxChecks) and so is the
+    //   time spent (opts.budgetMs) — this runs inside generation.
+    // =========================================================================
+
+    var MOVABLE_LAYER_TYPES = { league: 1, specialty_league: 1, swim: 1, special: 1 };
+    var SHIFT_STEPS = [10, -10, 20, -20, 30, -30];
+
+    function suggestRelaxations(config, result, opts) {
+        config = config || {};
+        opts = opts || {};
+        if (!result || result.skipped || result.feasible) return [];
+        var allGrades     = config.allGrades     || [];
+        var divisions     = config.divisions     || window.divisions || {};
+        var layersByGrade = config.layersByGrade || {};
+        var globalSettings= config.globalSettings|| window.globalSettings || {};
+        var limit = opts.limit || 5;
+        var maxChecks = opts.maxChecks || 80;
+        var deadline = Date.now() + (opts.budgetMs || 2000);
+
+        var fields = _getFields(globalSettings);
+        var day = _dayBounds(allGrades, divisions);
+        var baseNodes = _demandNodes(allGrades, divisions, layersByGrade);
+        var cuts = result.cuts || [];
+        var cutGrades = [], cutFields = {}, cutSpan = {};
+        cuts.forEach(function(c) {
+            c.grades.forEach(function(gr) {
+                if (cutGrades.indexOf(gr) === -1) cutGrades.push(gr);
+                var sp = cutSpan[gr] = cutSpan[gr] || { s: c.winStart, e: c.winEnd };
+                sp.s = Math.min(sp.s, c.winStart); sp.e = Math.max(sp.e, c.winEnd);
+            });
+            c.fields.forEach(function(f) { cutFields[f] = 1; });
+        });
+        if (!cutGrades.length) (result.bottlenecks || []).forEach(function(b) {
+            if (cutGrades.indexOf(b.grade) === -1) cutGrades.push(b.grade);
+            cutSpan[b.grade] = cutSpan[b.grade] || { s: b.winStart, e: b.winEnd };
+        });
+
+        function sameGrade(a, b) { return String(a).toLowerCase() === String(b).toLowerCase(); }
+        var candidates = [];
+
+        fields.forEach(function(f, fi) {
+            if (!cutFields[f.name]) return;
+            candidates.push({
+                kind: 'share-field', field: f.name, from: f.cap, to: f.cap + 1, cost: 1,
+                text: f.cap === 1 ? 'Allow sharing on ' + f.name + ' (2 bunks at once)'
+                                  : 'Let ' + f.name + ' take ' + (f.cap + 1) + ' bunks at once (now ' + f.cap + ')',
+                fields: fields.map(function(x, xi) { return xi === fi ? Object.assign({}, x, { cap: x.cap + 1 }) : x; })
+            });
+        });
+        cutGrades.forEach(function(gr) {
+            fields.forEach(function(f, fi) {
+                if (!f.grades || !f.grades.length || f.grades.some(function(x) { return sameGrade(x, gr); })) return;
+                candidates.push({
+                    kind: 'open-field', field: f.name, grade: gr, cost: 1,
+                    text: 'Open ' + f.name + ' to ' + gr,
+                    fields: fields.map(function(x, xi) { return xi === fi ? Object.assign({}, x, { grades: x.grades.concat([gr]) }) : x; })
+                });
+            });
+        });
+        SHIFT_STEPS.forEach(function(delta) {
+            cutGrades.forEach(function(gr) {
+                var div = divisions[gr] || {};
+                var gs = _parseTime(div.startTime) || 540, ge = _parseTime(div.endTime) || 960;
+                var sp = cutSpan[gr];
+                (layersByGrade[gr] || []).forEach(function(ll, li) {
+                    if (!MOVABLE_LAYER_TYPES[String(ll.type || '').toLowerCase()]) return;
+                    var s = ll.startMin != null ? ll.startMin : _parseTime(ll.startTime);
+                    var e = ll.endMin   != null ? ll.endMin   : _parseTime(ll.endTime);
+                    if (s == null || e == null || s + delta < gs || e + delta > ge) return;
+                    if (sp && (e < sp.s - 30 || s > sp.e + 30)) return;
+                    var moved = Object.assign({}, ll, { startMin: s + delta, endMin: e + delta });
+                    var lbg = Object.assign({}, layersByGrade);
+                    lbg[gr] = layersByGrade[gr].map(function(x, xi) { return xi === li ? moved : x; });
+                    candidates.push({
+                        kind: 'shift-layer', grade: gr, layer: ll.event || ll.name || ll.type, shift: delta,
+                        from: { startMin: s, endMin: e }, to: { startMin: s + delta, endMin: e + delta },
+                        cost: Math.abs(delta) / 10, _key: gr + '|' + li,
+                        text: 'Shift ' + gr + (/s$/i.test(gr) ? '’ ' : '’s ') + (ll.event || ll.name || ll.type) + ' ' + Math.abs(delta) + ' min ' +
+                              (delta > 0 ? 'later' : 'earlier') + ' (' + _tLabel(s + delta) + '–' + _tLabel(e + delta) + ')',
+                        nodes: _demandNodes(allGrades, divisions, lbg)
+                    });
+                });
+            });
+        });
+
+        var out = [], bestShift = {};
+        candidates.slice(0, maxChecks).forEach(function(c) {
+            if (Date.now() > deadline) return;
+            if (c._key && bestShift[c._key] && bestShift[c._key].deficit === 0) return; // a smaller move already fixes it
+            var after = _solve(c.nodes || baseNodes, c.fields || fields, day).deficit;
+            if (after >= result.deficit) return;
+            var r = { kind: c.kind, text: c.text, restores: after === 0, deficit: after, cost: c.cost };
+            ['field', 'grade', 'layer', 'shift', 'from', 'to'].forEach(function(k) { if (c[k] !== undefined) r[k] = c[k]; });
+            if (c._key) {
+                var prev = bestShift[c._key];
+                if (prev && prev.deficit <= after) return;
+                if (prev) out.splice(out.indexOf(prev), 1);
+                bestShift[c._key] = r;
+            }
+            out.push(r);
+        });
+        out.sort(function(a, b) {
+            return (b.restores - a.restores) || (a.cost - b.cost) || (a.deficit - b.deficit);
+        });
+        return out.slice(0, limit);
+    }
+
+
     // =========================================================================
     // § 5 — UTILIZATION-GUIDED TYPE ORDER OPTIMIZER
     //   Given the utilization map, score each permutation of off-field activity
@@ -603,6 +815,17 @@
                         ' but only ' + b.available + ' available' +
                         ' (short by ' + b.deficit + ' bunk-min)');
                 });
+            }
+            if ((result.cuts || []).length > 0) {
+                console.log('\n  Why:');
+                result.cuts.forEach(function(c) { console.log('  • ' + c.text + ' — short ' + c.deficit); });
+            }
+            if ((result.relaxations || []).length > 0) {
+                console.log('\n  Changes that would help:');
+                result.relaxations.forEach(function(r, i) {
+                    console.log('  ' + (i + 1) + '. ' + r.text + (r.restores ? '  ✓ restores feasibility' : '  (still short ' + r.deficit + ')'));
+                });
+            } else if (result.bottlenecks.length > 0) {
                 console.log('\n  FIX: Add field capacity during the windows above, OR');
                 console.log('       move some of these grades into swim/special/snack at that time.');
             }
@@ -631,12 +854,15 @@
     // § 7 — PUBLIC API
     // =========================================================================
 
-    window.FeasibilityOracle = {
+    var FeasibilityOracle = {
         check:               check,
         report:              report,
+        suggestRelaxations:  suggestRelaxations,
         computeUtilizationMap: computeUtilizationMap,
         optimizeTypeOrders:  optimizeTypeOrders
     };
+    window.FeasibilityOracle = FeasibilityOracle;
+    if (typeof module !== 'undefined' && module.exports) module.exports = FeasibilityOracle;
 
     console.log('[FeasibilityOracle] v' + VERSION + ' loaded — Hall\'s Theorem + Edmonds-Karp max-flow + utilization heatmap');
 })();
@@ -0,0 +1,680 @@
+/* =============================================================================
+ * FIELD DAY EVENTS  (window.FieldDayEvents)
+ * -----------------------------------------------------------------------------
+ * A one-day, camp-wide event — Color War, a field day — run as short heats at
+ * a set of stations with teams rotating through. It sits beside the leagues,
+ * not inside them: no standings carry over, nothing touches league history.
+ *
+ * THE GRID
+ *   Teams are lists of bunks (a division name stands for all its bunks).
+ *   There are as many heats as stations, and in heat h team i is at station
+ *   (i + h) mod S — a cyclic Latin rotation, so every team visits every
+ *   station exactly once and no two teams are at one station in a heat while
+ *   there are stations enough. With more teams than stations, teams i and
+ *   i + S share the station (they meet head to head there all day).
+ *   Heat h runs startMin + h·(heatMin + transitionMin) for heatMin minutes.
+ *
+ * ON THE SCHEDULE
+ *   pin() writes the grid into the day's bunkActivityOverrides as force
+ *   overrides — one per bunk per heat, plus a "Transition" block between
+ *   heats — each tagged _fieldDay: <event id>. Both builders already honor
+ *   force overrides as pinned blocks, so the event is a pinned layer over
+ *   every team bunk with nothing new in the generators. Re-pinning replaces
+ *   the event's own entries; unpin() removes them. Any other force override
+ *   those bunks held inside the event's window is displaced (the dialog lists
+ *   them first).
+ *
+ * POINTS
+ *   event.points[station][team] — entered per station, totalled by
+ *   standings(). Ties share a rank.
+ *
+ * PRINTING
+ *   cardsHTML() builds a card per team (where to go, heat by heat) and per
+ *   station (who arrives when, with a points column for the judge). Print
+ *   Center's "Field Day Cards" pack prints them for the day on screen.
+ *
+ * STORAGE
+ *   app1.fieldDayEvents = { "<id>": event } — the app1 path, so an event
+ *   planned on one device is on every other. The overrides it pins follow
+ *   the per-date bunk-override lane (dailyData + app1.dailyBunkOverridesByDate).
+ *
+ * rotation() / overridesFor() / mergeOverrides() / standings() / cardsHTML()
+ * are pure — see tests/field_day_events.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var FD = {};
+
+    var TAG = '_fieldDay';
+    var TRANSITION = 'Transition';
+    var COLORS = ['#2563eb', '#dc2626', '#16a34a', '#f59e0b', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+    // ── utils ────────────────────────────────────────────────────────────────
+    function str(v) { return String(v == null ? '' : v).trim(); }
+    function norm(s) { return str(s).toLowerCase(); }
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+    function parseTime(s) {
+        if (s == null || s === '') return null;
+        if (typeof s === 'number') return s;
+        try {
+            if (typeof window !== 'undefined' && window.CampUtils && window.CampUtils.parseTimeToMinutes) {
+                var v = window.CampUtils.parseTimeToMinutes(s);
+                if (v != null && !isNaN(v)) return v;
+            }
+        } catch (e) { /* fall through */ }
+        var t = String(s).toLowerCase().trim();
+        var isPM = t.indexOf('pm') > -1, isAM = t.indexOf('am') > -1;
+        t = t.replace(/am|pm/g, '').trim();
+        var p = t.split(':'), h = parseInt(p[0], 10), m = parseInt(p[1], 10) || 0;
+        if (isNaN(h)) return null;
+        if (isPM && h !== 12) h += 12;
+        if (isAM && h === 12) h = 0;
+        return h * 60 + m;
+    }
+    function fmt(min) {
+        if (min == null) return '';
+        var h = Math.floor(min / 60), m = min % 60;
+        return ((h % 12) || 12) + ':' + (m < 10 ? '0' : '') + m + (h >= 12 ? 'pm' : 'am');
+    }
+    function num(v, dflt) {
+        var n = parseInt(v, 10);
+        return isNaN(n) ? dflt : n;
+    }
+    function uid(prefix) { return prefix + Math.random().toString(36).slice(2, 9); }
+
+    FD.parseTime = parseTime;
+    FD.fmtTime = fmt;
+
+    // ── the event ────────────────────────────────────────────────────────────
+    FD.create = function (date) {
+        return {
+            id: uid('fd_'), name: 'Field Day', date: isDate(date) ? date : '',
+            startMin: 600, heatMin: 15, transitionMin: 5,
+            teams: [], stations: [], points: {}
+        };
+    };
+
+    // Trimmed names, no blanks or duplicates, numbers in range; points for a
+    // team or station no longer in the event are dropped.
+    FD.normalize = function (ev) {
+        ev = ev || {};
+        var seenT = {}, seenS = {};
+        var teams = (ev.teams || []).map(function (t, i) {
+            var name = str(t && t.name);
+            if (!name || seenT[norm(name)]) return null;
+            seenT[norm(name)] = 1;
+            var seenB = {};
+            var bunks = (t.bunks || []).map(str).filter(function (b) {
+                if (!b || seenB[b]) return false;
+                seenB[b] = 1;
+                return true;
+            });
+            return { name: name, color: str(t.color) || COLORS[i % COLORS.length], bunks: bunks };
+        }).filter(Boolean);
+        var stations = (ev.stations || []).map(function (s) {
+            var name = str(s && s.name);
+            if (!name || seenS[norm(name)]) return null;
+            seenS[norm(name)] = 1;
+            return { name: name, location: str(s.location) || null };
+        }).filter(Boolean);
+        var points = {};
+        stations.forEach(function (s) {
+            var row = (ev.points || {})[s.name] || {};
+            teams.forEach(function (t) {
+                var v = row[t.name];
+                if (v === '' || v == null || isNaN(Number(v))) return;
+                (points[s.name] = points[s.name] || {})[t.name] = Number(v);
+            });
+        });
+        return {
+            id: str(ev.id) || uid('fd_'),
+            name: str(ev.name) || 'Field Day',
+            date: isDate(ev.date) ? ev.date : '',
+            startMin: parseTime(ev.startMin),
+            heatMin: Math.max(0, num(ev.heatMin, 0)),
+            transitionMin: Math.max(0, num(ev.transitionMin, 0)),
+            teams: teams, stations: stations, points: points,
+            pinned: !!ev.pinned, updatedAt: ev.updatedAt || null
+        };
+    };
+
+    // "Blue: 1A, 1B, Juniors" lines → teams. A member naming a division
+    // expands to that division's bunks.
+    FD.parseTeams = function (text, divisions) {
+        divisions = divisions || {};
+        var divByNorm = {};
+        Object.keys(divisions).forEach(function (d) { divByNorm[norm(d)] = d; });
+        return String(text || '').split(/\n/).map(function (line) {
+            var i = line.indexOf(':');
+            if (i < 0) return str(line) ? { name: str(line), bunks: [] } : null;
+            var bunks = [];
+            line.slice(i + 1).split(',').forEach(function (m) {
+                m = str(m);
+                if (!m) return;
+                var d = divByNorm[norm(m)];
+                if (d && Array.isArray(divisions[d].bunks)) divisions[d].bunks.forEach(function (b) { bunks.push(String(b)); });
+                else bunks.push(m);
+            });
+            return { name: str(line.slice(0, i)), bunks: bunks };
+        }).filter(function (t) { return t && t.name; });
+    };
+
+    // "Tug of War @ Field 1" lines → stations.
+    FD.parseStations = function (text) {
+        return String(text || '').split(/\n/).map(function (line) {
+            var i = line.indexOf('@');
+            if (i < 0) return { name: str(line), location: null };
+            return { name: str(line.slice(0, i)), location: str(line.slice(i + 1)) || null };
+        }).filter(function (s) { return s.name; });
+    };
+
+    /**
+     * The rotation grid.
+     * → { heats: [{ index, startMin, endMin }], byTeam: { team: [station] },
+     *     byStation: { station: [[team]] }, endMin, issues: [], notes: [] }
+     * issues block pinning; notes are for the director.
+     */
+    FD.rotation = function (event) {
+        var ev = FD.normalize(event);
+        var issues = [], notes = [];
+        var T = ev.teams.length, S = ev.stations.length;
+        if (!T) issues.push('Add at least one team.');
+        if (!S) issues.push('Add at least one station.');
+        if (ev.startMin == null) issues.push('Set a start time.');
+        if (!(ev.heatMin > 0)) issues.push('Heats need a length.');
+        var owner = {};
+        ev.teams.forEach(function (t) {
+            if (!t.bunks.length) issues.push(t.name + ' has no bunks.');
+            t.bunks.forEach(function (b) {
+                if (owner[b] && owner[b] !== t.name) issues.push(b + ' is on both ' + owner[b] + ' and ' + t.name + '.');
+                else owner[b] = t.name;
+            });
+        });
+
+        var heats = [], byTeam = {}, byStation = {};
+        if (S && ev.startMin != null && ev.heatMin > 0) {
+            for (var h = 0; h < S; h++) {
+                var start = ev.startMin + h * (ev.heatMin + ev.transitionMin);
+                heats.push({ index: h, startMin: start, endMin: start + ev.heatMin });
+            }
+        }
+        ev.stations.forEach(function (s) { byStation[s.name] = heats.map(function () { return []; }); });
+        ev.teams.forEach(function (t, i) {
+            byTeam[t.name] = heats.map(function (_, h) {
+                var s = ev.stations[(i + h) % S].name;
+                byStation[s][h].push(t.name);
+                return s;
+            });
+        });
+        var endMin = heats.length ? heats[heats.length - 1].endMin : null;
+        if (endMin != null && endMin > 24 * 60) issues.push('The last heat runs past midnight.');
+        if (T > S && S) {
+            notes.push(T + ' teams, ' + S + ' stations: up to ' + Math.ceil(T / S) + ' teams share a station each heat.');
+        } else if (T && T < S) {
+            notes.push(S - T + ' station(s) sit empty each heat.');
+        }
+        return { heats: heats, byTeam: byTeam, byStation: byStation, endMin: endMin, issues: issues, notes: notes };
+    };
+
+    // ── the pinned layer ─────────────────────────────────────────────────────
+    /** Force overrides for every bunk of every team: heats plus transitions. */
+    FD.overridesFor = function (event, rot) {
+        var ev = FD.normalize(event);
+        rot = rot || FD.rotation(ev);
+        if (rot.issues.length) return [];
+        var stationBy = {};
+        ev.stations.forEach(function (s) { stationBy[s.name] = s; });
+        var out = [];
+        function push(bunk, startMin, endMin, activity, location, kind) {
+            var o = {
+                id: uid('ov_'), bunk: bunk,
+                startMin: startMin, endMin: endMin,
+                startTime: fmt(startMin), endTime: fmt(endMin),
+                activity: activity, location: location || null,
+                type: 'pinned', overrideMode: 'force', layerType: 'custom'
+            };
+            o[TAG] = ev.id;
+            o._fieldDayKind = kind;
+            out.push(o);
+        }
+        ev.teams.forEach(function (t) {
+            rot.byTeam[t.name].forEach(function (sName, h) {
+                var heat = rot.heats[h];
+                var st = stationBy[sName];
+                t.bunks.forEach(function (b) {
+                    push(b, heat.startMin, heat.endMin, ev.name + ': ' + st.name, st.location, 'heat');
+                    if (ev.transitionMin > 0 && h < rot.heats.length - 1) {
+                        push(b, heat.endMin, heat.endMin + ev.transitionMin, TRANSITION, null, 'transition');
+                    }
+                });
+            });
+        });
+        return out;
+    };
+
+    /**
+     * The day's override list with this event's layer in place.
+     * → { list, displaced: [override] } — displaced are other force
+     * overrides on the event's bunks inside its window, which are dropped.
+     */
+    FD.mergeOverrides = function (existing, event) {
+        var ev = FD.normalize(event);
+        var rot = FD.rotation(ev);
+        var mine = FD.overridesFor(ev, rot);
+        var bunks = {};
+        mine.forEach(function (o) { bunks[o.bunk] = 1; });
+        var start = rot.heats.length ? rot.heats[0].startMin : null;
+        var displaced = [];
+        var list = (existing || []).filter(function (o) {
+            if (!o) return false;
+            if (o[TAG] === ev.id) return false;
+            if (!mine.length || !bunks[String(o.bunk)]) return true;
+            var s = o.startMin != null ? o.startMin : parseTime(o.startTime);
+            var e = o.endMin != null ? o.endMin : parseTime(o.endTime);
+            var overlaps = s != null && e != null && s < rot.endMin && e > start;
+            if (overlaps && (o.overrideMode || 'force') === 'force') { displaced.push(o); return false; }
+            return true;
+        });
+        return { list: list.concat(mine), displaced: displaced, issues: rot.issues };
+    };
+
+    FD.withoutEvent = function (existing, eventId) {
+        return (existing || []).filter(function (o) { return o && o[TAG] !== eventId; });
+    };
+
+    // ── points ───────────────────────────────────────────────────────────────
+    FD.setPoints = function (event, station, team, value) {
+        event.points = event.points || {};
+        var row = event.points[station] = event.points[station] || {};
+        if (value === '' || value == null || isNaN(Number(value))) delete row[team];
+        else row[team] = Number(value);
+        return event;
+    };
+
+    /** [{ rank, team, color, total, byStation: { station: pts }, scored }] best first. */
+    FD.standings = function (event) {
+        var ev = FD.normalize(event);
+        var rows = ev.teams.map(function (t) {
+            var total = 0, scored = 0, byStation = {};
+            ev.stations.forEach(function (s) {
+                var v = (ev.points[s.name] || {})[t.name];
+                if (v == null) return;
+                byStation[s.name] = v;
+                total += v;
+                scored++;
+            });
+            return { team: t.name, color: t.color, total: total, byStation: byStation, scored: scored };
+        });
+        rows.sort(function (a, b) { return b.total - a.total; });
+        rows.forEach(function (r, i) { r.rank = (i > 0 && rows[i - 1].total === r.total) ? rows[i - 1].rank : i + 1; });
+        return rows;
+    };
+
+    // ── cards ────────────────────────────────────────────────────────────────
+    var CARD_CSS = '<style>'
+        + '.fd-card{font-family:\'DM Sans\',Arial,sans-serif;border:2px solid #1e293b;border-radius:10px;padding:18px 22px;margin:0 0 18px;page-break-inside:avoid;}'
+        + '.fd-card.fd-break{page-break-after:always;}'
+        + '.fd-card h2{margin:0 0 2px;font-size:26px;}'
+        + '.fd-card .fd-sub{color:#475569;font-size:13px;margin:0 0 12px;}'
+        + '.fd-card table{width:100%;border-collapse:collapse;font-size:15px;}'
+        + '.fd-card th{text-align:left;border-bottom:2px solid #1e293b;padding:6px;font-size:12px;text-transform:uppercase;color:#475569;}'
+        + '.fd-card td{border-bottom:1px solid #cbd5e1;padding:8px 6px;}'
+        + '.fd-swatch{display:inline-block;width:16px;height:16px;border-radius:4px;vertical-align:middle;margin-right:8px;}'
+        + '</style>';
+
+    /**
+     * Printable cards. kind: 'team' | 'station' | 'both' (default).
+     * One card per page.
+     */
+    FD.cardsHTML = function (event, kind) {
+        var ev = FD.normalize(event);
+        var rot = FD.rotation(ev);
+        kind = kind || 'both';
+        if (!rot.heats.length) return '';
+        var sub = esc(ev.name) + (ev.date ? ' · ' + esc(ev.date) : '') + ' · ' + fmt(rot.heats[0].startMin) + '–' + fmt(rot.endMin);
+        var stationBy = {}, colorBy = {};
+        ev.stations.forEach(function (s) { stationBy[s.name] = s; });
+        ev.teams.forEach(function (t) { colorBy[t.name] = t.color; });
+        var cards = [];
+        if (kind !== 'station') ev.teams.forEach(function (t) {
+            cards.push('<div class="fd-card"><h2><span class="fd-swatch" style="background:' + esc(t.color) + ';"></span>' + esc(t.name) + '</h2>'
+                + '<p class="fd-sub">' + sub + (t.bunks.length ? '<br>' + esc(t.bunks.join(', ')) : '') + '</p>'
+                + '<table><thead><tr><th>Heat</th><th>Time</th><th>Station</th><th>Where</th></tr></thead><tbody>'
+                + rot.byTeam[t.name].map(function (s, h) {
+                    var heat = rot.heats[h];
+                    return '<tr><td>' + (h + 1) + '</td><td>' + fmt(heat.startMin) + '–' + fmt(heat.endMin) + '</td>'
+                        + '<td><strong>' + esc(s) + '</strong></td><td>' + esc(stationBy[s].location || '') + '</td></tr>';
+                }).join('')
+                + '</tbody></table></div>');
+        });
+        if (kind !== 'team') ev.stations.forEach(function (s) {
+            cards.push('<div class="fd-card"><h2>' + esc(s.name) + '</h2>'
+                + '<p class="fd-sub">' + sub + (s.location ? '<br>' + esc(s.location) : '') + '</p>'
+                + '<table><thead><tr><th>Heat</th><th>Time</th><th>Team</th><th style="width:90px;">Points</th></tr></thead><tbody>'
+                + rot.byStation[s.name].map(function (teams, h) {
+                    var heat = rot.heats[h];
+                    var who = teams.length ? teams.map(function (t) {
+                        return '<span class="fd-swatch" style="background:' + esc(colorBy[t]) + ';"></span>' + esc(t);
+                    }).join('<br>') : '<span style="color:#94a3b8;">— open —</span>';
+                    var pts = teams.map(function (t) {
+                        var v = (ev.points[s.name] || {})[t];
+                        return v == null ? '______' : esc(v);
+                    }).join('<br>');
+                    return '<tr><td>' + (h + 1) + '</td><td>' + fmt(heat.startMin) + '–' + fmt(heat.endMin) + '</td><td>' + who + '</td><td>' + pts + '</td></tr>';
+                }).join('')
+                + '</tbody></table></div>');
+        });
+        return CARD_CSS + cards.map(function (c, i) {
+            return i < cards.length - 1 ? c.replace('class="fd-card"', 'class="fd-card fd-break"') : c;
+        }).join('');
+    };
+
+    // ── storage ──────────────────────────────────────────────────────────────
+    function settings() {
+        try { return (typeof window !== 'undefined' && window.loadGlobalSettings) ? (window.loadGlobalSettings() || {}) : {}; }
+        catch (e) { return {}; }
+    }
+    function persist(mutator) {
+        var gs = settings();
+        var a = gs.app1 || {};
+        mutator(a);
+        if (typeof window !== 'undefined' && window.saveGlobalSettings) window.saveGlobalSettings('app1', a);
+    }
+    function canEdit() {
+        try {
+            if (window.AccessControl && typeof window.AccessControl.canEdit === 'function') return window.AccessControl.canEdit() !== false;
+        } catch (e) { /* ignore */ }
+        return true;
+    }
+
+    FD.load = function () { return (settings().app1 || {}).fieldDayEvents || {}; };
+    FD.forDate = function (date) {
+        var all = FD.load();
+        return Object.keys(all).map(function (k) { return all[k]; })
+            .filter(function (e) { return e && e.date === date; })
+            .sort(function (a, b) { return (a.startMin || 0) - (b.startMin || 0); });
+    };
+    FD.save = function (event) {
+        var ev = FD.normalize(event);
+        ev.updatedAt = new Date().toISOString();
+        persist(function (a) { a.fieldDayEvents = Object.assign({}, a.fieldDayEvents || {}); a.fieldDayEvents[ev.id] = ev; });
+        return ev;
+    };
+    FD.remove = function (id) {
+        persist(function (a) {
+            if (!a.fieldDayEvents) return;
+            a.fieldDayEvents = Object.assign({}, a.fieldDayEvents);
+            delete a.fieldDayEvents[id];
+        });
+    };
+
+    // A date's bunk overrides, read and written through the same lanes
+    // Daily Adjustments uses, whether or not that date is the one on screen.
+    function readOverrides(date) {
+        if (date === window.currentScheduleDate && window.loadCurrentDailyData) {
+            var cur = (window.loadCurrentDailyData() || {}).bunkActivityOverrides;
+            if (Array.isArray(cur) && cur.length) return cur.slice();
+        }
+        var day = ((window.loadAllDailyData && window.loadAllDailyData()) || {})[date] || {};
+        if (Array.isArray(day.bunkActivityOverrides) && day.bunkActivityOverrides.length) return day.bunkActivityOverrides.slice();
+        var mir = ((settings().app1 || {}).dailyBunkOverridesByDate || {})[date];
+        if (mir && Array.isArray(mir.v)) return mir.v.slice();
+        try {
+            var ls = JSON.parse(localStorage.getItem('campBunkOverrides_' + date) || '[]');
+            if (Array.isArray(ls)) return ls;
+        } catch (e) { /* ignore */ }
+        return [];
+    }
+    function writeOverrides(date, list) {
+        try { localStorage.setItem('campBunkOverrides_' + date, JSON.stringify(list)); } catch (e) { /* ignore */ }
+        if (date === window.currentScheduleDate && window.saveCurrentDailyData) {
+            window.saveCurrentDailyData('bunkActivityOverrides', list);
+        } else {
+            var ts = new Date().toISOString();
+            try {
+                var all = (window.loadAllDailyData && window.loadAllDailyData()) || {};
+                if (!all[date]) all[date] = {};
+                all[date].bunkActivityOverrides = list;
+                all[date].updated_at = ts;
+                all[date]._boTs = ts;
+                localStorage.setItem('campDailyData_v1', JSON.stringify(all));
+            } catch (e) { console.warn('[FieldDay] daily data write failed:', e); }
+            persist(function (a) {
+                a.dailyBunkOverridesByDate = a.dailyBunkOverridesByDate || {};
+                a.dailyBunkOverridesByDate[date] = { v: list, t: ts };
+            });
+        }
+        try { if (typeof window.refreshDailyAdjustmentsFromCloud === 'function') window.refreshDailyAdjustmentsFromCloud(); } catch (e) { /* ignore */ }
+    }
+
+    /** Pin the event onto its day. → { ok, error?, displaced } */
+    FD.pin = function (event) {
+        if (!canEdit()) return { ok: false, error: 'Your role cannot change the schedule.' };
+        var ev = FD.normalize(event);
+        if (!ev.date) return { ok: false, error: 'Pick the event\'s date.' };
+        var merged = FD.mergeOverrides(readOverrides(ev.date), ev);
+        if (merged.issues.length) return { ok: false, error: merged.issues.join(' ') };
+        writeOverrides(ev.date, merged.list);
+        ev.pinned = true;
+        FD.save(ev);
+        return { ok: true, displaced: merged.displaced, event: ev };
+    };
+
+    FD.unpin = function (event) {
+        if (!canEdit()) return { ok: false, error: 'Your role cannot change the schedule.' };
+        var ev = FD.normalize(event);
+        if (ev.date) writeOverrides(ev.date, FD.withoutEvent(readOverrides(ev.date), ev.id));
+        ev.pinned = false;
+        FD.save(ev);
+        return { ok: true, event: ev };
+    };
+
+    FD.preview = function (event) {
+        var ev = FD.normalize(event);
+        if (!ev.date) return { displaced: [] };
+        return { displaced: FD.mergeOverrides(readOverrides(ev.date), ev).displaced };
+    };
+
+    // ── dialog ───────────────────────────────────────────────────────────────
+    function overlay(id) {
+        var old = document.getElementById(id);
+        if (old) old.remove();
+        var ov = document.createElement('div');
+        ov.id = id;
+        ov.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        document.body.appendChild(ov);
+        return ov;
+    }
+    var INPUT = 'padding:6px 8px;border:1px solid #ccc;border-radius:5px;font-size:13px;';
+    var BTN = 'border:none;padding:8px 14px;border-radius:5px;font-weight:600;cursor:pointer;font-size:13px;';
+
+    function gridHTML(ev, rot) {
+        if (!rot.heats.length) return '';
+        return '<table style="width:100%;border-collapse:collapse;font-size:12px;margin-top:8px;"><thead><tr>'
+            + '<th style="text-align:left;padding:5px;border-bottom:1px solid #ddd;">Team</th>'
+            + rot.heats.map(function (h) {
+                return '<th style="padding:5px;border-bottom:1px solid #ddd;">Heat ' + (h.index + 1) + '<br><span style="font-weight:400;color:#888;">' + fmt(h.startMin) + '</span></th>';
+            }).join('') + '</tr></thead><tbody>'
+            + ev.teams.map(function (t) {
+                return '<tr><td style="padding:5px;font-weight:600;"><span style="display:inline-block;width:10px;height:10px;border-radius:3px;background:' + esc(t.color) + ';margin-right:6px;"></span>' + esc(t.name) + '</td>'
+                    + (rot.byTeam[t.name] || []).map(function (s) { return '<td style="padding:5px;text-align:center;">' + esc(s) + '</td>'; }).join('') + '</tr>';
+            }).join('') + '</tbody></table>';
+    }
+
+    function pointsHTML(ev) {
+        var rows = FD.standings(ev);
+        return '<table style="width:100%;border-collapse:collapse;font-size:12px;"><thead><tr>'
+            + '<th style="text-align:left;padding:5px;border-bottom:1px solid #ddd;">Station</th>'
+            + ev.teams.map(function (t) { return '<th style="padding:5px;border-bottom:1px solid #ddd;">' + esc(t.name) + '</th>'; }).join('')
+            + '</tr></thead><tbody>'
+            + ev.stations.map(function (s) {
+                return '<tr><td style="padding:5px;">' + esc(s.name) + '</td>' + ev.teams.map(function (t) {
+                    var v = (ev.points[s.name] || {})[t.name];
+                    return '<td style="padding:3px;text-align:center;"><input type="number" data-pts-station="' + esc(s.name) + '" data-pts-team="' + esc(t.name) + '" value="' + (v == null ? '' : esc(v)) + '" style="' + INPUT + 'width:64px;"></td>';
+                }).join('') + '</tr>';
+            }).join('')
+            + '<tr style="font-weight:700;border-top:2px solid #333;"><td style="padding:5px;">Total</td>' + ev.teams.map(function (t) {
+                var r = rows.filter(function (x) { return x.team === t.name; })[0];
+                return '<td style="padding:5px;text-align:center;">' + r.total + ' <span style="color:#888;font-weight:400;">(#' + r.rank + ')</span></td>';
+            }).join('') + '</tr></tbody></table>';
+    }
+
+    FD.openDialog = function (date) {
+        if (typeof document === 'undefined') return;
+        date = date || window.currentScheduleDate;
+        var existing = FD.forDate(date);
+        var ev = FD.normalize(existing[0] || FD.create(date));
+        var ov = overlay('fieldDayOverlay');
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:860px;width:100%;max-height:88vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        ov.appendChild(box);
+
+        function teamsText() { return ev.teams.map(function (t) { return t.name + ': ' + t.bunks.join(', '); }).join('\n'); }
+        function stationsText() { return ev.stations.map(function (s) { return s.name + (s.location ? ' @ ' + s.location : ''); }).join('\n'); }
+
+        function readForm() {
+            var q = function (sel) { return box.querySelector(sel); };
+            var prevPoints = ev.points;
+            ev = FD.normalize({
+                id: ev.id, pinned: ev.pinned, points: prevPoints,
+                name: q('[data-f=name]').value, date: q('[data-f=date]').value,
+                startMin: parseTime(q('[data-f=start]').value),
+                heatMin: q('[data-f=heat]').value, transitionMin: q('[data-f=transition]').value,
+                teams: FD.parseTeams(q('[data-f=teams]').value, window.divisions || {}).map(function (t, i) {
+                    var old = ev.teams.filter(function (o) { return norm(o.name) === norm(t.name); })[0];
+                    t.color = old ? old.color : COLORS[i % COLORS.length];
+                    return t;
+                }),
+                stations: FD.parseStations(q('[data-f=stations]').value)
+            });
+        }
+
+        function render(msg) {
+            var rot = FD.rotation(ev);
+            var pick = existing.length > 1
+                ? '<select data-f=pick style="' + INPUT + '">' + existing.map(function (e) {
+                    return '<option value="' + esc(e.id) + '"' + (e.id === ev.id ? ' selected' : '') + '>' + esc(e.name) + '</option>';
+                }).join('') + '</select>' : '';
+            box.innerHTML =
+                '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;">'
+                + '<h3 style="margin:0;font-size:18px;">Field Day / Color War</h3>'
+                + '<div style="display:flex;gap:8px;align-items:center;">' + pick
+                + '<button data-new style="' + BTN + 'background:#f1f5f9;color:#333;">+ New event</button>'
+                + '<button data-close style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div></div>'
+                + '<div style="padding:16px 20px;overflow:auto;flex:1;font-size:13px;color:#333;">'
+                + '<div style="display:flex;flex-wrap:wrap;gap:10px;margin-bottom:10px;">'
+                + '<label>Name<br><input data-f=name value="' + esc(ev.name) + '" style="' + INPUT + 'width:180px;"></label>'
+                + '<label>Date<br><input data-f=date type="date" value="' + esc(ev.date) + '" style="' + INPUT + '"></label>'
+                + '<label>Starts<br><input data-f=start value="' + esc(fmt(ev.startMin)) + '" placeholder="10:00am" style="' + INPUT + 'width:90px;"></label>'
+                + '<label>Heat (min)<br><input data-f=heat type="number" min="1" value="' + ev.heatMin + '" style="' + INPUT + 'width:70px;"></label>'
+                + '<label>Transition (min)<br><input data-f=transition type="number" min="0" value="' + ev.transitionMin + '" style="' + INPUT + 'width:70px;"></label>'
+                + '</div>'
+                + '<div style="display:flex;gap:12px;">'
+                + '<label style="flex:1;">Teams — <span style="color:#888;">one per line, "Blue: 1A, 1B" (a division name adds all its bunks)</span><br>'
+                + '<textarea data-f=teams rows="5" style="' + INPUT + 'width:100%;box-sizing:border-box;font-family:inherit;">' + esc(teamsText()) + '</textarea></label>'
+                + '<label style="flex:1;">Stations — <span style="color:#888;">one per line, "Tug of War @ Field 1"</span><br>'
+                + '<textarea data-f=stations rows="5" style="' + INPUT + 'width:100%;box-sizing:border-box;font-family:inherit;">' + esc(stationsText()) + '</textarea></label>'
+                + '</div>'
+                + '<div style="margin-top:8px;"><button data-build style="' + BTN + 'background:#f1f5f9;color:#333;">Build rotation</button>'
+                + (ev.pinned ? ' <span style="color:#2e7d32;font-weight:600;margin-left:8px;">Pinned to ' + esc(ev.date) + '</span>' : '') + '</div>'
+                + (rot.issues.length ? '<div style="margin-top:8px;color:#c62828;">' + rot.issues.map(esc).join('<br>') + '</div>' : '')
+                + (rot.notes.length ? '<div style="margin-top:8px;color:#92400e;">' + rot.notes.map(esc).join('<br>') + '</div>' : '')
+                + (rot.heats.length ? '<div style="margin-top:6px;color:#555;">' + rot.heats.length + ' heats, ' + fmt(rot.heats[0].startMin) + '–' + fmt(rot.endMin) + '</div>' : '')
+                + gridHTML(ev, rot)
+                + (ev.teams.length && ev.stations.length ? '<h4 style="margin:16px 0 6px;">Points</h4>' + pointsHTML(ev) : '')
+                + (msg ? '<div data-msg style="margin-top:10px;">' + msg + '</div>' : '')
+                + '</div>'
+                + '<div style="display:flex;justify-content:space-between;gap:10px;padding:14px 20px;border-top:1px solid #e0e0e0;">'
+                + '<div>' + (existing.some(function (e) { return e.id === ev.id; }) ? '<button data-delete style="' + BTN + 'background:#fff;color:#c62828;border:1px solid #f3c2c2;">Delete</button>' : '') + '</div>'
+                + '<div style="display:flex;gap:8px;">'
+                + '<button data-print style="' + BTN + 'background:#f1f5f9;color:#333;">Print cards</button>'
+                + (ev.pinned ? '<button data-unpin style="' + BTN + 'background:#f1f5f9;color:#333;">Remove from schedule</button>' : '')
+                + '<button data-save style="' + BTN + 'background:#f1f5f9;color:#333;">Save</button>'
+                + '<button data-pin style="' + BTN + 'background:#147D91;color:#fff;">' + (ev.pinned ? 'Re-pin to schedule' : 'Pin to schedule') + '</button>'
+                + '</div></div>';
+            wire();
+        }
+
+        function refreshList() { existing = FD.forDate(date); }
+
+        function wire() {
+            var q = function (sel) { return box.querySelector(sel); };
+            q('[data-close]').onclick = function () { ov.remove(); };
+            q('[data-new]').onclick = function () { ev = FD.normalize(FD.create(date)); render(); };
+            var pick = q('[data-f=pick]');
+            if (pick) pick.onchange = function () {
+                var e = existing.filter(function (x) { return x.id === pick.value; })[0];
+                if (e) { ev = FD.normalize(e); render(); }
+            };
+            q('[data-build]').onclick = function () { readForm(); render(); };
+            Array.prototype.forEach.call(box.querySelectorAll('[data-pts-station]'), function (inp) {
+                inp.onchange = function () {
+                    FD.setPoints(ev, inp.getAttribute('data-pts-station'), inp.getAttribute('data-pts-team'), inp.value);
+                    if (existing.some(function (e) { return e.id === ev.id; })) { ev = FD.save(ev); refreshList(); }
+                    render();
+                };
+            });
+            q('[data-save]').onclick = function () {
+                if (!canEdit()) { render('<span style="color:#c62828;">Your role cannot change the schedule.</span>'); return; }
+                readForm();
+                ev = FD.save(ev);
+                refreshList();
+                render('<span style="color:#2e7d32;">Saved.</span>' + (ev.pinned ? ' Re-pin to put changes on the schedule.' : ''));
+            };
+            q('[data-pin]').onclick = function () {
+                readForm();
+                var rot = FD.rotation(ev);
+                if (rot.issues.length) { render(); return; }
+                var pv = FD.preview(ev);
+                if (pv.displaced.length) {
+                    var lines = pv.displaced.slice(0, 8).map(function (o) { return o.bunk + ' ' + (o.startTime || fmt(o.startMin)) + ' ' + (o.activity || ''); });
+                    if (!window.confirm('These bunk overrides fall inside the event and will be replaced:\n\n' + lines.join('\n')
+                        + (pv.displaced.length > 8 ? '\n…and ' + (pv.displaced.length - 8) + ' more' : '') + '\n\nContinue?')) return;
+                }
+                var res = FD.pin(ev);
+                if (!res.ok) { render('<span style="color:#c62828;">' + esc(res.error) + '</span>'); return; }
+                ev = res.event;
+                refreshList();
+                render('<span style="color:#2e7d32;">Pinned to ' + esc(ev.date) + '. Generate that day to build the rest of its schedule around it.</span>');
+            };
+            var unpin = q('[data-unpin]');
+            if (unpin) unpin.onclick = function () {
+                var res = FD.unpin(ev);
+                if (!res.ok) { render('<span style="color:#c62828;">' + esc(res.error) + '</span>'); return; }
+                ev = res.event;
+                refreshList();
+                render('<span style="color:#2e7d32;">Removed from ' + esc(ev.date) + '.</span>');
+            };
+            var del = q('[data-delete]');
+            if (del) del.onclick = function () {
+                if (!window.confirm('Delete "' + ev.name + '"' + (ev.pinned ? ' and take it off the schedule' : '') + '?')) return;
+                if (ev.pinned) {
+                    var res = FD.unpin(ev);
+                    if (!res.ok) { render('<span style="color:#c62828;">' + esc(res.error) + '</span>'); return; }
+                } else if (!canEdit()) { render('<span style="color:#c62828;">Your role cannot change the schedule.</span>'); return; }
+                FD.remove(ev.id);
+                refreshList();
+                ev = FD.normalize(existing[0] || FD.create(date));
+                render();
+            };
+            q('[data-print]').onclick = function () {
+                readForm();
+                if (typeof window._pc3PrintFieldDay === 'function') window._pc3PrintFieldDay(ev);
+                else render('<span style="color:#c62828;">Open Print Center once, then print from here (or use its Field Day Cards pack).</span>');
+            };
+        }
+
+        render();
+    };
+
+    FD.VERSION = '1.0.0';
+
+    if (typeof window !== 'undefined') window.FieldDayEvents = FD;
+    if (typeof module !== 'undefined' && module.exports) module.exports = FD;
+})();
@@ -0,0 +1,643 @@
+// =============================================================================
+// fixture_plan.js — season fixture plan for a regular league
+// =============================================================================
+// The league engine (scheduler_core_leagues.js) decides each day's matchups
+// and sports when that day is generated, from campLeagueHistory_v2 — nothing
+// exists ahead of time to look at or publish. This module plans the whole
+// season up front and keeps it on the league, where the engine reads it back
+// instead of re-deciding:
+//
+//   league.fixturePlan = {
+//     enabled: bool,                 // daily generation plays the plan
+//     days: [ { date, games } ],     // the league days it was planned over
+//     excludedDates: [date, ...],    // detected league days taken out by hand
+//     fixtures: [ { id, date, game, round, cycle, team1, team2, sport,
+//                   away, locked, edited } ],
+//     byes: { 'date|game': [team, ...] },
+//     notes: [string, ...],          // what the planner could not honour
+//     generatedAt: ISO string | null
+//   }
+//
+// `game` is the 0-based league period within its day — the same per-league
+// counter the engine keeps while it walks a day's league tiles.
+//
+// Rounds come from the circle method, one full round robin per cycle, so every
+// pair meets once a cycle before anyone meets twice; inside a cycle the rounds
+// are taken in the order that hands the bye to whoever has had the fewest.
+// Sports are picked per fixture from each team's running sport counts, the
+// sports the pair already played and what either team played earlier that
+// day, within the number of fields that host each sport. With Away Games on,
+// a day with two league periods is planned the way the engine runs its
+// double-header: game 1 is the cycle's next round, teamsPerDay of its teams
+// (whole matchups, fewest trips first) travel, and game 2 re-pairs inside the
+// travelling group and inside the group at home — an extra meeting each,
+// outside the cycle, least-met pairs first.
+//
+// A locked fixture (a hand edit locks itself) survives re-planning, and so
+// does every fixture before the re-plan date; the rest of a locked fixture's
+// slot is re-paired around it.
+//
+// A team that joined mid-season (league_restructure.js) is planned with its
+// join date and a bye credit: the days before it joined are not byes it sat,
+// and the credit stands in for the byes it would have had, so the planner
+// does not bench it every period to "catch it up".
+//
+// Public API: window.FixturePlan
+//   getOrInit(league)                  - normalize + return league.fixturePlan
+//   leagueDays(league, settings, range)- [{ date, games }] from the camp calendar
+//   periodsOn(league, settings, date)  - that day's league periods [{ startMin, endMin }]
+//   roundRobin(teams)                  - circle-method rounds [{ pairs, bye }]
+//   plan(input)                        - the season (pure — see below)
+//   stats(plan, teams)                 - per-team games / byes / away days / sports
+//   slot(league, date, gameIndex)      - what the engine plays, or null
+//   editFixture(plan, id, patch)       - hand edit, swapping within the slot
+//   setLocked(plan, id, locked)
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function addDays(dateKey, n) {
+        var p = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(p[0], p[1] - 1, p[2] + n)).toISOString().slice(0, 10);
+    }
+    function weekday(dateKey) {
+        var p = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(p[0], p[1] - 1, p[2])).getUTCDay();
+    }
+    function pairKey(a, b) { return a < b ? a + '|' + b : b + '|' + a; }
+    function slotKey(date, game) { return date + '|' + game; }
+    function toMin(t) {
+        if (typeof t === 'number') return isFinite(t) ? t : null;
+        var m = /^\s*(\d{1,2}):(\d{2})\s*(am|pm)?\s*$/i.exec(String(t == null ? '' : t));
+        if (!m) return null;
+        var h = parseInt(m[1], 10);
+        if (m[3]) h = (h % 12) + (m[3].toLowerCase() === 'pm' ? 12 : 0);
+        return h * 60 + parseInt(m[2], 10);
+    }
+    // Same LCG as the engine's chinuch shuffle — a plan is reproducible from
+    // its seed.
+    function seededShuffle(arr, seed) {
+        var a = arr.slice();
+        var s = 0;
+        for (var i = 0; i < seed.length; i++) s = (s * 31 + seed.charCodeAt(i)) & 0x7fffffff;
+        for (var j = a.length - 1; j > 0; j--) {
+            s = ((s * 1664525) + 1013904223) & 0x7fffffff;
+            var k = s % (j + 1);
+            var tmp = a[j]; a[j] = a[k]; a[k] = tmp;
+        }
+        return a;
+    }
+
+    // -------------------------------------------------------------------------
+    // Data model
+    // -------------------------------------------------------------------------
+
+    function getOrInit(league) {
+        var p = league.fixturePlan;
+        if (!p || typeof p !== 'object' || Array.isArray(p)) p = league.fixturePlan = {};
+        p.enabled = p.enabled === true;
+        if (!Array.isArray(p.days)) p.days = [];
+        if (!Array.isArray(p.excludedDates)) p.excludedDates = [];
+        if (!Array.isArray(p.fixtures)) p.fixtures = [];
+        if (!p.byes || typeof p.byes !== 'object' || Array.isArray(p.byes)) p.byes = {};
+        if (!Array.isArray(p.notes)) p.notes = [];
+        if (p.generatedAt === undefined) p.generatedAt = null;
+        return p;
+    }
+
+    // -------------------------------------------------------------------------
+    // League days — the camp calendar (campDates) walked through the weekday
+    // templates, the same resolution Daily Adjustments uses: a per-date auto
+    // layer set wins, else skeletonAssignments[weekday] (or Default) names a
+    // template in autoLayerTemplates or savedSkeletons.
+    // -------------------------------------------------------------------------
+
+    // League periods for `league` in one template, one per distinct start time
+    // of its league tiles, in start order. Auto layers are { grade: [layer] },
+    // a manual skeleton is [event] with .division. A tile that names a league
+    // belongs to that league only; an unnamed one to every league of its
+    // grade. A tile with no usable end runs 40 minutes, as in the engine.
+    function periodsIn(league, tmpl) {
+        var byStart = {};
+        var divs = league.divisions || [];
+        function take(type, leagueName, grade, start, end) {
+            if (type !== 'league') return;
+            if (leagueName ? leagueName !== league.name : divs.indexOf(grade) < 0) return;
+            var s = toMin(start), e = toMin(end);
+            if (s == null) return;
+            if (e == null || e <= s) e = s + 40;
+            byStart[s] = Math.max(byStart[s] || 0, e);
+        }
+        if (Array.isArray(tmpl)) {
+            tmpl.forEach(function (ev) {
+                if (ev) take(ev.type, ev.leagueName, ev.division,
+                    ev.startTime != null ? ev.startTime : ev.startMin,
+                    ev.endTime != null ? ev.endTime : ev.endMin);
+            });
+        } else if (tmpl && typeof tmpl === 'object') {
+            Object.keys(tmpl).forEach(function (grade) {
+                (Array.isArray(tmpl[grade]) ? tmpl[grade] : []).forEach(function (l) {
+                    if (l) take(l.type, l.leagueName, grade,
+                        l.startMin != null ? l.startMin : l.startTime,
+                        l.endMin != null ? l.endMin : l.endTime);
+                });
+            });
+        }
+        return Object.keys(byStart).map(Number).sort(function (a, b) { return a - b; })
+            .map(function (s) { return { startMin: s, endMin: byStart[s] }; });
+    }
+
+    function periodsOn(league, settings, date) {
+        var app1 = (settings && settings.app1) || {};
+        if (!league || !isDate(date)) return [];
+        var daily = app1.dailyAutoLayers || {};
+        if (daily[date] && Object.keys(daily[date]).length) return periodsIn(league, daily[date]);
+        var assignments = app1.skeletonAssignments || {};
+        var name = assignments[DAY_NAMES[weekday(date)]] || assignments.Default;
+        if (!name) return [];
+        var auto = periodsIn(league, (app1.autoLayerTemplates || {})[name]);
+        return auto.length ? auto : periodsIn(league, (app1.savedSkeletons || {})[name]);
+    }
+
+    function leagueDays(league, settings, range) {
+        var cd = (range && range.startDate) ? range : ((settings && settings.campDates) || {});
+        var start = cd.startDate, end = cd.endDate;
+        if (!league || !isDate(start) || !isDate(end) || end < start) return [];
+        var out = [];
+        for (var d = start, guard = 0; d <= end && guard < 400; d = addDays(d, 1), guard++) {
+            var games = periodsOn(league, settings, d).length;
+            if (games > 0) out.push({ date: d, games: games });
+        }
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // Planner
+    // -------------------------------------------------------------------------
+
+    // Circle method: team 0 stays put, the rest rotate. An odd roster gets a
+    // phantom whose opponent sits the round out.
+    function roundRobin(teams) {
+        var list = (teams || []).slice();
+        if (list.length < 2) return [];
+        if (list.length % 2) list.push(null);
+        var n = list.length;
+        var rounds = [];
+        for (var r = 0; r < n - 1; r++) {
+            var pairs = [], bye = null;
+            for (var i = 0; i < n / 2; i++) {
+                var a = list[i], b = list[n - 1 - i];
+                if (a === null || b === null) bye = (a === null) ? b : a;
+                else pairs.push((r % 2 && i === 0) ? [b, a] : [a, b]);
+            }
+            rounds.push({ pairs: pairs, bye: bye });
+            list.splice(1, 0, list.pop());
+        }
+        return rounds;
+    }
+
+    // input: { teams, sports, days: [{ date, games }], seed,
+    //          sportCapacity: { sport: games at once } (optional),
+    //          away: { teamsPerDay, sports } | null,
+    //          existing: { fixtures, byes } | null   (a previous plan),
+    //          fromDate,                             (re-plan from here on)
+    //          joined: { team: date },               (late joiners, optional)
+    //          byeCredit: { team: n } }              (byes counted as sat)
+    // → { days, fixtures, byes, notes, cycles }
+    function plan(input) {
+        input = input || {};
+        var teams = [];
+        (input.teams || []).forEach(function (t) {
+            if (typeof t === 'string' && t && teams.indexOf(t) < 0) teams.push(t);
+        });
+        var sports = (input.sports && input.sports.length) ? input.sports.slice() : ['General Sport'];
+        var days = (input.days || [])
+            .filter(function (d) { return d && isDate(d.date) && Number(d.games) > 0; })
+            .map(function (d) { return { date: d.date, games: Math.floor(Number(d.games)) }; })
+            .sort(function (a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+        var notes = [];
+        var out = { days: days, fixtures: [], byes: {}, notes: notes, cycles: 0 };
+        if (teams.length < 2) { notes.push('A league needs at least two teams to plan a season.'); return out; }
+        if (!days.length) { notes.push('No league days to plan — add league tiles to the weekday templates or check the camp dates.'); return out; }
+
+        var isTeam = {};
+        teams.forEach(function (t) { isTeam[t] = 1; });
+        var cap = input.sportCapacity || null;
+        var away = (input.away && Number(input.away.teamsPerDay) >= 4) ? input.away : null;
+        var awaySize = away ? Math.floor(Number(away.teamsPerDay) / 2) * 2 : 0;
+        var awaySports = (away && away.sports && away.sports.length) ? away.sports : null;
+        var fromDate = isDate(input.fromDate) ? input.fromDate : '';
+        var seed = String(input.seed || 'season');
+        var joined = input.joined || {};
+        var credit = input.byeCredit || {};
+        function inLeague(t, date) { return !isDate(joined[t]) || date >= joined[t]; }
+        // Days before the latest join were played with the old roster — they
+        // are never re-planned, whatever date the re-plan was asked from.
+        teams.forEach(function (t) {
+            if (isDate(joined[t]) && joined[t] > fromDate) {
+                if (fromDate) notes.push('Re-planned from ' + joined[t] + ', when ' + t + ' joined — the days before it stay as they were.');
+                fromDate = joined[t];
+            }
+        });
+
+        // Fixtures carried over from the previous plan: locked ones anywhere,
+        // everything before the re-plan date. A fixture naming a team that
+        // has left the league is dropped with the rest of its slot re-paired.
+        var kept = {}, usedIds = {};
+        ((input.existing && input.existing.fixtures) || []).forEach(function (f) {
+            if (!f || !isTeam[f.team1] || !isTeam[f.team2] || f.team1 === f.team2) return;
+            if (!(f.locked || (fromDate && f.date < fromDate))) return;
+            (kept[slotKey(f.date, f.game)] = kept[slotKey(f.date, f.game)] || []).push(f);
+            if (f.id) usedIds[f.id] = 1;
+        });
+        function newId(date, game) {
+            var i = 0, id;
+            do { id = 'fx_' + date + '_' + game + '_' + (i++); } while (usedIds[id]);
+            usedIds[id] = 1;
+            return id;
+        }
+
+        var meet = {}, byes = {}, trips = {}, sportCount = {}, pairSports = {}, lastSport = {};
+        teams.forEach(function (t) { byes[t] = Math.max(Number(credit[t]) || 0, 0); trips[t] = 0; sportCount[t] = {}; });
+
+        var queue = [], cycle = 0, roundNo = 0;
+        function refill() {
+            cycle++;
+            roundRobin(seededShuffle(teams, seed + '#' + cycle)).forEach(function (r) {
+                r.cycle = cycle;
+                queue.push(r);
+            });
+        }
+        // Rounds still open in the current cycle — a cycle is finished before
+        // the next one is started, so no pair meets twice ahead of the rest.
+        function candidates() {
+            if (!queue.length) refill();
+            var c = queue[0].cycle;
+            return queue.filter(function (r) { return r.cycle === c; });
+        }
+        function roundCost(r, today, keptPairs) {
+            var c = r.bye ? byes[r.bye] * 100 : 0;
+            r.pairs.forEach(function (p) {
+                var k = pairKey(p[0], p[1]);
+                c += (meet[k] || 0) * 1000;
+                if (today[k]) c += 500;
+                if (keptPairs[k]) c -= 2000;
+            });
+            return c;
+        }
+        function ranked(today, keptPairs, skip) {
+            return candidates()
+                .filter(function (r) { return r !== skip; })
+                .map(function (r, i) { return { r: r, c: roundCost(r, today, keptPairs), i: i }; })
+                .sort(function (a, b) { return (a.c - b.c) || (a.i - b.i); })
+                .map(function (x) { return x.r; });
+        }
+        function take(r) { queue.splice(queue.indexOf(r), 1); return r; }
+
+        // Away day, game 1: the travelling group is awaySize/2 of the round's
+        // matchups, fewest trips first.
+        function pickAway(r1) {
+            return r1.pairs
+                .map(function (p, i) { return { p: p, c: trips[p[0]] + trips[p[1]], i: i }; })
+                .sort(function (a, b) { return (a.c - b.c) || (a.i - b.i); })
+                .slice(0, awaySize / 2)
+                .reduce(function (acc, x) { return acc.concat(x.p); }, []);
+        }
+        // Cheapest pairing of an even group, cost = earlier meetings plus a
+        // heavy charge for a pair that already met today.
+        function pairUp(list, today) {
+            function cost(a, b) {
+                var k = pairKey(a, b);
+                return (meet[k] || 0) * 10 + (today[k] ? 100 : 0);
+            }
+            var best = null, bestCost = Infinity;
+            (function walk(rest, acc, c) {
+                if (c >= bestCost) return;
+                if (!rest.length) { bestCost = c; best = acc.slice(); return; }
+                var a = rest[0];
+                for (var i = 1; i < rest.length; i++) {
+                    acc.push([a, rest[i]]);
+                    walk(rest.slice(1, i).concat(rest.slice(i + 1)), acc, c + cost(a, rest[i]));
+                    acc.pop();
+                }
+            })(list.slice(), [], 0);
+            return best || [];
+        }
+
+        // One slot's fixtures: the kept ones, then the round's matchups that
+        // don't collide with them; teams a kept fixture displaced are re-paired
+        // among themselves, least-met first.
+        function buildSlot(round, keptHere, frozen, today) {
+            var fx = [], used = {};
+            keptHere.forEach(function (f) {
+                fx.push({
+                    id: f.id, team1: f.team1, team2: f.team2, sport: f.sport || null,
+                    away: f.away === true, locked: f.locked === true, edited: f.edited === true,
+                    round: f.round || null, cycle: f.cycle || null, kept: true
+                });
+                used[f.team1] = used[f.team2] = 1;
+            });
+            if (frozen || !round) return fx;
+            roundNo++;
+            if (round.regroup) {
+                round.groups.forEach(function (grp) {
+                    pairUp(grp, today).forEach(function (p) {
+                        fx.push({ team1: p[0], team2: p[1], round: roundNo, cycle: round.cycle });
+                    });
+                });
+                return fx;
+            }
+            var orphans = [];
+            round.pairs.forEach(function (p) {
+                if (used[p[0]] || used[p[1]]) {
+                    if (!used[p[0]]) orphans.push(p[0]);
+                    if (!used[p[1]]) orphans.push(p[1]);
+                    return;
+                }
+                fx.push({ team1: p[0], team2: p[1], round: roundNo, cycle: round.cycle });
+                used[p[0]] = used[p[1]] = 1;
+            });
+            if (round.bye && !used[round.bye]) orphans.push(round.bye);
+            if (orphans.length % 2) {
+                var sitter = orphans.slice().sort(function (a, b) { return byes[a] - byes[b]; })[0];
+                orphans.splice(orphans.indexOf(sitter), 1);
+            }
+            while (orphans.length >= 2) {
+                var a = orphans.shift();
+                var bi = 0, bc = Infinity;
+                orphans.forEach(function (b, i) {
+                    var k = pairKey(a, b);
+                    var c = (meet[k] || 0) * 10 + (today[k] ? 100 : 0);
+                    if (c < bc) { bc = c; bi = i; }
+                });
+                var b = orphans.splice(bi, 1)[0];
+                fx.push({ team1: a, team2: b, round: roundNo, cycle: round.cycle });
+            }
+            return fx;
+        }
+
+        // Sports for one slot. A slot small enough is searched whole for the
+        // cheapest combination; a bigger one goes cheapest (fixture, sport)
+        // first, so the fixture that needs a sport most gets it before its
+        // fields run out.
+        function assignSports(fx, date, game, daySport) {
+            var used = {};
+            fx.forEach(function (f) { if (f.sport && !f.away) used[f.sport] = (used[f.sport] || 0) + 1; });
+            function cost(f, s) {
+                var k = pairKey(f.team1, f.team2);
+                var c = 0;
+                [f.team1, f.team2].forEach(function (t) {
+                    var n = sportCount[t][s] || 0;
+                    c += 10 * n * n;
+                    if ((daySport[t] || {})[s]) c += 100;
+                    if (lastSport[t] === s) c += 15;
+                });
+                (pairSports[k] || []).forEach(function (x) { if (x === s) c += 40; });
+                if (!f.away && cap && cap[s] != null && (used[s] || 0) >= cap[s]) c += 1000;
+                return c;
+            }
+            function poolOf(f) { return (f.away && awaySports) ? awaySports : sports; }
+            function give(f, s) { f.sport = s; if (!f.away) used[s] = (used[s] || 0) + 1; }
+            function take(f) { if (!f.away) used[f.sport]--; f.sport = null; }
+            function overflow(f) {
+                notes.push(date + ', game ' + (game + 1) + ': more games than fields for every sport — '
+                    + f.team1 + ' vs ' + f.team2 + ' was given ' + f.sport + ' anyway.');
+            }
+
+            var open = fx.filter(function (f) { return !f.sport; });
+            var space = open.reduce(function (n, f) { return n * poolOf(f).length; }, 1);
+            if (space <= 4096) {
+                var best = null, bestCost = Infinity, over = [];
+                (function walk(i, c, pick) {
+                    if (c >= bestCost) return;
+                    if (i === open.length) { bestCost = c; best = pick.slice(); return; }
+                    var f = open[i], pool = poolOf(f);
+                    for (var j = 0; j < pool.length; j++) {
+                        var s = pool[(j + game + i + roundNo) % pool.length];
+                        var sc = cost(f, s);
+                        give(f, s);
+                        pick.push(s);
+                        walk(i + 1, c + sc, pick);
+                        pick.pop();
+                        take(f);
+                    }
+                })(0, 0, []);
+                open.forEach(function (f, i) {
+                    if (cost(f, best[i]) >= 1000) over.push(f);
+                    give(f, best[i]);
+                });
+                over.forEach(overflow);
+                return;
+            }
+            while (open.length) {
+                var bf = null, bs = null, bc = Infinity;
+                open.forEach(function (f, i) {
+                    var pool = poolOf(f);
+                    for (var j = 0; j < pool.length; j++) {
+                        var s = pool[(j + game + i + roundNo) % pool.length];
+                        var c = cost(f, s);
+                        if (c < bc) { bc = c; bs = s; bf = f; }
+                    }
+                });
+                give(bf, bs);
+                if (bc >= 1000) overflow(bf);
+                open.splice(open.indexOf(bf), 1);
+            }
+        }
+
+        function record(fx, today, daySport) {
+            fx.forEach(function (f) {
+                var k = pairKey(f.team1, f.team2);
+                meet[k] = (meet[k] || 0) + 1;
+                today[k] = 1;
+                (pairSports[k] = pairSports[k] || []).push(f.sport);
+                [f.team1, f.team2].forEach(function (t) {
+                    sportCount[t][f.sport] = (sportCount[t][f.sport] || 0) + 1;
+                    (daySport[t] = daySport[t] || {})[f.sport] = 1;
+                    lastSport[t] = f.sport;
+                });
+            });
+        }
+
+        days.forEach(function (day) {
+            var frozen = !!fromDate && day.date < fromDate;
+            var today = {}, daySport = {};
+            var preset = {}, awayTeams = null;
+
+            // Away day — the engine's double-header: game 1 comes from the
+            // cycle, the travelling group is picked from its matchups, and
+            // game 2 re-pairs inside each group (away with away, home with
+            // home). Game 2 is an extra meeting, outside the cycle.
+            var keptEarly = (kept[slotKey(day.date, 0)] || []).length + (kept[slotKey(day.date, 1)] || []).length;
+            if (away && !frozen && day.games >= 2 && !keptEarly) {
+                // The round whose cheapest travelling group has had the
+                // fewest trips wins a tie on everything else.
+                var r1 = ranked(today, {}).map(function (r, i) {
+                    var c = roundCost(r, today, {});
+                    pickAway(r).forEach(function (t) { c += (trips[t] + 1) * (trips[t] + 1) * 10; });
+                    return { r: r, c: c, i: i };
+                }).sort(function (a, b) { return (a.c - b.c) || (a.i - b.i); })[0].r;
+                if (r1.pairs.length > awaySize / 2) {
+                    preset[0] = take(r1);
+                    awayTeams = {};
+                    pickAway(r1).forEach(function (t) { awayTeams[t] = 1; trips[t]++; });
+                    preset[1] = { regroup: true, cycle: r1.cycle, groups: [
+                        Object.keys(awayTeams),
+                        [].concat.apply([], r1.pairs).filter(function (t) { return !awayTeams[t]; })
+                    ] };
+                } else {
+                    notes.push(day.date + ': too few games per period to send ' + awaySize + ' teams away — no away games planned that day.');
+                }
+            }
+
+            for (var g = 0; g < day.games; g++) {
+                var keptHere = kept[slotKey(day.date, g)] || [];
+                var keptPairs = {};
+                keptHere.forEach(function (f) { keptPairs[pairKey(f.team1, f.team2)] = 1; });
+                var round = null;
+                if (!frozen) round = preset[g] || take(ranked(today, keptPairs)[0]);
+                var fx = buildSlot(round, keptHere, frozen, today);
+                if (awayTeams && g < 2) fx.forEach(function (f) { if (!f.kept) f.away = !!awayTeams[f.team1]; });
+                assignSports(fx, day.date, g, daySport);
+                record(fx, today, daySport);
+
+                var playing = {};
+                fx.forEach(function (f) {
+                    playing[f.team1] = playing[f.team2] = 1;
+                    out.fixtures.push({
+                        id: f.id || newId(day.date, g),
+                        date: day.date, game: g,
+                        round: f.round, cycle: f.cycle,
+                        team1: f.team1, team2: f.team2, sport: f.sport,
+                        away: f.away === true, locked: f.locked === true, edited: f.edited === true
+                    });
+                });
+                var sitting = teams.filter(function (t) { return !playing[t] && inLeague(t, day.date); });
+                sitting.forEach(function (t) { byes[t]++; });
+                if (sitting.length) out.byes[slotKey(day.date, g)] = sitting;
+            }
+        });
+
+        out.cycles = cycle;
+        return out;
+    }
+
+    // Per-team totals over a plan: games, byes, away days and sports played,
+    // plus how often each pair meets.
+    function stats(p, teams) {
+        var per = {}, meetings = {}, awayDays = {};
+        (teams || []).forEach(function (t) { per[t] = { games: 0, byes: 0, away: 0, sports: {} }; });
+        ((p && p.fixtures) || []).forEach(function (f) {
+            var k = pairKey(f.team1, f.team2);
+            meetings[k] = (meetings[k] || 0) + 1;
+            [f.team1, f.team2].forEach(function (t) {
+                var s = per[t];
+                if (!s) return;
+                s.games++;
+                s.sports[f.sport] = (s.sports[f.sport] || 0) + 1;
+                if (f.away && !awayDays[f.date + '|' + t]) { awayDays[f.date + '|' + t] = 1; s.away++; }
+            });
+        });
+        Object.keys((p && p.byes) || {}).forEach(function (k) {
+            (p.byes[k] || []).forEach(function (t) { if (per[t]) per[t].byes++; });
+        });
+        return { teams: per, meetings: meetings };
+    }
+
+    // -------------------------------------------------------------------------
+    // What the engine plays — null when the league has no plan in use, or the
+    // plan has nothing for this period (the engine then decides as before).
+    // -------------------------------------------------------------------------
+    function slot(league, date, gameIndex) {
+        var p = league && league.fixturePlan;
+        if (!p || p.enabled !== true || !Array.isArray(p.fixtures)) return null;
+        var g = Number(gameIndex);
+        var fx = p.fixtures.filter(function (f) { return f && f.date === date && Number(f.game) === g; });
+        var byes = (p.byes && p.byes[slotKey(date, g)]) || [];
+        if (!fx.length && !byes.length) return null;
+        return {
+            fixtures: fx.map(function (f) {
+                return { id: f.id, team1: f.team1, team2: f.team2, sport: f.sport || null, away: f.away === true };
+            }),
+            byes: byes.slice()
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Hand edits
+    // -------------------------------------------------------------------------
+
+    // patch: { team1?, team2?, sport?, away? }. Putting a team into a fixture
+    // takes it out of wherever it was in the same slot — its old spot goes to
+    // the team it replaced — so the slot stays one game per team. Every
+    // fixture touched is locked.
+    function editFixture(p, id, patch) {
+        var f = (p.fixtures || []).find(function (x) { return x.id === id; });
+        if (!f) return { ok: false, error: 'No such fixture.' };
+        patch = patch || {};
+        var next1 = patch.team1 != null ? String(patch.team1) : f.team1;
+        var next2 = patch.team2 != null ? String(patch.team2) : f.team2;
+        if (!next1 || !next2) return { ok: false, error: 'Both teams are needed.' };
+        if (next1 === next2) return { ok: false, error: 'A team cannot play itself.' };
+        var changed = [f.id];
+        var bk = slotKey(f.date, f.game);
+        ['team1', 'team2'].forEach(function (side) {
+            var nt = side === 'team1' ? next1 : next2;
+            var old = f[side];
+            if (nt === old) return;
+            var mate = p.fixtures.find(function (x) {
+                return x !== f && x.date === f.date && Number(x.game) === Number(f.game) && (x.team1 === nt || x.team2 === nt);
+            });
+            if (mate) {
+                if (mate.team1 === nt) mate.team1 = old; else mate.team2 = old;
+                mate.locked = true;
+                mate.edited = true;
+                changed.push(mate.id);
+            } else {
+                var bl = (p.byes[bk] || []).filter(function (t) { return t !== nt; });
+                bl.push(old);
+                p.byes[bk] = bl;
+            }
+            f[side] = nt;
+        });
+        if (p.byes[bk] && !p.byes[bk].length) delete p.byes[bk];
+        if (patch.sport) f.sport = String(patch.sport);
+        if (patch.away != null) f.away = !!patch.away;
+        f.locked = true;
+        f.edited = true;
+        return { ok: true, changed: changed };
+    }
+
+    function setLocked(p, id, locked) {
+        var f = (p.fixtures || []).find(function (x) { return x.id === id; });
+        if (!f) return false;
+        f.locked = !!locked;
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------------------------
+    var api = {
+        VERSION: VERSION,
+        getOrInit: getOrInit,
+        leagueDays: leagueDays,
+        periodsOn: periodsOn,
+        roundRobin: roundRobin,
+        plan: plan,
+        stats: stats,
+        slot: slot,
+        editFixture: editFixture,
+        setLocked: setLocked,
+        slotKey: slotKey
+    };
+
+    if (typeof window !== 'undefined') window.FixturePlan = api;
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+
+    if (typeof console !== 'undefined') console.log('[FixturePlan] v' + VERSION + ' loaded');
+})();
@@ -0,0 +1,625 @@
+// =============================================================================
+// fixture_plan_hub.js — per-league Season Plan overlay
+// =============================================================================
+// Open with FixturePlanHub.open(league) from the league's "Season Plan"
+// button. Plans the whole season with window.FixturePlan over the league days
+// found in the camp calendar, shows it week by week, and lets the user lock or
+// hand-edit single fixtures. With "Use in daily generation" on, the league
+// engine plays the plan instead of choosing matchups and sports each day.
+//
+// Everything lives on league.fixturePlan and is saved the way the Playoff Hub
+// saves league.playoff (role-gated, re-bound to the live league entry).
+//
+// Public API: window.FixturePlanHub
+//   .open(league)
+//   .close()
+//   .planInput(league, fromDate)   - FixturePlan.plan input for a re-plan
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var _overlayEl = null;
+    var _league = null;
+    var _editingId = null;    // fixture whose inline editor is open
+    var _fromDate = '';       // "Re-plan from" date picker value
+
+    function escHtml(s) { return window.CampUtils.escapeHtml(s); }  // → campistry_utils.js (canonical)
+
+    // -------------------------------------------------------------------------
+    // Persistence
+    // -------------------------------------------------------------------------
+    function _save() {
+        // Same role gate as the Playoff Hub (CB-123): a viewer can look at
+        // the plan but never write the shared leaguesByName.
+        try {
+            if (window.AccessControl && typeof window.AccessControl.canEdit === 'function' && window.AccessControl.canEdit() === false) {
+                console.warn('[FixturePlanHub] read-only role — plan changes are not saved');
+                return;
+            }
+        } catch (_) {}
+        // Re-bind to the LIVE league — loadLeaguesData rebuilds the objects on
+        // every focus/sync, so the one held since open() can be stale.
+        var lbn = window.leaguesByName || {};
+        var live = _league && lbn[_league.name];
+        if (live && _league.fixturePlan) {
+            live.fixturePlan = _league.fixturePlan;
+            _league = live;
+        }
+        if (typeof window.saveGlobalSettings === 'function') {
+            try { window.saveGlobalSettings('leaguesByName', lbn); } catch (_) {}
+        }
+        if (typeof window.saveLeaguesData === 'function') { try { window.saveLeaguesData(); } catch (_) {} }
+    }
+
+    // -------------------------------------------------------------------------
+    // Inputs from the rest of the app
+    // -------------------------------------------------------------------------
+    function _settings() {
+        try { return (window.loadGlobalSettings && window.loadGlobalSettings()) || {}; } catch (_) { return {}; }
+    }
+    function _teams() {
+        return (_league && _league.teams || []).slice();
+    }
+    function _sportsList() {
+        if (_league && Array.isArray(_league.sports) && _league.sports.length > 0) return _league.sports.slice();
+        if (_league && typeof _league.sport === 'string' && _league.sport) return [_league.sport];
+        return [];
+    }
+    function _detectedDays() {
+        return window.FixturePlan.leagueDays(_league, _settings());
+    }
+    // How many games of each sport can run at once: the fields that host it.
+    function _sportCapacity() {
+        var gs = _settings();
+        var fields = (gs.app1 && gs.app1.fields) || gs.fields || [];
+        var cap = {};
+        _sportsList().forEach(function (s) {
+            cap[s] = fields.filter(function (f) {
+                return f && f.available !== false && Array.isArray(f.activities) && f.activities.indexOf(s) >= 0;
+            }).length;
+        });
+        return cap;
+    }
+    // Away Games settings from the league setup; away fixtures use the
+    // sports the away zone's fields host.
+    function _away() {
+        var oc = _league && _league.offCampus;
+        if (!oc || !oc.enabled || !oc.zone || !(Number(oc.teamsPerDay) >= 4)) return null;
+        var zoneFields = (typeof window.getFieldsInZone === 'function' && window.getFieldsInZone(oc.zone)) || [];
+        var gs = _settings();
+        var fields = (gs.app1 && gs.app1.fields) || gs.fields || [];
+        var sports = _sportsList().filter(function (s) {
+            return fields.some(function (f) {
+                return f && zoneFields.indexOf(f.name) >= 0 && Array.isArray(f.activities) && f.activities.indexOf(s) >= 0;
+            });
+        });
+        return { teamsPerDay: Number(oc.teamsPerDay), sports: sports };
+    }
+
+    // Late joiners (league_restructure.js) carry their join date and bye
+    // credit into every re-plan, not only the one the restructure ran.
+    function _planInput(fromDate) {
+        var p = window.FixturePlan.getOrInit(_league);
+        var excluded = p.excludedDates;
+        var roster = (window.LeagueRestructure && typeof window.LeagueRestructure.plannerInputs === 'function')
+            ? window.LeagueRestructure.plannerInputs(_league) : null;
+        return {
+            teams: _teams(),
+            sports: _sportsList(),
+            days: _detectedDays().filter(function (d) { return excluded.indexOf(d.date) < 0; }),
+            seed: _league.name || '',
+            sportCapacity: _sportCapacity(),
+            away: _away(),
+            existing: { fixtures: p.fixtures, byes: p.byes },
+            fromDate: fromDate || null,
+            joined: roster ? roster.joined : null,
+            byeCredit: roster ? roster.byeCredit : null
+        };
+    }
+
+    function _runPlan(fromDate) {
+        var p = window.FixturePlan.getOrInit(_league);
+        var res = window.FixturePlan.plan(_planInput(fromDate));
+        p.days = res.days;
+        p.fixtures = res.fixtures;
+        p.byes = res.byes;
+        p.notes = res.notes;
+        p.generatedAt = new Date().toISOString();
+        _editingId = null;
+        _save();
+        _render();
+    }
+
+    // The plan input for any league, as the overlay would build it — used by
+    // the restructure preview to re-plan without opening the overlay.
+    function planInput(league, fromDate) {
+        var held = _league;
+        _league = league;
+        try { return _planInput(fromDate); } finally { _league = held; }
+    }
+
+    // -------------------------------------------------------------------------
+    // Render
+    // -------------------------------------------------------------------------
+    function _fmtDate(d) {
+        var p = d.split('-').map(Number);
+        return new Date(Date.UTC(p[0], p[1] - 1, p[2]))
+            .toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+    // Monday of the date's week — the calendar preview groups by week.
+    function _weekOf(d) {
+        var p = d.split('-').map(Number);
+        var dt = new Date(Date.UTC(p[0], p[1] - 1, p[2]));
+        dt.setUTCDate(dt.getUTCDate() - ((dt.getUTCDay() + 6) % 7));
+        return dt.toISOString().slice(0, 10);
+    }
+
+    function _render() {
+        if (!_overlayEl || !_league) return;
+        var body = _overlayEl.querySelector('.fp-body');
+        if (!body) return;
+        var titleEl = _overlayEl.querySelector('.fp-title');
+        if (titleEl) titleEl.textContent = 'Season Plan — ' + (_league.name || '(unnamed)');
+        body.innerHTML = '';
+
+        var p = window.FixturePlan.getOrInit(_league);
+
+        // Top row: use-in-generation toggle
+        var topRow = document.createElement('div');
+        topRow.className = 'fp-top-row';
+        var lead = document.createElement('div');
+        lead.className = 'fp-lead';
+        lead.innerHTML = '<span class="fp-lead-label">Daily generation</span>'
+            + '<span class="fp-lead-value ' + (p.enabled ? 'on' : 'off') + '">'
+            + (p.enabled ? 'Plays this plan' : 'Decides each day') + '</span>';
+        topRow.appendChild(lead);
+        var lab = document.createElement('label');
+        lab.className = 'fp-toggle' + (p.enabled ? ' on' : '');
+        var cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = p.enabled;
+        cb.disabled = !p.fixtures.length;
+        cb.onchange = function () { p.enabled = cb.checked; _save(); _render(); };
+        var txt = document.createElement('span');
+        txt.textContent = 'Use in daily generation';
+        lab.append(cb, txt);
+        topRow.appendChild(lab);
+        body.appendChild(topRow);
+
+        if (window.PlayoffMode && window.PlayoffMode.isLeagueInPlayoff && window.PlayoffMode.isLeagueInPlayoff(_league)) {
+            var po = document.createElement('div');
+            po.className = 'fp-warn';
+            po.textContent = 'Playoffs are on for this league — playoff rounds are played instead of the plan until they are turned off.';
+            body.appendChild(po);
+        }
+
+        body.appendChild(_renderDays(p));
+        if (p.fixtures.length) {
+            body.appendChild(_renderSummary(p));
+            body.appendChild(_renderCalendar(p));
+        } else {
+            var ex = document.createElement('div');
+            ex.className = 'fp-explainer';
+            ex.textContent = 'Plan the season to see every league day\'s matchups and sports ahead of time. Each cycle is a full round robin, byes and sports are spread evenly, and away days follow the league\'s Away Games setup. Lock or edit any fixture, then turn on "Use in daily generation" so each day plays exactly what is planned.';
+            body.appendChild(ex);
+        }
+    }
+
+    function _stepHead(num, title, sub) {
+        var d = document.createElement('div');
+        d.className = 'fp-step-head';
+        d.innerHTML = '<div class="fp-step-num">' + num + '</div>'
+            + '<div class="fp-step-title-wrap">'
+            +   '<div class="fp-step-title">' + escHtml(title) + '</div>'
+            +   (sub ? '<div class="fp-step-sub">' + escHtml(sub) + '</div>' : '')
+            + '</div>';
+        return d;
+    }
+
+    // Step 1 — league days and the plan buttons
+    function _renderDays(p) {
+        var card = document.createElement('section');
+        card.className = 'fp-step-card';
+        card.appendChild(_stepHead(1, 'League days',
+            'Found from the camp dates and the weekday templates. Click a day to leave it out of the plan.'));
+
+        var detected = _detectedDays();
+        var chips = document.createElement('div');
+        chips.className = 'fp-chips';
+        if (!detected.length) {
+            chips.innerHTML = '<span class="fp-none">No league days found — set the camp dates and put this league\'s tiles on the weekday templates.</span>';
+        }
+        detected.forEach(function (d) {
+            var off = p.excludedDates.indexOf(d.date) >= 0;
+            var chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'fp-chip' + (off ? '' : ' active');
+            chip.textContent = _fmtDate(d.date) + (d.games > 1 ? ' ×' + d.games : '');
+            chip.title = off ? 'Left out — click to plan this day' : 'Click to leave this day out';
+            chip.onclick = function () {
+                if (off) p.excludedDates = p.excludedDates.filter(function (x) { return x !== d.date; });
+                else p.excludedDates.push(d.date);
+                _save();
+                _render();
+            };
+            chips.appendChild(chip);
+        });
+        card.appendChild(chips);
+
+        var actions = document.createElement('div');
+        actions.className = 'fp-actions-row';
+        var planBtn = document.createElement('button');
+        planBtn.type = 'button';
+        planBtn.className = 'fp-btn primary';
+        planBtn.textContent = p.fixtures.length ? 'Re-plan season' : 'Plan season';
+        planBtn.disabled = !detected.length || _teams().length < 2;
+        planBtn.onclick = function () {
+            if (p.fixtures.length && !confirm('Re-plan the whole season? Locked fixtures stay; every other fixture is replaced.')) return;
+            _runPlan(null);
+        };
+        actions.appendChild(planBtn);
+
+        if (p.fixtures.length) {
+            var from = document.createElement('input');
+            from.type = 'date';
+            from.className = 'fp-date';
+            from.value = _fromDate;
+            from.onchange = function () { _fromDate = from.value; fromBtn.disabled = !_fromDate; };
+            var fromBtn = document.createElement('button');
+            fromBtn.type = 'button';
+            fromBtn.className = 'fp-btn';
+            fromBtn.textContent = 'Re-plan from date';
+            fromBtn.disabled = !_fromDate;
+            fromBtn.title = 'Keeps everything before this date, and locked fixtures after it';
+            fromBtn.onclick = function () {
+                if (!confirm('Re-plan from ' + _fmtDate(_fromDate) + '? Earlier and locked fixtures stay.')) return;
+                _runPlan(_fromDate);
+            };
+            var clearBtn = document.createElement('button');
+            clearBtn.type = 'button';
+            clearBtn.className = 'fp-btn ghost danger';
+            clearBtn.textContent = 'Clear plan';
+            clearBtn.onclick = function () {
+                if (!confirm('Delete the season plan for ' + _league.name + '? Daily generation goes back to deciding each day.')) return;
+                p.enabled = false;
+                p.days = []; p.fixtures = []; p.byes = {}; p.notes = []; p.generatedAt = null;
+                _save();
+                _render();
+            };
+            actions.append(from, fromBtn, clearBtn);
+        }
+        card.appendChild(actions);
+
+        if (p.generatedAt) {
+            var sub = document.createElement('div');
+            sub.className = 'fp-explainer subtle';
+            sub.textContent = 'Planned ' + new Date(p.generatedAt).toLocaleString() + ' over ' + p.days.length + ' league day(s).';
+            card.appendChild(sub);
+        }
+        (p.notes || []).forEach(function (n) {
+            var w = document.createElement('div');
+            w.className = 'fp-warn';
+            w.textContent = n;
+            card.appendChild(w);
+        });
+        return card;
+    }
+
+    // Step 2 — per-team balance
+    function _renderSummary(p) {
+        var card = document.createElement('section');
+        card.className = 'fp-step-card';
+        card.appendChild(_stepHead(2, 'Balance', 'Games, byes, away days and sports per team over the planned season.'));
+        var st = window.FixturePlan.stats(p, _teams());
+        var sports = _sportsList();
+        var html = '<table class="fp-table"><thead><tr><th>Team</th><th>Games</th><th>Byes</th>'
+            + (_away() ? '<th>Away days</th>' : '')
+            + sports.map(function (s) { return '<th>' + escHtml(s) + '</th>'; }).join('')
+            + '</tr></thead><tbody>';
+        _teams().forEach(function (t) {
+            var r = st.teams[t] || { games: 0, byes: 0, away: 0, sports: {} };
+            html += '<tr><td class="fp-team">' + escHtml(t) + '</td><td>' + r.games + '</td><td>' + r.byes + '</td>'
+                + (_away() ? '<td>' + r.away + '</td>' : '')
+                + sports.map(function (s) { return '<td>' + (r.sports[s] || 0) + '</td>'; }).join('')
+                + '</tr>';
+        });
+        html += '</tbody></table>';
+        var wrap = document.createElement('div');
+        wrap.className = 'fp-table-wrap';
+        wrap.innerHTML = html;
+        card.appendChild(wrap);
+        return card;
+    }
+
+    // Step 3 — calendar preview, week by week
+    function _renderCalendar(p) {
+        var card = document.createElement('section');
+        card.className = 'fp-step-card';
+        card.appendChild(_stepHead(3, 'Fixtures',
+            'Edit a fixture to change its teams, sport or away flag — a team moved in swaps places with the team it replaces. Edited fixtures lock themselves; locked fixtures survive re-planning.'));
+
+        var byDate = {};
+        p.fixtures.forEach(function (f) { (byDate[f.date] = byDate[f.date] || []).push(f); });
+        var weeks = {};
+        p.days.forEach(function (d) { (weeks[_weekOf(d.date)] = weeks[_weekOf(d.date)] || []).push(d); });
+
+        Object.keys(weeks).sort().forEach(function (wk) {
+            var week = document.createElement('div');
+            week.className = 'fp-week';
+            week.innerHTML = '<div class="fp-week-label">Week of ' + escHtml(_fmtDate(wk)) + '</div>';
+            var grid = document.createElement('div');
+            grid.className = 'fp-week-grid';
+            weeks[wk].forEach(function (d) {
+                var day = document.createElement('div');
+                day.className = 'fp-day';
+                day.innerHTML = '<div class="fp-day-label">' + escHtml(_fmtDate(d.date)) + '</div>';
+                for (var g = 0; g < d.games; g++) {
+                    var fx = (byDate[d.date] || []).filter(function (f) { return Number(f.game) === g; });
+                    var byes = p.byes[window.FixturePlan.slotKey(d.date, g)] || [];
+                    if (d.games > 1) {
+                        var gl = document.createElement('div');
+                        gl.className = 'fp-game-label';
+                        gl.textContent = 'Game ' + (g + 1);
+                        day.appendChild(gl);
+                    }
+                    fx.forEach(function (f) { day.appendChild(_renderFixture(p, f)); });
+                    if (byes.length) {
+                        var by = document.createElement('div');
+                        by.className = 'fp-byes';
+                        by.textContent = 'Bye: ' + byes.join(', ');
+                        day.appendChild(by);
+                    }
+                }
+                grid.appendChild(day);
+            });
+            week.appendChild(grid);
+            card.appendChild(week);
+        });
+        return card;
+    }
+
+    function _renderFixture(p, f) {
+        var row = document.createElement('div');
+        row.className = 'fp-fx' + (f.locked ? ' locked' : '') + (f.away ? ' away' : '');
+        if (_editingId === f.id) return _renderEditor(p, f, row);
+
+        var main = document.createElement('div');
+        main.className = 'fp-fx-main';
+        main.innerHTML = '<span class="fp-fx-teams">' + escHtml(f.team1) + ' <span class="fp-vs">vs</span> ' + escHtml(f.team2) + '</span>'
+            + '<span class="fp-fx-sport">' + escHtml(f.sport || '—') + '</span>'
+            + (f.away ? '<span class="fp-badge away">Away</span>' : '')
+            + (f.edited ? '<span class="fp-badge">Edited</span>' : '');
+        row.appendChild(main);
+
+        var lock = document.createElement('button');
+        lock.type = 'button';
+        lock.className = 'fp-icon' + (f.locked ? ' on' : '');
+        lock.textContent = f.locked ? '🔒' : '🔓';
+        lock.title = f.locked ? 'Locked — kept when re-planning. Click to unlock.' : 'Lock this fixture';
+        lock.onclick = function () {
+            window.FixturePlan.setLocked(p, f.id, !f.locked);
+            _save();
+            _render();
+        };
+        var edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'fp-icon';
+        edit.textContent = '✎';
+        edit.title = 'Edit fixture';
+        edit.onclick = function () { _editingId = f.id; _render(); };
+        row.append(lock, edit);
+        return row;
+    }
+
+    function _renderEditor(p, f, row) {
+        row.classList.add('editing');
+        function select(list, value) {
+            var sel = document.createElement('select');
+            sel.className = 'fp-select';
+            list.forEach(function (v) {
+                var o = document.createElement('option');
+                o.value = v;
+                o.textContent = v;
+                if (v === value) o.selected = true;
+                sel.appendChild(o);
+            });
+            return sel;
+        }
+        var t1 = select(_teams(), f.team1);
+        var t2 = select(_teams(), f.team2);
+        var sports = _sportsList();
+        if (f.sport && sports.indexOf(f.sport) < 0) sports.unshift(f.sport);
+        var sp = select(sports, f.sport);
+        var vs = document.createElement('span');
+        vs.className = 'fp-vs';
+        vs.textContent = 'vs';
+        row.append(t1, vs, t2, sp);
+
+        var awayCb = null;
+        if (_away() || f.away) {
+            var al = document.createElement('label');
+            al.className = 'fp-check';
+            awayCb = document.createElement('input');
+            awayCb.type = 'checkbox';
+            awayCb.checked = f.away === true;
+            al.append(awayCb, document.createTextNode(' Away'));
+            row.appendChild(al);
+        }
+
+        var err = document.createElement('div');
+        err.className = 'fp-err';
+        var ok = document.createElement('button');
+        ok.type = 'button';
+        ok.className = 'fp-btn primary small';
+        ok.textContent = 'Save';
+        ok.onclick = function () {
+            var patch = { team1: t1.value, team2: t2.value, sport: sp.value };
+            if (awayCb) patch.away = awayCb.checked;
+            var res = window.FixturePlan.editFixture(p, f.id, patch);
+            if (!res.ok) { err.textContent = res.error; return; }
+            _editingId = null;
+            _save();
+            _render();
+        };
+        var cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'fp-btn ghost small';
+        cancel.textContent = 'Cancel';
+        cancel.onclick = function () { _editingId = null; _render(); };
+        row.append(ok, cancel, err);
+        return row;
+    }
+
+    // -------------------------------------------------------------------------
+    // Open / close
+    // -------------------------------------------------------------------------
+
+    function open(league) {
+        if (!league) {
+            console.warn('[FixturePlanHub] open() requires a league');
+            return;
+        }
+        if (!window.FixturePlan) {
+            alert('Season Plan module not loaded.');
+            return;
+        }
+        if (_overlayEl) close();
+        _injectStyles();
+        _league = league;
+        _editingId = null;
+        _fromDate = '';
+
+        _overlayEl = document.createElement('div');
+        _overlayEl.className = 'fp-overlay';
+        _overlayEl.innerHTML =
+            '<div class="fp-shell">' +
+              '<header class="fp-header">' +
+                '<div class="fp-title">Season Plan</div>' +
+                '<button class="fp-close" type="button" title="Close">&times;</button>' +
+              '</header>' +
+              '<div class="fp-body"></div>' +
+            '</div>';
+        document.body.appendChild(_overlayEl);
+        _overlayEl.querySelector('.fp-close').onclick = close;
+        let _mdPlanOverlay = false;
+        _overlayEl.addEventListener('mousedown', function (e) { _mdPlanOverlay = (e.target === _overlayEl); });
+        _overlayEl.addEventListener('click', function (e) { if (e.target === _overlayEl && _mdPlanOverlay) close(); });
+        document.addEventListener('keydown', _escListener);
+        _render();
+    }
+
+    function close() {
+        if (!_overlayEl) return;
+        _overlayEl.remove();
+        _overlayEl = null;
+        _league = null;
+        document.removeEventListener('keydown', _escListener);
+        // The league's "Season Plan: ON" button label follows the toggle.
+        if (typeof window.refreshLeagues === 'function') { try { window.refreshLeagues(); } catch (_) {} }
+    }
+
+    function _escListener(e) { if (e.key === 'Escape') close(); }
+
+    // -------------------------------------------------------------------------
+    // Styles — the Playoff Hub's teal palette (#147D91)
+    // -------------------------------------------------------------------------
+
+    function _injectStyles() {
+        if (document.getElementById('fixture-plan-hub-styles')) return;
+        var st = document.createElement('style');
+        st.id = 'fixture-plan-hub-styles';
+        st.textContent = [
+            '.fp-overlay{position:fixed;inset:0;background:rgba(15,23,42,0.5);z-index:9000;display:flex;align-items:stretch;justify-content:center;padding:24px;backdrop-filter:blur(3px);}',
+            '.fp-shell{flex:1;max-width:1100px;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(0,0,0,0.3);display:flex;flex-direction:column;overflow:hidden;}',
+            '.fp-header{display:flex;align-items:center;justify-content:space-between;padding:16px 22px;border-bottom:1px solid #E5E7EB;background:#F9FAFB;}',
+            '.fp-title{font-size:1.1rem;font-weight:700;color:#0A4A56;letter-spacing:-0.01em;}',
+            '.fp-close{background:transparent;border:1px solid #E5E7EB;color:#475569;width:32px;height:32px;border-radius:8px;font-size:1.4rem;cursor:pointer;line-height:1;}',
+            '.fp-close:hover{background:#F1F5F9;border-color:#147D91;color:#147D91;}',
+            '.fp-body{flex:1;overflow-y:auto;padding:22px 28px;display:flex;flex-direction:column;gap:16px;}',
+
+            '.fp-top-row{display:flex;align-items:center;justify-content:space-between;gap:12px;padding:12px 14px;border:1px solid #E5E7EB;border-radius:10px;background:#F9FAFB;}',
+            '.fp-lead{display:flex;align-items:center;gap:10px;}',
+            '.fp-lead-label{font-size:0.7rem;font-weight:700;color:#6B7280;letter-spacing:0.06em;text-transform:uppercase;}',
+            '.fp-lead-value{font-size:0.92rem;font-weight:700;}',
+            '.fp-lead-value.on{color:#147D91;}',
+            '.fp-lead-value.off{color:#9CA3AF;}',
+            '.fp-toggle{display:flex;align-items:center;gap:8px;padding:7px 13px;border:1px solid #CBD5E1;border-radius:999px;background:#fff;font-size:0.82rem;font-weight:600;color:#475569;cursor:pointer;user-select:none;}',
+            '.fp-toggle:hover{border-color:#147D91;color:#147D91;}',
+            '.fp-toggle.on{background:#147D91;color:#fff;border-color:#147D91;}',
+            '.fp-toggle input{accent-color:#fff;}',
+
+            '.fp-explainer{padding:12px 14px;background:#ECFEFF;border:1px solid #A5F3FC;border-radius:10px;color:#0A4A56;font-size:0.85rem;line-height:1.5;}',
+            '.fp-explainer.subtle{background:transparent;border:none;color:#6B7280;font-size:0.82rem;padding:4px 0;}',
+            '.fp-warn{font-size:0.78rem;color:#B45309;background:#FFFBEB;border:1px solid #FDE68A;border-radius:8px;padding:8px 10px;}',
+            '.fp-none{font-size:0.8rem;color:#9CA3AF;font-style:italic;}',
+
+            '.fp-step-card{background:#fff;border:1px solid #E5E7EB;border-radius:12px;padding:18px 20px;display:flex;flex-direction:column;gap:14px;}',
+            '.fp-step-head{display:flex;gap:14px;align-items:flex-start;}',
+            '.fp-step-num{width:30px;height:30px;border-radius:50%;background:#147D91;color:#fff;font-weight:700;display:flex;align-items:center;justify-content:center;font-size:0.9rem;flex-shrink:0;}',
+            '.fp-step-title-wrap{display:flex;flex-direction:column;gap:2px;}',
+            '.fp-step-title{font-size:1rem;font-weight:700;color:#0A4A56;}',
+            '.fp-step-sub{font-size:0.8rem;color:#6B7280;line-height:1.45;}',
+
+            '.fp-chips{display:flex;flex-wrap:wrap;gap:6px;}',
+            '.fp-chip{padding:5px 12px;background:#F9FAFB;border:1px solid #E5E7EB;border-radius:999px;font-size:0.78rem;color:#9CA3AF;cursor:pointer;font-family:inherit;text-decoration:line-through;}',
+            '.fp-chip:hover{border-color:#147D91;color:#147D91;}',
+            '.fp-chip.active{background:#147D91;color:#fff;border-color:#147D91;text-decoration:none;}',
+
+            '.fp-actions-row{display:flex;gap:8px;flex-wrap:wrap;align-items:center;}',
+            '.fp-date{padding:7px 8px;border:1px solid #CBD5E1;border-radius:7px;font-size:0.85rem;font-family:inherit;}',
+            '.fp-btn{padding:9px 18px;border:1px solid #CBD5E1;background:#fff;border-radius:8px;cursor:pointer;font-size:0.88rem;font-weight:600;font-family:inherit;color:#0A4A56;}',
+            '.fp-btn:hover:not(:disabled){background:#F1F5F9;border-color:#147D91;color:#147D91;}',
+            '.fp-btn.primary{background:#147D91;color:#fff;border-color:#147D91;}',
+            '.fp-btn.primary:hover:not(:disabled){background:#0F6E80;color:#fff;}',
+            '.fp-btn.ghost{background:transparent;}',
+            '.fp-btn.small{padding:5px 11px;font-size:0.78rem;}',
+            '.fp-btn.danger{color:#B91C1C;}',
+            '.fp-btn.danger:hover:not(:disabled){background:#FEF2F2;border-color:#FECACA;color:#B91C1C;}',
+            '.fp-btn:disabled{opacity:0.4;cursor:default;}',
+
+            '.fp-table-wrap{overflow-x:auto;}',
+            '.fp-table{border-collapse:collapse;font-size:0.8rem;min-width:100%;}',
+            '.fp-table th{font-size:0.68rem;font-weight:700;color:#6B7280;text-transform:uppercase;letter-spacing:0.05em;text-align:center;padding:6px 8px;border-bottom:2px solid #E5E7EB;}',
+            '.fp-table td{text-align:center;padding:5px 8px;border-bottom:1px solid #F1F5F9;color:#0A4A56;}',
+            '.fp-table td.fp-team,.fp-table th:first-child{text-align:left;font-weight:600;}',
+
+            '.fp-week{display:flex;flex-direction:column;gap:8px;}',
+            '.fp-week-label{font-size:0.72rem;font-weight:700;color:#147D91;text-transform:uppercase;letter-spacing:0.06em;}',
+            '.fp-week-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:10px;}',
+            '.fp-day{border:1px solid #E5E7EB;border-radius:10px;padding:10px;background:#FCFDFD;display:flex;flex-direction:column;gap:6px;}',
+            '.fp-day-label{font-size:0.85rem;font-weight:800;color:#0A4A56;}',
+            '.fp-game-label{font-size:0.68rem;font-weight:700;color:#6B7280;text-transform:uppercase;letter-spacing:0.05em;margin-top:2px;}',
+            '.fp-fx{display:flex;align-items:center;gap:6px;flex-wrap:wrap;padding:6px 8px;border:1px solid #E5E7EB;border-radius:8px;background:#fff;font-size:0.8rem;}',
+            '.fp-fx.locked{border-color:#147D91;}',
+            '.fp-fx.away{background:#FFF7ED;}',
+            '.fp-fx.editing{background:#ECFEFF;border-color:#147D91;}',
+            '.fp-fx-main{flex:1;display:flex;align-items:center;gap:6px;flex-wrap:wrap;min-width:0;}',
+            '.fp-fx-teams{font-weight:600;color:#0A4A56;}',
+            '.fp-fx-sport{color:#475569;}',
+            '.fp-vs{font-size:0.65rem;color:#9CA3AF;text-transform:uppercase;letter-spacing:0.06em;}',
+            '.fp-badge{font-size:0.6rem;font-weight:700;padding:2px 7px;border-radius:999px;text-transform:uppercase;letter-spacing:0.05em;background:#E0F2FE;color:#0369A1;}',
+            '.fp-badge.away{background:#FED7AA;color:#9A3412;}',
+            '.fp-icon{width:26px;height:26px;border:1px solid #CBD5E1;background:#fff;border-radius:6px;cursor:pointer;font-size:0.8rem;line-height:1;flex-shrink:0;font-family:inherit;opacity:0.55;}',
+            '.fp-icon:hover,.fp-icon.on{opacity:1;border-color:#147D91;}',
+            '.fp-select{padding:4px 6px;border:1px solid #CBD5E1;border-radius:6px;font-size:0.78rem;background:#fff;font-family:inherit;max-width:140px;}',
+            '.fp-check{font-size:0.78rem;color:#475569;display:flex;align-items:center;gap:4px;}',
+            '.fp-err{flex-basis:100%;font-size:0.75rem;color:#B91C1C;}',
+            '.fp-err:empty{display:none;}',
+            '.fp-byes{font-size:0.75rem;color:#6B7280;font-style:italic;}'
+        ].join('');
+        document.head.appendChild(st);
+    }
+
+    // -------------------------------------------------------------------------
+    // Public
+    // -------------------------------------------------------------------------
+    window.FixturePlanHub = {
+        VERSION: VERSION,
+        open: open,
+        close: close,
+        planInput: planInput
+    };
+
+    if (typeof console !== 'undefined') console.log('[FixturePlanHub] v' + VERSION + ' loaded');
+})();
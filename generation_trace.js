@@ -20,6 +20,10 @@
 //   GenTrace.disable() / GenTrace.enable() → kill switch (persisted off? no —
 //                               session-only; default is ENABLED)
 //
+// The per-cell "why is this here?" panel (cell_explain.js) distills each
+// captured trace on the `campistry-gentrace-captured` event and saves it with
+// the day's schedule — that copy, not the trace, is what outlives the session.
+//
 // Memory: entries are capped (see CAPS) with a dropped-counter so a pathological
 // run can't blow up the tab. Only the last KEEP_TRACES runs are retained.
 // ============================================================================
@@ -189,6 +193,12 @@
         GenTrace._cur = null;
         GenTrace.traces.unshift(tr);
         while (GenTrace.traces.length > KEEP_TRACES) GenTrace.traces.pop();
+        // Listeners (cell_explain.js) read GenTrace.traces[0]. Fired after the
+        // entry point returns — campistry-generation-complete fires inside it,
+        // before the trace is closed.
+        try {
+            window.dispatchEvent(new CustomEvent('campistry-gentrace-captured', { detail: { date: tr.meta.date } }));
+        } catch (e) { /* no CustomEvent outside the browser */ }
         try {
             console.log('%c🧠 [GenTrace] Brain trace captured (' +
                 tr.counts.events + ' events, ' + tr.counts.scores + ' score breakdowns, ' +
@@ -539,6 +539,7 @@
             delete lite.smartTileHistory;
             delete lite.specialtyLeagueHistory;
             delete lite.leagueHistory;
+            delete lite.leaguePlayerStats;
             delete lite.leaguesByName;
             delete lite.playoffsByLeague;
             if (lite.app1) {
@@ -795,9 +796,11 @@
             // engines expose their merge functions; when a page hasn't loaded
             // the engine (e.g. Me page), fall back to replacement — the
             // engines' own direct verified push and merge-on-load re-unify.
+            // Player stat lines merge the same way at (league, game) grain.
             const HISTORY_MERGERS = {
                 leagueHistory: () => window.SchedulerCoreLeagues?.mergeLeagueHistories,
                 specialtyLeagueHistory: () => window.SchedulerCoreSpecialtyLeagues?.mergeSpecialtyHistories,
+                leaguePlayerStats: () => window.LeaguePlayerStats?.merge,
             };
             for (const histKey of Object.keys(HISTORY_MERGERS)) {
                 const mergeFn = HISTORY_MERGERS[histKey]();
@@ -814,7 +817,7 @@
                         .eq('key', histKey)
                         .maybeSingle();
                     if (!curErr && cur && cur.value && typeof cur.value === 'object' &&
-                        (cur.value.gameLog || cur.value.gamesPerDate)) {
+                        (cur.value.gameLog || cur.value.gamesPerDate || cur.value.games)) {
                         changesToSync[histKey] = mergeFn(changesToSync[histKey], cur.value);
                     }
                 } catch (mergeErr) {
@@ -1648,6 +1651,7 @@
             leagueRoundState: {},
             leagueHistory: {},
             specialtyLeagueHistory: {},
+            leaguePlayerStats: {},
             daily_schedules: {},
             updated_at: new Date().toISOString()
         };
@@ -1942,13 +1946,14 @@
                     const HYDRATE_HISTORY_MERGERS = {
                         leagueHistory: window.SchedulerCoreLeagues?.mergeLeagueHistories,
                         specialtyLeagueHistory: window.SchedulerCoreSpecialtyLeagues?.mergeSpecialtyHistories,
+                        leaguePlayerStats: window.LeaguePlayerStats?.merge,
                     };
                     for (const hk of Object.keys(HYDRATE_HISTORY_MERGERS)) {
                         const mergeFn = HYDRATE_HISTORY_MERGERS[hk];
                         if (typeof mergeFn !== 'function') continue;
                         const c = cloudState[hk], l = localState[hk];
                         if (c && l && typeof c === 'object' && typeof l === 'object' &&
-                            (c.gameLog || c.gamesPerDate) && (l.gameLog || l.gamesPerDate)) {
+                            (c.gameLog || c.gamesPerDate || c.games) && (l.gameLog || l.gamesPerDate || l.games)) {
                             mergedState[hk] = mergeFn(c, l);
                             log(`${hk}: merged cloud + local lineages at (league, date) granularity`);
                         }
@@ -0,0 +1,703 @@
+// =============================================================================
+// inter_camp_fixtures.js — league games against other Campistry camps
+// =============================================================================
+// Away Games (league.offCampus) only ever sent teams to a zone — the camp on
+// the other side was not in the picture. This lets two camps on the platform
+// agree on a real fixture: one camp proposes (date, time, sport, who hosts,
+// its own team), the other accepts with its team (and its field when it is
+// the host), and from then on both generators plan around it and either camp
+// can enter the score.
+//
+// Table: inter_camp_fixtures (migrations/015_inter_camp_fixtures.sql). One
+// row per fixture, visible to its two camps only; each camp writes its own
+// half (name, league, team; the site if it hosts) and never reads the other
+// camp's data — the opponent is known by its camp ID, which the other camp
+// copies from this window and passes on.
+//
+//   { id, home_camp_id, away_camp_id, proposed_by,
+//     home_camp_name, away_camp_name, home_league, home_team,
+//     away_league, away_team, game_date, start_min, end_min, sport,
+//     site, note, status: proposed|agreed|declined|cancelled,
+//     home_score, away_score, score_by, score_at, created_at, updated_at }
+//
+// The rows are cached (memory + localStorage per camp) so the league engine
+// can read them synchronously while it generates: refreshed when the cloud
+// hydrates and on every realtime change, which is also how a score entered
+// at one camp shows up at the other.
+//
+// Consumers:
+//   scheduler_core_leagues.js — agreedOn(date): a team with an agreed game in
+//                               a league period sits out that period's
+//                               pairing and its tile shows lineFor(); a home
+//                               game's field is locked for the game's window
+//   fixture_plan.js           — periodsOn(): each camp's league periods that
+//                               day; a proposal or an acceptance whose time
+//                               misses all of them is refused, since the
+//                               engine only benches a team for a period its
+//                               game overlaps
+//   leagues.js                — "Inter-Camp" button → open(league)
+//
+// Public API: window.InterCampFixtures
+// =============================================================================
+(function () {
+    'use strict';
+
+    var TABLE = 'inter_camp_fixtures';
+    var CACHE_KEY = 'campistry_interCampFixtures_';   // + camp id
+    var CHANGED_EVENT = 'campistry-inter-camp-changed';
+    var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    function esc(s) {
+        return String(s == null ? '' : s)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function isMin(m) { return typeof m === 'number' && isFinite(m) && m >= 0 && m <= 1440; }
+    function fmtDate(dateStr) {
+        if (!isDate(dateStr)) return dateStr || '';
+        var p = dateStr.split('-').map(Number);
+        return new Date(p[0], p[1] - 1, p[2]).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    function fmtTime(min) {
+        var h = Math.floor(min / 60), m = min % 60;
+        return ((h % 12) || 12) + ':' + (m < 10 ? '0' : '') + m + (h >= 12 && h < 24 ? ' PM' : ' AM');
+    }
+    function fromInput(v) {
+        var mm = /^(\d{1,2}):(\d{2})$/.exec(String(v || ''));
+        return mm ? Number(mm[1]) * 60 + Number(mm[2]) : null;
+    }
+    function score(v) {
+        if (v === '' || v == null) return null;
+        var n = parseInt(v, 10);
+        return (isFinite(n) && n >= 0) ? n : null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Model (pure)
+    // -------------------------------------------------------------------------
+
+    function sideOf(row, campId) {
+        if (!row || !campId) return null;
+        if (row.home_camp_id === campId) return 'home';
+        if (row.away_camp_id === campId) return 'away';
+        return null;
+    }
+
+    /** A row as one camp sees it: "our" team against "their" camp. */
+    function view(row, campId) {
+        var side = sideOf(row, campId);
+        if (!side) return null;
+        var home = side === 'home';
+        var n = function (v) { return (v == null || v === '') ? null : Number(v); };
+        return {
+            id: row.id,
+            side: side,
+            status: row.status || 'proposed',
+            date: String(row.game_date || '').slice(0, 10),
+            startMin: Number(row.start_min),
+            endMin: Number(row.end_min),
+            sport: row.sport || '',
+            site: row.site || '',
+            note: row.note || '',
+            league: (home ? row.home_league : row.away_league) || '',
+            team: (home ? row.home_team : row.away_team) || '',
+            opponentCampId: home ? row.away_camp_id : row.home_camp_id,
+            opponentCamp: (home ? row.away_camp_name : row.home_camp_name) || '',
+            opponentTeam: (home ? row.away_team : row.home_team) || '',
+            ourScore: n(home ? row.home_score : row.away_score),
+            theirScore: n(home ? row.away_score : row.home_score),
+            proposedByUs: row.proposed_by === campId,
+            awaitingUs: (row.status || 'proposed') === 'proposed' && row.proposed_by !== campId,
+            scoreBy: row.score_by ? (row.score_by === campId ? 'us' : 'them') : null
+        };
+    }
+
+    function opponentLabel(v) {
+        return v.opponentCamp || ('Camp ' + String(v.opponentCampId || '').slice(0, 8));
+    }
+
+    /** Why a game's window misses every league period the camp has for the
+     *  league that day, or null. `periods` null means they are not known and
+     *  the check is skipped; [] means the day has none. */
+    function periodError(startMin, endMin, periods) {
+        if (!Array.isArray(periods)) return null;
+        if (periods.some(function (w) { return startMin < w.endMin && w.startMin < endMin; })) return null;
+        if (!periods.length) return 'Your league has no league period that day — pick one of its league days.';
+        return 'The game has to fall in one of your league periods that day: ' +
+            periods.map(function (w) { return fmtTime(w.startMin) + '–' + fmtTime(w.endMin); }).join(', ') + '.';
+    }
+
+    /** What a proposal is missing, as a sentence; null when it can be sent.
+     *  p.periods: the league's periods on p.date (see periodError). */
+    function validateProposal(p, campId) {
+        if (!campId) return 'Sign in to a camp first.';
+        var partner = String(p.partnerCampId || '').trim();
+        if (!UUID_RE.test(partner)) return 'Paste the other camp’s ID — they find it at the top of this window.';
+        if (partner.toLowerCase() === String(campId).toLowerCase()) return 'That is your own camp’s ID.';
+        if (!p.league || !p.team) return 'Pick your team.';
+        if (!isDate(p.date)) return 'Pick a date.';
+        if (!isMin(p.startMin) || !isMin(p.endMin) || p.endMin <= p.startMin) return 'The game has to end after it starts.';
+        var off = periodError(p.startMin, p.endMin, p.periods);
+        if (off) return off;
+        if (p.side === 'home' && !p.site) return 'Pick the field you will host on.';
+        return null;
+    }
+
+    function buildRow(p, campId, campName) {
+        var home = p.side === 'home';
+        var partner = String(p.partnerCampId).trim().toLowerCase();
+        return {
+            home_camp_id: home ? campId : partner,
+            away_camp_id: home ? partner : campId,
+            proposed_by: campId,
+            home_camp_name: home ? (campName || '') : '',
+            away_camp_name: home ? '' : (campName || ''),
+            home_league: home ? p.league : null,
+            home_team: home ? p.team : null,
+            away_league: home ? null : p.league,
+            away_team: home ? null : p.team,
+            game_date: p.date,
+            start_min: p.startMin,
+            end_min: p.endMin,
+            sport: p.sport || '',
+            site: home ? p.site : '',
+            note: p.note || '',
+            status: 'proposed'
+        };
+    }
+
+    /** The invited camp's answer. { patch } or { error }. mine.periods: its
+     *  league's periods on the game's date. */
+    function answerPatch(row, campId, accept, mine) {
+        var v = view(row, campId);
+        if (!v || !v.awaitingUs) return { error: 'This proposal is not waiting on your camp.' };
+        if (!accept) return { patch: { status: 'declined' } };
+        mine = mine || {};
+        if (!mine.league || !mine.team) return { error: 'Pick your team.' };
+        var off = periodError(v.startMin, v.endMin, mine.periods);
+        if (off) return { error: off };
+        var patch = { status: 'agreed' };
+        patch[v.side + '_league'] = mine.league;
+        patch[v.side + '_team'] = mine.team;
+        patch[v.side + '_camp_name'] = mine.campName || '';
+        if (v.side === 'home') {
+            if (!mine.site) return { error: 'Pick the field you will host on.' };
+            patch.site = mine.site;
+        }
+        return { patch: patch };
+    }
+
+    /** Our score and theirs, written to the row's home/away columns. */
+    function scorePatch(row, campId, ours, theirs) {
+        var side = sideOf(row, campId);
+        if (!side) return null;
+        var o = score(ours), t = score(theirs);
+        return side === 'home' ? { home_score: o, away_score: t } : { home_score: t, away_score: o };
+    }
+
+    /** The tile line for a team that is playing another camp. No " vs " in it —
+     *  the rename rewriter, Print Center and the results parsers read those as
+     *  this camp's own games; "<team> — …" is the info-line shape chinuch and
+     *  byes already use. */
+    function lineFor(v) {
+        var them = opponentLabel(v) + (v.opponentTeam ? ' ' + v.opponentTeam : '');
+        var tail = v.sport ? ' (' + v.sport + ')' : '';
+        return v.side === 'home'
+            ? v.team + ' — Inter-camp: ' + them + ' @ ' + v.site + tail
+            : v.team + ' — Inter-camp at ' + them + tail;
+    }
+
+    /** Agreed games of one league that overlap a period. */
+    function forPeriod(views, leagueName, startMin, endMin) {
+        return (views || []).filter(function (v) {
+            return v && v.status === 'agreed' && v.team && norm(v.league) === norm(leagueName) &&
+                v.startMin < endMin && startMin < v.endMin;
+        });
+    }
+
+    /** Win / loss / tie per team of a league, from the scored agreed games. */
+    function recordFor(views, leagueName) {
+        var byTeam = {};
+        (views || []).forEach(function (v) {
+            if (!v || v.status !== 'agreed' || norm(v.league) !== norm(leagueName)) return;
+            if (v.ourScore == null || v.theirScore == null) return;
+            var r = byTeam[v.team] || (byTeam[v.team] = { team: v.team, w: 0, l: 0, t: 0 });
+            if (v.ourScore > v.theirScore) r.w++;
+            else if (v.ourScore < v.theirScore) r.l++;
+            else r.t++;
+        });
+        return Object.keys(byTeam).sort().map(function (k) { return byTeam[k]; });
+    }
+
+    // -------------------------------------------------------------------------
+    // Cloud
+    // -------------------------------------------------------------------------
+
+    var _rows = [];
+    var _rowsCamp = null;
+    var _channel = null;
+
+    function getClient() {
+        return (window.CampistryDB && window.CampistryDB.getClient && window.CampistryDB.getClient()) || null;
+    }
+    function getCampId() {
+        return (window.CampistryDB && window.CampistryDB.getCampId && window.CampistryDB.getCampId()) || null;
+    }
+    function getCampName() {
+        try {
+            var n = window.AccessControl && window.AccessControl.getCampName && window.AccessControl.getCampName();
+            return (n && n !== 'Your Camp' && n !== 'Unknown Camp') ? n : '';
+        } catch (_) { return ''; }
+    }
+    // This camp's periods for `league` on `date`; null without the planner.
+    function leaguePeriods(league, date) {
+        var FP = window.FixturePlan;
+        if (!FP || typeof FP.periodsOn !== 'function') return null;
+        try { return FP.periodsOn(league, (window.loadGlobalSettings && window.loadGlobalSettings()) || {}, date); }
+        catch (_) { return null; }
+    }
+    function canEdit() {
+        try {
+            if (window.AccessControl && typeof window.AccessControl.canEdit === 'function') return window.AccessControl.canEdit() !== false;
+        } catch (_) {}
+        return true;
+    }
+
+    function setRows(rows, campId) {
+        _rows = (rows || []).slice();
+        _rowsCamp = campId;
+        try { localStorage.setItem(CACHE_KEY + campId, JSON.stringify(_rows)); } catch (_) {}
+        try { window.dispatchEvent(new CustomEvent(CHANGED_EVENT)); } catch (_) {}
+    }
+
+    /** The cached rows for the signed-in camp (memory, else the last load). */
+    function cachedRows() {
+        var id = getCampId();
+        if (!id) return [];
+        if (_rowsCamp !== id) {
+            try {
+                var raw = localStorage.getItem(CACHE_KEY + id);
+                _rows = raw ? (JSON.parse(raw) || []) : [];
+            } catch (_) { _rows = []; }
+            _rowsCamp = id;
+        }
+        return _rows;
+    }
+
+    function views() {
+        var id = getCampId();
+        return cachedRows().map(function (r) { return view(r, id); }).filter(Boolean);
+    }
+
+    function refresh() {
+        var client = getClient();
+        var id = getCampId();
+        if (!client || !id) return Promise.resolve(cachedRows());
+        return client
+            .from(TABLE)
+            .select('*')
+            .or('home_camp_id.eq.' + id + ',away_camp_id.eq.' + id)
+            .order('game_date', { ascending: true })
+            .order('start_min', { ascending: true })
+            .then(function (result) {
+                if (result.error) throw result.error;
+                setRows(result.data || [], id);
+                return _rows;
+            })
+            .catch(function (e) {
+                console.error('[InterCamp] Load failed:', e.message || e);
+                return cachedRows();
+            });
+    }
+
+    function replaceRow(row) {
+        var id = getCampId();
+        var rows = cachedRows().filter(function (r) { return r.id !== row.id; });
+        rows.push(row);
+        rows.sort(function (a, b) {
+            return String(a.game_date).localeCompare(String(b.game_date)) || (a.start_min - b.start_min);
+        });
+        setRows(rows, id);
+    }
+
+    function write(run) {
+        var client = getClient();
+        var id = getCampId();
+        if (!client || !id) return Promise.resolve({ success: false, error: 'Inter-camp games need the cloud connection.' });
+        if (!canEdit()) return Promise.resolve({ success: false, error: 'Your role cannot change inter-camp games.' });
+        return run(client, id)
+            .then(function (result) {
+                if (result.error) throw result.error;
+                replaceRow(result.data);
+                return { success: true, fixture: result.data };
+            })
+            .catch(function (e) {
+                console.error('[InterCamp] Save failed:', e.message || e);
+                return { success: false, error: e.message || String(e) };
+            });
+    }
+
+    function propose(p) {
+        var id = getCampId();
+        var err = validateProposal(p, id);
+        if (err) return Promise.resolve({ success: false, error: err });
+        return write(function (client, campId) {
+            return client.from(TABLE).insert(buildRow(p, campId, getCampName())).select().single();
+        });
+    }
+
+    function findRow(fixtureId) {
+        return cachedRows().find(function (r) { return r.id === fixtureId; }) || null;
+    }
+
+    function update(fixtureId, patch) {
+        return write(function (client) {
+            return client.from(TABLE).update(patch).eq('id', fixtureId).select().single();
+        });
+    }
+
+    function answer(fixtureId, accept, mine) {
+        var row = findRow(fixtureId);
+        if (!row) return Promise.resolve({ success: false, error: 'Fixture not found — refresh and try again.' });
+        var res = answerPatch(row, getCampId(), accept, Object.assign({ campName: getCampName() }, mine || {}));
+        if (res.error) return Promise.resolve({ success: false, error: res.error });
+        return update(fixtureId, res.patch);
+    }
+
+    function cancel(fixtureId) {
+        return update(fixtureId, { status: 'cancelled' });
+    }
+
+    function saveScore(fixtureId, ours, theirs) {
+        var row = findRow(fixtureId);
+        var patch = row && scorePatch(row, getCampId(), ours, theirs);
+        if (!patch) return Promise.resolve({ success: false, error: 'Fixture not found — refresh and try again.' });
+        return update(fixtureId, patch);
+    }
+
+    /** Realtime: a change either camp makes re-reads the list. One channel,
+     *  one filter per side (a filter cannot OR two columns). */
+    function subscribe() {
+        var client = getClient();
+        var id = getCampId();
+        if (_channel || !client || !id || typeof client.channel !== 'function') return;
+        var onChange = function () { refresh(); };
+        _channel = client.channel('inter-camp-fixtures-' + id + '-' + Date.now())
+            .on('postgres_changes', { event: '*', schema: 'public', table: TABLE, filter: 'home_camp_id=eq.' + id }, onChange)
+            .on('postgres_changes', { event: '*', schema: 'public', table: TABLE, filter: 'away_camp_id=eq.' + id }, onChange)
+            .subscribe();
+    }
+
+    /** Agreed games on a date, as this camp sees them — the engine's read. */
+    function agreedOn(dateKey) {
+        return views().filter(function (v) { return v.status === 'agreed' && v.date === dateKey; });
+    }
+
+    // -------------------------------------------------------------------------
+    // Overlay (leagues.js "Inter-Camp")
+    // -------------------------------------------------------------------------
+
+    var _overlayEl = null;
+    var _form = null;
+    var _redraw = null;
+
+    function fieldNames() {
+        try {
+            var gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {};
+            return ((gs.app1 && gs.app1.fields) || []).map(function (f) { return f && f.name; }).filter(Boolean);
+        } catch (_) { return []; }
+    }
+
+    function options(list, selected, blank) {
+        return (blank != null ? '<option value="">' + esc(blank) + '</option>' : '') +
+            list.map(function (x) { return '<option' + (x === selected ? ' selected' : '') + '>' + esc(x) + '</option>'; }).join('');
+    }
+
+    function whenHtml(v) {
+        return esc(fmtDate(v.date)) + ' · ' + esc(fmtTime(v.startMin)) + '–' + esc(fmtTime(v.endMin)) +
+            (v.sport ? ' · ' + esc(v.sport) : '');
+    }
+
+    function statusPill(v) {
+        var label = v.status === 'proposed'
+            ? (v.proposedByUs ? 'Waiting for ' + opponentLabel(v) : 'Waiting for you')
+            : v.status.charAt(0).toUpperCase() + v.status.slice(1);
+        return '<span class="icf-pill ' + esc(v.status) + '">' + esc(label) + '</span>';
+    }
+
+    function open(league) {
+        if (!league) return;
+        close();
+        injectStyles();
+        _form = {
+            partnerCampId: '', side: 'home', team: (league.teams || [])[0] || '', date: '',
+            start: '', end: '', sport: (league.sports || [])[0] || '', site: '', note: ''
+        };
+        _overlayEl = document.createElement('div');
+        _overlayEl.className = 'icf-overlay';
+        _overlayEl.innerHTML =
+            '<div class="icf-shell">' +
+              '<header class="icf-header"><div class="icf-title">' + esc(league.name) + ' — inter-camp games</div>' +
+              '<button class="icf-close" type="button" title="Close">&times;</button></header>' +
+              '<div class="icf-body"></div>' +
+            '</div>';
+        document.body.appendChild(_overlayEl);
+        _overlayEl.querySelector('.icf-close').onclick = close;
+        var md = false;
+        _overlayEl.addEventListener('mousedown', function (e) { md = (e.target === _overlayEl); });
+        _overlayEl.addEventListener('click', function (e) { if (e.target === _overlayEl && md) close(); });
+        document.addEventListener('keydown', escListener);
+        _redraw = function () { draw(league); };
+        window.addEventListener(CHANGED_EVENT, _redraw);
+        draw(league);
+        refresh();
+    }
+
+    function close() {
+        if (!_overlayEl) return;
+        _overlayEl.remove();
+        _overlayEl = null;
+        document.removeEventListener('keydown', escListener);
+        if (_redraw) window.removeEventListener(CHANGED_EVENT, _redraw);
+        _redraw = null;
+    }
+
+    function escListener(e) { if (e.key === 'Escape') close(); }
+
+    function draw(league) {
+        if (!_overlayEl) return;
+        var body = _overlayEl.querySelector('.icf-body');
+        var id = getCampId();
+        var online = !!(getClient() && id);
+        var editable = online && canEdit();
+        var teams = league.teams || [];
+        var fields = fieldNames();
+        var all = views();
+        var invites = all.filter(function (v) { return v.awaitingUs; });
+        var mine = all.filter(function (v) { return !v.awaitingUs && norm(v.league) === norm(league.name); });
+        var h = '';
+
+        h += '<div class="icf-id">Your camp ID <code>' + esc(id || '—') + '</code>' +
+            (id ? ' <button class="icf-btn small icf-copy" type="button">Copy</button>' : '') +
+            '<div class="icf-note">Give this to the other camp so they can invite you. Games play in the league period that covers their start time.</div></div>';
+        if (!online) h += '<div class="icf-none">Inter-camp games need the cloud connection.</div>';
+
+        if (invites.length) {
+            h += '<section><h4>Invitations for your camp</h4>';
+            invites.forEach(function (v) {
+                h += '<div class="icf-card" data-id="' + esc(v.id) + '">' +
+                    '<div><strong>' + esc(opponentLabel(v)) + '</strong>' + (v.opponentTeam ? ' · ' + esc(v.opponentTeam) : '') +
+                    ' — you would be <strong>' + (v.side === 'home' ? 'home' : 'away') + '</strong>' +
+                    (v.side === 'away' && v.site ? ' (at their ' + esc(v.site) + ')' : '') + '</div>' +
+                    '<div class="icf-note">' + whenHtml(v) + (v.note ? ' · ' + esc(v.note) : '') + '</div>';
+                if (editable) {
+                    h += '<div class="icf-row"><label class="icf-field">' + esc(league.name) + ' team <select class="icf-ans-team">' +
+                        options(teams, teams[0]) + '</select></label>' +
+                        (v.side === 'home' ? '<label class="icf-field">Field <select class="icf-ans-site">' + options(fields, '', 'Pick a field') + '</select></label>' : '') +
+                        '<button class="icf-btn primary small icf-accept" type="button">Accept</button>' +
+                        '<button class="icf-btn small icf-decline" type="button">Decline</button></div>';
+                }
+                h += '</div>';
+            });
+            h += '</section>';
+        }
+
+        var record = recordFor(all, league.name);
+        h += '<section><h4>' + esc(league.name) + ' fixtures</h4>';
+        if (record.length) {
+            h += '<div class="icf-note">Record: ' + record.map(function (r) {
+                return esc(r.team) + ' ' + r.w + '–' + r.l + '–' + r.t;
+            }).join(' · ') + '</div>';
+        }
+        if (!mine.length) h += '<div class="icf-none">No inter-camp games for this league yet.</div>';
+        mine.forEach(function (v) {
+            var live = v.status === 'agreed';
+            h += '<div class="icf-card' + (live || v.status === 'proposed' ? '' : ' muted') + '" data-id="' + esc(v.id) + '">' +
+                '<div><strong>' + esc(v.team) + '</strong> ' + (v.side === 'home' ? 'hosts' : 'visits') + ' <strong>' +
+                esc(opponentLabel(v)) + '</strong>' + (v.opponentTeam ? ' · ' + esc(v.opponentTeam) : '') + ' ' + statusPill(v) + '</div>' +
+                '<div class="icf-note">' + whenHtml(v) + (v.site ? ' · ' + esc(v.site) : '') + '</div>';
+            if (live) {
+                h += '<div class="icf-row">' +
+                    '<label class="icf-field">' + esc(v.team) + ' <input type="number" min="0" class="icf-num icf-ours" value="' + esc(v.ourScore == null ? '' : v.ourScore) + '"' + (editable ? '' : ' disabled') + '></label>' +
+                    '<label class="icf-field">' + esc(opponentLabel(v)) + ' <input type="number" min="0" class="icf-num icf-theirs" value="' + esc(v.theirScore == null ? '' : v.theirScore) + '"' + (editable ? '' : ' disabled') + '></label>' +
+                    (editable ? '<button class="icf-btn small primary icf-score" type="button">Save score</button>' : '') +
+                    (v.scoreBy ? '<span class="icf-note">entered by ' + (v.scoreBy === 'us' ? 'your camp' : esc(opponentLabel(v))) + '</span>' : '') +
+                    '</div>';
+            }
+            if (editable && (live || v.status === 'proposed')) {
+                h += '<div class="icf-row"><button class="icf-btn small icf-cancel" type="button">' + (live ? 'Cancel game' : 'Withdraw') + '</button></div>';
+            }
+            h += '</div>';
+        });
+        h += '</section>';
+
+        if (editable) {
+            var f = _form;
+            h += '<section class="icf-propose"><h4>Propose a game</h4>' +
+                '<div class="icf-row"><label class="icf-field grow">Other camp’s ID <input type="text" class="icf-in" data-k="partnerCampId" value="' + esc(f.partnerCampId) + '" placeholder="xxxxxxxx-xxxx-…"></label></div>' +
+                '<div class="icf-row">' +
+                    '<label class="icf-field">Team <select class="icf-in" data-k="team">' + options(teams, f.team) + '</select></label>' +
+                    '<label class="icf-field">We are <select class="icf-in" data-k="side">' +
+                        '<option value="home"' + (f.side === 'home' ? ' selected' : '') + '>Home</option>' +
+                        '<option value="away"' + (f.side === 'away' ? ' selected' : '') + '>Away</option></select></label>' +
+                    '<label class="icf-field">Sport <select class="icf-in" data-k="sport">' + options(league.sports || [], f.sport) + '</select></label>' +
+                '</div>' +
+                '<div class="icf-row">' +
+                    '<label class="icf-field">Date <input type="date" class="icf-in" data-k="date" value="' + esc(f.date) + '"></label>' +
+                    '<label class="icf-field">From <input type="time" class="icf-in" data-k="start" value="' + esc(f.start) + '"></label>' +
+                    '<label class="icf-field">To <input type="time" class="icf-in" data-k="end" value="' + esc(f.end) + '"></label>' +
+                    (f.side === 'home' ? '<label class="icf-field">Field <select class="icf-in" data-k="site">' + options(fields, f.site, 'Pick a field') + '</select></label>' : '') +
+                '</div>' +
+                '<div class="icf-row"><label class="icf-field grow">Note <input type="text" class="icf-in" data-k="note" value="' + esc(f.note) + '" placeholder="Bus arrives 1:45, bring pinnies…"></label></div>' +
+                '<div class="icf-row"><button class="icf-btn primary icf-send" type="button">Send proposal</button><span class="icf-msg"></span></div>' +
+                '</section>';
+        }
+
+        body.innerHTML = h;
+        wire(body, league);
+    }
+
+    function wire(body, league) {
+        function msg(text) {
+            var el = body.querySelector('.icf-msg');
+            if (el) el.textContent = text || '';
+            else if (text) alert(text);
+        }
+        function done(res) {
+            if (!res.success) msg(res.error);
+            return res;
+        }
+        function cardId(el) {
+            var c = el.closest('.icf-card');
+            return c && c.getAttribute('data-id');
+        }
+
+        var copy = body.querySelector('.icf-copy');
+        if (copy) copy.onclick = function () {
+            try { navigator.clipboard.writeText(getCampId()); copy.textContent = 'Copied'; } catch (_) {}
+        };
+
+        body.querySelectorAll('.icf-accept').forEach(function (btn) {
+            btn.onclick = function () {
+                var card = btn.closest('.icf-card');
+                var site = card.querySelector('.icf-ans-site');
+                var row = findRow(cardId(btn));
+                answer(cardId(btn), true, {
+                    league: league.name,
+                    team: card.querySelector('.icf-ans-team').value,
+                    site: site ? site.value : '',
+                    periods: leaguePeriods(league, row ? String(row.game_date || '').slice(0, 10) : null)
+                }).then(done);
+            };
+        });
+        body.querySelectorAll('.icf-decline').forEach(function (btn) {
+            btn.onclick = function () {
+                if (confirm('Decline this game?')) answer(cardId(btn), false).then(done);
+            };
+        });
+        body.querySelectorAll('.icf-cancel').forEach(function (btn) {
+            btn.onclick = function () {
+                if (confirm('Call off this game? The other camp will see it as cancelled.')) cancel(cardId(btn)).then(done);
+            };
+        });
+        body.querySelectorAll('.icf-score').forEach(function (btn) {
+            btn.onclick = function () {
+                var card = btn.closest('.icf-card');
+                saveScore(cardId(btn), card.querySelector('.icf-ours').value, card.querySelector('.icf-theirs').value).then(done);
+            };
+        });
+
+        body.querySelectorAll('.icf-in').forEach(function (el) {
+            el.onchange = function () {
+                _form[el.getAttribute('data-k')] = el.value;
+                if (el.getAttribute('data-k') === 'side') draw(league);
+            };
+        });
+        var send = body.querySelector('.icf-send');
+        if (send) send.onclick = function () {
+            body.querySelectorAll('.icf-in').forEach(function (el) { _form[el.getAttribute('data-k')] = el.value; });
+            var f = _form;
+            propose({
+                partnerCampId: f.partnerCampId, side: f.side, league: league.name, team: f.team,
+                date: f.date, startMin: fromInput(f.start), endMin: fromInput(f.end),
+                sport: f.sport, site: f.side === 'home' ? f.site : '', note: f.note,
+                periods: leaguePeriods(league, f.date)
+            }).then(function (res) {
+                if (!res.success) return msg(res.error);
+                _form.partnerCampId = '';
+                _form.note = '';
+                draw(league);
+            });
+        };
+    }
+
+    function injectStyles() {
+        if (document.getElementById('icf-styles')) return;
+        var st = document.createElement('style');
+        st.id = 'icf-styles';
+        st.textContent = [
+            '.icf-overlay{position:fixed;inset:0;background:rgba(15,23,42,0.5);z-index:9000;display:flex;align-items:flex-start;justify-content:center;padding:40px 24px;backdrop-filter:blur(3px);}',
+            '.icf-shell{width:100%;max-width:760px;max-height:100%;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(0,0,0,0.3);display:flex;flex-direction:column;overflow:hidden;}',
+            '.icf-header{display:flex;align-items:center;justify-content:space-between;padding:14px 20px;border-bottom:1px solid #E5E7EB;background:#F9FAFB;}',
+            '.icf-title{font-size:1rem;font-weight:700;color:#0A4A56;}',
+            '.icf-close{background:transparent;border:1px solid #E5E7EB;color:#475569;width:30px;height:30px;border-radius:8px;font-size:1.3rem;cursor:pointer;line-height:1;}',
+            '.icf-body{overflow-y:auto;padding:18px 22px;display:flex;flex-direction:column;gap:16px;}',
+            '.icf-body h4{margin:0 0 8px;font-size:0.85rem;text-transform:uppercase;letter-spacing:0.04em;color:#475569;}',
+            '.icf-id{font-size:0.85rem;color:#0A4A56;}',
+            '.icf-id code{background:#F1F5F9;padding:2px 6px;border-radius:6px;font-size:0.8rem;}',
+            '.icf-note{font-size:0.8rem;color:#6B7280;}',
+            '.icf-none{font-size:0.82rem;color:#9CA3AF;font-style:italic;}',
+            '.icf-card{border:1px solid #E5E7EB;border-radius:10px;padding:10px 12px;margin-bottom:8px;display:flex;flex-direction:column;gap:6px;font-size:0.85rem;}',
+            '.icf-card.muted{opacity:0.6;}',
+            '.icf-row{display:flex;gap:10px;align-items:center;flex-wrap:wrap;}',
+            '.icf-field{display:inline-flex;align-items:center;gap:6px;font-size:0.8rem;font-weight:600;color:#475569;}',
+            '.icf-field.grow{flex:1;}',
+            '.icf-field.grow input{flex:1;}',
+            '.icf-field select,.icf-field input{padding:5px 8px;border:1px solid #CBD5E1;border-radius:7px;font-size:0.82rem;font-family:inherit;}',
+            '.icf-num{width:64px;}',
+            '.icf-btn{padding:8px 16px;border:1px solid #CBD5E1;background:#fff;border-radius:8px;cursor:pointer;font-size:0.85rem;font-weight:600;font-family:inherit;color:#0A4A56;}',
+            '.icf-btn.primary{background:#147D91;color:#fff;border-color:#147D91;}',
+            '.icf-btn.small{padding:5px 11px;font-size:0.78rem;}',
+            '.icf-msg{font-size:0.8rem;color:#B91C1C;}',
+            '.icf-pill{display:inline-block;padding:1px 8px;margin-left:4px;border-radius:999px;font-size:0.72rem;font-weight:600;background:#F1F5F9;color:#475569;}',
+            '.icf-pill.agreed{background:#ECFDF5;color:#047857;}',
+            '.icf-pill.proposed{background:#FFFBEB;color:#B45309;}'
+        ].join('\n');
+        document.head.appendChild(st);
+    }
+
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+        window.addEventListener('campistry-cloud-hydrated', function () {
+            refresh();
+            subscribe();
+        });
+    }
+
+    var InterCampFixtures = {
+        TABLE: TABLE,
+        sideOf: sideOf,
+        view: view,
+        validateProposal: validateProposal,
+        buildRow: buildRow,
+        answerPatch: answerPatch,
+        scorePatch: scorePatch,
+        lineFor: lineFor,
+        forPeriod: forPeriod,
+        recordFor: recordFor,
+        refresh: refresh,
+        propose: propose,
+        answer: answer,
+        cancel: cancel,
+        saveScore: saveScore,
+        subscribe: subscribe,
+        views: views,
+        agreedOn: agreedOn,
+        open: open,
+        close: close
+    };
+
+    if (typeof window !== 'undefined') window.InterCampFixtures = InterCampFixtures;
+    if (typeof module !== 'undefined' && module.exports) module.exports = InterCampFixtures;
+})();
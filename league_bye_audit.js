@@ -42,7 +42,7 @@
     // measures or shows — two rounds of this investigation were spent deciding
     // whether the browser was running the new code or a cached copy, which the
     // header now answers on sight. Keep in step with the ?v= on the script tag.
-    A.VERSION = '2026-07-31.7';
+    A.VERSION = '2026-10-19.1';
 
     // ── utils ────────────────────────────────────────────────────────────────
     function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
@@ -208,10 +208,25 @@
         });
     }
 
+    // Mid-season joins and drops (league_restructure.js): each changed team's
+    // time in the league, { team: { joined, left, credit } }.
+    function rosterWindows(history, leagueName) {
+        try {
+            var LR = (typeof window !== 'undefined') && window.LeagueRestructure;
+            if (LR && typeof LR.rosterWindows === 'function') return LR.rosterWindows(history, leagueName) || {};
+        } catch (e) { /* fall through */ }
+        return {};
+    }
+    function inLeague(w, d) {
+        return !w || ((!w.joined || d >= w.joined) && (!w.left || d < w.left));
+    }
+
     // The same quantity, computed from the engine's ledger — periods on a date
     // are its distinct game labels, and a team in none of a period's games sat
-    // it out (minus its chinuch session, which is not a bye).
-    function byesFromHistory(history, leagueName, teams, from, to) {
+    // it out (minus its chinuch session, which is not a bye). A team is only
+    // counted on days it was in the league.
+    function byesFromHistory(history, leagueName, teams, from, to, windows) {
+        windows = windows || {};
         var counts = {}, byDate = {};
         teams.forEach(function (t) { counts[t] = 0; });
         var gl = (history && history.gameLog && history.gameLog[leagueName]) || {};
@@ -233,6 +248,7 @@
                 byes: 0, teams: [], perTeam: {}
             };
             teams.forEach(function (t) {
+                if (!inLeague(windows[t], d)) return;
                 var played = 0;
                 entries.forEach(function (e) { if (e && (e.t1 === t || e.t2 === t)) played++; });
                 var sat = periods - played - (chinuch[t] ? 1 : 0);
@@ -278,7 +294,7 @@
             var byTeam = {};
             function blank(t) {
                 return { team: t, played: 0, chinuch: 0, byes: 0, activities: {}, byeDates: [],
-                    noActivity: 0, eligible: 0, expected: 0 };
+                    noActivity: 0, eligible: 0, expected: 0, credit: 0, joined: null, left: null };
             }
             teams.forEach(function (t) { byTeam[t] = blank(t); });
             function rec(t) {
@@ -321,8 +337,22 @@
                 });
             });
 
+            // ★ ROSTER CHANGES. A team that joined mid-season is measured with
+            // the bye credit it joined with (the byes it would have had — the
+            // same figure the engine's ledger adds), unless the range starts
+            // after it joined; a team that has left is out of the spread.
+            var windows = rosterWindows(history, name);
+            Object.keys(windows).forEach(function (t) {
+                var w = windows[t], r = byTeam[t];
+                if (!r) return;
+                r.joined = w.joined;
+                r.left = w.left;
+                if (w.joined && !w.left && (!opts.from || w.joined > opts.from)) r.credit = w.credit;
+            });
+            var inSpread = teams.filter(function (t) { return !byTeam[t].left || (opts.to && byTeam[t].left > opts.to); });
+
             var ledger = engineLedger(league, teams, history);
-            var hist = byesFromHistory(history, name, teams, opts.from, opts.to);
+            var hist = byesFromHistory(history, name, teams, opts.from, opts.to, windows);
             var histByes = hist.counts;
             // Byes seen on the grid, per date — for the drift breakdown below.
             var gridByDate = {};
@@ -333,7 +363,7 @@
                 p.byes.forEach(function (b) { g.teams.push(b.team); });
             });
             var totalByes = teams.reduce(function (n, t) { return n + byTeam[t].byes; }, 0);
-            var counts = teams.map(function (t) { return byTeam[t].byes; });
+            var counts = inSpread.map(function (t) { return byTeam[t].byes + byTeam[t].credit; });
             var maxB = counts.length ? Math.max.apply(null, counts) : 0;
             var minB = counts.length ? Math.min.apply(null, counts) : 0;
             var spread = maxB - minB;
@@ -352,19 +382,19 @@
                     findings.push({ level: 'ok', code: 'bye-spread',
                         message: 'Byes are even: every team is within one of every other (' + minB + '–' + maxB + ').' });
                 } else {
-                    var hogs = teams.filter(function (t) { return byTeam[t].byes === maxB; });
-                    var spared = teams.filter(function (t) { return byTeam[t].byes === minB; });
+                    var hogs = inSpread.filter(function (t) { return byTeam[t].byes + byTeam[t].credit === maxB; });
+                    var spared = inSpread.filter(function (t) { return byTeam[t].byes + byTeam[t].credit === minB; });
                     // Is this the PICKER being unfair, or was the pool itself
                     // lopsided? A team at chinuch during the one period that
                     // produces the bye is never in the running, so it shows 0
                     // and looks favored. Compare each team against its fair
                     // share of the periods it was actually eligible for.
                     var worstDev = 0, devTeam = null;
-                    teams.forEach(function (t) {
+                    inSpread.forEach(function (t) {
                         var dev = byTeam[t].byes - byTeam[t].expected;
                         if (Math.abs(dev) > Math.abs(worstDev)) { worstDev = dev; devTeam = t; }
                     });
-                    var neverEligible = teams.filter(function (t) { return byTeam[t].eligible === 0; });
+                    var neverEligible = inSpread.filter(function (t) { return byTeam[t].eligible === 0; });
                     if (Math.abs(worstDev) <= 1) {
                         findings.push({ level: 'warn', code: 'bye-spread-structural',
                             message: 'Byes look uneven (spread of ' + spread + ': ' + hogs.join(', ') + ' at ' + maxB
@@ -435,6 +465,18 @@
                 }
             }
 
+            // ── roster changes: say why the counts start where they do ──────
+            var changed = teams.filter(function (t) { return byTeam[t].joined || byTeam[t].left; });
+            if (changed.length) {
+                findings.push({ level: 'ok', code: 'roster-change',
+                    message: 'Roster changed mid-season: ' + changed.map(function (t) {
+                        var r = byTeam[t];
+                        return r.left
+                            ? t + ' left on ' + r.left + ' (out of the spread)'
+                            : t + ' joined on ' + r.joined + (r.credit ? ' (counted with ' + r.credit + ' bye' + (r.credit === 1 ? '' : 's') + ' credit)' : '');
+                    }).join('; ') + '. Each team is measured only for its time in the league.' });
+            }
+
             // ── saved schedules vs the engine's ledger ──────────────────────
             // Checked whenever the league ran at all, NOT only when the grid
             // shows byes: "grid says 0, history says 2" is the dangerous shape,
@@ -532,12 +574,12 @@
             // figures that don't match the schedule — and no amount of
             // regenerating fixes it until the ledger is right.
             if (ledger && periods.length && !opts.from && !opts.to) {
-                var ledgerOff = teams.filter(function (t) { return ledger.count(t) !== byTeam[t].byes; });
+                var ledgerOff = teams.filter(function (t) { return ledger.count(t) !== byTeam[t].byes + byTeam[t].credit; });
                 if (ledgerOff.length) {
                     findings.push({ level: 'warn', code: 'ledger-mismatch',
                         message: 'The engine\'s bye ledger — the numbers the NEXT generation will use — does not match '
                             + 'the schedules: '
-                            + ledgerOff.slice(0, 6).map(function (t) { return t + ' (ledger ' + ledger.count(t) + ', grid ' + byTeam[t].byes + ')'; }).join(', ')
+                            + ledgerOff.slice(0, 6).map(function (t) { return t + ' (ledger ' + ledger.count(t) + ', grid ' + (byTeam[t].byes + byTeam[t].credit) + ')'; }).join(', ')
                             + (ledgerOff.length > 6 ? ', …' : '')
                             + (ledger.unmeasurable && ledger.unmeasurable.length
                                 ? '. It is ignoring ' + ledger.unmeasurable.length + ' day(s) it cannot read ('
@@ -0,0 +1,638 @@
+// =============================================================================
+// league_field_forecast.js — will every league get its courts on the coming days?
+// =============================================================================
+// Specialty leagues lock their courts through GlobalFieldLocks at generation
+// time, and regular leagues build their field pool from whatever is left. Both
+// filter out pinned reservations, electives, special-activity rooms and the
+// day's forced bunk activities — so a clash between them only shows up as a
+// league with no game (or a grade pushed off its league) AFTER a generation,
+// usually on the morning of.
+//
+// This is the same arithmetic done ahead of time. For each of the next N days
+// that carry a league tile it reads the day's skeleton (or auto layers) and
+// bunk overrides, then walks the claims in engine order:
+//
+//   1. fixed claims   — a tile's reservedFields, an elective's activities /
+//                       swim location, a force override's location. Held for
+//                       the tile's grade; every other grade is off the field.
+//   2. specialty      — one game per team pair, gamesPerFieldSlot games to a
+//                       court (3 when unset); the same league at the same
+//                       start across grades is one shared game.
+//   3. regular        — one game per field, from the fields that host one of
+//                       the league's sports.
+//
+// Each court is screened like the engines screen it: facility turned off,
+// disabled for the day, a special-activity room, outdoor on a rainy day,
+// access restrictions, field time rules.
+//
+// Findings per day:
+//   'no-field'    a league gets no field at all
+//   'short'       it gets some, fewer than its games need
+//   'pushes-out'  a specialty league's courts leave a regular league short
+// Each carries the blockers (field + why) and suggestions: an alternate time
+// (another slot tile of the same grade(s) where everything fits without
+// taking anyone's field) and, for specialty leagues, an alternate court (a
+// free field that hosts the sport but is not on the league's court list).
+//
+// Auto-mode league layers are windows the builder places the game inside;
+// the forecast tries each start in the window (5-minute steps) and keeps the
+// first that fits, so it only reports a window where nothing does.
+//
+// forecast() is pure over the days and config it is handed; run() reads them
+// from storage; renderView() is the tab shown in both league managers.
+//
+// Public API: window.LeagueFieldForecast
+//   forecast(opts)                 - { days: [{ date, games, findings }], findings }
+//   tilesFor(day)                  - normalized tiles from skeleton / auto layers
+//   upcomingDates(from, n, pred)   - the next n camp days pred() accepts
+//   dayFor(date)                   - { date, skeleton | autoLayers, overrides, disabledFields, rainy }
+//   run({ days, from, focus })     - forecast over stored data
+//   renderView(container, opts)    - { focus: leagueName, kind: 'specialty'|'regular' }
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var DEFAULT_DAYS = 10;
+    var STEP_MIN = 5;
+    var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    // Tile types a league can be moved into without touching a pinned event.
+    var MOVABLE = { slot: 1, activity: 1, sports: 1, sport: 1, special: 1, general: 1 };
+
+    // -------------------------------------------------------------------------
+    // Small helpers
+    // -------------------------------------------------------------------------
+    function parseTime(v) {
+        if (typeof v === 'number' && isFinite(v)) return v;
+        if (!v) return null;
+        var m = String(v).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+        if (!m) return null;
+        var h = parseInt(m[1], 10), mi = parseInt(m[2] || '0', 10);
+        var ap = m[3] ? m[3].charAt(0) : null;
+        if (ap === 'p' && h < 12) h += 12;
+        if (ap === 'a' && h === 12) h = 0;
+        return h * 60 + mi;
+    }
+    function fmtTime(min) {
+        if (min == null) return '';
+        var h = Math.floor(min / 60), mi = min % 60;
+        var ap = h >= 12 ? 'pm' : 'am';
+        var h12 = h % 12 === 0 ? 12 : h % 12;
+        return h12 + ':' + String(mi).padStart(2, '0') + ap;
+    }
+    function span(s, e) { return fmtTime(s) + '–' + fmtTime(e); }
+    function lc(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function overlaps(a, b) { return a.startMin < b.endMin && a.endMin > b.startMin; }
+    function uniq(arr) { var seen = {}; return arr.filter(function (x) { if (seen[x]) return false; seen[x] = 1; return true; }); }
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // -------------------------------------------------------------------------
+    // Tiles — one shape for manual blocks and auto layers
+    //   { division, kind: 'specialty'|'league'|'other', type, event, leagueName,
+    //     startMin, endMin, dur, fields[] }
+    // -------------------------------------------------------------------------
+    function kindOf(type, event) {
+        var t = lc(type), ev = lc(event);
+        if (t === 'specialty_league' || ev.indexOf('specialty league') !== -1) return 'specialty';
+        if (t === 'league' || (t !== 'pinned' && t !== 'elective' && ev.indexOf('league') !== -1)) return 'league';
+        return 'other';
+    }
+    function reservedOf(b) {
+        var out = [];
+        var add = function (f) { if (f && typeof f === 'string' && f.trim() && f !== 'Free') out.push(f.trim()); };
+        if (Array.isArray(b.reservedFields)) b.reservedFields.forEach(add);
+        if (b.type === 'elective' || b.type === 'swim_elective') {
+            if (Array.isArray(b.electiveActivities)) b.electiveActivities.forEach(add);
+            add(b.swimLocation);
+        }
+        return uniq(out);
+    }
+    function tilesFor(day) {
+        var tiles = [];
+        if (Array.isArray(day && day.skeleton) && day.skeleton.length) {
+            day.skeleton.forEach(function (b) {
+                if (!b || !b.division) return;
+                var s = b.startMin != null ? b.startMin : parseTime(b.startTime);
+                var e = b.endMin != null ? b.endMin : parseTime(b.endTime);
+                if (s == null || e == null || e <= s) return;
+                tiles.push({
+                    division: String(b.division), kind: kindOf(b.type, b.event), type: lc(b.type),
+                    event: b.event || '', leagueName: b.leagueName || null,
+                    startMin: s, endMin: e, dur: e - s, fields: reservedOf(b)
+                });
+            });
+            return tiles;
+        }
+        var layers = (day && day.autoLayers) || {};
+        Object.keys(layers).forEach(function (div) {
+            (Array.isArray(layers[div]) ? layers[div] : []).forEach(function (l) {
+                if (!l) return;
+                var s = l.startMin != null ? l.startMin : parseTime(l.startTime);
+                var e = l.endMin != null ? l.endMin : parseTime(l.endTime);
+                if (s == null || e == null || e <= s) return;
+                var dur = l.periodMin || l.durationMin || (e - s);
+                tiles.push({
+                    division: String(div), kind: kindOf(l.type, l.event), type: lc(l.type),
+                    event: l.event || '', leagueName: l.leagueName || null,
+                    startMin: s, endMin: e, dur: Math.min(dur, e - s), fields: reservedOf(l)
+                });
+            });
+        });
+        return tiles;
+    }
+
+    // -------------------------------------------------------------------------
+    // The day's world: which field is whose, and why a field is out
+    // -------------------------------------------------------------------------
+    function makeWorld(cfg, day) {
+        var fieldsByName = {};
+        (cfg.fields || []).forEach(function (f) { if (f && f.name) fieldsByName[f.name] = f; });
+        var rooms = {};
+        (cfg.specialActivities || []).forEach(function (sp) { if (sp && sp.location) rooms[lc(sp.location)] = 1; });
+        var disabled = {};
+        (day.disabledFields || []).forEach(function (f) { disabled[lc(f)] = 1; });
+        var bunkDiv = {};
+        Object.keys(cfg.divisions || {}).forEach(function (d) {
+            ((cfg.divisions[d] || {}).bunks || []).forEach(function (b) { bunkDiv[String(b)] = d; });
+        });
+
+        var fixed = [];
+        (day.tiles || []).forEach(function (t) {
+            t.fields.forEach(function (f) {
+                fixed.push({ field: f, startMin: t.startMin, endMin: t.endMin, division: t.division, by: t.event || t.type });
+            });
+        });
+        (day.overrides || []).forEach(function (o) {
+            if (!o || o.overrideMode === 'delete' || !o.location) return;
+            var s = o.startMin != null ? o.startMin : parseTime(o.startTime);
+            var e = o.endMin != null ? o.endMin : parseTime(o.endTime);
+            if (s == null || e == null) return;
+            fixed.push({
+                field: String(o.location), startMin: s, endMin: e, division: bunkDiv[String(o.bunk)] || null,
+                by: (o.activity || 'Override') + ' for ' + o.bunk
+            });
+        });
+
+        return {
+            fieldsByName: fieldsByName, fixed: fixed, claims: [], rainy: !!day.rainy,
+            // Why `field` is out for `divs` over [s, e), ignoring claims owned by `owner`.
+            blocker: function (field, s, e, divs, owner) {
+                var fc = fieldsByName[field];
+                if (cfg.fields && cfg.fields.length && !fc) return 'not a facility';
+                if (fc && fc.available === false) return 'turned off in Facilities';
+                if (disabled[lc(field)]) return 'disabled for the day';
+                if (rooms[lc(field)]) return 'special-activity room';
+                if (fc && this.rainy && !(fc.rainyDayAvailable === true || fc.isIndoor === true)) return 'outdoors on a rainy day';
+                if (fc && fc.accessRestrictions && fc.accessRestrictions.enabled) {
+                    var allowed = Object.keys(fc.accessRestrictions.divisions || {});
+                    if (allowed.length && !divs.some(function (d) { return allowed.indexOf(d) !== -1; })) return 'restricted to other grades';
+                }
+                if (fc && Array.isArray(fc.timeRules) && fc.timeRules.length) {
+                    var hasAvail = false, inAvail = false, shut = false;
+                    fc.timeRules.forEach(function (r) {
+                        var rDivs = Array.isArray(r.divisions) ? r.divisions.map(String) : [];
+                        if (rDivs.length && !rDivs.some(function (d) { return divs.indexOf(d) !== -1; })) return;
+                        var rS = r.startMin != null ? r.startMin : parseTime(r.start || r.startTime);
+                        var rE = r.endMin != null ? r.endMin : parseTime(r.end || r.endTime);
+                        if (rS == null || rE == null) return;
+                        var rt = lc(r.type);
+                        if ((rt === 'unavailable' || r.available === false) && rS < e && rE > s) shut = true;
+                        if (rt === 'available' || r.available === true) {
+                            hasAvail = true;
+                            if (s >= rS && e <= rE) inAvail = true;
+                        }
+                    });
+                    if (shut || (hasAvail && !inAvail)) return 'unavailable then (time rule)';
+                }
+                var win = { startMin: s, endMin: e };
+                var myDivs = divs.map(lc);
+                for (var i = 0; i < fixed.length; i++) {
+                    var r = fixed[i];
+                    if (lc(r.field) !== lc(field) || !overlaps(r, win)) continue;
+                    if (r.division && myDivs.indexOf(lc(r.division)) !== -1) continue;
+                    return 'reserved by ' + r.by + (r.division ? ' (' + r.division + ')' : '') + ' ' + span(r.startMin, r.endMin);
+                }
+                for (var j = 0; j < this.claims.length; j++) {
+                    var c = this.claims[j];
+                    if (c.owner === owner || lc(c.field) !== lc(field) || !overlaps(c, win)) continue;
+                    return 'taken by ' + c.owner + ' ' + span(c.startMin, c.endMin);
+                }
+                return null;
+            }
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Game groups — one per league per start time
+    // -------------------------------------------------------------------------
+    function specialtyFor(cfg, tile) {
+        var all = cfg.specialtyLeagues || {};
+        var list = Object.keys(all).map(function (k) { return all[k]; }).filter(function (l) { return l && l.enabled !== false; });
+        var inDiv = function (l) { return (l.divisions || []).map(String).indexOf(tile.division) !== -1; };
+        if (tile.leagueName) {
+            var named = list.find(function (l) { return l.name === tile.leagueName && inDiv(l); });
+            if (named) return named;
+        }
+        return list.find(inDiv) || null;
+    }
+    function regularFor(cfg, tile) {
+        var all = cfg.leagues || {};
+        var list = Object.keys(all).map(function (k) { return Object.assign({ name: k }, all[k]); })
+            .filter(function (l) { return l.enabled !== false; });
+        var inDiv = function (l) { return (l.divisions || []).map(String).indexOf(tile.division) !== -1; };
+        if (tile.leagueName) {
+            var named = list.find(function (l) { return l.name === tile.leagueName && inDiv(l); });
+            if (named) return named;
+        }
+        return list.find(inDiv) || null;
+    }
+    function groupsFor(cfg, tiles) {
+        var byKey = {}, out = [];
+        tiles.forEach(function (t) {
+            if (t.kind === 'other') return;
+            var lg = t.kind === 'specialty' ? specialtyFor(cfg, t) : regularFor(cfg, t);
+            if (!lg) return;
+            var key = t.kind + '|' + lg.name + '|' + t.startMin;
+            var g = byKey[key];
+            if (!g) {
+                var pairs = Math.floor(((lg.teams || []).length) / 2);
+                var need = t.kind === 'specialty'
+                    ? Math.ceil(pairs / (lg.gamesPerFieldSlot || 3))
+                    : pairs;
+                g = byKey[key] = {
+                    kind: t.kind, league: lg, name: lg.name, divisions: [], startMin: t.startMin, endMin: t.endMin,
+                    dur: t.dur, need: need, pool: poolFor(cfg, t.kind, lg)
+                };
+                out.push(g);
+            }
+            if (g.divisions.indexOf(t.division) === -1) g.divisions.push(t.division);
+            g.endMin = Math.max(g.endMin, t.endMin);
+        });
+        // Engine order: specialty first, then regular; earlier starts first.
+        return out.sort(function (a, b) {
+            return (a.kind === b.kind ? 0 : a.kind === 'specialty' ? -1 : 1) || a.startMin - b.startMin;
+        });
+    }
+    function sportsOf(lg) {
+        return uniq([].concat(lg.sports || [], lg.sport ? [lg.sport] : []).filter(Boolean));
+    }
+    function poolFor(cfg, kind, lg) {
+        if (kind === 'specialty') return uniq((lg.fields || []).map(String));
+        var sports = sportsOf(lg);
+        return (cfg.fields || []).filter(function (f) {
+            return f && f.name && (f.activities || []).some(function (a) { return sports.indexOf(a) !== -1; });
+        }).map(function (f) { return f.name; });
+    }
+
+    // Try each start the group may use; claim the first window with enough
+    // free fields (or the one with the most, when none has enough).
+    function starts(g) {
+        var out = [];
+        for (var s = g.startMin; s + g.dur <= g.endMin; s += STEP_MIN) out.push(s);
+        return out.length ? out : [g.startMin];
+    }
+    function tryPlace(world, g, s, e) {
+        var free = [], blockers = [];
+        g.pool.forEach(function (f) {
+            var why = world.blocker(f, s, e, g.divisions, g.name);
+            if (why) blockers.push({ field: f, reason: why }); else free.push(f);
+        });
+        return { startMin: s, endMin: e, free: free, blockers: blockers };
+    }
+    function place(world, g) {
+        var best = null;
+        var list = starts(g);
+        for (var i = 0; i < list.length; i++) {
+            var p = tryPlace(world, g, list[i], list[i] + g.dur);
+            if (!best || p.free.length > best.free.length) best = p;
+            if (p.free.length >= g.need) { best = p; break; }
+        }
+        var got = best.free.slice(0, g.need);
+        got.forEach(function (f) {
+            world.claims.push({ field: f, startMin: best.startMin, endMin: best.endMin, owner: g.name, kind: g.kind });
+        });
+        return { startMin: best.startMin, endMin: best.endMin, fields: got, blockers: best.blockers, free: best.free };
+    }
+
+    // -------------------------------------------------------------------------
+    // Suggestions
+    // -------------------------------------------------------------------------
+    function altTimes(world, g, tiles) {
+        var own = g.divisions;
+        var lead = tiles.filter(function (t) {
+            return t.division === own[0] && t.kind === 'other' && MOVABLE[t.type] && !t.fields.length &&
+                t.endMin - t.startMin >= g.dur && !(t.startMin < g.endMin && t.endMin > g.startMin);
+        });
+        var out = [];
+        lead.forEach(function (t) {
+            var s = t.startMin, e = t.startMin + g.dur;
+            var everyone = own.every(function (d) {
+                return tiles.some(function (o) {
+                    return o.division === d && o.kind === 'other' && MOVABLE[o.type] && o.startMin <= s && o.endMin >= e;
+                });
+            });
+            if (!everyone) return;
+            var p = tryPlace(world, g, s, e);
+            if (p.free.length >= g.need) out.push({ startMin: s, endMin: e, fields: p.free.slice(0, g.need), replaces: t.event || t.type });
+        });
+        return out;
+    }
+    function altFields(cfg, world, g, s, e) {
+        if (g.kind !== 'specialty') return [];
+        var sports = sportsOf(g.league);
+        return (cfg.fields || []).filter(function (f) {
+            return f && f.name && g.pool.indexOf(f.name) === -1 &&
+                (f.activities || []).some(function (a) { return sports.indexOf(a) !== -1; }) &&
+                !world.blocker(f.name, s, e, g.divisions, g.name);
+        }).map(function (f) { return f.name; });
+    }
+    function suggest(cfg, world, g, at, tiles) {
+        var out = [];
+        var gap = g.need - at.fields.length;
+        var fields = altFields(cfg, world, g, at.startMin, at.endMin);
+        if (fields.length >= gap && gap > 0) {
+            out.push({ kind: 'field', fields: fields.slice(0, gap),
+                text: 'Add ' + fields.slice(0, gap).join(', ') + ' to ' + g.name + '\'s courts (free then, hosts ' + sportsOf(g.league).join('/') + ')' });
+        }
+        altTimes(world, g, tiles).slice(0, 2).forEach(function (a) {
+            out.push({ kind: 'time', startMin: a.startMin, endMin: a.endMin, fields: a.fields,
+                text: 'Move ' + g.name + ' to ' + span(a.startMin, a.endMin) + ' (the ' + a.replaces + ' tile) — ' + a.fields.join(', ') + ' free' });
+        });
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // forecast({ days, fields, specialActivities, specialtyLeagues, leagues,
+    //            divisions, focus }) — pure
+    // -------------------------------------------------------------------------
+    function forecastDay(cfg, day) {
+        var tiles = day.tiles || tilesFor(day);
+        var world = makeWorld(cfg, Object.assign({}, day, { tiles: tiles }));
+        var groups = groupsFor(cfg, tiles);
+        var games = [], findings = [];
+
+        groups.forEach(function (g) {
+            var at = place(world, g);
+            var game = {
+                kind: g.kind, league: g.name, divisions: g.divisions.slice(),
+                startMin: at.startMin, endMin: at.endMin, need: g.need, fields: at.fields
+            };
+            games.push(game);
+            if (at.fields.length >= g.need) return;
+
+            var blockers = at.blockers;
+            var bySpecialty = g.kind === 'league' ? blockers.filter(function (b) {
+                return /^taken by /.test(b.reason) && world.claims.some(function (c) {
+                    return c.kind === 'specialty' && lc(c.field) === lc(b.field) &&
+                        c.startMin < at.endMin && c.endMin > at.startMin;
+                });
+            }) : [];
+            var base = {
+                date: day.date, league: g.name, kind: g.kind, divisions: g.divisions.slice(),
+                startMin: at.startMin, endMin: at.endMin, need: g.need, got: at.fields.length, blockers: blockers
+            };
+            if (bySpecialty.length) {
+                // Name the specialty league(s) holding the fields; the fix
+                // belongs to them, so the suggestions are theirs.
+                var culprits = uniq(world.claims.filter(function (c) {
+                    return c.kind === 'specialty' && c.startMin < at.endMin && c.endMin > at.startMin &&
+                        bySpecialty.some(function (b) { return lc(b.field) === lc(c.field); });
+                }).map(function (c) { return c.owner; }));
+                culprits.forEach(function (name) {
+                    var sg = groups.find(function (x) { return x.kind === 'specialty' && x.name === name; });
+                    var held = world.claims.filter(function (c) { return c.owner === name; });
+                    world.claims = world.claims.filter(function (c) { return c.owner !== name; });
+                    var sAt = { startMin: held[0].startMin, endMin: held[0].endMin, fields: [] };
+                    var sug = sg ? suggest(cfg, world, sg, sAt, tiles).filter(function (x) { return x.kind === 'time'; }) : [];
+                    world.claims = world.claims.concat(held);
+                    findings.push(Object.assign({}, base, {
+                        type: 'pushes-out', league: name, kind: 'specialty', victim: g.name,
+                        victimDivisions: g.divisions.slice(), startMin: held[0].startMin, endMin: held[0].endMin,
+                        fields: held.map(function (c) { return c.field; }),
+                        text: name + ' takes ' + held.map(function (c) { return c.field; }).join(', ') + ' ' +
+                            span(held[0].startMin, held[0].endMin) + ' — ' + g.name + ' (' + g.divisions.join(', ') +
+                            ') is left with ' + at.fields.length + ' of ' + g.need + ' field(s)',
+                        suggestions: sug
+                    }));
+                });
+                return;
+            }
+            findings.push(Object.assign({}, base, {
+                type: at.fields.length ? 'short' : 'no-field',
+                text: g.name + ' (' + g.divisions.join(', ') + ') ' + span(at.startMin, at.endMin) + ' gets ' +
+                    (at.fields.length ? at.fields.length + ' of ' + g.need + ' field(s)' : 'no field') +
+                    (g.pool.length ? '' : ' — no field is set up for it'),
+                suggestions: suggest(cfg, world, g, at, tiles)
+            }));
+        });
+        return { date: day.date, games: games, findings: findings };
+    }
+
+    function forecast(opts) {
+        var cfg = opts || {};
+        var days = (cfg.days || []).map(function (d) { return forecastDay(cfg, d); });
+        var focus = cfg.focus || null;
+        var keep = function (f) { return !focus || f.league === focus || f.victim === focus; };
+        days.forEach(function (d) {
+            d.findings = d.findings.filter(keep);
+            if (focus) d.games = d.games.filter(function (g) { return g.league === focus; });
+        });
+        var flat = [];
+        days.forEach(function (d) { flat = flat.concat(d.findings); });
+        return { days: days, findings: flat };
+    }
+
+    // -------------------------------------------------------------------------
+    // Reading the stored days
+    // -------------------------------------------------------------------------
+    function settings() {
+        return (window.loadGlobalSettings && window.loadGlobalSettings()) || window.globalSettings || {};
+    }
+    function app1() { return settings().app1 || {}; }
+    function readJSON(key) {
+        try { var raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : null; } catch (e) { return null; }
+    }
+    function dayName(date) {
+        var p = String(date).split('-').map(Number);
+        return DAY_NAMES[new Date(p[0], p[1] - 1, p[2]).getDay()];
+    }
+    function addDays(date, n) {
+        var p = String(date).split('-').map(Number);
+        var d = new Date(p[0], p[1] - 1, p[2] + n);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+    function newest(localKey, tsKey, cloudMap, cloudTs, date, nonEmpty) {
+        var lTs = null;
+        try { lTs = localStorage.getItem(tsKey + date); } catch (e) { /* ignore */ }
+        var cData = (cloudMap || {})[date], cTs = (cloudTs || {})[date] || null;
+        var cloudNewer = !!cTs && nonEmpty(cData) && (!lTs || cTs > lTs);
+        var local = readJSON(localKey + date);
+        if (!cloudNewer && nonEmpty(local)) return local;
+        if (nonEmpty(cData)) return cData;
+        return null;
+    }
+    var hasItems = function (a) { return Array.isArray(a) && a.length > 0; };
+    var hasKeys = function (o) { return !!o && typeof o === 'object' && Object.keys(o).length > 0; };
+
+    // Same source order as Daily Adjustments: local, newer cloud, dailyData,
+    // then the day-of-week template.
+    function dayFor(date) {
+        var a = app1();
+        var daily = ((window.loadAllDailyData && window.loadAllDailyData()) || {})[date] || {};
+        var assignments = (window.getSkeletonAssignments && window.getSkeletonAssignments()) || a.skeletonAssignments || {};
+        var tmpl = assignments[dayName(date)] || assignments.Default;
+        var day = { date: date };
+
+        if (window._daBuilderMode === 'auto') {
+            day.autoLayers = newest('campAutoLayers_', 'campAutoLayers_ts_', a.dailyAutoLayers, a.dailyAutoLayersTs, date, hasKeys)
+                || (tmpl && (a.autoLayerTemplates || {})[tmpl]) || {};
+        } else {
+            var skeletons = (window.getSavedSkeletons && window.getSavedSkeletons()) || a.savedSkeletons || {};
+            day.skeleton = newest('campManualSkeleton_', 'campManualSkeleton_ts_', a.dailySkeletons, a.dailySkeletonsTs, date, hasItems)
+                || (hasItems(daily.manualSkeleton) ? daily.manualSkeleton : null)
+                || (tmpl && skeletons[tmpl]) || [];
+        }
+
+        var mir = (a.dailyBunkOverridesByDate || {})[date];
+        day.overrides = hasItems(daily.bunkActivityOverrides) ? daily.bunkActivityOverrides
+            : (mir && hasItems(mir.v)) ? mir.v
+            : (readJSON('campBunkOverrides_' + date) || []);
+        day.disabledFields = ((daily.overrides || {}).disabledFields) || [];
+        day.rainy = daily.isRainyDay === true;
+        return day;
+    }
+
+    function isCampDay(date) {
+        var U = window.SchedulerCoreUtils;
+        if (U && typeof U.isCampDay === 'function') {
+            try { return U.isCampDay(date) !== false; } catch (e) { /* fall through */ }
+        }
+        return dayName(date) !== 'Saturday';
+    }
+    function upcomingDates(from, n, pred) {
+        var out = [];
+        for (var i = 0; out.length < n && i < n * 7 + 14; i++) {
+            var d = addDays(from, i);
+            if (isCampDay(d) && (!pred || pred(d))) out.push(d);
+        }
+        return out;
+    }
+
+    function config() {
+        var g = settings(), a = g.app1 || {};
+        return {
+            fields: a.fields || g.fields || [],
+            specialActivities: a.specialActivities || g.specialActivities || [],
+            specialtyLeagues: window.specialtyLeagues || g.specialtyLeagues || {},
+            leagues: window.leaguesByName || g.leaguesByName || {},
+            divisions: window.divisions || a.divisions || {}
+        };
+    }
+
+    function run(opts) {
+        opts = opts || {};
+        var now = new Date();
+        var from = opts.from || window.currentScheduleDate ||
+            (now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0'));
+        var cache = {};
+        var withLeague = function (d) {
+            var day = cache[d] = dayFor(d);
+            day.tiles = tilesFor(day);
+            return day.tiles.some(function (t) { return t.kind !== 'other'; });
+        };
+        var dates = upcomingDates(from, opts.days || DEFAULT_DAYS, withLeague);
+        return forecast(Object.assign(config(), {
+            days: dates.map(function (d) { return cache[d]; }),
+            focus: opts.focus || null
+        }));
+    }
+
+    // -------------------------------------------------------------------------
+    // The tab
+    // -------------------------------------------------------------------------
+    var TYPE_LABEL = { 'no-field': 'No field', short: 'Short', 'pushes-out': 'Pushes out' };
+    var TYPE_COLOR = { 'no-field': '#B91C1C', short: '#B45309', 'pushes-out': '#7C3AED' };
+
+    function renderView(container, opts) {
+        if (!container) return;
+        opts = opts || {};
+        var n = container._lffDays || DEFAULT_DAYS;
+        var all = !!container._lffAll;
+        var res;
+        try {
+            res = run({ days: n, focus: all ? null : opts.focus });
+        } catch (e) {
+            console.warn('[LeagueFieldForecast] forecast failed:', e);
+            container.innerHTML = '<p style="color:#9CA3AF;font-size:0.85rem;">Could not read the coming days.</p>';
+            return;
+        }
+
+        var h = '<div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin:8px 0 12px;">' +
+            '<span style="font-size:0.85rem;color:#4B5563;">Next</span>' +
+            '<select class="lff-days" style="padding:4px 6px;border:1px solid #D1D5DB;border-radius:6px;">' +
+            [5, 10, 20].map(function (k) { return '<option value="' + k + '"' + (k === n ? ' selected' : '') + '>' + k + '</option>'; }).join('') +
+            '</select><span style="font-size:0.85rem;color:#4B5563;">league days</span>' +
+            (opts.focus ? '<label style="font-size:0.85rem;color:#4B5563;margin-left:8px;"><input type="checkbox" class="lff-all"' +
+                (all ? ' checked' : '') + '> every league</label>' : '') +
+            '<button class="lff-refresh" style="margin-left:auto;padding:5px 12px;background:#147D91;color:#fff;border:none;border-radius:6px;cursor:pointer;">Refresh</button>' +
+            '</div>';
+
+        if (!res.days.length) {
+            h += '<p style="color:#9CA3AF;font-size:0.85rem;">No league tiles on the coming camp days.</p>';
+        } else if (!res.findings.length) {
+            h += '<p style="color:#047857;font-size:0.9rem;">✓ Every league gets its fields on the next ' + res.days.length +
+                ' league day(s) (' + esc(res.days[0].date) + ' – ' + esc(res.days[res.days.length - 1].date) + ').</p>';
+        }
+        res.days.forEach(function (d) {
+            if (!d.findings.length && !d.games.length) return;
+            h += '<div style="border:1px solid #E5E7EB;border-radius:8px;padding:8px 10px;margin-bottom:8px;">' +
+                '<div style="font-weight:600;font-size:0.9rem;margin-bottom:4px;">' + esc(dayName(d.date)) + ' ' + esc(d.date) +
+                (d.findings.length ? '' : ' <span style="color:#047857;font-weight:400;">— all clear</span>') + '</div>';
+            d.findings.forEach(function (f) {
+                h += '<div style="margin:6px 0 2px;font-size:0.85rem;">' +
+                    '<span style="display:inline-block;padding:1px 6px;border-radius:4px;color:#fff;font-size:0.75rem;background:' +
+                    TYPE_COLOR[f.type] + ';">' + TYPE_LABEL[f.type] + '</span> ' + esc(f.text) + '</div>';
+                if (f.type !== 'pushes-out' && f.blockers.length) {
+                    h += '<div style="font-size:0.8rem;color:#6B7280;margin-left:12px;">' +
+                        f.blockers.map(function (b) { return esc(b.field) + ': ' + esc(b.reason); }).join('<br>') + '</div>';
+                }
+                (f.suggestions || []).forEach(function (s) {
+                    h += '<div style="font-size:0.8rem;color:#147D91;margin-left:12px;">→ ' + esc(s.text) + '</div>';
+                });
+                if (!(f.suggestions || []).length) {
+                    h += '<div style="font-size:0.8rem;color:#9CA3AF;margin-left:12px;">No free slot or court found — free a field or move a pinned event.</div>';
+                }
+            });
+            if (!d.findings.length) {
+                h += '<div style="font-size:0.8rem;color:#6B7280;">' + d.games.map(function (g) {
+                    return esc(g.league) + ' ' + span(g.startMin, g.endMin) + ': ' + esc(g.fields.join(', '));
+                }).join('<br>') + '</div>';
+            }
+            h += '</div>';
+        });
+        container.innerHTML = h;
+
+        var sel = container.querySelector('.lff-days');
+        if (sel) sel.onchange = function () { container._lffDays = parseInt(sel.value, 10) || DEFAULT_DAYS; renderView(container, opts); };
+        var chk = container.querySelector('.lff-all');
+        if (chk) chk.onchange = function () { container._lffAll = chk.checked; renderView(container, opts); };
+        var btn = container.querySelector('.lff-refresh');
+        if (btn) btn.onclick = function () { renderView(container, opts); };
+    }
+
+    var LeagueFieldForecast = {
+        VERSION: VERSION,
+        forecast: forecast,
+        tilesFor: tilesFor,
+        upcomingDates: upcomingDates,
+        dayFor: dayFor,
+        run: run,
+        renderView: renderView
+    };
+
+    window.LeagueFieldForecast = LeagueFieldForecast;
+    if (typeof module !== 'undefined' && module.exports) module.exports = LeagueFieldForecast;
+})();
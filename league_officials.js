@@ -0,0 +1,741 @@
+/* =============================================================================
+ * LEAGUE OFFICIALS  (window.LeagueOfficials)
+ * -----------------------------------------------------------------------------
+ * League games come out of scheduler_core_leagues.js / _specialty_leagues.js
+ * with teams, sport and field — and nobody to run them. This module keeps a
+ * pool of referees and scorekeepers (staff, or older campers) and puts them on
+ * every game of the day.
+ *
+ * POOL  (app1.leagueOfficials — one row per person)
+ *
+ *   { id, name, kind: 'staff' | 'camper',
+ *     roles:  ['referee', 'scorekeeper'],
+ *     sports: ['Soccer', 'Hockey'],           // referee qualifications; [] = any
+ *     bunk:   '8A',                           // their own bunk, if any
+ *     team:   { league: 'Seniors', name: 'Lions' },  // a team they play on
+ *     availability: [{ start, end }], daysOff: ['Fri'],
+ *     maxPerDay: 3 }                          // 0 = no cap
+ *
+ * A staff row whose id or name matches someone on the Staff roster
+ * (staff_scheduler.js) takes that person's hours and days off when it has none
+ * of its own, and is busy while they guard a swim or lead a special.
+ *
+ * RULES  (app1.leagueOfficialRules)
+ *
+ *   referees      referees per game (default 1)
+ *   scorekeepers  scorekeepers per game (default 1)
+ *   releaseFrom   activities an official may leave their bunk for ([] = only
+ *                 a Free period)
+ *
+ * HARD RULES
+ *   nobody works outside their hours or on a day off, nobody works two games
+ *   at once or a game their own team plays in, nobody is pulled from their
+ *   bunk's schedule, and a referee holds the game's sport.
+ *
+ * BALANCE
+ *   games with the fewest possible officials go first; within a game the
+ *   official with the fewest games this season (earlier days + today) wins,
+ *   name breaking ties — the same shape as StaffScheduler.planDay.
+ *
+ * WHERE IT RUNS
+ *   • once a generation finishes — either builder, or a promoted what-if —
+ *     the campistry-schedule-generated listener below runs assignForDay(),
+ *     which stores the day in campDailyData_v1[date].leagueOfficials and on
+ *     window.leagueOfficialAssignments, and saves; the day's cloud row
+ *     carries it (supabase_schedules.js). A pick made by hand in the game
+ *     editor is kept by later runs and saved at once;
+ *   • post_edit_field_change.js shows and edits a game's officials;
+ *   • print_center.js adds them to the league lines on printed sheets;
+ *   • the Staff overlay's Officials tab holds the pool and the day's list.
+ *
+ * planDay() takes everything injected — see tests/league_officials.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var O = {};
+
+    var ROLES = ['referee', 'scorekeeper'];
+    var ROLE_LABEL = { referee: 'Ref', scorekeeper: 'Scorekeeper' };
+    var DEFAULT_RULES = { referees: 1, scorekeepers: 1, releaseFrom: [] };
+    var DAILY_KEY = 'campDailyData_v1';
+
+    function staffApi() {
+        if (typeof window !== 'undefined' && window.StaffScheduler) return window.StaffScheduler;
+        if (typeof require === 'function') { try { return require('./staff_scheduler.js'); } catch (e) { /* ignore */ } }
+        return null;
+    }
+    var SS = staffApi();
+
+    // ── utils ────────────────────────────────────────────────────────────────
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function listOf(v) {
+        if (Array.isArray(v)) return v.map(function (x) { return String(x).trim(); }).filter(Boolean);
+        if (typeof v === 'string') return v.split(',').map(function (x) { return x.trim(); }).filter(Boolean);
+        return [];
+    }
+    function overlaps(aS, aE, bS, bE) { return aS < bE && bS < aE; }
+
+    O.gameKey = function (leagueName, startMin, teamA, teamB) {
+        var pair = [String(teamA || '').trim(), String(teamB || '').trim()].sort();
+        return String(leagueName || '') + '|' + startMin + '|' + pair[0] + ' vs ' + pair[1];
+    };
+
+    O.rules = function (raw) {
+        var r = Object.assign({}, DEFAULT_RULES, raw || {});
+        return {
+            referees: Math.max(0, parseInt(r.referees, 10) || 0),
+            scorekeepers: Math.max(0, parseInt(r.scorekeepers, 10) || 0),
+            releaseFrom: listOf(r.releaseFrom).map(norm)
+        };
+    };
+
+    // ── pool ─────────────────────────────────────────────────────────────────
+    O.normalizeOfficial = function (raw, idx, roster) {
+        raw = raw || {};
+        var base = SS.normalizeStaff({ name: raw.name, id: raw.id, availability: raw.availability, daysOff: raw.daysOff }, idx);
+        var kind = norm(raw.kind) === 'camper' ? 'camper' : 'staff';
+        var linked = null;
+        if (kind === 'staff') {
+            linked = (roster || []).find(function (st) {
+                return (raw.staffId && st.id === raw.staffId) || norm(st.name) === norm(base.name);
+            }) || null;
+        }
+        var hasHours = Array.isArray(raw.availability) && raw.availability.length > 0;
+        var team = raw.team && raw.team.name ? { league: String(raw.team.league || ''), name: String(raw.team.name) } : null;
+        var roles = listOf(raw.roles).map(norm).filter(function (r) { return ROLES.indexOf(r) > -1; });
+        return {
+            id: base.id,
+            name: base.name,
+            kind: kind,
+            roles: roles.length ? roles : ROLES.slice(),
+            sports: listOf(raw.sports).map(norm),
+            bunk: String(raw.bunk || '').trim(),
+            team: team,
+            availability: (!hasHours && linked) ? linked.availability : base.availability,
+            daysOff: (!listOf(raw.daysOff).length && linked) ? linked.daysOff : base.daysOff,
+            maxPerDay: Math.max(0, parseInt(raw.maxPerDay, 10) || 0),
+            staffId: linked ? linked.id : null
+        };
+    };
+
+    // ── games ────────────────────────────────────────────────────────────────
+    // "A vs B @ Field (Sport)" (regular), "A vs B — Field" (specialty) or the
+    // structured { teamA, teamB, field, sport } a specialty uiEntry carries.
+    O.parseGame = function (m, sportFallback) {
+        if (m && typeof m === 'object') {
+            var a = String(m.teamA || m.team1 || '').trim(), b = String(m.teamB || m.team2 || '').trim();
+            if (!a || !b) return null;
+            return { teamA: a, teamB: b, field: String(m.field || '').trim(), sport: String(m.sport || sportFallback || '').trim() };
+        }
+        var s = String(m == null ? '' : m).trim();
+        var x = s.match(/^(.+?)\s+vs\.?\s+(.+?)\s*@\s*(.+?)\s*\((.+?)\)\s*$/i);
+        if (x) return { teamA: x[1].trim(), teamB: x[2].trim(), field: x[3].trim(), sport: x[4].trim() };
+        x = s.match(/^(.+?)\s+vs\.?\s+(.+?)\s+[—–-]\s+(.+)$/i);
+        if (x) return { teamA: x[1].trim(), teamB: x[2].trim(), field: x[3].trim(), sport: String(sportFallback || '').trim() };
+        return null;
+    };
+
+    // One row per real game of the day. A game several divisions share (a
+    // connected league) is one game. Byes, chinuch lines, TBD playoff
+    // placeholders and games marked did-not-play need nobody.
+    O.collectGames = function (leagueAssignments, divisionTimes) {
+        var byKey = {};
+        Object.keys(leagueAssignments || {}).forEach(function (div) {
+            var map = leagueAssignments[div] || {};
+            var slots = (divisionTimes && Array.isArray(divisionTimes[div])) ? divisionTimes[div] : [];
+            Object.keys(map).forEach(function (k) {
+                var entry = map[k];
+                if (!entry || !entry.leagueName) return;
+                var n = Number(k);
+                var start = entry._startMin != null ? entry._startMin
+                    : n >= 200 ? n : (slots[n] ? slots[n].startMin : null);
+                if (start == null) return;
+                var slot = slots.find(function (s) { return s && s.startMin === start; }) || (n < 200 ? slots[n] : null);
+                var end = entry._endMin != null ? entry._endMin : (slot && slot.endMin != null ? slot.endMin : start + 60);
+                (entry.matchups || []).forEach(function (m) {
+                    var g = O.parseGame(m, entry.sport);
+                    if (!g || /^tbd$/i.test(g.teamA) || /^tbd$/i.test(g.teamB)) return;
+                    var PEFC = typeof window !== 'undefined' && window.PostEditFieldChange;
+                    if (PEFC && typeof PEFC.isDidNotPlay === 'function' && PEFC.isDidNotPlay(entry, g)) return;
+                    var key = O.gameKey(entry.leagueName, start, g.teamA, g.teamB);
+                    if (byKey[key]) {
+                        if (byKey[key].divisions.indexOf(div) < 0) byKey[key].divisions.push(div);
+                        return;
+                    }
+                    byKey[key] = { key: key, leagueName: entry.leagueName, label: entry.gameLabel || '',
+                        startMin: start, endMin: end, teamA: g.teamA, teamB: g.teamB,
+                        sport: g.sport, field: g.field, divisions: [div] };
+                });
+            });
+        });
+        return Object.keys(byKey).map(function (k) { return byKey[k]; })
+            .sort(function (a, b) { return a.startMin - b.startMin || a.key.localeCompare(b.key); });
+    };
+
+    // What each bunk is doing when, minus Free periods and anything an
+    // official may be released from.
+    O.bunkBusy = function (scheduleAssignments, opts) {
+        opts = opts || {};
+        var release = (opts.releaseFrom || []).map(norm);
+        var divOf = {};
+        Object.keys(opts.divisions || {}).forEach(function (d) {
+            ((opts.divisions[d] || {}).bunks || []).forEach(function (b) { divOf[String(b)] = d; });
+        });
+        var out = {};
+        Object.keys(scheduleAssignments || {}).forEach(function (bunk) {
+            var row = scheduleAssignments[bunk];
+            if (!Array.isArray(row)) return;
+            var slots = (opts.divisionTimes && Array.isArray(opts.divisionTimes[divOf[bunk]])) ? opts.divisionTimes[divOf[bunk]] : [];
+            row.forEach(function (e, i) {
+                if (!e || e.field === 'Free') return;
+                var act = e._activity || e.sport || e.field || '';
+                if (!act || norm(act) === 'free' || release.indexOf(norm(act)) > -1) return;
+                var s = e._startMin != null ? e._startMin : (slots[i] ? slots[i].startMin : null);
+                var en = e._endMin != null ? e._endMin : (slots[i] ? slots[i].endMin : null);
+                if (s == null || en == null) return;
+                (out[bunk] = out[bunk] || []).push({ startMin: s, endMin: en, activity: String(act) });
+            });
+        });
+        return out;
+    };
+
+    // Games each official has worked on every other day.
+    O.seasonLoad = function (allDaily, exceptDate) {
+        var load = {};
+        Object.keys(allDaily || {}).forEach(function (d) {
+            if (d === exceptDate) return;
+            var row = allDaily[d] && allDaily[d].leagueOfficials;
+            if (!row || !row.assignments) return;
+            Object.keys(row.assignments).forEach(function (k) {
+                var a = row.assignments[k] || {};
+                ROLES.forEach(function (r) { (a[r] || []).forEach(function (id) { load[id] = (load[id] || 0) + 1; }); });
+            });
+        });
+        return load;
+    };
+
+    // ── the assignment ───────────────────────────────────────────────────────
+    // opts: { dateKey, games, pool, roster, rules, staffBusy, bunkBusy,
+    //         priorLoad, keep: { gameKey: { role: [ids] } } }
+    function context(opts) {
+        var roster = (opts.roster || []).map(SS.normalizeStaff);
+        var pool = (opts.pool || []).map(function (raw, i) { return O.normalizeOfficial(raw, i, roster); });
+        var games = opts.games || [];
+        var fixed = {};
+        pool.forEach(function (o) {
+            var iv = [];
+            if (o.staffId && opts.staffBusy && opts.staffBusy[o.staffId]) iv = iv.concat(opts.staffBusy[o.staffId]);
+            if (o.bunk && opts.bunkBusy && opts.bunkBusy[o.bunk]) iv = iv.concat(opts.bunkBusy[o.bunk]);
+            if (o.team) {
+                games.forEach(function (g) {
+                    if (o.team.league && norm(o.team.league) !== norm(g.leagueName)) return;
+                    if (norm(g.teamA) === norm(o.team.name) || norm(g.teamB) === norm(o.team.name)) {
+                        iv.push({ startMin: g.startMin, endMin: g.endMin, activity: g.leagueName });
+                    }
+                });
+            }
+            fixed[o.id] = iv;
+        });
+        return { pool: pool, games: games, fixed: fixed, dateKey: opts.dateKey || '' };
+    }
+
+    // Why `o` can't take `role` at `game`, or '' when they can. `worked` is
+    // what they already officiate today.
+    function blocker(cx, o, game, role, worked) {
+        if (o.roles.indexOf(role) < 0) return 'not a ' + role;
+        if (role === 'referee' && o.sports.length && o.sports.indexOf(norm(game.sport)) < 0) return 'not qualified for ' + (game.sport || 'this sport');
+        if (!SS.isOnDuty(o, cx.dateKey, game.startMin, game.endMin)) return SS.isDayOff(o, cx.dateKey) ? 'day off' : 'not working then';
+        var clash = cx.fixed[o.id].find(function (b) { return overlaps(b.startMin, b.endMin, game.startMin, game.endMin); });
+        if (clash) return o.team && clash.activity === game.leagueName && (norm(game.teamA) === norm(o.team.name) || norm(game.teamB) === norm(o.team.name))
+            ? 'playing' : 'busy with ' + (clash.activity || 'their bunk');
+        if ((worked || []).some(function (g) { return g.key !== game.key && overlaps(g.startMin, g.endMin, game.startMin, game.endMin); })) return 'on another game';
+        if (o.maxPerDay && (worked || []).length >= o.maxPerDay) return 'at ' + o.maxPerDay + ' game(s) today';
+        return '';
+    }
+
+    O.planDay = function (opts) {
+        opts = opts || {};
+        var rules = O.rules(opts.rules);
+        var cx = context(opts);
+        var prior = opts.priorLoad || {};
+        var byId = {}, worked = {};
+        cx.pool.forEach(function (o) { byId[o.id] = o; worked[o.id] = []; });
+        var need = { referee: rules.referees, scorekeeper: rules.scorekeepers };
+
+        var assignments = {};
+        cx.games.forEach(function (g) { assignments[g.key] = { referee: [], scorekeeper: [] }; });
+
+        // Hand picks first, as they are.
+        var keep = opts.keep || {};
+        cx.games.forEach(function (g) {
+            ROLES.forEach(function (r) {
+                ((keep[g.key] || {})[r] || []).forEach(function (id) {
+                    if (!byId[id] || assignments[g.key][r].indexOf(id) > -1) return;
+                    assignments[g.key][r].push(id);
+                    worked[id].push(g);
+                });
+            });
+        });
+
+        var jobs = [];
+        cx.games.forEach(function (g) {
+            ROLES.forEach(function (r) {
+                var want = need[r] - assignments[g.key][r].length;
+                if (want <= 0) return;
+                var eligible = cx.pool.filter(function (o) { return !blocker(cx, o, g, r, []); });
+                jobs.push({ game: g, role: r, want: want, eligible: eligible });
+            });
+        });
+        jobs.sort(function (a, b) {
+            return (a.eligible.length - b.eligible.length)
+                || (a.game.startMin - b.game.startMin)
+                || a.game.key.localeCompare(b.game.key)
+                || ROLES.indexOf(a.role) - ROLES.indexOf(b.role);
+        });
+
+        var uncovered = [];
+        function load(id) { return (prior[id] || 0) + worked[id].length; }
+        jobs.forEach(function (job) {
+            var g = job.game, slot = assignments[g.key];
+            var reasons = {};
+            for (var n = 0; n < job.want; n++) {
+                var best = null;
+                job.eligible.forEach(function (o) {
+                    if (slot.referee.indexOf(o.id) > -1 || slot.scorekeeper.indexOf(o.id) > -1) return;
+                    var why = blocker(cx, o, g, job.role, worked[o.id]);
+                    if (why) { reasons[why] = 1; return; }
+                    if (!best || load(o.id) < load(best.id)
+                        || (load(o.id) === load(best.id) && o.name.localeCompare(best.name) < 0)) best = o;
+                });
+                if (!best) break;
+                slot[job.role].push(best.id);
+                worked[best.id].push(g);
+            }
+            if (slot[job.role].length < need[job.role]) {
+                var reason = !job.eligible.length ? 'nobody in the pool can ' + (job.role === 'referee' ? 'referee ' + (g.sport || 'it') : 'keep score') + ' then'
+                    : reasons['on another game'] ? 'everyone who could is on another game'
+                    : 'everyone who could is at their daily limit';
+                uncovered.push({ key: g.key, leagueName: g.leagueName, teamA: g.teamA, teamB: g.teamB,
+                    startMin: g.startMin, endMin: g.endMin, role: job.role,
+                    need: need[job.role], have: slot[job.role].length, reason: reason });
+            }
+        });
+
+        var games = {};
+        cx.games.forEach(function (g) {
+            games[g.key] = { leagueName: g.leagueName, label: g.label, startMin: g.startMin, endMin: g.endMin,
+                teamA: g.teamA, teamB: g.teamB, sport: g.sport, field: g.field };
+        });
+        return {
+            dateKey: cx.dateKey,
+            games: games,
+            assignments: assignments,
+            uncovered: uncovered,
+            officials: cx.pool.map(function (o) {
+                return { id: o.id, name: o.name, kind: o.kind, today: worked[o.id].length, season: load(o.id) };
+            })
+        };
+    };
+
+    // Everyone in the pool who holds `role`, with why they can't take this
+    // game (or '' when they can) — the game editor's dropdown.
+    O.candidatesFor = function (opts, gameKey, role) {
+        var cx = context(opts);
+        var game = cx.games.find(function (g) { return g.key === gameKey; });
+        if (!game) return [];
+        var worked = {};
+        cx.pool.forEach(function (o) { worked[o.id] = []; });
+        var asg = opts.assignments || {};
+        cx.games.forEach(function (g) {
+            if (g.key === gameKey) return;
+            ROLES.forEach(function (r) { ((asg[g.key] || {})[r] || []).forEach(function (id) { if (worked[id]) worked[id].push(g); }); });
+        });
+        return cx.pool.filter(function (o) { return o.roles.indexOf(role) > -1; }).map(function (o) {
+            return { id: o.id, name: o.name, why: blocker(cx, o, game, role, worked[o.id]) };
+        });
+    };
+
+    // ── data access ──────────────────────────────────────────────────────────
+    function settings() {
+        try { return (typeof window !== 'undefined' && window.loadGlobalSettings) ? (window.loadGlobalSettings() || {}) : {}; }
+        catch (e) { return {}; }
+    }
+    O.loadPool = function () {
+        var app1 = settings().app1 || {};
+        return Array.isArray(app1.leagueOfficials) ? app1.leagueOfficials : [];
+    };
+    O.loadRules = function () { return O.rules((settings().app1 || {}).leagueOfficialRules); };
+    O.savePool = function (list, rules) {
+        var gs = settings();
+        var app1 = gs.app1 || {};
+        app1.leagueOfficials = list || [];
+        if (rules) app1.leagueOfficialRules = rules;
+        if (typeof window !== 'undefined' && window.saveGlobalSettings) window.saveGlobalSettings('app1', app1);
+    };
+
+    function readDaily() {
+        try { return JSON.parse(localStorage.getItem(DAILY_KEY) || '{}') || {}; } catch (e) { return {}; }
+    }
+    // window.leagueOfficialAssignments is what the cloud save carries
+    // (supabase_schedules.js), so the day is stamped on it like staffAssignments.
+    function writeDay(dk, stored) {
+        if (stored && dk) stored.date = dk;
+        if (typeof window !== 'undefined') window.leagueOfficialAssignments = stored;
+        try {
+            var all = readDaily();
+            if (!dk) return;
+            all[dk] = all[dk] || {};
+            all[dk].leagueOfficials = stored;
+            localStorage.setItem(DAILY_KEY, JSON.stringify(all));
+        } catch (e) { /* quota — the day is re-assigned on the next run */ }
+    }
+    function currentDate() {
+        return (typeof window !== 'undefined' && (window._scheduleAssignmentsDate || window.currentScheduleDate)) || '';
+    }
+
+    O.forDay = function (dateKey) {
+        var row = readDaily()[dateKey || currentDate()];
+        return (row && row.leagueOfficials) || null;
+    };
+
+    // Everything planDay needs, read from the live day.
+    O.dayInputs = function (dateKey) {
+        var w = typeof window !== 'undefined' ? window : {};
+        var dk = dateKey || currentDate();
+        var rules = O.loadRules();
+        var roster = SS.loadRoster();
+        var staffBusy = {};
+        if (roster.length) {
+            var sp = SS.planDay({ dateKey: dk, scheduleAssignments: w.scheduleAssignments || {}, roster: roster, rules: SS.loadRules(),
+                specials: ((settings().app1 || {}).specialActivities) || [] });
+            Object.keys(sp.byStaff).forEach(function (id) {
+                staffBusy[id] = sp.byStaff[id].map(function (r) { return { startMin: r.startMin, endMin: r.endMin, activity: r.activity }; });
+            });
+        }
+        return {
+            dateKey: dk,
+            games: O.collectGames(w.leagueAssignments || {}, w.divisionTimes || {}),
+            pool: O.loadPool(),
+            roster: roster,
+            rules: rules,
+            staffBusy: staffBusy,
+            bunkBusy: O.bunkBusy(w.scheduleAssignments || {}, { divisions: w.divisions || {}, divisionTimes: w.divisionTimes || {}, releaseFrom: rules.releaseFrom }),
+            priorLoad: O.seasonLoad(readDaily(), dk)
+        };
+    };
+
+    // Hand picks of a stored day, by game.
+    function keptPicks(stored) {
+        var keep = {};
+        if (!stored || !stored.manual) return keep;
+        Object.keys(stored.manual).forEach(function (k) {
+            Object.keys(stored.manual[k] || {}).forEach(function (r) {
+                if (!stored.manual[k][r]) return;
+                (keep[k] = keep[k] || {})[r] = ((stored.assignments || {})[k] || {})[r] || [];
+            });
+        });
+        return keep;
+    }
+
+    O.assignForDay = function (dateKey) {
+        var inputs = O.dayInputs(dateKey);
+        var dk = inputs.dateKey;
+        if (!inputs.pool.length) { if (typeof window !== 'undefined') window.leagueOfficialAssignments = null; return null; }
+        var prev = O.forDay(dk);
+        inputs.keep = keptPicks(prev);
+        var plan = O.planDay(inputs);
+        var manual = {};
+        Object.keys(inputs.keep).forEach(function (k) { if (plan.games[k]) manual[k] = Object.assign({}, (prev.manual || {})[k]); });
+        writeDay(dk, { games: plan.games, assignments: plan.assignments, manual: manual, uncovered: plan.uncovered, at: Date.now() });
+        if (plan.uncovered.length) {
+            console.warn('[Officials] ' + plan.uncovered.length + ' role(s) unfilled on ' + dk + ':',
+                plan.uncovered.map(function (u) { return u.teamA + ' vs ' + u.teamB + ' ' + SS.formatTime(u.startMin) + ' ' + u.role + ' — ' + u.reason; }));
+        } else if (Object.keys(plan.games).length) {
+            console.log('[Officials] every league game on ' + dk + ' has its officials');
+        }
+        return plan;
+    };
+
+    // The stored key for a game, tolerating a start time that drifted
+    // between the grid and the league record: same league and pair, one game.
+    O.resolveKey = function (stored, leagueName, startMin, teamA, teamB) {
+        if (!stored || !stored.games) return null;
+        var key = O.gameKey(leagueName, startMin, teamA, teamB);
+        if (stored.games[key]) return key;
+        var pair = O.gameKey('', 0, teamA, teamB).split('|')[2];
+        var hits = Object.keys(stored.games).filter(function (k) {
+            var g = stored.games[k];
+            return g.leagueName === leagueName && k.split('|')[2] === pair;
+        });
+        return hits.length === 1 ? hits[0] : null;
+    };
+
+    function nameOf(id) {
+        var row = O.loadPool().find(function (r, i) { return O.normalizeOfficial(r, i).id === id; });
+        return row ? String(row.name || id) : String(id);
+    }
+
+    // [{ role, id, name }] for one game, [] when none are stored.
+    O.officialsFor = function (dateKey, leagueName, startMin, teamA, teamB) {
+        var stored = O.forDay(dateKey);
+        var key = O.resolveKey(stored, leagueName, startMin, teamA, teamB);
+        if (!key) return [];
+        var a = stored.assignments[key] || {};
+        var out = [];
+        ROLES.forEach(function (r) { (a[r] || []).forEach(function (id) { out.push({ role: r, id: id, name: nameOf(id) }); }); });
+        return out;
+    };
+
+    // "Ref: Dana · Scorekeeper: Eli" — the print line.
+    O.labelFor = function (dateKey, leagueName, startMin, teamA, teamB) {
+        var list = O.officialsFor(dateKey, leagueName, startMin, teamA, teamB);
+        return ROLES.map(function (r) {
+            var names = list.filter(function (x) { return x.role === r; }).map(function (x) { return x.name; });
+            return names.length ? ROLE_LABEL[r] + ': ' + names.join(', ') : '';
+        }).filter(Boolean).join(' · ');
+    };
+
+    // A hand pick from the game editor: replaces the role's officials and
+    // marks them kept.
+    O.setOfficials = function (dateKey, key, role, ids) {
+        var dk = dateKey || currentDate();
+        var stored = O.forDay(dk);
+        if (!stored || !stored.games || !stored.games[key] || ROLES.indexOf(role) < 0) return false;
+        stored.assignments[key] = stored.assignments[key] || { referee: [], scorekeeper: [] };
+        stored.assignments[key][role] = (ids || []).filter(Boolean);
+        stored.manual = stored.manual || {};
+        (stored.manual[key] = stored.manual[key] || {})[role] = true;
+        stored.uncovered = (stored.uncovered || []).filter(function (u) { return !(u.key === key && u.role === role); });
+        writeDay(dk, stored);
+        return true;
+    };
+
+    // The game editor changed who plays — the officials stay with the game.
+    O.renameGame = function (dateKey, leagueName, startMin, oldA, oldB, newA, newB) {
+        var dk = dateKey || currentDate();
+        var stored = O.forDay(dk);
+        var from = O.resolveKey(stored, leagueName, startMin, oldA, oldB);
+        if (!from) return false;
+        var g = stored.games[from];
+        var to = O.gameKey(leagueName, g.startMin, newA, newB);
+        if (to === from) return false;
+        [stored.games, stored.assignments, stored.manual || {}].forEach(function (m) {
+            if (m[from] !== undefined) { m[to] = m[from]; delete m[from]; }
+        });
+        stored.games[to].teamA = newA;
+        stored.games[to].teamB = newB;
+        (stored.uncovered || []).forEach(function (u) { if (u.key === from) { u.key = to; u.teamA = newA; u.teamB = newB; } });
+        writeDay(dk, stored);
+        return true;
+    };
+
+    // ── UI ───────────────────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    // Officials block for the post-edit game editor. `game` = { leagueName,
+    // startMin, teamA, teamB }. Returns '' when the camp keeps no pool.
+    O.editorHtml = function (game) {
+        if (!O.loadPool().length || !game) return '';
+        var stored = O.forDay();
+        var key = O.resolveKey(stored, game.leagueName, game.startMin, game.teamA, game.teamB);
+        var head = '<label style="display:block;font-weight:600;font-size:0.82rem;color:#374151;margin-bottom:6px;">Officials</label>';
+        if (!key) {
+            return '<div style="margin-bottom:14px;">' + head + '<div style="font-size:0.8rem;color:#9ca3af;">Not assigned yet — '
+                + '<button type="button" id="pefc-officials-assign" style="background:none;border:none;color:#2563eb;cursor:pointer;padding:0;font-size:0.8rem;">assign officials for the day</button></div></div>';
+        }
+        var inputs = O.dayInputs();
+        inputs.assignments = stored.assignments;
+        var rules = O.loadRules();
+        var rows = ROLES.map(function (r) {
+            var want = Math.max(r === 'referee' ? rules.referees : rules.scorekeepers, ((stored.assignments[key] || {})[r] || []).length);
+            if (!want) return '';
+            var cands = O.candidatesFor(inputs, key, r);
+            var cur = (stored.assignments[key] || {})[r] || [];
+            var sels = [];
+            for (var i = 0; i < want; i++) {
+                sels.push('<select class="pefc-official" data-role="' + r + '" style="flex:1;min-width:0;padding:7px 9px;border:1.5px solid #d1d5db;border-radius:8px;font-size:0.85rem;background:#fff;">'
+                    + '<option value="">— none —</option>'
+                    + cands.map(function (c) {
+                        return '<option value="' + esc(c.id) + '"' + (cur[i] === c.id ? ' selected' : '') + '>'
+                            + esc(c.name + (c.why && cur[i] !== c.id ? ' (' + c.why + ')' : '')) + '</option>';
+                    }).join('') + '</select>');
+            }
+            return '<div style="display:flex;gap:8px;align-items:center;margin-bottom:6px;"><span style="width:92px;font-size:0.8rem;color:#6b7280;">'
+                + ROLE_LABEL[r] + '</span>' + sels.join('') + '</div>';
+        }).join('');
+        var miss = (stored.uncovered || []).filter(function (u) { return u.key === key; });
+        return '<div style="margin-bottom:14px;">' + head + rows
+            + (miss.length ? '<div style="font-size:0.75rem;color:#b45309;">' + esc(miss.map(function (u) { return 'No ' + u.role + ': ' + u.reason; }).join(' · ')) + '</div>' : '')
+            + '<div style="font-size:0.72rem;color:#9ca3af;margin-top:3px;">A pick made here is kept when the day is regenerated.</div></div>';
+    };
+
+    // A hand pick is saved with the day's row straight away, not on the next
+    // schedule edit, so another device sees it.
+    function saveToCloud() {
+        try { if (typeof window.saveSchedule === 'function') window.saveSchedule(); }
+        catch (e) { console.warn('[Officials] cloud save:', e); }
+    }
+
+    O.wireEditor = function (box, game, onDone) {
+        var assignBtn = box.querySelector('#pefc-officials-assign');
+        if (assignBtn) assignBtn.onclick = function () { O.assignForDay(); saveToCloud(); if (onDone) onDone(); };
+        var sels = box.querySelectorAll('.pefc-official');
+        if (!sels.length) return;
+        var stored = O.forDay();
+        var key = O.resolveKey(stored, game.leagueName, game.startMin, game.teamA, game.teamB);
+        Array.prototype.forEach.call(sels, function (sel) {
+            sel.onchange = function () {
+                var role = sel.getAttribute('data-role');
+                var ids = Array.prototype.filter.call(sels, function (s) { return s.getAttribute('data-role') === role; })
+                    .map(function (s) { return s.value; });
+                O.setOfficials(null, key, role, ids);
+                saveToCloud();
+                if (window.showToast) window.showToast('Officials updated', 'success');
+            };
+        });
+    };
+
+    var EDIT_COLS = [
+        { k: 'name', label: 'Name', w: 110 },
+        { k: 'kind', label: 'Staff / camper', w: 80, ph: 'staff' },
+        { k: 'roles', label: 'Roles', w: 120, ph: 'referee, scorekeeper' },
+        { k: 'sports', label: 'Referees (sports)', w: 130, ph: 'any' },
+        { k: 'bunk', label: 'Bunk', w: 60 },
+        { k: 'team', label: 'Plays for', w: 120, ph: 'League: Team' },
+        { k: 'hours', label: 'Hours', w: 110, ph: '9:00am-4:30pm' },
+        { k: 'daysOff', label: 'Days off', w: 80 },
+        { k: 'maxPerDay', label: 'Max/day', w: 50, ph: '0' }
+    ];
+
+    function rowToFields(o) {
+        var w = (o.availability || [])[0] || {};
+        return {
+            name: o.name || '', kind: o.kind || 'staff',
+            roles: listOf(o.roles).join(', '), sports: listOf(o.sports).join(', '),
+            bunk: o.bunk || '', team: o.team && o.team.name ? (o.team.league ? o.team.league + ': ' : '') + o.team.name : '',
+            hours: (w.start || w.end) ? (w.start || '') + '-' + (w.end || '') : '',
+            daysOff: listOf(o.daysOff).join(', '), maxPerDay: o.maxPerDay ? String(o.maxPerDay) : ''
+        };
+    }
+
+    function fieldsToRow(f, prev) {
+        var out = Object.assign({}, prev || {});
+        out.name = f.name.trim();
+        out.id = out.id || out.name;
+        out.kind = norm(f.kind) === 'camper' ? 'camper' : 'staff';
+        out.roles = listOf(f.roles).map(norm);
+        out.sports = listOf(f.sports);
+        out.bunk = f.bunk.trim();
+        var t = f.team.trim(), ci = t.indexOf(':');
+        out.team = t ? (ci > -1 ? { league: t.slice(0, ci).trim(), name: t.slice(ci + 1).trim() } : { league: '', name: t }) : null;
+        var hm = f.hours.split('-');
+        out.availability = f.hours.trim() ? [{ start: (hm[0] || '').trim(), end: (hm[1] || '').trim() }] : [];
+        out.daysOff = listOf(f.daysOff);
+        out.maxPerDay = parseInt(f.maxPerDay, 10) || 0;
+        return out;
+    }
+
+    function renderDay(wrap) {
+        var stored = O.forDay();
+        var keys = stored && stored.games ? Object.keys(stored.games) : [];
+        if (!keys.length) {
+            wrap.innerHTML = '<div style="color:#888;font-size:13px;margin:10px 0;">No officials assigned for this day yet.</div>';
+            return;
+        }
+        keys.sort(function (a, b) { return stored.games[a].startMin - stored.games[b].startMin || a.localeCompare(b); });
+        var html = '';
+        if ((stored.uncovered || []).length) {
+            html += '<div style="background:#fff3e0;border:1px solid #ffcc80;border-radius:6px;padding:10px 14px;margin:12px 0;color:#e65100;font-size:13px;">'
+                + '<strong>' + stored.uncovered.length + ' role(s) unfilled</strong><ul style="margin:6px 0 0 18px;padding:0;">'
+                + stored.uncovered.map(function (u) {
+                    return '<li>' + esc(u.teamA + ' vs ' + u.teamB) + ' ' + esc(SS.formatTime(u.startMin)) + ' — ' + esc(u.role) + ': ' + esc(u.reason) + '</li>';
+                }).join('') + '</ul></div>';
+        }
+        html += '<table style="width:100%;border-collapse:collapse;font-size:13px;margin-top:10px;">' + keys.map(function (k) {
+            var g = stored.games[k];
+            return '<tr style="border-bottom:1px solid #f0f0f0;"><td style="padding:6px 8px;white-space:nowrap;">' + esc(SS.formatTime(g.startMin)) + '</td>'
+                + '<td style="padding:6px 8px;">' + esc(g.teamA + ' vs ' + g.teamB) + ' <span style="color:#888;">' + esc([g.leagueName, g.sport, g.field].filter(Boolean).join(' · ')) + '</span></td>'
+                + '<td style="padding:6px 8px;">' + esc(O.labelFor(null, g.leagueName, g.startMin, g.teamA, g.teamB) || '—') + '</td></tr>';
+        }).join('') + '</table>';
+        wrap.innerHTML = html;
+    }
+
+    // The Staff overlay's Officials tab: the day's games, the rules and the pool.
+    O.renderView = function (wrap) {
+        var pool = O.loadPool().slice();
+        var rules = O.loadRules();
+        var inp = 'padding:4px 6px;border:1px solid #ddd;border-radius:4px;font-size:12px;box-sizing:border-box;width:100%;';
+        wrap.innerHTML =
+            '<div style="display:flex;gap:10px;align-items:center;margin-top:12px;flex-wrap:wrap;font-size:13px;">'
+            + '<label>Referees per game <input id="offRefs" type="number" min="0" style="' + inp + 'width:55px;" value="' + rules.referees + '"></label>'
+            + '<label>Scorekeepers per game <input id="offScore" type="number" min="0" style="' + inp + 'width:55px;" value="' + rules.scorekeepers + '"></label>'
+            + '<label>May leave their bunk during <input id="offRelease" style="' + inp + 'width:180px;" placeholder="only Free" value="' + esc(rules.releaseFrom.join(', ')) + '"></label>'
+            + '<button id="offAssign" style="margin-left:auto;background:#147D91;color:#fff;border:none;padding:7px 14px;border-radius:5px;font-weight:600;cursor:pointer;">Assign for this day</button></div>'
+            + '<div id="offDay"></div>'
+            + '<h4 style="margin:18px 0 0;font-size:14px;">Officials pool</h4>'
+            + '<table style="width:100%;border-collapse:collapse;font-size:12px;margin-top:6px;"><thead><tr style="text-align:left;color:#888;">'
+            + EDIT_COLS.map(function (c) { return '<th style="padding:4px;min-width:' + c.w + 'px;">' + c.label + '</th>'; }).join('')
+            + '<th></th></tr></thead><tbody id="offPoolBody"></tbody></table>'
+            + '<div style="display:flex;gap:10px;margin-top:10px;">'
+            + '<button id="offAddRow" style="background:#eee;border:none;padding:6px 12px;border-radius:4px;cursor:pointer;">+ Add official</button>'
+            + '<button id="offSave" style="margin-left:auto;background:#2e7d32;color:#fff;border:none;padding:7px 16px;border-radius:5px;font-weight:600;cursor:pointer;">Save officials</button></div>';
+        renderDay(wrap.querySelector('#offDay'));
+        var body = wrap.querySelector('#offPoolBody');
+        function addRow(o) {
+            var f = rowToFields(o || {});
+            var tr = document.createElement('tr');
+            tr._prev = o || null;
+            tr.innerHTML = EDIT_COLS.map(function (c) {
+                return '<td style="padding:3px;"><input data-k="' + c.k + '" style="' + inp + '" value="' + esc(f[c.k]) + '" placeholder="' + esc(c.ph || '') + '"></td>';
+            }).join('') + '<td><button class="offDelRow" style="background:none;border:none;color:#c62828;cursor:pointer;font-size:16px;">&times;</button></td>';
+            tr.querySelector('.offDelRow').onclick = function () { tr.remove(); };
+            body.appendChild(tr);
+        }
+        pool.forEach(addRow);
+        wrap.querySelector('#offAddRow').onclick = function () { addRow(null); };
+        function readRules() {
+            return {
+                referees: parseInt(wrap.querySelector('#offRefs').value, 10) || 0,
+                scorekeepers: parseInt(wrap.querySelector('#offScore').value, 10) || 0,
+                releaseFrom: listOf(wrap.querySelector('#offRelease').value)
+            };
+        }
+        wrap.querySelector('#offSave').onclick = function () {
+            var list = [];
+            Array.prototype.forEach.call(body.querySelectorAll('tr'), function (tr) {
+                var f = {};
+                Array.prototype.forEach.call(tr.querySelectorAll('input'), function (i) { f[i.getAttribute('data-k')] = i.value || ''; });
+                if (!f.name.trim()) return;
+                list.push(fieldsToRow(f, tr._prev));
+            });
+            O.savePool(list, readRules());
+            if (window.showToast) window.showToast('Officials saved', 'success');
+        };
+        wrap.querySelector('#offAssign').onclick = function () {
+            O.savePool(O.loadPool(), readRules());
+            var plan = O.assignForDay();
+            renderDay(wrap.querySelector('#offDay'));
+            if (window.showToast) window.showToast(plan ? 'Officials assigned' : 'Add officials to the pool first', plan ? 'success' : 'info');
+        };
+    };
+
+    // The one place a generation assigns officials. It runs after the build's
+    // own save, so it saves again with the officials on the row.
+    if (typeof document !== 'undefined' && document.addEventListener) {
+        document.addEventListener('campistry-schedule-generated', function (e) {
+            try {
+                var dk = (e && e.detail && e.detail.date) || currentDate();
+                var plan = O.assignForDay(dk);
+                if (plan) saveToCloud();
+            } catch (err) { console.warn('[Officials] assignment after generation failed:', err); }
+        });
+    }
+
+    if (typeof window !== 'undefined') window.LeagueOfficials = O;
+    if (typeof module !== 'undefined' && module.exports) module.exports = O;
+})();
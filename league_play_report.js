@@ -128,6 +128,7 @@
     //   leagueName, kind, sports[], teams[], totalGames, dates[],       (dates desc)
     //   games[]  : { date, teamA, teamB, sport, label, field }          (date desc)
     //   byTeam{} : team → { total, sports{sport:n}, opponents{opp:n}, games[] }
+    //   roster[] : { date, kind: 'join'|'drop', team, credit }         (date asc)
     // }
     LPR.buildData = function (leagueOrName, kind, historyOverride) {
         kind = kind === 'specialty' ? 'specialty' : 'regular';
@@ -210,6 +211,16 @@
             if (!spSeen[k]) { spSeen[k] = 1; sports.push(s); }
         });
 
+        // Mid-season joins and drops (league_restructure.js) — why one team
+        // has half the games of the rest.
+        var roster = [];
+        var rc = kind === 'regular' && history.rosterChanges && history.rosterChanges[leagueName];
+        (Array.isArray(rc) ? rc : []).forEach(function (c) {
+            if (!c || !c.team || (c.kind !== 'join' && c.kind !== 'drop')) return;
+            roster.push({ date: c.date, kind: c.kind, team: String(c.team), credit: Number(c.credit) || 0 });
+        });
+        roster.sort(function (a, b) { return String(a.date).localeCompare(String(b.date)); });
+
         var datesWithGames = [];
         var dSeen = {};
         games.forEach(function (g) { if (!dSeen[g.date]) { dSeen[g.date] = 1; datesWithGames.push(g.date); } });
@@ -218,7 +229,7 @@
             leagueName: leagueName, kind: kind,
             sports: sports, teams: teams,
             totalGames: games.length, dates: datesWithGames,
-            games: games, byTeam: byTeam
+            games: games, byTeam: byTeam, roster: roster
         };
     };
 
@@ -486,6 +497,15 @@
         intro.textContent = 'Who played who, what, and when — straight from the scheduler (post-edits included).';
         wrap.appendChild(intro);
 
+        if (data.roster.length) {
+            var rosterNote = document.createElement('div');
+            rosterNote.style.cssText = 'font-size:0.8rem;color:#92400E;background:#FFFBEB;border:1px solid #FDE68A;border-radius:8px;padding:8px 10px;margin-bottom:12px;';
+            rosterNote.textContent = 'Roster changes: ' + data.roster.map(function (c) {
+                return c.team + (c.kind === 'join' ? ' joined ' : ' left ') + fmtDate(c.date);
+            }).join(' · ') + ' — teams are counted only for their time in the league.';
+            wrap.appendChild(rosterNote);
+        }
+
         if (!data.totalGames) {
             var emptyBox = document.createElement('div');
             emptyBox.style.cssText = 'padding:32px 24px;text-align:center;background:#FAFAFA;border-radius:8px;border:1px solid #E5E7EB;';
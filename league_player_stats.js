@@ -0,0 +1,602 @@
+// =============================================================================
+// league_player_stats.js — per-player league stats, leaderboards, stat cards
+// =============================================================================
+// Standings only know teams. This keeps a stat line per camper per game
+// (goals, points, hits — whatever the sport counts) for the campers on each
+// team in the Campistry Me roster (app1.camperRoster[name].teams[league]).
+//
+// Everything lives in one cloud-synced global key, `leaguePlayerStats`:
+//
+//   {
+//     categories:    { "<sport>": ["Goals", "Assists"] },   // overrides DEFAULTS
+//     _categoriesAt: <ms>,
+//     games: {
+//       "<league>": {
+//         "<date>|<game label>|<teamA>|<teamB>": {         // teams sorted
+//           date, game, sport, teamA, teamB, at: <ms>,
+//           lines: { "<camper>": { team, stats: { Goals: 2 } } },
+//           deleted?: true                                   // tombstone
+//         }
+//       }
+//     },
+//     _savedAt: <ms>
+//   }
+//
+// Two devices entering different games must not undo each other, so merge()
+// works per (league, game) — newest `at` wins, tombstones included — the way
+// mergeLeagueHistories works per (league, date). integration_hooks.js applies
+// it on upsert and on hydrate.
+//
+// Consumers:
+//   leagues.js        — "Stats" on each match row → openEntry(); the
+//                       "Player Stats" tab → renderLeaderboard()
+//   camper_locator.js — "Player stats" on a located camper → openCard()
+//
+// Public API: window.LeaguePlayerStats
+// =============================================================================
+(function () {
+    'use strict';
+
+    var KEY = 'leaguePlayerStats';
+    var DEFAULT_CATEGORIES = {
+        'Soccer':     ['Goals', 'Assists', 'Saves'],
+        'Hockey':     ['Goals', 'Assists', 'Saves'],
+        'Basketball': ['Points', 'Rebounds', 'Assists'],
+        'Baseball':   ['Hits', 'Runs', 'RBIs'],
+        'Softball':   ['Hits', 'Runs', 'RBIs'],
+        'Kickball':   ['Hits', 'Runs'],
+        'Football':   ['Touchdowns', 'Catches', 'Interceptions'],
+        'Volleyball': ['Points', 'Aces'],
+        'Newcomb':    ['Points', 'Catches']
+    };
+    var FALLBACK_CATEGORIES = ['Points'];
+
+    function esc(s) {
+        if (typeof window !== 'undefined' && window.CampUtils && typeof window.CampUtils.escapeHtml === 'function') {
+            return window.CampUtils.escapeHtml(s);
+        }
+        return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function fmtDate(dateStr) {
+        try {
+            var d = new Date(dateStr + 'T12:00:00');
+            if (isNaN(d)) return dateStr || '';
+            return d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        } catch (e) { return dateStr || ''; }
+    }
+
+    // -------------------------------------------------------------------------
+    // Data
+    // -------------------------------------------------------------------------
+
+    function emptyData() { return { categories: {}, _categoriesAt: 0, games: {}, _savedAt: 0 }; }
+
+    function normData(d) {
+        var out = emptyData();
+        if (!d || typeof d !== 'object') return out;
+        if (d.categories && typeof d.categories === 'object') out.categories = d.categories;
+        out._categoriesAt = Number(d._categoriesAt) || 0;
+        if (d.games && typeof d.games === 'object') out.games = d.games;
+        out._savedAt = Number(d._savedAt) || 0;
+        return out;
+    }
+
+    /** Stat categories for a sport: the camp's own list, else the default. */
+    function categoriesFor(data, sport) {
+        var own = data && data.categories || {};
+        if (Array.isArray(own[sport]) && own[sport].length) return own[sport].slice();
+        var key = Object.keys(own).find(function (k) { return norm(k) === norm(sport); });
+        if (key && own[key].length) return own[key].slice();
+        var def = Object.keys(DEFAULT_CATEGORIES).find(function (k) { return norm(k) === norm(sport); });
+        return (def ? DEFAULT_CATEGORIES[def] : FALLBACK_CATEGORIES).slice();
+    }
+
+    function setCategories(data, sport, list, now) {
+        var clean = [];
+        (list || []).forEach(function (c) {
+            c = String(c || '').trim();
+            if (c && clean.map(norm).indexOf(norm(c)) < 0) clean.push(c);
+        });
+        if (clean.length) data.categories[sport] = clean;
+        else delete data.categories[sport];
+        data._categoriesAt = now || Date.now();
+        return clean;
+    }
+
+    function gameId(date, label, teamA, teamB) {
+        var pair = [String(teamA || ''), String(teamB || '')].sort();
+        return [date || '', label || '', pair[0], pair[1]].join('|');
+    }
+
+    /** Campers on a league team: their Me roster entry names this team for
+     *  this league (or, with no per-league teams at all, the legacy `team`). */
+    function rosterFor(roster, leagueName, team) {
+        if (!team) return [];
+        var out = [];
+        Object.keys(roster || {}).forEach(function (name) {
+            var c = roster[name] || {};
+            var teams = c.teams && typeof c.teams === 'object' ? c.teams : null;
+            var mine = '';
+            if (teams) {
+                var lg = Object.keys(teams).find(function (k) { return norm(k) === norm(leagueName); });
+                if (lg) mine = teams[lg];
+            }
+            if (!mine && (!teams || !Object.keys(teams).length)) mine = c.team || '';
+            if (mine && norm(mine) === norm(team)) out.push(name);
+        });
+        return out.sort(function (a, b) { return a.localeCompare(b); });
+    }
+
+    /** The camper's current team for a league, per the Me roster. */
+    function currentTeam(roster, leagueName, camper) {
+        var c = (roster || {})[camper];
+        if (!c) return '';
+        var teams = c.teams && typeof c.teams === 'object' ? c.teams : {};
+        var lg = Object.keys(teams).find(function (k) { return norm(k) === norm(leagueName); });
+        return (lg && teams[lg]) || (!Object.keys(teams).length && c.team) || '';
+    }
+
+    /**
+     * Store one game's stat lines. `lines` is { camper: { team, stats } };
+     * blank and zero stats are dropped, and so is a camper left with none.
+     * An empty game is stored as a tombstone so the removal syncs.
+     */
+    function recordGame(data, leagueName, game, lines, now) {
+        var id = gameId(game.date, game.game, game.teamA, game.teamB);
+        var kept = {};
+        Object.keys(lines || {}).forEach(function (camper) {
+            var ln = lines[camper] || {};
+            var stats = {};
+            Object.keys(ln.stats || {}).forEach(function (cat) {
+                var v = Number(ln.stats[cat]);
+                if (isFinite(v) && v !== 0) stats[cat] = v;
+            });
+            if (Object.keys(stats).length) kept[camper] = { team: ln.team || '', stats: stats };
+        });
+        if (!data.games[leagueName]) data.games[leagueName] = {};
+        var entry = {
+            date: game.date, game: game.game || '', sport: game.sport || '',
+            teamA: game.teamA, teamB: game.teamB, at: now || Date.now(), lines: kept
+        };
+        if (!Object.keys(kept).length) entry.deleted = true;
+        data.games[leagueName][id] = entry;
+        data._savedAt = entry.at;
+        return entry;
+    }
+
+    function gameFor(data, leagueName, date, label, teamA, teamB) {
+        var g = ((data.games || {})[leagueName] || {})[gameId(date, label, teamA, teamB)];
+        return g && !g.deleted ? g : null;
+    }
+
+    function liveGames(data, leagueName) {
+        var out = [];
+        Object.keys(data.games || {}).forEach(function (lg) {
+            if (leagueName && lg !== leagueName) return;
+            Object.keys(data.games[lg] || {}).forEach(function (id) {
+                var g = data.games[lg][id];
+                if (g && !g.deleted) out.push({ league: lg, id: id, game: g });
+            });
+        });
+        return out.sort(function (a, b) {
+            return String(a.game.date).localeCompare(String(b.game.date)) ||
+                String(a.game.game).localeCompare(String(b.game.game), undefined, { numeric: true });
+        });
+    }
+
+    /**
+     * Season leaderboard for a league: one row per camper with games played
+     * and a total per category, ranked by `category` (most first; ties go to
+     * fewer games, then name). `sport` narrows to that sport's games.
+     */
+    function leaderboard(data, opts) {
+        opts = opts || {};
+        var rows = {};
+        liveGames(data, opts.league).forEach(function (x) {
+            if (opts.sport && norm(x.game.sport) !== norm(opts.sport)) return;
+            Object.keys(x.game.lines || {}).forEach(function (camper) {
+                var ln = x.game.lines[camper];
+                var r = rows[camper] || (rows[camper] = { name: camper, team: '', gp: 0, totals: {} });
+                r.gp++;
+                r.team = ln.team || r.team;
+                Object.keys(ln.stats || {}).forEach(function (cat) {
+                    r.totals[cat] = (r.totals[cat] || 0) + Number(ln.stats[cat] || 0);
+                });
+            });
+        });
+        var cat = opts.category;
+        var list = Object.keys(rows).map(function (k) { return rows[k]; });
+        list.sort(function (a, b) {
+            return ((cat ? (b.totals[cat] || 0) - (a.totals[cat] || 0) : 0)) ||
+                (a.gp - b.gp) || a.name.localeCompare(b.name);
+        });
+        if (opts.roster && opts.league) {
+            list.forEach(function (r) { r.team = currentTeam(opts.roster, opts.league, r.name) || r.team; });
+        }
+        return opts.limit ? list.slice(0, opts.limit) : list;
+    }
+
+    /** Every category with a number in it for this league (and sport). */
+    function categoriesInUse(data, leagueName, sport) {
+        var seen = [];
+        if (sport) seen = categoriesFor(data, sport);
+        liveGames(data, leagueName).forEach(function (x) {
+            if (sport && norm(x.game.sport) !== norm(sport)) return;
+            Object.keys(x.game.lines || {}).forEach(function (c) {
+                Object.keys(x.game.lines[c].stats || {}).forEach(function (cat) {
+                    if (seen.indexOf(cat) < 0) seen.push(cat);
+                });
+            });
+        });
+        return seen;
+    }
+
+    /**
+     * One camper's season: per league, per sport totals, and the game log
+     * newest first — [{ league, team, sports: [{ sport, gp, totals }], games }].
+     */
+    function playerCard(data, camper) {
+        var byLeague = {};
+        liveGames(data).forEach(function (x) {
+            var ln = (x.game.lines || {})[camper];
+            if (!ln) return;
+            var L = byLeague[x.league] || (byLeague[x.league] = { league: x.league, team: '', sports: {}, games: [] });
+            L.team = ln.team || L.team;
+            var sp = x.game.sport || '—';
+            var S = L.sports[sp] || (L.sports[sp] = { sport: sp, gp: 0, totals: {} });
+            S.gp++;
+            Object.keys(ln.stats || {}).forEach(function (cat) { S.totals[cat] = (S.totals[cat] || 0) + Number(ln.stats[cat] || 0); });
+            L.games.push({
+                date: x.game.date, game: x.game.game, sport: x.game.sport,
+                opponent: ln.team === x.game.teamA ? x.game.teamB : x.game.teamA,
+                stats: ln.stats
+            });
+        });
+        return Object.keys(byLeague).sort().map(function (k) {
+            var L = byLeague[k];
+            return {
+                league: L.league, team: L.team,
+                sports: Object.keys(L.sports).sort().map(function (s) { return L.sports[s]; }),
+                games: L.games.reverse()
+            };
+        });
+    }
+
+    /** (league, game)-granular merge of two copies; newest `at` wins. */
+    function merge(a, b) {
+        var A = normData(a), B = normData(b);
+        var out = emptyData();
+        var catSrc = A._categoriesAt >= B._categoriesAt ? A : B;
+        out.categories = JSON.parse(JSON.stringify(catSrc.categories));
+        out._categoriesAt = catSrc._categoriesAt;
+        [A, B].forEach(function (src) {
+            Object.keys(src.games).forEach(function (lg) {
+                Object.keys(src.games[lg] || {}).forEach(function (id) {
+                    var g = src.games[lg][id];
+                    if (!g) return;
+                    var have = out.games[lg] && out.games[lg][id];
+                    if (have && (Number(have.at) || 0) >= (Number(g.at) || 0)) return;
+                    (out.games[lg] || (out.games[lg] = {}))[id] = g;
+                });
+            });
+        });
+        out._savedAt = Math.max(A._savedAt, B._savedAt);
+        return out;
+    }
+
+    // -------------------------------------------------------------------------
+    // Persistence
+    // -------------------------------------------------------------------------
+
+    function load() {
+        try {
+            var gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {};
+            return normData(JSON.parse(JSON.stringify(gs[KEY] || null)));
+        } catch (e) { return emptyData(); }
+    }
+
+    function canEdit() {
+        try {
+            if (window.AccessControl && typeof window.AccessControl.canEdit === 'function') return window.AccessControl.canEdit() !== false;
+        } catch (_) {}
+        return true;
+    }
+
+    function save(data) {
+        if (!canEdit()) {
+            console.warn('[LeaguePlayerStats] read-only role — stats are not saved');
+            return false;
+        }
+        data._savedAt = Date.now();
+        if (typeof window.saveGlobalSettings === 'function') window.saveGlobalSettings(KEY, data);
+        return true;
+    }
+
+    function loadRoster() {
+        try {
+            var gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {};
+            return (gs.app1 && gs.app1.camperRoster) || {};
+        } catch (e) { return {}; }
+    }
+
+    function hasStats(camper) {
+        return playerCard(load(), camper).length > 0;
+    }
+
+    // -------------------------------------------------------------------------
+    // Overlay
+    // -------------------------------------------------------------------------
+
+    var _overlayEl = null;
+
+    function openOverlay(title, bodyEl) {
+        closeOverlay();
+        injectStyles();
+        _overlayEl = document.createElement('div');
+        _overlayEl.className = 'lps-overlay';
+        _overlayEl.innerHTML =
+            '<div class="lps-shell">' +
+              '<header class="lps-header"><div class="lps-title">' + esc(title) + '</div>' +
+              '<button class="lps-close" type="button" title="Close">&times;</button></header>' +
+            '</div>';
+        _overlayEl.querySelector('.lps-shell').appendChild(bodyEl);
+        document.body.appendChild(_overlayEl);
+        _overlayEl.querySelector('.lps-close').onclick = closeOverlay;
+        var md = false;
+        _overlayEl.addEventListener('mousedown', function (e) { md = (e.target === _overlayEl); });
+        _overlayEl.addEventListener('click', function (e) { if (e.target === _overlayEl && md) closeOverlay(); });
+        document.addEventListener('keydown', escListener);
+    }
+
+    function closeOverlay() {
+        if (!_overlayEl) return;
+        _overlayEl.remove();
+        _overlayEl = null;
+        document.removeEventListener('keydown', escListener);
+    }
+
+    function escListener(e) { if (e.key === 'Escape') closeOverlay(); }
+
+    // -------------------------------------------------------------------------
+    // Per-game entry (leagues.js match rows)
+    // -------------------------------------------------------------------------
+
+    function openEntry(league, game, match, onSaved) {
+        if (!league || !game || !match || !match.teamA || !match.teamB) return;
+        var data = load();
+        var roster = loadRoster();
+        var sports = (league.sports || []).slice();
+        var existing = gameFor(data, league.name, game.date, game.gameLabel, match.teamA, match.teamB);
+        var sport = (existing && existing.sport) || match.sport || sports[0] || '';
+        if (sport && sports.indexOf(sport) < 0) sports.unshift(sport);
+
+        var body = document.createElement('div');
+        body.className = 'lps-body';
+
+        function teamTable(team, cats) {
+            var names = rosterFor(roster, league.name, team);
+            // A camper who has since moved teams keeps the line they earned.
+            Object.keys(existing && existing.lines || {}).forEach(function (n) {
+                if (existing.lines[n].team === team && names.indexOf(n) < 0) names.push(n);
+            });
+            var h = '<div class="lps-team"><div class="lps-team-name">' + esc(team) + '</div>';
+            if (!names.length) {
+                return h + '<div class="lps-none">No campers on this team. Assign teams in Campistry Me.</div></div>';
+            }
+            h += '<table class="lps-table"><thead><tr><th>Camper</th>' +
+                cats.map(function (c) { return '<th>' + esc(c) + '</th>'; }).join('') + '</tr></thead><tbody>';
+            names.forEach(function (n) {
+                var ln = existing && existing.lines[n];
+                h += '<tr><td>' + esc(n) + '</td>' + cats.map(function (c) {
+                    var v = ln && ln.stats[c] != null ? ln.stats[c] : '';
+                    return '<td><input type="number" min="0" class="lps-num" data-camper="' + esc(n) +
+                        '" data-team="' + esc(team) + '" data-cat="' + esc(c) + '" value="' + esc(v) + '"></td>';
+                }).join('') + '</tr>';
+            });
+            return h + '</tbody></table></div>';
+        }
+
+        function draw() {
+            var cats = categoriesFor(data, sport);
+            body.innerHTML =
+                '<div class="lps-sub">' + esc(game.gameLabel || 'Game') + ' · ' + esc(fmtDate(game.date)) + '</div>' +
+                '<label class="lps-field">Sport <select class="lps-sport">' +
+                    sports.map(function (s) { return '<option' + (s === sport ? ' selected' : '') + '>' + esc(s) + '</option>'; }).join('') +
+                '</select></label>' +
+                teamTable(match.teamA, cats) + teamTable(match.teamB, cats) +
+                '<div class="lps-actions"><button class="lps-btn primary lps-save">Save stats</button>' +
+                '<button class="lps-btn lps-cancel">Cancel</button></div>';
+            body.querySelector('.lps-sport').onchange = function () { sport = this.value; draw(); };
+            body.querySelector('.lps-cancel').onclick = closeOverlay;
+            body.querySelector('.lps-save').onclick = function () {
+                var lines = {};
+                body.querySelectorAll('.lps-num').forEach(function (inp) {
+                    var n = inp.getAttribute('data-camper');
+                    var ln = lines[n] || (lines[n] = { team: inp.getAttribute('data-team'), stats: {} });
+                    if (inp.value !== '') ln.stats[inp.getAttribute('data-cat')] = parseInt(inp.value, 10);
+                });
+                recordGame(data, league.name, {
+                    date: game.date, game: game.gameLabel, sport: sport, teamA: match.teamA, teamB: match.teamB
+                }, lines);
+                if (save(data)) {
+                    closeOverlay();
+                    if (typeof onSaved === 'function') onSaved();
+                }
+            };
+        }
+
+        draw();
+        openOverlay(match.teamA + ' vs ' + match.teamB + ' — player stats', body);
+    }
+
+    /** Number of campers with a stat line in a match — for the row's button. */
+    function linesFor(leagueName, date, label, teamA, teamB) {
+        var g = gameFor(load(), leagueName, date, label, teamA, teamB);
+        return g ? Object.keys(g.lines || {}).length : 0;
+    }
+
+    // -------------------------------------------------------------------------
+    // Leaderboard tab (leagues.js)
+    // -------------------------------------------------------------------------
+
+    var _lbState = {};   // league name → { sport, category }
+
+    function renderLeaderboard(league, container) {
+        if (!league || !container) return;
+        injectStyles();
+        var data = load();
+        var roster = loadRoster();
+        var st = _lbState[league.name] || (_lbState[league.name] = { sport: '', category: '' });
+        var sports = (league.sports || []).slice();
+        liveGames(data, league.name).forEach(function (x) {
+            if (x.game.sport && sports.indexOf(x.game.sport) < 0) sports.push(x.game.sport);
+        });
+        if (st.sport && sports.indexOf(st.sport) < 0) st.sport = '';
+        var cats = categoriesInUse(data, league.name, st.sport);
+        if (cats.indexOf(st.category) < 0) st.category = cats[0] || '';
+        var rows = leaderboard(data, { league: league.name, sport: st.sport, category: st.category, roster: roster });
+
+        var h = '<div class="lps-lb">' +
+            '<div class="lps-lb-bar">' +
+              '<label class="lps-field">Sport <select class="lps-lb-sport"><option value="">All sports</option>' +
+                sports.map(function (s) { return '<option' + (s === st.sport ? ' selected' : '') + '>' + esc(s) + '</option>'; }).join('') +
+              '</select></label>' +
+              '<label class="lps-field">Rank by <select class="lps-lb-cat">' +
+                cats.map(function (c) { return '<option' + (c === st.category ? ' selected' : '') + '>' + esc(c) + '</option>'; }).join('') +
+              '</select></label>' +
+            '</div>';
+        if (!rows.length) {
+            h += '<p class="league-empty-state">No player stats yet. Use “Stats” on a game in Game Results to enter them.</p>';
+        } else {
+            h += '<table class="lps-table lps-lb-table"><thead><tr><th>#</th><th>Camper</th><th>Team</th><th>GP</th>' +
+                cats.map(function (c) { return '<th' + (c === st.category ? ' class="on"' : '') + '>' + esc(c) + '</th>'; }).join('') +
+                '</tr></thead><tbody>';
+            rows.forEach(function (r, i) {
+                h += '<tr><td>' + (i + 1) + '</td><td><a href="#" class="lps-card-link" data-camper="' + esc(r.name) + '">' +
+                    esc(r.name) + '</a></td><td>' + esc(r.team) + '</td><td>' + r.gp + '</td>' +
+                    cats.map(function (c) { return '<td' + (c === st.category ? ' class="on"' : '') + '>' + (r.totals[c] || 0) + '</td>'; }).join('') +
+                    '</tr>';
+            });
+            h += '</tbody></table>';
+        }
+        if (st.sport) {
+            h += '<div class="lps-cats"><label class="lps-field">' + esc(st.sport) + ' stats ' +
+                '<input type="text" class="lps-cats-input" value="' + esc(categoriesFor(data, st.sport).join(', ')) + '"></label>' +
+                '<button class="lps-btn small lps-cats-save">Save categories</button>' +
+                '<span class="lps-note">Comma-separated. Applies to every league that plays ' + esc(st.sport) + '.</span></div>';
+        }
+        container.innerHTML = h + '</div>';
+
+        container.querySelector('.lps-lb-sport').onchange = function () { st.sport = this.value; st.category = ''; renderLeaderboard(league, container); };
+        var catSel = container.querySelector('.lps-lb-cat');
+        if (catSel) catSel.onchange = function () { st.category = this.value; renderLeaderboard(league, container); };
+        container.querySelectorAll('.lps-card-link').forEach(function (a) {
+            a.onclick = function (e) { e.preventDefault(); openCard(a.getAttribute('data-camper')); };
+        });
+        var catBtn = container.querySelector('.lps-cats-save');
+        if (catBtn) catBtn.onclick = function () {
+            var fresh = load();
+            setCategories(fresh, st.sport, container.querySelector('.lps-cats-input').value.split(','));
+            if (save(fresh)) renderLeaderboard(league, container);
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Player stat card (Camper Locator, leaderboard names)
+    // -------------------------------------------------------------------------
+
+    function cardHtml(camper, data) {
+        var card = playerCard(data || load(), camper);
+        if (!card.length) return '<div class="lps-none">No league stats recorded for ' + esc(camper) + ' yet.</div>';
+        return card.map(function (L) {
+            var h = '<div class="lps-card-league"><div class="lps-team-name">' + esc(L.league) +
+                (L.team ? ' <span class="lps-note">· ' + esc(L.team) + '</span>' : '') + '</div>';
+            h += L.sports.map(function (S) {
+                var cats = Object.keys(S.totals);
+                return '<div class="lps-card-sport"><strong>' + esc(S.sport) + '</strong> <span class="lps-note">' + S.gp +
+                    ' game' + (S.gp === 1 ? '' : 's') + '</span> ' +
+                    cats.map(function (c) { return '<span class="lps-pill">' + esc(c) + ' ' + S.totals[c] + '</span>'; }).join(' ') + '</div>';
+            }).join('');
+            h += '<table class="lps-table"><thead><tr><th>Date</th><th>Game</th><th>Vs</th><th>Line</th></tr></thead><tbody>' +
+                L.games.map(function (g) {
+                    return '<tr><td>' + esc(fmtDate(g.date)) + '</td><td>' + esc(g.game) + (g.sport ? ' · ' + esc(g.sport) : '') +
+                        '</td><td>' + esc(g.opponent) + '</td><td>' +
+                        Object.keys(g.stats).map(function (c) { return esc(c) + ' ' + g.stats[c]; }).join(', ') + '</td></tr>';
+                }).join('') + '</tbody></table>';
+            return h + '</div>';
+        }).join('');
+    }
+
+    function openCard(camper) {
+        if (!camper) return;
+        var body = document.createElement('div');
+        body.className = 'lps-body';
+        body.innerHTML = cardHtml(camper);
+        openOverlay(camper + ' — league stats', body);
+    }
+
+    // -------------------------------------------------------------------------
+    // Styles — the league pages' teal (#147D91)
+    // -------------------------------------------------------------------------
+
+    function injectStyles() {
+        if (typeof document === 'undefined' || document.getElementById('league-player-stats-styles')) return;
+        var st = document.createElement('style');
+        st.id = 'league-player-stats-styles';
+        st.textContent = [
+            '.lps-overlay{position:fixed;inset:0;background:rgba(15,23,42,0.5);z-index:9000;display:flex;align-items:flex-start;justify-content:center;padding:40px 24px;backdrop-filter:blur(3px);}',
+            '.lps-shell{width:100%;max-width:760px;max-height:100%;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(0,0,0,0.3);display:flex;flex-direction:column;overflow:hidden;}',
+            '.lps-header{display:flex;align-items:center;justify-content:space-between;padding:14px 20px;border-bottom:1px solid #E5E7EB;background:#F9FAFB;}',
+            '.lps-title{font-size:1rem;font-weight:700;color:#0A4A56;}',
+            '.lps-close{background:transparent;border:1px solid #E5E7EB;color:#475569;width:30px;height:30px;border-radius:8px;font-size:1.3rem;cursor:pointer;line-height:1;}',
+            '.lps-body{overflow-y:auto;padding:18px 22px;display:flex;flex-direction:column;gap:14px;}',
+            '.lps-sub,.lps-note{font-size:0.8rem;color:#6B7280;}',
+            '.lps-none{font-size:0.82rem;color:#9CA3AF;font-style:italic;}',
+            '.lps-field{display:inline-flex;align-items:center;gap:6px;font-size:0.8rem;font-weight:600;color:#475569;}',
+            '.lps-field select,.lps-field input{padding:5px 8px;border:1px solid #CBD5E1;border-radius:7px;font-size:0.82rem;font-family:inherit;}',
+            '.lps-team-name{font-weight:700;color:#0A4A56;margin-bottom:6px;}',
+            '.lps-table{width:100%;border-collapse:collapse;font-size:0.82rem;}',
+            '.lps-table th{text-align:left;font-size:0.7rem;text-transform:uppercase;letter-spacing:0.04em;color:#6B7280;padding:6px 8px;border-bottom:1px solid #E5E7EB;}',
+            '.lps-table td{padding:5px 8px;border-bottom:1px solid #F1F5F9;}',
+            '.lps-table .on{font-weight:700;color:#147D91;}',
+            '.lps-num{width:56px;padding:4px 6px;border:1px solid #CBD5E1;border-radius:6px;font-family:inherit;}',
+            '.lps-actions,.lps-lb-bar,.lps-cats{display:flex;gap:10px;align-items:center;flex-wrap:wrap;}',
+            '.lps-lb{display:flex;flex-direction:column;gap:12px;padding-top:8px;}',
+            '.lps-btn{padding:8px 16px;border:1px solid #CBD5E1;background:#fff;border-radius:8px;cursor:pointer;font-size:0.85rem;font-weight:600;font-family:inherit;color:#0A4A56;}',
+            '.lps-btn.primary{background:#147D91;color:#fff;border-color:#147D91;}',
+            '.lps-btn.small{padding:5px 11px;font-size:0.78rem;}',
+            '.lps-pill{display:inline-block;padding:2px 8px;margin:2px 0;background:#ECFEFF;border:1px solid #A5F3FC;border-radius:999px;font-size:0.75rem;color:#0A4A56;}',
+            '.lps-card-league{display:flex;flex-direction:column;gap:6px;}',
+            '.lps-card-link{color:#147D91;text-decoration:none;font-weight:600;}'
+        ].join('\n');
+        document.head.appendChild(st);
+    }
+
+    var LeaguePlayerStats = {
+        KEY: KEY,
+        DEFAULT_CATEGORIES: DEFAULT_CATEGORIES,
+        categoriesFor: categoriesFor,
+        setCategories: setCategories,
+        gameId: gameId,
+        rosterFor: rosterFor,
+        currentTeam: currentTeam,
+        recordGame: recordGame,
+        gameFor: gameFor,
+        leaderboard: leaderboard,
+        playerCard: playerCard,
+        merge: merge,
+        load: load,
+        save: save,
+        hasStats: hasStats,
+        linesFor: linesFor,
+        openEntry: openEntry,
+        renderLeaderboard: renderLeaderboard,
+        cardHtml: cardHtml,
+        openCard: openCard,
+        close: closeOverlay
+    };
+
+    if (typeof window !== 'undefined') window.LeaguePlayerStats = LeaguePlayerStats;
+    if (typeof module !== 'undefined' && module.exports) module.exports = LeaguePlayerStats;
+})();
@@ -0,0 +1,552 @@
+// =============================================================================
+// league_restructure.js — a team joins or drops out mid-season
+// =============================================================================
+// Renaming a team keeps its record (league_team_rename.js). Adding or removing
+// one mid-season used to be a bare edit of league.teams, and everything that
+// measures fairness then measured the wrong thing:
+//
+//   • the bye ledger (makeByeLedger) counted a new team's days BEFORE it
+//     existed — as byes by the gameLog arithmetic, as "none yet" by the
+//     recorded lists. Either way it was the outlier, and a team at the low
+//     end of the ledger sits next, every period, until it catches up;
+//   • the season plan (fixture_plan.js) still had fixtures for a team that
+//     had left, and none for the one that arrived;
+//   • the bye audit flagged the spread the change itself created, and the
+//     play report had no way to say why one team has half the games.
+//
+// A restructure is one recorded change: { id, date, kind: 'join' | 'drop',
+// team, mode, credit, at } in leagueHistory.rosterChanges[leagueName]. From it
+// every reader derives the team's time in the league (rosterWindows):
+//
+//   join   the team is in the league from `date`. Its bye CREDIT stands in
+//          for the byes it would have had:
+//            'level'   — the league's lowest bye count: it takes its turn
+//                        from today like everyone else;
+//            'catchup' — that, plus the games it is behind the least-played
+//                        team: the others sit before it does until the
+//                        games-played gap is closed.
+//   drop   the team is out of the league from `date`; its games stay on
+//          record and its opponents keep them.
+//
+// With a season plan in use the rest of the season is re-planned from the
+// change date (everything before it stays), with the joiner's date and credit
+// fed to the planner — least-met pairs first, so the new team meets the
+// league before anyone meets twice.
+//
+// preview() is pure over the league + history it is handed; open() is the
+// overlay that shows it per team and applies it.
+//
+// Public API: window.LeagueRestructure
+//   changesFor(history, leagueName)    - recorded changes, oldest first
+//   rosterWindows(history, leagueName) - { team: { joined, left, credit } }
+//   seasonStarted(league, history)     - any league games on record this half
+//   records(opts)                      - per-team games / byes / opponents so far
+//   preview(opts)                      - the impact of one change, per team
+//   apply(opts)                        - make the change on league + history
+//   plannerInputs(league, history)     - { joined, byeCredit } for FixturePlan.plan
+//   open(league, change, onDone) / close()
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var _overlayEl = null;
+    var _state = null;        // { league, change, mode, date, onDone }
+
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function str(v) { return String(v == null ? '' : v).trim(); }
+    function esc(s) {
+        if (typeof window !== 'undefined' && window.CampUtils && typeof window.CampUtils.escapeHtml === 'function') {
+            return window.CampUtils.escapeHtml(s);
+        }
+        return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    function todayKey() {
+        var d = new Date();
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+    function SCL() { return (typeof window !== 'undefined') ? window.SchedulerCoreLeagues : null; }
+
+    // Same epoch the fairness ledgers use; the blob's own stamp without the
+    // engine on the page.
+    function epochOf(history) {
+        try {
+            var s = SCL();
+            if (s && typeof s.getEffectiveEpoch === 'function') return s.getEffectiveEpoch(history) || '';
+        } catch (_) {}
+        return (history && isDate(history._epochDate)) ? history._epochDate : '';
+    }
+
+    // -------------------------------------------------------------------------
+    // The record
+    // -------------------------------------------------------------------------
+
+    function changesFor(history, leagueName) {
+        var list = (history && history.rosterChanges && history.rosterChanges[leagueName]) || [];
+        return (Array.isArray(list) ? list : []).filter(function (c) {
+            return c && isDate(c.date) && (c.kind === 'join' || c.kind === 'drop') && str(c.team);
+        }).slice().sort(function (a, b) {
+            return a.date.localeCompare(b.date) || ((Number(a.at) || 0) - (Number(b.at) || 0));
+        });
+    }
+
+    // Each changed team's time in the league. A team that left and came back
+    // is judged by its latest join.
+    function rosterWindows(history, leagueName) {
+        var out = {};
+        changesFor(history, leagueName).forEach(function (c) {
+            var t = str(c.team);
+            if (c.kind === 'join') out[t] = { joined: c.date, left: null, credit: Math.max(Number(c.credit) || 0, 0) };
+            else (out[t] = out[t] || { joined: null, left: null, credit: 0 }).left = c.date;
+        });
+        return out;
+    }
+
+    function inWindow(w, date) {
+        return !w || ((!w.joined || date >= w.joined) && (!w.left || date < w.left));
+    }
+
+    function seasonStarted(league, history) {
+        var gl = (history && history.gameLog && league && history.gameLog[league.name]) || {};
+        var ep = epochOf(history);
+        return Object.keys(gl).some(function (d) {
+            return isDate(d) && (!ep || d >= ep) && (gl[d] || []).length > 0;
+        });
+    }
+
+    /**
+     * Games, byes and opponents per team before `date`, this half.
+     * opts: { league, history, date, teams }
+     */
+    function records(opts) {
+        var name = opts.league.name;
+        var history = opts.history || {};
+        var teams = opts.teams || opts.league.teams || [];
+        var gl = (history.gameLog && history.gameLog[name]) || {};
+        var cbd = (history.chinuchByDate && history.chinuchByDate[name]) || {};
+        var ep = epochOf(history);
+        var windows = rosterWindows(history, name);
+        var per = {};
+        teams.forEach(function (t) { per[t] = { team: t, played: 0, byes: 0, met: {} }; });
+        var dates = Object.keys(gl).filter(function (d) {
+            return isDate(d) && (!ep || d >= ep) && (!opts.date || d < opts.date);
+        }).sort();
+        dates.forEach(function (d) {
+            (gl[d] || []).forEach(function (e) {
+                if (!e || !e.t1 || !e.t2) return;
+                if (per[e.t1]) { per[e.t1].played++; per[e.t1].met[e.t2] = (per[e.t1].met[e.t2] || 0) + 1; }
+                if (per[e.t2]) { per[e.t2].played++; per[e.t2].met[e.t1] = (per[e.t2].met[e.t1] || 0) + 1; }
+            });
+        });
+        // Byes: the engine's own ledger when it is on the page — it is what
+        // the next generation acts on — else the same arithmetic over the log.
+        var s = SCL();
+        if (s && typeof s.makeByeLedger === 'function') {
+            var ledger = s.makeByeLedger(name, teams, history, opts.date || null);
+            teams.forEach(function (t) { per[t].byes = ledger.count(t); });
+        } else {
+            dates.forEach(function (d) {
+                var entries = gl[d] || [];
+                var labels = {};
+                entries.forEach(function (e) { if (e && e.g) labels[e.g] = 1; });
+                var periods = Math.max(Object.keys(labels).length, 1);
+                var chinuch = {};
+                (cbd[d] || []).forEach(function (t) { chinuch[t] = 1; });
+                teams.forEach(function (t) {
+                    if (!inWindow(windows[t], d)) return;
+                    var played = 0;
+                    entries.forEach(function (e) { if (e && (e.t1 === t || e.t2 === t)) played++; });
+                    var sat = periods - played - (chinuch[t] ? 1 : 0);
+                    if (sat > 0) per[t].byes += sat;
+                });
+            });
+            teams.forEach(function (t) {
+                var w = windows[t];
+                if (w && w.joined && (!ep || w.joined >= ep)) per[t].byes += w.credit;
+            });
+        }
+        return per;
+    }
+
+    // What FixturePlan.plan needs to know about the league's joiners.
+    function plannerInputs(league, history) {
+        if (history === undefined) {
+            try { var s = SCL(); history = (s && typeof s.getHistorySnapshot === 'function') ? s.getHistorySnapshot() : {}; }
+            catch (_) { history = {}; }
+        }
+        var windows = rosterWindows(history, league.name);
+        var ep = epochOf(history);
+        var joined = {}, byeCredit = {};
+        (league.teams || []).forEach(function (t) {
+            var w = windows[t];
+            if (!w || !w.joined || w.left) return;
+            joined[t] = w.joined;
+            if (!ep || w.joined >= ep) byeCredit[t] = w.credit;
+        });
+        return { joined: joined, byeCredit: byeCredit };
+    }
+
+    // -------------------------------------------------------------------------
+    // Preview / apply
+    // -------------------------------------------------------------------------
+
+    function newId(now) {
+        return 'rc_' + Number(now).toString(36) + '_' + Math.random().toString(36).slice(2, 7);
+    }
+
+    /**
+     * opts: { league, history, date, change: { kind: 'join'|'drop', team },
+     *         mode: 'catchup'|'level', now }
+     * → { ok, reason } on a change that cannot be made, else
+     *   { ok, league, date, kind, team, mode, credit, entry,
+     *     teams: [{ team, status, played, byes, credit, met, unmet, ahead }],
+     *     plan, notes }
+     */
+    function preview(opts) {
+        opts = opts || {};
+        var league = opts.league;
+        var history = opts.history || {};
+        var change = opts.change || {};
+        var kind = change.kind === 'drop' ? 'drop' : 'join';
+        var team = str(change.team);
+        var date = isDate(opts.date) ? opts.date : todayKey();
+        var mode = opts.mode === 'level' ? 'level' : 'catchup';
+        var roster = (league && league.teams || []).slice();
+
+        if (!league || !league.name) return { ok: false, reason: 'No league.' };
+        if (!team) return { ok: false, reason: 'Name the team.' };
+        var present = roster.some(function (t) { return t.toLowerCase() === team.toLowerCase(); });
+        if (kind === 'join' && present) return { ok: false, reason: team + ' is already in ' + league.name + '.' };
+        if (kind === 'drop' && roster.indexOf(team) < 0) return { ok: false, reason: team + ' is not in ' + league.name + '.' };
+        var later = changesFor(history, league.name).filter(function (c) { return c.date > date; });
+        if (later.length) {
+            return { ok: false, reason: 'A roster change is already recorded for ' + later[later.length - 1].date
+                + ' — a new one has to come on or after it.' };
+        }
+
+        var staying = roster.filter(function (t) { return t !== team; });
+        var after = kind === 'join' ? staying.concat([team]) : staying;
+        var rec = records({ league: league, history: history, date: date, teams: staying });
+        if (kind === 'join') {
+            // A returning team keeps the games it played before; its byes
+            // start from the credit, like any joiner.
+            var back = records({ league: { name: league.name, teams: [team] }, history: {
+                gameLog: history.gameLog, _epochDate: history._epochDate
+            }, date: date, teams: [team] })[team];
+            rec[team] = { team: team, played: back.played, byes: 0, met: back.met };
+        }
+
+        var credit = 0;
+        if (kind === 'join') {
+            var minB = Infinity, minP = Infinity;
+            staying.forEach(function (t) {
+                minB = Math.min(minB, rec[t].byes);
+                minP = Math.min(minP, rec[t].played);
+            });
+            if (!isFinite(minB)) minB = 0;
+            if (!isFinite(minP)) minP = 0;
+            credit = minB + (mode === 'catchup' ? Math.max(minP - rec[team].played, 0) : 0);
+        }
+
+        var entry = { id: newId(opts.now || Date.now()), date: date, kind: kind, team: team, at: Number(opts.now) || Date.now() };
+        if (kind === 'join') { entry.mode = mode; entry.credit = credit; }
+
+        // The rest of the season, re-planned — only when a plan is in use.
+        var FP = (typeof window !== 'undefined') ? window.FixturePlan : null;
+        var fp = league.fixturePlan;
+        var plan = null;
+        if (FP && fp && Array.isArray(fp.fixtures) && fp.fixtures.length) {
+            var leagueAfter = Object.assign({}, league, { teams: after });
+            var pending = { rosterChanges: {}, _epochDate: history._epochDate, _epochSetAt: history._epochSetAt };
+            pending.rosterChanges[league.name] = changesFor(history, league.name).concat([entry]);
+            var hub = window.FixturePlanHub;
+            var input = (hub && typeof hub.planInput === 'function') ? hub.planInput(leagueAfter, date) : {
+                teams: after,
+                sports: (league.sports && league.sports.length) ? league.sports.slice() : [],
+                days: (fp.days || []).filter(function (d) { return (fp.excludedDates || []).indexOf(d.date) < 0; }),
+                seed: league.name,
+                existing: { fixtures: fp.fixtures, byes: fp.byes },
+                fromDate: date
+            };
+            var pi = plannerInputs(leagueAfter, pending);
+            input.teams = after;
+            input.fromDate = date;
+            input.joined = pi.joined;
+            input.byeCredit = pi.byeCredit;
+            plan = FP.plan(input);
+        }
+
+        var rows = after.concat(kind === 'drop' ? [team] : []).map(function (t) {
+            var r = rec[t] || { played: 0, byes: 0, met: {} };
+            var status = t === team ? (kind === 'join' ? 'joining' : 'leaving') : 'staying';
+            var unmet = after.filter(function (o) { return o !== t && !r.met[o]; });
+            var ahead = null;
+            if (plan && status !== 'leaving') {
+                ahead = { games: 0, byes: 0, meets: [] };
+                plan.fixtures.forEach(function (f) {
+                    if (f.date < date || (f.team1 !== t && f.team2 !== t)) return;
+                    ahead.games++;
+                    var o = f.team1 === t ? f.team2 : f.team1;
+                    if (ahead.meets.indexOf(o) < 0) ahead.meets.push(o);
+                });
+                Object.keys(plan.byes || {}).forEach(function (k) {
+                    if (k.split('|')[0] >= date && plan.byes[k].indexOf(t) >= 0) ahead.byes++;
+                });
+                ahead.stillUnmet = unmet.filter(function (o) { return ahead.meets.indexOf(o) < 0; });
+            }
+            return {
+                team: t, status: status, played: r.played, byes: r.byes,
+                credit: t === team && kind === 'join' ? credit : null,
+                met: Object.keys(r.met).filter(function (o) { return o !== t; }).sort(),
+                unmet: unmet, ahead: ahead
+            };
+        });
+
+        var notes = [];
+        if (after.length % 2 !== roster.length % 2) {
+            notes.push(after.length % 2
+                ? 'With ' + after.length + ' teams, one team sits out every period from ' + date + '.'
+                : 'With ' + after.length + ' teams, every team plays every period from ' + date + ' — no more byes.');
+        }
+        if (kind === 'join') {
+            notes.push(team + ' starts with ' + credit + ' bye' + (credit === 1 ? '' : 's') + ' credited'
+                + (mode === 'catchup'
+                    ? ' — the rest of the league sits before it does until it has caught up on games.'
+                    : ' — level with the least-benched team, so it takes its turn from here like everyone else.'));
+        } else {
+            var lost = {};
+            if (fp && Array.isArray(fp.fixtures)) {
+                fp.fixtures.forEach(function (f) {
+                    if (f.date < date) return;
+                    if (f.team1 === team) lost[f.team2] = (lost[f.team2] || 0) + 1;
+                    else if (f.team2 === team) lost[f.team1] = (lost[f.team1] || 0) + 1;
+                });
+            }
+            var names = Object.keys(lost);
+            notes.push(team + '’s games so far stay on record' + (names.length
+                ? '; planned games against it are re-paired (' + names.map(function (o) { return o + ' ×' + lost[o]; }).join(', ') + ').'
+                : '.'));
+        }
+        if (!plan) {
+            notes.push('No season plan in use — daily generation pairs least-met teams first, so the remaining opponents come round on their own.');
+        } else {
+            (plan.notes || []).forEach(function (n) { notes.push(n); });
+        }
+
+        return {
+            ok: true, league: league.name, date: date, kind: kind, team: team,
+            mode: kind === 'join' ? mode : null, credit: credit, entry: entry,
+            teams: rows, plan: plan, notes: notes
+        };
+    }
+
+    /**
+     * Make the change on the league object and the history blob handed in.
+     * Saving both is the caller's job (open() does it through the engine).
+     * opts: preview()'s opts, or { league, history, preview }
+     */
+    function apply(opts) {
+        var pv = opts.preview || preview(opts);
+        if (!pv.ok) return pv;
+        var league = opts.league, history = opts.history;
+        if (pv.kind === 'join') {
+            league.teams.push(pv.team);
+            league.standings = league.standings || {};
+            league.standings[pv.team] = league.standings[pv.team] || { w: 0, l: 0, t: 0 };
+            // A team created under a retired name is a new team (leagues.js).
+            try { if (window.LeagueTeamRename) window.LeagueTeamRename.dropAliasFor(league, pv.team); } catch (_) {}
+        } else {
+            league.teams = league.teams.filter(function (t) { return t !== pv.team; });
+            if (league.standings) delete league.standings[pv.team];
+        }
+        if (pv.plan) {
+            var fp = league.fixturePlan;
+            fp.days = pv.plan.days;
+            fp.fixtures = pv.plan.fixtures;
+            fp.byes = pv.plan.byes;
+            fp.notes = pv.plan.notes;
+            fp.generatedAt = new Date().toISOString();
+        }
+        history.rosterChanges = history.rosterChanges || {};
+        (history.rosterChanges[league.name] = history.rosterChanges[league.name] || []).push(pv.entry);
+        return pv;
+    }
+
+    // -------------------------------------------------------------------------
+    // Overlay
+    // -------------------------------------------------------------------------
+
+    function _history() {
+        var s = SCL();
+        try { if (s && typeof s.loadHistory === 'function') return s.loadHistory() || {}; } catch (_) {}
+        return {};
+    }
+
+    function _render() {
+        if (!_overlayEl || !_state) return;
+        var body = _overlayEl.querySelector('.lr-body');
+        var st = _state;
+        var pv = preview({ league: st.league, history: _history(), date: st.date, change: st.change, mode: st.mode });
+        var join = st.change.kind === 'join';
+        var h = '';
+        h += '<div class="lr-explainer">' + (join
+            ? '<b>' + esc(st.change.team) + '</b> joins <b>' + esc(st.league.name) + '</b> mid-season.'
+            : '<b>' + esc(st.change.team) + '</b> leaves <b>' + esc(st.league.name) + '</b> mid-season.')
+            + ' The change is recorded in the league history, so the bye ledger, the bye audit and the play report'
+            + ' count each team only for its time in the league.</div>';
+        h += '<div class="lr-controls"><label>From <input type="date" class="lr-date" value="' + esc(pv.date || st.date) + '"></label>';
+        if (join) {
+            h += '<label class="lr-mode"><input type="radio" name="lr-mode" value="catchup"' + (st.mode !== 'level' ? ' checked' : '') + '> Catch up on games</label>'
+                + '<label class="lr-mode"><input type="radio" name="lr-mode" value="level"' + (st.mode === 'level' ? ' checked' : '') + '> Start level from today</label>';
+        }
+        h += '</div>';
+        if (!pv.ok) {
+            h += '<div class="lr-warn">' + esc(pv.reason) + '</div>';
+        } else {
+            h += '<table class="lr-table"><thead><tr><th>Team</th><th>Games</th><th>Byes</th><th>Not yet met</th>'
+                + (pv.plan ? '<th>Rest of season</th>' : '') + '</tr></thead><tbody>';
+            pv.teams.forEach(function (r) {
+                var ahead = '';
+                if (pv.plan) {
+                    ahead = r.ahead
+                        ? r.ahead.games + ' games, ' + r.ahead.byes + ' byes'
+                            + (r.ahead.stillUnmet.length ? ' <span class="lr-dim">— never meets ' + esc(r.ahead.stillUnmet.join(', ')) + '</span>' : '')
+                        : '<span class="lr-dim">—</span>';
+                }
+                h += '<tr class="lr-' + r.status + '"><td>' + esc(r.team)
+                    + (r.status !== 'staying' ? ' <span class="lr-tag">' + r.status + '</span>' : '') + '</td>'
+                    + '<td>' + r.played + '</td>'
+                    + '<td>' + r.byes + (r.credit != null ? ' <span class="lr-dim">(+' + r.credit + ' credit)</span>' : '') + '</td>'
+                    + '<td>' + (r.status === 'leaving' ? '<span class="lr-dim">—</span>' : (r.unmet.length ? esc(r.unmet.join(', ')) : '<span class="lr-dim">none</span>')) + '</td>'
+                    + (pv.plan ? '<td>' + ahead + '</td>' : '') + '</tr>';
+            });
+            h += '</tbody></table>';
+            h += '<ul class="lr-notes">' + pv.notes.map(function (n) { return '<li>' + esc(n) + '</li>'; }).join('') + '</ul>';
+        }
+        h += '<div class="lr-actions"><button type="button" class="lr-cancel">Cancel</button>'
+            + '<button type="button" class="lr-apply"' + (pv.ok ? '' : ' disabled') + '>'
+            + esc(join ? 'Add ' + st.change.team : 'Remove ' + st.change.team) + '</button></div>';
+        body.innerHTML = h;
+
+        body.querySelector('.lr-date').onchange = function () { st.date = this.value; _render(); };
+        Array.prototype.forEach.call(body.querySelectorAll('input[name="lr-mode"]'), function (r) {
+            r.onchange = function () { st.mode = r.value; _render(); };
+        });
+        body.querySelector('.lr-cancel').onclick = close;
+        body.querySelector('.lr-apply').onclick = function () { _commit(); };
+    }
+
+    function _commit() {
+        var st = _state;
+        try {
+            if (window.AccessControl && typeof window.AccessControl.canEdit === 'function' && window.AccessControl.canEdit() === false) {
+                window.AccessControl.showPermissionDenied && window.AccessControl.showPermissionDenied('change league teams');
+                return;
+            }
+        } catch (_) {}
+        var s = SCL();
+        var history = _history();
+        // Re-bind to the LIVE league — loadLeaguesData rebuilds the objects on
+        // every focus/sync (same as the Season Plan overlay).
+        var live = (window.leaguesByName || {})[st.league.name] || st.league;
+        var pv = apply({ league: live, history: history, date: st.date, change: st.change, mode: st.mode });
+        if (!pv.ok) { alert(pv.reason); return; }
+        if (s && typeof s.saveHistory === 'function') s.saveHistory(history);
+        if (typeof window.saveLeaguesData === 'function') { try { window.saveLeaguesData(); } catch (_) {} }
+        console.log('[LeagueRestructure] ' + pv.team + ' ' + (pv.kind === 'join' ? 'joined' : 'left') + ' "'
+            + pv.league + '" from ' + pv.date + (pv.kind === 'join' ? ' (' + pv.credit + ' bye credit, ' + pv.mode + ')' : '')
+            + (pv.plan ? '; season plan re-planned' : ''));
+        var done = st.onDone;
+        close();
+        if (typeof done === 'function') done(pv);
+    }
+
+    // change: { kind: 'join' | 'drop', team }
+    function open(league, change, onDone) {
+        if (!league || !change || !str(change.team)) {
+            console.warn('[LeagueRestructure] open() requires a league and a change');
+            return;
+        }
+        if (_overlayEl) close();
+        _injectStyles();
+        _state = { league: league, change: { kind: change.kind === 'drop' ? 'drop' : 'join', team: str(change.team) },
+            mode: 'catchup', date: todayKey(), onDone: onDone };
+        _overlayEl = document.createElement('div');
+        _overlayEl.className = 'lr-overlay';
+        _overlayEl.innerHTML =
+            '<div class="lr-shell">' +
+              '<header class="lr-header">' +
+                '<div class="lr-title">Restructure — ' + esc(league.name) + '</div>' +
+                '<button class="lr-close" type="button" title="Close">&times;</button>' +
+              '</header>' +
+              '<div class="lr-body"></div>' +
+            '</div>';
+        document.body.appendChild(_overlayEl);
+        _overlayEl.querySelector('.lr-close').onclick = close;
+        var md = false;
+        _overlayEl.addEventListener('mousedown', function (e) { md = (e.target === _overlayEl); });
+        _overlayEl.addEventListener('click', function (e) { if (e.target === _overlayEl && md) close(); });
+        document.addEventListener('keydown', _escListener);
+        _render();
+    }
+
+    function close() {
+        if (!_overlayEl) return;
+        _overlayEl.remove();
+        _overlayEl = null;
+        _state = null;
+        document.removeEventListener('keydown', _escListener);
+    }
+
+    function _escListener(e) { if (e.key === 'Escape') close(); }
+
+    // Styles — the Season Plan overlay's palette.
+    function _injectStyles() {
+        if (document.getElementById('league-restructure-styles')) return;
+        var st = document.createElement('style');
+        st.id = 'league-restructure-styles';
+        st.textContent = [
+            '.lr-overlay{position:fixed;inset:0;background:rgba(15,23,42,0.5);z-index:9000;display:flex;align-items:flex-start;justify-content:center;padding:48px 24px;backdrop-filter:blur(3px);}',
+            '.lr-shell{flex:1;max-width:820px;max-height:100%;background:#fff;border-radius:14px;box-shadow:0 24px 60px rgba(0,0,0,0.3);display:flex;flex-direction:column;overflow:hidden;}',
+            '.lr-header{display:flex;align-items:center;justify-content:space-between;padding:16px 22px;border-bottom:1px solid #E5E7EB;background:#F9FAFB;}',
+            '.lr-title{font-size:1.1rem;font-weight:700;color:#0A4A56;letter-spacing:-0.01em;}',
+            '.lr-close{background:transparent;border:1px solid #E5E7EB;color:#475569;width:32px;height:32px;border-radius:8px;font-size:1.4rem;cursor:pointer;line-height:1;}',
+            '.lr-close:hover{background:#F1F5F9;border-color:#147D91;color:#147D91;}',
+            '.lr-body{overflow-y:auto;padding:20px 24px;display:flex;flex-direction:column;gap:14px;}',
+            '.lr-explainer{padding:12px 14px;background:#ECFEFF;border:1px solid #A5F3FC;border-radius:10px;color:#0A4A56;font-size:0.85rem;line-height:1.5;}',
+            '.lr-controls{display:flex;align-items:center;gap:16px;flex-wrap:wrap;font-size:0.85rem;color:#374151;}',
+            '.lr-controls input[type=date]{margin-left:6px;padding:5px 8px;border:1px solid #D1D5DB;border-radius:6px;}',
+            '.lr-mode{display:flex;align-items:center;gap:6px;cursor:pointer;}',
+            '.lr-warn{font-size:0.8rem;color:#B45309;background:#FFFBEB;border:1px solid #FDE68A;border-radius:8px;padding:8px 10px;}',
+            '.lr-table{width:100%;border-collapse:collapse;font-size:0.82rem;}',
+            '.lr-table th{text-align:left;font-size:0.7rem;font-weight:700;color:#6B7280;text-transform:uppercase;letter-spacing:0.05em;padding:6px 8px;border-bottom:1px solid #E5E7EB;}',
+            '.lr-table td{padding:6px 8px;border-bottom:1px solid #F3F4F6;vertical-align:top;}',
+            '.lr-joining td{background:#F0FDF4;}',
+            '.lr-leaving td{background:#FEF2F2;color:#6B7280;}',
+            '.lr-tag{font-size:0.65rem;font-weight:700;text-transform:uppercase;letter-spacing:0.05em;color:#147D91;}',
+            '.lr-dim{color:#9CA3AF;}',
+            '.lr-notes{margin:0;padding-left:18px;font-size:0.8rem;color:#475569;line-height:1.5;}',
+            '.lr-actions{display:flex;justify-content:flex-end;gap:8px;}',
+            '.lr-actions button{padding:8px 16px;border-radius:8px;font-size:0.85rem;font-weight:600;cursor:pointer;border:1px solid #CBD5E1;background:#fff;color:#475569;}',
+            '.lr-apply{background:#147D91 !important;border-color:#147D91 !important;color:#fff !important;}',
+            '.lr-apply:disabled{opacity:0.5;cursor:not-allowed;}'
+        ].join('');
+        document.head.appendChild(st);
+    }
+
+    var LeagueRestructure = {
+        VERSION: VERSION,
+        changesFor: changesFor,
+        rosterWindows: rosterWindows,
+        seasonStarted: seasonStarted,
+        records: records,
+        preview: preview,
+        apply: apply,
+        plannerInputs: plannerInputs,
+        open: open,
+        close: close
+    };
+
+    if (typeof window !== 'undefined') window.LeagueRestructure = LeagueRestructure;
+    if (typeof module !== 'undefined' && module.exports) module.exports = LeagueRestructure;
+})();
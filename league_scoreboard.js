@@ -0,0 +1,281 @@
+// =============================================================================
+// league_scoreboard.js — the data behind Live Mode's league scoreboard
+// =============================================================================
+// Print Center's Live Mode can swap its rotating schedule pages for a
+// scoreboard: one page per league with today's games and their scores, the
+// games still to come (time, field, sport), the current standings, and the
+// playoff bracket when the league is in playoffs. print_center.js owns the
+// rendering; this module only joins the three places the facts live:
+//
+//   window.leagueAssignments[division][slot]  — today's tiles: game label,
+//       time (_startMin/_endMin, or the slot itself) and the matchup lines
+//       "A vs B @ Field (Sport)". A league spanning several divisions writes
+//       the same game to each of them, so games are de-duplicated.
+//   league.games[]  — Game Results (leagues.js): { date, gameLabel,
+//       matches: [{ teamA, teamB, scoreA, scoreB }] }. Scores typed on the
+//       Leagues page land here and reach the kiosk through the camp_state
+//       realtime feed ('campistry-remote-change', key leaguesByName).
+//   league.playoff  — PlayoffMode's user-defined rounds; winners are entered
+//       in the Playoff Hub.
+//
+// Info lines on a tile (Chinuch, Bye, Inter-camp — no " vs ") are not games
+// and are skipped. A game typed straight into Game Results with no tile today
+// still shows, just without a time.
+//
+// Public API: window.LeagueScoreboard
+//   parseLine(str)            - { teamA, teamB, field, sport } or null
+//   gamesForDay(opts)         - { leagueName: [game, ...] } sorted by time
+//   statusOf(game, nowMin)    - 'final' | 'live' | 'upcoming'
+//   standingsFor(league, seedOrder) - [{ rank, team, w, l, t, diff }]
+//   bracketFor(league)        - { rounds, currentRound, champion } or null
+//   build(opts)               - [{ name, live, final, upcoming, standings, bracket }]
+//   signature(model)          - changes whenever anything shown changes
+// =============================================================================
+(function () {
+    'use strict';
+
+    function str(v) { return String(v == null ? '' : v).trim(); }
+    function pairKey(a, b) { return [str(a), str(b)].sort().join('|'); }
+    function num(v) { return (v === '' || v == null || isNaN(Number(v))) ? null : Number(v); }
+
+    // "A vs B @ Field (Sport)" — the tile format the league engine writes.
+    // Object matchups (older writers) carry the parts directly.
+    function parseLine(m) {
+        if (m && typeof m === 'object') {
+            var oa = str(m.teamA || m.team1), ob = str(m.teamB || m.team2);
+            if (oa && ob) return { teamA: oa, teamB: ob, field: str(m.field), sport: str(m.sport) };
+            if (m.display || m.matchup) return parseLine(String(m.display || m.matchup));
+            return null;
+        }
+        var s = str(m).replace(/^✗\s*/, '');
+        if (!/\s+vs\.?\s+/i.test(s)) return null;
+        var sport = '', field = '';
+        var pm = s.match(/\(([^)]+)\)\s*$/);
+        if (pm) { sport = pm[1].trim(); s = s.slice(0, pm.index).trim(); }
+        var am = s.match(/@\s*(.+)$/);
+        if (am) { field = am[1].trim(); s = s.slice(0, am.index).trim(); }
+        var parts = s.split(/\s+vs\.?\s+/i);
+        var a = str(parts[0]), b = str(parts[1]);
+        if (!a || !b) return null;
+        return { teamA: a, teamB: b, field: field, sport: sport };
+    }
+
+    // A tile's time. Auto mode keys tiles by start minute; manual mode keys
+    // them by slot index (small integers) and stamps _startMin/_endMin.
+    function tileTime(entry, key, slots) {
+        var k = Number(key);
+        var start = num(entry._startMin), end = num(entry._endMin);
+        slots = Array.isArray(slots) ? slots : [];
+        if (start == null && !isNaN(k)) {
+            if (k < 200 && slots[k]) { start = num(slots[k].startMin); if (end == null) end = num(slots[k].endMin); }
+            else start = k;
+        }
+        if (start != null && end == null) {
+            for (var i = 0; i < slots.length; i++) {
+                if (slots[i] && num(slots[i].startMin) === start) { end = num(slots[i].endMin); break; }
+            }
+        }
+        return { startMin: start, endMin: end };
+    }
+
+    function resultsFor(league, date) {
+        var byKey = {};
+        (league && Array.isArray(league.games) ? league.games : []).forEach(function (g) {
+            if (!g || g.date !== date) return;
+            (g.matches || []).forEach(function (mt) {
+                if (!mt || !mt.teamA || !mt.teamB) return;
+                byKey[str(g.gameLabel) + '#' + pairKey(mt.teamA, mt.teamB)] = { game: g, match: mt };
+            });
+        });
+        return byKey;
+    }
+
+    // Score oriented to the tile's own team order.
+    function applyScore(game, rec) {
+        var mt = rec.match;
+        var a = num(mt.scoreA), b = num(mt.scoreB);
+        if (str(mt.teamA) === game.teamA) { game.scoreA = a; game.scoreB = b; }
+        else { game.scoreA = b; game.scoreB = a; }
+    }
+
+    function playoffWinner(league, a, b) {
+        var p = league && league.playoff;
+        if (!p || !Array.isArray(p.rounds)) return null;
+        var key = pairKey(a, b), found = null;
+        p.rounds.forEach(function (r) {
+            (r && r.matchups || []).forEach(function (m) {
+                if (m && m.winner && m.teamA && m.teamB && pairKey(m.teamA, m.teamB) === key) found = m.winner;
+            });
+        });
+        return found;
+    }
+
+    /**
+     * Today's games per league.
+     * opts: { leagues: [league], assignments: leagueAssignments,
+     *         divisionTimes: { div: [slot] }, date }
+     */
+    function gamesForDay(opts) {
+        opts = opts || {};
+        var leagues = opts.leagues || [];
+        var assignments = opts.assignments || {};
+        var divTimes = opts.divisionTimes || {};
+        var out = {}, seen = {};
+        var byName = {};
+        leagues.forEach(function (l) { if (l && l.name) { byName[l.name] = l; out[l.name] = []; } });
+
+        Object.keys(assignments).forEach(function (div) {
+            var map = assignments[div] || {};
+            Object.keys(map).forEach(function (k) {
+                var entry = map[k];
+                if (!entry || !byName[entry.leagueName]) return;
+                var league = byName[entry.leagueName];
+                var t = tileTime(entry, k, divTimes[div]);
+                var label = str(entry.gameLabel) || 'League Game';
+                (entry.matchups || []).forEach(function (line) {
+                    var p = parseLine(line);
+                    if (!p) return;
+                    var id = league.name + '#' + label + '#' + pairKey(p.teamA, p.teamB);
+                    if (seen[id]) return;
+                    seen[id] = true;
+                    out[league.name].push({
+                        league: league.name, label: label,
+                        teamA: p.teamA, teamB: p.teamB,
+                        field: p.field, sport: p.sport || str(entry.sport),
+                        startMin: t.startMin, endMin: t.endMin,
+                        scoreA: null, scoreB: null,
+                        winner: playoffWinner(league, p.teamA, p.teamB)
+                    });
+                });
+            });
+        });
+
+        Object.keys(out).forEach(function (name) {
+            var league = byName[name];
+            var results = resultsFor(league, opts.date);
+            var used = {};
+            out[name].forEach(function (g) {
+                var key = g.label + '#' + pairKey(g.teamA, g.teamB);
+                if (results[key]) { applyScore(g, results[key]); used[key] = true; }
+            });
+            // Results entered by hand for a game with no tile today.
+            Object.keys(results).forEach(function (key) {
+                if (used[key]) return;
+                var rec = results[key];
+                var g = {
+                    league: name, label: str(rec.game.gameLabel) || 'League Game',
+                    teamA: str(rec.match.teamA), teamB: str(rec.match.teamB),
+                    field: '', sport: '', startMin: null, endMin: null,
+                    scoreA: null, scoreB: null,
+                    winner: playoffWinner(league, rec.match.teamA, rec.match.teamB)
+                };
+                applyScore(g, rec);
+                out[name].push(g);
+            });
+            out[name].sort(function (x, y) {
+                var xs = x.startMin == null ? Infinity : x.startMin;
+                var ys = y.startMin == null ? Infinity : y.startMin;
+                return xs - ys || x.label.localeCompare(y.label) || x.teamA.localeCompare(y.teamA);
+            });
+        });
+        return out;
+    }
+
+    // A game is final once it has ended, or has a result and no time to go
+    // by; it is live while its period runs (scores show as they are typed).
+    function statusOf(game, nowMin) {
+        var hasScore = game.scoreA != null && game.scoreB != null;
+        if (game.startMin == null) return (hasScore || game.winner) ? 'final' : 'upcoming';
+        if (nowMin < game.startMin) return 'upcoming';
+        var end = game.endMin != null ? game.endMin : game.startMin + 60;
+        return nowMin < end ? 'live' : 'final';
+    }
+
+    function standingsFor(league, seedOrder) {
+        if (!league || !Array.isArray(league.teams) || !league.teams.length) return [];
+        var order = null;
+        try { if (typeof seedOrder === 'function') order = seedOrder(league); } catch (_) { order = null; }
+        if (!Array.isArray(order) || !order.length) order = league.teams.slice();
+        var st = league.standings || {};
+        return order.map(function (team, i) {
+            var s = st[team] || {};
+            return { rank: i + 1, team: team, w: s.w || 0, l: s.l || 0, t: s.t || 0, diff: s.diff || 0 };
+        });
+    }
+
+    // The bracket as the Playoff Hub built it. A side nobody has filled yet
+    // reads as its source ("Winner of R1 #2") when playoff_bracket.js wired it.
+    function bracketFor(league) {
+        var p = league && league.playoff;
+        if (!p || !p.enabled || !Array.isArray(p.rounds) || !p.rounds.length) return null;
+        var PB = (typeof window !== 'undefined') ? window.PlayoffBracket : null;
+        function side(m, which) {
+            var t = str(which === 'a' ? m.teamA : m.teamB);
+            if (t) return { team: t, placeholder: false };
+            var label = '';
+            try { if (PB && typeof PB.sourceLabel === 'function') label = PB.sourceLabel(p, m.id, which) || ''; } catch (_) {}
+            return { team: label || 'TBD', placeholder: true };
+        }
+        var rounds = p.rounds.filter(Boolean).map(function (r) {
+            return {
+                number: r.number,
+                matchups: (r.matchups || []).filter(Boolean).map(function (m) {
+                    var a = side(m, 'a'), b = side(m, 'b');
+                    return {
+                        teamA: a.team, teamB: b.team,
+                        placeholderA: a.placeholder, placeholderB: b.placeholder,
+                        winner: m.winner || null,
+                        sport: str(m.sport), field: str(m.field)
+                    };
+                }),
+                byes: (r.byes || []).filter(Boolean).slice()
+            };
+        });
+        var champion = null;
+        var PM = (typeof window !== 'undefined') ? window.PlayoffMode : null;
+        try { if (PM && typeof PM.getChampion === 'function') champion = PM.getChampion(league); } catch (_) {}
+        return { rounds: rounds, currentRound: p.currentRound || 1, champion: champion || null };
+    }
+
+    /**
+     * One entry per league, in the order given.
+     * opts: gamesForDay's opts plus { nowMin, seedOrder: fn(league) }
+     */
+    function build(opts) {
+        opts = opts || {};
+        var games = gamesForDay(opts);
+        var nowMin = opts.nowMin || 0;
+        return (opts.leagues || []).filter(function (l) { return l && l.name; }).map(function (league) {
+            var live = [], fin = [], upcoming = [];
+            (games[league.name] || []).forEach(function (g) {
+                var s = statusOf(g, nowMin);
+                (s === 'live' ? live : s === 'final' ? fin : upcoming).push(g);
+            });
+            return {
+                name: league.name,
+                live: live,
+                final: fin,
+                upcoming: upcoming,
+                standings: standingsFor(league, opts.seedOrder),
+                bracket: bracketFor(league)
+            };
+        });
+    }
+
+    function signature(model) {
+        return JSON.stringify(model || []);
+    }
+
+    var LeagueScoreboard = {
+        parseLine: parseLine,
+        gamesForDay: gamesForDay,
+        statusOf: statusOf,
+        standingsFor: standingsFor,
+        bracketFor: bracketFor,
+        build: build,
+        signature: signature
+    };
+
+    if (typeof window !== 'undefined') window.LeagueScoreboard = LeagueScoreboard;
+    if (typeof module !== 'undefined' && module.exports) module.exports = LeagueScoreboard;
+})();
@@ -264,6 +264,8 @@
             //   wiped enable/style/seeds/rounds and made the bracket appear
             //   to "shut off" until the user re-toggled it.
             playoff: (league.playoff && typeof league.playoff === 'object') ? league.playoff : undefined,
+            // Season fixture plan (fixture_plan.js) — verbatim, same reason.
+            fixturePlan: (league.fixturePlan && typeof league.fixturePlan === 'object') ? league.fixturePlan : undefined,
             indoorRequirement: (league.indoorRequirement && typeof league.indoorRequirement === 'object')
                 ? {
                     enabled: league.indoorRequirement.enabled === true,
@@ -991,6 +993,17 @@
         playoffBtn.textContent = _playoffActive ? 'Playoff: ON' : 'Playoff Mode';
         playoffBtn.className = 'league-btn-neutral' + (_playoffActive ? ' active' : '');
 
+        // SEASON PLAN BUTTON
+        const planBtn = document.createElement('button');
+        const _planActive = !!(league.fixturePlan && league.fixturePlan.enabled);
+        planBtn.textContent = _planActive ? 'Season Plan: ON' : 'Season Plan';
+        planBtn.className = 'league-btn-neutral' + (_planActive ? ' active' : '');
+
+        // INTER-CAMP BUTTON
+        const interCampBtn = document.createElement('button');
+        interCampBtn.textContent = 'Inter-Camp';
+        interCampBtn.className = 'league-btn-neutral';
+
         // DELETE BUTTON
         const delBtn = document.createElement('button');
         delBtn.textContent = 'Delete';
@@ -1011,7 +1024,7 @@
             }
         };
 
-        btnGroup.append(editConfigBtn, playoffBtn, delBtn);
+        btnGroup.append(editConfigBtn, playoffBtn, planBtn, interCampBtn, delBtn);
         header.append(title, btnGroup);
         detailPaneEl.appendChild(header);
 
@@ -1047,6 +1060,23 @@
             }
         };
 
+        planBtn.onclick = function () {
+            if (window.FixturePlanHub && typeof window.FixturePlanHub.open === 'function') {
+                window.FixturePlanHub.open(league);
+            } else {
+                alert('Season Plan module not loaded.');
+            }
+        };
+
+        // Games against other camps on the platform (inter_camp_fixtures.js).
+        interCampBtn.onclick = function () {
+            if (window.InterCampFixtures && typeof window.InterCampFixtures.open === 'function') {
+                window.InterCampFixtures.open(league);
+            } else {
+                alert('Inter-Camp module not loaded.');
+            }
+        };
+
         // --- MAIN CONTENT (Standings/Results) ---
         const mainContent = document.createElement('div');
         renderGameResultsUI(league, mainContent);
@@ -1073,6 +1103,27 @@
         });
     }
 
+    // =========================================================================
+    // ★ MID-SEASON ROSTER CHANGE (see league_restructure.js)
+    // =========================================================================
+    // Once the league has games on record, adding or removing a team opens the
+    // restructure preview instead of editing the roster in place: it records
+    // the change in the league history (so the bye ledger, the bye audit and
+    // the play report count the team only for its time in the league) and
+    // re-plans the season plan around it. Returns true when it took over.
+    function _openRestructure(league, container, change) {
+        const LR = window.LeagueRestructure;
+        if (!LR || typeof LR.open !== 'function') return false;
+        let history = {};
+        try { history = window.SchedulerCoreLeagues?.getHistorySnapshot?.() || {}; } catch (_) {}
+        if (!LR.seasonStarted(league, history)) return false;
+        LR.open(league, change, function () {
+            const live = leaguesByName[league.name] || league;
+            renderConfigSections(live, container);
+        });
+        return true;
+    }
+
     // =========================================================================
     // ★ TEAM RENAME (see league_team_rename.js for the identity model)
     // =========================================================================
@@ -1492,6 +1543,9 @@
             };
             removeSpan.onclick = function (ev) {
                 ev.stopPropagation();
+                // Mid-season, a removal goes through the restructure preview so
+                // the bye ledger and the season plan follow the new roster.
+                if (_openRestructure(league, container, { kind: 'drop', team: team })) return;
                 league.teams = league.teams.filter(t => t !== team);
                 delete league.standings[team];
                 saveLeaguesData();
@@ -1508,6 +1562,7 @@
             if (e.key === 'Enter' && teamInput.value.trim()) {
                 const t = teamInput.value.trim();
                 if (!league.teams.includes(t)) {
+                    if (_openRestructure(league, container, { kind: 'join', team: t })) { teamInput.value = ''; return; }
                     league.teams.push(t);
                     league.standings[t] = { w: 0, l: 0, t: 0 };
                     // A team CREATED with a previously-retired name is a genuinely
@@ -1525,7 +1580,8 @@
 
         const renameHint = document.createElement('div');
         renameHint.textContent = 'Tip: click a team’s name to rename it. Renaming keeps its standings, '
-            + 'results and who-played-who history — so "Team 1" becoming "The Pancakes" is still the same team.';
+            + 'results and who-played-who history — so "Team 1" becoming "The Pancakes" is still the same team. '
+            + 'Once games are on record, adding or removing a team first previews how the rest of the season changes.';
         renameHint.style.cssText = 'margin-top:8px; font-size:0.72rem; color:#6B7280; line-height:1.45;';
         teamCard.appendChild(renameHint);
 
@@ -2383,27 +2439,37 @@
         tabNav.innerHTML =
             '<button id="tab-standings" class="league-tab-btn active">Current Standings</button>' +
             '<button id="tab-games" class="league-tab-btn">Game Results / History</button>' +
-            '<button id="tab-playhistory" class="league-tab-btn">Play History</button>';
+            '<button id="tab-playhistory" class="league-tab-btn">Play History</button>' +
+            '<button id="tab-playerstats" class="league-tab-btn">Player Stats</button>' +
+            '<button id="tab-forecast" class="league-tab-btn">Field Forecast</button>';
         container.appendChild(tabNav);
 
         const standingsDiv = document.createElement('div');
         const gamesDiv = document.createElement('div');
         const playHistDiv = document.createElement('div');
+        const statsDiv = document.createElement('div');
+        const forecastDiv = document.createElement('div');
         gamesDiv.style.display = 'none';
         playHistDiv.style.display = 'none';
+        statsDiv.style.display = 'none';
+        forecastDiv.style.display = 'none';
         container.appendChild(standingsDiv);
         container.appendChild(gamesDiv);
         container.appendChild(playHistDiv);
+        container.appendChild(statsDiv);
+        container.appendChild(forecastDiv);
 
         const btnStd = tabNav.querySelector('#tab-standings');
         const btnGms = tabNav.querySelector('#tab-games');
         const btnHist = tabNav.querySelector('#tab-playhistory');
+        const btnStats = tabNav.querySelector('#tab-playerstats');
+        const btnForecast = tabNav.querySelector('#tab-forecast');
 
         // ★ FIX: Null checks for tab buttons
-        if (!btnStd || !btnGms || !btnHist) return;
+        if (!btnStd || !btnGms || !btnHist || !btnStats || !btnForecast) return;
 
-        const allBtns = [btnStd, btnGms, btnHist];
-        const allDivs = [standingsDiv, gamesDiv, playHistDiv];
+        const allBtns = [btnStd, btnGms, btnHist, btnStats, btnForecast];
+        const allDivs = [standingsDiv, gamesDiv, playHistDiv, statsDiv, forecastDiv];
         const setTab = function (activeBtn, activeDiv) {
             allBtns.forEach(function (b) { b.className = 'league-tab-btn' + (b === activeBtn ? ' active' : ''); });
             allDivs.forEach(function (d) { d.style.display = d === activeDiv ? 'block' : 'none'; });
@@ -2430,6 +2496,29 @@
             }
         };
 
+        // ★ Player Stats — season leaderboards from the per-camper stat
+        //   lines entered with "Stats" on each game (league_player_stats.js).
+        btnStats.onclick = function () {
+            setTab(btnStats, statsDiv);
+            if (window.LeaguePlayerStats && typeof window.LeaguePlayerStats.renderLeaderboard === 'function') {
+                window.LeaguePlayerStats.renderLeaderboard(league, statsDiv);
+            } else {
+                statsDiv.innerHTML = '<p class="league-empty-state">Player stats module not loaded.</p>';
+            }
+        };
+
+        // ★ Field Forecast — will this league get its fields on the coming
+        //   league days, or does a specialty league take them first
+        //   (league_field_forecast.js).
+        btnForecast.onclick = function () {
+            setTab(btnForecast, forecastDiv);
+            if (window.LeagueFieldForecast && typeof window.LeagueFieldForecast.renderView === 'function') {
+                window.LeagueFieldForecast.renderView(forecastDiv, { focus: league.name, kind: 'regular' });
+            } else {
+                forecastDiv.innerHTML = '<p class="league-empty-state">Field forecast module not loaded.</p>';
+            }
+        };
+
         renderStandingsTable(league, standingsDiv);
     }
 
@@ -3040,6 +3129,25 @@
             };
             actionsDiv.appendChild(deleteBtn);
         }
+
+        // ★ PLAYER STATS: per-camper stat lines for this match
+        //   (league_player_stats.js). Open on past games too — stats are
+        //   often entered the day after.
+        if (window.LeaguePlayerStats && match.teamA && match.teamB) {
+            const statsBtn = document.createElement('button');
+            const nLines = window.LeaguePlayerStats.linesFor(league.name, game.date, game.gameLabel, match.teamA, match.teamB);
+            statsBtn.textContent = nLines ? 'Stats (' + nLines + ')' : 'Stats';
+            statsBtn.className = 'league-match-stats' + (nLines ? ' has-stats' : '');
+            statsBtn.title = 'Enter goals, points, hits… for each player in this game';
+            statsBtn.onclick = () => {
+                window.LeaguePlayerStats.openEntry(league, game, match, () => {
+                    const n = window.LeaguePlayerStats.linesFor(league.name, game.date, game.gameLabel, match.teamA, match.teamB);
+                    statsBtn.textContent = n ? 'Stats (' + n + ')' : 'Stats';
+                    statsBtn.className = 'league-match-stats' + (n ? ' has-stats' : '');
+                });
+            };
+            actionsDiv.insertBefore(statsBtn, actionsDiv.firstChild);
+        }
         
         // Auto-save handler
         const handleScoreChange = () => {
@@ -3655,6 +3763,16 @@
         return leaguesByName[name] || null;
     };
 
+    /**
+     * Playoff seeding: teams in Standings-tab order (record, head-to-head,
+     * point differential), seed 1 first. Used by playoff_bracket.js.
+     */
+    window.getLeagueSeedOrder = function (league) {
+        if (!league || !Array.isArray(league.teams)) return [];
+        recalcStandings(league);
+        return sortTeamsByStandings(league);
+    };
+
     /**
      * ★ NEW: Refresh leagues from storage
      */
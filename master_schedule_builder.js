@@ -277,6 +277,7 @@ function saveDraftToLocalStorage() {
       localStorage.removeItem(SKELETON_DRAFT_NAME_KEY);
     }
   } catch (e) { console.error(e); }
+  _mbHistory()?.checkpoint();
 }
 
 function clearDraftFromLocalStorage() {
@@ -289,6 +290,38 @@ function markUnsavedChanges() {
   updateToolbarStatus();
 }
 
+// --- Undo / Redo (edit_history.js) ---
+// Every draft save records one step — manual mode snapshots dailySkeleton,
+// auto mode dawLayers. Span edits are already mirrored by
+// _mbSyncSpanSiblings when the save runs, so a grade-wide change undoes
+// as one step. A mode switch starts a fresh history.
+let _mbHist = null;
+function _mbHistory() {
+  if (!_mbHist && window.EditHistory) {
+    _mbHist = window.EditHistory.create('master-builder', {
+      capture: () => (currentBuilderMode === 'auto' ? dawLayers : dailySkeleton),
+      scope: () => currentBuilderMode,
+      noun: () => (currentBuilderMode === 'auto' ? 'layer' : 'tile'),
+      isActive: () => !!(container && container.isConnected && container.offsetParent !== null),
+      apply: (state) => {
+        if (currentBuilderMode === 'auto') {
+          dawLayers = (state && typeof state === 'object') ? state : {};
+          dawSelectedBand = null;
+          saveDAWLayers();
+          renderDAWGrid();
+        } else {
+          dailySkeleton = _mbRepairSpans(Array.isArray(state) ? state : []);
+          selectedTileId = null;
+          markUnsavedChanges();
+          saveDraftToLocalStorage();
+          renderGrid();
+        }
+      }
+    });
+  }
+  return _mbHist;
+}
+
 // --- Tiles (Soft Pastel Color Palette) ---
 const TILES=[
   // Scheduling Slots - Soft blues and greens
@@ -1200,6 +1233,9 @@ function init(targetElement = null){
 
   // Global keyboard listener for Delete key
   document.addEventListener('keydown', handleKeyDown);
+
+  // Fresh history for what was just loaded (Ctrl+Z / Ctrl+Shift+Z)
+  _mbHistory()?.reset();
 }
 
 function handleKeyDown(e) {
@@ -1709,6 +1745,7 @@ function renderToolbar() {
       currentLoadedTemplate = null;
       hasUnsavedChanges = false;
       clearDraftFromLocalStorage();
+      _mbHistory()?.reset();
       renderGrid();
       renderToolbar();
     }
@@ -1734,6 +1771,7 @@ function renderToolbar() {
           dailySkeleton = [];
           hasUnsavedChanges = false;
           clearDraftFromLocalStorage();
+          _mbHistory()?.reset();
           renderGrid();
         }
 
@@ -1826,6 +1864,7 @@ function loadDAWLayers() {
       dawLayers[d] = [];
     });
   }
+  _mbHistory()?.adopt();
 }
 
 function saveDAWLayers(forceTemplateName = null) {
@@ -1839,6 +1878,7 @@ function saveDAWLayers(forceTemplateName = null) {
   g.app1.autoLayerTemplatePeriods[templateKey] = JSON.parse(JSON.stringify(window.campPeriods || {}));
   window.saveGlobalSettings?.('app1', g.app1);
   window.forceSyncToCloud?.();
+  _mbHistory()?.checkpoint();
 }
 
 function applyTemplatePeriods(templateName) {
@@ -4319,6 +4359,8 @@ function msbCleanupOrphanChangeTiles() {
   });
   if (dailySkeleton.length !== before) {
     console.log(`[MSB-CLEANUP] Removed ${before - dailySkeleton.length} orphan Change tile(s)`);
+    // Part of the edit that orphaned them — not a step of its own.
+    _mbHistory()?.amend();
     if (typeof saveDraftToLocalStorage === 'function') saveDraftToLocalStorage();
   }
 }
@@ -5809,6 +5851,7 @@ function loadSkeletonToBuilder(name) {
     if (Array.isArray(savedOrders[name]) && savedOrders[name].length > 0) {
       saveColumnOrder(savedOrders[name]);
     }
+    _mbHistory()?.reset();
   }
   renderGrid();
   renderToolbar();
@@ -5833,6 +5876,9 @@ window.initMasterScheduler = init;
 window.MasterSchedulerInternal = {
   get dailySkeleton() { return dailySkeleton; },
   setSkeleton: function(newSkeleton) { dailySkeleton = newSkeleton; },
+  // ★ Undo / redo of builder edits (same as Ctrl+Z / Ctrl+Shift+Z)
+  undo: function() { return _mbHistory()?.undo() || null; },
+  redo: function() { return _mbHistory()?.redo() || null; },
   markUnsavedChanges: typeof markUnsavedChanges === 'function' ? markUnsavedChanges : function(){},
   saveDraftToLocalStorage: typeof saveDraftToLocalStorage === 'function' ? saveDraftToLocalStorage : function(){},
   renderGrid: typeof renderGrid === 'function' ? renderGrid : function(){},
@@ -5901,6 +5947,7 @@ window.MasterSchedulerInternal = {
         hasUnsavedChanges = false;
         clearDraftFromLocalStorage();
         loadDailySkeleton();
+        _mbHistory()?.reset();
         renderGrid();
         renderToolbar();
         renderExpandSection();
@@ -0,0 +1,222 @@
+-- ============================================================================
+-- Migration: inter_camp_fixtures — league games between two Campistry camps
+--
+-- Why: away / off-campus games were only internal counters
+--      (offCampusCounts in league history). inter_camp_fixtures.js lets two
+--      camps on the platform agree on a game — date, time, site — and share
+--      its score. Every other table is scoped to ONE camp_id; this one is
+--      the only place two camps meet, so it is kept deliberately narrow:
+--
+--   * A row is visible to exactly its two camps (home_camp_id /
+--     away_camp_id). Nothing here opens camps, camp_state_kv or any other
+--     camp-scoped table to the opponent — each camp writes its OWN name,
+--     league and team onto the row; that is all the other side ever sees.
+--   * The guard trigger (section 3) decides which columns each side may
+--     touch, because RLS is row-level only: a camp edits its own half
+--     (league, team, name; the site if it hosts), the proposer sets the
+--     terms while the game is still a proposal, only the OTHER camp can
+--     agree or decline, either camp can cancel, and scores are entered
+--     only on an agreed game (stamped with who entered them and when).
+--   * No DELETE policy. The row is the other camp's record too — a game
+--     that is off is cancelled, not removed.
+--
+-- Idempotent: CREATE TABLE IF NOT EXISTS, CREATE OR REPLACE FUNCTION,
+-- DROP TRIGGER / DROP POLICY IF EXISTS before every CREATE.
+--
+-- Columns mirror what inter_camp_fixtures.js reads/writes.
+-- ============================================================================
+
+-- ─── 1. Table ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS inter_camp_fixtures (
+    id              uuid          NOT NULL DEFAULT gen_random_uuid(),
+    home_camp_id    uuid          NOT NULL,
+    away_camp_id    uuid          NOT NULL,
+    proposed_by     uuid          NOT NULL,
+    home_camp_name  text          NOT NULL DEFAULT '',
+    away_camp_name  text          NOT NULL DEFAULT '',
+    home_league     text,
+    home_team       text,
+    away_league     text,
+    away_team       text,
+    game_date       date          NOT NULL,
+    start_min       integer       NOT NULL,
+    end_min         integer       NOT NULL,
+    sport           text          NOT NULL DEFAULT '',
+    site            text          NOT NULL DEFAULT '',   -- the home camp's field
+    note            text          NOT NULL DEFAULT '',
+    status          text          NOT NULL DEFAULT 'proposed',
+    home_score      integer,
+    away_score      integer,
+    score_by        uuid,
+    score_at        timestamptz,
+    created_at      timestamptz   NOT NULL DEFAULT now(),
+    updated_at      timestamptz   NOT NULL DEFAULT now(),
+    PRIMARY KEY (id),
+    CONSTRAINT inter_camp_fixtures_two_camps CHECK (home_camp_id <> away_camp_id),
+    CONSTRAINT inter_camp_fixtures_proposer  CHECK (proposed_by IN (home_camp_id, away_camp_id)),
+    CONSTRAINT inter_camp_fixtures_window    CHECK (start_min >= 0 AND end_min > start_min AND end_min <= 1440),
+    CONSTRAINT inter_camp_fixtures_status    CHECK (status IN ('proposed', 'agreed', 'declined', 'cancelled')),
+    CONSTRAINT inter_camp_fixtures_scores    CHECK (
+        (home_score IS NULL OR home_score >= 0) AND (away_score IS NULL OR away_score >= 0)
+    )
+);
+
+-- refresh() reads every fixture of one camp, from either side
+CREATE INDEX IF NOT EXISTS idx_inter_camp_fixtures_home
+    ON inter_camp_fixtures (home_camp_id, game_date);
+CREATE INDEX IF NOT EXISTS idx_inter_camp_fixtures_away
+    ON inter_camp_fixtures (away_camp_id, game_date);
+
+-- ─── 2. Row-Level Security ─────────────────────────────────────────────────
+ALTER TABLE inter_camp_fixtures ENABLE ROW LEVEL SECURITY;
+
+-- SELECT: members of either camp (same reach as schedule_versions).
+DROP POLICY IF EXISTS inter_camp_fixtures_select ON inter_camp_fixtures;
+CREATE POLICY inter_camp_fixtures_select ON inter_camp_fixtures
+    FOR SELECT
+    USING (get_user_camp_id() IN (home_camp_id, away_camp_id));
+
+-- INSERT: a scheduler-tier member proposes, as one of the two camps, and a
+-- new row is always a bare proposal: the opponent's half (name, league,
+-- team) is left blank for the opponent to fill, and there is no score.
+DROP POLICY IF EXISTS inter_camp_fixtures_insert ON inter_camp_fixtures;
+CREATE POLICY inter_camp_fixtures_insert ON inter_camp_fixtures
+    FOR INSERT
+    WITH CHECK (
+        proposed_by = get_user_camp_id()
+        AND get_user_role() = ANY (ARRAY['owner'::text, 'admin'::text, 'scheduler'::text])
+        AND status = 'proposed'
+        AND home_score IS NULL AND away_score IS NULL
+        AND score_by IS NULL AND score_at IS NULL
+        AND (proposed_by = away_camp_id OR (
+                away_camp_name = ''
+            AND COALESCE(away_league, '') = ''
+            AND COALESCE(away_team, '') = ''))
+        AND (proposed_by = home_camp_id OR (
+                home_camp_name = ''
+            AND COALESCE(home_league, '') = ''
+            AND COALESCE(home_team, '') = ''))
+    );
+
+-- UPDATE: a scheduler-tier member of either camp. WHICH columns they may
+-- change is the guard trigger's job.
+DROP POLICY IF EXISTS inter_camp_fixtures_update ON inter_camp_fixtures;
+CREATE POLICY inter_camp_fixtures_update ON inter_camp_fixtures
+    FOR UPDATE
+    USING (
+        get_user_camp_id() IN (home_camp_id, away_camp_id)
+        AND get_user_role() = ANY (ARRAY['owner'::text, 'admin'::text, 'scheduler'::text])
+    )
+    WITH CHECK (
+        get_user_camp_id() IN (home_camp_id, away_camp_id)
+        AND get_user_role() = ANY (ARRAY['owner'::text, 'admin'::text, 'scheduler'::text])
+    );
+
+-- ─── 3. Column guard ───────────────────────────────────────────────────────
+-- Runs as the caller, so get_user_camp_id() is the editing camp. A NULL
+-- auth.uid() is the service role / SQL editor — operator repairs pass.
+CREATE OR REPLACE FUNCTION public.inter_camp_fixtures_guard()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    me uuid := public.get_user_camp_id();
+BEGIN
+    IF auth.uid() IS NULL THEN
+        NEW.updated_at := now();
+        RETURN NEW;
+    END IF;
+
+    IF NEW.home_camp_id IS DISTINCT FROM OLD.home_camp_id
+       OR NEW.away_camp_id IS DISTINCT FROM OLD.away_camp_id
+       OR NEW.proposed_by IS DISTINCT FROM OLD.proposed_by
+       OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+        RAISE EXCEPTION 'inter-camp fixture: the camps on a fixture cannot be changed';
+    END IF;
+
+    IF OLD.status IN ('declined', 'cancelled') THEN
+        RAISE EXCEPTION 'inter-camp fixture: a % fixture is final', OLD.status;
+    END IF;
+
+    -- Each camp's half of the row belongs to that camp alone.
+    IF me <> OLD.home_camp_id AND (
+           NEW.home_camp_name IS DISTINCT FROM OLD.home_camp_name
+        OR NEW.home_league IS DISTINCT FROM OLD.home_league
+        OR NEW.home_team IS DISTINCT FROM OLD.home_team
+        OR NEW.site IS DISTINCT FROM OLD.site) THEN
+        RAISE EXCEPTION 'inter-camp fixture: only the home camp edits its team and field';
+    END IF;
+    IF me <> OLD.away_camp_id AND (
+           NEW.away_camp_name IS DISTINCT FROM OLD.away_camp_name
+        OR NEW.away_league IS DISTINCT FROM OLD.away_league
+        OR NEW.away_team IS DISTINCT FROM OLD.away_team) THEN
+        RAISE EXCEPTION 'inter-camp fixture: only the away camp edits its team';
+    END IF;
+
+    -- Date, time, sport and note: the proposer, while it is a proposal.
+    IF NEW.game_date IS DISTINCT FROM OLD.game_date
+       OR NEW.start_min IS DISTINCT FROM OLD.start_min
+       OR NEW.end_min IS DISTINCT FROM OLD.end_min
+       OR NEW.sport IS DISTINCT FROM OLD.sport
+       OR NEW.note IS DISTINCT FROM OLD.note THEN
+        IF OLD.status <> 'proposed' OR me <> OLD.proposed_by THEN
+            RAISE EXCEPTION 'inter-camp fixture: terms change only on a proposal, by the camp that proposed it';
+        END IF;
+    END IF;
+
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        IF NEW.status IN ('agreed', 'declined') THEN
+            IF OLD.status <> 'proposed' OR me = OLD.proposed_by THEN
+                RAISE EXCEPTION 'inter-camp fixture: only the invited camp answers a proposal';
+            END IF;
+            IF NEW.status = 'agreed' AND (
+                   coalesce(NEW.home_team, '') = '' OR coalesce(NEW.away_team, '') = ''
+                OR coalesce(NEW.site, '') = '') THEN
+                RAISE EXCEPTION 'inter-camp fixture: both teams and the home field are needed to agree';
+            END IF;
+        ELSIF NEW.status <> 'cancelled' THEN
+            RAISE EXCEPTION 'inter-camp fixture: cannot move a fixture back to %', NEW.status;
+        END IF;
+    END IF;
+
+    IF NEW.home_score IS DISTINCT FROM OLD.home_score
+       OR NEW.away_score IS DISTINCT FROM OLD.away_score THEN
+        IF NEW.status <> 'agreed' THEN
+            RAISE EXCEPTION 'inter-camp fixture: scores go on an agreed fixture only';
+        END IF;
+        NEW.score_by := me;
+        NEW.score_at := now();
+    ELSIF NEW.score_by IS DISTINCT FROM OLD.score_by
+       OR NEW.score_at IS DISTINCT FROM OLD.score_at THEN
+        RAISE EXCEPTION 'inter-camp fixture: the score stamp is set by the server';
+    END IF;
+
+    NEW.updated_at := now();
+    RETURN NEW;
+END
+$$;
+
+DROP TRIGGER IF EXISTS inter_camp_fixtures_guard ON inter_camp_fixtures;
+CREATE TRIGGER inter_camp_fixtures_guard
+    BEFORE UPDATE ON inter_camp_fixtures
+    FOR EACH ROW EXECUTE FUNCTION public.inter_camp_fixtures_guard();
+
+-- ─── 4. Realtime publication (optional; matches sibling tables) ─────────────
+-- A score saved at one camp reaches the other camp's open Leagues page.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        BEGIN
+            ALTER PUBLICATION supabase_realtime ADD TABLE inter_camp_fixtures;
+        EXCEPTION WHEN duplicate_object THEN
+            NULL;
+        END;
+    END IF;
+END $$;
+
+-- ─── Sanity check ──────────────────────────────────────────────────────────
+--   SELECT polname, cmd, qual, with_check
+--   FROM pg_policies
+--   WHERE tablename = 'inter_camp_fixtures'
+--   ORDER BY polname;
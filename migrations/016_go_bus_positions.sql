@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Migration: go_bus_positions — live GPS fixes for Campistry Go buses
+--
+-- Why: approved routes were not followed on the day. The bus-positions edge
+--      function writes one row per fix (a driver's phone or a tracker bridge
+--      posting as a camp member); campistry_go_tracking.js backfills the last
+--      few minutes and then listens for INSERTs to move the buses on the map
+--      and re-project stop ETAs.
+--
+--   * Append-only: no UPDATE or DELETE policy. A fix is a fact about where a
+--     bus was; old rows are pruned by the operator (see the note at the end).
+--   * Any accepted member of the camp may post and read — drivers are not
+--     scheduler-tier, and a position says nothing about campers.
+--   * camp_id is checked against get_user_camp_id() on insert, so a fix can
+--     only land in the poster's own camp.
+--
+-- Idempotent: CREATE TABLE IF NOT EXISTS, DROP POLICY IF EXISTS before every
+-- CREATE.
+--
+-- Columns mirror what bus-positions/index.ts writes and
+-- campistry_go_tracking.js reads.
+-- ============================================================================
+
+-- ─── 1. Table ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS go_bus_positions (
+    id              bigint        GENERATED ALWAYS AS IDENTITY,
+    camp_id         uuid          NOT NULL,
+    bus_id          text          NOT NULL,
+    shift_idx       integer,                               -- NULL: nearest window
+    lat             double precision NOT NULL,
+    lng             double precision NOT NULL,
+    speed_mps       real,
+    heading         real,
+    recorded_at     timestamptz   NOT NULL,                -- the device's clock
+    received_at     timestamptz   NOT NULL DEFAULT now(),
+    posted_by       uuid          DEFAULT auth.uid(),
+    PRIMARY KEY (id),
+    CONSTRAINT go_bus_positions_lat CHECK (lat BETWEEN -90 AND 90),
+    CONSTRAINT go_bus_positions_lng CHECK (lng BETWEEN -180 AND 180)
+);
+
+-- connect() reads one camp's fixes since a cut-off
+CREATE INDEX IF NOT EXISTS idx_go_bus_positions_camp_time
+    ON go_bus_positions (camp_id, recorded_at DESC);
+
+-- ─── 2. Row-Level Security ─────────────────────────────────────────────────
+ALTER TABLE go_bus_positions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS go_bus_positions_select ON go_bus_positions;
+CREATE POLICY go_bus_positions_select ON go_bus_positions
+    FOR SELECT
+    USING (camp_id = get_user_camp_id());
+
+DROP POLICY IF EXISTS go_bus_positions_insert ON go_bus_positions;
+CREATE POLICY go_bus_positions_insert ON go_bus_positions
+    FOR INSERT
+    WITH CHECK (camp_id = get_user_camp_id() AND posted_by = auth.uid());
+
+-- ─── 3. Realtime publication (optional; matches sibling tables) ─────────────
+-- A fix posted from the bus reaches every open dispatcher dashboard.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        BEGIN
+            ALTER PUBLICATION supabase_realtime ADD TABLE go_bus_positions;
+        EXCEPTION WHEN duplicate_object THEN
+            NULL;
+        END;
+    END IF;
+END $$;
+
+-- ─── Retention ─────────────────────────────────────────────────────────────
+-- The dashboard only reads the last 15 minutes. Prune from the SQL editor or
+-- a scheduled job, e.g.:
+--   DELETE FROM go_bus_positions WHERE recorded_at < now() - interval '30 days';
+
+-- ─── Sanity check ──────────────────────────────────────────────────────────
+--   SELECT polname, cmd, qual, with_check
+--   FROM pg_policies
+--   WHERE tablename = 'go_bus_positions'
+--   ORDER BY polname;
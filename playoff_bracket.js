@@ -0,0 +1,381 @@
+// =============================================================================
+// playoff_bracket.js — optional seeded bracket generator for the Playoff Hub
+// =============================================================================
+// playoff_mode.js v2 has no bracket engine: every round is built by hand. This
+// module is the optional shortcut — it seeds from the league's standings (the
+// same order and tiebreakers as the Standings tab: record, head-to-head, point
+// differential) and writes ORDINARY user-defined rounds into league.playoff,
+// so everything the Hub does by hand still works on them afterwards.
+//
+// Formats: single elimination (top seeds get byes up to the next power of
+// two, or the bottom seeds play in to the power of two below), optional
+// reseeding after each round (highest seed left plays the lowest), and double
+// elimination (winners + losers bracket, a grand final — no reset game; add
+// one by hand if the camp plays it). Each league period plays one model
+// round, so a double-elimination round holds that period's winners- and
+// losers-bracket games together.
+//
+// The bracket's wiring is kept beside the rounds:
+//
+//   league.playoff.bracket = {
+//     format: 'single' | 'double', playIn: bool, reseed: bool,
+//     seeds: [team, ...],            // seed 1 first
+//     nodes: [ { id, tag, period, a: src, b: src, mu, filled: { a, b } } ]
+//   }
+//   src = { seed: n } | { w: nodeId } | { l: nodeId } | { rs: period, pick: k }
+//
+// `mu` is the id of the matchup a node plays as (walkovers have none).
+// advance() fills a placeholder side once its source is known — the winner or
+// loser of an earlier game, or the reseeded pick — and never overwrites a team
+// the user put there by hand; a side it filled itself follows a corrected
+// result.
+//
+// Public API: window.PlayoffBracket
+//   seedOrder(league, kind)        - teams by standings, seed 1 first
+//   build(opts)                    - pure: { rounds, bracket, notes }
+//   generate(playoff, opts)        - replace the rounds with a built bracket
+//   advance(playoff)               - fill sides whose source is now decided
+//   sourceLabel(playoff, muId, side) - "Winner of R1 #2", "Seed 3", … or ''
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var NONE = {};   // a slot no team can ever fill (bye)
+
+    function uid() {
+        return 'mu_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 7);
+    }
+
+    // -------------------------------------------------------------------------
+    // Seeding — the Standings tab's own order
+    // -------------------------------------------------------------------------
+    function seedOrder(league, kind) {
+        if (!league) return [];
+        try {
+            if (kind === 'specialty') {
+                var api = window.SpecialtyLeaguesAPI;
+                if (api && typeof api.getSeedOrder === 'function') return api.getSeedOrder(league);
+            } else if (typeof window.getLeagueSeedOrder === 'function') {
+                return window.getLeagueSeedOrder(league);
+            }
+        } catch (e) {
+            console.warn('[PlayoffBracket] standings unavailable, seeding in roster order:', e);
+        }
+        return (league.teams || []).slice();
+    }
+
+    // Seed positions for a bracket of `size`: 1 v size, then the halves meet
+    // as late as possible (1 and 2 only in the final).
+    function bracketOrder(size) {
+        var order = [1];
+        while (order.length < size) {
+            var n = order.length * 2;
+            order = order.reduce(function (acc, s) { return acc.concat([s, n + 1 - s]); }, []);
+        }
+        return order;
+    }
+
+    // -------------------------------------------------------------------------
+    // Build
+    // -------------------------------------------------------------------------
+
+    // opts: { seeds: [team], format: 'single'|'double', playIn, reseed, sports }
+    function build(opts) {
+        opts = opts || {};
+        var seeds = [];
+        (opts.seeds || []).forEach(function (t) { if (t && seeds.indexOf(t) < 0) seeds.push(t); });
+        var format = opts.format === 'double' ? 'double' : 'single';
+        var notes = [];
+        var n = seeds.length;
+        if (n < 2) return { rounds: [], bracket: null, notes: ['A bracket needs at least two teams.'] };
+        if (format === 'double' && n < 3) {
+            format = 'single';
+            notes.push('Double elimination needs at least three teams — built single elimination instead.');
+        }
+        var reseed = format === 'single' && opts.reseed === true;
+        if (opts.reseed === true && format !== 'single') notes.push('Reseeding applies to single elimination only.');
+
+        var nodes = [], byId = {};
+        function node(tag, a, b) {
+            var nd = { id: 'n' + (nodes.length + 1), tag: tag, a: a, b: b };
+            nodes.push(nd);
+            byId[nd.id] = nd;
+            return nd;
+        }
+
+        var size = 1;
+        while (size < n) size *= 2;
+        var playIn = opts.playIn === true && size !== n;
+        var slotSrc = {};   // main-bracket seed number → source
+        if (playIn) {
+            size /= 2;
+            var extra = n - size;
+            for (var i = 0; i < extra; i++) {
+                var hi = size - extra + 1 + i, lo = n - i;
+                slotSrc[hi] = { w: node('P' + (i + 1), { seed: hi }, { seed: lo }).id };
+            }
+        }
+        function seedSrc(s) { return slotSrc[s] || { seed: s }; }
+
+        // Winners bracket (the whole bracket for single elimination)
+        var order = bracketOrder(size);
+        var wb = [];
+        var first = [];
+        for (var k = 0; k < order.length; k += 2) first.push(node('W1.' + (k / 2 + 1), seedSrc(order[k]), seedSrc(order[k + 1])));
+        wb.push(first);
+        for (var r = 2; wb[wb.length - 1].length > 1; r++) {
+            var prev = wb[wb.length - 1], cur = [];
+            for (var j = 0; j < prev.length; j += 2) {
+                cur.push(reseed
+                    ? node('W' + r + '.' + (j / 2 + 1), { rs: r, pick: j / 2 }, { rs: r, pick: prev.length - 1 - j / 2 })
+                    : node('W' + r + '.' + (j / 2 + 1), { w: prev[j].id }, { w: prev[j + 1].id }));
+            }
+            wb.push(cur);
+        }
+
+        if (format === 'double') {
+            // Losers bracket: first-round losers pair up, then each winners
+            // round's losers drop in (in reverse order, to keep early
+            // opponents apart) and the survivors pair up again.
+            var li = 1;
+            var l1 = [];
+            for (var q = 0; q < wb[0].length; q += 2) l1.push(node('L1.' + (q / 2 + 1), { l: wb[0][q].id }, { l: wb[0][q + 1].id }));
+            var last = l1;
+            for (var w = 1; w < wb.length; w++) {
+                li++;
+                var drops = wb[w];
+                var dr = last.map(function (x, idx) {
+                    return node('L' + li + '.' + (idx + 1), { w: x.id }, { l: drops[drops.length - 1 - idx].id });
+                });
+                last = dr;
+                if (w < wb.length - 1) {
+                    li++;
+                    var cons = [];
+                    for (var c = 0; c < dr.length; c += 2) cons.push(node('L' + li + '.' + (c / 2 + 1), { w: dr[c].id }, { w: dr[c + 1].id }));
+                    last = cons;
+                }
+            }
+            node('GF', { w: wb[wb.length - 1][0].id }, { w: last[0].id });
+        }
+
+        // Which nodes are real games, which hand a lone team through, which
+        // are empty — and the league period each game plays in.
+        function kindOf(nd) {
+            if (nd.kind) return nd.kind;
+            var na = structNone(nd.a), nb = structNone(nd.b);
+            nd.kind = (na && nb) ? 'none' : (na || nb) ? 'walk' : 'game';
+            return nd.kind;
+        }
+        function structNone(src) {
+            if (src.seed != null) return src.seed > n;
+            if (src.w) return kindOf(byId[src.w]) === 'none';
+            if (src.l) return kindOf(byId[src.l]) !== 'game';
+            return false;   // reseeded picks always exist past round 1
+        }
+        function ready(nd) {
+            if (nd.ready != null) return nd.ready;
+            nd.ready = Math.max(srcReady(nd.a), srcReady(nd.b));
+            return nd.ready;
+        }
+        function srcReady(src) {
+            if (src.seed != null) return 0;
+            if (src.rs != null) {
+                return wb[src.rs - 2].reduce(function (m, x) { return Math.max(m, finish(x)); }, 0);
+            }
+            var x = byId[src.w || src.l];
+            if (src.l && kindOf(x) !== 'game') return 0;
+            return finish(x);
+        }
+        function finish(nd) { return kindOf(nd) === 'game' ? ready(nd) + 1 : ready(nd); }
+        nodes.forEach(function (nd) {
+            if (kindOf(nd) !== 'none') nd.period = ready(nd) + 1;
+        });
+
+        // Periods with games become rounds 1..N in order.
+        var periods = [];
+        nodes.forEach(function (nd) { if (nd.kind === 'game' && periods.indexOf(nd.period) < 0) periods.push(nd.period); });
+        periods.sort(function (a, b) { return a - b; });
+        var rounds = periods.map(function (pd, i) {
+            return { number: i + 1, matchups: [], byes: [], reservedActivities: [] };
+        });
+        var sports = (opts.sports || []).filter(Boolean);
+        var gi = 0;
+        nodes.forEach(function (nd) {
+            var ri = periods.indexOf(nd.period);
+            nd.period = ri >= 0 ? ri + 1 : null;
+            if (nd.kind !== 'game') return;
+            var m = { id: uid(), teamA: '', teamB: '', sport: sports.length ? sports[gi++ % sports.length] : '', field: '', winner: null };
+            rounds[ri].matchups.push(m);
+            nd.mu = m.id;
+        });
+
+        var bracket = {
+            format: format, playIn: playIn, reseed: reseed,
+            seeds: seeds.slice(),
+            nodes: nodes.map(function (nd) {
+                var o = { id: nd.id, tag: nd.tag, period: nd.period, a: nd.a, b: nd.b, filled: {} };
+                if (nd.mu) o.mu = nd.mu;
+                return o;
+            })
+        };
+        // Seeds waiting on the play-in sit its period out.
+        if (playIn) rounds[0].byes = seeds.slice(0, size - (n - size));
+        if (playIn) notes.push((n - size) + ' play-in game(s) decide the last ' + (n - size) + ' spot(s) in a ' + size + '-team bracket.');
+        else if (size > n) notes.push('Top ' + (size - n) + ' seed(s) get a first-round bye.');
+        return { rounds: rounds, bracket: bracket, notes: notes };
+    }
+
+    // -------------------------------------------------------------------------
+    // Advance — resolve sources against the results entered so far
+    // -------------------------------------------------------------------------
+    function _index(p) {
+        var mus = {};
+        (p.rounds || []).forEach(function (r) {
+            (r.matchups || []).forEach(function (m) { if (m && m.id) mus[m.id] = { m: m, round: r }; });
+        });
+        var nodes = {};
+        ((p.bracket && p.bracket.nodes) || []).forEach(function (nd) { nodes[nd.id] = nd; });
+        return { mus: mus, nodes: nodes };
+    }
+
+    // Team for a source: a name, null (not decided yet) or NONE (never).
+    function _resolve(p, ix, src, seen) {
+        var seeds = p.bracket.seeds;
+        if (src.seed != null) return seeds[src.seed - 1] || NONE;
+        if (src.rs != null) return _reseedPick(p, ix, src, seen);
+        var nd = ix.nodes[src.w || src.l];
+        if (!nd || seen[nd.id]) return null;
+        seen[nd.id] = 1;
+        var a = _resolve(p, ix, nd.a, seen), b = _resolve(p, ix, nd.b, seen);
+        delete seen[nd.id];
+        if (!nd.mu) {
+            // Walkover: the lone team goes through, nobody drops.
+            if (src.l) return NONE;
+            if (a === NONE) return b;
+            if (b === NONE) return a;
+            return null;
+        }
+        var hit = ix.mus[nd.mu];
+        if (!hit) return null;   // the matchup was deleted by hand
+        var m = hit.m;
+        if (!m.winner || !m.teamA || !m.teamB) return null;
+        if (src.w) return m.winner;
+        return m.winner === m.teamA ? m.teamB : m.teamA;
+    }
+
+    // Reseeded pick: once every game of the previous round is decided, the
+    // survivors are ordered by original seed and paired best v worst.
+    function _reseedPick(p, ix, src, seen) {
+        var prevRound = p.bracket.nodes.filter(function (nd) { return nd.tag.indexOf('W' + (src.rs - 1) + '.') === 0; });
+        var alive = [];
+        for (var i = 0; i < prevRound.length; i++) {
+            var t = _resolve(p, ix, { w: prevRound[i].id }, seen);
+            if (t === null) return null;
+            if (t !== NONE) alive.push(t);
+        }
+        var seedOf = function (t) { var s = p.bracket.seeds.indexOf(t); return s < 0 ? Infinity : s; };
+        alive.sort(function (a, b) { return seedOf(a) - seedOf(b); });
+        return alive[src.pick] || NONE;
+    }
+
+    function advance(p) {
+        if (!p || !p.bracket || !Array.isArray(p.bracket.nodes)) return { filled: 0 };
+        var filled = 0;
+        for (var pass = 0; pass < 4; pass++) {
+            var changed = 0;
+            var ix = _index(p);
+            p.bracket.nodes.forEach(function (nd) {
+                if (!nd.filled) nd.filled = {};
+                if (!nd.mu) {
+                    // A walkover's lone team sits its period out as a bye.
+                    var r = (p.rounds || []).find(function (x) { return x.number === nd.period; });
+                    var ta = _resolve(p, ix, nd.a, {}), tb = _resolve(p, ix, nd.b, {});
+                    var lone = ta === NONE ? tb : tb === NONE ? ta : null;
+                    if (r && typeof lone === 'string' && (r.byes || []).indexOf(lone) < 0) {
+                        r.byes = (r.byes || []).concat([lone]);
+                        changed++;
+                    }
+                    return;
+                }
+                var hit = ix.mus[nd.mu];
+                if (!hit) return;
+                var m = hit.m;
+                [['a', 'teamA'], ['b', 'teamB']].forEach(function (pair) {
+                    var team = _resolve(p, ix, nd[pair[0]], {});
+                    var want = typeof team === 'string' ? team : '';
+                    var have = m[pair[1]] || '';
+                    var mine = nd.filled[pair[0]] || '';
+                    // Hand-picked team (not what we filled) — leave it alone.
+                    if (have && have !== mine) return;
+                    if (have === want) return;
+                    m[pair[1]] = want;
+                    nd.filled[pair[0]] = want;
+                    if (m.winner && m.winner !== m.teamA && m.winner !== m.teamB) m.winner = null;
+                    if (want) hit.round.byes = (hit.round.byes || []).filter(function (t) { return t !== want; });
+                    changed++;
+                });
+            });
+            filled += changed;
+            if (!changed) break;
+        }
+        return { filled: filled };
+    }
+
+    // Replace the rounds with a freshly built bracket and fill what the seeds
+    // already decide.
+    function generate(p, opts) {
+        var res = build(opts);
+        if (!res.bracket) return res;
+        p.rounds = res.rounds;
+        p.bracket = res.bracket;
+        p.currentRound = 1;
+        advance(p);
+        return res;
+    }
+
+    // Where a placeholder side's team will come from, for the Hub.
+    function sourceLabel(p, muId, side) {
+        if (!p || !p.bracket) return '';
+        var nd = (p.bracket.nodes || []).find(function (x) { return x.mu === muId; });
+        if (!nd) return '';
+        var src = nd[side === 'teamB' ? 'b' : 'a'];
+        if (src.seed != null) return 'Seed ' + src.seed;
+        if (src.rs != null) return 'Reseeded — ' + ordinal(src.pick + 1) + ' seed left';
+        var from = (p.bracket.nodes || []).find(function (x) { return x.id === (src.w || src.l); });
+        if (!from) return '';
+        var where = _gameName(p, from);
+        return (src.w ? 'Winner of ' : 'Loser of ') + where;
+    }
+    function _gameName(p, nd) {
+        if (!nd.mu) return nd.tag;
+        for (var i = 0; i < (p.rounds || []).length; i++) {
+            var r = p.rounds[i];
+            var k = (r.matchups || []).findIndex(function (m) { return m && m.id === nd.mu; });
+            if (k >= 0) return 'R' + r.number + ' #' + (k + 1);
+        }
+        return nd.tag;
+    }
+    function ordinal(n) {
+        var s = ['th', 'st', 'nd', 'rd'], v = n % 100;
+        return n + (s[(v - 20) % 10] || s[v] || s[0]);
+    }
+
+    // -------------------------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------------------------
+    var api = {
+        VERSION: VERSION,
+        seedOrder: seedOrder,
+        bracketOrder: bracketOrder,
+        build: build,
+        generate: generate,
+        advance: advance,
+        sourceLabel: sourceLabel
+    };
+
+    if (typeof window !== 'undefined') window.PlayoffBracket = api;
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+
+    if (typeof console !== 'undefined') console.log('[PlayoffBracket] v' + VERSION + ' loaded');
+})();
@@ -16,6 +16,10 @@
 // 1st league period after playoffs start plays Round 1, the 2nd Round 2, …
 // with a per-page "Play this round next" re-align escape hatch.
 //
+// v4.4 — optional "Generate bracket from standings" (playoff_bracket.js)
+// writes those same ordinary rounds from the standings seeds and keeps the
+// wiring in league.playoff.bracket; entering a winner fills the game it feeds.
+//
 // Public API: window.PlayoffHub
 //   .open(league, kind)
 //   .close()
@@ -23,11 +27,12 @@
 (function () {
     'use strict';
 
-    var VERSION = '4.3.0';
+    var VERSION = '4.4.0';
     var _overlayEl = null;
     var _league = null;
     var _kind = 'regular';
     var _activePage = null;   // round number shown in Step 1, or 'add' for the new-round page
+    var _gen = null;          // open "Generate from standings" panel: { format, count, playIn, reseed, notes }
 
     function escHtml(s) { return window.CampUtils.escapeHtml(s); }  // → campistry_utils.js (canonical)
 
@@ -373,6 +378,8 @@
         track.textContent = trackMsg;
         card.appendChild(track);
 
+        if (window.PlayoffBracket) card.appendChild(_renderGenerator(p));
+
         // ── Page picker: one tab per round + "Add Round" ──
         if (_activePage == null
             || (_activePage !== 'add' && !window.PlayoffMode.getRoundByNumber(_league, _activePage))) {
@@ -426,6 +433,7 @@
             clearBtn.onclick = function () {
                 if (!confirm('Clear every playoff round for ' + (_league.name || 'this league') + '?')) return;
                 p.rounds = []; p.currentRound = 1;
+                delete p.bracket;
                 _stampStartCount(p, 1);   // next league period plays Round 1 again
                 _activePage = 'add';
                 _save(); _render();
@@ -437,6 +445,135 @@
         return card;
     }
 
+    // -------------------------------------------------------------------------
+    // Generate from standings (playoff_bracket.js) — writes ordinary rounds
+    // -------------------------------------------------------------------------
+
+    function _renderGenerator(p) {
+        var wrap = document.createElement('div');
+        wrap.className = 'ph-gen-wrap';
+        var teams = window.PlayoffBracket.seedOrder(_league, _kind);
+
+        if (!_gen) {
+            var openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.className = 'ph-btn small';
+            openBtn.textContent = 'Generate bracket from standings…';
+            openBtn.disabled = teams.length < 2;
+            openBtn.onclick = function () {
+                _gen = { format: 'single', count: teams.length, playIn: false, reseed: false, notes: [] };
+                _render();
+            };
+            wrap.appendChild(openBtn);
+            if (p.bracket) {
+                var info = document.createElement('span');
+                info.className = 'ph-gen-sub';
+                info.textContent = 'Generated ' + (p.bracket.format === 'double' ? 'double' : 'single') + '-elimination bracket — winners move on as results are entered.';
+                wrap.appendChild(info);
+            }
+            return wrap;
+        }
+
+        var count = Math.max(2, Math.min(teams.length, parseInt(_gen.count, 10) || teams.length));
+        var pow2 = (count & (count - 1)) === 0;
+        var seeds = teams.slice(0, count);
+
+        var head = document.createElement('div');
+        head.className = 'ph-gen-sub';
+        head.textContent = 'Seeds follow the Standings tab (record, then head-to-head, then point differential). '
+            + 'The rounds it creates are ordinary rounds — edit any matchup, sport or field afterwards.';
+        wrap.appendChild(head);
+
+        var row = document.createElement('div');
+        row.className = 'ph-actions-row';
+        var fmt = document.createElement('select');
+        fmt.className = 'ph-gen-select';
+        fmt.innerHTML = '<option value="single"' + (_gen.format === 'single' ? ' selected' : '') + '>Single elimination</option>'
+            + '<option value="double"' + (_gen.format === 'double' ? ' selected' : '') + '>Double elimination</option>';
+        fmt.onchange = function () { _gen.format = fmt.value; _render(); };
+        row.appendChild(fmt);
+
+        var cntLab = document.createElement('label');
+        cntLab.className = 'ph-gen-check';
+        cntLab.appendChild(document.createTextNode('Top '));
+        var cnt = document.createElement('input');
+        cnt.type = 'number';
+        cnt.min = '2';
+        cnt.max = String(teams.length);
+        cnt.value = String(count);
+        cnt.className = 'ph-count-input';
+        cnt.onchange = function () { _gen.count = cnt.value; _render(); };
+        cntLab.appendChild(cnt);
+        cntLab.appendChild(document.createTextNode(' of ' + teams.length + ' teams'));
+        row.appendChild(cntLab);
+
+        function check(label, key, disabled, title) {
+            var lab = document.createElement('label');
+            lab.className = 'ph-gen-check' + (disabled ? ' disabled' : '');
+            if (title) lab.title = title;
+            var cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = !!_gen[key] && !disabled;
+            cb.disabled = disabled;
+            cb.onchange = function () { _gen[key] = cb.checked; };
+            lab.append(cb, document.createTextNode(' ' + label));
+            row.appendChild(lab);
+        }
+        check('Play-in games instead of byes', 'playIn', pow2, pow2 ? 'The bracket is already a full power of two' : '');
+        check('Reseed after each round', 'reseed', _gen.format !== 'single', 'Highest seed left plays the lowest');
+        wrap.appendChild(row);
+
+        var list = document.createElement('ol');
+        list.className = 'ph-gen-seeds';
+        var st = _league.standings || {};
+        seeds.forEach(function (t) {
+            var li = document.createElement('li');
+            var rec = st[t] ? ' (' + (st[t].w || 0) + '-' + (st[t].l || 0) + '-' + (st[t].t || 0) + ')' : '';
+            li.textContent = t + rec;
+            list.appendChild(li);
+        });
+        wrap.appendChild(list);
+
+        (_gen.notes || []).forEach(function (n) {
+            var w = document.createElement('div');
+            w.className = 'ph-round-warn';
+            w.textContent = n;
+            wrap.appendChild(w);
+        });
+
+        var actions = document.createElement('div');
+        actions.className = 'ph-actions-row';
+        var go = document.createElement('button');
+        go.type = 'button';
+        go.className = 'ph-btn primary small';
+        go.textContent = 'Generate rounds';
+        go.onclick = function () {
+            if (p.rounds && p.rounds.length > 0
+                && !confirm('Replace the ' + p.rounds.length + ' existing round(s) with a generated bracket?')) return;
+            var res = window.PlayoffBracket.generate(p, {
+                seeds: seeds,
+                format: _gen.format,
+                playIn: _gen.playIn && !pow2,
+                reseed: _gen.reseed && _gen.format === 'single',
+                sports: _sportsList()
+            });
+            if (!res.bracket) { _gen.notes = res.notes; _render(); return; }
+            _stampStartCount(p, 1);   // next league period plays Round 1
+            _gen = null;
+            _activePage = 1;
+            _save(); _render();
+            if (res.notes.length) alert(res.notes.join('\n'));
+        };
+        var cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'ph-btn ghost small';
+        cancel.textContent = 'Cancel';
+        cancel.onclick = function () { _gen = null; _render(); };
+        actions.append(go, cancel);
+        wrap.appendChild(actions);
+        return wrap;
+    }
+
     function _renderAddRoundRow(p) {
         var row = document.createElement('div');
         row.className = 'ph-addround-row';
@@ -676,7 +813,8 @@
             sel.className = 'ph-mu-team';
             var current = m[side] || '';
             var other = m[side === 'teamA' ? 'teamB' : 'teamA'] || '';
-            var opts = '<option value="">Pick team…</option>';
+            var from = (p.bracket && window.PlayoffBracket) ? window.PlayoffBracket.sourceLabel(p, m.id, side) : '';
+            var opts = '<option value="">' + escHtml(from ? from + '…' : 'Pick team…') + '</option>';
             teams.forEach(function (t) {
                 var usedElsewhere = (usage[t] || 0) - (t === current ? 1 : 0) > 0;
                 var isOut = eliminated.indexOf(t) >= 0;
@@ -697,6 +835,7 @@
                 if (sel.value) round.byes = (round.byes || []).filter(function (t) { return t !== sel.value; });
                 // Winner must stay one of the two teams
                 if (m.winner && m.winner !== m.teamA && m.winner !== m.teamB) m.winner = null;
+                if (p.bracket && window.PlayoffBracket) window.PlayoffBracket.advance(p);
                 _save(); _render();
             };
             return sel;
@@ -792,6 +931,9 @@
             }).join('');
         winSel.onchange = function () {
             m.winner = winSel.value || null;
+            // A generated bracket moves the winner (and, double elimination,
+            // the loser) on into the game they feed.
+            if (p.bracket && window.PlayoffBracket) window.PlayoffBracket.advance(p);
             _save(); _render();
         };
         winWrap.appendChild(winSel);
@@ -923,6 +1065,7 @@
         _league = league;
         _kind = kind === 'specialty' ? 'specialty' : 'regular';
         _activePage = null;
+        _gen = null;
 
         _overlayEl = document.createElement('div');
         _overlayEl.className = 'ph-overlay';
@@ -1072,6 +1215,14 @@
             '.ph-out-none{font-size:0.78rem;color:#9CA3AF;font-style:italic;}',
             '.ph-out-chip{padding:3px 10px;background:#FEE2E2;color:#991B1B;border:1px solid #FCA5A5;border-radius:999px;font-size:0.78rem;}',
 
+            // Generate from standings
+            '.ph-gen-wrap{display:flex;flex-direction:column;gap:8px;padding:10px 12px;border:1px dashed #CBD5E1;border-radius:10px;background:#F9FAFB;}',
+            '.ph-gen-sub{font-size:0.78rem;color:#6B7280;line-height:1.45;}',
+            '.ph-gen-select{padding:6px 8px;border:1px solid #CBD5E1;border-radius:7px;font-size:0.82rem;background:#fff;font-family:inherit;}',
+            '.ph-gen-check{display:flex;align-items:center;gap:4px;font-size:0.8rem;color:#475569;}',
+            '.ph-gen-check.disabled{opacity:0.45;}',
+            '.ph-gen-seeds{margin:0;padding-left:22px;columns:2;font-size:0.8rem;color:#0A4A56;}',
+
             // Reservations
             '.ph-chips{display:flex;flex-wrap:wrap;gap:6px;margin-left:42px;}',
             '.ph-chips.tight{margin-left:0;}',
@@ -655,7 +655,13 @@
       } catch (e) { console.warn('[PEFC] lock swap skipped:', e); }
     }
 
-    // (5) Persist + re-render.
+    // (5) Officials stay with the game when the teams change.
+    if (changeTeams && window.LeagueOfficials) {
+      try { window.LeagueOfficials.renameGame(null, ctx.leagueName, ctx.startMin, oldA, oldB, newA, newB); }
+      catch (e) { console.warn('[PEFC] officials rename skipped:', e); }
+    }
+
+    // (6) Persist + re-render.
     ctx.game.field = newField; // reflect for any follow-up move in the same session
     if (changeSport) ctx.game.sport = newSport;
     if (changeTeams) { ctx.game.teamA = newA; ctx.game.teamB = newB; ctx.game.teams = newTeamsStr; }
@@ -1134,6 +1140,14 @@
         busyReal.map(function (c) { return override ? fieldBtn(c, true) : busyChip(c); }).join('') + '</div>'
       : '';
 
+    // Referees / scorekeepers (league_officials.js) — a pick here saves at once
+    // and is kept when the day is regenerated.
+    var offGame = { leagueName: ctx.leagueName, startMin: ctx.startMin, teamA: ctx.game.teamA, teamB: ctx.game.teamB };
+    var officialsHtml = '';
+    if (window.LeagueOfficials) {
+      try { officialsHtml = window.LeagueOfficials.editorHtml(offGame); } catch (e) { officialsHtml = ''; }
+    }
+
     // Custom text (league note): free text shown under the game on the schedule,
     // print center and live view. Survives re-renders via ctx.pendingCustomText.
     var curNote = (ctx.pendingCustomText != null) ? ctx.pendingCustomText : (ctx.customText || '');
@@ -1173,6 +1187,7 @@
       teamsHtml +
       suggestHtml +
       sportHtml +
+      officialsHtml +
       noteHtml +
       openSection + noFreeNote + overrideHtml + busyHtml + keepFieldHtml + dnpHtml +
       // Period-level, same as the note above it — and it has to live here too,
@@ -1185,6 +1200,7 @@
     box.querySelector('#pefc-close').onclick = closeModal;
     box.querySelector('#pefc-cancel').onclick = closeModal;
     wireGameNumber(box, ctx);
+    if (officialsHtml) window.LeagueOfficials.wireEditor(box, offGame, function () { captureEdits(); showFieldPicker(ctx); });
     var back = box.querySelector('#pefc-back');
     if (back) back.onclick = function () { showGamePicker(ctx); };
 
@@ -1323,6 +1323,18 @@
         }
     }
 
+    // "Why is this here?" — the generator's ranked alternatives, component
+    // scores and rejection reasons for this cell, from the explanation saved
+    // with the day (cell_explain.js). Empty when nothing was recorded.
+    function renderWhyPanel(bunk, startMin, currentActivity) {
+        try {
+            return (window.CellExplain && window.CellExplain.panelHtml(bunk, startMin, currentActivity)) || '';
+        } catch (e) {
+            debugLog('renderWhyPanel error', e);
+            return '';
+        }
+    }
+
     function showEditModal(bunk, startMin, endMin, currentValue, onSave) {
         const modal = createModal();
         const locations = getAllLocations();
@@ -1408,6 +1420,7 @@
                 <div style="font-size:0.875rem;color:#6b7280;" id="post-edit-time-display">${minutesToTimeLabel(startMin)} - ${minutesToTimeLabel(endMin)}</div>
             </div>
             ${renderBunkMiniReport(bunk, divName_, _reportRC.locations, _reportRC.locationAvailMap, startMin, endMin)}
+            ${renderWhyPanel(bunk, startMin, currentActivity)}
             <div style="display:flex;flex-direction:column;gap:16px;">
                 <div>
                     <label style="display:block;font-weight:500;color:#374151;margin-bottom:6px;">Activity Name</label>
@@ -3299,6 +3312,10 @@
                 return _reportCardHtml(bunk, renderBunkReportBody(bunk, divName, ctx.locations, ctx.locationAvailMap, selectedActivity || '', startMin, endMin));
             } catch (e) { debugLog('PostEditReport.panelHtml error', e); return ''; }
         },
+        // Generation explanation card for the cell at startMin (see renderWhyPanel).
+        whyHtml(bunk, startMin, currentActivity) {
+            return renderWhyPanel(bunk, startMin, currentActivity);
+        },
         bodyHtml(bunk, divName, startMin, endMin, selectedActivity, opts) {
             try {
                 divName = divName || peiGetDivForBunk(bunk);
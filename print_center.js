@@ -295,6 +295,15 @@ var USER_PACKS = [
         preset: 'classic',
         view: 'location',
         layout: { tableOrientation: 'bunks-top', layoutMode: 'per-division', hideLeagueMatchups: true, orientation: 'portrait', pageBreakPerBunk: false, showPageBreaks: false }
+    },
+    {
+        // Not a schedule view: prints the day's field day cards straight away.
+        id: 'field-day',
+        name: 'Field Day Cards',
+        tagline: 'A card per team and per station for today\'s field day / Color War.',
+        icon: 'star',
+        scope: 'all',
+        run: function () { window._pc3PrintFieldDay(); }
     }
 ];
 
@@ -623,6 +632,13 @@ var _liveWholeCamp = (function () {
 var _liveSharedTimeline = (function () {
     try { return localStorage.getItem('pc3_live_shared_timeline') === '1'; } catch (e) { return false; }
 })();
+// "Scoreboard" — swap the schedule pages for one page per league: today's games
+// with their scores, what's up next, standings and the playoff bracket
+// (league_scoreboard.js). The schedule layout toggles keep their settings for
+// when it is switched back off.
+var _liveScoreboard = (function () {
+    try { return localStorage.getItem('pc3_live_scoreboard') === '1'; } catch (e) { return false; }
+})();
 // "Custom pages" — the operator assigns each bunk to a specific page number, so
 // pages contain exactly the bunks they choose (overrides auto-pagination).
 var _liveCustomPages = (function () {
@@ -1436,10 +1452,22 @@ function buildLeagueMatchups(eventBlock, divName, bunk) {
         // "Did not play" → prefix a red ✗ marker that pcCellHtml strikes through.
         if (slotEntry && window.PostEditFieldChange && typeof window.PostEditFieldChange.isDidNotPlay === 'function'
             && window.PostEditFieldChange.isDidNotPlay(slotEntry, { teamA: p.a, teamB: p.b, field: p.field })) line = '✗ ' + line;
+        else line += pcOfficialsSuffix(slotEntry, eventBlock.startMin, p);
         return line;
     }).concat(infoLines).concat(slotNote ? [slotNote] : []);
 }
 
+// " (Ref: Dana · Scorekeeper: Eli)" for a game with officials assigned
+// (league_officials.js), '' otherwise.
+function pcOfficialsSuffix(slotEntry, startMin, p) {
+    var LO = window.LeagueOfficials;
+    if (!LO || !slotEntry || !slotEntry.leagueName) return '';
+    var start = slotEntry._startMin != null ? slotEntry._startMin : startMin;
+    var label = '';
+    try { label = LO.labelFor(window.currentScheduleDate, slotEntry.leagueName, start, p.a, p.b); } catch (e) { label = ''; }
+    return label ? ' (' + label + ')' : '';
+}
+
 // Parse one matchup (object or string) into { a, b, sport, field }.
 // Handles "1 vs 2 @ Football Field 1 (football)", "Bunk 1 vs Bunk 2 – Football", etc.
 function pcParseMatchup(m) {
@@ -1486,7 +1514,7 @@ function pcFormatMatchupLine(p) {
     return [a + ' vs ' + b, sport, p.field].filter(Boolean).join(' - ');
 }
 
-// Chinuch / Bye lines ride in the SAME matchups array as real games
+// Chinuch / Bye / Inter-camp lines ride in the SAME matchups array as real games
 // (e.g. "Team A — Chinuch (Court)" or "Team A — Bye" — see the writeback in
 // scheduler_core_leagues.js). They are not "X vs Y" games, so the
 // pcParseMatchup + `p.a && p.b` filter silently dropped them and they never
@@ -1498,7 +1526,7 @@ function pcInfoLineText(m) {
         : String(m == null ? '' : m).trim();
     if (!s) return '';
     if (/\s+vs\.?\s+/i.test(s)) return '';        // a real matchup — not an info line
-    if (/\b(chinuch|bye)\b/i.test(s)) return s;   // preserve verbatim (already nicely formatted)
+    if (/\b(chinuch|bye|inter-camp)\b/i.test(s)) return s;   // preserve verbatim (already nicely formatted)
     // Playoff tile section rows ride in the same array: "Electives:" + its
     // "• Field" bullets (fields reserved for teams that are out), and the TBD
     // round's "Open fields:" list / "Round N — winners TBD" header.
@@ -2047,6 +2075,41 @@ function getStyles() {
     '.pc3-live-pause{font-size:17px;display:inline-flex;align-items:center;justify-content:center;min-width:30px;height:30px;border-radius:7px;}' +
     '.pc3-live-pause.on{color:var(--lv-fit-on-text);background:var(--lv-accent);}' +
     '.pc3-live-section{margin-bottom:22px;}' +
+    /* League scoreboard pages (toggleLiveScoreboard). */
+    '.pc3-sb{color:var(--lv-cell-text);}' +
+    '.pc3-sb-grid{display:grid;grid-template-columns:3fr 2fr;gap:28px;align-items:start;}' +
+    '.pc3-sb-head{font-family:"Fraunces",Georgia,serif;font-size:22px;font-weight:700;color:var(--lv-accent);margin:14px 0 8px;}' +
+    '.pc3-sb-games{display:grid;grid-template-columns:repeat(auto-fill,minmax(260px,1fr));gap:12px;}' +
+    '.pc3-sb-game{background:var(--lv-cell-bg);border:3px solid var(--lv-cell-border);border-radius:12px;padding:10px 14px;}' +
+    '.pc3-sb-game.live{background:var(--lv-current-bg);color:var(--lv-current-text);box-shadow:inset 0 0 0 3px var(--lv-current-ring),0 0 18px var(--lv-current-glow);}' +
+    '.pc3-sb-meta{font-size:13px;font-weight:600;opacity:.8;margin-bottom:6px;}' +
+    '.pc3-sb-livetag,.pc3-sb-finaltag{display:inline-block;font-size:11px;font-weight:800;letter-spacing:.6px;padding:1px 6px;border-radius:5px;margin-right:7px;}' +
+    '.pc3-sb-livetag{background:#dc2626;color:#fff;}' +
+    '.pc3-sb-finaltag{background:var(--lv-th-bg);color:var(--lv-th-text);}' +
+    '.pc3-sb-row{display:flex;justify-content:space-between;align-items:baseline;font-size:24px;font-weight:700;line-height:1.35;}' +
+    '.pc3-sb-row.win{color:var(--lv-accent);}' +
+    '.pc3-sb-game.live .pc3-sb-row.win{color:inherit;}' +
+    '.pc3-sb-score{font-variant-numeric:tabular-nums;font-size:30px;font-weight:800;min-width:40px;text-align:right;}' +
+    '.pc3-sb-next,.pc3-sb-standings{border-collapse:collapse;width:100%;font-size:20px;}' +
+    '.pc3-sb-next td,.pc3-sb-standings td,.pc3-sb-standings th{border:3px solid var(--lv-cell-border);padding:6px 10px;background:var(--lv-cell-bg);font-weight:700;text-align:center;}' +
+    '.pc3-sb-standings th{background:var(--lv-th-bg);color:var(--lv-th-text);}' +
+    '.pc3-sb-standings .tl,.pc3-sb-next .m{text-align:left;}' +
+    '.pc3-sb-next .t{white-space:nowrap;font-variant-numeric:tabular-nums;width:1%;}' +
+    '.pc3-sb-next .f{font-size:.8em;opacity:.85;}' +
+    '.pc3-sb-next .vs{opacity:.6;font-weight:600;}' +
+    '.pc3-sb-none{font-size:20px;opacity:.7;padding:10px 0;}' +
+    '.pc3-sb-bracket{display:flex;gap:18px;align-items:center;overflow:hidden;}' +
+    '.pc3-sb-round{flex:1;display:flex;flex-direction:column;gap:10px;min-width:0;}' +
+    '.pc3-sb-round.current .pc3-sb-roundname{color:var(--lv-accent);}' +
+    '.pc3-sb-roundname{font-size:14px;font-weight:800;letter-spacing:.5px;text-transform:uppercase;opacity:.85;}' +
+    '.pc3-sb-bgame{border:3px solid var(--lv-cell-border);border-radius:10px;overflow:hidden;}' +
+    '.pc3-sb-bteam{padding:5px 10px;font-size:18px;font-weight:700;background:var(--lv-cell-bg);}' +
+    '.pc3-sb-bteam + .pc3-sb-bteam{border-top:2px solid var(--lv-cell-border);}' +
+    '.pc3-sb-bteam.win{background:var(--lv-league-bg);color:var(--lv-league-text);}' +
+    '.pc3-sb-bteam.out{opacity:.45;}' +
+    '.pc3-sb-bteam.ph{font-style:italic;font-weight:500;opacity:.7;}' +
+    '.pc3-sb-byes{font-size:14px;opacity:.75;}' +
+    '.pc3-sb-champ{font-size:.85em;margin-left:10px;}' +
     '.pc3-live-divhead{display:flex;align-items:baseline;gap:12px;margin-bottom:10px;padding-left:2px;}' +
     '.pc3-live-divname{font-family:"Fraunces",Georgia,serif;font-size:24px;font-weight:700;color:var(--lv-accent);letter-spacing:.2px;}' +
     '.pc3-live-divrange{font-size:14px;font-weight:600;color:var(--lv-divrange);font-variant-numeric:tabular-nums;}' +
@@ -2323,6 +2386,7 @@ function buildMainUI() {
                     '<button data-view="bunk"' + (_activeView === 'bunk' ? ' class="active"' : '') + '>Bunks</button>' +
                     '<button data-view="location"' + (_activeView === 'location' ? ' class="active"' : '') + '>Facilities</button>' +
                     '<button data-view="week"' + (_activeView === 'week' ? ' class="active"' : '') + '>Week</button>' +
+                    (window.CamperElectives ? '<button data-view="camper"' + (_activeView === 'camper' ? ' class="active"' : '') + '>Campers</button>' : '') +
                 '</div>' +
             '</div>' +
             /* Items to include */
@@ -2579,6 +2643,24 @@ function populateSidebar() {
         Object.keys(allLocs).map(function (k) { return allLocs[k]; }).sort(naturalSort).forEach(function (loc) {
             items.push({ id: loc, label: loc });
         });
+    } else if (_activeView === 'camper') {
+        // One sheet per camper: their bunk's day with their own elective
+        // (CamperElectives match) in place of the grade-wide elective block.
+        if (titleEl) titleEl.textContent = 'Campers';
+        if (searchEl) searchEl.placeholder = 'Search campers…';
+        var roster = window.CamperElectives ? window.CamperElectives.loadRoster() : {};
+        var availableC = getAvailableDivisions();
+        availableC = (typeof window.getUserDivisionOrder === 'function')
+            ? window.getUserDivisionOrder(availableC)
+            : availableC.slice().sort(naturalSort);
+        availableC.forEach(function (d) {
+            var bunksC = (divs[d] && divs[d].bunks ? divs[d].bunks : []).map(String);
+            var grp = { name: d, items: [] };
+            Object.keys(roster).filter(function (n) { return roster[n] && bunksC.indexOf(String(roster[n].bunk)) >= 0; })
+                .sort(function (a, b) { return naturalSort(String(roster[a].bunk), String(roster[b].bunk)) || naturalSort(a, b); })
+                .forEach(function (n) { grp.items.push({ id: n, label: n, count: String(roster[n].bunk) }); });
+            if (grp.items.length) groups.push(grp);
+        });
     }
 
     function renderItem(it) {
@@ -4349,6 +4431,8 @@ function liveRefresh() {
         sel.forEach(function (b) { html += renderBunkSheet(b); });
     } else if (_activeView === 'location') {
         sel.forEach(function (l) { html += renderLocationSheet(l); });
+    } else if (_activeView === 'camper') {
+        sel.forEach(function (c) { html += window.CamperElectives ? window.CamperElectives.renderCamperSheet(c, window.currentScheduleDate) : ''; });
     } else if (_activeView === 'week') {
         html += renderWeekSheet(sel);
     }
@@ -4828,6 +4912,7 @@ function runLiveStandalone() {
                 '<button class="pc3-live-fit' + (_liveWholeCamp ? ' on' : '') + '" id="pc3-live-wholecamp-btn" title="Shrink the entire camp onto one screen, no matter how small" onclick="toggleLiveWholeCamp()">Whole camp on one screen</button>' +
                 '<button class="pc3-live-fit' + (_liveSharedTimeline ? ' on' : '') + '" id="pc3-live-shared-btn" title="One shared time axis per division with bunks as columns (denser)" onclick="toggleLiveSharedTimeline()">Shared timeline</button>' +
                 '<button class="pc3-live-fit' + (_liveCustomPages ? ' on' : '') + '" id="pc3-live-custompages-btn" title="Choose which bunks appear on each page" onclick="openLiveBunkPageConfig()">Bunks per page…</button>' +
+                '<button class="pc3-live-fit' + (_liveScoreboard ? ' on' : '') + '" id="pc3-live-scoreboard-btn" title="League scores, standings and playoff brackets instead of the schedule" onclick="toggleLiveScoreboard()">Scoreboard</button>' +
                 '<button class="pc3-live-fit" id="pc3-live-theme-btn" title="Change the screen colors" onclick="window._pcToggleLiveThemePanel&&window._pcToggleLiveThemePanel()">🎨 Colors</button>' +
                 '<button class="pc3-live-close" id="pc3-live-print-btn" title="Print the live view — one division per page" onclick="window._pc3LivePrint&&window._pc3LivePrint()">Print</button>' +
                 '<button class="pc3-live-close" id="pc3-live-jpeg-btn" title="Download the schedule in color — one division per page (PDF)" onclick="window._pc3LiveDownloadJpeg&&window._pc3LiveDownloadJpeg()">Download</button>' +
@@ -4932,6 +5017,25 @@ function runLiveStandalone() {
     window.addEventListener('campistry-cloud-hydrated', _markCloudFresh);
     window.addEventListener('campistry-schedule-refreshed', _markCloudFresh);
 
+    // Scoreboard freshness. Scores and playoff winners live in the leagues
+    // store, which the camp_state realtime feed refreshes key by key; today's
+    // tiles ride on the schedule's own realtime subscription (ScheduleSync).
+    // Reload the league store, drop the signature and re-render right away
+    // rather than waiting for the 5s tick.
+    window.addEventListener('campistry-remote-change', function (e) {
+        var k = e && e.detail && e.detail.key;
+        if (k !== 'leaguesByName' && k !== 'leagueRoundState') return;
+        try { if (typeof window.refreshLeagues === 'function') window.refreshLeagues(); } catch (err) {}
+        if (_liveBooted && _liveScoreboard) { _liveRenderSig = ''; try { tickAll(); } catch (err) {} }
+    });
+    try {
+        if (window.ScheduleSync && typeof window.ScheduleSync.onRemoteChange === 'function') {
+            window.ScheduleSync.onRemoteChange(function () {
+                if (_liveBooted && _liveScoreboard) { _liveRenderSig = ''; try { tickAll(); } catch (err) {} }
+            });
+        }
+    } catch (e) {}
+
     // Boot the app so divisions + schedule load. Re-assert the date around the
     // daily-adjustments load so it reads the requested day, not "today".
     setTimeout(function () {
@@ -5608,6 +5712,7 @@ function renderLiveContent() {
     var body = el('pc3-live-body');
     if (!body) return;
     var nowMin = getNowMinutes();
+    if (_liveScoreboard) { renderLiveScoreboard(body, nowMin); return; }
     var divs = getDivisions();
     var available = (typeof window.getUserDivisionOrder === 'function') ? window.getUserDivisionOrder(getAvailableDivisions()) : getAvailableDivisions().sort(naturalSort);
     // ★ Per-day presence: hide grades not around on the viewed date.
@@ -5879,6 +5984,146 @@ function renderLiveContent() {
     }); // end outer rAF
 }
 
+// —— Scoreboard pages ————————————————————————————————————————————————
+// One page per league, rotated by the same timer and arrows as the schedule
+// pages. The model comes from league_scoreboard.js; its signature gates the
+// rebuild exactly like _liveContentSignature does for the schedule.
+function pcLiveScoreboardModel(nowMin) {
+    var SB = window.LeagueScoreboard;
+    if (!SB) return [];
+    var leagues = (typeof window.getEnabledLeagues === 'function')
+        ? window.getEnabledLeagues()
+        : Object.keys(window.leaguesByName || {}).map(function (n) { return window.leaguesByName[n]; });
+    leagues = (leagues || []).filter(function (l) { return l && l.enabled !== false && Array.isArray(l.teams) && l.teams.length >= 2; });
+    leagues.sort(function (a, b) { return naturalSort(a.name, b.name); });
+    return SB.build({
+        leagues: leagues,
+        assignments: window.leagueAssignments || {},
+        divisionTimes: window.divisionTimes || {},
+        date: window.currentScheduleDate || '',
+        nowMin: nowMin,
+        seedOrder: window.getLeagueSeedOrder
+    });
+}
+
+function pcSbTeam(t) { return /^\d+$/.test(String(t).trim()) ? 'Team ' + t : String(t); }
+
+function pcSbGameHtml(g, status) {
+    var hasScore = g.scoreA != null && g.scoreB != null;
+    var aWin = g.winner ? g.winner === g.teamA : (status === 'final' && hasScore && g.scoreA > g.scoreB);
+    var bWin = g.winner ? g.winner === g.teamB : (status === 'final' && hasScore && g.scoreB > g.scoreA);
+    var meta = [g.label];
+    if (g.startMin != null) meta.push(minutesToTimeLabel(g.startMin));
+    if (g.field) meta.push(g.field);
+    if (g.sport) meta.push(g.sport.charAt(0).toUpperCase() + g.sport.slice(1));
+    function row(team, score, win) {
+        return '<div class="pc3-sb-row' + (win ? ' win' : '') + '">' +
+            '<span class="pc3-sb-team">' + escHtml(pcSbTeam(team)) + '</span>' +
+            '<span class="pc3-sb-score">' + (score != null ? escHtml(String(score)) : (hasScore ? '' : '–')) + '</span></div>';
+    }
+    return '<div class="pc3-sb-game ' + status + '">' +
+        '<div class="pc3-sb-meta">' + (status === 'live' ? '<span class="pc3-sb-livetag">LIVE</span>' : (status === 'final' ? '<span class="pc3-sb-finaltag">FINAL</span>' : '')) +
+            escHtml(meta.join(' · ')) + '</div>' +
+        row(g.teamA, g.scoreA, aWin) + row(g.teamB, g.scoreB, bWin) +
+    '</div>';
+}
+
+function pcSbStandingsHtml(rows) {
+    if (!rows.length) return '';
+    var html = '<table class="pc3-sb-standings"><thead><tr><th>#</th><th class="tl">Team</th><th>W</th><th>L</th><th>T</th><th>+/-</th></tr></thead><tbody>';
+    rows.forEach(function (r) {
+        html += '<tr><td>' + r.rank + '</td><td class="tl">' + escHtml(pcSbTeam(r.team)) + '</td><td>' + r.w + '</td><td>' + r.l + '</td><td>' + r.t + '</td>' +
+            '<td>' + (r.diff > 0 ? '+' : '') + r.diff + '</td></tr>';
+    });
+    return html + '</tbody></table>';
+}
+
+function pcSbBracketHtml(b) {
+    if (!b || !b.rounds.length) return '';
+    var html = '<div class="pc3-sb-head">Playoffs' + (b.champion ? ' <span class="pc3-sb-champ">🏆 ' + escHtml(pcSbTeam(b.champion)) + '</span>' : '') + '</div>';
+    html += '<div class="pc3-sb-bracket">';
+    b.rounds.forEach(function (r) {
+        html += '<div class="pc3-sb-round' + (r.number === b.currentRound && !b.champion ? ' current' : '') + '">' +
+            '<div class="pc3-sb-roundname">Round ' + r.number + '</div>';
+        r.matchups.forEach(function (m) {
+            function side(team, ph) {
+                var cls = 'pc3-sb-bteam' + (ph ? ' ph' : '') + (m.winner && m.winner === team ? ' win' : (m.winner ? ' out' : ''));
+                return '<div class="' + cls + '">' + escHtml(ph ? team : pcSbTeam(team)) + '</div>';
+            }
+            html += '<div class="pc3-sb-bgame">' + side(m.teamA, m.placeholderA) + side(m.teamB, m.placeholderB) + '</div>';
+        });
+        if (r.byes.length) html += '<div class="pc3-sb-byes">Bye: ' + escHtml(r.byes.map(pcSbTeam).join(', ')) + '</div>';
+        html += '</div>';
+    });
+    return html + '</div>';
+}
+
+function pcSbLeaguePageHtml(lm) {
+    var left = '';
+    if (lm.live.length) left += '<div class="pc3-sb-head">Now playing</div><div class="pc3-sb-games">' + lm.live.map(function (g) { return pcSbGameHtml(g, 'live'); }).join('') + '</div>';
+    if (lm.final.length) left += '<div class="pc3-sb-head">Final</div><div class="pc3-sb-games">' + lm.final.map(function (g) { return pcSbGameHtml(g, 'final'); }).join('') + '</div>';
+    if (lm.upcoming.length) {
+        left += '<div class="pc3-sb-head">Up next</div><table class="pc3-sb-next"><tbody>';
+        lm.upcoming.forEach(function (g) {
+            left += '<tr><td class="t">' + (g.startMin != null ? minutesToTimeLabel(g.startMin) : '') + '</td>' +
+                '<td class="m">' + escHtml(pcSbTeam(g.teamA)) + ' <span class="vs">vs</span> ' + escHtml(pcSbTeam(g.teamB)) + '</td>' +
+                '<td class="f">' + escHtml([g.field, g.sport ? g.sport.charAt(0).toUpperCase() + g.sport.slice(1) : ''].filter(Boolean).join(' · ')) + '</td></tr>';
+        });
+        left += '</tbody></table>';
+    }
+    if (!left) left = '<div class="pc3-sb-none">No games today.</div>';
+    return '<div class="pc3-live-divbanner">' + escHtml(lm.name) + '</div>' +
+        '<div class="pc3-sb-grid">' +
+            '<div class="pc3-sb-col">' + left + '</div>' +
+            '<div class="pc3-sb-col">' + (lm.standings.length ? '<div class="pc3-sb-head">Standings</div>' + pcSbStandingsHtml(lm.standings) : '') + '</div>' +
+        '</div>' +
+        pcSbBracketHtml(lm.bracket);
+}
+
+function renderLiveScoreboard(body, nowMin) {
+    var model = pcLiveScoreboardModel(nowMin);
+    var sig = 'SB' + (window.LeagueScoreboard ? window.LeagueScoreboard.signature(model) : '');
+    if (sig === _liveRenderSig && body.querySelector('[id^="lp-"]')) return;
+    _liveRenderSig = sig;
+    body.style.visibility = '';
+    if (!model.length) {
+        body.innerHTML = '<div class="pc3-live-loading">No leagues to show.</div>';
+        _numLivePages = 0;
+        updateLivePageIndicator();
+        startLivePageTimer();
+        _livePrevPageCount = 0;
+        return;
+    }
+    ++_liveRenderToken; // any schedule render still waiting on its rAF is stale now
+    body.innerHTML = '';
+    var availH = body.offsetHeight || (window.innerHeight - 80);
+    _numLivePages = model.length;
+    if (_livePageIndex >= _numLivePages) _livePageIndex = 0;
+    model.forEach(function (lm, pi) {
+        var pageDiv = document.createElement('div');
+        pageDiv.id = 'lp-' + pi;
+        var active = pi === _livePageIndex;
+        pageDiv.style.cssText = 'position:absolute;inset:0;opacity:' + (active ? 1 : 0) + ';transition:opacity .7s ease;pointer-events:' + (active ? 'auto' : 'none') + ';overflow:hidden;';
+        var inner = document.createElement('div');
+        inner.className = 'pc3-live-page-inner pc3-sb';
+        inner.innerHTML = pcSbLeaguePageHtml(lm);
+        pageDiv.appendChild(inner);
+        body.appendChild(pageDiv);
+        // A long league (many teams, a deep bracket) shrinks to fit instead of
+        // running off the bottom of the screen.
+        var h = inner.offsetHeight;
+        if (h > availH && availH > 0) {
+            var scale = Math.max(0.3, availH / h);
+            inner.style.cssText = 'transform:scale(' + scale.toFixed(4) + ');transform-origin:top left;width:' + (100 / scale).toFixed(2) + '%;';
+        }
+    });
+    updateLivePageIndicator();
+    if (_numLivePages !== _livePrevPageCount) {
+        _livePrevPageCount = _numLivePages;
+        startLivePageTimer();
+    }
+}
+
 function updateLivePageIndicator() {
     var ind = document.getElementById('pc3-live-page-ind');
     if (!ind) return;
@@ -6154,6 +6399,19 @@ function toggleLiveSharedTimeline() {
     try { renderLiveContent(); } catch (e) {}
 }
 
+// Flip "Scoreboard" on/off — league scores, standings and brackets in place of
+// the schedule pages. The schedule layout toggles are left as they were.
+function toggleLiveScoreboard() {
+    _liveScoreboard = !_liveScoreboard;
+    try { localStorage.setItem('pc3_live_scoreboard', _liveScoreboard ? '1' : '0'); } catch (e) {}
+    var btn = document.getElementById('pc3-live-scoreboard-btn');
+    if (btn) btn.classList.toggle('on', _liveScoreboard);
+    _livePageIndex = 0;
+    _livePrevPageCount = -1; // force the rotation timer to be re-evaluated for the new layout
+    _liveRenderSig = '';     // force a real rebuild on the next render
+    try { renderLiveContent(); } catch (e) {}
+}
+
 // Open the "Bunks per page" config — a modal where the operator types a page
 // number next to each bunk. Bunks sharing a number share a page; blanks fall to
 // a trailing page. Applying turns on custom-pages mode.
@@ -6315,7 +6573,8 @@ function buildPrintHTML(sel) {
         units = sel.map(function (item) {
             var content = _activeView === 'division' ? stripHead(renderDivisionSheet(item))
                 : _activeView === 'bunk' ? renderBunkSheet(item)
-                : _activeView === 'location' ? renderLocationSheet(item) : '';
+                : _activeView === 'location' ? renderLocationSheet(item)
+                : _activeView === 'camper' && window.CamperElectives ? window.CamperElectives.renderCamperSheet(item, window.currentScheduleDate) : '';
             return { label: item, content: content };
         });
     }
@@ -6903,6 +7162,17 @@ function buildExcelRows(item) {
         if (rows.length <= 3) {
             rows.push(['No schedule data found for this location']);
         }
+
+    } else if (_activeView === 'camper') {
+        // ─── Camper view ───
+        var sch = window.CamperElectives ? window.CamperElectives.camperSchedule(item, dateStr) : null;
+        rows.push([item + (sch ? '  ·  ' + sch.bunk : '')]);
+        rows.push([formatDisplayDate(dateStr)]);
+        rows.push([]);
+        rows.push(['Time', 'Activity', 'Location']);
+        ((sch && sch.rows) || []).forEach(function (r) {
+            rows.push([minutesToTimeLabel(r.startMin) + ' - ' + minutesToTimeLabel(r.endMin), r.activity + (r.elective ? ' (elective)' : ''), r.location || '']);
+        });
     }
 
     return rows;
@@ -7770,6 +8040,7 @@ window._pc3ApplyPack = function (packId) {
 window._pc3ApplyUserPack = function (packId, divisionName) {
     var pack = USER_PACKS.filter(function (p) { return p.id === packId; })[0];
     if (!pack) return;
+    if (typeof pack.run === 'function') { pack.run(); return; }
     // 0. Specialties-only filter is a per-pack opt-in for the location view — reset
     //    first so it never leaks into another pack, then turn on for this one.
     _specialtiesOnly = !!pack.specialtiesOnly;
@@ -7975,6 +8246,18 @@ function doWeekStackPrint(keys) {
 
     runPrint(combinedHtml, t);
 }
+// Field Day / Color War cards (field_day_events.js): one event when the
+// builder passes it, else every event on the date on screen.
+window._pc3PrintFieldDay = function (event) {
+    var FD = window.FieldDayEvents;
+    if (!FD) { alert('Field Day events are not loaded.'); return; }
+    var events = event ? [event] : FD.forDate(window.currentScheduleDate);
+    var html = events.map(function (ev) { return FD.cardsHTML(ev, 'both'); }).filter(Boolean)
+        .join('<div style="page-break-before:always;"></div>');
+    if (!html) { alert('No field day with teams and stations on ' + (window.currentScheduleDate || 'this date') + '.'); return; }
+    readDesignValues();
+    runPrint(html, Object.assign({}, _currentTemplate, { orientation: 'portrait' }));
+};
 window._pc3ExportExcel = exportExcel;
 window._pc3SpecialtyText = pcOpenSpecialtyTextModal;
 window._pc3OpenLive = openLiveWindow;
@@ -8048,6 +8331,7 @@ window.toggleLivePerDiv = toggleLivePerDiv;
 window.toggleLiveWholeCamp = toggleLiveWholeCamp;
 // "Shared timeline" toggle — exported for the popup's inline onclick.
 window.toggleLiveSharedTimeline = toggleLiveSharedTimeline;
+window.toggleLiveScoreboard = toggleLiveScoreboard;
 // "Bunks per page" config — exported for the popup's inline onclick.
 window.openLiveBunkPageConfig = openLiveBunkPageConfig;
 window._pc3SaveTemplate = function () {
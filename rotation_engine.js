@@ -1498,6 +1498,16 @@ window.invalidateBunkRotationCache = RotationEngine.invalidateBunkTodayCache;
             }
         } catch (e) { /* fail open */ }
 
+        // ★ WEEK PLAN: during a "generate the week" run, WeekPlanner's joint
+        //   plan nudges toward the activity it slotted for this bunk today and
+        //   away from one it saved for another day. Zero outside a week run.
+        var weekPlanScore = 0;
+        try {
+            if (window.WeekPlanner && window.WeekPlanner.isActive()) {
+                weekPlanScore = window.WeekPlanner.bias(bunkName, activityName) || 0;
+            }
+        } catch (e) { /* fail open */ }
+
         // Combine with weights
         var totalScore = (
             recencyScore * CONFIG.WEIGHTS.recency +
@@ -1507,7 +1517,8 @@ window.invalidateBunkRotationCache = RotationEngine.invalidateBunkTodayCache;
             distributionScore * CONFIG.WEIGHTS.distribution +
             coverageScore * CONFIG.WEIGHTS.coverage +
             limitScore +
-            avoidPenalty
+            avoidPenalty +
+            weekPlanScore
         );
 
         if (_gt) {
@@ -1515,7 +1526,7 @@ window.invalidateBunkRotationCache = RotationEngine.invalidateBunkTodayCache;
                 bunk: bunkName, activity: activityName, slot: beforeSlotIndex, division: divisionName,
                 recency: recencyScore, streak: streakScore, frequency: frequencyScore,
                 variety: varietyScore, distribution: distributionScore, coverage: coverageScore,
-                limit: limitScore, avoid: avoidPenalty, total: Math.round(totalScore)
+                limit: limitScore, avoid: avoidPenalty, weekPlan: weekPlanScore, total: Math.round(totalScore)
             });
         }
 
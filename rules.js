@@ -6,6 +6,7 @@
 //   1. Sports Rules (min/max players per sport)   — moved from facilities.js
 //   2. Field Quality Groups                        — moved from facilities.js
 //   3. Cooldown / Spacing Rules (new)             — keep X away from Y
+//   4. Heat & Sun Exposure Rules                  — cap time outdoors, shade windows
 //
 // NOTE: Cooldown rules apply ONLY to the auto-builder. In manual mode the
 // user decides placement, so a "don't place sport after lunch" rule would
@@ -16,11 +17,15 @@
 //   - sportMetaData, fieldCombos : settings.app1.sportMetaData / app1.fieldCombos
 //   - fieldGroup / qualityRank   : settings.app1.fields[i]
 //   - cooldowns                  : settings.schedulingRules.cooldowns[]
+//   - exposure rules             : settings.schedulingRules.exposure[]
+//   - exposure (indoor/shaded/outdoor) : settings.app1.fields[i].exposure
 //
 // Public API (window.SchedulingRules):
 //   - getCooldownRules()
 //   - isCandidateAllowed(candidate, template, opts)
 //   - findForbiddenRanges(targetDescriptor, template, opts) -> [{start,end}]
+//   - findExposureViolations(blocks, grade) -> [{rule,kind,startMin,endMin,blocks}]
+//   - enforceSpacingSweep / enforceExposureSweep(scheduleAssignments, opts)
 // ============================================================================
 (function () {
 'use strict';
@@ -128,6 +133,177 @@ function getGradeNames() {
     return Object.keys(s.divisions || {});
 }
 
+// ──────────────────────────────────────────────────────────────────────────
+// HEAT & SUN EXPOSURE RULES — data access + evaluation
+// ──────────────────────────────────────────────────────────────────────────
+// Every field has a sun exposure: 'indoor' | 'shaded' | 'outdoor'
+// (settings.app1.fields[i].exposure, picked in the field's Weather section).
+// A field that was never given one falls back to its rainy-day flag —
+// rainyDayAvailable → indoor, otherwise outdoor. A special takes its room's
+// exposure, else its own, else outdoor when flagged isOutdoor. Blocks with no
+// facility (Lunch, Free, transitions) have no exposure: they end an outdoor
+// run but are not the shaded block a shade window asks for.
+//
+//   settings.schedulingRules.exposure = [
+//     { id, kind: 'max-outdoor',  minutes: 90,                grades: [] },
+//     { id, kind: 'shade-window', startMin: 720, endMin: 840, grades: ['1st', '2nd'] }
+//   ]
+// grades: [] = every grade. A shade window is only owed by a bunk that is
+// outdoors at some point inside it. Like cooldowns, auto-builder only.
+const EXPOSURE_LEVELS = ['indoor', 'shaded', 'outdoor'];
+const EXPOSURE_JOIN_GAP = 10;   // outdoor blocks this close are one run (the walk between fields)
+const SHADE_MIN_OPEN = 20;      // shortest gap in a shade window that can still take the shaded block
+
+function getExposureRules() {
+    const s = loadSettings();
+    const sr = s.schedulingRules || {};
+    return Array.isArray(sr.exposure) ? sr.exposure : [];
+}
+function saveExposureRules(rules) {
+    const s = loadSettings();
+    const sr = s.schedulingRules || {};
+    sr.exposure = rules || [];
+    saveKey('schedulingRules', sr);
+}
+function activeExposureRules() {
+    return getExposureRules().filter(r => r && (
+        (r.kind === 'max-outdoor' && (parseInt(r.minutes) || 0) > 0) ||
+        (r.kind === 'shade-window' && r.startMin != null && r.endMin > r.startMin)));
+}
+
+function fieldExposure(f) {
+    if (!f) return null;
+    if (EXPOSURE_LEVELS.indexOf(f.exposure) >= 0) return f.exposure;
+    return f.rainyDayAvailable === true ? 'indoor' : 'outdoor';
+}
+
+// name (lower-case) → exposure for every field and special. Cached on the
+// settings arrays themselves — isCandidateAllowed runs in the solver's hot loop.
+let _exposureCache = { fields: null, specials: null, map: null };
+function exposureMap() {
+    const s = loadSettings();
+    const fields = (s.app1 && s.app1.fields) || [];
+    const specials = (s.app1 && s.app1.specialActivities) || [];
+    if (_exposureCache.map && _exposureCache.fields === fields && _exposureCache.specials === specials) return _exposureCache.map;
+    const nm = n => String(n || '').toLowerCase().trim();
+    const map = {};
+    fields.forEach(f => { if (f && f.name) map[nm(f.name)] = fieldExposure(f); });
+    specials.forEach(sp => {
+        if (!sp || !sp.name || map[nm(sp.name)]) return;
+        const room = sp.location ? map[nm(sp.location)] : null;
+        const own = EXPOSURE_LEVELS.indexOf(sp.exposure) >= 0 ? sp.exposure : (sp.isOutdoor === true ? 'outdoor' : null);
+        if (room || own) map[nm(sp.name)] = room || own;
+    });
+    _exposureCache = { fields: fields, specials: specials, map: map };
+    return map;
+}
+
+function exposureOf(block) {
+    if (!block) return null;
+    if (block.exposure !== undefined) return block.exposure;
+    const map = exposureMap();
+    const nm = n => String(n || '').toLowerCase().trim();
+    const room = nm(block.field || block._specialLocation || block.location);
+    if (room && map[room]) return map[room];
+    const sp = nm(block._assignedSpecial || (String(block.type || '').toLowerCase() === 'special' ? block.event : ''));
+    return (sp && map[sp]) || null;
+}
+
+function gradeOfBunk(bunk) {
+    const divs = window.divisions || {};
+    const names = Object.keys(divs);
+    for (let i = 0; i < names.length; i++) {
+        if (((divs[names[i]] && divs[names[i]].bunks) || []).map(String).indexOf(String(bunk)) >= 0) return names[i];
+    }
+    return null;
+}
+function exposureRuleAppliesTo(rule, grade) {
+    const gs = Array.isArray(rule.grades) ? rule.grades.map(String) : [];
+    if (!gs.length) return true;
+    return grade != null && gs.indexOf(String(grade)) >= 0;
+}
+
+// blocks : [{ startMin, endMin, field/event/… }] — one bunk's day
+// Returns [{ rule, kind, startMin, endMin, blocks: [indices of the outdoor
+// blocks involved] }] — an over-long outdoor run, or a shade window spent
+// outdoors with no indoor / shaded block in it.
+function findExposureViolations(blocks, grade, rules) {
+    rules = (rules || activeExposureRules()).filter(r => exposureRuleAppliesTo(r, grade));
+    const out = [];
+    if (!rules.length || !Array.isArray(blocks)) return out;
+    const items = blocks.map((b, i) => ({ i: i, s: b.startMin, e: b.endMin, x: exposureOf(b) }))
+        .filter(b => b.s != null && b.e != null && b.e > b.s)
+        .sort((a, b) => a.s - b.s);
+
+    const runs = [];
+    let run = null;
+    items.forEach(b => {
+        // A short stop with no exposure (a change, the walk over) doesn't end a run.
+        if (b.x !== 'outdoor') { if (b.x || b.e - b.s > EXPOSURE_JOIN_GAP) run = null; return; }
+        if (run && b.s - run.e <= EXPOSURE_JOIN_GAP) { run.e = Math.max(run.e, b.e); run.blocks.push(b.i); }
+        else { run = { s: b.s, e: b.e, blocks: [b.i] }; runs.push(run); }
+    });
+    rules.forEach(r => {
+        if (r.kind === 'max-outdoor') {
+            const max = parseInt(r.minutes) || 0;
+            runs.forEach(run => {
+                if (run.e - run.s > max) out.push({ rule: r, kind: r.kind, startMin: run.s, endMin: run.e, blocks: run.blocks.slice() });
+            });
+        } else if (r.kind === 'shade-window') {
+            const inWin = items.filter(b => b.s < r.endMin && b.e > r.startMin);
+            const sun = inWin.filter(b => b.x === 'outdoor');
+            if (!sun.length || inWin.some(b => b.x === 'indoor' || b.x === 'shaded')) return;
+            out.push({ rule: r, kind: r.kind, startMin: r.startMin, endMin: r.endMin, blocks: sun.map(b => b.i) });
+        }
+    });
+    return out;
+}
+
+// Placement-time gate (called from isCandidateAllowed). Only an outdoor
+// candidate can break a rule: it may not grow an outdoor run past its cap,
+// and it may not take the last open stretch of a shade window the bunk has
+// no shaded block in yet — the shaded block still has to fit somewhere.
+// Free blocks in the template count as open time.
+function exposureAllows(candidate, template, opts) {
+    if (((opts && opts.mode) || 'auto') !== 'auto') return true;
+    const all = activeExposureRules();
+    if (!all.length || exposureOf(candidate) !== 'outdoor') return true;
+    const grade = (opts && opts.grade != null) ? opts.grade : (opts && opts.bunk != null ? gradeOfBunk(opts.bunk) : null);
+    const rules = all.filter(r => exposureRuleAppliesTo(r, grade));
+    if (!rules.length) return true;
+    const blocks = (template || []).filter(w => w && w !== candidate).concat([candidate]);
+    const me = blocks.length - 1;
+
+    const runHit = findExposureViolations(blocks, grade, rules.filter(r => r.kind === 'max-outdoor'))
+        .some(v => v.blocks.indexOf(me) >= 0);
+    if (runHit) return false;
+
+    const isFree = w => /^free( play)?$/i.test(String(w.event || w._activity || w.field || '').trim());
+    for (let i = 0; i < rules.length; i++) {
+        const r = rules[i];
+        if (r.kind !== 'shade-window') continue;
+        if (!(candidate.startMin < r.endMin && candidate.endMin > r.startMin)) continue;
+        const inWin = blocks.filter(w => w.startMin < r.endMin && w.endMin > r.startMin);
+        if (inWin.some(w => { const x = exposureOf(w); return x === 'indoor' || x === 'shaded'; })) continue;
+        const busy = inWin.filter(w => !isFree(w)).map(w => [Math.max(w.startMin, r.startMin), Math.min(w.endMin, r.endMin)])
+            .sort((a, b) => a[0] - b[0]);
+        let cursor = r.startMin, open = 0;
+        busy.forEach(([s, e]) => { open = Math.max(open, s - cursor); cursor = Math.max(cursor, e); });
+        open = Math.max(open, r.endMin - cursor);
+        if (open < SHADE_MIN_OPEN) return false;
+    }
+    return true;
+}
+
+function describeExposureRule(rule) {
+    if (!rule) return '';
+    const who = Array.isArray(rule.grades) && rule.grades.length ? rule.grades.join(', ') : 'every grade';
+    const t = m => window.CampUtils && window.CampUtils.minutesToTime ? window.CampUtils.minutesToTime(m) : String(m);
+    if (rule.kind === 'max-outdoor') return `No more than ${parseInt(rule.minutes) || 0} min in a row outdoors (${who})`;
+    if (rule.kind === 'shade-window') return `A shaded or indoor block between ${t(rule.startMin)} and ${t(rule.endMin)} (${who})`;
+    return '';
+}
+
 // Descriptor matching.
 // Descriptor shape: { kind: 'any' | 'type' | 'activity' | 'facility', value: string }
 function blockMatchesDescriptor(block, desc) {
@@ -190,8 +366,12 @@ function blockMatchesDescriptor(block, desc) {
 // blocks) into `template` with appropriate negative startMin offsets, or
 // this engine would need a `previousDayBlocks` opt. Documented here so the
 // limitation isn't a surprise to future contributors.
+//
+// opts.grade (or opts.bunk) scopes the heat & sun exposure rules; without it
+// only the all-grade exposure rules apply.
 function isCandidateAllowed(candidate, template, opts) {
     const mode = (opts && opts.mode) || 'auto';
+    if (candidate && !exposureAllows(candidate, template, opts)) return false;
     const rules = getCooldownRules();
     if (!rules.length || !candidate) return true;
     template = template || [];
@@ -1167,6 +1347,156 @@ function renderAvoidList() {
     });
 }
 
+// ──────────────────────────────────────────────────────────────────────────
+// HEAT & SUN EXPOSURE CARD
+// ──────────────────────────────────────────────────────────────────────────
+function exposureRuleCount() {
+    return getExposureRules().filter(r => r && (r.kind === 'max-outdoor' || r.kind === 'shade-window')).length;
+}
+function updateExposureBadge() {
+    const badgeEl = document.getElementById('rules-exp-badge');
+    if (!badgeEl) return;
+    const count = exposureRuleCount();
+    badgeEl.innerHTML = count
+        ? `<span class="rules-badge">${count} rule${count !== 1 ? 's' : ''}</span>`
+        : '';
+}
+
+function renderExposureCard(container) {
+    if (!container) return;
+    const count = exposureRuleCount();
+    container.innerHTML = `
+        <div class="rules-card">
+            <div class="rules-card-header" id="rules-exp-toggle">
+                <div>
+                    <div class="rules-card-title">
+                        Heat &amp; Sun
+                        <span id="rules-exp-badge">${count ? `<span class="rules-badge">${count} rule${count !== 1 ? 's' : ''}</span>` : ''}</span>
+                    </div>
+                    <div class="rules-card-subtitle">Limit how long a bunk stays outdoors, and when it needs time in the shade. Uses each field's Indoor / Shaded / Outdoor setting.</div>
+                </div>
+                <span class="rules-caret" id="rules-exp-caret">
+                    <svg width="22" height="22" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M6 9l6 6 6-6"/></svg>
+                </span>
+            </div>
+            <div class="rules-card-body" id="rules-exp-body" style="display:none;">
+                <div class="rules-helper">
+                    Example: no bunk spends more than <em>90 minutes</em> in a row outdoors, and grades under 8
+                    get a shaded or indoor block between <em>12:00pm</em> and <em>2:00pm</em>.
+                    Set a field's exposure in Facilities &rarr; Weather &amp; Availability.
+                    Applies to the auto builder.
+                </div>
+                <div id="rules-exp-list" style="margin-top:14px;"></div>
+                <div style="margin-top:12px; display:flex; justify-content:flex-end; gap:8px;">
+                    <button class="rules-btn-dark" id="rules-exp-add-run">+ Max Time Outdoors</button>
+                    <button class="rules-btn-dark" id="rules-exp-add-shade">+ Shade Window</button>
+                </div>
+            </div>
+        </div>`;
+
+    document.getElementById('rules-exp-toggle').onclick = () => {
+        const body = document.getElementById('rules-exp-body');
+        const caret = document.getElementById('rules-exp-caret');
+        const hidden = body.style.display === 'none';
+        body.style.display = hidden ? 'block' : 'none';
+        caret.classList.toggle('open', hidden);
+    };
+    document.getElementById('rules-exp-add-run').onclick = () => {
+        const current = getExposureRules();
+        current.push({ id: uid('exp_'), kind: 'max-outdoor', minutes: 90, grades: [] });
+        saveExposureRules(current);
+        renderExposureList();
+    };
+    document.getElementById('rules-exp-add-shade').onclick = () => {
+        const current = getExposureRules();
+        current.push({ id: uid('exp_'), kind: 'shade-window', startMin: 720, endMin: 840, grades: [] });
+        saveExposureRules(current);
+        renderExposureList();
+    };
+
+    renderExposureList();
+}
+
+function renderExposureList() {
+    const listEl = document.getElementById('rules-exp-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    updateExposureBadge();
+    const rules = getExposureRules();
+    if (rules.length === 0) {
+        listEl.innerHTML = '<div class="rules-empty">No heat or sun rules yet. Add a time limit or a shade window.</div>';
+        return;
+    }
+
+    const grades = getGradeNames();
+    const toTime = m => (m == null ? '' : window.CampUtils.minutesToTime(m));
+
+    rules.forEach((rule, idx) => {
+        const card = document.createElement('div');
+        card.className = 'cd-row';
+        const selected = new Set((rule.grades || []).map(String));
+        const gradeChecks = grades.map(g => `
+            <label class="fq-check-label">
+                <input type="checkbox" class="exp-grade-check" value="${escapeHtml(g)}"${selected.has(String(g)) ? ' checked' : ''}>
+                <span>${escapeHtml(g)}</span>
+            </label>`).join('');
+        const what = rule.kind === 'shade-window'
+            ? `<span class="cd-label">Needs a shaded or indoor block between</span>
+               <input type="text" class="rules-input" id="exp-start-${idx}" style="width:90px;" value="${escapeHtml(toTime(rule.startMin))}">
+               <span class="cd-label">and</span>
+               <input type="text" class="rules-input" id="exp-end-${idx}" style="width:90px;" value="${escapeHtml(toTime(rule.endMin))}">`
+            : `<span class="cd-label">No more than</span>
+               <input type="number" class="rules-input rules-input-num" id="exp-min-${idx}" value="${parseInt(rule.minutes) || 0}" min="15" max="480" step="5">
+               <span class="cd-label">min in a row outdoors</span>`;
+        card.innerHTML = `
+            <div class="cd-fields" style="flex-direction:column; align-items:stretch; gap:8px;">
+                <div style="display:flex; align-items:center; gap:8px; flex-wrap:wrap;">${what}</div>
+                <div style="display:flex; align-items:center; gap:8px;">
+                    <span class="cd-label">For (none checked = every grade):</span>
+                </div>
+                <div class="fq-fields-grid">${gradeChecks || '<div class="rules-empty" style="padding:4px 0;">No grades configured yet.</div>'}</div>
+            </div>
+            <div class="cd-delete-wrap">
+                <button class="rules-btn-ghost-danger" id="exp-del-${idx}" title="Remove this rule">Remove</button>
+            </div>`;
+        listEl.appendChild(card);
+
+        const minEl = document.getElementById('exp-min-' + idx);
+        const startEl = document.getElementById('exp-start-' + idx);
+        const endEl = document.getElementById('exp-end-' + idx);
+        function persist() {
+            const all = getExposureRules();
+            const r = all[idx];
+            if (!r) return;
+            if (minEl) r.minutes = Math.max(0, parseInt(minEl.value) || 0);
+            if (startEl && endEl) {
+                const s = window.CampUtils.parseTimeToMinutes(startEl.value);
+                const e = window.CampUtils.parseTimeToMinutes(endEl.value);
+                if (s == null || e == null || e <= s) {
+                    alert('Enter a start and end time, e.g. 12:00pm and 2:00pm.');
+                    startEl.value = toTime(r.startMin);
+                    endEl.value = toTime(r.endMin);
+                    return;
+                }
+                r.startMin = s;
+                r.endMin = e;
+            }
+            r.grades = [...card.querySelectorAll('.exp-grade-check:checked')].map(c => c.value);
+            saveExposureRules(all);
+            updateExposureBadge();
+        }
+        [minEl, startEl, endEl].forEach(el => el && el.addEventListener('change', persist));
+        card.querySelectorAll('.exp-grade-check').forEach(cb => cb.addEventListener('change', persist));
+        const delBtn = document.getElementById('exp-del-' + idx);
+        if (delBtn) delBtn.onclick = () => {
+            const all = getExposureRules();
+            all.splice(idx, 1);
+            saveExposureRules(all);
+            renderExposureList();
+        };
+    });
+}
+
 // ──────────────────────────────────────────────────────────────────────────
 // TAB INIT
 // ──────────────────────────────────────────────────────────────────────────
@@ -1187,6 +1517,7 @@ function initRulesTab() {
 
             <div id="rules-cd-section"></div>
             <div id="rules-aun-section"></div>
+            <div id="rules-exp-section"></div>
             <div id="rules-sport-section"></div>
             <div id="rules-fq-section"></div>
           </section>
@@ -1194,6 +1525,7 @@ function initRulesTab() {
 
     renderCooldownCard(document.getElementById('rules-cd-section'));
     renderAvoidCard(document.getElementById('rules-aun-section'));
+    renderExposureCard(document.getElementById('rules-exp-section'));
     renderSportsRulesCard(document.getElementById('rules-sport-section'));
     renderFieldQualityCard(document.getElementById('rules-fq-section'));
 
@@ -1205,35 +1537,11 @@ function initRulesTab() {
 }
 
 // ──────────────────────────────────────────────────────────────────────────
-// SPACING ENFORCEMENT SWEEP — post-generation, BOTH builders
+// SWEEP KIT — per-bunk block reading, demote and compliant refill, shared by
+// the post-generation sweeps (spacing, heat & sun exposure)
 // ──────────────────────────────────────────────────────────────────────────
-// The main auto path gates placement via isCandidateAllowed({mode:'auto'}), but
-// coverage / recapture fill passes (e.g. phase4.9-recapture, the final free-fill
-// sweeps) place activities WITHOUT that gate, and the manual builder never gated
-// spacing at all. This sweep runs as the FINAL pass on the assembled per-bunk
-// schedule and demotes any block that violates a spacing rule (target within N
-// minutes of reference) to Free — guaranteeing 0 violations regardless of which
-// placement path created them.
-//
-// Design:
-//   • Demote the movable TARGET only; the (usually pinned) REFERENCE is left intact.
-//   • DEMOTE-ONLY — never moves an activity to a new field/time, so it cannot
-//     introduce a field-sharing / capacity conflict (unlike a swap-based repair).
-//   • User-locked blocks (_league / _postEdit / _pinned) are never demoted; if a
-//     locked block is the violating target, it's left + counted as unresolved.
-//   • Times come from each entry's own _startMin/_endMin (both builders stamp
-//     these), so it needs no external geometry and works identically in both.
-//   • Mode-filtered: a rule applies when its mode is 'both' or matches opts.mode.
-// Must run LAST (after every fill/refill pass) or a later fill can re-violate.
-function enforceSpacingSweep(scheduleAssignments, opts) {
+function _sweepKit(scheduleAssignments, opts) {
     const mode = (opts && opts.mode) || 'auto';
-    const rules = getCooldownRules().filter(function (r) {
-        const rm = r.mode || 'both';
-        return (rm === 'both' || rm === mode) && r.target && r.reference && (parseInt(r.minutes) || 0) > 0;
-    });
-    const report = { mode: mode, rulesApplied: rules.length, refilled: 0, demoted: 0, unresolved: 0, details: [] };
-    if (!rules.length || !scheduleAssignments) return report;
-
     // Time resolution mirrors the room-capacity sweep's _rtime: manual block-A entries
     // do NOT carry _startMin/_endMin (their geometry lives in _perBunkSlots / divisionTimes
     // by slot index), so reading only the entry would make this sweep BLIND to them. Resolve
@@ -1281,9 +1589,9 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
         }
         return out;
     }
-    function demote(slots, idx, s, e) {
+    function demote(slots, idx, s, e, reason) {
         if (!slots[idx]) return false;
-        slots[idx] = { field: 'Free', sport: null, _activity: 'Free', _startMin: s, _endMin: e, _fixed: true, _constraintDemoted: true, _demotedReason: 'spacing', continuation: false };
+        slots[idx] = { field: 'Free', sport: null, _activity: 'Free', _startMin: s, _endMin: e, _fixed: true, _constraintDemoted: true, _demotedReason: reason || 'spacing', continuation: false };
         for (let k = idx + 1; k < slots.length; k++) {
             if (slots[k] && slots[k].continuation) slots[k] = { field: 'Free', sport: null, _activity: 'Free', _fixed: true, _constraintDemoted: true, continuation: false };
             else break;
@@ -1360,7 +1668,11 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
         if (c > 0) return c;
         return t === 'all' ? 999 : 2;
     }
-    function refillSlot(bunk, grade, slots, idx, s, e, demotedType, template) {
+    // `accept(candidate)` (optional) narrows what may go in — the exposure sweep
+    // only takes indoor / shaded fills.
+    function refillSlot(bunk, grade, slots, idx, s, e, demotedType, template, accept) {
+        const ruleOpts = { mode: mode, grade: grade };
+        const ok = function (cand) { return (!accept || accept(cand)) && isCandidateAllowed(cand, template, ruleOpts); };
         const done = {};
         slots.forEach(function (en, i) { if (i !== idx && en && !en.continuation) { const a = en._activity || en.sport || en.event; if (a && !/^free$/i.test(a)) done[_nmR(a)] = 1; } });
         // Shared-room admission: under capacity, and only joining occupants of the
@@ -1385,7 +1697,7 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
                     // ★ Avoid-unless-needed (soft rule): first pass skips avoided sports;
                     //   the second pass (includeAvoided) lets them in — better than Free.
                     if (!includeAvoided && window.SchedulerCoreUtils?.isSportAvoidedUnlessNeeded?.(grade, A)) continue;
-                    if (isCandidateAllowed({ type: 'sport', event: A, field: f.name, startMin: s, endMin: e }, template, { mode: mode }))
+                    if (ok({ type: 'sport', event: A, field: f.name, startMin: s, endMin: e }))
                         return { field: f.name, act: A, isSpecial: false };
                 }
             }
@@ -1402,7 +1714,7 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
                 if (Array.isArray(sp.durations) && sp.durations.filter(Boolean).length) dur = Math.min.apply(null, sp.durations.filter(Boolean));
                 else dur = sp.duration || sp.periodMin || null;
                 if (dur && (e - s) < dur) continue;                              // slot too short for this special
-                if (isCandidateAllowed({ type: 'special', event: sp.name, field: room, _assignedSpecial: sp.name, _specialLocation: room, startMin: s, endMin: e }, template, { mode: mode }))
+                if (ok({ type: 'special', event: sp.name, field: room, _assignedSpecial: sp.name, _specialLocation: room, startMin: s, endMin: e }))
                     return { field: room, act: sp.name, isSpecial: true };
             }
             return null;
@@ -1414,6 +1726,42 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
         return (demotedType === 'special') ? (trySpecial(true) || trySport(true)) : (trySport(true) || trySpecial(true));
     }
 
+    return { b2g: _b2g, slotTime: slotTime, blocksOf: blocksOf, demote: demote, refillSlot: refillSlot };
+}
+
+// ──────────────────────────────────────────────────────────────────────────
+// SPACING ENFORCEMENT SWEEP — post-generation, BOTH builders
+// ──────────────────────────────────────────────────────────────────────────
+// The main auto path gates placement via isCandidateAllowed({mode:'auto'}), but
+// coverage / recapture fill passes (e.g. phase4.9-recapture, the final free-fill
+// sweeps) place activities WITHOUT that gate, and the manual builder never gated
+// spacing at all. This sweep runs as the FINAL pass on the assembled per-bunk
+// schedule and demotes any block that violates a spacing rule (target within N
+// minutes of reference) to Free — guaranteeing 0 violations regardless of which
+// placement path created them.
+//
+// Design:
+//   • Demote the movable TARGET only; the (usually pinned) REFERENCE is left intact.
+//   • DEMOTE-ONLY — never moves an activity to a new field/time, so it cannot
+//     introduce a field-sharing / capacity conflict (unlike a swap-based repair).
+//   • User-locked blocks (_league / _postEdit / _pinned) are never demoted; if a
+//     locked block is the violating target, it's left + counted as unresolved.
+//   • Times come from each entry's own _startMin/_endMin (both builders stamp
+//     these), so it needs no external geometry and works identically in both.
+//   • Mode-filtered: a rule applies when its mode is 'both' or matches opts.mode.
+// Must run LAST (after every fill/refill pass) or a later fill can re-violate.
+function enforceSpacingSweep(scheduleAssignments, opts) {
+    const mode = (opts && opts.mode) || 'auto';
+    const rules = getCooldownRules().filter(function (r) {
+        const rm = r.mode || 'both';
+        return (rm === 'both' || rm === mode) && r.target && r.reference && (parseInt(r.minutes) || 0) > 0;
+    });
+    const report = { mode: mode, rulesApplied: rules.length, refilled: 0, demoted: 0, unresolved: 0, details: [] };
+    if (!rules.length || !scheduleAssignments) return report;
+
+    const kit = _sweepKit(scheduleAssignments, opts);
+    const _b2g = kit.b2g, blocksOf = kit.blocksOf, demote = kit.demote, refillSlot = kit.refillSlot;
+
     Object.keys(scheduleAssignments).forEach(function (bunk) {
         const slots = scheduleAssignments[bunk];
         if (!Array.isArray(slots)) return;
@@ -1473,6 +1821,84 @@ function enforceSpacingSweep(scheduleAssignments, opts) {
     return report;
 }
 
+// ──────────────────────────────────────────────────────────────────────────
+// EXPOSURE ENFORCEMENT SWEEP — post-generation, auto builder
+// ──────────────────────────────────────────────────────────────────────────
+// Same contract as the spacing sweep, for the heat & sun rules: the placement
+// gate (exposureAllows) keeps the main path clean, this pass catches what the
+// ungated fill passes left. Per violation it swaps ONE outdoor block for an
+// indoor / shaded activity via the shared compliant refill:
+//   • over-long run → the block where the run crosses its cap (then later,
+//     then earlier ones); with nothing to swap in it goes Free, which ends
+//     the run just as well.
+//   • shade window  → the outdoor block covering most of the window; Free
+//     would not give the bunk shade, so an unfillable one is unresolved.
+// User-locked blocks are never touched.
+function enforceExposureSweep(scheduleAssignments, opts) {
+    const mode = (opts && opts.mode) || 'auto';
+    const rules = mode === 'auto' ? activeExposureRules() : [];
+    const report = { mode: mode, rulesApplied: rules.length, refilled: 0, demoted: 0, unresolved: 0, details: [] };
+    if (!rules.length || !scheduleAssignments) return report;
+
+    const kit = _sweepKit(scheduleAssignments, opts);
+    const shadeOnly = function (cand) { return exposureOf(cand) !== 'outdoor'; };
+
+    Object.keys(scheduleAssignments).forEach(function (bunk) {
+        const slots = scheduleAssignments[bunk];
+        if (!Array.isArray(slots)) return;
+        const grade = kit.b2g[String(bunk)];
+        const given = {};
+        for (let round = 0; round < 12; round++) {
+            const blocks = kit.blocksOf(bunk, slots);
+            const v = findExposureViolations(blocks, grade, rules)
+                .filter(x => !given[x.rule.id + '@' + x.startMin])[0];
+            if (!v) break;
+            let order = v.blocks.slice().sort((a, b) => blocks[a].startMin - blocks[b].startMin);
+            if (v.kind === 'max-outdoor') {
+                const cap = v.startMin + (parseInt(v.rule.minutes) || 0);
+                const cross = order.findIndex(k => blocks[k].endMin > cap);
+                order = order.slice(cross).concat(order.slice(0, cross).reverse());
+            } else {
+                const cover = k => Math.min(blocks[k].endMin, v.endMin) - Math.max(blocks[k].startMin, v.startMin);
+                order.sort((a, b) => cover(b) - cover(a));
+            }
+            order = order.filter(k => !blocks[k].prot);
+
+            let fixed = false;
+            for (let oi = 0; oi < order.length && !fixed; oi++) {
+                const T = blocks[order[oi]];
+                const template = blocks.filter(function (x) { return x !== T; });
+                const fill = kit.refillSlot(bunk, grade, slots, T.idx, T.startMin, T.endMin, T.type, template, shadeOnly);
+                if (!fill) continue;
+                slots[T.idx] = {
+                    field: fill.field, sport: fill.isSpecial ? null : fill.act, _activity: fill.act,
+                    _startMin: T.startMin, _endMin: T.endMin, _fixed: true, _exposureRefill: true, continuation: false
+                };
+                if (fill.isSpecial) slots[T.idx]._specialLocation = fill.field;
+                report.refilled++;
+                report.details.push({ bunk: bunk, rule: v.kind, refilled: fill.act, replaced: T.event });
+                fixed = true;
+            }
+            if (!fixed && v.kind === 'max-outdoor' && order.length) {
+                const T = blocks[order[0]];
+                kit.demote(slots, T.idx, T.startMin, T.endMin, 'exposure');
+                report.demoted++;
+                report.details.push({ bunk: bunk, rule: v.kind, demoted: T.event });
+                fixed = true;
+            }
+            if (!fixed) {
+                given[v.rule.id + '@' + v.startMin] = true;
+                report.unresolved++;
+                report.details.push({ bunk: bunk, rule: v.kind, unresolved: describeExposureRule(v.rule) });
+            }
+        }
+    });
+    if (report.refilled || report.demoted || report.unresolved) {
+        console.log('[EXPOSURE] enforceExposureSweep: ' + report.refilled + ' moved indoors / into shade, ' + report.demoted + ' demoted → Free' + (report.unresolved ? ', ' + report.unresolved + ' unresolved' : ''));
+    }
+    return report;
+}
+
 // ──────────────────────────────────────────────────────────────────────────
 // EXPORTS
 // ──────────────────────────────────────────────────────────────────────────
@@ -1491,7 +1917,13 @@ window.SchedulingRules = {
     inferTypeFromActivity: inferTypeFromActivity,
     buildTemplateFromBunkSlots: buildTemplateFromBunkSlots,
     enforceSpacingSweep: enforceSpacingSweep,
-    describeRule: describeRule
+    describeRule: describeRule,
+    getExposureRules: getExposureRules,
+    saveExposureRules: saveExposureRules,
+    exposureOf: exposureOf,
+    findExposureViolations: findExposureViolations,
+    enforceExposureSweep: enforceExposureSweep,
+    describeExposureRule: describeExposureRule
 };
 
 console.log('[RULES] rules.js v1.1 ready');
@@ -461,6 +461,8 @@
                     '</div>' +
                     '<button class="scv-save-btn" onclick="window.SnapshotUI &amp;&amp; window.SnapshotUI.saveNow()">Save</button>' +
                     '<button class="scv-saved-btn" onclick="window.SnapshotUI &amp;&amp; window.SnapshotUI.openModal()">Saved</button>' +
+                    '<button class="scv-staff-btn" onclick="window.StaffScheduler &amp;&amp; window.StaffScheduler.openView()">Staff</button>' +
+                    '<button class="scv-electives-btn" onclick="window.CamperElectives &amp;&amp; window.CamperElectives.openPreferences()">Electives</button>' +
                     '<button class="scv-validate-btn" onclick="window.validateSchedule &amp;&amp; window.validateSchedule()">Validate</button>' +
                 '</div>' +
             '</div>' +
@@ -1013,7 +1015,9 @@
 '.scv-validate-btn{padding:6px 16px;border:none;border-radius:6px;background:#ff9800;color:#fff;font-size:13px;font-weight:600;cursor:pointer;transition:opacity .15s}' +
 '.scv-save-btn{padding:6px 16px;border:none;border-radius:6px;background:#2e7d32;color:#fff;font-size:13px;font-weight:600;cursor:pointer;transition:opacity .15s}' +
 '.scv-saved-btn{padding:6px 16px;border:none;border-radius:6px;background:#147D91;color:#fff;font-size:13px;font-weight:600;cursor:pointer;transition:opacity .15s}' +
-'.scv-validate-btn:hover,.scv-save-btn:hover,.scv-saved-btn:hover{opacity:.85}' +
+'.scv-staff-btn{padding:6px 16px;border:none;border-radius:6px;background:#6A1B9A;color:#fff;font-size:13px;font-weight:600;cursor:pointer;transition:opacity .15s}' +
+'.scv-electives-btn{padding:6px 16px;border:none;border-radius:6px;background:#4F46E5;color:#fff;font-size:13px;font-weight:600;cursor:pointer;transition:opacity .15s}' +
+'.scv-validate-btn:hover,.scv-save-btn:hover,.scv-saved-btn:hover,.scv-staff-btn:hover,.scv-electives-btn:hover{opacity:.85}' +
 
 /* Filter */
 '.scv-filter-row{display:flex;gap:6px;margin-top:10px;flex-wrap:wrap}' +
@@ -0,0 +1,400 @@
+// =================================================================
+// schedule_diff.js — Cell-level diff + selective restore between
+//                    saved schedule versions
+// VERSION: v1.0
+// -----------------------------------------------------------------
+// A saved version (schedule_versions.schedule_data) and the live
+// schedule are both { scheduleAssignments, divisionTimes } — per-bunk
+// slot arrays plus the grid that gives each slot its times. This file
+// turns two of them into "what changed, per bunk":
+//
+//   moved      same activity, different time            (Art 10:00 → 2:00)
+//   swapped    two times exchanged their activities     (Art ⇄ Drama)
+//   added      only in the newer schedule
+//   removed    only in the older schedule
+//   replaced   same time, different activity            (Art → Drama)
+//   relocated  same time + activity, different field
+//   retimed    same start + activity, different length
+//
+// and restores individual bunks or time ranges from an older version
+// into the current schedule. Restores copy whole cells onto the
+// current grid — a range restore only writes slots whose times line
+// up in both schedules and reports the rest, never stretching a cell
+// onto a slot it wasn't generated for. A cell is also left alone (and
+// reported) when its field is now held by a bunk the restore doesn't
+// touch, or when either side is a league game — the day's
+// leagueAssignments would no longer match the grid.
+//
+// diff() / restore() take their data injected (no window reads) — see
+// tests/schedule_diff.test.js. The UI lives in schedule_snapshot_ui.js.
+// =================================================================
+
+(function () {
+    'use strict';
+
+    // ------------------------------------------------------------------
+    // Cell extraction
+    // ------------------------------------------------------------------
+    function fieldName(f) {
+        return (f && typeof f === 'object') ? (f.name || '') : (f || '');
+    }
+
+    // Slot grid for a bunk, from either the live (deserialized arrays) or the
+    // stored (serialized { _slots, _perBunkSlots }) divisionTimes shape.
+    function slotGrid(divisionTimes, div, bunk) {
+        const d = divisionTimes && div != null ? divisionTimes[div] : null;
+        if (!d) return null;
+        const pb = d._perBunkSlots && d._perBunkSlots[bunk];
+        if (Array.isArray(pb) && pb.length) return pb;
+        if (Array.isArray(d)) return d;
+        return Array.isArray(d._slots) ? d._slots : null;
+    }
+
+    function slotTimes(grid, i) {
+        const s = grid && grid[i];
+        return (s && typeof s.startMin === 'number') ? { s: s.startMin, e: s.endMin } : null;
+    }
+
+    function activityOf(e) {
+        return e._activity || e.sport || fieldName(e.field) || e._displayName || '';
+    }
+
+    /**
+     * The lead cells of every bunk: [{ s, e, activity, field, idx }] sorted by
+     * time. Continuations extend their lead cell; transitions are skipped.
+     * @param {Object} data     { scheduleAssignments, divisionTimes }
+     * @param {Function} [divisionOf] bunk → division name (grid lookup)
+     */
+    function cellsOf(data, divisionOf) {
+        const out = {};
+        const sa = (data && data.scheduleAssignments) || {};
+        Object.keys(sa).forEach(bunk => {
+            const row = sa[bunk];
+            if (!Array.isArray(row)) return;
+            const grid = slotGrid(data.divisionTimes, divisionOf ? divisionOf(bunk) : null, bunk);
+            const cells = [];
+            let lead = null;
+            row.forEach((e, i) => {
+                const t = slotTimes(grid, i);
+                if (!e) { lead = null; return; }
+                if (e.continuation) {
+                    if (lead) {
+                        const end = typeof e._endMin === 'number' ? e._endMin : (t && t.e);
+                        if (typeof end === 'number' && end > lead.e) lead.e = end;
+                    }
+                    return;
+                }
+                if (e._isTransition) { lead = null; return; }
+                const activity = activityOf(e);
+                if (!activity) { lead = null; return; }
+                const s = typeof e._startMin === 'number' ? e._startMin : (t ? t.s : null);
+                const en = typeof e._endMin === 'number' ? e._endMin : (t ? t.e : null);
+                lead = { s: s, e: en, activity: activity, field: fieldName(e.field) !== activity ? fieldName(e.field) : '', idx: i };
+                cells.push(lead);
+            });
+            cells.sort((a, b) => (a.s == null ? a.idx : a.s) - (b.s == null ? b.idx : b.s));
+            out[bunk] = cells;
+        });
+        return out;
+    }
+
+    function keyOf(c) { return c.s == null ? '#' + c.idx : String(c.s); }
+    function norm(a) { return String(a || '').trim().toLowerCase(); }
+    function at(c) { return { s: c.s, e: c.e }; }
+
+    // ------------------------------------------------------------------
+    // Diff
+    // ------------------------------------------------------------------
+    function diffBunk(oldCells, newCells) {
+        const changes = [];
+        const O = {}, N = {};
+        oldCells.forEach(c => { O[keyOf(c)] = c; });
+        newCells.forEach(c => { N[keyOf(c)] = c; });
+        const oLeft = {}, nLeft = {};
+
+        // 1. Same start in both.
+        Object.keys(O).forEach(k => {
+            const o = O[k], n = N[k];
+            if (!n) { oLeft[k] = o; return; }
+            if (norm(o.activity) === norm(n.activity)) {
+                if (o.e !== n.e) changes.push({ kind: 'retimed', activity: n.activity, from: at(o), to: at(n) });
+                else if (norm(o.field) !== norm(n.field)) changes.push({ kind: 'relocated', activity: n.activity, s: n.s, e: n.e, fromField: o.field, toField: n.field });
+                return;
+            }
+            oLeft[k] = o; nLeft[k] = n;
+        });
+        Object.keys(N).forEach(k => { if (!O[k]) nLeft[k] = N[k]; });
+
+        // 2. Swaps: two times whose activities traded places.
+        const keys = Object.keys(oLeft).filter(k => nLeft[k]);
+        keys.forEach(k1 => {
+            if (!oLeft[k1] || !nLeft[k1]) return;
+            const k2 = keys.find(k => k !== k1 && oLeft[k] && nLeft[k]
+                && norm(oLeft[k].activity) === norm(nLeft[k1].activity)
+                && norm(oLeft[k1].activity) === norm(nLeft[k].activity));
+            if (!k2) return;
+            changes.push({ kind: 'swapped',
+                a: { activity: oLeft[k1].activity, from: at(oLeft[k1]), to: at(nLeft[k2]) },
+                b: { activity: oLeft[k2].activity, from: at(oLeft[k2]), to: at(nLeft[k1]) } });
+            delete oLeft[k1]; delete oLeft[k2]; delete nLeft[k1]; delete nLeft[k2];
+        });
+
+        // 3. Moves: the activity left one time and turned up at another
+        //    (closest new time wins when it appears more than once).
+        Object.keys(oLeft).forEach(ok => {
+            const o = oLeft[ok];
+            let best = null;
+            Object.keys(nLeft).forEach(nk => {
+                const n = nLeft[nk];
+                if (norm(n.activity) !== norm(o.activity)) return;
+                const d = (o.s != null && n.s != null) ? Math.abs(n.s - o.s) : 0;
+                if (!best || d < best.d) best = { k: nk, d: d };
+            });
+            if (!best) return;
+            const n = nLeft[best.k];
+            changes.push({ kind: 'moved', activity: n.activity, from: at(o), to: at(n), fromField: o.field, toField: n.field });
+            delete oLeft[ok]; delete nLeft[best.k];
+        });
+
+        // 4. Whatever is left: replaced in place, or plainly added/removed.
+        Object.keys(oLeft).forEach(k => {
+            const o = oLeft[k], n = nLeft[k];
+            if (n) {
+                changes.push({ kind: 'replaced', s: n.s, e: n.e, from: o.activity, to: n.activity, fromField: o.field, toField: n.field });
+                delete nLeft[k];
+            } else {
+                changes.push({ kind: 'removed', activity: o.activity, field: o.field, s: o.s, e: o.e });
+            }
+        });
+        Object.keys(nLeft).forEach(k => {
+            const n = nLeft[k];
+            changes.push({ kind: 'added', activity: n.activity, field: n.field, s: n.s, e: n.e });
+        });
+
+        const start = c => (c.s != null ? c.s : c.from ? c.from.s : c.a ? c.a.from.s : 0) || 0;
+        return changes.sort((a, b) => start(a) - start(b));
+    }
+
+    /**
+     * Cell-level diff from `older` to `newer`.
+     * @returns {{ bunks: Object<string,{status:string, changes:Array}>, summary: Object }}
+     *   status: 'changed' | 'added' (bunk only in newer) | 'removed' (only in older)
+     */
+    function diff(older, newer, opts) {
+        const divisionOf = opts && opts.divisionOf;
+        const a = cellsOf(older, divisionOf), b = cellsOf(newer, divisionOf);
+        const out = {};
+        const summary = { moved: 0, swapped: 0, added: 0, removed: 0, replaced: 0, relocated: 0, retimed: 0, bunksChanged: 0 };
+        const bunks = Array.from(new Set(Object.keys(a).concat(Object.keys(b))));
+        bunks.forEach(bunk => {
+            const oc = a[bunk] || [], nc = b[bunk] || [];
+            const changes = diffBunk(oc, nc);
+            if (!changes.length) return;
+            changes.forEach(c => { summary[c.kind]++; });
+            summary.bunksChanged++;
+            out[bunk] = { status: !a[bunk] || !oc.length ? 'added' : (!b[bunk] || !nc.length ? 'removed' : 'changed'), changes: changes };
+        });
+        return { bunks: out, summary: summary };
+    }
+
+    // ------------------------------------------------------------------
+    // Selective restore
+    // ------------------------------------------------------------------
+    function clone(x) { return x == null ? x : JSON.parse(JSON.stringify(x)); }
+
+    function isLeague(e) {
+        return !!e && !!(e._h2h || e._league || /^league:/i.test(fieldName(e.field)) || /^league:/i.test(e._activity || ''));
+    }
+
+    /**
+     * Copy bunks (whole, or only [startMin, endMin)) from `source` (an older
+     * version) into `current`. Pure: returns new assignments, never mutates.
+     *
+     * Whole-bunk restores take the version's row as-is; if that bunk's grid
+     * changed since, its per-bunk grid is returned in `grids` so the caller
+     * can put it back too. A shared (non per-bunk) division grid can't change
+     * for one bunk, so a whole-bunk restore onto a different grid is skipped.
+     *
+     * Cells that would double-book a field (`fieldCapacity` lists the fields
+     * to check — sharing needs the same activity and division, under
+     * capacity) or that are league games on either side keep their current
+     * contents and are listed in `skipped` with their startMin. A whole-bunk
+     * restore with such a cell falls back to cell-by-cell on the same grid,
+     * and is skipped outright when the grid changed.
+     *
+     * @param {Object} current  { scheduleAssignments, divisionTimes }
+     * @param {Object} source   { scheduleAssignments, divisionTimes }
+     * @param {Object} opts     { bunks:[], startMin?, endMin?, divisionOf?, fieldCapacity?:{field:n} }
+     * @returns {{ scheduleAssignments, grids:{bunk:{division, slots}}, restored:[{bunk, cells}], skipped:[{bunk, reason, startMin?}] }}
+     */
+    function restore(current, source, opts) {
+        opts = opts || {};
+        const divisionOf = opts.divisionOf || (() => null);
+        const hasRange = typeof opts.startMin === 'number' && typeof opts.endMin === 'number';
+        const cur = clone((current && current.scheduleAssignments) || {});
+        const src = (source && source.scheduleAssignments) || {};
+        const res = { scheduleAssignments: cur, grids: {}, restored: [], skipped: [] };
+        const capacity = opts.fieldCapacity || {};
+
+        // Who holds each checked field now, among the bunks this restore leaves alone.
+        const restoring = {};
+        (opts.bunks || []).forEach(b => { restoring[String(b)] = 1; });
+        const held = {};
+        const others = cellsOf({ scheduleAssignments: cur, divisionTimes: current && current.divisionTimes }, divisionOf);
+        Object.keys(others).forEach(b => {
+            if (restoring[String(b)]) return;
+            others[b].forEach(c => {
+                if (c.field && capacity[c.field] != null && c.s != null) (held[c.field] = held[c.field] || []).push({ bunk: b, s: c.s, e: c.e, activity: c.activity });
+            });
+        });
+        const LEAGUE = 'league game — restore the whole version to bring its matchups back';
+        const timeOf = (grid, row, i) => {
+            const t = slotTimes(grid, i);
+            if (t) return t;
+            const e = row[i];
+            return (e && typeof e._startMin === 'number') ? { s: e._startMin, e: e._endMin } : null;
+        };
+        // Slot indexes of the cell led by row[j]: the lead and its continuations.
+        function spanOf(row, j) {
+            const out = [j];
+            for (let k = j + 1; k < row.length && row[k] && row[k].continuation; k++) out.push(k);
+            return out;
+        }
+        // Why the source cell led by srow[j] can't replace `live` (the live
+        // entries under its slots), or null.
+        function blocked(bunk, srow, sGrid, j, live) {
+            const e = srow[j];
+            const under = spanOf(srow, j).map(k => srow[k]);
+            if ((isLeague(e) || live.some(isLeague)) && JSON.stringify(under) !== JSON.stringify(live)) return LEAGUE;
+            const f = e && fieldName(e.field);
+            if (!f || capacity[f] == null) return null;
+            const span = spanOf(srow, j).map(k => timeOf(sGrid, srow, k)).filter(Boolean);
+            if (!span.length) return null;
+            const s = span[0].s;
+            const end = Math.max(typeof e._endMin === 'number' ? e._endMin : 0, ...span.map(t => t.e));
+            const over = (held[f] || []).filter(h => h.s < end && s < h.e);
+            if (!over.length) return null;
+            const shares = over.length < capacity[f] && over.every(h =>
+                norm(h.activity) === norm(activityOf(e)) && divisionOf(h.bunk) === divisionOf(bunk));
+            return shares ? null : `${f} is taken by ${over[0].bunk}`;
+        }
+        // Copies srow onto crow slot by slot inside [from, to); a blocked cell
+        // keeps the live one. Returns { cells, misaligned }.
+        function copyCells(bunk, crow, srow, sGrid, cGrid, from, to) {
+            const cIdx = {};
+            crow.forEach((e, i) => { const t = timeOf(cGrid, crow, i); if (t) cIdx[t.s + '-' + t.e] = i; });
+            let cells = 0, misaligned = 0;
+            for (let j = 0; j < srow.length; j++) {
+                const slots = spanOf(srow, j);
+                const at = slots.map(k => { const t = timeOf(sGrid, srow, k); return t ? cIdx[t.s + '-' + t.e] : undefined; });
+                const first = timeOf(sGrid, srow, j);
+                const last = timeOf(sGrid, srow, slots[slots.length - 1]);
+                j = slots[slots.length - 1];
+                if (!first || !last || first.s < from || last.e > to) continue;
+                if (at.some(i => i === undefined)) { misaligned++; continue; }
+                const why = blocked(bunk, srow, sGrid, slots[0], at.map(i => crow[i] || null));
+                if (why) {
+                    if (!res.skipped.some(x => x.bunk === bunk && x.startMin === first.s)) res.skipped.push({ bunk: bunk, reason: why, startMin: first.s });
+                    continue;
+                }
+                slots.forEach((k, n) => { crow[at[n]] = clone(srow[k]); });
+                if (srow[slots[0]]) cells++;
+            }
+            return { cells: cells, misaligned: misaligned };
+        }
+
+        (opts.bunks || []).forEach(bunk => {
+            const srow = src[bunk];
+            const div = divisionOf(bunk);
+            const sGrid = slotGrid(source && source.divisionTimes, div, bunk);
+            const cGrid = slotGrid(current && current.divisionTimes, div, bunk);
+            if (!Array.isArray(srow)) { res.skipped.push({ bunk: bunk, reason: 'not in that version' }); return; }
+
+            const sameGrid = sGrid && cGrid && sGrid.length === cGrid.length
+                && sGrid.every((s, i) => s.startMin === cGrid[i].startMin && s.endMin === cGrid[i].endMin);
+            const gridChanged = !!(sGrid && cGrid) && !sameGrid;
+            const crow = cur[bunk];
+
+            if (!hasRange) {
+                // A clash anywhere in the day: cell by cell on the same grid,
+                // never across a grid change.
+                let why = null;
+                srow.forEach((e, j) => {
+                    if (why || !e || e.continuation) return;
+                    const live = spanOf(srow, j).map(k => (gridChanged || !Array.isArray(crow) ? null : crow[k] || null));
+                    why = blocked(bunk, srow, sGrid, j, live);
+                });
+                if (!why && Array.isArray(crow) && crow.some((e, i) => isLeague(e) && (gridChanged || JSON.stringify(e) !== JSON.stringify(srow[i] || null)))) why = LEAGUE;
+                if (why) {
+                    if (gridChanged || !Array.isArray(crow)) { res.skipped.push({ bunk: bunk, reason: why }); return; }
+                    const done = copyCells(bunk, crow, srow, sGrid, cGrid, -Infinity, Infinity);
+                    res.restored.push({ bunk: bunk, cells: done.cells });
+                    return;
+                }
+                if (gridChanged) {
+                    const d = current.divisionTimes && current.divisionTimes[div];
+                    if (!(d && d._perBunkSlots)) { res.skipped.push({ bunk: bunk, reason: 'the division\'s time grid changed' }); return; }
+                    res.grids[bunk] = { division: div, slots: clone(sGrid) };
+                }
+                cur[bunk] = clone(srow);
+                res.restored.push({ bunk: bunk, cells: srow.filter(e => e && !e.continuation).length });
+                return;
+            }
+
+            // Range: only slots whose times exist in both grids.
+            if (!Array.isArray(crow)) { res.skipped.push({ bunk: bunk, reason: 'not in the current schedule — restore the whole bunk instead' }); return; }
+            const done = copyCells(bunk, crow, srow, sGrid, cGrid, opts.startMin, opts.endMin);
+            if (!done.cells && done.misaligned) { res.skipped.push({ bunk: bunk, reason: 'the time grid changed in that range — restore the whole bunk instead' }); return; }
+            res.restored.push({ bunk: bunk, cells: done.cells, misaligned: done.misaligned || undefined });
+        });
+        return res;
+    }
+
+    // ------------------------------------------------------------------
+    // Browser helpers
+    // ------------------------------------------------------------------
+    // bunk → division from the live registry.
+    function liveDivisionOf() {
+        const map = {};
+        const divs = (typeof window !== 'undefined' && window.divisions) || {};
+        Object.keys(divs).forEach(d => ((divs[d] && divs[d].bunks) || []).forEach(b => { map[String(b)] = d; }));
+        return bunk => map[String(bunk)] || null;
+    }
+
+    // Configured fields → how many bunks may share one at a time (the same
+    // reading field_quality_reopt.js uses). Fields turned off are left out.
+    function liveFieldCapacity() {
+        const out = {};
+        let gs = {};
+        try { gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {}; } catch (_e) {}
+        ((gs.app1 && gs.app1.fields) || gs.fields || []).forEach(f => {
+            if (!f || !f.name || f.available === false) return;
+            out[f.name] = parseInt(f.sharableWith && f.sharableWith.capacity) || parseInt(f.capacity)
+                || ((f.sharableWith && f.sharableWith.type === 'not_sharable') ? 1 : 2);
+        });
+        return out;
+    }
+
+    function liveData() {
+        return {
+            scheduleAssignments: window.scheduleAssignments || {},
+            divisionTimes: window.divisionTimes || {}
+        };
+    }
+
+    // A stored version's schedule_data in the { scheduleAssignments, divisionTimes } shape.
+    function versionData(row) {
+        let data = row && row.schedule_data;
+        if (typeof data === 'string') { try { data = JSON.parse(data); } catch (_e) { data = null; } }
+        if (!data) return { scheduleAssignments: {}, divisionTimes: {} };
+        return {
+            scheduleAssignments: data.scheduleAssignments || data,
+            divisionTimes: data.divisionTimes || {}
+        };
+    }
+
+    const ScheduleDiff = { cellsOf, diff, restore, liveDivisionOf, liveFieldCapacity, liveData, versionData };
+
+    if (typeof window !== 'undefined') window.ScheduleDiff = ScheduleDiff;
+    if (typeof module !== 'undefined' && module.exports) module.exports = ScheduleDiff;
+})();
@@ -516,6 +516,11 @@
         if (data.manualSkeleton && Array.isArray(data.manualSkeleton) && data.manualSkeleton.length > 0) {
             window._autoSkeleton = data.manualSkeleton;
         }
+        // Per-cell generation explanations (cell_explain.js). Reset, not kept,
+        // when absent — a previous date's explanation must not linger.
+        window._genExplain = (data._genExplain && data._genExplain.bunks) ? data._genExplain : null;
+        window.staffAssignments = (data.staffAssignments && data.staffAssignments.assignments) ? data.staffAssignments : null;
+        window.leagueOfficialAssignments = (data.leagueOfficials && data.leagueOfficials.assignments) ? data.leagueOfficials : null;
 
         // ★★★ FIX v1.5: Hydrate rainy day state (check both flags for backward compatibility) ★★★
         if (data.isRainyDay === true || data.rainyDayMode === true) {
@@ -963,7 +968,10 @@
             _perBunkSlotsData: {},
             // Also keep the auto-generated and manual-skeleton signals.
             _autoGenerated: false,
-            manualSkeleton: null
+            manualSkeleton: null,
+            _genExplain: null,
+            staffAssignments: null,
+            leagueOfficials: null
         };
 
         // Sort by updated_at ascending so the most recently saved record wins
@@ -1023,6 +1031,16 @@
             if (data.manualSkeleton && Array.isArray(data.manualSkeleton) && data.manualSkeleton.length > 0) {
                 merged.manualSkeleton = data.manualSkeleton;
             }
+            if (data._genExplain && data._genExplain.bunks) {
+                merged._genExplain = Object.assign({}, data._genExplain,
+                    { bunks: Object.assign({}, merged._genExplain && merged._genExplain.bunks, data._genExplain.bunks) });
+            }
+            if (data.staffAssignments && data.staffAssignments.assignments) {
+                merged.staffAssignments = data.staffAssignments;
+            }
+            if (data.leagueOfficials && data.leagueOfficials.assignments) {
+                merged.leagueOfficials = data.leagueOfficials;
+            }
 
             // ★★★ FIX v1.5: Rainy day flag - check BOTH database column AND inside schedule_data ★★★
             if (record.is_rainy_day || data.isRainyDay === true || data.rainyDayMode === true) {
@@ -7,6 +7,10 @@
 // click. Backed by the existing schedule_versions table via
 // window.ScheduleVersionManager / window.ScheduleVersionsDB.
 //
+// "Compare" shows what changed between two saved versions (or one and
+// the live schedule) per bunk, and restores checked bunks or a time
+// range from the older one (schedule_diff.js does the diffing).
+//
 // Why this exists: people have accidentally wiped/overwritten a day's
 // schedule with no easy way back. This lets them snapshot the current
 // schedule and restore any earlier snapshot for the same date.
@@ -159,7 +163,7 @@
                 <button id="snapshotModalClose" style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button>
             </div>
             <div style="padding:10px 20px;border-bottom:1px solid #f0f0f0;color:#555;font-size:13px;">
-                Restore a saved schedule to bring it back. Your current schedule is automatically backed up before any restore.
+                Restore a saved schedule to bring it back, or Compare to see what changed and restore just some bunks or times. Your current schedule is automatically backed up before any restore.
             </div>
             <div id="snapshotTableWrap" style="overflow:auto;padding:0 20px 16px;flex:1;"></div>
             <div style="display:flex;justify-content:flex-end;gap:10px;padding:14px 20px;border-top:1px solid #e0e0e0;">
@@ -210,6 +214,8 @@
                     <td style="padding:10px 8px;vertical-align:middle;">${esc(v.name)}${tag}</td>
                     <td style="padding:10px 8px;vertical-align:middle;color:#666;white-space:nowrap;">${esc(when)}</td>
                     <td style="padding:10px 8px;vertical-align:middle;text-align:right;white-space:nowrap;">
+                        <button class="snapshotCompareBtn" data-id="${esc(v.id)}"
+                            style="background:#fff;color:#147D91;border:1px solid #147D91;padding:6px 12px;border-radius:4px;font-weight:600;cursor:pointer;margin-right:6px;">Compare</button>
                         <button class="snapshotRestoreBtn" data-id="${esc(v.id)}" data-name="${esc(v.name)}"
                             style="background:#147D91;color:#fff;border:none;padding:6px 14px;border-radius:4px;font-weight:600;cursor:pointer;margin-right:6px;">Restore</button>
                         <button class="snapshotDeleteBtn" data-id="${esc(v.id)}" data-name="${esc(v.name)}"
@@ -230,6 +236,7 @@
                 <tbody>${rows}</tbody>
             </table>`;
 
+        wrap.querySelectorAll('.snapshotCompareBtn').forEach(b => b.onclick = () => openCompare(b.dataset.id, versions));
         wrap.querySelectorAll('.snapshotRestoreBtn').forEach(b => b.onclick = () => doRestore(b.dataset.id, b.dataset.name));
         wrap.querySelectorAll('.snapshotDeleteBtn').forEach(b => b.onclick = () => doDelete(b.dataset.id, b.dataset.name));
     }
@@ -265,7 +272,156 @@
         }
     }
 
-    window.SnapshotUI = { saveNow, openModal, closeModal };
+    // -------------------------------------------------------------
+    // Compare two versions (or a version and the live schedule) and
+    // restore bunks / time ranges from the older one. Diffing and cell
+    // copying live in schedule_diff.js (window.ScheduleDiff).
+    // -------------------------------------------------------------
+    const LIVE = '__live__';
+    const KIND_STYLE = {
+        moved: ['#1565c0', '#e3f2fd'], swapped: ['#6a1b9a', '#f3e5f5'], added: ['#2e7d32', '#e8f5e9'],
+        removed: ['#c62828', '#ffebee'], replaced: ['#e65100', '#fff3e0'], relocated: ['#455a64', '#eceff1'],
+        retimed: ['#455a64', '#eceff1']
+    };
+
+    function fmtMin(m) {
+        if (m == null) return '?';
+        const f = window.SchedulerCoreUtils?.minutesToTimeLabel;
+        if (f) return f(m);
+        const h = Math.floor(m / 60), mm = m % 60;
+        return `${h % 12 || 12}:${String(mm).padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`;
+    }
+    function span(t) { return t ? `${fmtMin(t.s)}–${fmtMin(t.e)}` : ''; }
+    function at(f) { return f ? ` @ ${esc(f)}` : ''; }
+
+    function describe(c) {
+        switch (c.kind) {
+            case 'moved': return `<b>${esc(c.activity)}</b> moved ${span(c.from)} → ${span(c.to)}`;
+            case 'swapped': return `<b>${esc(c.a.activity)}</b> ⇄ <b>${esc(c.b.activity)}</b> (${span(c.a.from)} / ${span(c.b.from)})`;
+            case 'added': return `<b>${esc(c.activity)}</b>${at(c.field)} added ${span(c)}`;
+            case 'removed': return `<b>${esc(c.activity)}</b>${at(c.field)} removed ${span(c)}`;
+            case 'replaced': return `${span(c)}: <b>${esc(c.from)}</b> → <b>${esc(c.to)}</b>`;
+            case 'relocated': return `<b>${esc(c.activity)}</b> ${span(c)}: ${esc(c.fromField || '—')} → ${esc(c.toField || '—')}`;
+            case 'retimed': return `<b>${esc(c.activity)}</b> ${span(c.from)} → ${span(c.to)}`;
+            default: return esc(c.kind);
+        }
+    }
+
+    // Time range a change covers in the OLDER schedule — what "restore" brings back.
+    function rangeOf(c) {
+        const ts = [c.from, c.to, c.a && c.a.from, c.b && c.b.from, c.s != null ? c : null].filter(t => t && t.s != null && t.e != null);
+        if (!ts.length) return null;
+        return { s: Math.min(...ts.map(t => t.s)), e: Math.max(...ts.map(t => t.e)) };
+    }
+
+    async function loadSide(id, cache) {
+        if (id === LIVE) return window.ScheduleDiff.liveData();
+        if (!cache[id]) cache[id] = window.ScheduleDiff.versionData(await db().getVersion(id));
+        return cache[id];
+    }
+
+    function openCompare(fromId, versions) {
+        const wrap = document.getElementById('snapshotTableWrap');
+        if (!wrap) return;
+        if (!window.ScheduleDiff || !db()?.getVersion) { toast('Compare is not available.', 'error'); return; }
+        const cache = {};
+        const opt = (id, label, sel) => `<option value="${esc(id)}" ${id === sel ? 'selected' : ''}>${esc(label)}</option>`;
+        const verOpts = sel => versions.map(v => opt(v.id, `${v.name} — ${v.created_at ? new Date(v.created_at).toLocaleString() : ''}`, sel)).join('');
+        wrap.innerHTML = `
+            <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;padding:12px 0;border-bottom:1px solid #f0f0f0;font-size:13px;">
+                <button id="snapCmpBack" style="background:none;border:1px solid #ccc;padding:5px 10px;border-radius:4px;cursor:pointer;">← Back</button>
+                <span>From</span><select id="snapCmpFrom" style="max-width:230px;padding:4px;">${verOpts(fromId)}</select>
+                <span>to</span><select id="snapCmpTo" style="max-width:230px;padding:4px;">${opt(LIVE, 'Current schedule', LIVE)}${verOpts(null)}</select>
+            </div>
+            <div id="snapCmpBody" style="padding-top:10px;"></div>`;
+        document.getElementById('snapCmpBack').onclick = renderTable;
+        const fromSel = document.getElementById('snapCmpFrom');
+        const toSel = document.getElementById('snapCmpTo');
+        const run = () => renderCompare(fromSel.value, toSel.value, versions, cache);
+        fromSel.onchange = run;
+        toSel.onchange = run;
+        run();
+    }
+
+    async function renderCompare(fromId, toId, versions, cache) {
+        const body = document.getElementById('snapCmpBody');
+        if (!body) return;
+        body.innerHTML = '<div style="padding:24px;text-align:center;color:#888;">Comparing…</div>';
+        let d;
+        try {
+            const [a, b] = await Promise.all([loadSide(fromId, cache), loadSide(toId, cache)]);
+            d = window.ScheduleDiff.diff(a, b, { divisionOf: window.ScheduleDiff.liveDivisionOf() });
+        } catch (e) { body.innerHTML = `<div style="padding:24px;text-align:center;color:#c62828;">Error comparing: ${esc(e.message)}</div>`; return; }
+        const canRestore = toId === LIVE;
+        const fromName = (versions.find(v => String(v.id) === String(fromId)) || {}).name || 'that version';
+        const bunks = Object.keys(d.bunks);
+        if (!bunks.length) { body.innerHTML = '<div style="padding:30px;text-align:center;color:#888;">No differences.</div>'; return; }
+
+        const chips = Object.keys(KIND_STYLE).filter(k => d.summary[k]).map(k =>
+            `<span style="background:${KIND_STYLE[k][1]};color:${KIND_STYLE[k][0]};font-size:12px;font-weight:600;padding:2px 9px;border-radius:10px;">${d.summary[k]} ${k}</span>`).join(' ');
+        const blocks = bunks.map(bunk => {
+            const info = d.bunks[bunk];
+            const lines = info.changes.map(c => {
+                const r = rangeOf(c);
+                const btn = canRestore && r
+                    ? `<button class="snapCmpRange" data-bunk="${esc(bunk)}" data-s="${r.s}" data-e="${r.e}" title="Bring back ${esc(fromName)} for ${esc(span(r))}" style="background:none;border:none;color:#147D91;cursor:pointer;font-size:12px;font-weight:600;">restore</button>`
+                    : '';
+                return `<div style="display:flex;align-items:center;gap:8px;padding:3px 0;font-size:13px;">
+                    <span style="min-width:72px;text-align:center;background:${KIND_STYLE[c.kind][1]};color:${KIND_STYLE[c.kind][0]};font-size:11px;font-weight:600;padding:1px 6px;border-radius:8px;">${c.kind}</span>
+                    <span style="flex:1;">${describe(c)}</span>${btn}</div>`;
+            }).join('');
+            return `<div style="border:1px solid #eee;border-radius:6px;padding:8px 10px;margin-bottom:8px;">
+                <label style="display:flex;align-items:center;gap:8px;font-weight:600;margin-bottom:4px;">
+                    ${canRestore ? `<input type="checkbox" class="snapCmpBunk" value="${esc(bunk)}">` : ''}${esc(bunk)}
+                    ${info.status !== 'changed' ? `<span style="color:#888;font-weight:400;font-size:12px;">(${info.status === 'added' ? 'only in the newer schedule' : 'only in the older schedule'})</span>` : ''}
+                </label>${lines}</div>`;
+        }).join('');
+        const restoreBar = canRestore ? `
+            <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;padding:10px 0;border-top:1px solid #f0f0f0;font-size:13px;">
+                <span>Restore checked bunks from “${esc(fromName)}”:</span>
+                <input id="snapCmpFromT" type="time" style="padding:3px;"> – <input id="snapCmpToT" type="time" style="padding:3px;">
+                <span style="color:#888;font-size:12px;">(leave empty for the whole day)</span>
+                <button id="snapCmpRestore" style="margin-left:auto;background:#147D91;color:#fff;border:none;padding:6px 14px;border-radius:4px;font-weight:600;cursor:pointer;">Restore selected</button>
+            </div>` : `<div style="padding:8px 0;color:#888;font-size:12px;">Compare against “Current schedule” to restore from ${esc(fromName)}.</div>`;
+        body.innerHTML = `<div style="margin-bottom:10px;display:flex;flex-wrap:wrap;gap:6px;">${chips}</div>${blocks}${restoreBar}`;
+
+        if (!canRestore) return;
+        const after = () => renderCompare(fromId, toId, versions, cache);
+        body.querySelectorAll('.snapCmpRange').forEach(b => b.onclick = () =>
+            doPartialRestore(fromId, fromName, [b.dataset.bunk], +b.dataset.s, +b.dataset.e, after));
+        document.getElementById('snapCmpRestore').onclick = () => {
+            const picked = Array.from(body.querySelectorAll('.snapCmpBunk:checked')).map(c => c.value);
+            const toMin = v => { if (!v) return null; const [h, m] = v.split(':').map(Number); return h * 60 + m; };
+            const s = toMin(document.getElementById('snapCmpFromT').value);
+            const e = toMin(document.getElementById('snapCmpToT').value);
+            if (!picked.length) { toast('Check at least one bunk.', 'error'); return; }
+            if ((s == null) !== (e == null) || (s != null && e <= s)) { toast('Give both times, start before end — or neither.', 'error'); return; }
+            doPartialRestore(fromId, fromName, picked, s, e, after);
+        };
+    }
+
+    async function doPartialRestore(id, name, bunks, startMin, endMin, after) {
+        if (!vm()?.restorePartial) { toast('Restore not available.', 'error'); return; }
+        const what = startMin == null ? 'the whole day' : `${fmtMin(startMin)}–${fmtMin(endMin)}`;
+        if (!window.confirm(`Restore ${bunks.join(', ')} (${what}) from “${name}”?\n\nOnly those cells change. Your current schedule is backed up first, so you can undo this.`)) return;
+        const release = setButtonsBusy(true);
+        try {
+            const res = await vm().restorePartial(id, { bunks, startMin, endMin });
+            const skipped = (res?.skipped || []).map(x => `${x.bunk}${x.startMin != null ? ' ' + fmtMin(x.startMin) : ''}: ${x.reason}`).join('; ');
+            if (res?.success) {
+                toast(`Restored ${res.restored.map(r => r.bunk).join(', ')}.` + (skipped ? ` Skipped — ${skipped}` : ''), 'success');
+                after();
+            } else {
+                toast('Could not restore: ' + (res?.error || 'unknown error') + (skipped ? ` (${skipped})` : ''), 'error');
+            }
+        } catch (e) {
+            toast('Could not restore: ' + e.message, 'error');
+        } finally {
+            release();
+        }
+    }
+
+    window.SnapshotUI = { saveNow, openModal, closeModal, openCompare };
 
     console.log('💾 Schedule Snapshot UI v1.0 loaded');
 })();
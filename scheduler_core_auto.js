@@ -687,6 +687,8 @@
         //   effort + time-boxed (see SchedulerCoreLeagues.refreshHistoryFromCloud).
         try { if (window.SchedulerCoreLeagues?.refreshHistoryFromCloud) await window.SchedulerCoreLeagues.refreshHistoryFromCloud(); } catch (_eLgRefresh) {}
         try { if (window.SchedulerCoreSpecialtyLeagues?.refreshHistoryFromCloud) await window.SchedulerCoreSpecialtyLeagues.refreshHistoryFromCloud(); } catch (_eSpRefresh) {}
+        // Staff roster is read once per run by the specialist gate — drop last run's copy.
+        try { window.StaffScheduler?.resetCache?.(); } catch (_eStaffRst) {}
 
         // ★ SPORT-LEAK GATE: a grade that has NO sport/sports layer must never
         //   receive a field-catalog sport. Open time in such a grade is filled
@@ -2395,6 +2397,9 @@
 
         function canUseSpecialAtTime(specialName, grade, startMin, endMin) {
             if (instructorConflictAt(specialName, startMin, endMin)) return false;
+            // ★ STAFF: nobody who teaches this special is working then (day
+            //   off / outside hours) — see staff_scheduler.js. No roster = true.
+            if (window.StaffScheduler && !window.StaffScheduler.specialistOnDuty(specialName, startMin, endMin)) return false;
             const info = getSpecialSharingInfo(specialName, activityProperties, globalSettings);
             return rtCanUse('special', specialName, grade, startMin, endMin,
                 info.shareType, info.capacity, info.allowedDivisions, info.allowedPairs);
@@ -2427,6 +2432,7 @@
             return _bunkGradeCacheForPool[bk] || null;
         }
         function poolSwimPairFreeAt(grade, sMin, eMin, ignoreBunk) {
+            if (window.StaffScheduler && !window.StaffScheduler.guardOnDuty(sMin, eMin)) return false;
             try {
                 const _gsP = (typeof globalSettings !== 'undefined' && globalSettings) ? globalSettings : (window.globalSettings || {});
                 const _pf = (_gsP.app1?.fields || _gsP.fields || []).find(function (f) { const n = (f && f.name || '').toLowerCase(); return n === 'pool' || n.indexOf('pool') !== -1; });
@@ -2472,6 +2478,9 @@
         }
 
         function canUsePoolAtTime(grade, startMin, endMin) {
+            // ★ STAFF: no certified guard working then (day off / outside
+            //   hours) — see staff_scheduler.js. No guard on the roster = true.
+            if (window.StaffScheduler && !window.StaffScheduler.guardOnDuty(startMin, endMin)) return false;
             // ── POOL SHARING v2 (2026-05-17) ────────────────────────────
             // Old rule: pool is exclusive per grade (one grade at a time, any
             // number of bunks within that grade). This created infeasible
@@ -4523,6 +4532,9 @@
                             if (!_hasWSNeighbor) _score += 400; // WS can't bundle here → defers
                             if (_isDayStart)     _score += 150; // swim at day-start
                             if (!_fullBundleOk)  _score += 80;  // no room for a leading Change
+                            // ★ Week run: steer off a period this grade already swam in
+                            //   earlier in the week (WeekPlanner; 0 outside a week run).
+                            try { if (window.WeekPlanner && window.WeekPlanner.isActive()) _score += window.WeekPlanner.swimPenalty(grade, null, p.startMin); } catch (_eWkSw) {}
                             const _dist = Math.abs(p.startMin - blockStart);
                             if (_score < _bestScore || (_score === _bestScore && _dist < _bestDist)) {
                                 _bestP = p; _bestScore = _score; _bestDist = _dist;
@@ -14852,12 +14864,16 @@
         var _oracleTypeOrders = {}; // grade → preferred off-field type ordering
         if (typeof window.FeasibilityOracle !== 'undefined') {
             try {
-                _oracleResult = window.FeasibilityOracle.check({
+                var _oracleCfg = {
                     allGrades:     allGrades,
                     divisions:     divisions,
                     layersByGrade: layersByGrade,
                     globalSettings: globalSettings
-                });
+                };
+                _oracleResult = window.FeasibilityOracle.check(_oracleCfg);
+                if (_oracleResult && !_oracleResult.skipped && !_oracleResult.feasible && window.FeasibilityOracle.suggestRelaxations) {
+                    _oracleResult.relaxations = window.FeasibilityOracle.suggestRelaxations(_oracleCfg, _oracleResult);
+                }
                 window.FeasibilityOracle.report(_oracleResult);
                 // Pre-compute the utilization-optimal type ordering for each grade
                 if (_oracleResult && !_oracleResult.skipped) {
@@ -14875,6 +14891,9 @@
                     // Surface impossibility in a single clean warning line
                     if (!_oracleResult.feasible) {
                         warn('[Oracle] ⚠️  IMPOSSIBLE: schedule cannot be fully filled with current field config (' + _oracleResult.deficit + ' bunk-min short). See console for details.');
+                        if ((_oracleResult.cuts || []).length) warn('[Oracle] ' + _oracleResult.cuts[0].text);
+                        var _fix = (_oracleResult.relaxations || []).filter(function(r) { return r.restores; })[0];
+                        if (_fix) warn('[Oracle] Would fix it: ' + _fix.text);
                     }
                 }
             } catch (_oe) {
@@ -31423,6 +31442,21 @@
             }
         } catch (_e685) { try { warn('[STEP 6.85 SPACING SWEEP] error: ' + (_e685 && _e685.message)); } catch (_x) {} }
 
+        // ★ STEP 6.85b — HEAT & SUN EXPOSURE SWEEP (rules.js). Same position and
+        //   reasoning as 6.85: the placement gate only sees grade-wide exposure
+        //   rules on the paths that don't know the grade, and the free-fills don't
+        //   gate at all. Swaps an outdoor block for an indoor / shaded one where a
+        //   bunk is out too long or has no shade in a shade window.
+        try {
+            if (window.SchedulingRules && typeof window.SchedulingRules.enforceExposureSweep === 'function') {
+                var _exSweep = window.SchedulingRules.enforceExposureSweep(window.scheduleAssignments || {}, { mode: 'auto' });
+                if (_exSweep && _exSweep.rulesApplied) {
+                    log('[STEP 6.85b EXPOSURE SWEEP] ' + _exSweep.refilled + ' moved indoors / into shade, ' + _exSweep.demoted + ' demoted → Free' + (_exSweep.unresolved ? ', ' + _exSweep.unresolved + ' unresolved' : ''));
+                    try { if (_exSweep.unresolved) warnings.push({ type: 'exposure_unresolved', count: _exSweep.unresolved }); } catch (_ew) {}
+                }
+            }
+        } catch (_e685b) { try { warn('[STEP 6.85b EXPOSURE SWEEP] error: ' + (_e685b && _e685b.message)); } catch (_x) {} }
+
         // ★ STEP 6.86 — SPORT-FLEX GAP CLOSER (FN-26, FINAL gap-closer, runs LAST among
         //   placement passes — after FN-22, FREE-ABSORB, perfection, dead-cont, share-fill,
         //   spacing sweep). Mops up the residual Free / dead-time slivers those passes
@@ -35127,6 +35161,17 @@
             }
         } catch (_e695) { try { warn('[6.95] final rotation-count error: ' + (_e695 && _e695.message)); } catch (_x) {} }
 
+        // ★ STEP 6.96 — STAFF ASSIGNMENT. Runs on the TRUE final grid (after every
+        //   gate and trip write above) so each swim gets its certified guard and each
+        //   special its specialist without double-booking anyone or eating a break.
+        //   Uncovered sessions are reported, never silently dropped.
+        try {
+            if (window.StaffScheduler?.assignForDay) {
+                const _staffPlan = window.StaffScheduler.assignForDay(currentDate || window.currentScheduleDate || '');
+                if (_staffPlan) log('[6.96] 👥 Staff assigned — ' + Object.keys(_staffPlan.assignments).length + ' session(s), ' + _staffPlan.uncovered.length + ' uncovered');
+            }
+        } catch (_e696) { try { warn('[6.96] staff assignment: ' + (_e696 && _e696.message)); } catch (_x) {} }
+
         // Expose for post-run diagnostics
         window._dbgBT = bunkTimelines;
         window._dbgDivisions = divisions;
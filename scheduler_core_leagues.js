@@ -109,6 +109,7 @@
                 ocTripsByDate: (h && h.ocTripsByDate) || {},
                 chinuchByDate: (h && h.chinuchByDate) || {},
                 byesByDate: (h && h.byesByDate) || {},
+                rosterChanges: (h && h.rosterChanges) || {},
                 _ocResetAt: (h && h._ocResetAt) || {},
                 gameLog: (h && h.gameLog) || {},
                 _tombstones: (h && h._tombstones) || {},
@@ -137,6 +138,7 @@
             ocTripsByDate: {},
             chinuchByDate: {},
             byesByDate: {},
+            rosterChanges: {},
             _ocResetAt: {},
             gameLog: {},
             _tombstones: {},
@@ -252,6 +254,24 @@
                 });
             });
         });
+        // Mid-season roster changes (league_restructure.js): a union by id.
+        // They are not per-date records — a join on one device and a drop on
+        // another are both real, and neither copy may lose the other's.
+        [F, O].forEach(function (src) {
+            Object.keys(src.rosterChanges).forEach(function (lg) {
+                const list = Array.isArray(src.rosterChanges[lg]) ? src.rosterChanges[lg] : [];
+                const into = merged.rosterChanges[lg] = merged.rosterChanges[lg] || [];
+                list.forEach(function (c) {
+                    if (!c || !c.id || into.some(function (x) { return x.id === c.id; })) return;
+                    into.push(c);
+                });
+            });
+        });
+        Object.keys(merged.rosterChanges).forEach(function (lg) {
+            merged.rosterChanges[lg].sort(function (x, y) {
+                return String(x.date).localeCompare(String(y.date)) || ((Number(x.at) || 0) - (Number(y.at) || 0));
+            });
+        });
         // Rebuild the flat away-trip counters from the merged per-day trip
         // records so they can never diverge from them (regen-inflation class);
         // leagues with no per-day record (pure legacy) keep the fresher copy's
@@ -379,6 +399,7 @@
             history.ocTripsByDate = history.ocTripsByDate || {};
             history.chinuchByDate = history.chinuchByDate || {};
             history.byesByDate = history.byesByDate || {};
+            history.rosterChanges = history.rosterChanges || {};
             history.gameLog = history.gameLog || {};
             history._tombstones = history._tombstones || {};
             // ★ TEAM RENAME: fold records written under a FORMER team name into
@@ -1379,11 +1400,12 @@
     //   offCampusCounts["<league>|<team>"]   → away-trip fairness
     //   ocTripsByDate / chinuchByDate / byesByDate[lg][d] → [team, …]
     //   gameLog[lg][d]                       → [{t1, t2, sport, g}, …]
+    //   rosterChanges[lg]                    → [{date, kind, team, credit}, …]
     //
     // So "Team 1" becoming "The Pancakes" used to strand the entire record on a
     // team that no longer existed: the engine saw a brand-new team with no
     // meetings and no sports, re-staged matchups it had already played, and
-    // restarted its sport cycle. _mapHistoryTeams rewrites all five stores
+    // restarted its sport cycle. _mapHistoryTeams rewrites all six stores
     // through one name-mapping function, which the two callers below share:
     //   • renameTeamInHistory — the eager migration at rename time,
     //   • _foldHistoryAliases — the safety net on every load, for old-name data
@@ -1480,6 +1502,16 @@
             });
         });
 
+        // Roster changes — a renamed joiner keeps its join date and credit.
+        const rc = history.rosterChanges && history.rosterChanges[leagueName];
+        if (Array.isArray(rc)) {
+            rc.forEach(function (c) {
+                if (!c || typeof c.team !== 'string') return;
+                const next = mapFn(c.team);
+                if (next !== c.team) { c.team = next; changed++; }
+            });
+        }
+
         // gameLog — the date-keyed record every variety decision reads.
         const gl = history.gameLog && history.gameLog[leagueName];
         if (gl && typeof gl === 'object') {
@@ -1743,6 +1775,14 @@
     // storage, survives multi-device merges, and rolls back with a deleted day
     // for free. Today's earlier periods count too (each period is logged before
     // the next is paired), so byes rotate WITHIN a multi-game day as well.
+    //
+    // ★ MID-SEASON JOINERS (league_restructure.js): a team that joined on day
+    // N was not in the league before it — those days are neither byes (the
+    // arithmetic below would count every one of them) nor "no byes yet" (the
+    // recorded lists would, and a team at 0 is the one that sits next, every
+    // period, until it catches up). Days outside a team's time in the league
+    // are skipped for it, and the credit recorded with the join stands in for
+    // the byes it would have had.
     const STALE_CAP = 20;
     function makeByeLedger(leagueName, teams, history, dayId) {
         const counts = {};
@@ -1755,6 +1795,13 @@
             const cbd = (history && history.chinuchByDate && history.chinuchByDate[leagueName]) || {};
             const bbd = (history && history.byesByDate && history.byesByDate[leagueName]) || {};
             const ep = _effectiveEpoch(history);
+            const LR = (typeof window !== 'undefined') && window.LeagueRestructure;
+            const windows = (LR && typeof LR.rosterWindows === 'function')
+                ? LR.rosterWindows(history, leagueName) : {};
+            const inLeague = function (t, d) {
+                const w = windows[t];
+                return !w || ((!w.joined || d >= w.joined) && (!w.left || d < w.left));
+            };
             // ★ Does this league run chinuch? Answered from the DATA first, and
             //   only then from config. A config lookup is the fragile way to ask:
             //   the league list lives under two different keys, either can be
@@ -1796,7 +1843,7 @@
                     if (Array.isArray(rec) && rec.length) {
                         measured.push(d);
                         rec.forEach(function (t) {
-                            if (counts[t] == null) return;
+                            if (counts[t] == null || !inLeague(t, d)) return;
                             counts[t]++;
                             if (!lastBye[t] || d > lastBye[t]) lastBye[t] = d;
                         });
@@ -1806,7 +1853,7 @@
                     if (saved.hasTiles) {
                         measured.push(d);
                         saved.byes.forEach(function (t) {
-                            if (counts[t] == null) return;
+                            if (counts[t] == null || !inLeague(t, d)) return;
                             counts[t]++;
                             if (!lastBye[t] || d > lastBye[t]) lastBye[t] = d;
                         });
@@ -1839,6 +1886,7 @@
                 const atChinuch = new Set(cbd[d] || []);
                 measured.push(d);
                 Object.keys(counts).forEach(function (t) {
+                    if (!inLeague(t, d)) return;
                     let played = 0;
                     entries.forEach(function (e) { if (e && (e.t1 === t || e.t2 === t)) played++; });
                     const sat = periods - played - (atChinuch.has(t) ? 1 : 0);
@@ -1851,6 +1899,14 @@
                     + unmeasurable.sort().slice(0, 4).join(', ') + (unmeasurable.length > 4 ? ', …' : '')
                     + ') — they cannot say who was benched.');
             }
+            // A joiner's credit belongs to the half it joined in; its
+            // staleness runs from the join, not from "never sat out".
+            Object.keys(windows).forEach(function (t) {
+                const w = windows[t];
+                if (counts[t] == null || !w.joined || (ep && w.joined < ep)) return;
+                counts[t] += Math.max(Number(w.credit) || 0, 0);
+                if (!lastBye[t]) lastBye[t] = w.joined;
+            });
         } catch (_) {}
         let min = Infinity;
         Object.keys(counts).forEach(function (t) { if (counts[t] < min) min = counts[t]; });
@@ -3627,6 +3683,15 @@
     // SMART ASSIGNMENT ALGORITHM - SPORT VARIETY MODE (Default)
     // =========================================================================
 
+    // Sum of WeekPlanner.leagueBias over a matchup's teams; 0 outside a week run.
+    function _weekPlanBias(leagueName, members, sport, dayId) {
+        const W = (typeof window !== 'undefined') ? window.WeekPlanner : null;
+        if (!W || !W.isActive()) return 0;
+        try {
+            return members.reduce(function (n, t) { return n + (W.leagueBias(leagueName, t, sport, dayId) || 0); }, 0);
+        } catch (_e) { return 0; }
+    }
+
     function assignMatchupsToFieldsAndSports_SportVariety(matchups, availablePool, leagueName, history, slots, leagueRules, sportCaps, dayId) {
         const assignments = [];
         const _fqRank = _buildFieldQualityRankMap();
@@ -3820,6 +3885,10 @@
                 // already plays this sport on its NEXT game day (middle regen).
                 score -= _nexts.reduce(function (n, nx) { return n + (nx.has(option.sport) ? 1 : 0); }, 0) * 1500;
 
+                // ★ WEEK PLAN: "Generate the week" planned each team's sports
+                // across the dates (week_planner.js) — lean toward today's.
+                score += _weekPlanBias(leagueName, _members, option.sport, dayId);
+
                 // Prefer sports not yet used this slot
                 const sportUsageThisSlot = usedSportsThisSlot[option.sport] || 0;
                 if (sportUsageThisSlot === 0) {
@@ -4053,6 +4122,9 @@
                 // its NEXT game day (middle regen).
                 score -= _nexts.reduce(function (n, nx) { return n + (nx.has(option.sport) ? 1 : 0); }, 0) * 1500;
 
+                // ★ WEEK PLAN: same nudge as SportVariety.
+                score += _weekPlanBias(leagueName, _members, option.sport, dayId);
+
                 // ★ INDOOR REQUIREMENT: bias toward/away from indoor based on rule + running counts
                 score += _scoreIndoorBias(option, t1, t2, leagueRules, group);
 
@@ -4264,22 +4336,35 @@
     // =========================================================================
 
     function assignMatchupsToFieldsAndSports(matchups, availablePool, leagueName, history, slots, schedulingPriority, leagueRules, sportCaps, dayId) {
+        const assignments = _assignByPriority(matchups, availablePool, leagueName, history, slots, schedulingPriority, leagueRules, sportCaps, dayId);
+        return _postAssignPasses(assignments, availablePool, leagueName, history, dayId, leagueRules, true);
+    }
+
+    function _assignByPriority(matchups, availablePool, leagueName, history, slots, schedulingPriority, leagueRules, sportCaps, dayId) {
         const mode = schedulingPriority || 'sport_variety';
 
         console.log(`   🎯 Scheduling Priority: ${mode === 'sport_variety' ? 'Sport Variety' : 'Matchup Variety'}`);
 
-        const assignments = (mode === 'matchup_variety')
+        return (mode === 'matchup_variety')
             ? assignMatchupsToFieldsAndSports_MatchupVariety(matchups, availablePool, leagueName, history, slots, leagueRules, sportCaps, dayId)
             : assignMatchupsToFieldsAndSports_SportVariety(matchups, availablePool, leagueName, history, slots, leagueRules, sportCaps, dayId);
+    }
 
+    // The passes that run over a whole game once every matchup has a field.
+    // `allowSwap` = false keeps the within-slot swap out (a fixture plan has
+    // already decided who plays what).
+    function _postAssignPasses(assignments, availablePool, leagueName, history, dayId, leagueRules, allowSwap) {
         // ★ Within-slot swap pass (see _swapReoptimizeAssignments). Skipped when an
         // indoor requirement is active — swaps trade fields between matchups and
         // could hand an indoor field away from a team still below its floor.
         // Instead, run the INDOOR RESCUE pass: lift below-floor teams onto indoor
         // courts (free same-sport court, else trade with a met-floor matchup).
-        const _afterIndoor = (leagueRules && leagueRules.indoorRequirement && leagueRules.indoorRequirement.enabled)
-            ? _indoorRescuePass(assignments, availablePool, leagueRules)
-            : _swapReoptimizeAssignments(assignments, leagueName, history, dayId, leagueRules);
+        let _afterIndoor = assignments;
+        if (leagueRules && leagueRules.indoorRequirement && leagueRules.indoorRequirement.enabled) {
+            _afterIndoor = _indoorRescuePass(assignments, availablePool, leagueRules);
+        } else if (allowSwap) {
+            _afterIndoor = _swapReoptimizeAssignments(assignments, leagueName, history, dayId, leagueRules);
+        }
 
         // ★ KEEP-IN-USE: runs LAST so neither the swap re-opt nor the indoor
         //   rescue can hand the facility back. No-op unless this league was
@@ -4287,6 +4372,119 @@
         return _keepInUsePass(_afterIndoor, availablePool, leagueRules, leagueName, history, dayId);
     }
 
+    // =========================================================================
+    // ★ SEASON FIXTURE PLAN (fixture_plan.js) — a league with a plan in use
+    // plays the planned matchups and sports for each league period instead
+    // of deciding them here. Null = no plan for this period → decide as before.
+    // =========================================================================
+    function _plannedSlot(league, dayId, gameIndex) {
+        try {
+            const FP = window.FixturePlan;
+            return (FP && typeof FP.slot === 'function') ? FP.slot(league, dayId, gameIndex) : null;
+        } catch (_e) {
+            return null;
+        }
+    }
+
+    // Planned sport on the first open field that hosts it, after the same rules
+    // the assigners apply: this league's share of the sport's fields when
+    // leagues contend for the period (sportCaps), the per-sport daily limit,
+    // then the indoor requirement. A matchup whose planned sport is capped or
+    // has no field left this period goes through the normal assigner over the
+    // fields still open, with what is left of each share — the game is moved
+    // to another sport, never dropped. The whole game then gets the indoor
+    // rescue and keep-in-use passes like any other.
+    function _assignPlannedFixtures(matchups, sports, availablePool, leagueName, history, slots, schedulingPriority, leagueRules, sportCaps, dayId) {
+        const used = new Set();
+        const perSport = {};
+        const out = [];
+        const rest = [];
+        matchups.forEach(function (m, i) {
+            const want = sports[i];
+            const overShare = sportCaps && sportCaps[want] != null && (perSport[want] || 0) >= sportCaps[want];
+            let options = (want && !overShare) ? availablePool.filter(function (p) {
+                return p.sport === want && !_isFieldUsedConsideringCombos(used, p.field);
+            }) : [];
+            if (options.length) options = _applySportDailyLimitFilter(options, m[0], m[1], leagueName, history, dayId, leagueRules);
+            if (options.length) options = _applyIndoorHardFilter(options, m[0], m[1], leagueRules);
+            const pick = options[0];
+            if (!pick) { rest.push(m); return; }
+            _markFieldUsedWithCombos(used, pick.field);
+            perSport[pick.sport] = (perSport[pick.sport] || 0) + 1;
+            out.push({ team1: m[0], team2: m[1], field: pick.field, sport: pick.sport });
+        });
+        if (rest.length > 0) {
+            console.log(`   📅 PLAN: the planned sport of ${rest.length} matchup(s) is capped or has no open field — assigning them normally`);
+            const open = availablePool.filter(function (p) { return !_isFieldUsedConsideringCombos(used, p.field); });
+            let restCaps = null;
+            if (sportCaps) {
+                restCaps = {};
+                Object.keys(sportCaps).forEach(function (sp) { restCaps[sp] = Math.max(0, sportCaps[sp] - (perSport[sp] || 0)); });
+            }
+            _assignByPriority(rest, open, leagueName, history, slots, schedulingPriority, leagueRules, restCaps, dayId)
+                .forEach(function (a) { out.push(a); });
+        }
+        return _postAssignPasses(out, availablePool, leagueName, history, dayId, leagueRules, false);
+    }
+    Leagues._assignPlannedFixtures = _assignPlannedFixtures;   // tests
+
+    // =========================================================================
+    // ★ INTER-CAMP FIXTURES (inter_camp_fixtures.js) — agreed games against
+    // another camp on the platform. A team with one in a league period sits
+    // out that period's pairing and its tile line says where it is instead. A
+    // home game's field is locked for the game's own window before any league
+    // picks fields, so nothing else at this camp lands on it.
+    // =========================================================================
+    function _interCampToday(dayId) {
+        try {
+            const IC = window.InterCampFixtures;
+            return (IC && typeof IC.agreedOn === 'function') ? IC.agreedOn(dayId) : [];
+        } catch (_e) {
+            return [];
+        }
+    }
+
+    function _lockInterCampHomeFields(games, masterLeagues, fieldUsageBySlot) {
+        games.forEach(function (g) {
+            if (g.side !== 'home' || !g.site) return;
+            const key = String(g.league || '').toLowerCase().trim();
+            const league = Object.values(masterLeagues || {}).find(function (l) {
+                return l && String(l.name || '').toLowerCase().trim() === key;
+            });
+            const divs = (league && league.divisions && league.divisions.length)
+                ? league.divisions : Object.keys(window.divisionTimes || {});
+            // Slot indices are per division — take the first grid that has the
+            // game's window; the lock itself carries the clock times.
+            let slots = [];
+            for (const d of divs) {
+                const grid = window.divisionTimes?.[d] || [];
+                grid.forEach(function (s, i) { if (s && s.startMin < g.endMin && g.startMin < s.endMin) slots.push(i); });
+                if (slots.length) break;
+            }
+            if (!slots.length) {
+                console.warn(`[InterCamp] no schedule slot covers ${g.team}'s home game at ${g.startMin} — "${g.site}" not locked`);
+                return;
+            }
+            const line = window.InterCampFixtures.lineFor(g);
+            if (window.GlobalFieldLocks) {
+                const ok = window.GlobalFieldLocks.lockField(g.site, slots, {
+                    lockedBy: 'inter_camp',
+                    leagueName: league ? league.name : g.league,
+                    division: divs.join(', '),
+                    activity: line,
+                    startMin: g.startMin,
+                    endMin: g.endMin
+                });
+                if (ok === false) console.warn(`[InterCamp] "${g.site}" is already taken during ${g.team}'s home game`);
+            }
+            slots.forEach(function (i) {
+                if (!fieldUsageBySlot[i]) fieldUsageBySlot[i] = {};
+                fieldUsageBySlot[i][g.site] = { count: 999, divisions: divs, bunks: {}, _lockedByRegularLeague: league ? league.name : g.league };
+            });
+            console.log(`   🤝 [InterCamp] ${line} — field locked`);
+        });
+    }
+
     // =========================================================================
     // ★★★ KEEP-IN-USE PASS (post-assignment, within one game) ★★★
     // A facility flagged "Keep in use" in Facilities must never sit idle. Two
@@ -4832,6 +5030,11 @@
         // numbering all read the gameLog, so a lost day would blind them all.
         reconcileHistoryFromSchedules(history, masterLeagues, dayId);
 
+        // ★ INTER-CAMP: today's agreed games against other camps. Home fields
+        //   are locked up front, for every league at this camp.
+        const _icToday = _interCampToday(dayId);
+        if (_icToday.length > 0) _lockInterCampHomeFields(_icToday, masterLeagues, fieldUsageBySlot);
+
         // ★ LG-9: freshness beacon — refreshHistoryFromCloud stamps this on a
         // successful pre-generation fetch. Generating without a recent cloud
         // confirmation is allowed (offline etc.) but must be VISIBLE, not
@@ -5408,13 +5611,50 @@
                 //   round-robin round is only the error/kill-switch fallback inside
                 //   chooseDailyMatchups. (The league-wide sport list stands in for the
                 //   field pool here — the real pools are built per time key below.)
-                var fullSched = generateRoundRobinSchedule(ocTeams);
-                var rrFallback = fullSched[(gameNum - 1) % fullSched.length] || [];
-                var g1Matchups = chooseDailyMatchups(ocTeams, lSports.map(function (s) { return { sport: s }; }), league.name, history, rrFallback, dayId, priority);
-                if (g1Matchups.length === 0) continue;
+                // ★ SEASON PLAN: with a plan in use the away groups and both
+                //   games' matchups/sports come from it. A plan with no away
+                //   fixtures today leaves both periods to the normal path.
+                var _pIdx = (_preservedTodayCounts[league.name] || 0) + leagueGameCounters[league.name];
+                var _pl1 = _plannedSlot(league, dayId, _pIdx);
+                var _pl2 = _pl1 ? _plannedSlot(league, dayId, _pIdx + 1) : null;
+                var dh, _dhSports = null;
+                if (_pl1) {
+                    var _isAway = function (f) { return f.away === true; };
+                    if (!_pl1.fixtures.some(_isAway) && !(_pl2 && _pl2.fixtures.some(_isAway))) {
+                        console.log('[OffCampus] "' + league.name + '": no away games planned for ' + dayId + ' — playing the plan on campus');
+                        continue;
+                    }
+                    var _ocSet = new Set(ocTeams);
+                    var _pick = function (sl, away) {
+                        return ((sl && sl.fixtures) || []).filter(function (f) {
+                            return _isAway(f) === away && _ocSet.has(f.team1) && _ocSet.has(f.team2);
+                        });
+                    };
+                    var _fx = { o1: _pick(_pl1, true), n1: _pick(_pl1, false), o2: _pick(_pl2, true), n2: _pick(_pl2, false) };
+                    var _pairs = function (list) { return list.map(function (f) { return [f.team1, f.team2]; }); };
+                    var _sports = function (list) { return list.map(function (f) { return f.sport || null; }); };
+                    var _teamsOf = function (a, b) {
+                        var seen = [];
+                        a.concat(b).forEach(function (f) {
+                            [f.team1, f.team2].forEach(function (t) { if (seen.indexOf(t) < 0) seen.push(t); });
+                        });
+                        return seen;
+                    };
+                    dh = {
+                        offCampus: { game1: _pairs(_fx.o1), game2: _pairs(_fx.o2), teams: _teamsOf(_fx.o1, _fx.o2) },
+                        onCampus: { game1: _pairs(_fx.n1), game2: _pairs(_fx.n2), teams: _teamsOf(_fx.n1, _fx.n2) }
+                    };
+                    _dhSports = { o1: _sports(_fx.o1), n1: _sports(_fx.n1), o2: _sports(_fx.o2), n2: _sports(_fx.n2) };
+                    console.log('[OffCampus] "' + league.name + '": playing the season plan (' + _fx.o1.length + ' away / ' + _fx.n1.length + ' home, then ' + _fx.o2.length + ' / ' + _fx.n2.length + ')');
+                } else {
+                    var fullSched = generateRoundRobinSchedule(ocTeams);
+                    var rrFallback = fullSched[(gameNum - 1) % fullSched.length] || [];
+                    var g1Matchups = chooseDailyMatchups(ocTeams, lSports.map(function (s) { return { sport: s }; }), league.name, history, rrFallback, dayId, priority);
+                    if (g1Matchups.length === 0) continue;
 
-                var zoneSports = ocGetZoneSports(league.offCampus.zone, lSports, context);
-                var dh = ocSelectGroups(g1Matchups, league.offCampus.teamsPerDay, history, league.name, priority, zoneSports);
+                    var zoneSports = ocGetZoneSports(league.offCampus.zone, lSports, context);
+                    dh = ocSelectGroups(g1Matchups, league.offCampus.teamsPerDay, history, league.name, priority, zoneSports);
+                }
                 if (!dh) continue;
 
                 var ocDivs = league.divisions.filter(function(d) { return Object.keys(blocksByTime[timeKey1]?.byDivision||{}).includes(d); });
@@ -5436,9 +5676,14 @@
                 //   (it used to pass no leagueRules at all, which is how
                 //   indoorRequirement ended up a silent no-op here).
                 var _ocRules = { sportDailyLimits: league.sportDailyLimits };
+                var _ocAssign = function (matchups, sports, pool, slots) {
+                    return sports
+                        ? _assignPlannedFixtures(matchups, sports, pool, league.name, history, slots, priority, _ocRules, null, dayId)
+                        : assignMatchupsToFieldsAndSports(matchups, pool, league.name, history, slots, priority, _ocRules, null, dayId);
+                };
                 _byeCtx = { time: timeKey1, game: gameNum };       // stamp bye records with this period
-                var g1Off = assignMatchupsToFieldsAndSports(dh.offCampus.game1, fp1.filter(function(p){return zoneF.includes(p.field);}), league.name, history, s1, priority, _ocRules, null, dayId);
-                var g1On = assignMatchupsToFieldsAndSports(dh.onCampus.game1, fp1.filter(function(p){return !zoneF.includes(p.field);}), league.name, history, s1, priority, _ocRules, null, dayId);
+                var g1Off = _ocAssign(dh.offCampus.game1, _dhSports && _dhSports.o1, fp1.filter(function(p){return zoneF.includes(p.field);}), s1);
+                var g1On = _ocAssign(dh.onCampus.game1, _dhSports && _dhSports.n1, fp1.filter(function(p){return !zoneF.includes(p.field);}), s1);
                 var g1All = g1Off.concat(g1On);
                 var lbl1 = league.name + ' Game ' + gameNum, lbl2 = league.name + ' Game ' + (gameNum + 1);
                 // ★ Record game 1 BEFORE assigning game 2 (mirrors the main path,
@@ -5452,8 +5697,8 @@
                     logGameRecord(league.name, dayId, a.team1||a.teamA, a.team2||a.teamB, a.sport, history, lbl1);
                 });
                 _byeCtx = { time: timeKey2, game: gameNum + 1 };
-                var g2Off = assignMatchupsToFieldsAndSports(dh.offCampus.game2, fp2.filter(function(p){return zoneF.includes(p.field);}), league.name, history, s2, priority, _ocRules, null, dayId);
-                var g2On = assignMatchupsToFieldsAndSports(dh.onCampus.game2, fp2.filter(function(p){return !zoneF.includes(p.field);}), league.name, history, s2, priority, _ocRules, null, dayId);
+                var g2Off = _ocAssign(dh.offCampus.game2, _dhSports && _dhSports.o2, fp2.filter(function(p){return zoneF.includes(p.field);}), s2);
+                var g2On = _ocAssign(dh.onCampus.game2, _dhSports && _dhSports.n2, fp2.filter(function(p){return !zoneF.includes(p.field);}), s2);
                 _byeCtx = null;
                 var g2All = g2Off.concat(g2On);
 
@@ -5559,6 +5804,30 @@
             const sampleBlock = timeData.allBlocks[0];
             const slots = sampleBlock?.slots || [];
 
+            // ★ INTER-CAMP: this period's clock window, the games in it, and the
+            //   home fields they hold (kept out of every league's pool here).
+            let _icStart = null, _icEnd = null;
+            const _icBusyFields = new Set();
+            if (_icToday.length > 0) {
+                const _icNum = function (v) {
+                    if (v == null || v === '') return null;
+                    if (!isNaN(Number(v))) return Number(v);
+                    const n = window.SchedulerCoreUtils?.parseTimeToMinutes?.(v);
+                    return (n == null || isNaN(Number(n))) ? null : Number(n);
+                };
+                const _icGrid = window.divisionTimes?.[divisionsAtTime[0]] || [];
+                _icStart = _icNum(timeKey);
+                _icEnd = _icNum(sampleBlock && sampleBlock.endTime);
+                if (_icStart == null && slots.length > 0) _icStart = _icGrid[slots[0]]?.startMin ?? null;
+                if (_icEnd == null && slots.length > 0) _icEnd = _icGrid[slots[slots.length - 1]]?.endMin ?? null;
+                if (_icStart != null && (_icEnd == null || _icEnd <= _icStart)) _icEnd = _icStart + 40;
+                if (_icStart != null) {
+                    _icToday.forEach(function (g) {
+                        if (g.side === 'home' && g.site && g.startMin < _icEnd && _icStart < g.endMin) _icBusyFields.add(g.site);
+                    });
+                }
+            }
+
             const processedLeagues = new Set();
             // ★★★ MULTIPLE LEAGUE SUPPORT: Check if blocks at this time specify a league ★★★
             const blocksAtTime = timeData.allBlocks;
@@ -6099,6 +6368,18 @@
                         console.log(`   [Chinuch] Active teams: [${activeTeams.join(', ')}]`);
                     }
                 }
+                // ★ INTER-CAMP: teams hosting or visiting another camp this period
+                //   sit out the pairing, like chinuch; their tile line says where.
+                const _icHere = (_icStart != null && window.InterCampFixtures)
+                    ? window.InterCampFixtures.forPeriod(_icToday, league.name, _icStart, _icEnd)
+                        .filter(g => activeTeams.includes(g.team))
+                    : [];
+                const _icLines = _icHere.map(g => window.InterCampFixtures.lineFor(g));
+                if (_icHere.length > 0) {
+                    const _icTeams = _icHere.map(g => g.team);
+                    activeTeams = activeTeams.filter(t => !_icTeams.includes(t));
+                    console.log(`   [InterCamp] Playing another camp this period: [${_icTeams.join(', ')}]`);
+                }
                 if (activeTeams.length < 2) {
                     // ★ Day 20 fix: a period where (nearly) every team is on chinuch
                     //   is a LEGITIMATE chinuch-only period — not an error. The old
@@ -6114,11 +6395,14 @@
                     //   bunk shows its team's chinuch activity. Mirrors the normal
                     //   writeback below but with only the chinuch lines. We do NOT
                     //   bump leagueGameCounters here — no game was played.
-                    if (chinuchTeamsHere.length > 0) {
+                    //   Teams away at another camp make the same kind of period:
+                    //   their inter-camp lines ride along with (or instead of)
+                    //   the chinuch lines.
+                    if (chinuchTeamsHere.length > 0 || _icLines.length > 0) {
                         const _chOnlyLines = chinuchTeamsHere.map(function (t) {
                             const fac = league.chinuch?.bunkFacilities?.[t] || 'Chinuch';
                             return `${t} — Chinuch (${fac})`;
-                        });
+                        }).concat(_icLines);
                         // ★ BYE ACTIVITY: with everyone else at chinuch there is
                         //   nobody left to play, so the one or two teams still
                         //   "active" are benched. Give them their planned activity
@@ -6152,7 +6436,7 @@
                                     _h2h: true,
                                     _fixed: true,
                                     _allMatchups: _chOnlyLines.slice(),
-                                    _gameLabel: 'Chinuch',
+                                    _gameLabel: chinuchTeamsHere.length > 0 ? 'Chinuch' : 'Inter-camp',
                                     _chinuchOnly: true,
                                     _playoffRound: null
                                 };
@@ -6161,7 +6445,7 @@
                                 _chWrote++;
                             });
                         });
-                        console.log(`   [Chinuch] Chinuch-only period for "${league.name}" — wrote ${_chWrote} block(s) for [${chinuchTeamsHere.join(', ')}] across [${filteredLeagueDivisions.join(', ')}]`);
+                        console.log(`   [Chinuch] No-game period for "${league.name}" — wrote ${_chWrote} block(s) for [${chinuchTeamsHere.concat(_icHere.map(g => g.team)).join(', ')}] across [${filteredLeagueDivisions.join(', ')}]`);
                     } else {
                         console.log(`   ⚠️ Not enough active teams after chinuch`);
                     }
@@ -6238,6 +6522,9 @@
                     _awayZoneForPeriod,             // admit THIS league's away zone fields (null → none)
                     _reservedAwayZonesThisPeriod    // exclude OTHER leagues' away-zone fields
                 );
+                if (_icBusyFields.size > 0) {
+                    availablePool = availablePool.filter(p => !_icBusyFields.has(p.field));
+                }
                 // Exclusive away = only the zone's fields (travel is stamped per-block in
                 // fillBlock). Mixed already has the zone's fields admitted alongside the
                 // on-campus pool, so it needs no intersection.
@@ -6427,7 +6714,27 @@
                         }
                     }
                 }
-                if (!(_PM && _PM.isLeagueInPlayoff(league)) || _playoffPreseason) {
+                // ★ SEASON PLAN: the period's planned fixtures, when the league
+                //   has a plan in use. A planned team that is away at chinuch
+                //   this period takes its game with it — the opponent sits.
+                let plannedSports = null;
+                const _planned = (!(_PM && _PM.isLeagueInPlayoff(league)) || _playoffPreseason)
+                    ? _plannedSlot(league, dayId, (_preservedTodayCounts[league.name] || 0) + todayGameIndex)
+                    : null;
+                if (_planned) {
+                    const _act = new Set(activeTeams);
+                    matchups = [];
+                    plannedSports = [];
+                    _planned.fixtures.forEach(function (f) {
+                        if (_act.has(f.team1) && _act.has(f.team2)) {
+                            matchups.push([f.team1, f.team2]);
+                            plannedSports.push(f.sport || null);
+                        } else {
+                            console.log(`   📅 PLAN: ${f.team1} vs ${f.team2} not played — ${_act.has(f.team1) ? f.team2 : f.team1} is not available this period`);
+                        }
+                    });
+                    console.log(`   📅 SEASON PLAN: ${matchups.length} planned matchup(s)`);
+                } else if (!(_PM && _PM.isLeagueInPlayoff(league)) || _playoffPreseason) {
                     // ★ NO PREDETERMINED ROUND-ROBIN: every game's matchups are
                     //   computed FRESH from history — how many times teams have met
                     //   + which sports each team still needs this cycle — via
@@ -6659,25 +6966,29 @@
                     });
                 } else {
                     if (!indoorCountsByLeague[league.name]) indoorCountsByLeague[league.name] = {};
-                    assignments = assignMatchupsToFieldsAndSports(
-                        matchups,
-                        availablePool,
-                        league.name,
-                        history,
-                        slots,
-                        league.schedulingPriority || 'sport_variety',
-                        {
-                            indoorRequirement: league.indoorRequirement,
-                            indoorCounts: indoorCountsByLeague[league.name],
-                            keepInUseFields: _keepInUse.redirect[league.name] || null,
-                            keepInUseForce: _keepInUse.force[league.name] || null,
-                            keepInUseWindow: _keepInUse.window,
-                            // ★ PER-SPORT DAILY LIMIT (Leagues → Sports)
-                            sportDailyLimits: league.sportDailyLimits
-                        },
-                        _sportCapsByLeague[league.name] || null,
-                        dayId
-                    );
+                    const _rules = {
+                        indoorRequirement: league.indoorRequirement,
+                        indoorCounts: indoorCountsByLeague[league.name],
+                        keepInUseFields: _keepInUse.redirect[league.name] || null,
+                        keepInUseForce: _keepInUse.force[league.name] || null,
+                        keepInUseWindow: _keepInUse.window,
+                        // ★ PER-SPORT DAILY LIMIT (Leagues → Sports)
+                        sportDailyLimits: league.sportDailyLimits
+                    };
+                    assignments = plannedSports
+                        ? _assignPlannedFixtures(matchups, plannedSports, availablePool, league.name, history, slots,
+                            league.schedulingPriority || 'sport_variety', _rules, _sportCapsByLeague[league.name] || null, dayId)
+                        : assignMatchupsToFieldsAndSports(
+                            matchups,
+                            availablePool,
+                            league.name,
+                            history,
+                            slots,
+                            league.schedulingPriority || 'sport_variety',
+                            _rules,
+                            _sportCapsByLeague[league.name] || null,
+                            dayId
+                        );
                 }
 
                 if (assignments.length === 0) {
@@ -6965,7 +7276,7 @@ window._debugLeagueTimeData = timeData;
                             // is what tells the counselor they rotate on one court.
                             _allMatchups: assignments.reduce(function (lines, a) {
                                 return lines.concat(_matchupLinesFor(a));
-                            }, []).concat(_byeLines).concat(_chinuchLines).concat(_electiveLines),
+                            }, []).concat(_byeLines).concat(_chinuchLines).concat(_icLines).concat(_electiveLines),
                             _gameLabel: _gameLbl,
                             _playoffRound: playoffRoundNum || null
                         };
@@ -1309,14 +1309,17 @@
             <button id="sl-tab-standings" class="active">Current Standings</button>
             <button id="sl-tab-games">Game Results / History</button>
             <button id="sl-tab-playhistory">Play History</button>
+            <button id="sl-tab-forecast">Field Forecast</button>
         `;
         container.appendChild(tabNav);
 
         const standingsDiv = document.createElement('div');
         const gamesDiv = document.createElement('div');
         const playHistDiv = document.createElement('div');
+        const forecastDiv = document.createElement('div');
         gamesDiv.style.display = 'none';
         playHistDiv.style.display = 'none';
+        forecastDiv.style.display = 'none';
 
         renderStandingsTable(league, standingsDiv);
         renderGameEntryUI(league, gamesDiv);
@@ -1324,14 +1327,16 @@
         container.appendChild(standingsDiv);
         container.appendChild(gamesDiv);
         container.appendChild(playHistDiv);
+        container.appendChild(forecastDiv);
 
         const btnStandings = container.querySelector('#sl-tab-standings');
         const btnGames = container.querySelector('#sl-tab-games');
         const btnPlayHist = container.querySelector('#sl-tab-playhistory');
+        const btnForecast = container.querySelector('#sl-tab-forecast');
 
-        if (btnStandings && btnGames && btnPlayHist) {
-            const allBtns = [btnStandings, btnGames, btnPlayHist];
-            const allDivs = [standingsDiv, gamesDiv, playHistDiv];
+        if (btnStandings && btnGames && btnPlayHist && btnForecast) {
+            const allBtns = [btnStandings, btnGames, btnPlayHist, btnForecast];
+            const allDivs = [standingsDiv, gamesDiv, playHistDiv, forecastDiv];
             const setTab = (activeBtn, activeDiv) => {
                 allBtns.forEach(b => b.classList.toggle('active', b === activeBtn));
                 allDivs.forEach(d => { d.style.display = d === activeDiv ? 'block' : 'none'; });
@@ -1354,6 +1359,16 @@
                     playHistDiv.innerHTML = '<p style="color:#9CA3AF;font-size:0.85rem;">Play history module not loaded.</p>';
                 }
             };
+            // ★ Field Forecast — will this league get its courts on the coming
+            //   league days, and whose league does it push out (league_field_forecast.js).
+            btnForecast.onclick = () => {
+                setTab(btnForecast, forecastDiv);
+                if (window.LeagueFieldForecast && typeof window.LeagueFieldForecast.renderView === 'function') {
+                    window.LeagueFieldForecast.renderView(forecastDiv, { focus: league.name, kind: 'specialty' });
+                } else {
+                    forecastDiv.innerHTML = '<p style="color:#9CA3AF;font-size:0.85rem;">Field forecast module not loaded.</p>';
+                }
+            };
         }
     }
 
@@ -2647,6 +2662,14 @@
 
     window.SpecialtyLeaguesAPI = window.SpecialtyLeaguesAPI || {};
 
+    // Playoff seeding: teams in Standings-tab order (record, head-to-head,
+    // head-to-head then overall point differential). Used by playoff_bracket.js.
+    window.SpecialtyLeaguesAPI.getSeedOrder = function (league) {
+        if (!league || !Array.isArray(league.teams)) return [];
+        if (!league.standings) league.standings = {};
+        return sortTeamsWithTiebreakers(league).map(function (d) { return d.team; });
+    };
+
     // ★ TEAM RENAME: rename a team while keeping its record. Accepts the league
     // id or its name, so it is usable from the console for repair
     // (SpecialtyLeaguesAPI.renameTeam('Hockey', 'Team 1', 'The Pancakes')).
@@ -0,0 +1,589 @@
+/* =============================================================================
+ * STAFF SCHEDULER  (window.StaffScheduler)
+ * -----------------------------------------------------------------------------
+ * Until now the only notion of staff in Flow was the free-text `instructor` tag
+ * on specials / general activities, which the auto builder treats as a mutex
+ * (instructorConflictAt in scheduler_core_auto.js). This module is the real
+ * staff model: counselors and specialists with availability windows, days off,
+ * a break requirement and certifications — and the pass that puts a person on
+ * every placed block that needs one.
+ *
+ * ROSTER  (app1.staffRoster — one row per person)
+ *
+ *   { id, name, role: 'counselor' | 'specialist' | 'lifeguard' | …,
+ *     certifications: ['lifeguard', 'first aid'],
+ *     specialties:    ['Arts & Crafts', 'Woodshop'],   // specials they lead
+ *     availability:   [{ start: '9:00am', end: '4:30pm' }],
+ *     daysOff:        ['Fri', '2026-07-14'],           // weekday or date
+ *     break:          { minutes: 30, start: '11:30am', end: '2:00pm' } }
+ *
+ * RULES  (app1.staffRules)
+ *
+ *   swimCertification  certification a swim guard must hold (default lifeguard)
+ *   swimBunksPerGuard  guards per swim session = ceil(bunks / this); 0 = one
+ *
+ * WHAT NEEDS SOMEBODY
+ *   • a swim session (every bunk in the pool at the same time) needs its
+ *     certified guard(s);
+ *   • a special needs its specialist — anyone whose specialties list it, or
+ *     the roster member named by the special's `instructor` tag. A special
+ *     nobody on the roster teaches needs nobody (the camp hasn't staffed it
+ *     through this model, and the instructor mutex still applies).
+ *
+ * HARD RULES
+ *   nobody is placed outside their availability or on a day off, nobody is
+ *   double-booked (two sessions at once — the same session shared by several
+ *   bunks is one job), and nobody is given a block that would leave no gap
+ *   for their break inside its window.
+ *
+ * WHERE IT RUNS
+ *   • scheduler_core_auto.js / AutoSolverEngine consult specialistOnDuty()
+ *     before placing a special, so a special is never put at a time when
+ *     nobody who teaches it is working — and guardOnDuty() inside the pool
+ *     gates, so a swim is never put where no certified guard is working;
+ *   • runAutoScheduler calls assignForDay() as its last step; the result is
+ *     kept on window.staffAssignments and in the day's campDailyData_v1 row,
+ *     and rides the cloud schedule record (supabase_schedules.js payload,
+ *     merged newest-wins like _genExplain);
+ *   • StaffScheduler.openView() shows the per-staff daily schedule and the
+ *     roster editor (plus the league officials pool — league_officials.js).
+ *
+ * planDay() takes everything injected, so the assignment is unit-testable
+ * without a DOM — see tests/staff_scheduler.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var S = {};
+
+    var DEFAULT_RULES = { swimCertification: 'lifeguard', swimBunksPerGuard: 0 };
+    var WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    // ── utils ────────────────────────────────────────────────────────────────
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function listOf(v) {
+        if (Array.isArray(v)) return v.map(function (x) { return String(x).trim(); }).filter(Boolean);
+        if (typeof v === 'string') return v.split(',').map(function (x) { return x.trim(); }).filter(Boolean);
+        return [];
+    }
+    function overlaps(aS, aE, bS, bE) { return aS < bE && bS < aE; }
+
+    S.parseTime = function (str) {
+        if (str == null || str === '') return null;
+        if (typeof str === 'number') return str;
+        var s = String(str).toLowerCase().trim();
+        var isPM = s.indexOf('pm') > -1, isAM = s.indexOf('am') > -1;
+        s = s.replace(/am|pm/g, '').trim();
+        var parts = s.split(':');
+        var h = parseInt(parts[0], 10);
+        if (isNaN(h)) return null;
+        var m = parseInt(parts[1], 10) || 0;
+        if (isPM && h !== 12) h += 12;
+        if (isAM && h === 12) h = 0;
+        // Bare "1:30" on a camp day is the afternoon, same as the rest of the app.
+        if (!isPM && !isAM && h >= 1 && h <= 6) h += 12;
+        return h * 60 + m;
+    };
+
+    S.formatTime = function (min) {
+        if (min == null) return '';
+        var h = Math.floor(min / 60), m = min % 60;
+        var ap = h >= 12 ? 'pm' : 'am';
+        var h12 = h % 12 === 0 ? 12 : h % 12;
+        return h12 + ':' + (m < 10 ? '0' : '') + m + ap;
+    };
+
+    // ── roster ───────────────────────────────────────────────────────────────
+    // Accepts whatever the editor or a hand-edited settings blob holds and
+    // returns one canonical shape (minutes resolved, lists lower-cased for
+    // matching, original names kept for display).
+    S.normalizeStaff = function (raw, idx) {
+        raw = raw || {};
+        var name = String(raw.name || '').trim();
+        var avail = (Array.isArray(raw.availability) && raw.availability.length ? raw.availability : [{}])
+            .map(function (w) {
+                var s = S.parseTime(w && (w.startMin != null ? w.startMin : w.start));
+                var e = S.parseTime(w && (w.endMin != null ? w.endMin : w.end));
+                return { startMin: s == null ? 0 : s, endMin: e == null ? 24 * 60 : e };
+            })
+            .filter(function (w) { return w.endMin > w.startMin; });
+        var br = raw.break || {};
+        var brMin = Math.max(0, parseInt(br.minutes, 10) || 0);
+        return {
+            id: String(raw.id || name || ('staff-' + (idx || 0))),
+            name: name || ('Staff ' + ((idx || 0) + 1)),
+            role: norm(raw.role) || 'counselor',
+            certifications: listOf(raw.certifications).map(norm),
+            specialties: listOf(raw.specialties).map(norm),
+            availability: avail,
+            daysOff: listOf(raw.daysOff).map(norm),
+            breakMinutes: brMin,
+            breakStart: brMin ? S.parseTime(br.startMin != null ? br.startMin : br.start) : null,
+            breakEnd: brMin ? S.parseTime(br.endMin != null ? br.endMin : br.end) : null
+        };
+    };
+
+    S.isDayOff = function (staff, dateKey) {
+        if (!staff || !staff.daysOff.length || !isDate(dateKey)) return false;
+        if (staff.daysOff.indexOf(dateKey) > -1) return true;
+        var dow = WEEKDAYS[new Date(dateKey + 'T12:00:00').getDay()];
+        return staff.daysOff.some(function (d) { return d.slice(0, 3) === dow; });
+    };
+
+    S.isOnDuty = function (staff, dateKey, startMin, endMin) {
+        if (S.isDayOff(staff, dateKey)) return false;
+        return staff.availability.some(function (w) { return startMin >= w.startMin && endMin <= w.endMin; });
+    };
+
+    // Can this person still take their break if they also work `extra`?
+    // Returns the break interval it would use, or null. A person with no break
+    // requirement always fits ({ none: true }).
+    S.findBreak = function (staff, busy, extra) {
+        if (!staff.breakMinutes) return { none: true };
+        var intervals = (busy || []).concat(extra ? [extra] : [])
+            .slice().sort(function (a, b) { return a.startMin - b.startMin; });
+        var fits = null;
+        staff.availability.some(function (w) {
+            var lo = Math.max(w.startMin, staff.breakStart != null ? staff.breakStart : w.startMin);
+            var hi = Math.min(w.endMin, staff.breakEnd != null ? staff.breakEnd : w.endMin);
+            if (hi - lo < staff.breakMinutes) return false;
+            var cursor = lo;
+            for (var i = 0; i < intervals.length; i++) {
+                var b = intervals[i];
+                if (b.endMin <= cursor) continue;
+                if (b.startMin >= hi) break;
+                if (b.startMin - cursor >= staff.breakMinutes) break;
+                cursor = Math.max(cursor, b.endMin);
+            }
+            if (hi - cursor >= staff.breakMinutes) {
+                fits = { startMin: cursor, endMin: cursor + staff.breakMinutes };
+                return true;
+            }
+            return false;
+        });
+        return fits;
+    };
+
+    // ── sessions ─────────────────────────────────────────────────────────────
+    function isSwimName(a) { return /\bswim/i.test(String(a || '')) && !/change/i.test(String(a || '')); }
+
+    // Collapses the per-slot grid into jobs: one row per (activity, place,
+    // time) with every bunk in it. A multi-slot block (continuation rows) is
+    // stitched back into one span first, so a 60-minute special split across
+    // two 30-minute slots is one job, not two.
+    S.collectSessions = function (scheduleAssignments, opts) {
+        opts = opts || {};
+        var specialSet = {};
+        (opts.specials || []).forEach(function (sp) { if (sp && sp.name) specialSet[norm(sp.name)] = sp; });
+        var byKey = {};
+        Object.keys(scheduleAssignments || {}).forEach(function (bunk) {
+            var slots = scheduleAssignments[bunk];
+            if (!Array.isArray(slots)) return;
+            var runs = [];
+            slots.forEach(function (e) {
+                if (!e || e.field === 'Free' || e._startMin == null || e._endMin == null) return;
+                var act = e._activity || e.sport || e.field;
+                if (!act || e._isPrep) return;
+                var last = runs[runs.length - 1];
+                if (last && norm(last.activity) === norm(act) && norm(last.field) === norm(e.field)
+                    && (e.continuation || last.endMin === e._startMin)) {
+                    last.endMin = Math.max(last.endMin, e._endMin);
+                    return;
+                }
+                runs.push({ activity: String(act), field: e.field || '', startMin: e._startMin, endMin: e._endMin,
+                    special: !!e._autoSpecial || !!specialSet[norm(act)] });
+            });
+            runs.forEach(function (r) {
+                var kind = isSwimName(r.activity) ? 'swim' : (r.special ? 'special' : null);
+                if (!kind) return;
+                // Swim is one pool: everyone in the water at once is one session
+                // regardless of which lane label the tile carries.
+                var place = kind === 'swim' ? 'pool' : norm(r.field);
+                var key = kind + '|' + norm(r.activity) + '|' + place + '|' + r.startMin + '-' + r.endMin;
+                var sess = byKey[key];
+                if (!sess) {
+                    sess = byKey[key] = { key: key, kind: kind, activity: r.activity, location: r.field,
+                        startMin: r.startMin, endMin: r.endMin, bunks: [] };
+                }
+                if (sess.bunks.indexOf(String(bunk)) === -1) sess.bunks.push(String(bunk));
+            });
+        });
+        return Object.keys(byKey).map(function (k) { return byKey[k]; })
+            .sort(function (a, b) { return a.startMin - b.startMin || a.key.localeCompare(b.key); });
+    };
+
+    // Who may staff this session, and how many of them it needs. null = the
+    // session needs nobody from the roster.
+    S.requirementFor = function (session, roster, rules, specials) {
+        rules = Object.assign({}, DEFAULT_RULES, rules || {});
+        if (session.kind === 'swim') {
+            var cert = norm(rules.swimCertification) || 'lifeguard';
+            var per = parseInt(rules.swimBunksPerGuard, 10) || 0;
+            return {
+                need: per > 0 ? Math.max(1, Math.ceil(session.bunks.length / per)) : 1,
+                label: cert + ' guard',
+                eligible: roster.filter(function (st) { return st.certifications.indexOf(cert) > -1; })
+            };
+        }
+        var an = norm(session.activity);
+        var sp = (specials || []).find(function (x) { return x && norm(x.name) === an; });
+        var tag = sp && typeof sp.instructor === 'string' ? norm(sp.instructor) : '';
+        var eligible = roster.filter(function (st) {
+            return st.specialties.indexOf(an) > -1 || (tag && norm(st.name) === tag);
+        });
+        if (!eligible.length) return null;
+        return { need: 1, label: 'specialist', eligible: eligible };
+    };
+
+    // ── the assignment ───────────────────────────────────────────────────────
+    // Greedy, most-constrained first: sessions with the fewest eligible people
+    // go first so a lone certified guard isn't spent on a special somebody
+    // else could have taught. Within a session the least-loaded eligible
+    // person wins (name breaks ties, so the same inputs always produce the
+    // same day — same rule as the rotation engine's tie-breaker).
+    // opts: { dateKey, scheduleAssignments, roster, rules, specials }
+    S.planDay = function (opts) {
+        opts = opts || {};
+        var dateKey = opts.dateKey || '';
+        var roster = (opts.roster || []).map(S.normalizeStaff);
+        var specials = opts.specials || [];
+        var sessions = opts.sessions || S.collectSessions(opts.scheduleAssignments, { specials: specials });
+
+        var busy = {}, minutes = {}, byStaff = {};
+        roster.forEach(function (st) { busy[st.id] = []; minutes[st.id] = 0; byStaff[st.id] = []; });
+
+        var jobs = [];
+        sessions.forEach(function (sess) {
+            var req = S.requirementFor(sess, roster, opts.rules, specials);
+            if (req) jobs.push({ session: sess, req: req });
+        });
+        jobs.sort(function (a, b) {
+            return (a.req.eligible.length - b.req.eligible.length)
+                || (a.session.startMin - b.session.startMin)
+                || a.session.key.localeCompare(b.session.key);
+        });
+
+        var assignments = {}, uncovered = [];
+        jobs.forEach(function (job) {
+            var sess = job.session;
+            var span = { startMin: sess.startMin, endMin: sess.endMin };
+            var chosen = [];
+            var why = { offDuty: 0, booked: 0, noBreak: 0 };
+            for (var n = 0; n < job.req.need; n++) {
+                var best = null;
+                job.req.eligible.forEach(function (st) {
+                    if (chosen.indexOf(st.id) > -1) return;
+                    if (!S.isOnDuty(st, dateKey, sess.startMin, sess.endMin)) { why.offDuty++; return; }
+                    if (busy[st.id].some(function (b) { return overlaps(b.startMin, b.endMin, span.startMin, span.endMin); })) { why.booked++; return; }
+                    if (!S.findBreak(st, busy[st.id], span)) { why.noBreak++; return; }
+                    if (!best || minutes[st.id] < minutes[best.id]
+                        || (minutes[st.id] === minutes[best.id] && st.name.localeCompare(best.name) < 0)) best = st;
+                });
+                if (!best) break;
+                chosen.push(best.id);
+                busy[best.id].push(span);
+                minutes[best.id] += sess.endMin - sess.startMin;
+                byStaff[best.id].push({ startMin: sess.startMin, endMin: sess.endMin, activity: sess.activity,
+                    location: sess.location, bunks: sess.bunks.slice(), kind: sess.kind });
+            }
+            assignments[sess.key] = chosen;
+            if (chosen.length < job.req.need) {
+                var reason = !job.req.eligible.length ? 'nobody on the roster qualifies'
+                    : why.booked ? 'everyone qualified is already working then'
+                    : why.noBreak ? 'the only qualified staff would lose their break'
+                    : 'nobody qualified is working then';
+                uncovered.push({ key: sess.key, kind: sess.kind, activity: sess.activity, location: sess.location,
+                    startMin: sess.startMin, endMin: sess.endMin, bunks: sess.bunks.slice(),
+                    need: job.req.need, have: chosen.length, label: job.req.label, reason: reason });
+            }
+        });
+
+        var breaks = {};
+        roster.forEach(function (st) {
+            byStaff[st.id].sort(function (a, b) { return a.startMin - b.startMin; });
+            if (!st.breakMinutes || S.isDayOff(st, dateKey)) return;
+            var br = S.findBreak(st, busy[st.id], null);
+            if (br && !br.none) breaks[st.id] = br;
+        });
+
+        return {
+            dateKey: dateKey,
+            sessions: sessions,
+            assignments: assignments,
+            byStaff: byStaff,
+            breaks: breaks,
+            uncovered: uncovered,
+            staff: roster.map(function (st) {
+                return { id: st.id, name: st.name, role: st.role, minutes: minutes[st.id],
+                    dayOff: S.isDayOff(st, dateKey) };
+            })
+        };
+    };
+
+    // ── data access ──────────────────────────────────────────────────────────
+    function settings() {
+        try { return (typeof window !== 'undefined' && window.loadGlobalSettings) ? (window.loadGlobalSettings() || {}) : {}; }
+        catch (e) { return {}; }
+    }
+    S.loadRoster = function () {
+        var app1 = settings().app1 || {};
+        return Array.isArray(app1.staffRoster) ? app1.staffRoster : [];
+    };
+    S.loadRules = function () {
+        return Object.assign({}, DEFAULT_RULES, (settings().app1 || {}).staffRules || {});
+    };
+    function loadSpecials() {
+        var gs = settings();
+        return (gs.app1 && gs.app1.specialActivities) || gs.specialActivities || [];
+    }
+    S.saveRoster = function (list, rules) {
+        var gs = settings();
+        var app1 = gs.app1 || {};
+        app1.staffRoster = list || [];
+        if (rules) app1.staffRules = rules;
+        S.resetCache();
+        if (typeof window !== 'undefined' && window.saveGlobalSettings) window.saveGlobalSettings('app1', app1);
+    };
+
+    // ── auto-builder gate ────────────────────────────────────────────────────
+    // Read once per generation (the builder calls resetCache() at entry); a
+    // camp with no roster pays one array check per special placement.
+    var _rosterCache = null, _specialsCache = null, _rulesCache = null;
+    S.resetCache = function () { _rosterCache = null; _specialsCache = null; _rulesCache = null; };
+    function cachedRoster() {
+        if (!_rosterCache) _rosterCache = S.loadRoster().map(S.normalizeStaff);
+        return _rosterCache;
+    }
+
+    // True when the special needs nobody, or somebody who teaches it is
+    // working for the whole block. Double-booking is settled afterwards by
+    // assignForDay — this only keeps the builder from placing a special at a
+    // time its teachers are all off.
+    S.specialistOnDuty = function (activity, startMin, endMin, dateKey) {
+        var roster = cachedRoster();
+        if (!roster.length || startMin == null || endMin == null) return true;
+        if (!_specialsCache) _specialsCache = loadSpecials();
+        var req = S.requirementFor({ kind: 'special', activity: activity, bunks: [] }, roster, null, _specialsCache);
+        if (!req) return true;
+        var dk = dateKey || (typeof window !== 'undefined' && (window._activeGenDate || window.currentScheduleDate)) || '';
+        return req.eligible.some(function (st) { return S.isOnDuty(st, dk, startMin, endMin); });
+    };
+
+    // Same gate for the pool: a swim goes only where a certified guard is
+    // working for the whole block. A roster nobody on which holds the swim
+    // certification hasn't staffed the pool through this model, so it gates
+    // nothing (planDay still reports those swims as uncovered).
+    S.guardOnDuty = function (startMin, endMin, dateKey) {
+        var roster = cachedRoster();
+        if (!roster.length || startMin == null || endMin == null) return true;
+        if (!_rulesCache) _rulesCache = S.loadRules();
+        var req = S.requirementFor({ kind: 'swim', activity: 'Swim', bunks: [] }, roster, _rulesCache, null);
+        if (!req.eligible.length) return true;
+        var dk = dateKey || (typeof window !== 'undefined' && (window._activeGenDate || window.currentScheduleDate)) || '';
+        return req.eligible.some(function (st) { return S.isOnDuty(st, dk, startMin, endMin); });
+    };
+
+    // Runs the assignment over the live grid and records it on the day.
+    S.assignForDay = function (dateKey) {
+        var roster = S.loadRoster();
+        var dk = dateKey || (typeof window !== 'undefined' && window.currentScheduleDate) || '';
+        if (!roster.length) { if (typeof window !== 'undefined') window.staffAssignments = null; return null; }
+        var plan = S.planDay({
+            dateKey: dk,
+            scheduleAssignments: (typeof window !== 'undefined' && window.scheduleAssignments) || {},
+            roster: roster,
+            rules: S.loadRules(),
+            specials: loadSpecials()
+        });
+        var stored = { date: dk, assignments: plan.assignments, uncovered: plan.uncovered, breaks: plan.breaks, at: Date.now() };
+        if (typeof window !== 'undefined') window.staffAssignments = stored;
+        try {
+            var all = JSON.parse(localStorage.getItem('campDailyData_v1') || '{}');
+            if (dk) {
+                all[dk] = all[dk] || {};
+                all[dk].staffAssignments = stored;
+                localStorage.setItem('campDailyData_v1', JSON.stringify(all));
+            }
+        } catch (e) { /* quota — the plan is recomputed on demand */ }
+        if (plan.uncovered.length) {
+            console.warn('[Staff] ' + plan.uncovered.length + ' session(s) without required staff on ' + dk + ':',
+                plan.uncovered.map(function (u) { return u.activity + ' ' + S.formatTime(u.startMin) + ' — ' + u.reason; }));
+        } else {
+            console.log('[Staff] every swim and special on ' + dk + ' is staffed');
+        }
+        return plan;
+    };
+
+    // ── UI ───────────────────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    function renderSchedule(wrap) {
+        var roster = S.loadRoster();
+        if (!roster.length) {
+            wrap.innerHTML = '<div style="padding:30px;text-align:center;color:#888;">No staff on the roster yet.<br>Add people on the Roster tab.</div>';
+            return;
+        }
+        var dk = window.currentScheduleDate || '';
+        var plan = S.planDay({ dateKey: dk, scheduleAssignments: window.scheduleAssignments || {},
+            roster: roster, rules: S.loadRules(), specials: loadSpecials() });
+        var html = '';
+        if (plan.uncovered.length) {
+            html += '<div style="background:#fff3e0;border:1px solid #ffcc80;border-radius:6px;padding:10px 14px;margin:12px 0;color:#e65100;font-size:13px;">'
+                + '<strong>' + plan.uncovered.length + ' session(s) not staffed</strong><ul style="margin:6px 0 0 18px;padding:0;">'
+                + plan.uncovered.map(function (u) {
+                    return '<li>' + esc(u.activity) + ' ' + esc(S.formatTime(u.startMin)) + '–' + esc(S.formatTime(u.endMin))
+                        + ' (' + esc(u.bunks.join(', ')) + ') — needs ' + u.need + ' ' + esc(u.label) + ', has ' + u.have
+                        + ': ' + esc(u.reason) + '</li>';
+                }).join('') + '</ul></div>';
+        }
+        plan.staff.forEach(function (st) {
+            var rows = plan.byStaff[st.id] || [];
+            var br = plan.breaks[st.id];
+            var items = rows.map(function (r) { return { t: r.startMin, html: '<td style="padding:6px 8px;white-space:nowrap;">'
+                + esc(S.formatTime(r.startMin)) + '–' + esc(S.formatTime(r.endMin)) + '</td><td style="padding:6px 8px;">'
+                + esc(r.activity) + (r.location && r.kind !== 'swim' ? ' @ ' + esc(r.location) : '') + '</td><td style="padding:6px 8px;color:#666;">'
+                + esc(r.bunks.join(', ')) + '</td>' }; });
+            if (br) items.push({ t: br.startMin, html: '<td style="padding:6px 8px;white-space:nowrap;">' + esc(S.formatTime(br.startMin)) + '–'
+                + esc(S.formatTime(br.endMin)) + '</td><td style="padding:6px 8px;color:#2e7d32;" colspan="2">Break</td>' });
+            items.sort(function (a, b) { return a.t - b.t; });
+            html += '<div style="margin:14px 0 4px;font-weight:600;">' + esc(st.name)
+                + ' <span style="color:#888;font-weight:400;font-size:12px;">' + esc(st.role)
+                + (st.dayOff ? ' · day off' : ' · ' + st.minutes + ' min assigned') + '</span></div>';
+            html += items.length
+                ? '<table style="width:100%;border-collapse:collapse;font-size:13px;">' + items.map(function (i) {
+                    return '<tr style="border-bottom:1px solid #f0f0f0;">' + i.html + '</tr>'; }).join('') + '</table>'
+                : '<div style="color:#aaa;font-size:13px;">' + (st.dayOff ? 'Off today' : 'Nothing assigned') + '</div>';
+        });
+        wrap.innerHTML = html;
+    }
+
+    var EDIT_COLS = [
+        { k: 'name', label: 'Name', w: 120 },
+        { k: 'role', label: 'Role', w: 90 },
+        { k: 'certifications', label: 'Certifications', w: 110 },
+        { k: 'specialties', label: 'Leads (specials)', w: 140 },
+        { k: 'hours', label: 'Hours', w: 120, ph: '9:00am-4:30pm' },
+        { k: 'daysOff', label: 'Days off', w: 90, ph: 'Fri, 2026-07-14' },
+        { k: 'break', label: 'Break', w: 150, ph: '30 @ 11:30am-2:00pm' }
+    ];
+
+    function rowToFields(st) {
+        var w = (st.availability || [])[0] || {};
+        var br = st.break || {};
+        return {
+            name: st.name || '', role: st.role || '',
+            certifications: listOf(st.certifications).join(', '),
+            specialties: listOf(st.specialties).join(', '),
+            hours: (w.start || w.end) ? (w.start || '') + '-' + (w.end || '') : '',
+            daysOff: listOf(st.daysOff).join(', '),
+            break: br.minutes ? br.minutes + ((br.start || br.end) ? ' @ ' + (br.start || '') + '-' + (br.end || '') : '') : ''
+        };
+    }
+
+    function fieldsToRow(f, prev) {
+        var out = Object.assign({}, prev || {});
+        out.name = f.name.trim();
+        out.id = out.id || out.name;
+        out.role = f.role.trim() || 'counselor';
+        out.certifications = listOf(f.certifications);
+        out.specialties = listOf(f.specialties);
+        var hm = f.hours.split('-');
+        out.availability = f.hours.trim() ? [{ start: (hm[0] || '').trim(), end: (hm[1] || '').trim() }] : [];
+        out.daysOff = listOf(f.daysOff);
+        var bm = f.break.match(/^\s*(\d+)\s*(?:@\s*([^-]+)-(.+))?$/);
+        out.break = bm ? { minutes: parseInt(bm[1], 10), start: (bm[2] || '').trim(), end: (bm[3] || '').trim() } : null;
+        return out;
+    }
+
+    function renderRoster(wrap) {
+        var roster = S.loadRoster().slice();
+        var rules = S.loadRules();
+        var inp = 'padding:4px 6px;border:1px solid #ddd;border-radius:4px;font-size:12px;box-sizing:border-box;width:100%;';
+        wrap.innerHTML =
+            '<table style="width:100%;border-collapse:collapse;font-size:12px;margin-top:10px;"><thead><tr style="text-align:left;color:#888;">'
+            + EDIT_COLS.map(function (c) { return '<th style="padding:4px;min-width:' + c.w + 'px;">' + c.label + '</th>'; }).join('')
+            + '<th></th></tr></thead><tbody id="staffRosterBody"></tbody></table>'
+            + '<div style="display:flex;gap:10px;align-items:center;margin-top:10px;flex-wrap:wrap;font-size:13px;">'
+            + '<button id="staffAddRow" style="background:#eee;border:none;padding:6px 12px;border-radius:4px;cursor:pointer;">+ Add person</button>'
+            + '<label>Swim guards need <input id="staffSwimCert" style="' + inp + 'width:110px;" value="' + esc(rules.swimCertification) + '"></label>'
+            + '<label>One guard per <input id="staffSwimPer" type="number" min="0" style="' + inp + 'width:60px;" value="' + esc(rules.swimBunksPerGuard) + '"> bunks (0 = one per session)</label>'
+            + '<button id="staffSaveRoster" style="margin-left:auto;background:#2e7d32;color:#fff;border:none;padding:7px 16px;border-radius:5px;font-weight:600;cursor:pointer;">Save roster</button>'
+            + '</div>';
+        var body = wrap.querySelector('#staffRosterBody');
+        function addRow(st) {
+            var f = rowToFields(st || {});
+            var tr = document.createElement('tr');
+            tr._prev = st || null;
+            tr.innerHTML = EDIT_COLS.map(function (c) {
+                return '<td style="padding:3px;"><input data-k="' + c.k + '" style="' + inp + '" value="' + esc(f[c.k]) + '" placeholder="' + esc(c.ph || '') + '"></td>';
+            }).join('') + '<td><button class="staffDelRow" style="background:none;border:none;color:#c62828;cursor:pointer;font-size:16px;">&times;</button></td>';
+            tr.querySelector('.staffDelRow').onclick = function () { tr.remove(); };
+            body.appendChild(tr);
+        }
+        roster.forEach(addRow);
+        wrap.querySelector('#staffAddRow').onclick = function () { addRow(null); };
+        wrap.querySelector('#staffSaveRoster').onclick = function () {
+            var list = [];
+            Array.prototype.forEach.call(body.querySelectorAll('tr'), function (tr) {
+                var f = {};
+                Array.prototype.forEach.call(tr.querySelectorAll('input'), function (i) { f[i.getAttribute('data-k')] = i.value || ''; });
+                if (!f.name.trim()) return;
+                list.push(fieldsToRow(f, tr._prev));
+            });
+            S.saveRoster(list, {
+                swimCertification: wrap.querySelector('#staffSwimCert').value.trim() || DEFAULT_RULES.swimCertification,
+                swimBunksPerGuard: parseInt(wrap.querySelector('#staffSwimPer').value, 10) || 0
+            });
+            if (window.showToast) window.showToast('Staff roster saved', 'success');
+        };
+    }
+
+    S.openView = function (tab) {
+        if (typeof document === 'undefined') return;
+        var old = document.getElementById('staffViewOverlay');
+        if (old) old.remove();
+        var overlay = document.createElement('div');
+        overlay.id = 'staffViewOverlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        var md = false;
+        overlay.addEventListener('mousedown', function (e) { md = (e.target === overlay); });
+        overlay.addEventListener('click', function (e) { if (e.target === overlay && md) overlay.remove(); });
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:980px;width:100%;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        box.innerHTML =
+            '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;">'
+            + '<h3 style="margin:0;font-size:18px;">Staff — <span style="color:#147D91;">' + esc(window.currentScheduleDate || '') + '</span></h3>'
+            + '<div><button data-tab="day" class="staffTab" style="padding:6px 12px;border:none;border-radius:5px;cursor:pointer;margin-right:6px;">Daily schedule</button>'
+            + '<button data-tab="roster" class="staffTab" style="padding:6px 12px;border:none;border-radius:5px;cursor:pointer;margin-right:6px;">Roster</button>'
+            + (window.LeagueOfficials ? '<button data-tab="officials" class="staffTab" style="padding:6px 12px;border:none;border-radius:5px;cursor:pointer;margin-right:6px;">Officials</button>' : '')
+            + '<span style="display:inline-block;width:6px;"></span>'
+            + '<button id="staffViewClose" style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div></div>'
+            + '<div id="staffViewBody" style="overflow:auto;padding:0 20px 16px;flex:1;"></div>';
+        overlay.appendChild(box);
+        document.body.appendChild(overlay);
+        box.querySelector('#staffViewClose').onclick = function () { overlay.remove(); };
+        var bodyEl = box.querySelector('#staffViewBody');
+        function show(t) {
+            Array.prototype.forEach.call(box.querySelectorAll('.staffTab'), function (b) {
+                var on = b.getAttribute('data-tab') === t;
+                b.style.background = on ? '#147D91' : '#eee';
+                b.style.color = on ? '#fff' : '#333';
+            });
+            if (t === 'roster') renderRoster(bodyEl);
+            else if (t === 'officials' && window.LeagueOfficials) window.LeagueOfficials.renderView(bodyEl);
+            else renderSchedule(bodyEl);
+        }
+        Array.prototype.forEach.call(box.querySelectorAll('.staffTab'), function (b) {
+            b.onclick = function () { show(b.getAttribute('data-tab')); };
+        });
+        show(tab === 'roster' || tab === 'officials' ? tab : 'day');
+    };
+
+    if (typeof window !== 'undefined') window.StaffScheduler = S;
+    if (typeof module !== 'undefined' && module.exports) module.exports = S;
+})();
@@ -0,0 +1,143 @@
+// =============================================================================
+// bus-positions — Supabase Edge Function
+// =============================================================================
+//
+// Position-ingest endpoint for Campistry Go live tracking. A driver's phone,
+// or a bridge in front of a hardware GPS tracker, posts fixes here; each one
+// becomes a go_bus_positions row (migration 016) in the caller's camp, and
+// open dispatcher dashboards pick it up over realtime.
+//
+// The insert runs as the caller (their JWT is forwarded), so RLS decides
+// which camp a fix can land in — this function only validates and shapes.
+//
+// REQUEST:
+//   POST /functions/v1/bus-positions
+//   Authorization: Bearer <supabase_user_access_token>
+//   apikey: <supabase_anon_key>
+//   Content-Type: application/json
+//   Body: one fix, or { "positions": [fix, …] } (up to 100)
+//     fix = { "busId": "bus_3", "lat": 40.71, "lng": -74.00,
+//             "shiftIdx"?: 0, "speed"?: 8.2 (m/s), "heading"?: 270,
+//             "recordedAt"?: "2026-07-01T15:42:10Z" (default: now) }
+//
+// RESPONSE:
+//   200 — { accepted: number, rejected: [{ index, error }] }
+//   4xx/5xx — { error: string, details?: string }
+//
+// JWT verification should be ENABLED for this function.
+//
+// =============================================================================
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+const MAX_BATCH = 100;
+// A device clock this far ahead of the server is wrong, not early.
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+function json(status: number, body: unknown): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json" },
+  });
+}
+
+// deno-lint-ignore no-explicit-any
+function toRow(fix: any, campId: string): { row?: Record<string, unknown>; error?: string } {
+  if (!fix || typeof fix !== "object") return { error: "not an object" };
+  const busId = fix.busId == null ? "" : String(fix.busId).trim();
+  const lat = Number(fix.lat), lng = Number(fix.lng);
+  if (!busId) return { error: "busId is required" };
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90) return { error: "lat out of range" };
+  if (!Number.isFinite(lng) || Math.abs(lng) > 180) return { error: "lng out of range" };
+
+  let recordedAt = Date.now();
+  if (fix.recordedAt != null) {
+    recordedAt = Date.parse(String(fix.recordedAt));
+    if (!Number.isFinite(recordedAt)) return { error: "recordedAt is not a date" };
+    if (recordedAt > Date.now() + MAX_FUTURE_MS) return { error: "recordedAt is in the future" };
+  }
+  const num = (v: unknown) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  const shiftIdx = num(fix.shiftIdx);
+
+  return {
+    row: {
+      camp_id: campId,
+      bus_id: busId,
+      shift_idx: shiftIdx == null ? null : Math.trunc(shiftIdx),
+      lat,
+      lng,
+      speed_mps: num(fix.speed),
+      heading: num(fix.heading),
+      recorded_at: new Date(recordedAt).toISOString(),
+    },
+  };
+}
+
+serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS_HEADERS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  const authHeader = req.headers.get("Authorization") || "";
+  if (!authHeader.startsWith("Bearer ")) {
+    return json(401, { error: "Sign in to post bus positions." });
+  }
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL");
+  const anonKey = Deno.env.get("SUPABASE_ANON_KEY");
+  if (!supabaseUrl || !anonKey) {
+    return json(500, { error: "Missing SUPABASE_URL / SUPABASE_ANON_KEY" });
+  }
+
+  // deno-lint-ignore no-explicit-any
+  let body: any;
+  try {
+    body = await req.json();
+  } catch {
+    return json(400, { error: "Request body is not valid JSON." });
+  }
+  const fixes = Array.isArray(body?.positions) ? body.positions : [body];
+  if (!fixes.length) return json(400, { error: "No positions in the request." });
+  if (fixes.length > MAX_BATCH) {
+    return json(413, { error: `At most ${MAX_BATCH} positions per request.` });
+  }
+
+  // Runs as the caller — RLS scopes the insert to their camp.
+  const supabase = createClient(supabaseUrl, anonKey, {
+    global: { headers: { Authorization: authHeader } },
+    auth: { persistSession: false },
+  });
+
+  const { data: campId, error: campErr } = await supabase.rpc("get_user_camp_id");
+  if (campErr || !campId) {
+    return json(403, { error: "No camp membership for this user.", details: campErr?.message });
+  }
+
+  const rows: Record<string, unknown>[] = [];
+  const rejected: { index: number; error: string }[] = [];
+  fixes.forEach((fix: unknown, index: number) => {
+    const r = toRow(fix, campId as string);
+    if (r.row) rows.push(r.row);
+    else rejected.push({ index, error: r.error || "invalid" });
+  });
+
+  if (rows.length) {
+    const { error } = await supabase.from("go_bus_positions").insert(rows);
+    if (error) {
+      console.error("[bus-positions] Insert failed:", error.message);
+      return json(502, { error: "Could not store positions.", details: error.message });
+    }
+  }
+
+  return json(200, { accepted: rows.length, rejected });
+});
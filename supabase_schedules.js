@@ -600,6 +600,14 @@
         // those paths couldn't tell an auto build from a manual one.
         let mergedAutoGenerated = false;
         let mergedManualSkeleton = null;
+        // Per-cell generation explanations (cell_explain.js) — each scheduler's
+        // row explains the bunks it generated; newest row wins per bunk.
+        let mergedGenExplain = null;
+        // Staff assignments (staff_scheduler.js) — one plan covers every bunk
+        // on the day, so the newest row's plan wins whole.
+        let mergedStaffAssignments = null;
+        // League officials (league_officials.js) — likewise one plan per day.
+        let mergedLeagueOfficials = null;
 
         // Sort by updated_at ascending so the most recently saved record wins
         records.sort((a, b) => {
@@ -739,6 +747,16 @@
             if (Array.isArray(data.manualSkeleton) && data.manualSkeleton.length > 0) {
                 mergedManualSkeleton = data.manualSkeleton;
             }
+            if (data._genExplain && data._genExplain.bunks) {
+                mergedGenExplain = Object.assign({}, data._genExplain,
+                    { bunks: Object.assign({}, mergedGenExplain && mergedGenExplain.bunks, data._genExplain.bunks) });
+            }
+            if (data.staffAssignments && data.staffAssignments.assignments) {
+                mergedStaffAssignments = data.staffAssignments;
+            }
+            if (data.leagueOfficials && data.leagueOfficials.assignments) {
+                mergedLeagueOfficials = data.leagueOfficials;
+            }
         });
         
         // ★★★ #V2-25: STRUCTURE-AWARE PRUNE — kill the cross-scheduler deleted-bunk
@@ -832,6 +850,9 @@
             // CB-21: surface the auto-mode signals on the primary merge path
             _autoGenerated: mergedAutoGenerated,
             manualSkeleton: mergedManualSkeleton || undefined,
+            _genExplain: mergedGenExplain || undefined,
+            staffAssignments: mergedStaffAssignments || undefined,
+            leagueOfficials: mergedLeagueOfficials || undefined,
             _mergedAt: new Date().toISOString(),
             _recordCount: records.length
         };
@@ -1287,6 +1308,23 @@
             if (Array.isArray(ms) && ms.length > 0) {
                 payload.manualSkeleton = ms;
             }
+            // "Why is this here?" index from the last generation — kept with the
+            // row so the explanation can be reviewed days later. Date-checked so a
+            // cross-date save never carries the viewed day's explanation.
+            const gx = data._genExplain || (_allowWindowFallback ? window._genExplain : null);
+            if (gx && gx.bunks && gx.date === dateKey) {
+                payload._genExplain = gx;
+            }
+            // Who staffs each swim / special (staff_scheduler.js) — same date check.
+            const sa = data.staffAssignments || (_allowWindowFallback ? window.staffAssignments : null);
+            if (sa && sa.assignments && sa.date === dateKey) {
+                payload.staffAssignments = sa;
+            }
+            // League game officials and hand picks (league_officials.js) — same.
+            const lo = data.leagueOfficials || (_allowWindowFallback ? window.leagueOfficialAssignments : null);
+            if (lo && lo.assignments && lo.date === dateKey) {
+                payload.leagueOfficials = lo;
+            }
 
             // Get user's divisions (use AccessControl)
             const divisions = getMyEditableDivisions();
@@ -0,0 +1,414 @@
+// =============================================================================
+// team_draft.js — balanced league teams from camper ratings
+// =============================================================================
+// League teams are picked by hand in Campistry Me (camperRoster[name].teams).
+// This module drafts them: a grade's campers, an optional 1–5 rating per sport
+// (camperRoster[name].skills = { Soccer: 4, ... }), their age and bunk, and
+// "keep together" / "keep apart" pairs, split into N teams so that
+//
+//   • team sizes differ by at most one,
+//   • team average ratings are as close as possible,
+//   • every bunk is spread evenly over the teams,
+//   • team average ages stay close (a lighter pull than ratings).
+//
+// Together-pairs are joined into units that are always placed whole; an apart
+// pair never lands on one team. Both are hard — the draft breaks neither, and
+// notes what it could not honour (an apart pair inside a together group).
+//
+// draft() places the units biggest and strongest first, each where the cost
+// rises least, then improves by moving and swapping units until nothing helps.
+//
+// rebalance() starts from the teams the campers are on now and moves as few
+// of them as possible: each step takes the move (or swap) with the largest
+// gain per camper moved, and stops at maxMoves or once no step gains at least
+// minGain per camper. Campers on no team (new arrivals) are placed first and
+// reported as `placed`, not as moves.
+//
+// Both return:
+//   { assignment: { name: team }, teams: [{ name, members, size, avgRating,
+//     avgAge, bunks }], spread, moves: [{ name, from, to }], placed: [name],
+//     notes: [string] }
+//
+// Public API: window.TeamDraft
+//   ratingOf(camper, sport)     - the camper's rating for a sport (or overall)
+//   campersFor(roster, filter)  - roster → draft input for a division / grade
+//   draft(input)                - fresh teams
+//   rebalance(input)            - fewest moves from input.current
+//   summarize(input, assignment)- per-team figures for any assignment
+// =============================================================================
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var BIG = 1000;           // one broken hard rule outweighs any balance gain
+    var WEIGHTS = { rating: 2, bunk: 1, age: 0.5 };
+
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function round(x, d) { var p = Math.pow(10, d || 0); return Math.round(x * p) / p; }
+
+    // -------------------------------------------------------------------------
+    // Inputs
+    // -------------------------------------------------------------------------
+
+    /** A camper's rating for `sport`; with no sport, the mean of all theirs. */
+    function ratingOf(camper, sport) {
+        var sk = camper && camper.skills;
+        if (!sk || typeof sk !== 'object') return null;
+        if (sport) {
+            var k = Object.keys(sk).find(function (x) { return norm(x) === norm(sport); });
+            var v = k != null ? Number(sk[k]) : NaN;
+            return isFinite(v) && sk[k] !== '' && sk[k] != null ? v : null;
+        }
+        var vals = Object.keys(sk).map(function (x) { return sk[x] === '' || sk[x] == null ? NaN : Number(sk[x]); })
+            .filter(function (x) { return isFinite(x); });
+        return vals.length ? vals.reduce(function (a, b) { return a + b; }, 0) / vals.length : null;
+    }
+
+    function ageOf(dob, today) {
+        if (!dob) return null;
+        var t = today ? new Date(today + 'T12:00:00') : new Date();
+        var a = (t.getTime() - new Date(dob + 'T12:00:00').getTime()) / 31557600000;
+        return isFinite(a) && a >= 0 && a < 25 ? a : null;
+    }
+
+    /**
+     * Draft input from the Me roster: campers in `filter.division` (and
+     * `filter.grade`, when given), rated for `filter.sport`, and the team each
+     * is on now in `filter.league`.
+     */
+    function campersFor(roster, filter) {
+        filter = filter || {};
+        var out = [];
+        var current = {};
+        Object.keys(roster || {}).sort().forEach(function (name) {
+            var c = roster[name] || {};
+            if (filter.division && c.division !== filter.division) return;
+            if (filter.grade && c.grade !== filter.grade) return;
+            out.push({ name: name, rating: ratingOf(c, filter.sport), age: ageOf(c.dob, filter.today), bunk: c.bunk || '' });
+            var teams = c.teams && typeof c.teams === 'object' ? c.teams : {};
+            if (filter.league && teams[filter.league]) current[name] = teams[filter.league];
+        });
+        return { campers: out, current: current };
+    }
+
+    // -------------------------------------------------------------------------
+    // Problem setup
+    // -------------------------------------------------------------------------
+
+    function prepare(input) {
+        var notes = [];
+        var teams = (input.teams || []).slice();
+        var campers = (input.campers || []).slice().sort(function (a, b) { return a.name.localeCompare(b.name); });
+        var idx = {};
+        campers.forEach(function (c, i) { idx[c.name] = i; });
+
+        function fill(key, label) {
+            var known = campers.filter(function (c) { return c[key] != null && isFinite(c[key]); });
+            var mean = known.length ? known.reduce(function (s, c) { return s + Number(c[key]); }, 0) / known.length : 0;
+            var missing = campers.length - known.length;
+            if (missing && known.length) notes.push(missing + ' camper' + (missing === 1 ? '' : 's') + ' with no ' + label + ' counted as the average (' + round(mean, 1) + ').');
+            var vals = campers.map(function (c) { return c[key] != null && isFinite(c[key]) ? Number(c[key]) : mean; });
+            var v = vals.reduce(function (s, x) { return s + (x - mean) * (x - mean); }, 0) / (vals.length || 1);
+            return { vals: vals, mean: mean, variance: v || 1 };
+        }
+        var R = fill('rating', 'rating');
+        var A = fill('age', 'age');
+
+        // Together pairs → units (union-find).
+        var parent = campers.map(function (_, i) { return i; });
+        function find(i) { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; }
+        (input.together || []).forEach(function (grp) {
+            var ids = (grp || []).map(function (n) { return idx[n]; }).filter(function (i) { return i != null; });
+            for (var k = 1; k < ids.length; k++) parent[find(ids[k])] = find(ids[0]);
+        });
+        var unitOf = campers.map(function (_, i) { return find(i); });
+        var unitMap = {};
+        unitOf.forEach(function (u, i) { (unitMap[u] || (unitMap[u] = [])).push(i); });
+        var units = Object.keys(unitMap).map(function (k) { return unitMap[k]; });
+
+        // Apart pairs; one inside a together unit cannot be honoured.
+        var apart = campers.map(function () { return []; });
+        (input.apart || []).forEach(function (pr) {
+            var a = idx[pr && pr[0]], b = idx[pr && pr[1]];
+            if (a == null || b == null || a === b) return;
+            if (unitOf[a] === unitOf[b]) {
+                notes.push(pr[0] + ' and ' + pr[1] + ' are to be kept apart but are also grouped together — kept together.');
+                return;
+            }
+            apart[a].push(b);
+            apart[b].push(a);
+        });
+
+        var bunks = [];
+        campers.forEach(function (c) { if (bunks.indexOf(c.bunk || '') < 0) bunks.push(c.bunk || ''); });
+        var bunkIdx = campers.map(function (c) { return bunks.indexOf(c.bunk || ''); });
+        var bunkTotal = bunks.map(function (_, b) { return bunkIdx.filter(function (x) { return x === b; }).length; });
+
+        return {
+            teams: teams, campers: campers, idx: idx, R: R, A: A, units: units, unitOf: unitOf,
+            apart: apart, bunks: bunks, bunkIdx: bunkIdx, bunkTotal: bunkTotal, notes: notes,
+            weights: Object.assign({}, WEIGHTS, input.weights || {})
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Cost — lower is better; `of` is team index per camper (-1 = unplaced)
+    // -------------------------------------------------------------------------
+
+    function cost(P, of) {
+        var T = P.teams.length;
+        var n = new Array(T).fill(0), sr = new Array(T).fill(0), sa = new Array(T).fill(0);
+        var bc = P.bunks.map(function () { return new Array(T).fill(0); });
+        var placed = 0, broken = 0;
+        for (var i = 0; i < of.length; i++) {
+            var t = of[i];
+            if (t < 0) continue;
+            placed++;
+            n[t]++; sr[t] += P.R.vals[i]; sa[t] += P.A.vals[i];
+            bc[P.bunkIdx[i]][t]++;
+            var ap = P.apart[i];
+            for (var k = 0; k < ap.length; k++) if (ap[k] > i && of[ap[k]] === t) broken++;
+        }
+        // A unit split over teams (only possible when re-balancing hand-made teams).
+        P.units.forEach(function (u) {
+            if (u.length < 2) return;
+            var t0 = of[u[0]];
+            for (var k = 1; k < u.length; k++) if (of[u[k]] !== t0) { broken++; break; }
+        });
+        var c = BIG * broken;
+
+        // Sizes: full teams must not differ by more than one.
+        var target = placed / (T || 1);
+        var lo = Math.floor(target), hi = Math.ceil(target);
+        for (var t2 = 0; t2 < T; t2++) {
+            if (n[t2] > hi) c += BIG * (n[t2] - hi);
+        }
+        if (placed === of.length) for (var t3 = 0; t3 < T; t3++) if (n[t3] < lo) c += BIG * (lo - n[t3]);
+
+        // Between-team spread of rating and age, in camper units.
+        var rs = 0, as = 0;
+        for (var t4 = 0; t4 < T; t4++) {
+            if (!n[t4]) continue;
+            var dr = sr[t4] / n[t4] - P.R.mean, da = sa[t4] / n[t4] - P.A.mean;
+            rs += n[t4] * dr * dr;
+            as += n[t4] * da * da;
+        }
+        c += P.weights.rating * rs / P.R.variance + P.weights.age * as / P.A.variance;
+
+        // Bunks: each team's share of a bunk against an even split.
+        for (var b = 0; b < P.bunks.length; b++) {
+            var ideal = P.bunkTotal[b] / (T || 1);
+            for (var t5 = 0; t5 < T; t5++) {
+                var d = bc[b][t5] - ideal;
+                // Only what is already placed counts against a partial draft.
+                if (placed < of.length && d < 0) continue;
+                c += P.weights.bunk * d * d;
+            }
+        }
+        return c;
+    }
+
+    function unitTeam(of, u) {
+        var t = of[u[0]];
+        for (var k = 1; k < u.length; k++) if (of[u[k]] !== t) return -2;   // split
+        return t;
+    }
+
+    function setUnit(of, u, t) { for (var k = 0; k < u.length; k++) of[u[k]] = t; }
+
+    // Every candidate step from `of`: a unit to another team, or two whole
+    // units on different teams trading places. Yields [apply, undo, moved].
+    function eachStep(P, of, fn) {
+        var T = P.teams.length;
+        P.units.forEach(function (u, ui) {
+            var cur = unitTeam(of, u);
+            var prev = u.map(function (i) { return of[i]; });
+            for (var t = 0; t < T; t++) {
+                if (t === cur) continue;
+                (function (t) {
+                    var moved = u.filter(function (i) { return of[i] !== t; }).length;
+                    fn(function () { setUnit(of, u, t); },
+                       function () { u.forEach(function (i, k) { of[i] = prev[k]; }); }, moved);
+                })(t);
+            }
+            if (cur === -2) {
+                // A split unit joining up on team t overfills it by the members
+                // that come over; one camper on t goes back the other way.
+                for (var t2 = 0; t2 < T; t2++) {
+                    var from = u.map(function (i) { return of[i]; }).filter(function (x) { return x !== t2; });
+                    if (!from.length) continue;
+                    P.units.forEach(function (v) {
+                        if (v === u || v.length !== 1 || of[v[0]] !== t2) return;
+                        (function (t2, back, v) {
+                            fn(function () { setUnit(of, u, t2); of[v[0]] = back; },
+                               function () { u.forEach(function (i, k) { of[i] = prev[k]; }); of[v[0]] = t2; }, from.length + 1);
+                        })(t2, from[0], v);
+                    });
+                }
+                return;
+            }
+            if (cur < 0) return;
+            for (var vj = ui + 1; vj < P.units.length; vj++) {
+                var v = P.units[vj];
+                var other = unitTeam(of, v);
+                if (other < 0 || other === cur) continue;
+                (function (v, other) {
+                    fn(function () { setUnit(of, u, other); setUnit(of, v, cur); },
+                       function () { setUnit(of, u, cur); setUnit(of, v, other); }, u.length + v.length);
+                })(v, other);
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Draft / re-balance
+    // -------------------------------------------------------------------------
+
+    function draft(input) {
+        var P = prepare(input || {});
+        if (!P.teams.length) return finish(P, [], null, ['No teams to draft into.']);
+        var of = P.campers.map(function () { return -1; });
+
+        var order = P.units.slice().sort(function (a, b) {
+            var ra = a.reduce(function (s, i) { return s + P.R.vals[i]; }, 0) / a.length;
+            var rb = b.reduce(function (s, i) { return s + P.R.vals[i]; }, 0) / b.length;
+            return (b.length - a.length) || (rb - ra) || P.campers[a[0]].name.localeCompare(P.campers[b[0]].name);
+        });
+        order.forEach(function (u) { placeUnit(P, of, u); });
+        improve(P, of, Infinity, 1e-9);
+        return finish(P, of, null);
+    }
+
+    function placeUnit(P, of, u) {
+        var best = -1, bestCost = Infinity;
+        for (var t = 0; t < P.teams.length; t++) {
+            setUnit(of, u, t);
+            var c = cost(P, of);
+            if (c < bestCost - 1e-9) { bestCost = c; best = t; }
+        }
+        setUnit(of, u, best);
+    }
+
+    // Take the best step by gain per camper moved until none gains minGain,
+    // or the move budget is spent. Returns campers moved.
+    function improve(P, of, maxMoves, minGain) {
+        var used = 0;
+        for (var guard = 0; guard < 500; guard++) {
+            var base = cost(P, of);
+            var best = null;
+            eachStep(P, of, function (apply, undo, moved) {
+                if (!moved || used + moved > maxMoves) return;
+                apply();
+                var gain = (base - cost(P, of)) / moved;
+                undo();
+                if (gain > minGain && (!best || gain > best.gain + 1e-9)) best = { apply: apply, gain: gain, moved: moved };
+            });
+            if (!best) break;
+            best.apply();
+            used += best.moved;
+        }
+        return used;
+    }
+
+    function rebalance(input) {
+        input = input || {};
+        var P = prepare(input);
+        if (!P.teams.length) return finish(P, [], null, ['No teams to draft into.']);
+        var current = input.current || {};
+        var of = P.campers.map(function (c) {
+            var t = P.teams.findIndex(function (x) { return norm(x) === norm(current[c.name]); });
+            return t;
+        });
+        var start = of.slice();
+        // New arrivals first: each unplaced camper goes where it fits best.
+        P.campers.forEach(function (c, i) {
+            if (of[i] >= 0) return;
+            placeUnit(P, of, [i]);
+        });
+        var maxMoves = input.maxMoves != null ? Number(input.maxMoves) : Infinity;
+        var minGain = input.minGain != null ? Number(input.minGain) : 0.2;
+        improve(P, of, maxMoves, minGain);
+        var res = finish(P, of, start);
+        res.placed = P.campers.filter(function (_, i) { return start[i] < 0; }).map(function (c) { return c.name; });
+        res.moves = P.campers.map(function (c, i) {
+            return start[i] >= 0 && start[i] !== of[i] ? { name: c.name, from: P.teams[start[i]], to: P.teams[of[i]] } : null;
+        }).filter(Boolean);
+        return res;
+    }
+
+    // -------------------------------------------------------------------------
+    // Results
+    // -------------------------------------------------------------------------
+
+    function finish(P, of, start, extraNotes) {
+        var assignment = {};
+        P.campers.forEach(function (c, i) { if (of[i] >= 0) assignment[c.name] = P.teams[of[i]]; });
+        var res = summarizeP(P, of);
+        res.assignment = assignment;
+        res.moves = [];
+        res.placed = [];
+        res.notes = P.notes.concat(extraNotes || []);
+        var broken = [];
+        P.campers.forEach(function (c, i) {
+            P.apart[i].forEach(function (j) {
+                if (j > i && of[i] >= 0 && of[i] === of[j]) broken.push(c.name + ' and ' + P.campers[j].name + ' are on the same team.');
+            });
+        });
+        P.units.forEach(function (u) {
+            if (u.length > 1 && unitTeam(of, u) < 0) {
+                broken.push(u.map(function (i) { return P.campers[i].name; }).join(', ') + ' are split up.');
+            }
+        });
+        res.notes = res.notes.concat(broken);
+        return res;
+    }
+
+    function summarizeP(P, of) {
+        var teams = P.teams.map(function (name) { return { name: name, members: [], size: 0, avgRating: null, avgAge: null, bunks: {} }; });
+        var sr = P.teams.map(function () { return 0; }), sa = P.teams.map(function () { return 0; });
+        P.campers.forEach(function (c, i) {
+            var t = of[i];
+            if (t == null || t < 0) return;
+            var T = teams[t];
+            T.members.push(c.name);
+            T.size++;
+            sr[t] += P.R.vals[i];
+            sa[t] += P.A.vals[i];
+            var b = c.bunk || '—';
+            T.bunks[b] = (T.bunks[b] || 0) + 1;
+        });
+        teams.forEach(function (T, t) {
+            if (!T.size) return;
+            T.avgRating = round(sr[t] / T.size, 2);
+            T.avgAge = round(sa[t] / T.size, 1);
+        });
+        var avgs = teams.filter(function (T) { return T.size; }).map(function (T) { return T.avgRating; });
+        return { teams: teams, spread: avgs.length ? round(Math.max.apply(null, avgs) - Math.min.apply(null, avgs), 2) : 0 };
+    }
+
+    /** Per-team figures for an existing { name: team } assignment. */
+    function summarize(input, assignment) {
+        var P = prepare(input || {});
+        var of = P.campers.map(function (c) {
+            return P.teams.findIndex(function (x) { return norm(x) === norm((assignment || {})[c.name]); });
+        });
+        return summarizeP(P, of);
+    }
+
+    // -------------------------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------------------------
+    var api = {
+        VERSION: VERSION,
+        ratingOf: ratingOf,
+        campersFor: campersFor,
+        draft: draft,
+        rebalance: rebalance,
+        summarize: summarize
+    };
+
+    if (typeof window !== 'undefined') window.TeamDraft = api;
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+
+    if (typeof console !== 'undefined') console.log('[TeamDraft] v' + VERSION + ' loaded');
+})();
@@ -0,0 +1,106 @@
+/**
+ * Tests for: camper_electives.js CamperElectives.match — campers placed
+ *            in an elective tile's activities from their ranked choices,
+ *            within capacity, deterministic, and fair across the week; plus
+ *            camperSchedule / tilesForDay.
+ *
+ * Run with:  node --test tests/camper_electives.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const E = require('../camper_electives.js');
+
+const DATE = '2026-07-15'; // a Wednesday
+const TILE = { division: '3rd Grade', startMin: 660, endMin: 720, activities: ['Drama', 'Art', 'Woodshop'] };
+
+function campers(n, bunk) {
+    return Array.from({ length: n }, (_, i) => ({ name: 'C' + (i + 1), bunk: bunk || 'B1' }));
+}
+
+test('everyone gets their first choice when capacity allows', () => {
+    const res = E.match({
+        dateKey: DATE, tile: TILE, campers: campers(3),
+        prefs: { C1: ['Drama'], C2: ['Art'], C3: ['Woodshop', 'Art'] }
+    });
+    assert.deepEqual(res.byCamper, { C1: 'Drama', C2: 'Art', C3: 'Woodshop' });
+    assert.equal(res.stats.first, 3);
+    assert.equal(res.unplaced.length, 0);
+});
+
+test('capacity is honored and overflow falls to the next choice', () => {
+    const prefs = {};
+    campers(6).forEach(c => { prefs[c.name] = ['Drama', 'Art']; });
+    const res = E.match({ dateKey: DATE, tile: TILE, campers: campers(6), prefs, capacities: { drama: 2 } });
+    assert.equal(res.groups.Drama.campers.length, 2);
+    assert.equal(res.groups.Art.campers.length, 2, 'even share (ceil 6/3) caps Art');
+    assert.equal(res.groups.Woodshop.campers.length, 2, 'the rest fill the open group');
+    assert.equal(Object.keys(res.byCamper).length, 6);
+});
+
+test('the same inputs always produce the same groups', () => {
+    const prefs = {};
+    campers(9).forEach(c => { prefs[c.name] = ['Drama', 'Woodshop', 'Art']; });
+    const a = E.match({ dateKey: DATE, tile: TILE, campers: campers(9), prefs });
+    const b = E.match({ dateKey: DATE, tile: TILE, campers: campers(9).reverse(), prefs });
+    assert.deepEqual(a.byCamper, b.byCamper);
+});
+
+test('campers who missed out earlier in the week pick first', () => {
+    const byDate = {
+        '2026-07-13': { // Monday
+            '3rd Grade|660-720': { byCamper: { C1: 'Art', C2: 'Drama' }, rankByCamper: { C1: 3, C2: 1 } }
+        }
+    };
+    const ledger = E.weekLedger(byDate, DATE);
+    assert.equal(ledger.C1.regret, 2);
+    const res = E.match({
+        dateKey: DATE, tile: TILE, campers: campers(2), ledger,
+        prefs: { C1: ['Woodshop'], C2: ['Woodshop'] }, capacities: { woodshop: 1 }
+    });
+    assert.equal(res.byCamper.C1, 'Woodshop');
+    assert.notEqual(res.byCamper.C2, 'Woodshop');
+});
+
+test('a repeat from earlier in the week yields to an open new choice', () => {
+    const ledger = E.weekLedger({
+        '2026-07-14': { t: { byCamper: { C1: 'Drama' }, rankByCamper: { C1: 1 } } }
+    }, DATE);
+    const res = E.match({ dateKey: DATE, tile: TILE, campers: campers(1), ledger, prefs: { C1: ['Drama', 'Art'] } });
+    assert.equal(res.byCamper.C1, 'Art');
+    assert.equal(res.rankByCamper.C1, 2);
+});
+
+test('last week does not count toward this week', () => {
+    const ledger = E.weekLedger({
+        '2026-07-10': { t: { byCamper: { C1: 'Drama' }, rankByCamper: { C1: 3 } } } // previous Friday
+    }, DATE);
+    assert.deepEqual(ledger, {});
+});
+
+test('camperSchedule swaps the grade-wide elective block for the camper\'s own', () => {
+    const roster = { Ari: { bunk: 'B1', division: '3rd Grade' } };
+    const scheduleAssignments = {
+        B1: [
+            { field: 'Ballfield', sport: 'Baseball', _activity: 'Baseball', _startMin: 600, _endMin: 660 },
+            { field: 'Elective', _activity: 'Elective', _startMin: 660, _endMin: 690 },
+            { field: 'Elective', _activity: 'Elective', _startMin: 690, _endMin: 720, continuation: true }
+        ]
+    };
+    const byDate = { [DATE]: { '3rd Grade|660-720': { startMin: 660, endMin: 720, byCamper: { Ari: 'Drama' }, rankByCamper: { Ari: 1 } } } };
+    const sch = E.camperSchedule('Ari', DATE, { roster, scheduleAssignments, byDate });
+    assert.equal(sch.rows.length, 2);
+    assert.equal(sch.rows[0].activity, 'Baseball');
+    assert.deepEqual([sch.rows[1].activity, sch.rows[1].startMin, sch.rows[1].endMin, sch.rows[1].elective], ['Drama', 660, 720, true]);
+});
+
+test('tilesForDay takes the placed elective block\'s times inside an auto window', () => {
+    const skeleton = [{ type: 'elective', division: '3rd Grade', startMin: 600, endMin: 780, electiveActivities: ['Drama', 'Art'] }];
+    const tiles = E.tilesForDay(DATE, skeleton,
+        { B1: [{ field: 'Elective', _activity: 'Elective', _startMin: 660, _endMin: 705 }] },
+        { '3rd Grade': { bunks: ['B1'] } });
+    assert.equal(tiles.length, 1);
+    assert.deepEqual([tiles[0].startMin, tiles[0].endMin], [660, 705]);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for: cell_explain.js CellExplain.build / explain — the "why is
+ *            this cell here?" index built from a GenTrace trace: passed-over
+ *            options, score components, time lookup, and the saved form.
+ *
+ * Run with:  node --test tests/cell_explain.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CX = require('../cell_explain.js');
+
+function trace() {
+    return {
+        meta: { date: '2026-07-15' },
+        result: { endedAt: '2026-07-15T08:00:00.000Z' },
+        scores: {
+            'B1|Drama|0': { bunk: 'B1', activity: 'Drama', slot: 0, total: Infinity, blocked: true, blockReason: 'frequencyDays-cooldown' },
+            'B1|Art|0': { bunk: 'B1', activity: 'Art', slot: 0, recency: 300, streak: 0, coverage: -5000, limit: 0, frequency: 40, variety: 10, total: -4650 },
+            'B1|Woodshop|0': { bunk: 'B1', activity: 'Woodshop', slot: 0, recency: 900, streak: 200, coverage: 0, limit: 0, total: 1100 },
+            'B1|Soccer|0': { bunk: 'B1', activity: 'Soccer', slot: 0, recency: 100, total: 100 },
+            'B1|Hockey|0': { bunk: 'B1', activity: 'Hockey', slot: 0, recency: 50000, total: 50000 }
+        },
+        blocks: [
+            { bunk: 'B1', activity: 'Drama', reason: 'frequencyDays-cooldown', detail: { daysSince: 1, cooldownDays: 3 } }
+        ],
+        ranks: [],
+        decisions: [
+            { kind: 'special-priority-list', bunk: 'B1', division: 'J', candidates: [
+                { name: 'Drama', score: -9000 }, { name: 'Cooking', score: -6000 }, { name: 'Art', score: -4650 }, { name: 'Woodshop', score: 1100 }
+            ] },
+            { kind: 'sport-pick', bunk: 'B1', division: 'J', window: '720-765',
+                candidates: [{ name: 'Hockey', field: 'Rink', score: 10 }, { name: 'Soccer', field: 'Turf', score: 80 }],
+                chosen: { name: 'Soccer', field: 'Turf' } },
+            { kind: 'fallback-fill', bunk: 'B1', window: '660-705', chosen: { name: 'Art', field: 'Art Room' } }
+        ],
+        finalSchedule: {
+            B1: [
+                { a: 'Art', f: 'Art Room', s: 660, e: 705 },
+                { a: 'Soccer', f: 'Turf', s: 720, e: 765 },
+                'cont',
+                { a: 'Lunch', f: 'Lunch', s: 780, e: 810 }
+            ],
+            B2: [{ a: 'Swim', f: 'Pool', s: 660, e: 705, o: 'pinned' }]
+        }
+    };
+}
+
+test('a special placed off the rotation list explains the better-ranked options it passed over', () => {
+    const idx = CX.build(trace());
+    assert.equal(idx.date, '2026-07-15');
+    const ex = CX.explain(idx, 'B1', 660);
+    assert.equal(ex.chosen, 'Art');
+    assert.equal(ex.rank, 3);
+    assert.equal(ex.kind, 'fallback-fill');
+    assert.deepEqual(ex.rows.map(r => r.name), ['Drama', 'Cooking', 'Art', 'Woodshop']);
+    assert.match(ex.rows[0].reason, /Cooldown — done 1 day\(s\) ago, needs 3/);
+    assert.equal(ex.rows[0].blocked, true);
+    assert.match(ex.rows[1].reason, /No hard block recorded/);
+    assert.equal(ex.rows[3].reason, null, 'options ranked below the pick need no excuse');
+});
+
+test('component scores come from the rotation breakdown, the rest summed as "other"', () => {
+    const ex = CX.explain(CX.build(trace()), 'B1', 660);
+    const art = ex.rows.find(r => r.name === 'Art');
+    assert.deepEqual(art.components, { t: -4650, r: 300, c: -5000, o: 50 });
+    assert.equal(art.chosen, true);
+});
+
+test('a sport pick ranks its own candidates, higher score first', () => {
+    const ex = CX.explain(CX.build(trace()), 'B1', 720);
+    assert.equal(ex.dir, 1);
+    assert.deepEqual(ex.rows.map(r => [r.name, r.field, r.score]), [['Soccer', 'Turf', 80], ['Hockey', 'Rink', 10]]);
+    assert.equal(ex.rank, 1);
+});
+
+test('a time inside a placed block resolves to that block', () => {
+    const idx = CX.build(trace());
+    assert.equal(CX.explain(idx, 'B1', 740).chosen, 'Soccer');
+    assert.equal(CX.explain(idx, 'B1', 770), null);
+});
+
+test('bunks the run made no decisions for are left out, and kept from an earlier run', () => {
+    const idx = CX.build(trace());
+    assert.equal(idx.bunks.B2, undefined);
+    const prev = { date: '2026-07-15', bunks: { B2: { acts: {}, cells: { 660: { a: 'Swim', o: 'pinned' } } } } };
+    CX.carryForward(prev, idx);
+    assert.equal(CX.explain(idx, 'B2', 660).origin, 'pinned');
+    const other = CX.build(trace());
+    CX.carryForward({ date: '2026-07-14', bunks: prev.bunks }, other);
+    assert.equal(other.bunks.B2, undefined, 'another day\'s explanation is never carried');
+});
+
+test('the index survives a JSON round trip (it is saved with the schedule)', () => {
+    const idx = JSON.parse(JSON.stringify(CX.build(trace())));
+    const ex = CX.explain(idx, 'B1', 660);
+    assert.equal(ex.rows[0].name, 'Drama');
+    assert.match(CX.renderHtml(ex, 'Basketball'), /Edited after generation/);
+});
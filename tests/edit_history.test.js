@@ -0,0 +1,128 @@
+/**
+ * Tests for: edit_history.js EditHistory — the undo / redo stacks the
+ *            skeleton builders record into: step grouping, the redo branch,
+ *            scope changes, the size bound and the keyboard shortcuts.
+ *
+ * Run with:  node --test tests/edit_history.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EH = require('../edit_history.js');
+
+// A tiny "builder": a tile array, a scope, and a save that checkpoints.
+function builder(name, tiles) {
+    const b = { tiles: tiles || [], scope: 'manual', saves: 0 };
+    b.h = EH.create(name, {
+        capture: () => b.tiles,
+        apply: (s) => { b.tiles = s; b.save(); },
+        scope: () => b.scope
+    });
+    b.save = () => { b.saves++; b.h.checkpoint(); };
+    b.h.reset();
+    return b;
+}
+
+function tile(id, div, start, end, extra) {
+    return Object.assign({ id, division: div, event: 'Swim', startTime: start, endTime: end }, extra);
+}
+
+test('undo and redo walk several steps back and forth', () => {
+    const b = builder('t-multi', [tile('a', 'G1', '9:00am', '9:30am')]);
+    b.tiles[0].startTime = '10:00am'; b.tiles[0].endTime = '10:30am'; b.save();
+    b.tiles.push(tile('b', 'G2', '11:00am', '11:30am')); b.save();
+    b.tiles = b.tiles.filter(t => t.id !== 'a'); b.save();
+
+    assert.equal(b.h.undo(), 'Removed 1 tile');
+    assert.equal(b.h.undo(), 'Added 1 tile');
+    assert.equal(b.h.undo(), 'Moved 1 tile');
+    assert.deepEqual(b.tiles.map(t => [t.id, t.startTime]), [['a', '9:00am']]);
+    assert.equal(b.h.undo(), null, 'nothing left');
+
+    assert.equal(b.h.redo(), 'Moved 1 tile');
+    assert.equal(b.h.redo(), 'Added 1 tile');
+    assert.deepEqual(b.tiles.map(t => t.id), ['a', 'b']);
+    assert.equal(b.h.canRedo(), true);
+});
+
+test('the save made while applying an undo is not recorded as a new step', () => {
+    const b = builder('t-apply', [tile('a', 'G1', '9:00am', '9:30am')]);
+    b.tiles.push(tile('b', 'G1', '10:00am', '10:30am')); b.save();
+    const saves = b.saves;
+    b.h.undo();
+    assert.equal(b.saves, saves + 1, 'apply saved the restored state');
+    assert.equal(b.h.canUndo(), false);
+    assert.equal(b.h.peekRedo(), 'Added 1 tile');
+});
+
+test('a span edit and its mirrored siblings undo as one step', () => {
+    const span = { spanGroup: 's1', spanDivisions: ['G1', 'G2', 'G3'] };
+    const b = builder('t-span', ['G1', 'G2', 'G3'].map(d => tile('x' + d, d, '9:00am', '10:00am', span)));
+    // The builder edits the member then syncs its mirrors before the save.
+    b.tiles.forEach(t => { t.event = 'Lake Swim'; });
+    b.save();
+    assert.equal(b.h.peekUndo(), 'Edited 3 tiles');
+    b.h.undo();
+    assert.deepEqual(b.tiles.map(t => t.event), ['Swim', 'Swim', 'Swim']);
+});
+
+test('a new edit after an undo drops the redo branch', () => {
+    const b = builder('t-branch', []);
+    b.tiles.push(tile('a', 'G1', '9:00am', '9:30am')); b.save();
+    b.h.undo();
+    b.tiles.push(tile('c', 'G1', '1:00pm', '1:30pm')); b.save();
+    assert.equal(b.h.canRedo(), false);
+    assert.equal(b.h.peekUndo(), 'Added 1 tile');
+});
+
+test('a cleanup save right after an edit folds into that edit', () => {
+    const b = builder('t-amend', [tile('sw', 'G1', '9:00am', '9:30am'), tile('ch', 'G1', '9:30am', '9:40am')]);
+    b.tiles = b.tiles.filter(t => t.id !== 'sw'); b.save();
+    b.tiles = b.tiles.filter(t => t.id !== 'ch'); b.h.amend(); b.save();
+    assert.equal(b.h.peekUndo(), 'Removed 1 tile');
+    b.h.undo();
+    assert.deepEqual(b.tiles.map(t => t.id), ['sw', 'ch']);
+    b.h.redo();
+    assert.deepEqual(b.tiles, []);
+});
+
+test('a changed scope or a foreign load starts a fresh history', () => {
+    const b = builder('t-scope', [tile('a', 'G1', '9:00am', '9:30am')]);
+    b.tiles.push(tile('b', 'G1', '10:00am', '10:30am')); b.save();
+    b.h.adopt();
+    assert.equal(b.h.canUndo(), true, 're-reading our own save keeps the history');
+    b.tiles = [tile('z', 'G9', '8:00am', '8:30am')];
+    b.h.adopt();
+    assert.equal(b.h.canUndo(), false);
+    b.tiles.push(tile('y', 'G9', '9:00am', '9:30am')); b.save();
+    b.scope = 'auto';
+    b.tiles = {}; b.save();
+    assert.equal(b.h.canUndo(), false, 'mode switch is not an undoable step');
+});
+
+test('auto-mode layers (grade → layer array) are described by id too', () => {
+    assert.equal(EH.describe({ G1: [{ id: 'l1', startMin: 540, endMin: 600 }] },
+                             { G1: [{ id: 'l1', startMin: 560, endMin: 620 }], G2: [{ id: 'l2' }] }, 'layer'),
+                 'Added 1 layer, moved 1 layer');
+});
+
+test('the history is bounded', () => {
+    const b = { tiles: [] };
+    const h = EH.create('t-max', { capture: () => b.tiles, apply: (s) => { b.tiles = s; }, max: 3 });
+    h.reset();
+    for (let i = 0; i < 5; i++) { b.tiles.push(tile('t' + i, 'G1', '9:00am', '9:30am')); h.checkpoint(); }
+    let n = 0;
+    while (h.undo()) n++;
+    assert.equal(n, 3);
+    assert.equal(b.tiles.length, 2);
+});
+
+test('shortcuts: Ctrl/Cmd+Z undo, Shift+Z or Ctrl+Y redo', () => {
+    assert.equal(EH.keyAction({ ctrlKey: true, key: 'z' }), 'undo');
+    assert.equal(EH.keyAction({ metaKey: true, shiftKey: true, key: 'Z' }), 'redo');
+    assert.equal(EH.keyAction({ ctrlKey: true, key: 'y' }), 'redo');
+    assert.equal(EH.keyAction({ key: 'z' }), null);
+    assert.equal(EH.keyAction({ ctrlKey: true, altKey: true, key: 'z' }), null);
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for: rules.js heat & sun exposure rules — field exposure
+ *            (indoor / shaded / outdoor), the "N minutes in a row outdoors"
+ *            cap, shade windows, the isCandidateAllowed placement gate and
+ *            the post-generation sweep.
+ *
+ * Run with:  node --test tests/exposure_rules.test.js
+ *
+ * rules.js is loaded into a vm context, as the browser would, so the
+ * gate is the real SchedulingRules.isCandidateAllowed.
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const sandbox = { window: {}, console, Date, Math, Object, Array, JSON, String, Number, Boolean, Map, Set, parseInt, isNaN };
+sandbox.global = sandbox;
+vm.createContext(sandbox);
+sandbox.window.loadGlobalSettings = () => ({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'rules.js'), 'utf8'), sandbox, { filename: 'rules.js' });
+const SR = sandbox.window.SchedulingRules;
+
+const FIELDS = [
+    { name: 'Turf', activities: ['Soccer', 'Kickball'] },                               // outdoor (default)
+    { name: 'Court', activities: ['Basketball'], exposure: 'outdoor' },
+    { name: 'Pavilion', activities: ['Gaga'], exposure: 'shaded' },
+    { name: 'Gym', activities: ['Hockey', 'Volleyball'], rainyDayAvailable: true }      // indoor via rainy flag
+];
+
+function settings(exposure, fields) {
+    sandbox.window.loadGlobalSettings = () => ({
+        app1: { fields: fields || FIELDS, specialActivities: [] },
+        schedulingRules: { exposure }
+    });
+}
+function blk(s, e, field, event) { return { startMin: s, endMin: e, field, event: event || field, type: 'sport' }; }
+
+const RUN90 = { id: 'r1', kind: 'max-outdoor', minutes: 90, grades: [] };
+const SHADE = { id: 's1', kind: 'shade-window', startMin: 720, endMin: 840, grades: ['Juniors'] };
+
+test('fields read indoor / shaded / outdoor, unset following the rainy-day flag', () => {
+    settings([RUN90]);
+    assert.equal(SR.exposureOf(blk(0, 1, 'Turf')), 'outdoor');
+    assert.equal(SR.exposureOf(blk(0, 1, 'Pavilion')), 'shaded');
+    assert.equal(SR.exposureOf(blk(0, 1, 'Gym')), 'indoor');
+    assert.equal(SR.exposureOf(blk(0, 1, 'Lunch')), null, 'no facility → no exposure');
+});
+
+test('an outdoor run over the cap is found; indoor or shaded time breaks it, a short change does not', () => {
+    settings([RUN90]);
+    const day = [blk(540, 585, 'Turf'), blk(585, 630, 'Court'), blk(630, 635, 'Change'), blk(635, 680, 'Turf')];
+    const v = SR.findExposureViolations(day, 'Juniors');
+    assert.equal(v.length, 1);
+    assert.deepEqual([v[0].startMin, v[0].endMin, v[0].blocks.length], [540, 680, 3]);
+
+    day[1] = blk(585, 630, 'Pavilion');
+    assert.equal(SR.findExposureViolations(day, 'Juniors').length, 0);
+});
+
+test('the placement gate refuses the outdoor block that would run past 90 minutes', () => {
+    settings([RUN90]);
+    const template = [blk(540, 585, 'Turf'), blk(585, 630, 'Court')];
+    assert.equal(SR.isCandidateAllowed(blk(630, 675, 'Turf', 'Kickball'), template, { mode: 'auto' }), false);
+    assert.equal(SR.isCandidateAllowed(blk(630, 675, 'Gym', 'Hockey'), template, { mode: 'auto' }), true);
+    assert.equal(SR.isCandidateAllowed(blk(630, 675, 'Turf', 'Kickball'), template, { mode: 'manual' }), true, 'auto builder only');
+});
+
+test('a shade window keeps room for its shaded block, for the grades it names', () => {
+    settings([SHADE]);
+    const morning = [blk(720, 780, 'Turf')];
+    const cand = blk(780, 840, 'Court', 'Basketball');
+    assert.equal(SR.isCandidateAllowed(cand, morning, { mode: 'auto', grade: 'Juniors' }), false, 'would fill the window outdoors');
+    assert.equal(SR.isCandidateAllowed(cand, morning, { mode: 'auto', grade: 'Seniors' }), true, 'other grades are not bound');
+    assert.equal(SR.isCandidateAllowed(blk(720, 780, 'Turf'), [], { mode: 'auto', bunk: 'x', grade: 'Juniors' }), true, 'an hour is still open');
+    assert.equal(SR.isCandidateAllowed(cand, [blk(720, 780, 'Pavilion', 'Gaga')], { mode: 'auto', grade: 'Juniors' }), true);
+
+    const v = SR.findExposureViolations([blk(720, 780, 'Turf'), cand], 'Juniors');
+    assert.equal(v[0].kind, 'shade-window');
+});
+
+test('the sweep swaps an outdoor block for an indoor activity, or frees it when nothing fits', () => {
+    settings([RUN90]);
+    sandbox.window.divisions = { Juniors: { bunks: ['J1', 'J2'] } };
+    const e = (s, en, field, act) => ({ field, sport: act, _activity: act, _startMin: s, _endMin: en });
+    const sa = {
+        J1: [e(540, 585, 'Turf', 'Soccer'), e(585, 630, 'Court', 'Basketball'), e(630, 675, 'Turf', 'Kickball')],
+        J2: [e(540, 585, 'Turf', 'Soccer'), e(585, 630, 'Court', 'Basketball'), e(630, 675, 'Turf', 'Kickball')]
+    };
+    const r = SR.enforceExposureSweep(sa, { mode: 'auto' });
+    assert.equal(r.refilled, 2);
+    assert.equal(sa.J1[2]._startMin, 630, 'the block that crosses 90 minutes is the one swapped');
+    assert.equal(sa.J1[2]._exposureRefill, true);
+    assert.notEqual(SR.exposureOf({ field: sa.J1[2].field }), 'outdoor');
+    assert.notEqual(sa.J1[2].field, sa.J2[2].field, 'the two bunks do not double-book one room');
+    assert.equal(SR.findExposureViolations(sa.J1.map(x => ({ startMin: x._startMin, endMin: x._endMin, field: x.field })), 'Juniors').length, 0);
+
+    settings([RUN90], FIELDS.filter(f => f.name !== 'Gym' && f.name !== 'Pavilion'));
+    const sb = { J1: [e(540, 585, 'Turf', 'Soccer'), e(585, 630, 'Court', 'Basketball'), e(630, 675, 'Turf', 'Kickball')] };
+    const r2 = SR.enforceExposureSweep(sb, { mode: 'auto' });
+    assert.equal(r2.demoted, 1);
+    assert.equal(sb.J1[2]._activity, 'Free');
+    assert.equal(sb.J1[2]._demotedReason, 'exposure');
+    delete sandbox.window.divisions;
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for: feasibility_oracle.js FeasibilityOracle — the max-flow
+ *            verdict for a window, the min-cut read back in words, and the
+ *            ranked relaxations (open a field, allow sharing, move a league)
+ *            that each restore feasibility.
+ *
+ * Run with:  node --test tests/feasibility_oracle.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const origLog = console.log;
+console.log = () => {};
+const O = require('../feasibility_oracle.js');
+console.log = origLog;
+
+const TURF = { name: 'Turf', sharableWith: { type: 'all', capacity: 2 } };
+const COURT = { name: 'Court', sharableWith: { type: 'not_sharable' } };
+const GYM = { name: 'Gym', sharableWith: { type: 'all', capacity: 2 }, accessRestrictions: { enabled: true, divisions: { 'Grade 5': [] } } };
+
+function cfg(divisions, fields, layersByGrade) {
+    return {
+        allGrades: Object.keys(divisions),
+        divisions,
+        layersByGrade: layersByGrade || {},
+        globalSettings: { app1: { fields } }
+    };
+}
+const TWO_GRADES = {
+    'Grade 3': { startTime: '10:00am', endTime: '11:00am', bunks: ['3A', '3B'] },
+    'Grade 4': { startTime: '10:00am', endTime: '11:00am', bunks: ['4A', '4B'] }
+};
+
+test('sharing rules and access restrictions shape the supply', () => {
+    const r = O.check(cfg(TWO_GRADES, [TURF, COURT, GYM]));
+    assert.deepEqual(r.fields.map(f => [f.name, f.cap]), [['Turf', 2], ['Court', 1], ['Gym', 2]]);
+    assert.equal(r.feasible, false);
+    assert.equal(r.totalDemand, 240);
+    assert.equal(r.flow, 180, 'the Gym is closed to both grades, the Court takes one bunk');
+});
+
+test('the cut reads as grades, window, need and what exists', () => {
+    const r = O.check(cfg(TWO_GRADES, [TURF, COURT, GYM]));
+    assert.equal(r.cuts.length, 1);
+    assert.equal(r.cuts[0].text,
+        'Grade 3 and Grade 4 need 240 field-minutes between 10:00am–11:00am but only 180 exist on fields they may use (Turf, Court)');
+    assert.equal(r.cuts.reduce((s, c) => s + c.deficit, 0), r.deficit);
+
+    const ok = O.check(cfg(TWO_GRADES, [TURF, Object.assign({}, GYM, { accessRestrictions: null })]));
+    assert.equal(ok.feasible, true);
+    assert.equal(ok.cuts.length, 0);
+    assert.deepEqual(O.suggestRelaxations(cfg(TWO_GRADES, [TURF]), ok), []);
+});
+
+test('relaxations open a restricted field or allow sharing, each restoring feasibility', () => {
+    const c = cfg(TWO_GRADES, [TURF, COURT, GYM]);
+    const rel = O.suggestRelaxations(c, O.check(c), { limit: 10 });
+    const texts = rel.map(r => r.text);
+    assert.ok(texts.includes('Allow sharing on Court (2 bunks at once)'));
+    assert.ok(texts.includes('Let Turf take 3 bunks at once (now 2)'));
+    assert.ok(texts.includes('Open Gym to Grade 3'));
+    assert.ok(rel.every(r => r.restores && r.deficit === 0));
+});
+
+test('moving a league out of the crowded window is offered, smallest shift first', () => {
+    const divisions = {
+        Juniors: { startTime: '10:00am', endTime: '12:00pm', bunks: ['J1', 'J2'] },
+        Seniors: { startTime: '10:00am', endTime: '12:00pm', bunks: ['S1', 'S2'] }
+    };
+    const layers = {
+        Juniors: [{ type: 'swim', event: 'Swim', startMin: 660, endMin: 720 }],
+        Seniors: [{ type: 'league', event: 'League', startMin: 620, endMin: 680 }]
+    };
+    const c = cfg(divisions, [TURF], layers);
+    const r = O.check(c);
+    assert.equal(r.feasible, false);
+    assert.deepEqual(r.cuts[0].grades.slice().sort(), ['Juniors', 'Seniors']);
+
+    const rel = O.suggestRelaxations(c, r, { limit: 10 });
+    const shifts = rel.filter(x => x.kind === 'shift-layer' && x.grade === 'Seniors');
+    assert.equal(shifts.length, 1, 'one suggestion per layer');
+    assert.ok(shifts[0].restores);
+    assert.ok(shifts[0].shift < 0, 'earlier, away from the Juniors');
+    assert.match(shifts[0].text, /^Shift Seniors’ League \d+ min earlier/);
+    assert.equal(rel[0].restores, true);
+});
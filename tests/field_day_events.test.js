@@ -0,0 +1,135 @@
+/**
+ * Tests for: field_day_events.js FieldDayEvents — the field day / Color
+ *            War rotation grid and heat clock, the pinned layer written into
+ *            the day's bunk overrides, points and standings, and the printed
+ *            cards.
+ *
+ * Run with:  node --test tests/field_day_events.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const FD = require('../field_day_events.js');
+
+function colorWar(over) {
+    return Object.assign({
+        id: 'fd_cw', name: 'Color War', date: '2026-07-20',
+        startMin: 600, heatMin: 15, transitionMin: 5,
+        teams: [
+            { name: 'Blue', bunks: ['1A', '1B'] },
+            { name: 'White', bunks: ['2A'] },
+            { name: 'Green', bunks: ['2B'] }
+        ],
+        stations: [
+            { name: 'Tug of War', location: 'Field 1' },
+            { name: 'Relay', location: 'Track' },
+            { name: 'Egg Toss', location: null },
+            { name: 'Trivia', location: 'Dining Hall' }
+        ],
+        points: {}
+    }, over || {});
+}
+
+test('every team visits every station once, one team per station per heat', () => {
+    const rot = FD.rotation(colorWar());
+    assert.deepEqual(rot.issues, []);
+    assert.equal(rot.heats.length, 4);
+    Object.values(rot.byTeam).forEach(route => {
+        assert.equal(new Set(route).size, 4, 'no station twice');
+    });
+    Object.values(rot.byStation).forEach(byHeat => byHeat.forEach(teams => assert.ok(teams.length <= 1)));
+    assert.deepEqual(rot.byTeam.Blue, ['Tug of War', 'Relay', 'Egg Toss', 'Trivia']);
+    assert.deepEqual(rot.byTeam.White, ['Relay', 'Egg Toss', 'Trivia', 'Tug of War']);
+    assert.deepEqual(rot.heats.map(h => h.startMin + '-' + h.endMin), ['600-615', '620-635', '640-655', '660-675']);
+    assert.equal(rot.endMin, 675);
+    assert.match(rot.notes.join(' '), /1 station\(s\) sit empty/);
+});
+
+test('more teams than stations share stations; bad input is reported', () => {
+    const ev = colorWar({
+        teams: ['A', 'B', 'C', 'D', 'E'].map(n => ({ name: n, bunks: [n + '1'] })),
+        stations: [{ name: 'S1' }, { name: 'S2' }]
+    });
+    const rot = FD.rotation(ev);
+    assert.equal(rot.heats.length, 2);
+    assert.deepEqual(rot.byStation.S1[0], ['A', 'C', 'E']);
+    Object.values(rot.byTeam).forEach(route => assert.equal(new Set(route).size, 2));
+    assert.match(rot.notes.join(' '), /up to 3 teams share a station/);
+
+    const bad = FD.rotation(colorWar({ heatMin: 0, teams: [{ name: 'Blue', bunks: ['1A'] }, { name: 'Red', bunks: ['1A'] }] }));
+    assert.ok(bad.issues.includes('Heats need a length.'));
+    assert.ok(bad.issues.includes('1A is on both Blue and Red.'));
+});
+
+test('teams and stations parse from their text lines; a division adds its bunks', () => {
+    const teams = FD.parseTeams('Blue: 1A, Juniors\nWhite:2A\n\n', { Juniors: { bunks: ['J1', 'J2'] } });
+    assert.deepEqual(teams, [{ name: 'Blue', bunks: ['1A', 'J1', 'J2'] }, { name: 'White', bunks: ['2A'] }]);
+    assert.deepEqual(FD.parseStations('Tug of War @ Field 1\nTrivia'),
+        [{ name: 'Tug of War', location: 'Field 1' }, { name: 'Trivia', location: null }]);
+});
+
+test('the pinned layer covers every team bunk, heats and transitions', () => {
+    const ovs = FD.overridesFor(colorWar());
+    const heats = ovs.filter(o => o._fieldDayKind === 'heat');
+    const moves = ovs.filter(o => o._fieldDayKind === 'transition');
+    assert.equal(heats.length, 4 * 4, 'four bunks, four heats');
+    assert.equal(moves.length, 4 * 3, 'no transition after the last heat');
+    const first = heats.find(o => o.bunk === '1B' && o.startMin === 600);
+    assert.equal(first.activity, 'Color War: Tug of War');
+    assert.equal(first.location, 'Field 1');
+    assert.equal(first.overrideMode, 'force');
+    assert.equal(first.startTime, '10:00am');
+    assert.equal(first._fieldDay, 'fd_cw');
+    const walk = moves.find(o => o.bunk === '2A' && o.startMin === 615);
+    assert.equal(walk.endMin, 620);
+    assert.equal(walk.activity, 'Transition');
+    assert.deepEqual(FD.overridesFor(colorWar({ stations: [] })), [], 'nothing pins while the grid has issues');
+});
+
+test('re-pinning replaces the event\'s layer and displaces overlapping force overrides', () => {
+    const existing = [
+        { id: 'x1', bunk: '1A', startMin: 630, endMin: 660, activity: 'Art', overrideMode: 'force' },
+        { id: 'x2', bunk: '1A', startMin: 700, endMin: 730, activity: 'Drama', overrideMode: 'force' },
+        { id: 'x3', bunk: '3A', startMin: 600, endMin: 660, activity: 'Swim', overrideMode: 'force' },
+        { id: 'x4', bunk: '2B', startMin: 600, endMin: 660, overrideMode: 'delete' }
+    ];
+    const first = FD.mergeOverrides(existing, colorWar());
+    assert.deepEqual(first.displaced.map(o => o.id), ['x1']);
+    assert.deepEqual(first.list.filter(o => !o._fieldDay).map(o => o.id), ['x2', 'x3', 'x4']);
+
+    const again = FD.mergeOverrides(first.list, colorWar({ transitionMin: 0 }));
+    assert.equal(again.list.filter(o => o._fieldDay).length, 16, 'the old layer is replaced, not stacked');
+    assert.deepEqual(FD.withoutEvent(again.list, 'fd_cw').map(o => o.id), ['x2', 'x3', 'x4']);
+});
+
+test('points total per team and ties share a rank', () => {
+    const ev = colorWar();
+    FD.setPoints(ev, 'Tug of War', 'Blue', 10);
+    FD.setPoints(ev, 'Relay', 'Blue', '5');
+    FD.setPoints(ev, 'Tug of War', 'White', 15);
+    FD.setPoints(ev, 'Relay', 'Green', 3);
+    FD.setPoints(ev, 'Relay', 'Green', '');
+    FD.setPoints(ev, 'Nowhere', 'Green', 50);
+    const rows = FD.standings(ev);
+    assert.deepEqual(rows.map(r => r.rank + r.team + r.total), ['1Blue15', '1White15', '3Green0']);
+    assert.deepEqual(rows[0].byStation, { 'Tug of War': 10, Relay: 5 });
+    assert.equal(rows[2].scored, 0, 'a cleared score and a station not in the event do not count');
+});
+
+test('cards: one per team and per station, escaped, with recorded points', () => {
+    const ev = colorWar({ teams: [{ name: 'Blue <3', bunks: ['1A'] }, { name: 'White', bunks: ['2A'] }] });
+    FD.setPoints(ev, 'Relay', 'White', 7);
+    const html = FD.cardsHTML(ev);
+    assert.equal((html.match(/class="fd-card/g) || []).length, 6);
+    assert.equal((html.match(/fd-break/g) || []).length, 1 + 5, 'the style rule, then a break after every card but the last');
+    assert.ok(html.includes('Blue &lt;3'));
+    assert.ok(!html.includes('Blue <3'));
+    assert.ok(html.includes('10:00am–10:15am'));
+    assert.ok(html.includes('— open —'), 'two teams, four stations: some heats leave a station open');
+    assert.ok(html.includes('>7</td>'));
+    assert.equal((FD.cardsHTML(ev, 'team').match(/class="fd-card/g) || []).length, 2);
+    assert.equal(FD.cardsHTML(colorWar({ stations: [] })), '');
+});
@@ -0,0 +1,281 @@
+/**
+ * Tests for: fixture_plan.js FixturePlan + the league engine playing it
+ *            — round-robin cycles, byes, sport rotation, away double-headers,
+ *            locked hand edits, league days from the calendar, and planned
+ *            games kept to the field, indoor, daily-limit and shared-sport
+ *            rules.
+ *
+ * Run with:  node --test tests/fixture_plan.test.js
+ *
+ * The engine tests run scheduler_core_leagues.js processRegularLeagues
+ * against one league and read the games back from the saved gameLog.
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cloud = {};
+global.localStorage = {
+    _m: {},
+    getItem(k) { return this._m[k] != null ? this._m[k] : null; },
+    setItem(k, v) { this._m[k] = String(v); },
+    removeItem(k) { delete this._m[k]; }
+};
+global.window = {
+    loadGlobalSettings: () => ({ leagueHistory: cloud.leagueHistory }),
+    saveGlobalSettings: (k, v) => { cloud[k] = v; },
+    divisionTimes: { Juniors: [{ startMin: 780, endMin: 840 }, { startMin: 850, endMin: 910 }] },
+    addEventListener: () => {},
+    CustomEvent: function CustomEvent(type, opts) { this.type = type; this.detail = (opts || {}).detail; },
+    dispatchEvent: () => true
+};
+global.document = { readyState: 'complete', addEventListener: () => {} };
+
+const origLog = console.log;
+console.log = () => {};
+const FP = require('../fixture_plan.js');
+require('../scheduler_core_leagues.js');
+console.log = origLog;
+const Leagues = window.SchedulerCoreLeagues;
+
+function days(n, games) {
+    const out = [];
+    for (let i = 1; i <= n; i++) out.push({ date: '2026-07-' + String(i).padStart(2, '0'), games: games || 1 });
+    return out;
+}
+const pk = (a, b) => (a < b ? a + '|' + b : b + '|' + a);
+const SIX = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+test('each cycle is a full round robin and byes are spread evenly', () => {
+    const teams = ['A', 'B', 'C', 'D', 'E'];
+    const p = FP.plan({ teams, sports: ['Soccer'], days: days(10), seed: 'L' });
+    assert.equal(p.fixtures.length, 20);
+    assert.equal(p.cycles, 2);
+    for (const cycle of [1, 2]) {
+        const pairs = p.fixtures.filter(f => f.cycle === cycle).map(f => pk(f.team1, f.team2));
+        assert.equal(new Set(pairs).size, 10, `cycle ${cycle} meets every pair once`);
+    }
+    const st = FP.stats(p, teams);
+    teams.forEach(t => {
+        assert.equal(st.teams[t].games, 8);
+        assert.equal(st.teams[t].byes, 2);
+    });
+});
+
+test('sports rotate within the fields that host them', () => {
+    const p = FP.plan({ teams: SIX, sports: ['Soccer', 'Hockey', 'Kickball'], days: days(9), seed: 'L', sportCapacity: { Soccer: 1, Hockey: 1, Kickball: 1 } });
+    const st = FP.stats(p, SIX);
+    SIX.forEach(t => {
+        const counts = Object.values(st.teams[t].sports);
+        assert.equal(counts.length, 3);
+        assert.ok(Math.max(...counts) - Math.min(...counts) <= 2, t + ' ' + JSON.stringify(st.teams[t].sports));
+    });
+    p.days.forEach(d => {
+        const sports = p.fixtures.filter(f => f.date === d.date).map(f => f.sport);
+        assert.equal(new Set(sports).size, sports.length, 'one field per sport — no sport twice at once');
+    });
+});
+
+test('an away group travels together for both games of the day', () => {
+    const p = FP.plan({ teams: SIX, sports: ['Soccer', 'Hockey'], days: days(6, 2), seed: 'L', away: { teamsPerDay: 4, sports: ['Hockey'] } });
+    p.days.forEach(d => {
+        const g1 = p.fixtures.filter(f => f.date === d.date && f.game === 0 && f.away);
+        const g2 = p.fixtures.filter(f => f.date === d.date && f.game === 1 && f.away);
+        const teamsOf = list => list.flatMap(f => [f.team1, f.team2]).sort();
+        assert.equal(g1.length, 2);
+        assert.deepEqual(teamsOf(g2), teamsOf(g1), d.date + ' the same four teams are away for game 2');
+        g1.concat(g2).forEach(f => assert.equal(f.sport, 'Hockey'));
+    });
+    const trips = Object.values(FP.stats(p, SIX).teams).map(s => s.away);
+    assert.equal(trips.reduce((a, b) => a + b), 24);
+    assert.ok(Math.max(...trips) - Math.min(...trips) <= 2, 'trips spread across the league: ' + trips);
+});
+
+test('a hand edit swaps within the slot, locks, and survives a re-plan', () => {
+    const sports = ['Soccer', 'Hockey'];
+    const p = FP.plan({ teams: SIX, sports, days: days(10), seed: 'L' });
+    const slot = p.fixtures.filter(f => f.date === '2026-07-04');
+    const [f, mate] = slot;
+    const incoming = mate.team1;
+    const outgoing = f.team1;
+
+    assert.equal(FP.editFixture(p, f.id, { team2: f.team1 }).ok, false);
+    const r = FP.editFixture(p, f.id, { team1: incoming, sport: 'Hockey' });
+    assert.deepEqual(r, { ok: true, changed: [f.id, mate.id] });
+    assert.equal(f.team1, incoming);
+    assert.equal(mate.team1, outgoing, 'the replaced team takes the incoming team\'s spot');
+    assert.ok(f.locked && f.edited && mate.locked);
+    const playing = slot.flatMap(x => [x.team1, x.team2]);
+    assert.equal(new Set(playing).size, 6, 'still one game per team');
+
+    const again = FP.plan({ teams: SIX, sports, days: days(10), seed: 'L', existing: p, fromDate: '2026-07-03' });
+    const kept = again.fixtures.find(x => x.id === f.id);
+    assert.deepEqual([kept.team1, kept.team2, kept.sport, kept.locked], [f.team1, f.team2, 'Hockey', true]);
+    assert.deepEqual(
+        again.fixtures.filter(x => x.date < '2026-07-03').map(x => x.id + x.team1 + x.team2),
+        p.fixtures.filter(x => x.date < '2026-07-03').map(x => x.id + x.team1 + x.team2),
+        'everything before the re-plan date stays');
+    assert.deepEqual(FP.plan({ teams: SIX, sports, days: days(10), seed: 'L', existing: p, fromDate: '2026-07-03' }), again);
+});
+
+test('league days come from the camp dates and the weekday templates', () => {
+    const league = { name: 'Juniors League', divisions: ['Juniors'] };
+    const settings = {
+        campDates: { startDate: '2026-07-06', endDate: '2026-07-12' },
+        app1: {
+            skeletonAssignments: { Monday: 'Two Leagues', Wednesday: 'Manual', Default: 'Plain' },
+            autoLayerTemplates: {
+                'Two Leagues': { Juniors: [{ type: 'league', startMin: 600 }, { type: 'league', startMin: 660 }, { type: 'swim', startMin: 720 }] },
+                Plain: { Juniors: [{ type: 'swim', startMin: 600 }] }
+            },
+            savedSkeletons: {
+                Manual: [{ type: 'league', division: 'Juniors', startTime: '2:00pm' }, { type: 'league', division: 'Seniors', startTime: '3:00pm' }]
+            },
+            dailyAutoLayers: { '2026-07-09': { Juniors: [{ type: 'league', leagueName: 'Juniors League', startMin: 600 }] } }
+        }
+    };
+    assert.deepEqual(FP.leagueDays(league, settings), [
+        { date: '2026-07-06', games: 2 },
+        { date: '2026-07-08', games: 1 },
+        { date: '2026-07-09', games: 1 }
+    ]);
+    assert.deepEqual(FP.leagueDays({ name: 'Other', divisions: ['Juniors'] }, settings).map(d => d.date),
+        ['2026-07-06', '2026-07-08'], 'a tile named for another league is not ours');
+});
+
+// -----------------------------------------------------------------------------
+// The engine plays the plan
+// -----------------------------------------------------------------------------
+const DAY = '2026-07-09';
+const LG = 'Test League';
+
+let lastTiles = [];
+function runEngine(fixturePlan, fields, periods, leagueExtra) {
+    cloud.leagueHistory = undefined;
+    global.localStorage._m = {};
+    window.currentScheduleDate = DAY;
+    const blocks = [0, 1].slice(0, periods || 2).map(i => ({
+        type: 'league', event: 'League Time', divName: 'Juniors', leagueName: LG,
+        startTime: window.divisionTimes.Juniors[i].startMin,
+        endTime: window.divisionTimes.Juniors[i].endMin,
+        slots: [i]
+    }));
+    lastTiles = [];
+    console.log = () => {};
+    try {
+        Leagues.processRegularLeagues({
+            schedulableSlotBlocks: blocks,
+            masterLeagues: {
+                [LG]: {
+                    name: LG, enabled: true, divisions: ['Juniors'],
+                    teams: ['T1', 'T2', 'T3', 'T4'], sports: ['Soccer', 'Hockey', 'Kickball'],
+                    schedulingPriority: 'sport_variety', fixturePlan, ...leagueExtra
+                }
+            },
+            disabledLeagues: [],
+            divisions: { Juniors: { bunks: ['J1', 'J2'], startTime: '10:50 AM', endTime: '3:45 PM' } },
+            fillBlock: function (block, pick) {
+                block._filled = true;
+                lastTiles.push(...((pick && pick._allMatchups) || []));
+            },
+            fieldUsageBySlot: {},
+            activityProperties: {},
+            rotationHistory: {},
+            fields,
+            disabledFields: []
+        });
+    } finally {
+        console.log = origLog;
+    }
+    return ((cloud.leagueHistory || {}).gameLog || {})[LG][DAY].map(e => [e.t1, e.t2, e.sport].join(' '));
+}
+
+function fx(game, i, team1, team2, sport) {
+    return { id: 'fx_' + game + '_' + i, date: DAY, game, team1, team2, sport, away: false, locked: false, edited: false };
+}
+const FIELDS = [
+    { name: 'Turf', activities: ['Soccer'] }, { name: 'Turf 2', activities: ['Soccer'] },
+    { name: 'Rink', activities: ['Hockey'] }, { name: 'Diamond', activities: ['Kickball'] }
+];
+
+test('daily generation plays the planned matchups and sports', () => {
+    const plan = {
+        enabled: true, days: [{ date: DAY, games: 2 }], excludedDates: [], byes: {}, notes: [],
+        fixtures: [
+            fx(0, 0, 'T1', 'T4', 'Soccer'), fx(0, 1, 'T2', 'T3', 'Soccer'),
+            fx(1, 0, 'T1', 'T3', 'Hockey'), fx(1, 1, 'T2', 'T4', 'Kickball')
+        ]
+    };
+    assert.deepEqual(runEngine(plan, FIELDS), ['T1 T4 Soccer', 'T2 T3 Soccer', 'T1 T3 Hockey', 'T2 T4 Kickball']);
+});
+
+test('a planned sport with no field left still plays, on another sport', () => {
+    const plan = {
+        enabled: true, days: [{ date: DAY, games: 1 }], excludedDates: [], byes: {}, notes: [],
+        fixtures: [fx(0, 0, 'T1', 'T2', 'Hockey'), fx(0, 1, 'T3', 'T4', 'Hockey')]
+    };
+    const games = runEngine(plan, FIELDS, 1);
+    assert.equal(games.length, 2);
+    assert.equal(games[0], 'T1 T2 Hockey');
+    assert.match(games[1], /^T3 T4 (Soccer|Kickball)$/);
+});
+
+test('a plan that is switched off is ignored', () => {
+    const plan = {
+        enabled: false, days: [{ date: DAY, games: 1 }], excludedDates: [], byes: {}, notes: [],
+        fixtures: [fx(0, 0, 'T1', 'T2', 'Hockey'), fx(0, 1, 'T3', 'T4', 'Hockey')]
+    };
+    assert.equal(FP.slot({ fixturePlan: plan }, DAY, 0), null);
+    plan.enabled = true;
+    assert.deepEqual(FP.slot({ fixturePlan: plan }, DAY, 0).fixtures.map(f => f.team1), ['T1', 'T3']);
+    assert.equal(FP.slot({ fixturePlan: plan }, DAY, 1), null, 'an unplanned period is decided as before');
+});
+
+test('a planned game still meets the indoor requirement and the daily limit', () => {
+    const fields = [
+        { name: 'Turf', activities: ['Soccer'] }, { name: 'Gym', activities: ['Soccer'], rainyDayAvailable: true },
+        { name: 'Rink', activities: ['Hockey'] }, { name: 'Diamond', activities: ['Kickball'] }
+    ];
+    const indoor = {
+        enabled: true, days: [{ date: DAY, games: 1 }], excludedDates: [], byes: {}, notes: [],
+        fixtures: [fx(0, 0, 'T1', 'T2', 'Soccer'), fx(0, 1, 'T3', 'T4', 'Hockey')]
+    };
+    runEngine(indoor, fields, 1, { indoorRequirement: { enabled: true, op: '>=', count: 1 } });
+    assert.ok(lastTiles.includes('T1 vs T2 @ Gym (Soccer)'), 'the planned Soccer game goes indoors: ' + lastTiles.join('; '));
+
+    const twice = {
+        enabled: true, days: [{ date: DAY, games: 2 }], excludedDates: [], byes: {}, notes: [],
+        fixtures: [
+            fx(0, 0, 'T1', 'T2', 'Soccer'), fx(0, 1, 'T3', 'T4', 'Hockey'),
+            fx(1, 0, 'T1', 'T3', 'Soccer'), fx(1, 1, 'T2', 'T4', 'Kickball')
+        ]
+    };
+    const games = runEngine(twice, FIELDS, 2, { sportDailyLimits: { Soccer: 1 } });
+    assert.ok(games.includes('T1 T2 Soccer'));
+    assert.match(games.find(g => g.startsWith('T1 T3')), /^T1 T3 (Hockey|Kickball)$/, 'T1 already played its one Soccer game today');
+});
+
+test('a planned game keeps to the league\'s share of a sport another league needs too', () => {
+    const pool = [
+        { field: 'Turf', sport: 'Soccer' }, { field: 'Turf 2', sport: 'Soccer' },
+        { field: 'Rink', sport: 'Hockey' }, { field: 'Diamond', sport: 'Kickball' }
+    ];
+    const matchups = [['T1', 'T2'], ['T3', 'T4']];
+    const history = { gameLog: {}, teamSports: {} };
+    console.log = () => {};
+    let shared, free;
+    try {
+        shared = Leagues._assignPlannedFixtures(matchups, ['Soccer', 'Soccer'], pool, LG, history, [0],
+            'sport_variety', {}, { Soccer: 1 }, DAY);
+        free = Leagues._assignPlannedFixtures(matchups, ['Soccer', 'Soccer'], pool, LG, history, [0],
+            'sport_variety', {}, null, DAY);
+    } finally {
+        console.log = origLog;
+    }
+    const line = a => a.team1 + ' ' + a.team2 + ' ' + a.sport;
+    assert.equal(shared.length, 2);
+    assert.equal(line(shared[0]), 'T1 T2 Soccer');
+    assert.match(line(shared[1]), /^T3 T4 (Hockey|Kickball)$/, 'the second Turf is the other league\'s share');
+    assert.deepEqual(free.map(line), ['T1 T2 Soccer', 'T3 T4 Soccer'], 'no contention, no cap');
+});
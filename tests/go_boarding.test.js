@@ -0,0 +1,147 @@
+/**
+ * Tests for: campistry_go_boarding.js GoBoarding — per-stop check-in, the
+ *            offline queue and its flush, per-camper merging of two phones'
+ *            marks, day / mode scoped loads, and the office manifest.
+ *
+ * Run with:  node --test tests/go_boarding.test.js
+ */
+
+'use strict';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// ── Browser stand-ins ───────────────────────────────────────────────────────
+const lsData = {};
+global.localStorage = {
+    getItem: k => (k in lsData ? lsData[k] : null),
+    setItem: (k, v) => { lsData[k] = String(v); },
+    removeItem: k => { delete lsData[k]; }
+};
+global.window = { addEventListener: () => {} };
+
+// An in-memory go_standalone_data for one camp; `online` switches it off.
+const cloud = {
+    rows: {}, online: true, saves: 0,
+    async loadPrefix(prefix) {
+        if (!this.online) return null;
+        const out = {};
+        Object.keys(this.rows).forEach(k => { if (k.startsWith(prefix)) out[k] = JSON.parse(JSON.stringify(this.rows[k])); });
+        return out;
+    },
+    async save(type, data) {
+        if (!this.online) return { ok: false, reason: 'not-ready' };
+        this.saves++;
+        this.rows[type] = JSON.parse(JSON.stringify(data));
+        return { ok: true };
+    }
+};
+window.GoCloudSync = cloud;
+
+require('../campistry_go_boarding.js');
+const B = window.GoBoarding;
+
+const DATE = '2026-07-01';
+const route = (busId, stops) => ({
+    busId, busName: 'Bus ' + busId, busColor: '#123',
+    stops: stops.map((names, i) => ({ stopNum: i + 1, address: (i + 1) + ' Elm St', campers: names.map(n => ({ name: n })) }))
+});
+let shifts, roster;
+beforeEach(() => {
+    shifts = [{ shift: { label: 'AM' }, routes: [
+        route('b1', [['Ava', 'Ben'], ['Cy']]),
+        route('b10', [['Dee']])
+    ] }];
+    roster = { Ava: {}, Ben: {}, Cy: {}, Dee: {}, Eli: {} };   // Eli rides no bus
+    B.attach({
+        getRoutes: () => shifts, getRoster: () => roster, isArrival: () => true,
+        getMonitors: () => [{ name: 'Mo Nitor', assignedBus: 'b1' }]
+    });
+    cloud.rows = {}; cloud.online = true; cloud.saves = 0;
+});
+const settle = () => new Promise(r => setTimeout(r, 0));
+
+test('a mark lands in the bus\'s own day row; tapping it again clears it', async () => {
+    const m = B.mark(0, 'b1', 'Ava', 'boarded', { date: DATE });
+    assert.equal(m.status, 'boarded');
+    assert.equal(m.by, 'Mo Nitor', 'the bus\'s monitor is recorded');
+    await settle(); await settle();
+    const key = B.dayKey(DATE, 'arrival', 0, 'b1');
+    assert.equal(key, 'boarding:2026-07-01:arrival:0:b1');
+    assert.equal(cloud.rows[key].marks.Ava.status, 'boarded');
+
+    assert.equal(B.mark(0, 'b1', 'Ava', 'boarded', { date: DATE }).status, null);
+    await settle(); await settle();
+    assert.equal(cloud.rows[key].marks.Ava.status, null);
+    assert.equal(B.mark(0, 'b1', 'Ava', 'late', { date: '2026-07-02' }) , null, 'unknown status refused');
+});
+
+test('offline marks wait in localStorage and sync on the next flush', async () => {
+    cloud.online = false;
+    B.mark(0, 'b1', 'Ben', 'absent', { date: DATE });
+    B.mark(0, 'b1', 'Cy', 'parent', { date: DATE });
+    await settle();
+    assert.equal(Object.keys(cloud.rows).length, 0);
+    const local = JSON.parse(lsData.campistry_go_boarding_v1);
+    assert.ok(local.dirty[B.dayKey(DATE, 'arrival', 0, 'b1')], 'still marked unsynced');
+
+    cloud.online = true;
+    await B.flush();
+    const row = cloud.rows[B.dayKey(DATE, 'arrival', 0, 'b1')];
+    assert.equal(row.marks.Ben.status, 'absent');
+    assert.equal(row.marks.Cy.status, 'parent');
+    assert.deepEqual(JSON.parse(lsData.campistry_go_boarding_v1).dirty, {});
+});
+
+test('two phones on one bus merge per camper; the newer mark wins', async () => {
+    const key = B.dayKey(DATE, 'arrival', 0, 'b1');
+    B.mark(0, 'b1', 'Ava', 'boarded', { date: DATE });
+    await B.flush();
+    // Another phone, later, marks Ben and re-marks Ava as absent.
+    const later = Date.now() + 60000;
+    cloud.rows[key].marks.Ben = { status: 'boarded', at: later, by: 'Counselor' };
+    cloud.rows[key].marks.Ava = { status: 'absent', at: later, by: 'Counselor' };
+    B.mark(0, 'b1', 'Cy', 'boarded', { date: DATE });
+    await B.flush();
+    const row = cloud.rows[key];
+    assert.equal(row.marks.Cy.status, 'boarded', 'this phone\'s mark kept');
+    assert.equal(row.marks.Ben.status, 'boarded', 'the other phone\'s mark kept');
+    assert.equal(row.marks.Ava.status, 'absent', 'newer mark wins');
+
+    const merged = B.mergeRecords({ marks: { X: { status: 'absent', at: 5 } } }, { marks: { X: { status: null, at: 9 } } });
+    assert.equal(merged.marks.X.status, null, 'a clear is a mark too');
+});
+
+test('loading a day reads only that day and mode; bus b1 does not pick up b10', async () => {
+    cloud.rows[B.dayKey(DATE, 'arrival', 0, 'b10')] = { date: DATE, mode: 'arrival', shiftIdx: 0, busId: 'b10',
+        marks: { Dee: { status: 'boarded', at: 1, by: '' } } };
+    cloud.rows[B.dayKey(DATE, 'dismissal', 0, 'b10')] = { date: DATE, mode: 'dismissal', shiftIdx: 0, busId: 'b10',
+        marks: { Dee: { status: 'absent', at: 1, by: '' } } };
+    const recs = await B.load(DATE);
+    assert.deepEqual(Object.keys(recs).filter(k => k.includes(':b10')), [B.dayKey(DATE, 'arrival', 0, 'b10')]);
+
+    B.mark(0, 'b1', 'Ava', 'boarded', { date: DATE });
+    await B.flush();
+    assert.equal(cloud.rows[B.dayKey(DATE, 'arrival', 0, 'b1')].marks.Dee, undefined);
+});
+
+test('the manifest lists who to find, absences, parent hand-offs and roster gaps', () => {
+    const mk = (marks) => ({ marks: Object.fromEntries(Object.entries(marks).map(([n, s]) => [n, { status: s, at: 1, by: 'Mo' }])) });
+    const records = {
+        [B.dayKey(DATE, 'arrival', 0, 'b1')]: mk({ Ava: 'boarded', Ben: 'absent', Zed: 'boarded' }),
+        [B.dayKey(DATE, 'arrival', 0, 'b10')]: mk({ Dee: 'parent' })
+    };
+    const mf = B.manifest({ shifts, records, roster, date: DATE, mode: 'arrival' });
+    assert.deepEqual(mf.totals, { assigned: 4, boarded: 1, absent: 1, parent: 1, unchecked: 1 });
+    assert.deepEqual(mf.unchecked.map(e => [e.name, e.busName, e.stopNum]), [['Cy', 'Bus b1', 2]]);
+    assert.deepEqual(mf.absent.map(e => e.name), ['Ben']);
+    assert.deepEqual(mf.parent.map(e => e.name), ['Dee']);
+    assert.deepEqual(mf.boarded.map(e => e.name), ['Ava']);
+    assert.deepEqual(mf.notRouted, ['Eli'], 'in Campistry Me, on no bus');
+    assert.deepEqual(mf.unknown, ['Zed'], 'marked but not in the roster');
+    assert.deepEqual(mf.buses.map(b => [b.busId, b.assigned, b.unchecked]), [['b1', 3, 1], ['b10', 1, 0]]);
+
+    const noRoster = B.manifest({ shifts, records, roster: {}, date: DATE, mode: 'arrival' });
+    assert.deepEqual(noRoster.unknown, [], 'no roster, nothing to compare');
+    assert.deepEqual(B.manifest({ shifts, records, roster, date: DATE, mode: 'dismissal' }).totals.unchecked, 4,
+        'the other mode has its own rows');
+});
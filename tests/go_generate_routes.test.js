@@ -0,0 +1,113 @@
+/**
+ * Tests for: campistry_go.js generateRoutes() — the primary → secondary
+ *            pipeline hand-off, and what a scenario dry run leaves alone.
+ *
+ * Run with:  node --test tests/go_generate_routes.test.js
+ *
+ * campistry_go.js is loaded against a bare document (readyState 'loading',
+ * so init() never runs) and an Overpass that answers with no elements. The
+ * neighborhood module is a fake each test swaps in.
+ */
+
+'use strict';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+function el() {
+    return {
+        style: {}, className: '', textContent: '', value: '', innerHTML: '',
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {}, appendChild() {}, setAttribute() {}, querySelectorAll: () => []
+    };
+}
+global.window = global;
+global.document = {
+    readyState: 'loading', addEventListener() {},
+    getElementById: () => el(), createElement: () => el(),
+    querySelector: () => null, querySelectorAll: () => [], body: el()
+};
+global.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
+global.requestAnimationFrame = f => f();
+global.fetch = async () => ({ ok: true, status: 200, json: async () => ({ elements: [] }), text: async () => '{"elements":[]}' });
+
+const _log = console.log, _error = console.error;
+console.log = () => {};
+require('../campistry_go.js');
+console.log = _log;
+
+const D = window._GoDebug.getD();
+const CAMP = { lat: 40.0, lng: -74.0 };
+let warns, recorded;
+
+function kids() {
+    return Object.keys(D.addresses).map(name => {
+        const a = D.addresses[name];
+        return { name, lat: a.lat, lng: a.lng, address: a.street, division: 'A', bunk: '' };
+    });
+}
+
+// A neighborhood module that finds one neighborhood and puts every kid on b1
+const workingNeighborhoods = {
+    buildNeighborhoods: async ({ campers }) => ({
+        neighborhoods: [{ id: 'nh1', primaryName: 'Main St' }],
+        homes: campers.map(c => ({ camperName: c.name })),
+        unattachedCampers: []
+    }),
+    packIntoBuses: () => ({ b1: ['nh1'] }),
+    expandToPhysicalStops: () => [{
+        busId: 'b1', neighborhoodIds: ['nh1'], camperCount: 6,
+        stops: kids().map(k => ({ lat: k.lat, lng: k.lng, address: k.address, campers: [{ name: k.name, division: 'A' }] }))
+    }]
+};
+
+function dryRun() {
+    return window.CampistryGo.generateRoutes({ dryRun: true, scenario: { id: 'x', busIds: ['b1'] } });
+}
+
+beforeEach(() => {
+    warns = []; recorded = 0;
+    console.warn = (...a) => warns.push(a.join(' '));
+    Object.assign(D.setup, { standaloneMode: true, campLat: CAMP.lat, campLng: CAMP.lng, routingPipeline: 'neighborhood' });
+    D.activeMode = 'dismissal';
+    D.buses = [{ id: 'b1', name: 'Bus 1', capacity: 40 }];
+    D.shifts = [{ id: 'pm', label: 'PM', divisions: ['A'], departureTime: '16:00', assignedBuses: ['b1', 'deleted-bus'] }];
+    D.monitors = []; D.counselors = [];
+    D.addresses = {};
+    for (let i = 0; i < 6; i++) {
+        D.addresses['Kid ' + i] = { geocoded: true, lat: CAMP.lat + 0.05 + i * 0.003, lng: CAMP.lng - 0.01, street: i + ' Main St', city: 'Town', _division: 'A' };
+    }
+    window.GoNhPersistence = {
+        getPriorAssignments: async () => ({}),
+        load: async () => ({}),
+        recordAssignment: async () => { recorded++; },
+        diff: () => []
+    };
+});
+
+test('a failing neighborhood pipeline hands the shift to spatial sort', async () => {
+    window.CampistryGoNeighborhoods = Object.assign({}, workingNeighborhoods, {
+        buildNeighborhoods: async () => { throw new Error('Overpass timed out'); }
+    });
+    console.error = () => {};
+    let results;
+    try { results = await dryRun(); } finally { console.error = _error; }
+
+    assert.ok(warns.some(w => w.includes('Primary neighborhood failed — trying spatial-sort')));
+    assert.ok(warns.some(w => w.includes('1 assigned buses no longer exist')));
+    assert.equal(results.length, 1);
+    const routes = results[0].routes;
+    assert.ok(routes.length > 0);
+    assert.ok(routes.every(r => r._source === 'spatial-sort'));
+    assert.equal(results[0].camperCount, 6);
+    // A dry run leaves the stale bus list for the live run to repair
+    assert.deepEqual(D.shifts[0].assignedBuses, ['b1', 'deleted-bus']);
+});
+
+test('a dry run does not record the neighborhood assignment', async () => {
+    window.CampistryGoNeighborhoods = workingNeighborhoods;
+    const results = await dryRun();
+
+    assert.equal(results[0].camperCount, 6);
+    assert.ok(results[0].routes.every(r => r._source === 'neighborhood-mode'));
+    assert.equal(recorded, 0);
+});
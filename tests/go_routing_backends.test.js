@@ -0,0 +1,171 @@
+/**
+ * Tests for: campistry_go_routing_backends.js + campistry_go_osrm_vroom.js
+ *            — backend selection with no paid fallback, a roster routed
+ *            through VROOM, OSRM table blocks stitched into one matrix, and
+ *            an unreachable server reported.
+ *
+ * Run with:  node --test tests/go_routing_backends.test.js
+ *
+ * A local HTTP server stands in for a self-hosted OSRM + VROOM pair and
+ * answers POST / and /table/v1 the way they do.
+ */
+
+'use strict';
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+global.window = {};
+const origLog = console.log, origWarn = console.warn;
+console.log = () => {};
+require('../campistry_go_ors_optimizer.js');
+require('../campistry_go_osrm_vroom.js');
+require('../campistry_go_routing_backends.js');
+console.log = origLog;
+const RB = window.GoRoutingBackends;
+const OV = window.GoOsrmVroom;
+
+const CAMP = { lat: 40.0, lng: -74.0 };
+function secs(a, b) {
+    // ~1 km per 0.009°, 30 km/h — close enough for a stand-in.
+    const d = Math.hypot(a[0] - b[0], a[1] - b[1]) / 0.009;
+    return d * 120;
+}
+
+// ── The stand-in ────────────────────────────────────────────────────────────
+const seen = { vroom: [], table: [] };
+let server, base;
+before(async () => {
+    server = http.createServer((req, res) => {
+        const reply = (code, obj) => { res.writeHead(code, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(obj)); };
+        if (req.method === 'POST' && req.url === '/') {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                const p = JSON.parse(body);
+                seen.vroom.push({ body: p, auth: req.headers.authorization || null });
+                // Fill vehicles in order, jobs in id order, up to capacity.
+                const load = p.vehicles.map(() => 0);
+                const steps = p.vehicles.map(() => []);
+                const unassigned = [];
+                p.jobs.forEach(j => {
+                    const vi = p.vehicles.findIndex((v, k) => load[k] + j.amount[0] <= v.capacity[0]);
+                    if (vi < 0) { unassigned.push({ id: j.id }); return; }
+                    load[vi] += j.amount[0];
+                    steps[vi].push({ type: 'job', id: j.id });
+                });
+                reply(200, {
+                    code: 0,
+                    routes: p.vehicles.map((v, k) => ({
+                        vehicle: v.id,
+                        steps: [{ type: 'start' }].concat(steps[k], [{ type: 'end' }]),
+                        duration: steps[k].length * 300
+                    })).filter(r => r.steps.length > 2),
+                    unassigned
+                });
+            });
+            return;
+        }
+        const m = req.url.match(/^\/table\/v1\/([^/]+)\/([^?]+)\?(.*)$/);
+        if (req.method === 'GET' && m) {
+            const pts = m[2].split(';').map(s => s.split(',').map(Number));
+            const q = new URLSearchParams(m[3]);
+            const src = (q.get('sources') || '').split(';').map(Number);
+            const dst = (q.get('destinations') || '').split(';').map(Number);
+            seen.table.push({ profile: m[1], points: pts.length, sources: src.length, destinations: dst.length });
+            if (pts.length > 100) { reply(400, { code: 'TooBig', message: 'Too many table coordinates' }); return; }
+            reply(200, { code: 'Ok', durations: src.map(i => dst.map(j => secs(pts[i], pts[j]))) });
+            return;
+        }
+        reply(404, { code: 'NotFound' });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    base = 'http://127.0.0.1:' + server.address().port;
+});
+after(() => new Promise(r => server.close(r)));
+
+function selfHosted(over) {
+    return Object.assign({ routingBackend: 'osrm-vroom', vroomUrl: base, osrmUrl: base }, over || {});
+}
+function stops(n) {
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        out.push({
+            lat: CAMP.lat + 0.01 * (1 + (i % 4)), lng: CAMP.lng + 0.01 * (1 + Math.floor(i / 4)),
+            address: (i + 1) + ' Elm St', campers: [{ name: 'Kid ' + (2 * i) }, { name: 'Kid ' + (2 * i + 1) }]
+        });
+    }
+    return out;
+}
+
+test('the selected backend is used only when configured; nothing falls back to a paid one', () => {
+    assert.equal(RB.selectedId({}), 'google');
+    assert.equal(RB.resolve({}), null, 'no Google keys, no Google');
+    assert.equal(RB.resolve({ routingBackend: 'osrm-vroom' }), null, 'no VROOM URL yet');
+    assert.equal(RB.resolve(selfHosted()).id, 'osrm-vroom');
+    assert.equal(RB.resolve({ routingBackend: 'nope', googleMapsKey: 'k', googleProjectId: 'p' }), null);
+    assert.deepEqual(RB.list().map(b => b.id), ['google', 'ors', 'geoapify', 'osrm-vroom']);
+});
+
+test('a roster routes through the local VROOM with no key and the local profile', async () => {
+    seen.vroom.length = 0;
+    console.log = () => {};
+    let routes;
+    try {
+        routes = await RB.optimizeTours(selfHosted(), {
+            stops: stops(8),
+            vehicles: [{ busId: 'b1', name: 'Bus 1', capacity: 10 }, { busId: 'b2', name: 'Bus 2', capacity: 10 }],
+            campLat: CAMP.lat, campLng: CAMP.lng, isArrival: false,
+            serviceTime: 90, departureTime: '16:00'
+        });
+    } finally { console.log = origLog; }
+    assert.equal(seen.vroom.length, 1, 'sixteen campers fit twenty seats: one request');
+    const sent = seen.vroom[0];
+    assert.equal(sent.auth, null);
+    assert.ok(sent.body.vehicles.every(v => v.profile === 'car'));
+    assert.ok(sent.body.jobs.every(j => j.service === 90), 'Google-style serviceTime reaches VROOM');
+    assert.deepEqual(sent.body.vehicles[0].start, [CAMP.lng, CAMP.lat], 'dismissal: the bus leaves camp');
+
+    assert.equal(routes.length, 2);
+    assert.ok(routes.every(r => r._source === 'osrm-vroom'));
+    const riders = routes.flatMap(r => r.stops.flatMap(s => s.campers.map(c => c.name)));
+    assert.equal(new Set(riders).size, 16, 'every camper is on a bus');
+    assert.deepEqual(routes[0].stops.map(s => s.stopNum), routes[0].stops.map((_, i) => i + 1));
+});
+
+test('the road matrix stitches OSRM table blocks for a large roster', async () => {
+    seen.table.length = 0;
+    const coords = [CAMP].concat(stops(149).map(s => ({ lat: s.lat, lng: s.lng })));
+    const m = await RB.matrix(selfHosted(), coords);
+    assert.equal(seen.table.length, 9, '150 points, 50 sources × 50 destinations a request: 3 × 3');
+    assert.ok(seen.table.every(t => t.points <= 100 && t.profile === 'car'));
+    assert.equal(m.length, 150);
+    assert.equal(m[0][0], 0);
+    const p = c => [c.lng, c.lat];
+    assert.equal(m[3][140], Math.round(secs(p(coords[3]), p(coords[140]))));
+    assert.equal(m[140][3], m[3][140]);
+    assert.ok(m.every(row => row.length === 150 && row.every(v => v != null)));
+
+    assert.equal(await RB.matrix({ routingBackend: 'ors' }, coords), null, 'a backend without a matrix answers null');
+});
+
+test('an unreachable server returns null and the connection test says why', async () => {
+    const dead = selfHosted({ vroomUrl: 'http://127.0.0.1:9', osrmUrl: 'http://127.0.0.1:9' });
+    const origErr = console.error;
+    console.warn = () => {}; console.log = () => {}; console.error = () => {};
+    try {
+        assert.equal(await RB.matrix(dead, [CAMP, { lat: 40.01, lng: -74.01 }]), null);
+        assert.equal(await OV.optimizeTours({
+            setup: dead, stops: stops(2), vehicles: [{ busId: 'b1', name: 'Bus 1', capacity: 10 }],
+            campLat: CAMP.lat, campLng: CAMP.lng
+        }), null);
+        const bad = await OV.test(dead);
+        assert.equal(bad.ok, false);
+        assert.match(bad.lines.join('\n'), /VROOM unreachable/);
+    } finally { console.warn = origWarn; console.log = origLog; console.error = origErr; }
+
+    const good = await OV.test(selfHosted());
+    assert.equal(good.ok, true);
+    assert.match(good.lines[0], /^✅ OSRM: \d+s/);
+    assert.match(good.lines[1], /^✅ VROOM/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for: campistry_go_scenarios.js GoScenarios — the fleet-size ×
+ *            shift-time × max-ride grid, per-scenario metrics and trade-off
+ *            marks, and running, stopping and applying a grid.
+ *
+ * Run with:  node --test tests/go_scenarios.test.js
+ *
+ * runScenario is a fake here; the dry run it stands for is covered in
+ * tests/go_generate_routes.test.js.
+ */
+
+'use strict';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+require('../campistry_go_transport_needs.js');
+require('../campistry_go_scenarios.js');
+const S = window.GoScenarios;
+
+const CAMP = { lat: 40.0, lng: -74.0 };
+const MI_LAT = 1 / 69.05;           // ≈ 1 mile of latitude
+let buses, addresses, runs, applied, ctx;
+
+// One route per bus; each stop a mile further north, one camper per stop
+// living 0.02 mi (~106 ft) east of it.
+function routeFor(busId, nStops, rideMin) {
+    const stops = [];
+    for (let k = 1; k <= nStops; k++) {
+        const name = busId + '-kid' + k;
+        const lat = CAMP.lat + k * MI_LAT;
+        addresses[name] = { lat, lng: CAMP.lng + 0.02 / 52.9 };
+        stops.push({ stopNum: k, lat, lng: CAMP.lng, campers: [{ name }], _rideTimeMin: rideMin - (nStops - k) * 5 });
+    }
+    return { busId, busName: 'Bus ' + busId, stops, camperCount: nStops };
+}
+
+beforeEach(() => {
+    buses = [
+        { id: 'b1', name: 'Bus 1', capacity: 40 },
+        { id: 'b2', name: 'Bus 2', capacity: 54 },
+        { id: 'b3', name: 'Bus 3', capacity: 30, lift: true },
+        { id: 'b4', name: 'Bus 4', capacity: 54 }
+    ];
+    addresses = {};
+    runs = []; applied = null;
+    ctx = {
+        getBuses: () => buses,
+        getSetup: () => ({ maxRideTime: 45, campLat: CAMP.lat, campLng: CAMP.lng }),
+        isArrival: () => true,
+        getAddresses: () => addresses,
+        getCamp: () => CAMP,
+        quality: routes => ({ overall: { score: routes.reduce((n, r) => n + r.camperCount, 0) >= 3 ? 90 : 70 } }),
+        grade: score => (score >= 90 ? 'A' : score >= 80 ? 'B' : 'C'),
+        applyScenario: (s, res) => { applied = { s, res }; return true; },
+        runScenario: async s => {
+            runs.push(s.id);
+            // 12 campers; fewer buses → longer rides, and two buses only fit 10.
+            return [{ shift: { id: 'am' }, routes: s.busIds.map(id =>
+                routeFor(id, s.fleetSize === 2 ? 5 : 12 / s.fleetSize, 30 + (4 - s.fleetSize) * 10)) }];
+        }
+    };
+    S.attach(ctx);
+});
+
+test('the grid crosses fleet sizes, offsets and ride limits; small fleets keep the lift bus', () => {
+    assert.deepEqual(S.fleetFor(buses, 2), ['b2', 'b3'], 'the lift, then the biggest');
+    assert.deepEqual(S.fleetFor(buses, 3), ['b2', 'b3', 'b4'], 'fleet order kept');
+
+    const g = S.grid({ fleetSizes: [3, 4, 9, 0], startOffsets: [-10, 0], maxRideTimes: [45, 60] });
+    assert.equal(g.length, 8, 'sizes outside 1..fleet are dropped');
+    assert.deepEqual(g[0], {
+        id: 's1', fleetSize: 3, busIds: ['b2', 'b3', 'b4'], startOffsetMin: -10, maxRideTime: 45,
+        mode: 'arrival', label: '3 buses · −10 min · 45 min ride cap'
+    });
+    assert.deepEqual(g.map(s => s.startOffsetMin + '/' + s.maxRideTime).slice(0, 4), ['-10/45', '-10/60', '0/45', '0/60']);
+
+    const dflt = S.grid({});
+    assert.equal(dflt.length, 1);
+    assert.deepEqual([dflt[0].fleetSize, dflt[0].startOffsetMin, dflt[0].maxRideTime], [4, 0, 45], 'today\'s setup');
+});
+
+test('metrics: buses, miles, longest ride, Manhattan walk and a camper-weighted grade', () => {
+    const r1 = routeFor('b1', 2, 40);
+    const r2 = routeFor('b2', 1, 25);
+    r2.stops[0].campers = [];
+    r2.camperCount = 0;                               // an idle bus is not counted
+    const m = S.metrics([{ routes: [r1, r2] }, { routes: [routeFor('b3', 3, 50)] }]);
+    assert.equal(m.buses, 2);
+    assert.equal(m.campers, 5);
+    assert.equal(m.longestRide, 50);
+    assert.equal(m.avgWalkFt, 106);
+    // Arrival starts at the first stop: b1 1 + 2 mi, b3 2 + 3 mi → 8 mi × 1.35
+    assert.ok(Math.abs(m.miles - 10.8) < 0.1, 'miles ' + m.miles);
+    assert.equal(m.score, Math.round((70 * 2 + 90 * 3) / 5));
+    assert.equal(m.grade, 'B');
+
+    const poly = routeFor('b4', 1, 20);
+    poly._roadPts = [[40, -74], [40 + 2 * MI_LAT, -74]];
+    assert.ok(Math.abs(S.metrics([{ routes: [poly] }]).miles - 2) < 0.05, 'the road polyline wins');
+});
+
+test('a run tabulates every scenario and marks the trade-offs; Apply hands the routes back', async () => {
+    const progress = [];
+    const rows = await S.run({ fleetSizes: [2, 3, 4], startOffsets: [0], maxRideTimes: [45] },
+        (i, n, s) => progress.push(i + '/' + n + ' ' + s.fleetSize));
+    assert.deepEqual(runs, ['s1', 's2', 's3']);
+    assert.deepEqual(progress, ['0/3 2', '1/3 3', '2/3 4']);
+    assert.deepEqual(rows.map(r => [r.metrics.buses, r.metrics.longestRide, r.short]),
+        [[2, 50, 2], [3, 40, 0], [4, 30, 0]]);
+    assert.deepEqual(rows.map(r => r.tradeOff), [false, true, true],
+        'two buses leave campers behind; three vs four is fewer buses against shorter rides');
+
+    // Four buses and worse on everything else → dominated by three
+    rows[2].metrics.longestRide = 45;
+    rows[2].metrics.miles += 10;
+    assert.equal(S.tradeOffs(rows)[2].tradeOff, false);
+
+    assert.equal(S.apply('s2'), true);
+    assert.equal(applied.s.fleetSize, 3);
+    assert.equal(applied.res, rows[1].result);
+    assert.equal(S.apply('nope'), false);
+});
+
+test('a failed scenario is reported and the rest still run; stop ends the grid early', async () => {
+    const err = console.error; console.error = () => {};
+    try {
+        const inner = ctx.runScenario;
+        ctx.runScenario = async s => { if (s.fleetSize === 3) throw new Error('backend timeout'); return inner(s); };
+        S.attach(ctx);
+        const rows = await S.run({ fleetSizes: [3, 4] });
+        assert.equal(rows[0].error, 'backend timeout');
+        assert.equal(rows[0].tradeOff, false);
+        assert.ok(rows[1].metrics);
+        assert.equal(S.apply('s1'), false, 'nothing to apply');
+    } finally { console.error = err; }
+
+    runs = [];
+    ctx.runScenario = async s => { runs.push(s.id); S.cancel(); return [{ routes: [routeFor(s.busIds[0], 1, 20)] }]; };
+    S.attach(ctx);
+    const rows = await S.run({ fleetSizes: [2, 3, 4] });
+    assert.deepEqual(runs, ['s1'], 'stopped after the scenario in flight');
+    assert.deepEqual(rows.map(r => !!r.metrics), [true, false, false]);
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for: campistry_go_tracking.js GoTracking — live bus fixes on
+ *            approved routes: the stop reached, re-projected ETAs, the late
+ *            flag, the route simulator, and connect() sharing one channel.
+ *
+ * Run with:  node --test tests/go_tracking.test.js
+ */
+
+'use strict';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+require('../campistry_go_tracking.js');
+const T = window.GoTracking;
+
+const CAMP = { lat: 40.0, lng: -74.0 };
+const KM_LNG = 1 / 85.4;            // ≈ 1 km of longitude at 40°N
+const at = (min) => { const d = new Date(); d.setHours(0, 0, 0, 0); return d.getTime() + Math.round(min * 60000); };
+const hhmm = (min) => String(Math.floor(min / 60)).padStart(2, '0') + ':' + String(min % 60).padStart(2, '0');
+
+// Three stops 1 km apart heading east; planned 4:05 / 4:10 / 4:15 PM.
+function route(busId, startMin) {
+    return {
+        busId: busId, busName: 'Bus ' + busId, busColor: '#123456', totalDuration: 15,
+        stops: [1, 2, 3].map(k => ({
+            stopNum: k, address: k + ' Elm St', lat: CAMP.lat, lng: CAMP.lng + k * KM_LNG,
+            campers: [{ name: 'Kid ' + k }], estimatedMin: startMin + 5 * k
+        }))
+    };
+}
+let shifts, mode;
+function wire(arrival) {
+    mode = arrival ? 'arrival' : 'dismissal';
+    T.reset();
+    T.attach({
+        getRoutes: () => shifts,
+        getSetup:  () => ({ avgSpeed: 25, avgStopTime: 2, campLat: CAMP.lat, campLng: CAMP.lng }),
+        isArrival: () => mode === 'arrival',
+        getMap:    () => null,
+        getCamp:   () => CAMP
+    });
+}
+beforeEach(() => {
+    shifts = [{ shift: { label: 'Early', departureTime: hhmm(960) }, routes: [route('b1', 960)] }];
+    wire(false);
+});
+
+test('a bus leaving camp on time projects the planned stop times', () => {
+    const st = T.ingest({ busId: 'b1', shiftIdx: 0, lat: CAMP.lat, lng: CAMP.lng, at: at(960) });
+    assert.equal(st.nextIdx, 0);
+    assert.deepEqual(st.window, { startMin: 960, endMin: 975 });
+    assert.deepEqual(st.stops.map(s => s.etaMin), [965, 970, 975], 'never earlier than planned');
+    assert.equal(st.late, false);
+    assert.deepEqual(T.stopEtas(0, 'b1').map(s => s.delayMin), [0, 0, 0]);
+});
+
+test('a bus reaching stop 1 seven minutes late is flagged and later ETAs slip', () => {
+    T.ingest({ busId: 'b1', shiftIdx: 0, lat: CAMP.lat, lng: CAMP.lng, at: at(960) });
+    const s1 = shifts[0].routes[0].stops[0];
+    const st = T.ingest({ busId: 'b1', shiftIdx: 0, lat: s1.lat, lng: s1.lng + 0.0003, at: at(972) });
+    assert.equal(st.nextIdx, 1, 'within 75 m of stop 1 — reached');
+    assert.equal(st.stops[0].reached, true);
+    // 1 km at 25 mph × 1.35 ≈ 2 min, plus the 2 min dwell.
+    assert.ok(Math.abs(st.stops[1].etaMin - 975.9) < 0.3, 'stop 2 ≈ 4:16, planned 4:10: ' + st.stops[1].etaMin);
+    assert.equal(Math.round(st.stops[2].etaMin - st.stops[1].etaMin), 5, 'planned gap kept');
+    assert.ok(st.lateMin > 5 && st.late, 'finish beyond the window + grace');
+    assert.match(T.liveHtml(0, 'b1'), /Late \+\d+ min/);
+    assert.match(T.liveHtml(0, 'b1'), /Next: stop 2 · 2 Elm St/);
+});
+
+test('passing a later stop marks the ones before it; stale and malformed fixes are ignored', () => {
+    const s2 = shifts[0].routes[0].stops[1];
+    T.ingest({ busId: 'b1', shiftIdx: 0, lat: s2.lat, lng: s2.lng, at: at(970) });
+    const old = T.ingest({ busId: 'b1', shiftIdx: 0, lat: CAMP.lat, lng: CAMP.lng, at: at(961) });
+    assert.equal(old.nextIdx, 2, 'an older fix does not move the bus back');
+    assert.equal(old.lat, s2.lat);
+    assert.deepEqual(old.stops.map(s => s.reached), [true, true, false]);
+
+    const warn = console.warn; console.warn = () => {};
+    try {
+        assert.equal(T.ingest({ busId: 'b1', lat: 'x', lng: 1 }), null);
+        assert.equal(T.ingest({ lat: 40, lng: -74 }), null);
+    } finally { console.warn = warn; }
+    assert.equal(T.ingest({ busId: 'nobody', lat: 40, lng: -74, at: at(970) }), null, 'no route for that bus');
+});
+
+test('arrival: the window ends at the shift time and the finish is the camp arrival', () => {
+    shifts = [{ shift: { label: 'AM', departureTime: hhmm(480) }, routes: [route('b1', 455)] }];
+    shifts[0].routes[0].totalDuration = 25;           // planned: 7:40 / 7:45 / 7:50, camp 8:00
+    wire(true);
+    const s3 = shifts[0].routes[0].stops[2];
+    const onTime = T.ingest({ busId: 'b1', shiftIdx: 0, lat: s3.lat, lng: s3.lng, at: at(470) });
+    assert.equal(onTime.nextIdx, null);
+    assert.deepEqual(onTime.window, { startMin: 455, endMin: 480 });
+    assert.ok(onTime.finishMin < 480 && !onTime.late && !onTime.done);
+    const home = T.ingest({ busId: 'b1', shiftIdx: 0, lat: CAMP.lat, lng: CAMP.lng, at: at(481) });
+    assert.equal(home.done, true);
+    assert.equal(home.late, false, 'one minute is inside the grace');
+    assert.match(T.liveHtml(0, 'b1'), /Done/);
+});
+
+test('without a shift index a fix goes to the bus\'s route nearest in time', () => {
+    shifts.push({ shift: { label: 'Late', departureTime: hhmm(1020) }, routes: [route('b1', 1020)] });
+    const st = T.ingest({ busId: 'b1', lat: CAMP.lat, lng: CAMP.lng, at: at(1018) });
+    assert.equal(st.shiftIdx, 1);
+    assert.equal(T.status(0, 'b1'), null);
+});
+
+test('the simulator replays the route on its plan; a late start is flagged', async () => {
+    const o = { isArrival: false, avgSpeed: 25, avgStopMin: 2, graceMin: 5, camp: CAMP };
+    const tr = T.track(shifts[0].routes[0], shifts[0].shift, o, null);
+    assert.equal(tr[0].min, 960);
+    assert.ok(tr.every((p, i) => i === 0 || p.min >= tr[i - 1].min), 'time never runs backwards');
+    const s2 = shifts[0].routes[0].stops[1];
+    assert.deepEqual(T.positionAt(tr, 969), { lat: s2.lat, lng: s2.lng }, 'dwelling at stop 2 at 4:09');
+
+    let h = T.simulate(0, 'b1', { speedup: 15000, tickMs: 2 });
+    await h.done;
+    let st = T.status(0, 'b1');
+    assert.ok(st.simulated && st.done && !st.late);
+    assert.deepEqual(st.stops.map(s => s.reached), [true, true, true]);
+
+    h = T.simulate(0, 'b1', { speedup: 15000, tickMs: 2, delayMin: 12 });
+    await h.done;
+    st = T.status(0, 'b1');
+    assert.ok(st.done && st.late, 'twelve minutes behind the plan');
+    assert.ok(Math.abs(st.lateMin - 12) < 0.5, 'late by ' + st.lateMin);
+});
+
+test('a second connect while the backfill is out shares it and opens one channel', async () => {
+    let release, channels = 0, removed = 0;
+    const backfill = new Promise(r => { release = r; });
+    const query = { select: () => query, eq: () => query, gte: () => query, order: () => query, limit: () => backfill };
+    const sub = { on: () => sub, subscribe: () => sub };
+    window.CampistryDB = { getCampId: () => 'camp-1' };
+    window.supabase = { from: () => query, channel: () => { channels++; return sub; }, removeChannel: () => { removed++; } };
+    try {
+        const a = T.connect(), b = T.connect();
+        assert.equal(a, b);
+        release({ data: [], error: null });
+        assert.deepEqual(await Promise.all([a, b]), [true, true]);
+        assert.equal(channels, 1);
+        assert.equal(await T.connect(), false, 'already connected');
+
+        T.disconnect();
+        const c = T.connect();
+        T.disconnect();
+        assert.equal(await c, false, 'a disconnect during the backfill cancels the channel');
+        assert.equal(channels, 1);
+        assert.equal(removed, 1);
+    } finally {
+        T.disconnect();
+        delete window.supabase;
+        delete window.CampistryDB;
+    }
+});
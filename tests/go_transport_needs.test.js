@@ -0,0 +1,211 @@
+/**
+ * Tests for: campistry_go_transport_needs.js GoTransportNeeds — camper
+ *            needs against bus capabilities: normalizing them, the enforce()
+ *            pass and its seat reserve, the audit, and the constraints the
+ *            Google, VROOM and Geoapify requests carry.
+ *
+ * Run with:  node --test tests/go_transport_needs.test.js
+ */
+
+'use strict';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const origLog = console.log, origWarn = console.warn;
+console.log = () => {};
+require('../campistry_go_transport_needs.js');
+require('../campistry_go_google.js');
+require('../campistry_go_geoapify.js');
+require('../campistry_go_ors_optimizer.js');
+console.log = origLog;
+const TN = window.GoTransportNeeds;
+
+const CAMP = { lat: 40.0, lng: -74.0 };
+let addresses, buses, vehicles;
+const home = (lat, lng, needs) => ({ street: lat + ' Elm St', city: 'Town', lat, lng, geocoded: true, needs });
+const stop = (lat, lng, names) => ({ stopNum: 0, address: 'Corner ' + lat, lat, lng, campers: names.map(n => ({ name: n })) });
+const route = (busId, stops) => {
+    const r = { busId, busName: 'Bus ' + busId, stops, camperCount: 0 };
+    stops.forEach((s, i) => { s.stopNum = i + 1; r.camperCount += s.campers.length; });
+    return r;
+};
+const names = r => r.stops.flatMap(s => s.campers.map(c => c.name));
+
+beforeEach(() => {
+    addresses = {
+        Ava: home(40.0100, -74.0000, { wheelchair: true }),
+        Ben: home(40.0102, -74.0000),
+        Cy:  home(40.0200, -74.0000, { door: true }),
+        Dee: home(40.0208, -74.0008),
+        Eve: home(40.0300, -74.0000, { avoid: ['Fay'] }),
+        Fay: home(40.0301, -74.0005),
+        Gus: home(40.0400, -74.0000, { aide: true }),
+        Hal: home(40.0110, -74.0010),
+        Ivy: home(40.0300, -74.0010)
+    };
+    buses = [
+        { id: 'b1', name: 'Bus b1', capacity: 10 },
+        { id: 'b2', name: 'Bus b2', capacity: 10, lift: true },
+        { id: 'b3', name: 'Bus b3', capacity: 10, carSeats: 1 }
+    ];
+    vehicles = buses.map(b => ({ busId: b.id, name: b.name, capacity: b.capacity }));
+    TN.attach({ getAddresses: () => addresses, getBuses: () => buses });
+});
+
+test('needs and capabilities normalize from the modal, the bus record and a CSV cell', () => {
+    assert.equal(TN.needsOf({ needs: { avoid: [] } }), null, 'nothing set, no needs');
+    assert.deepEqual(TN.parseNeeds('Wheelchair; door pickup; not with: Ben Cohen, Cy'), {
+        wheelchair: true, aide: false, door: true, carSeat: false, avoid: ['Ben Cohen', 'Cy']
+    });
+    assert.equal(TN.describeNeeds(TN.parseNeeds('booster seat; Aide')), 'aide; car seat');
+    assert.deepEqual(TN.capsOf(buses[1]), { lift: true, wheelchairSeats: 1, carSeats: 0, aide: false },
+        'a lift with no positions set counts one');
+    assert.deepEqual(TN.capsOf({ wheelchairSeats: 3 }).wheelchairSeats, 0, 'positions without a lift are useless');
+    assert.deepEqual(TN.vehicleIndices(stop(40.01, -74, ['Ava', 'Ben']), vehicles), [1]);
+    assert.equal(TN.vehicleIndices(stop(40.01, -74, ['Ben']), vehicles), null, 'any bus will do');
+    assert.equal(TN.constrained([stop(40.01, -74, ['Ava'])], vehicles.slice(0, 1)), false,
+        'one bus — nothing to choose, a per-bus TSP is left alone');
+});
+
+test('enforce moves riders to a bus that can carry them and splits door riders off corners', () => {
+    const r1 = route('b1', [
+        stop(40.0101, -74.0000, ['Ava', 'Ben']),
+        stop(40.0206, -74.0006, ['Cy', 'Dee']),     // a corner ~80 m from Cy's door
+        stop(40.0300, -74.0002, ['Eve', 'Fay'])
+    ]);
+    const r2 = route('b2', [stop(40.0110, -74.0010, ['Hal'])]);
+    const r3 = route('b3', [stop(40.0300, -74.0010, ['Ivy'])]);
+    const out = TN.enforce([r1, r2, r3], vehicles, { walkFt: 375 });
+
+    assert.deepEqual(out.moved.map(m => [m.name, m.from, m.to]), [['Ava', 'b1', 'b2'], ['Fay', 'b1', 'b3']]);
+    assert.ok(names(r2).includes('Ava'), 'the wheelchair rider rides the lift bus');
+    const ivyStop = r3.stops.find(s => s.campers.some(c => c.name === 'Ivy'));
+    assert.ok(ivyStop.campers.some(c => c.name === 'Fay'), 'Fay walks to Ivy\'s stop, ~40 m from home');
+    assert.ok(!names(r1).includes('Fay') && names(r1).includes('Eve'), 'Eve and Fay on different buses');
+
+    const cyStop = r1.stops.find(s => s.campers.some(c => c.name === 'Cy'));
+    assert.equal(cyStop._door, true);
+    assert.deepEqual([cyStop.lat, cyStop.lng], [40.02, -74.0], 'at Cy\'s own door');
+    assert.deepEqual(cyStop.campers.map(c => c.name), ['Cy'], 'Dee stays at the corner');
+    assert.deepEqual(r1.stops.map(s => s.stopNum), r1.stops.map((_, i) => i + 1));
+    assert.equal(r1.camperCount, 4);
+    assert.deepEqual(out.violations, []);
+});
+
+test('a need no bus can meet stays put and is reported, never dropped', () => {
+    const r1 = route('b1', [stop(40.04, -74.0, ['Gus']), stop(40.0101, -74.0, ['Ava', 'Ben'])]);
+    const r2 = route('b2', [stop(40.0110, -74.0010, ['Hal'])]);
+    addresses.Zoe = home(40.0105, -74.0, { wheelchair: true });
+    r1.stops[1].campers.push({ name: 'Zoe' });
+    const out = TN.enforce([r1, r2], vehicles.slice(0, 2), {});
+
+    assert.ok(names(r2).includes('Ava'), 'one wheelchair position, one rider moved');
+    assert.ok(names(r1).includes('Gus') && names(r1).includes('Zoe'));
+    assert.deepEqual(out.violations.map(v => [v.busId, v.kind, v.camper]).sort(), [
+        ['b1', 'aide', 'Gus'], ['b1', 'lift', 'Zoe']
+    ]);
+    assert.match(out.violations.find(v => v.kind === 'aide').msg, /Gus needs an aide — Bus b1 has no aide on board/);
+
+    // The live audit the dashboard runs after a manual edit
+    r2.stops[0].campers.push({ name: 'Zoe' });
+    assert.deepEqual(TN.audit(r2).map(i => i.kind), ['wheelchair-seats']);
+    assert.equal(TN.fits(r2, stop(40.0102, -74, ['Ava']), vehicles[1]), false);
+    addresses.Hal.needs = { avoid: ['Ben'] };
+    assert.equal(TN.fits(r2, stop(40.0102, -74, ['Ben']), vehicles[1]), false, 'Hal must not ride with Ben');
+});
+
+test('a rider is only moved onto a seat the reserve leaves free', () => {
+    const build = () => [
+        route('b1', [stop(40.0300, -74.0002, ['Eve', 'Fay'])]),
+        route('b3', [stop(40.0300, -74.0010, ['Ivy'])])
+    ];
+    const two = [{ busId: 'b1', capacity: 10 }, { busId: 'b3', capacity: 2 }];
+
+    let [r1, r3] = build();
+    assert.deepEqual(TN.enforce([r1, r3], two, { walkFt: 375 }).moved.map(m => m.name), ['Fay']);
+
+    [r1, r3] = build();
+    const out = TN.enforce([r1, r3], two, { walkFt: 375, reserveSeats: 1 });
+    assert.deepEqual(out.moved, [], 'Bus b3\'s second seat is held back');
+    assert.deepEqual(names(r3), ['Ivy']);
+    assert.deepEqual(out.violations.map(v => v.kind), ['avoid'], 'reported instead');
+});
+
+function capture(reply) {
+    const bodies = [];
+    global.fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        bodies.push(body);
+        return { ok: true, status: 200, json: async () => reply(body) };
+    };
+    return bodies;
+}
+const quiet = async fn => {
+    console.log = () => {}; console.warn = () => {};
+    try { return await fn(); } finally { console.log = origLog; console.warn = origWarn; }
+};
+
+test('VROOM: typed amounts and need skills; the lift stop lands on the lift bus', async () => {
+    // A VROOM stand-in that honours skills and every capacity dimension.
+    const bodies = capture(p => {
+        const load = p.vehicles.map(v => v.capacity.map(() => 0));
+        const steps = p.vehicles.map(() => []);
+        p.jobs.forEach(j => {
+            const k = p.vehicles.findIndex((v, vi) =>
+                (j.skills || []).every(s => (v.skills || []).includes(s)) &&
+                j.amount.every((a, d) => load[vi][d] + a <= v.capacity[d]));
+            j.amount.forEach((a, d) => { load[k][d] += a; });
+            steps[k].push({ type: 'job', id: j.id });
+        });
+        return { code: 0, unassigned: [], routes: p.vehicles.map((v, vi) => ({
+            vehicle: v.id, duration: 600, steps: [{ type: 'start' }].concat(steps[vi], [{ type: 'end' }])
+        })).filter(r => r.steps.length > 2) };
+    });
+    const stops = [stop(40.0101, -74, ['Ava', 'Ben']), stop(40.03, -74, ['Eve'])];
+    const routes = await quiet(() => window.GoOrsOptimizer.optimizeTours({
+        stops, vehicles: vehicles.slice(0, 2), campLat: CAMP.lat, campLng: CAMP.lng,
+        isArrival: false, serviceTimeSec: 120, endpoint: 'http://vroom.local/'
+    }));
+    const job = bodies[0].jobs[0];
+    assert.deepEqual(job.amount, [1, 1, 0], 'one seat, one wheelchair position');
+    assert.deepEqual(job.skills, [1], 'lift');
+    assert.deepEqual(bodies[0].vehicles.map(v => [v.capacity.slice(1), v.skills]),
+        [[[0, 0], [1000]], [[1, 0], [1001, 1]]]);
+    assert.deepEqual(routes.find(r => r.busId === 'b2').stops[0].campers.map(c => c.name), ['Ava', 'Ben']);
+
+    // No needs in the request: the one-dimensional model, unchanged
+    await quiet(() => window.GoOrsOptimizer.optimizeTours({
+        stops: [stop(40.03, -74, ['Eve'])], vehicles: vehicles.slice(0, 2),
+        campLat: CAMP.lat, campLng: CAMP.lng, isArrival: false, endpoint: 'http://vroom.local/'
+    }));
+    assert.deepEqual(bodies[1].jobs[0].amount, [1]);
+    assert.equal(bodies[1].jobs[0].skills, undefined);
+    assert.deepEqual(bodies[1].vehicles[1].capacity.length, 1);
+});
+
+test('Google and Geoapify: allowed vehicles, typed loads, requirements and capabilities', async () => {
+    const stops = [stop(40.0101, -74, ['Ava']), stop(40.03, -74, ['Eve']), stop(40.02, -74, ['Gus'])];
+    addresses.Eve.needs = { carSeat: true };
+
+    let bodies = capture(() => ({ routes: [] }));
+    await quiet(() => window.GoGoogleOptimizer.optimizeTours({
+        stops, vehicles, campLat: CAMP.lat, campLng: CAMP.lng, isArrival: true,
+        serviceTime: 120, departureTime: '08:00', googleKey: 'k', googleProjId: 'p'
+    }));
+    const sh = bodies[0].model.shipments;
+    assert.deepEqual(sh[0].allowedVehicleIndices, [1]);
+    assert.deepEqual(sh[0].loadDemands.wheelchair, { amount: '1' });
+    assert.deepEqual(sh[1].allowedVehicleIndices, [2], 'the car-seat bus');
+    assert.equal(sh[2].allowedVehicleIndices, undefined, 'no aide bus — left open, the audit reports it');
+    assert.deepEqual(bodies[0].model.vehicles.map(v => [v.loadLimits.wheelchair.maxLoad, v.loadLimits.carSeat.maxLoad]),
+        [['0', '0'], ['1', '0'], ['0', '1']]);
+
+    bodies = capture(() => ({ type: 'FeatureCollection', features: [] }));
+    await quiet(() => window.GoGeoapifyOptimizer.optimizeTours({
+        stops, vehicles, campLat: CAMP.lat, campLng: CAMP.lng, isArrival: true,
+        serviceTimeSec: 120, apiKey: 'k'
+    }));
+    assert.deepEqual(bodies[0].jobs.map(j => j.requirements), [['lift'], ['car-seat'], ['aide']]);
+    assert.deepEqual(bodies[0].agents.map(a => a.capabilities), [undefined, ['lift'], ['car-seat']]);
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for: inter_camp_fixtures.js InterCampFixtures — a fixture seen
+ *            from each camp, proposals and answers (checked against the
+ *            camp's league periods that day), scores, the cached read, and
+ *            the league engine benching a team for its game and holding the
+ *            home field.
+ *
+ * Run with:  node --test tests/inter_camp_fixtures.test.js
+ *
+ * The Supabase client is a recording fake; the engine test runs
+ * scheduler_core_leagues.js processRegularLeagues on one league.
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HOME = '11111111-1111-4111-8111-111111111111';
+const AWAY = '22222222-2222-4222-8222-222222222222';
+
+const cloud = {};
+global.localStorage = {
+    _m: {},
+    getItem(k) { return this._m[k] != null ? this._m[k] : null; },
+    setItem(k, v) { this._m[k] = String(v); },
+    removeItem(k) { delete this._m[k]; }
+};
+global.CustomEvent = function CustomEvent(type) { this.type = type; };
+global.window = {
+    loadGlobalSettings: () => ({ leagueHistory: cloud.leagueHistory }),
+    saveGlobalSettings: (k, v) => { cloud[k] = v; },
+    divisionTimes: { Juniors: [{ startMin: 780, endMin: 840 }, { startMin: 850, endMin: 910 }] },
+    addEventListener: () => {},
+    dispatchEvent: () => true
+};
+global.document = { readyState: 'complete', addEventListener: () => {} };
+
+const origLog = console.log;
+console.log = () => {};
+const IC = require('../inter_camp_fixtures.js');
+require('../scheduler_core_leagues.js');
+console.log = origLog;
+const Leagues = window.SchedulerCoreLeagues;
+
+// A fake Supabase client: records each query and answers from `rows`.
+function fakeClient(rows) {
+    const calls = [];
+    return {
+        calls,
+        from(table) {
+            const q = { table, ops: [] };
+            calls.push(q);
+            const b = {
+                select() { q.ops.push(['select']); return b; },
+                or(f) { q.ops.push(['or', f]); return b; },
+                order() { return b; },
+                eq(k, v) { q.ops.push(['eq', k, v]); return b; },
+                insert(row) { q.ops.push(['insert', row]); return b; },
+                update(patch) { q.ops.push(['update', patch]); return b; },
+                single() { q.single = true; return b; },
+                then(ok, bad) {
+                    let data;
+                    const ins = q.ops.find(o => o[0] === 'insert');
+                    const upd = q.ops.find(o => o[0] === 'update');
+                    if (ins) { data = Object.assign({ id: 'fx-' + (rows.length + 1) }, ins[1]); rows.push(data); }
+                    else if (upd) {
+                        const id = q.ops.find(o => o[0] === 'eq')[2];
+                        data = rows.find(r => r.id === id);
+                        Object.assign(data, upd[1]);
+                    } else data = rows.slice();
+                    return Promise.resolve({ data, error: null }).then(ok, bad);
+                }
+            };
+            return b;
+        }
+    };
+}
+
+function row(extra) {
+    return Object.assign({
+        id: 'fx-1', home_camp_id: HOME, away_camp_id: AWAY, proposed_by: HOME,
+        home_camp_name: 'Camp Pines', away_camp_name: 'Camp Oakwood',
+        home_league: 'Juniors League', home_team: 'T1', away_league: 'Sr Boys', away_team: 'Eagles',
+        game_date: '2026-07-09', start_min: 780, end_min: 840, sport: 'Soccer', site: 'Turf',
+        note: '', status: 'agreed', home_score: null, away_score: null, score_by: null
+    }, extra || {});
+}
+
+test('each camp sees its own team against the other camp', () => {
+    const r = row({ home_score: 3, away_score: 1, score_by: AWAY });
+    const h = IC.view(r, HOME);
+    const a = IC.view(r, AWAY);
+    assert.deepEqual([h.side, h.team, h.opponentCamp, h.opponentTeam, h.ourScore, h.theirScore, h.scoreBy],
+        ['home', 'T1', 'Camp Oakwood', 'Eagles', 3, 1, 'them']);
+    assert.deepEqual([a.side, a.league, a.team, a.opponentCamp, a.ourScore, a.theirScore, a.scoreBy],
+        ['away', 'Sr Boys', 'Eagles', 'Camp Pines', 1, 3, 'us']);
+    assert.equal(IC.view(r, '33333333-3333-4333-8333-333333333333'), null, 'a third camp sees nothing');
+
+    assert.equal(IC.lineFor(h), 'T1 — Inter-camp: Camp Oakwood Eagles @ Turf (Soccer)');
+    assert.equal(IC.lineFor(a), 'Eagles — Inter-camp at Camp Pines T1 (Soccer)');
+    assert.doesNotMatch(IC.lineFor(h), /\svs\.?\s/, 'never read as one of this camp\'s own games');
+    assert.equal(IC.lineFor(IC.view(row({ away_camp_name: '' }), HOME)), 'T1 — Inter-camp: Camp 22222222 Eagles @ Turf (Soccer)');
+});
+
+test('a proposal needs a real partner, a team, a window and — at home — a field', () => {
+    const p = { partnerCampId: AWAY, side: 'home', league: 'Juniors League', team: 'T1', date: '2026-07-09', startMin: 780, endMin: 840, sport: 'Soccer', site: 'Turf' };
+    assert.equal(IC.validateProposal(p, HOME), null);
+    assert.match(IC.validateProposal(Object.assign({}, p, { partnerCampId: 'camp oakwood' }), HOME), /other camp’s ID/);
+    assert.match(IC.validateProposal(Object.assign({}, p, { partnerCampId: HOME }), HOME), /your own camp/);
+    assert.match(IC.validateProposal(Object.assign({}, p, { endMin: 780 }), HOME), /end after it starts/);
+    assert.match(IC.validateProposal(Object.assign({}, p, { site: '' }), HOME), /field you will host on/);
+    assert.equal(IC.validateProposal(Object.assign({}, p, { side: 'away', site: '' }), HOME), null, 'the host picks the field');
+
+    const away = IC.buildRow(Object.assign({}, p, { side: 'away', site: 'Turf' }), HOME, 'Camp Pines');
+    assert.deepEqual([away.home_camp_id, away.away_camp_id, away.proposed_by, away.away_team, away.home_team, away.site, away.status],
+        [AWAY, HOME, HOME, 'T1', null, '', 'proposed']);
+    assert.equal(away.away_camp_name, 'Camp Pines');
+    assert.equal(away.home_camp_name, '', 'the other camp writes its own name');
+});
+
+test('only the invited camp answers, with its team and, when it hosts, its field', () => {
+    const invite = row({ status: 'proposed', proposed_by: AWAY, home_league: null, home_team: null, home_camp_name: '', site: '' });
+    assert.match(IC.answerPatch(invite, AWAY, true, { league: 'Sr Boys', team: 'Eagles' }).error, /not waiting on your camp/);
+    assert.match(IC.answerPatch(invite, HOME, true, { league: 'Juniors League', team: 'T1' }).error, /field you will host on/);
+    assert.deepEqual(IC.answerPatch(invite, HOME, true, { league: 'Juniors League', team: 'T1', site: 'Turf', campName: 'Camp Pines' }).patch,
+        { status: 'agreed', home_league: 'Juniors League', home_team: 'T1', home_camp_name: 'Camp Pines', site: 'Turf' });
+    assert.deepEqual(IC.answerPatch(invite, HOME, false).patch, { status: 'declined' });
+});
+
+test('a game outside every league period that day is refused at either camp', () => {
+    const FP = require('../fixture_plan.js');
+    const league = { name: 'Juniors League', divisions: ['Juniors'] };
+    const settings = { app1: {
+        skeletonAssignments: { Thursday: 'Weekday' },
+        savedSkeletons: { Weekday: [
+            { type: 'league', division: 'Juniors', startTime: '1:00pm', endTime: '2:00pm' },
+            { type: 'activity', division: 'Juniors', startTime: '10:00am', endTime: '11:00am' }
+        ] }
+    } };
+    const periods = FP.periodsOn(league, settings, '2026-07-09');
+    assert.deepEqual(periods, [{ startMin: 780, endMin: 840 }]);
+    assert.deepEqual(FP.periodsOn(league, settings, '2026-07-10'), [], 'Friday has no template');
+
+    const p = { partnerCampId: AWAY, side: 'away', league: 'Juniors League', team: 'T1', date: '2026-07-09', startMin: 600, endMin: 660, periods };
+    assert.match(IC.validateProposal(p, HOME), /league periods that day: 1:00 PM–2:00 PM/);
+    assert.equal(IC.validateProposal(Object.assign({}, p, { startMin: 810, endMin: 900 }), HOME), null, 'overlapping the period is enough');
+    assert.match(IC.validateProposal(Object.assign({}, p, { date: '2026-07-10', periods: [] }), HOME), /no league period that day/);
+    assert.equal(IC.validateProposal(Object.assign({}, p, { periods: null }), HOME), null, 'unknown periods skip the check');
+
+    const invite = row({ status: 'proposed', proposed_by: AWAY, home_league: null, home_team: null, home_camp_name: '', site: '', start_min: 600, end_min: 660 });
+    assert.match(IC.answerPatch(invite, HOME, true, { league: 'Juniors League', team: 'T1', site: 'Turf', periods }).error, /league periods that day/);
+    assert.equal(IC.answerPatch(row({ status: 'proposed', proposed_by: AWAY }), HOME, true,
+        { league: 'Juniors League', team: 'T1', site: 'Turf', periods }).patch.status, 'agreed');
+});
+
+test('scores land on the right side, and the record counts scored games', () => {
+    assert.deepEqual(IC.scorePatch(row(), AWAY, '4', 2), { home_score: 2, away_score: 4 });
+    assert.deepEqual(IC.scorePatch(row(), HOME, '', 2), { home_score: null, away_score: 2 });
+    const views = [
+        row({ id: 'a', home_score: 3, away_score: 1 }),
+        row({ id: 'b', home_score: 0, away_score: 2 }),
+        row({ id: 'c', home_score: 2, away_score: 2, home_team: 'T2' }),
+        row({ id: 'd' }),
+        row({ id: 'e', status: 'cancelled', home_score: 9, away_score: 0 })
+    ].map(r => IC.view(r, HOME));
+    assert.deepEqual(IC.recordFor(views, 'juniors league'), [{ team: 'T1', w: 1, l: 1, t: 0 }, { team: 'T2', w: 0, l: 0, t: 1 }]);
+    assert.deepEqual(IC.forPeriod(views, 'Juniors League', 800, 850).map(v => v.id), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(IC.forPeriod(views, 'Juniors League', 840, 900), [], 'touching windows do not overlap');
+});
+
+test('proposals go to the table and the engine reads the cache', async () => {
+    const rows = [row({ id: 'fx-0', status: 'agreed' })];
+    const client = fakeClient(rows);
+    window.CampistryDB = { getClient: () => client, getCampId: () => HOME };
+    try {
+        await IC.refresh();
+        assert.deepEqual(client.calls[0].ops.find(o => o[0] === 'or'), ['or', `home_camp_id.eq.${HOME},away_camp_id.eq.${HOME}`]);
+        assert.deepEqual(IC.agreedOn('2026-07-09').map(v => v.id), ['fx-0']);
+
+        const res = await IC.propose({ partnerCampId: AWAY, side: 'away', league: 'Juniors League', team: 'T3', date: '2026-07-10', startMin: 600, endMin: 660, sport: 'Hockey' });
+        assert.equal(res.success, true);
+        assert.equal(client.calls[1].ops[0][1].proposed_by, HOME);
+        assert.deepEqual(IC.views().map(v => [v.id, v.status]), [['fx-0', 'agreed'], ['fx-2', 'proposed']]);
+        assert.deepEqual(IC.agreedOn('2026-07-10'), [], 'a proposal is not a fixture yet');
+
+        const scored = await IC.saveScore('fx-0', 5, 2);
+        assert.equal(scored.success, true);
+        assert.deepEqual([rows[0].home_score, rows[0].away_score], [5, 2]);
+
+        assert.match((await IC.propose({ partnerCampId: AWAY, side: 'home' })).error, /Pick your team/);
+        window.AccessControl = { canEdit: () => false };
+        assert.match((await IC.cancel('fx-0')).error, /role/);
+    } finally {
+        delete window.AccessControl;
+        delete window.CampistryDB;
+    }
+});
+
+// -----------------------------------------------------------------------------
+// The engine plays around it
+// -----------------------------------------------------------------------------
+const DAY = '2026-07-09';
+const LG = 'Juniors League';
+
+test('a team playing another camp sits out the period, and the home field stays free', async () => {
+    localStorage._m = {};
+    const client = fakeClient([
+        row({ id: 'h', start_min: 790, end_min: 830 }),                                            // T1 hosts on Turf, period 1
+        row({ id: 'a', home_camp_id: AWAY, away_camp_id: HOME, proposed_by: AWAY, away_league: LG, away_team: 'T2',
+              home_league: 'Sr', home_team: 'Hawks', home_camp_name: 'Camp Oakwood', site: 'Oak Field', start_min: 850, end_min: 910 }),
+        row({ id: 'p', status: 'proposed', home_team: 'T3' })                                      // not agreed — T3 plays as usual
+    ]);
+    window.CampistryDB = { getCampId: () => HOME, getClient: () => client };
+    await IC.refresh();
+    window.CampistryDB.getClient = () => null;
+    assert.ok(JSON.parse(localStorage.getItem('campistry_interCampFixtures_' + HOME)).length === 3, 'kept for offline generation');
+    cloud.leagueHistory = undefined;
+    window.currentScheduleDate = DAY;
+    const blocks = [0, 1].map(i => ({
+        type: 'league', event: 'League Time', divName: 'Juniors', leagueName: LG,
+        startTime: window.divisionTimes.Juniors[i].startMin,
+        endTime: window.divisionTimes.Juniors[i].endMin,
+        slots: [i]
+    }));
+    const picks = [];
+    const fieldUsageBySlot = {};
+    console.log = () => {};
+    try {
+        Leagues.processRegularLeagues({
+            schedulableSlotBlocks: blocks,
+            masterLeagues: {
+                [LG]: { name: LG, enabled: true, divisions: ['Juniors'], teams: ['T1', 'T2', 'T3', 'T4', 'T5'], sports: ['Soccer'], schedulingPriority: 'sport_variety' }
+            },
+            disabledLeagues: [],
+            divisions: { Juniors: { bunks: ['J1', 'J2'], startTime: '10:50 AM', endTime: '3:45 PM' } },
+            fillBlock: function (block, pick) { picks.push(pick); },
+            fieldUsageBySlot,
+            activityProperties: {},
+            rotationHistory: {},
+            fields: [{ name: 'Turf', activities: ['Soccer'] }, { name: 'Turf 2', activities: ['Soccer'] }],
+            disabledFields: []
+        });
+    } finally {
+        console.log = origLog;
+        delete window.CampistryDB;
+    }
+    const log = cloud.leagueHistory.gameLog[LG][DAY];
+    const game1 = log.filter(e => e.g === 'Game 1');
+    const game2 = log.filter(e => e.g === 'Game 2');
+    assert.ok(game1.every(e => e.t1 !== 'T1' && e.t2 !== 'T1'), 'T1 is at its home game');
+    assert.ok(game2.every(e => e.t1 !== 'T2' && e.t2 !== 'T2'), 'T2 is away');
+    assert.deepEqual(picks[0]._allMatchups.filter(l => / vs /.test(l)), ['T2 vs T3 @ Turf 2 (Soccer)'],
+        'Turf is held for the home game, so one game fits beside it');
+    assert.ok(picks[0]._allMatchups.includes('T1 — Inter-camp: Camp Oakwood Eagles @ Turf (Soccer)'));
+    assert.ok(picks[1]._allMatchups.includes('T2 — Inter-camp at Camp Oakwood Hawks (Soccer)'));
+    assert.equal(fieldUsageBySlot[0].Turf.count, 999, 'the home field is held for the game');
+});
@@ -542,3 +542,50 @@ test('the ledger check is skipped for a date range it cannot be compared against
         assert.ok(!codes(L).includes('ledger-match'));
     } finally { global.window = prev; }
 });
+
+// ── mid-season roster changes ────────────────────────────────────────────────
+
+test('a joiner is measured with its credit and a team that left is out of the spread', () => {
+    // Five days of T1–T5, one bye each. T4 then leaves and T6 joins, credited
+    // with the one bye everybody already has; T1 and T2 sit the next two days.
+    const p5 = (label, bye, games) => period(label, games, [[bye, 'Pool']]);
+    const spec = {
+        '2026-07-01': [p5('Game 1', 'T1', [['T2', 'T3'], ['T4', 'T5']])],
+        '2026-07-02': [p5('Game 2', 'T2', [['T1', 'T3'], ['T4', 'T5']])],
+        '2026-07-03': [p5('Game 3', 'T3', [['T1', 'T2'], ['T4', 'T5']])],
+        '2026-07-06': [p5('Game 4', 'T4', [['T1', 'T5'], ['T2', 'T3']])],
+        '2026-07-07': [p5('Game 5', 'T5', [['T1', 'T4'], ['T2', 'T3']])],
+        '2026-07-08': [p5('Game 6', 'T1', [['T2', 'T6'], ['T3', 'T5']])],
+        '2026-07-09': [p5('Game 7', 'T2', [['T1', 'T6'], ['T3', 'T5']])]
+    };
+    const history = historyFor(spec);
+    history.rosterChanges = { [LG]: [
+        { id: 'rc1', date: '2026-07-08', kind: 'drop', team: 'T4', at: 1 },
+        { id: 'rc2', date: '2026-07-08', kind: 'join', team: 'T6', mode: 'level', credit: 1, at: 2 }
+    ] };
+    const leagues = [{ name: LG, teams: ['T1', 'T2', 'T3', 'T5', 'T6'] }];
+    const prev = global.window;
+    global.window = { LeagueRestructure: require('../league_restructure.js') };
+    try {
+        const L = A.build({ history, dailyData: dailyData(spec), leagues }).leagues[0];
+        assert.equal(L.byTeam.T4.left, '2026-07-08');
+        assert.equal(L.byTeam.T6.joined, '2026-07-08');
+        assert.equal(L.byTeam.T6.credit, 1);
+        assert.equal(L.spread, 1, JSON.stringify(L.findings));
+        assert.ok(find(L, 'bye-spread') && find(L, 'bye-spread').level === 'ok');
+        const f = find(L, 'roster-change');
+        assert.match(f.message, /T4 left on 2026-07-08/);
+        assert.match(f.message, /T6 joined on 2026-07-08 \(counted with 1 bye credit\)/);
+        assert.ok(!codes(L).includes('history-drift'), 'history does not count T6 as benched before it joined: '
+            + JSON.stringify(L.findings));
+
+        // A range that starts after the join needs no credit.
+        const late = A.build({ history, dailyData: dailyData(spec), leagues, from: '2026-07-08' }).leagues[0];
+        assert.equal(late.byTeam.T6.credit, 0);
+    } finally { global.window = prev; }
+
+    // Without the record, the same grid reads as T6 never having been benched.
+    const bare = A.build({ history: historyFor(spec), dailyData: dailyData(spec), leagues }).leagues[0];
+    assert.equal(bare.spread, 2);
+    assert.ok(codes(bare).includes('history-drift'));
+});
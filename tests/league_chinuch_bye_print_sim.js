@@ -46,7 +46,7 @@ function extract(name) {
 
 const fns = ['pcParseMatchup', 'pcFormatMatchupLine', 'pcInfoLineText',
              'pcInfoLineTeam', 'buildLeagueMatchups', 'pcLeagueInfoAt',
-             'pcLeagueSlotRecord', 'pcLeagueLabel'];
+             'pcLeagueSlotRecord', 'pcLeagueLabel', 'pcOfficialsSuffix'];
 
 const sandbox = {
     window: { leagueAssignments: {}, lastLeagueMatchups: null },
@@ -0,0 +1,165 @@
+/**
+ * Tests for: league_field_forecast.js LeagueFieldForecast — league days
+ *            simulated ahead: fixed claims and specialty courts taken first,
+ *            rain and closures removing courts, and the alternate time or
+ *            court offered for each clash found.
+ *
+ * Run with:  node --test tests/league_field_forecast.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.localStorage = {
+    _m: {},
+    getItem(k) { return this._m[k] != null ? this._m[k] : null; },
+    setItem(k, v) { this._m[k] = String(v); },
+    removeItem(k) { delete this._m[k]; }
+};
+global.window = {};
+const LFF = require('../league_field_forecast.js');
+
+const DATE = '2026-07-20';
+
+function camp(over) {
+    return Object.assign({
+        fields: [
+            { name: 'Court 1', activities: ['Basketball'] },
+            { name: 'Court 2', activities: ['Basketball'] },
+            { name: 'Court 3', activities: ['Basketball'] },
+            { name: 'Gym', activities: ['Basketball'], isIndoor: true },
+            { name: 'Field A', activities: ['Soccer'] },
+            { name: 'Field B', activities: ['Soccer'] }
+        ],
+        specialActivities: [],
+        specialtyLeagues: {
+            hoops: { id: 'hoops', name: 'Hoops', divisions: ['Juniors', 'Seniors'], sport: 'Basketball',
+                fields: ['Court 1', 'Court 2'], teams: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'], enabled: true, gamesPerFieldSlot: 2 }
+        },
+        leagues: {
+            Inter: { divisions: ['Inter'], sports: ['Basketball'], teams: ['R', 'S', 'T', 'U'], enabled: true }
+        },
+        divisions: { Juniors: { bunks: ['J1'] }, Seniors: { bunks: ['S1'] }, Inter: { bunks: ['I1'] } }
+    }, over || {});
+}
+function tile(division, type, event, start, end, extra) {
+    return Object.assign({ division, type, event, startTime: start, endTime: end }, extra || {});
+}
+
+test('a grade\'s pin on a league court leaves the league short, with an alternate court', () => {
+    const res = LFF.forecast(camp({ days: [{ date: DATE, skeleton: [
+        tile('Juniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am'),
+        tile('Inter', 'pinned', 'Assembly', '10:00am', '11:00am', { reservedFields: ['Court 2'] })
+    ] }] }));
+    const f = res.findings;
+    assert.equal(f.length, 1);
+    assert.equal(f[0].type, 'short');
+    assert.equal(f[0].league, 'Hoops');
+    assert.equal(f[0].need, 2, 'four games, two to a court');
+    assert.equal(f[0].got, 1);
+    assert.deepEqual(f[0].blockers, [{ field: 'Court 2', reason: 'reserved by Assembly (Inter) 10:00am–11:00am' }]);
+    assert.equal(f[0].suggestions[0].kind, 'field');
+    assert.deepEqual(f[0].suggestions[0].fields, ['Court 3']);
+    assert.deepEqual(res.days[0].games[0].fields, ['Court 1']);
+});
+
+test('the league\'s own grade keeps its reservation; a shared game claims once', () => {
+    const res = LFF.forecast(camp({ days: [{ date: DATE, skeleton: [
+        tile('Juniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am'),
+        tile('Seniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am'),
+        tile('Juniors', 'pinned', 'Warm-up', '9:30am', '10:15am', { reservedFields: ['Court 1'] })
+    ] }] }));
+    assert.deepEqual(res.findings, []);
+    assert.equal(res.days[0].games.length, 1);
+    assert.deepEqual(res.days[0].games[0].divisions, ['Juniors', 'Seniors']);
+    assert.deepEqual(res.days[0].games[0].fields, ['Court 1', 'Court 2']);
+});
+
+test('a specialty league that takes a regular league\'s courts is named, with a free slot to move to', () => {
+    const base = camp();
+    base.specialtyLeagues.hoops.fields = ['Court 1', 'Court 2', 'Court 3', 'Gym'];
+    base.specialtyLeagues.hoops.gamesPerFieldSlot = 1;
+    const res = LFF.forecast(Object.assign(base, { days: [{ date: DATE, skeleton: [
+        tile('Juniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am'),
+        tile('Juniors', 'slot', 'General Activity Slot', '1:00pm', '1:45pm'),
+        tile('Inter', 'league', 'League Game', '10:00am', '10:45am')
+    ] }] }));
+    const f = res.findings;
+    assert.equal(f.length, 1);
+    assert.equal(f[0].type, 'pushes-out');
+    assert.equal(f[0].league, 'Hoops');
+    assert.equal(f[0].victim, 'Inter');
+    assert.deepEqual(f[0].fields, ['Court 1', 'Court 2', 'Court 3', 'Gym']);
+    assert.match(f[0].text, /Inter \(Inter\) is left with 0 of 2 field/);
+    assert.equal(f[0].suggestions.length, 1);
+    assert.equal(f[0].suggestions[0].kind, 'time');
+    assert.equal(f[0].suggestions[0].startMin, 13 * 60);
+
+    const focused = LFF.forecast(Object.assign(camp(), { focus: 'Inter', days: [{ date: DATE, skeleton: [
+        tile('Inter', 'league', 'League Game', '10:00am', '10:45am')
+    ] }] }));
+    assert.deepEqual(focused.findings, []);
+    assert.equal(focused.days[0].games[0].league, 'Inter');
+});
+
+test('rain, a disabled court, a special room and a forced bunk activity all take courts out', () => {
+    const base = camp({ specialActivities: [{ name: 'Clinic', location: 'Court 3' }] });
+    base.specialtyLeagues.hoops.fields = ['Court 1', 'Court 2', 'Court 3', 'Gym'];
+    const res = LFF.forecast(Object.assign(base, { days: [{
+        date: DATE, rainy: true, disabledFields: ['Gym'],
+        overrides: [{ bunk: 'I1', startMin: 600, endMin: 630, activity: 'Makeup', location: 'Court 1', overrideMode: 'force' }],
+        skeleton: [tile('Juniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am')]
+    }] }));
+    const f = res.findings[0];
+    assert.equal(f.type, 'no-field');
+    const why = Object.fromEntries(f.blockers.map(b => [b.field, b.reason]));
+    assert.equal(why['Court 1'], 'outdoors on a rainy day');
+    assert.equal(why['Court 3'], 'special-activity room');
+    assert.equal(why.Gym, 'disabled for the day');
+
+    const dry = LFF.forecast(Object.assign(camp(), { days: [{
+        date: DATE,
+        overrides: [{ bunk: 'I1', startMin: 600, endMin: 630, activity: 'Makeup', location: 'Court 1', overrideMode: 'force' }],
+        skeleton: [tile('Juniors', 'specialty_league', 'Specialty League', '10:00am', '10:45am')]
+    }] }));
+    assert.equal(dry.findings[0].blockers[0].reason, 'reserved by Makeup for I1 (Inter) 10:00am–10:30am');
+});
+
+test('an auto-mode league window slides past a clash before reporting one', () => {
+    const res = LFF.forecast(camp({ days: [{ date: DATE, autoLayers: {
+        Juniors: [{ type: 'specialty_league', event: 'Specialty League', startMin: 600, endMin: 720, periodMin: 45 }],
+        Inter: [{ type: 'pinned', event: 'Assembly', startMin: 600, endMin: 660, reservedFields: ['Court 2'] }]
+    } }] }));
+    assert.deepEqual(res.findings, []);
+    assert.equal(res.days[0].games[0].startMin, 660);
+    assert.equal(res.days[0].games[0].endMin, 705);
+});
+
+test('upcoming dates skip non-camp days and days without a league', () => {
+    const dates = LFF.upcomingDates('2026-07-17', 3, d => d !== '2026-07-20');
+    assert.deepEqual(dates, ['2026-07-17', '2026-07-19', '2026-07-21'], 'Saturday off; Monday has no league');
+});
+
+test('a day reads its skeleton the way Daily Adjustments does', () => {
+    const app1 = {
+        dailySkeletons: { [DATE]: [tile('Juniors', 'league', 'League Game', '9:00am', '9:45am')] },
+        dailySkeletonsTs: { [DATE]: '2026-07-19T10:00:00Z' },
+        skeletonAssignments: { Monday: 'Mon' },
+        savedSkeletons: { Mon: [tile('Juniors', 'slot', 'Activity', '9:00am', '9:45am')] },
+        dailyBunkOverridesByDate: { [DATE]: { v: [{ bunk: 'J1', overrideMode: 'force' }], t: 1 } }
+    };
+    window.loadGlobalSettings = () => ({ app1 });
+    localStorage.setItem('campManualSkeleton_' + DATE, JSON.stringify([tile('Juniors', 'pinned', 'Local', '9:00am', '9:45am')]));
+    localStorage.setItem('campManualSkeleton_ts_' + DATE, '2026-07-18T10:00:00Z');
+    try {
+        assert.equal(LFF.dayFor(DATE).skeleton[0].event, 'League Game', 'the newer cloud copy wins');
+        localStorage.setItem('campManualSkeleton_ts_' + DATE, '2026-07-19T11:00:00Z');
+        assert.equal(LFF.dayFor(DATE).skeleton[0].event, 'Local');
+        assert.equal(LFF.dayFor(DATE).overrides.length, 1);
+        assert.equal(LFF.dayFor('2026-07-27').skeleton[0].event, 'Activity', 'no saved day: the Monday template');
+    } finally {
+        delete window.loadGlobalSettings;
+        localStorage._m = {};
+    }
+});
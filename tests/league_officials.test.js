@@ -0,0 +1,122 @@
+/**
+ * Tests for: league_officials.js LeagueOfficials — the day's league games
+ *            read from the league slots, and the referee / scorekeeper pass:
+ *            sport qualification, bunk and own-game conflicts, staff duties,
+ *            season balance and hand picks.
+ *
+ * Run with:  node --test tests/league_officials.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.localStorage = {
+    _m: {},
+    getItem(k) { return this._m[k] != null ? this._m[k] : null; },
+    setItem(k, v) { this._m[k] = String(v); },
+    removeItem(k) { delete this._m[k]; }
+};
+global.window = {};
+const O = require('../league_officials.js');
+
+const DATE = '2026-07-15'; // a Wednesday
+const TIMES = { Juniors: [{ startMin: 600, endMin: 645 }, { startMin: 660, endMin: 705 }] };
+
+function game(leagueName, startMin, teamA, teamB, sport) {
+    return { key: O.gameKey(leagueName, startMin, teamA, teamB), leagueName, startMin, endMin: startMin + 45,
+        teamA, teamB, sport, field: 'Turf', divisions: ['Juniors'] };
+}
+const names = (plan, key, role) => plan.assignments[key][role];
+
+test('games come from the league slots, once each, without byes or placeholders', () => {
+    const games = O.collectGames({
+        Juniors: {
+            0: { leagueName: 'Juniors League', sport: 'Soccer', gameLabel: 'Game 3',
+                matchups: ['Lions vs Tigers @ Turf (Soccer)', 'Bears — Bye', 'Hawks vs Owls @ Rink (Hockey)'] },
+            660: { leagueName: 'Cup', sport: 'Hockey',
+                matchups: [{ teamA: 'Red', teamB: 'Blue', field: 'Rink' }, 'TBD vs TBD @ Open (Hockey)'] }
+        },
+        Seniors: {
+            2: { leagueName: 'Cup', sport: 'Hockey', _startMin: 660, _endMin: 705,
+                matchups: [{ teamA: 'Blue', teamB: 'Red', field: 'Rink' }] }
+        }
+    }, TIMES);
+    assert.deepEqual(games.map(g => [g.startMin, g.endMin, g.teamA, g.teamB, g.sport, g.field]), [
+        [600, 645, 'Hawks', 'Owls', 'Hockey', 'Rink'],
+        [600, 645, 'Lions', 'Tigers', 'Soccer', 'Turf'],
+        [660, 705, 'Red', 'Blue', 'Hockey', 'Rink']
+    ]);
+    assert.deepEqual(games[2].divisions, ['Juniors', 'Seniors'], 'a connected game is one game');
+    assert.equal(O.gameKey('Cup', 660, 'Blue', 'Red'), games[2].key);
+});
+
+test('referees need the sport; nobody is pulled from their bunk or plays and referees at once', () => {
+    const soccer = game('Seniors', 600, 'Lions', 'Tigers', 'Soccer');
+    const hockey = game('Seniors', 660, 'Bears', 'Hawks', 'Hockey');
+    const pool = [
+        { name: 'Ava', kind: 'camper', roles: ['referee'], sports: ['Soccer'], team: { league: 'Seniors', name: 'Lions' } },
+        { name: 'Ben', kind: 'camper', roles: ['referee'], sports: ['Soccer', 'Hockey'], bunk: '8A' },
+        { name: 'Cal', roles: ['referee'], sports: ['Hockey'] },
+        { name: 'Dee', roles: ['scorekeeper'], bunk: '8B' }
+    ];
+    const bunkBusy = O.bunkBusy({
+        '8A': [{ field: 'Art Room', _activity: 'Arts & Crafts', _startMin: 600, _endMin: 645 }, { field: 'Free', _startMin: 660, _endMin: 705 }],
+        '8B': [{ field: 'Canteen', _activity: 'Canteen', _startMin: 600, _endMin: 645 }]
+    }, { releaseFrom: ['Canteen'] });
+    const plan = O.planDay({ dateKey: DATE, games: [soccer, hockey], pool, bunkBusy, rules: { referees: 1, scorekeepers: 1 } });
+
+    assert.deepEqual(names(plan, soccer.key, 'referee'), [], 'Ava plays in it, Ben is at Arts & Crafts, Cal has no soccer');
+    assert.deepEqual(names(plan, hockey.key, 'referee'), ['Ben'], 'Ben\'s bunk is on Free by then');
+    assert.deepEqual(names(plan, soccer.key, 'scorekeeper'), ['Dee'], 'Canteen releases Dee');
+    assert.deepEqual(names(plan, hockey.key, 'scorekeeper'), ['Dee']);
+    assert.deepEqual(plan.uncovered.map(u => [u.teamA, u.role]), [['Lions', 'referee']]);
+});
+
+test('the season load decides who works, and nobody works two games at once', () => {
+    const g1 = game('L', 600, 'A', 'B', 'Soccer');
+    const g2 = game('L', 600, 'C', 'D', 'Soccer');
+    const g3 = game('L', 660, 'A', 'C', 'Soccer');
+    const pool = ['Kim', 'Lee', 'Max'].map(name => ({ name, roles: ['referee'] }));
+    const plan = O.planDay({ dateKey: DATE, games: [g1, g2, g3], pool, rules: { scorekeepers: 0 }, priorLoad: { Kim: 4, Lee: 1, Max: 0 } });
+    assert.deepEqual([g1, g2, g3].map(g => names(plan, g.key, 'referee')[0]), ['Max', 'Lee', 'Max']);
+    assert.deepEqual(plan.officials.map(o => [o.name, o.today, o.season]), [['Kim', 0, 4], ['Lee', 1, 2], ['Max', 2, 2]]);
+
+    const capped = O.planDay({ dateKey: DATE, games: [g1, g2], pool: [{ name: 'Kim', roles: ['referee'] }], rules: { scorekeepers: 0 } });
+    assert.equal(capped.uncovered.length, 1);
+    assert.equal(capped.uncovered[0].reason, 'everyone who could is on another game');
+});
+
+test('staff on the roster keep their hours and their swim duty', () => {
+    const g = game('L', 600, 'A', 'B', 'Soccer');
+    const late = game('L', 960, 'C', 'D', 'Soccer');
+    const roster = [{ name: 'Dana', availability: [{ start: '9:00am', end: '3:00pm' }], daysOff: ['Thu'] }];
+    const pool = [{ name: 'Dana', roles: ['referee'] }, { name: 'Eli', roles: ['referee'] }];
+    const plan = O.planDay({ dateKey: DATE, games: [g, late], pool, roster, rules: { scorekeepers: 0 },
+        staffBusy: { Dana: [{ startMin: 600, endMin: 645, activity: 'Swim' }] }, priorLoad: { Eli: 5 } });
+    assert.deepEqual(names(plan, g.key, 'referee'), ['Eli'], 'Dana is guarding the swim');
+    assert.deepEqual(names(plan, late.key, 'referee'), ['Eli'], 'Dana is off at 3:00');
+    const c = O.candidatesFor({ dateKey: '2026-07-16', games: [g], pool, roster }, g.key, 'referee');
+    assert.deepEqual(c.map(x => [x.name, x.why]), [['Dana', 'day off'], ['Eli', '']]);
+});
+
+test('a hand pick is kept, the season count reads it, and it follows a team change', () => {
+    const g = game('L', 600, 'A', 'B', 'Soccer');
+    const pool = [{ name: 'Kim', roles: ['referee'] }, { name: 'Lee', roles: ['referee'] }];
+    const plan = O.planDay({ dateKey: DATE, games: [g], pool, rules: { scorekeepers: 0 }, keep: { [g.key]: { referee: ['Lee'] } }, priorLoad: { Lee: 9 } });
+    assert.deepEqual(names(plan, g.key, 'referee'), ['Lee']);
+
+    localStorage.setItem('campDailyData_v1', JSON.stringify({
+        '2026-07-14': { leagueOfficials: { assignments: { x: { referee: ['Kim'], scorekeeper: ['Lee'] }, y: { referee: ['Kim'] } } } },
+        [DATE]: { leagueOfficials: { games: plan.games, assignments: plan.assignments, manual: {}, uncovered: [] } }
+    }));
+    assert.deepEqual(O.seasonLoad(JSON.parse(localStorage.getItem('campDailyData_v1')), DATE), { Kim: 2, Lee: 1 });
+
+    assert.equal(O.setOfficials(DATE, g.key, 'referee', ['Kim']), true);
+    assert.equal(O.renameGame(DATE, 'L', 600, 'A', 'B', 'A', 'C'), true);
+    assert.deepEqual(O.officialsFor(DATE, 'L', 600, 'C', 'A').map(x => [x.role, x.id]), [['referee', 'Kim']]);
+    assert.deepEqual(O.forDay(DATE).manual, { [O.gameKey('L', 600, 'A', 'C')]: { referee: true } });
+    assert.equal(window.leagueOfficialAssignments.date, DATE, 'the cloud save carries the day, stamped with its date');
+    assert.deepEqual(window.leagueOfficialAssignments.manual, O.forDay(DATE).manual);
+    assert.equal(O.labelFor(DATE, 'L', 605, 'A', 'C'), 'Ref: Kim', 'a drifted start time still finds the one game');
+});
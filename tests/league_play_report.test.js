@@ -148,3 +148,17 @@ test('renderMiniBody / renderMiniCard — never throw without a DOM', () => {
   const card = LPR.renderMiniCard('Nonexistent League', 'regular');
   assert.strictEqual(typeof card, 'string');
 });
+
+test('buildData — roster changes recorded by a mid-season restructure come back in date order', () => {
+  const h = regularHistory();
+  h.rosterChanges = { 'Junior League': [
+    { id: 'b', date: '2026-07-06', kind: 'drop', team: 'Wolves', at: 2 },
+    { id: 'a', date: '2026-07-05', kind: 'join', team: 'Bears', credit: 2, at: 1 }
+  ] };
+  const d = LPR.buildData(REGULAR_CFG, 'regular', h);
+  assert.deepStrictEqual(d.roster, [
+    { date: '2026-07-05', kind: 'join', team: 'Bears', credit: 2 },
+    { date: '2026-07-06', kind: 'drop', team: 'Wolves', credit: 0 }
+  ]);
+  assert.deepStrictEqual(LPR.buildData(REGULAR_CFG, 'regular', regularHistory()).roster, []);
+});
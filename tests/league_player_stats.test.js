@@ -0,0 +1,141 @@
+/**
+ * Tests for: league_player_stats.js LeaguePlayerStats — per-sport stat
+ *            categories, rosters from the Me roster, per-game stat lines and
+ *            tombstones, season leaderboards, and the per-game cloud merge.
+ *
+ * Run with:  node --test tests/league_player_stats.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cloud = {};
+global.window = {
+    loadGlobalSettings: () => cloud,
+    saveGlobalSettings: (k, v) => { cloud[k] = v; }
+};
+const S = require('../league_player_stats.js');
+
+const ROSTER = {
+    'Ava Stone':  { bunk: '8A', teams: { Seniors: 'Lions', Cup: 'Red' } },
+    'Ben Cohen':  { bunk: '8A', teams: { seniors: 'Lions' } },
+    'Cal Rivera': { bunk: '8B', teams: { Seniors: 'Tigers' } },
+    'Dee Park':   { bunk: '8B', team: 'Tigers' },
+    'Eli Gold':   { bunk: '8C', teams: { Cup: 'Tigers' } }
+};
+
+function played(data, date, label, sport, lines, at) {
+    return S.recordGame(data, 'Seniors', { date, game: label, sport, teamA: 'Lions', teamB: 'Tigers' }, lines, at);
+}
+
+test('categories follow the sport, and the camp can set its own', () => {
+    const data = S.load();
+    assert.deepEqual(S.categoriesFor(data, 'basketball'), ['Points', 'Rebounds', 'Assists']);
+    assert.deepEqual(S.categoriesFor(data, 'Gaga'), ['Points'], 'an unknown sport still counts points');
+    S.setCategories(data, 'Gaga', [' Outs ', 'Wins', 'outs', '']);
+    assert.deepEqual(S.categoriesFor(data, 'Gaga'), ['Outs', 'Wins']);
+    S.setCategories(data, 'Gaga', []);
+    assert.deepEqual(S.categoriesFor(data, 'Gaga'), ['Points'], 'clearing the list goes back to the default');
+});
+
+test('a team\'s players are the campers Me puts on it for that league', () => {
+    assert.deepEqual(S.rosterFor(ROSTER, 'Seniors', 'Lions'), ['Ava Stone', 'Ben Cohen']);
+    assert.deepEqual(S.rosterFor(ROSTER, 'Seniors', 'Tigers'), ['Cal Rivera', 'Dee Park'],
+        'the legacy single team counts when a camper has no per-league teams');
+    assert.deepEqual(S.rosterFor(ROSTER, 'Cup', 'Tigers'), ['Dee Park', 'Eli Gold'],
+        'a legacy team is good for any league, as in the Camper Locator');
+    assert.deepEqual(S.rosterFor(ROSTER, 'Cup', 'Lions'), [], 'Ava and Ben have no Cup team of that name');
+    assert.equal(S.currentTeam(ROSTER, 'Cup', 'Ava Stone'), 'Red');
+});
+
+test('a game keeps only real numbers, and an emptied game is a tombstone', () => {
+    const data = S.load();
+    const g = played(data, '2026-07-06', 'Game 1', 'Soccer', {
+        'Ava Stone': { team: 'Lions', stats: { Goals: 2, Assists: 0 } },
+        'Ben Cohen': { team: 'Lions', stats: { Goals: '' } },
+        'Cal Rivera': { team: 'Tigers', stats: { Saves: 5 } }
+    }, 100);
+    assert.deepEqual(g.lines, {
+        'Ava Stone': { team: 'Lions', stats: { Goals: 2 } },
+        'Cal Rivera': { team: 'Tigers', stats: { Saves: 5 } }
+    });
+    assert.ok(S.gameFor(data, 'Seniors', '2026-07-06', 'Game 1', 'Tigers', 'Lions'), 'either team order finds it');
+
+    played(data, '2026-07-06', 'Game 1', 'Soccer', { 'Ava Stone': { team: 'Lions', stats: { Goals: 0 } } }, 200);
+    assert.equal(S.gameFor(data, 'Seniors', '2026-07-06', 'Game 1', 'Lions', 'Tigers'), null);
+    assert.equal(data.games.Seniors[S.gameId('2026-07-06', 'Game 1', 'Lions', 'Tigers')].deleted, true);
+});
+
+test('leaderboards total the season per league and sport', () => {
+    const data = S.load();
+    played(data, '2026-07-06', 'Game 1', 'Soccer', {
+        'Ava Stone': { team: 'Lions', stats: { Goals: 2 } },
+        'Cal Rivera': { team: 'Tigers', stats: { Goals: 2, Assists: 1 } }
+    });
+    played(data, '2026-07-07', 'Game 2', 'Soccer', {
+        'Ava Stone': { team: 'Lions', stats: { Goals: 1 } },
+        'Cal Rivera': { team: 'Tigers', stats: { Assists: 2 } },
+        'Dee Park': { team: 'Tigers', stats: { Goals: 3 } }
+    });
+    played(data, '2026-07-08', 'Game 3', 'Basketball', { 'Ben Cohen': { team: 'Lions', stats: { Points: 12 } } });
+    S.recordGame(data, 'Cup', { date: '2026-07-08', game: 'Game 1', sport: 'Soccer', teamA: 'Red', teamB: 'Tigers' },
+        { 'Eli Gold': { team: 'Tigers', stats: { Goals: 9 } } });
+
+    const goals = S.leaderboard(data, { league: 'Seniors', sport: 'Soccer', category: 'Goals' });
+    assert.deepEqual(goals.map(r => [r.name, r.gp, r.totals.Goals || 0]),
+        [['Dee Park', 1, 3], ['Ava Stone', 2, 3], ['Cal Rivera', 2, 2]],
+        'a tie goes to the camper who needed fewer games');
+    assert.equal(S.leaderboard(data, { league: 'Seniors', category: 'Points' })[0].name, 'Ben Cohen');
+    assert.ok(!goals.some(r => r.name === 'Eli Gold'), 'another league\'s games stay out');
+
+    const moved = Object.assign({}, ROSTER, { 'Dee Park': { teams: { Seniors: 'Lions' } } });
+    const dee = S.leaderboard(data, { league: 'Seniors', category: 'Goals', roster: moved }).find(r => r.name === 'Dee Park');
+    assert.equal(dee.team, 'Lions', 'the board shows the team the camper is on now');
+
+    const card = S.playerCard(data, 'Cal Rivera');
+    assert.deepEqual(card.map(L => [L.league, L.team]), [['Seniors', 'Tigers']]);
+    assert.deepEqual(card[0].sports, [{ sport: 'Soccer', gp: 2, totals: { Goals: 2, Assists: 3 } }]);
+    assert.deepEqual(card[0].games.map(g => [g.date, g.opponent]), [['2026-07-07', 'Lions'], ['2026-07-06', 'Lions']]);
+    assert.deepEqual(S.playerCard(data, 'Eli Gold')[0].games[0].opponent, 'Red');
+});
+
+test('two devices\' copies merge per game, newest entry wins, deletions included', () => {
+    const a = S.load();
+    const b = S.load();
+    played(a, '2026-07-06', 'Game 1', 'Soccer', { 'Ava Stone': { team: 'Lions', stats: { Goals: 1 } } }, 100);
+    played(b, '2026-07-06', 'Game 1', 'Soccer', { 'Ava Stone': { team: 'Lions', stats: { Goals: 4 } } }, 300);
+    played(a, '2026-07-07', 'Game 2', 'Soccer', { 'Cal Rivera': { team: 'Tigers', stats: { Goals: 1 } } }, 400);
+    played(b, '2026-07-07', 'Game 2', 'Soccer', { 'Cal Rivera': { team: 'Tigers', stats: { Goals: 2 } } }, 200);
+    played(b, '2026-07-08', 'Game 3', 'Soccer', { 'Dee Park': { team: 'Tigers', stats: { Goals: 1 } } }, 150);
+    played(a, '2026-07-08', 'Game 3', 'Soccer', {}, 250);
+    S.setCategories(b, 'Soccer', ['Goals'], 500);
+
+    for (const m of [S.merge(a, b), S.merge(b, a)]) {
+        assert.equal(S.gameFor(m, 'Seniors', '2026-07-06', 'Game 1', 'Lions', 'Tigers').lines['Ava Stone'].stats.Goals, 4);
+        assert.equal(S.gameFor(m, 'Seniors', '2026-07-07', 'Game 2', 'Lions', 'Tigers').lines['Cal Rivera'].stats.Goals, 1);
+        assert.equal(S.gameFor(m, 'Seniors', '2026-07-08', 'Game 3', 'Lions', 'Tigers'), null, 'the later clear stays cleared');
+        assert.deepEqual(S.categoriesFor(m, 'Soccer'), ['Goals']);
+    }
+    assert.deepEqual(S.merge(null, a).games, a.games);
+});
+
+test('saving goes through the cloud-synced global key', () => {
+    const data = S.load();
+    played(data, '2026-07-06', 'Game 1', 'Soccer', { 'Ava Stone': { team: 'Lions', stats: { Goals: 1 } } });
+    assert.equal(S.save(data), true);
+    assert.ok(cloud.leaguePlayerStats._savedAt > 0);
+    assert.equal(S.hasStats('Ava Stone'), true);
+    assert.equal(S.hasStats('Ben Cohen'), false);
+    assert.equal(S.linesFor('Seniors', '2026-07-06', 'Game 1', 'Tigers', 'Lions'), 1);
+
+    window.AccessControl = { canEdit: () => false };
+    const origWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(S.save(S.load()), false, 'a viewer cannot write stats');
+    } finally {
+        console.warn = origWarn;
+        delete window.AccessControl;
+    }
+});
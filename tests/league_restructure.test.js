@@ -0,0 +1,163 @@
+/**
+ * Tests for: league_restructure.js LeagueRestructure — a team joining or
+ *            leaving mid-season: its bye credit, what the bye ledger counts,
+ *            the season plan re-planned around it, and the change surviving
+ *            a history merge and a rename.
+ *
+ * Run with:  node --test tests/league_restructure.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cloud = {};
+global.localStorage = {
+    _m: {},
+    getItem(k) { return this._m[k] != null ? this._m[k] : null; },
+    setItem(k, v) { this._m[k] = String(v); },
+    removeItem(k) { delete this._m[k]; }
+};
+global.window = {
+    loadGlobalSettings: () => ({ leagueHistory: cloud.leagueHistory }),
+    saveGlobalSettings: (k, v) => { cloud[k] = v; },
+    addEventListener: () => {},
+    CustomEvent: function CustomEvent(type, opts) { this.type = type; this.detail = (opts || {}).detail; },
+    dispatchEvent: () => true
+};
+global.document = { readyState: 'complete', addEventListener: () => {} };
+
+const origLog = console.log;
+console.log = () => {};
+const FP = require('../fixture_plan.js');
+const LR = require('../league_restructure.js');
+require('../scheduler_core_leagues.js');
+console.log = origLog;
+const Leagues = window.SchedulerCoreLeagues;
+
+const LG = 'Seniors';
+const FIVE = ['A', 'B', 'C', 'D', 'E'];
+const DATES = ['2026-07-01', '2026-07-02', '2026-07-03', '2026-07-06', '2026-07-07'];
+
+// Five days of a five-team league, one period a day: everybody sits once.
+function seasonSoFar() {
+    const gameLog = { [LG]: {} };
+    DATES.forEach((d, i) => {
+        const playing = FIVE.filter((_, j) => j !== i);
+        gameLog[LG][d] = [
+            { t1: playing[0], t2: playing[1], sport: 'Soccer', g: 'Game ' + (i + 1) },
+            { t1: playing[2], t2: playing[3], sport: 'Soccer', g: 'Game ' + (i + 1) }
+        ];
+    });
+    return { gameLog, chinuchByDate: {}, byesByDate: {} };
+}
+function league() {
+    return { name: LG, teams: FIVE.slice(), sports: ['Soccer'], standings: Object.fromEntries(FIVE.map(t => [t, { w: 0, l: 0, t: 0 }])) };
+}
+
+test('a joiner is credited with the byes it would have had', () => {
+    const h = seasonSoFar();
+    const pv = LR.preview({ league: league(), history: h, date: '2026-07-08', change: { kind: 'join', team: 'F' }, mode: 'level', now: 1 });
+    assert.equal(pv.ok, true);
+    assert.equal(pv.credit, 1, 'level with the least-benched team');
+    const f = pv.teams.find(r => r.team === 'F');
+    assert.equal(f.status, 'joining');
+    assert.deepEqual(f.unmet, FIVE, 'it has met nobody');
+    const a = pv.teams.find(r => r.team === 'A');
+    assert.equal(a.played, 4);
+    assert.equal(a.byes, 1);
+    assert.deepEqual(a.unmet, ['D', 'E', 'F'], 'A has only met B and C so far');
+    assert.match(pv.notes.join(' '), /With 6 teams, every team plays every period/);
+
+    const catchup = LR.preview({ league: league(), history: h, date: '2026-07-08', change: { kind: 'join', team: 'F' }, mode: 'catchup', now: 1 });
+    assert.equal(catchup.credit, 5, 'one bye, plus the four games the least-played team is ahead');
+
+    assert.equal(LR.preview({ league: league(), history: h, change: { kind: 'join', team: 'a' } }).ok, false);
+    assert.equal(LR.preview({ league: league(), history: h, change: { kind: 'drop', team: 'Z' } }).ok, false);
+});
+
+test('the bye ledger counts a joiner from its join date, plus its credit', () => {
+    const h = seasonSoFar();
+    const teams = FIVE.concat(['F']);
+    // Four teams from the old five play on, F among them, and E sits.
+    h.gameLog[LG]['2026-07-08'] = [
+        { t1: 'A', t2: 'F', sport: 'Soccer', g: 'Game 6' },
+        { t1: 'B', t2: 'C', sport: 'Soccer', g: 'Game 6' },
+        { t1: 'D', t2: 'E', sport: 'Soccer', g: 'Game 6' }
+    ];
+    const blind = Leagues.makeByeLedger(LG, teams, h, null);
+    assert.equal(blind.count('F'), 5, 'without the record, every day before F existed reads as a bye');
+
+    const lg = league();
+    LR.apply({ league: lg, history: h, date: '2026-07-08', change: { kind: 'join', team: 'F' }, mode: 'level', now: 1 });
+    assert.deepEqual(lg.teams, teams);
+    assert.deepEqual(lg.standings.F, { w: 0, l: 0, t: 0 });
+    assert.equal(h.rosterChanges[LG].length, 1);
+    assert.equal(h.rosterChanges[LG][0].credit, 1);
+
+    const ledger = Leagues.makeByeLedger(LG, teams, h, null);
+    assert.equal(ledger.count('F'), 1, 'no byes before it joined, one credited');
+    assert.equal(ledger.excess('F'), 0, 'level with the rest — its turn comes round like anyone\'s');
+    assert.equal(ledger.staleness('F'), 0, 'waiting since it joined today, not since forever');
+    assert.equal(Leagues.makeByeLedger(LG, ['A', 'F'], { gameLog: { [LG]: {} }, rosterChanges: h.rosterChanges }, null)
+        .staleness('A'), 20, 'a team that has never sat out still goes first');
+});
+
+test('a team that leaves stops counting; its opponents keep their games', () => {
+    const h = seasonSoFar();
+    const lg = league();
+    const pv = LR.apply({ league: lg, history: h, date: '2026-07-08', change: { kind: 'drop', team: 'C' }, now: 2 });
+    assert.equal(pv.ok, true);
+    assert.deepEqual(lg.teams, ['A', 'B', 'D', 'E']);
+    assert.equal(lg.standings.C, undefined);
+    assert.equal(pv.teams.find(r => r.team === 'C').status, 'leaving');
+    assert.equal(pv.teams.find(r => r.team === 'A').played, 4, 'A keeps its game against C');
+    assert.match(pv.notes.join(' '), /With 4 teams, every team plays every period/);
+    assert.deepEqual(LR.rosterWindows(h, LG), { C: { joined: null, left: '2026-07-08', credit: 0 } });
+
+    const later = LR.preview({ league: lg, history: h, date: '2026-07-06', change: { kind: 'join', team: 'C' } });
+    assert.equal(later.ok, false, 'a change cannot go in ahead of one already recorded');
+});
+
+test('with a season plan, the rest of the season is re-planned around the joiner', () => {
+    const days = [];
+    for (let i = 1; i <= 20; i++) days.push({ date: '2026-07-' + String(i).padStart(2, '0'), games: 1 });
+    const lg = league();
+    lg.fixturePlan = FP.getOrInit(lg);
+    const first = FP.plan({ teams: FIVE, sports: ['Soccer'], days, seed: LG });
+    Object.assign(lg.fixturePlan, { days: first.days, fixtures: first.fixtures, byes: first.byes, enabled: true });
+    const before = first.fixtures.filter(f => f.date < '2026-07-08').map(f => f.id + f.team1 + f.team2);
+
+    const h = seasonSoFar();
+    LR.apply({ league: lg, history: h, date: '2026-07-08', change: { kind: 'join', team: 'F' }, mode: 'catchup', now: 3 });
+    const p = lg.fixturePlan;
+    assert.deepEqual(p.fixtures.filter(f => f.date < '2026-07-08').map(f => f.id + f.team1 + f.team2), before,
+        'the days already played stay as they were');
+    Object.keys(p.byes).forEach(k => {
+        if (k < '2026-07-08') assert.ok(!p.byes[k].includes('F'), 'F did not sit out days before it existed: ' + k);
+    });
+    const fGames = p.fixtures.filter(f => f.date >= '2026-07-08' && (f.team1 === 'F' || f.team2 === 'F'));
+    assert.equal(fGames.length, 13, 'six teams, no byes — F plays every remaining day');
+    const opp = new Set(fGames.slice(0, 5).map(f => (f.team1 === 'F' ? f.team2 : f.team1)));
+    assert.equal(opp.size, 5, 'F meets the whole league before meeting anyone twice');
+
+    // The Season Plan overlay's own re-plan keeps the joiner's date and credit.
+    const again = LR.plannerInputs(lg, h);
+    assert.deepEqual(again, { joined: { F: '2026-07-08' }, byeCredit: { F: 5 } });
+});
+
+test('roster changes survive a history merge and follow a rename', () => {
+    const a = { _savedAt: 2, rosterChanges: { [LG]: [{ id: 'x', date: '2026-07-08', kind: 'join', team: 'F', credit: 1, at: 5 }] } };
+    const b = { _savedAt: 1, rosterChanges: { [LG]: [
+        { id: 'y', date: '2026-07-06', kind: 'drop', team: 'C', at: 4 },
+        { id: 'x', date: '2026-07-08', kind: 'join', team: 'F', credit: 1, at: 5 }
+    ] } };
+    const m = Leagues.mergeLeagueHistories(a, b);
+    assert.deepEqual(m.rosterChanges[LG].map(c => c.id), ['y', 'x'], 'both devices\' changes, once each, in date order');
+
+    cloud.leagueHistory = m;
+    localStorage.removeItem('campLeagueHistory_v2');
+    console.log = () => {};
+    try { Leagues.renameTeamInHistory(LG, 'F', 'Falcons'); } finally { console.log = origLog; }
+    assert.equal(cloud.leagueHistory.rosterChanges[LG][1].team, 'Falcons');
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for: league_scoreboard.js LeagueScoreboard — today's games joined
+ *            from league tiles and Game Results, live / final / upcoming by
+ *            the clock, standings order, and the playoff bracket view.
+ *
+ * Run with:  node --test tests/league_scoreboard.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const SB = require('../league_scoreboard.js');
+
+const DATE = '2026-07-14';
+
+function seniors() {
+    return {
+        name: 'Seniors', enabled: true,
+        teams: ['Lions', 'Tigers', 'Bears', 'Hawks'],
+        standings: {
+            Lions: { w: 3, l: 0, t: 0, diff: 12 }, Tigers: { w: 1, l: 2, t: 0, diff: -3 },
+            Bears: { w: 2, l: 1, t: 0, diff: 4 }, Hawks: { w: 0, l: 3, t: 0, diff: -13 }
+        },
+        games: [
+            { date: DATE, gameLabel: 'Game 4', matches: [
+                { teamA: 'Tigers', teamB: 'Lions', scoreA: 2, scoreB: 5 },
+                { teamA: 'Bears', teamB: 'Hawks', scoreA: null, scoreB: null }
+            ] },
+            { date: '2026-07-13', gameLabel: 'Game 3', matches: [
+                { teamA: 'Lions', teamB: 'Hawks', scoreA: 9, scoreB: 1 }
+            ] }
+        ]
+    };
+}
+
+// Two divisions share the league, so the engine writes the same tile twice.
+const ASSIGNMENTS = {
+    'Grade 7': {
+        600: { leagueName: 'Seniors', gameLabel: 'Game 4', sport: 'Soccer',
+               matchups: ['Lions vs Tigers @ Turf (Soccer)', 'Bears vs Hawks @ Field 2 (Soccer)', 'Eagles — Chinuch'] },
+        840: { leagueName: 'Seniors', gameLabel: 'Game 5', sport: 'Hockey',
+               matchups: ['Lions vs Bears @ Rink (Hockey)'] }
+    },
+    'Grade 8': {
+        600: { leagueName: 'Seniors', gameLabel: 'Game 4', sport: 'Soccer',
+               matchups: ['Lions vs Tigers @ Turf (Soccer)', 'Bears vs Hawks @ Field 2 (Soccer)'] }
+    },
+    'Grade 6': {
+        3: { leagueName: 'Juniors', gameLabel: 'Game 1', matchups: ['1 vs 2 @ Gaga'] }
+    }
+};
+const TIMES = {
+    'Grade 7': [{ startMin: 540, endMin: 600 }, { startMin: 600, endMin: 660 }, { startMin: 840, endMin: 900 }],
+    'Grade 8': [{ startMin: 600, endMin: 660 }],
+    'Grade 6': [{}, {}, {}, { startMin: 700, endMin: 745 }]
+};
+
+test('parseLine reads the tile format and skips info lines', () => {
+    assert.deepEqual(SB.parseLine('Lions vs Tigers @ Turf (Soccer)'),
+        { teamA: 'Lions', teamB: 'Tigers', field: 'Turf', sport: 'Soccer' });
+    assert.deepEqual(SB.parseLine('✗ 3 vs 4'), { teamA: '3', teamB: '4', field: '', sport: '' });
+    assert.deepEqual(SB.parseLine({ teamA: 'A', teamB: 'B', field: 'Court' }), { teamA: 'A', teamB: 'B', field: 'Court', sport: '' });
+    assert.equal(SB.parseLine('Eagles — Chinuch'), null);
+    assert.equal(SB.parseLine('T1 — Inter-camp: Camp Oakwood Eagles @ Turf (Soccer)'), null);
+});
+
+test('gamesForDay joins tiles to results, de-duplicated and oriented to the tile', () => {
+    const juniors = { name: 'Juniors', teams: ['1', '2'], games: [] };
+    const out = SB.gamesForDay({ leagues: [seniors(), juniors], assignments: ASSIGNMENTS, divisionTimes: TIMES, date: DATE });
+    const g = out.Seniors;
+    assert.equal(g.length, 3, 'the Grade 8 copy of Game 4 is not counted twice; the Chinuch line is not a game');
+    assert.deepEqual(g.map(x => x.label + ':' + x.teamA + '-' + x.teamB), ['Game 4:Bears-Hawks', 'Game 4:Lions-Tigers', 'Game 5:Lions-Bears']);
+    const lt = g.find(x => x.teamA === 'Lions' && x.teamB === 'Tigers');
+    assert.equal(lt.scoreA, 5, 'the result was entered Tigers-first; the score follows the team');
+    assert.equal(lt.scoreB, 2);
+    assert.equal(lt.field, 'Turf');
+    assert.equal(lt.startMin, 600);
+    assert.equal(lt.endMin, 660, 'the end comes from the division slot that starts then');
+    assert.equal(g[2].startMin, 840);
+    assert.equal(out.Juniors[0].startMin, 700, 'a slot-index key resolves through divisionTimes');
+    assert.equal(out.Juniors[0].endMin, 745);
+});
+
+test('a result with no tile today still shows, untimed', () => {
+    const lg = seniors();
+    lg.games.push({ date: DATE, gameLabel: 'Makeup', matches: [{ teamA: 'Hawks', teamB: 'Tigers', scoreA: 3, scoreB: 3 }] });
+    const g = SB.gamesForDay({ leagues: [lg], assignments: ASSIGNMENTS, divisionTimes: TIMES, date: DATE }).Seniors;
+    const mk = g[g.length - 1];
+    assert.equal(mk.label, 'Makeup');
+    assert.equal(mk.startMin, null);
+    assert.equal(SB.statusOf(mk, 0), 'final');
+});
+
+test('statusOf follows the clock', () => {
+    const game = { startMin: 600, endMin: 660, scoreA: null, scoreB: null };
+    assert.equal(SB.statusOf(game, 599), 'upcoming');
+    assert.equal(SB.statusOf(game, 600), 'live');
+    assert.equal(SB.statusOf(game, 660), 'final');
+    assert.equal(SB.statusOf({ startMin: null, scoreA: null, scoreB: null }, 900), 'upcoming');
+});
+
+test('build splits each league and ranks the standings', () => {
+    const model = SB.build({
+        leagues: [seniors()], assignments: ASSIGNMENTS, divisionTimes: TIMES, date: DATE, nowMin: 620,
+        seedOrder: lg => lg.teams.slice().sort((a, b) => lg.standings[b].w - lg.standings[a].w)
+    });
+    assert.equal(model.length, 1);
+    const s = model[0];
+    assert.equal(s.live.length, 2);
+    assert.equal(s.final.length, 0);
+    assert.deepEqual(s.upcoming.map(x => x.label), ['Game 5']);
+    assert.deepEqual(s.standings.map(r => r.rank + r.team), ['1Lions', '2Bears', '3Tigers', '4Hawks']);
+    assert.equal(s.standings[0].diff, 12);
+    assert.equal(s.bracket, null);
+    const later = SB.build({ leagues: [seniors()], assignments: ASSIGNMENTS, divisionTimes: TIMES, date: DATE, nowMin: 700 });
+    assert.equal(later[0].final.length, 2);
+    assert.deepEqual(later[0].standings.map(r => r.team), ['Lions', 'Tigers', 'Bears', 'Hawks'], 'no seed order → roster order');
+    assert.notEqual(SB.signature(model), SB.signature(later));
+});
+
+test('bracketFor shows the rounds, placeholder sources and the champion', () => {
+    window.PlayoffBracket = { sourceLabel: (p, id, side) => (id === 'f1' && side === 'b' ? 'Winner of R1 #2' : '') };
+    window.PlayoffMode = { getChampion: lg => lg.playoff.rounds[1].matchups[0].winner || null };
+    const lg = seniors();
+    lg.playoff = {
+        enabled: true, currentRound: 2,
+        rounds: [
+            { number: 1, byes: [], matchups: [
+                { id: 's1', teamA: 'Lions', teamB: 'Hawks', winner: 'Lions' },
+                { id: 's2', teamA: 'Bears', teamB: 'Tigers', winner: null }
+            ] },
+            { number: 2, byes: [], matchups: [{ id: 'f1', teamA: 'Lions', teamB: '', winner: null }] }
+        ]
+    };
+    const b = SB.bracketFor(lg);
+    assert.equal(b.rounds.length, 2);
+    assert.equal(b.currentRound, 2);
+    assert.equal(b.rounds[0].matchups[0].winner, 'Lions');
+    assert.equal(b.rounds[1].matchups[0].teamB, 'Winner of R1 #2');
+    assert.equal(b.rounds[1].matchups[0].placeholderB, true);
+    assert.equal(b.champion, null);
+    const g = SB.gamesForDay({
+        leagues: [lg], date: DATE,
+        assignments: { 'Grade 7': { 600: { leagueName: 'Seniors', gameLabel: 'Playoff R1', matchups: ['Hawks vs Lions @ Turf'] } } }
+    }).Seniors;
+    assert.equal(g[0].winner, 'Lions', 'a playoff winner marks the game even without a score');
+    lg.playoff.enabled = false;
+    assert.equal(SB.bracketFor(lg), null);
+});
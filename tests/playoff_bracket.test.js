@@ -0,0 +1,135 @@
+/**
+ * Tests for: playoff_bracket.js PlayoffBracket — seeding from standings,
+ *            byes and play-ins, reseeding, double elimination, and advance()
+ *            keeping hand-picked teams and following corrected results.
+ *
+ * Run with:  node --test tests/playoff_bracket.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const origLog = console.log;
+console.log = () => {};
+const B = require('../playoff_bracket.js');
+console.log = origLog;
+
+const T = n => Array.from({ length: n }, (_, i) => 'S' + (i + 1));
+const pairs = r => r.matchups.map(m => (m.teamA || '?') + '-' + (m.teamB || '?'));
+
+// Higher seed wins every game that is ready, until nothing moves.
+function playOut(p) {
+    for (let g = 0; g < 20; g++) {
+        let any = false;
+        p.rounds.forEach(r => r.matchups.forEach(m => {
+            if (m.teamA && m.teamB && !m.winner) {
+                const s = p.bracket.seeds;
+                m.winner = s.indexOf(m.teamA) < s.indexOf(m.teamB) ? m.teamA : m.teamB;
+                any = true;
+            }
+        }));
+        B.advance(p);
+        if (!any) break;
+    }
+}
+const champion = p => p.rounds[p.rounds.length - 1].matchups[0].winner;
+
+test('bracket order keeps the top seeds apart until the final', () => {
+    assert.deepEqual(B.bracketOrder(4), [1, 4, 2, 3]);
+    assert.deepEqual(B.bracketOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('a full bracket seeds 1 v 8 and advances winners round by round', () => {
+    const p = { rounds: [] };
+    B.generate(p, { seeds: T(8), sports: ['Soccer', 'Hockey'] });
+    assert.equal(p.rounds.length, 3);
+    assert.deepEqual(pairs(p.rounds[0]), ['S1-S8', 'S4-S5', 'S2-S7', 'S3-S6']);
+    assert.deepEqual(p.rounds[0].matchups.map(m => m.sport), ['Soccer', 'Hockey', 'Soccer', 'Hockey']);
+    assert.deepEqual(pairs(p.rounds[1]), ['?-?', '?-?']);
+    assert.equal(B.sourceLabel(p, p.rounds[1].matchups[0].id, 'teamB'), 'Winner of R1 #2');
+    playOut(p);
+    assert.deepEqual(pairs(p.rounds[1]), ['S1-S4', 'S2-S3']);
+    assert.equal(champion(p), 'S1');
+});
+
+test('top seeds take byes, or the bottom seeds play in', () => {
+    const byes = { rounds: [] };
+    const r = B.generate(byes, { seeds: T(6) });
+    assert.deepEqual(pairs(byes.rounds[0]), ['S4-S5', 'S3-S6']);
+    assert.deepEqual(byes.rounds[0].byes.sort(), ['S1', 'S2']);
+    assert.match(r.notes[0], /Top 2 seed/);
+    playOut(byes);
+    assert.deepEqual(pairs(byes.rounds[1]), ['S1-S4', 'S2-S3']);
+
+    const pin = { rounds: [] };
+    B.generate(pin, { seeds: T(6), playIn: true });
+    assert.deepEqual(pairs(pin.rounds[0]), ['S3-S6', 'S4-S5']);
+    assert.deepEqual(pin.rounds[0].byes, ['S1', 'S2']);
+    playOut(pin);
+    assert.deepEqual(pairs(pin.rounds[1]), ['S1-S4', 'S2-S3'], 'play-in winners take the 3 and 4 spots');
+    assert.equal(pin.rounds.length, 3);
+});
+
+test('reseeding pairs the best seed left with the worst', () => {
+    const p = { rounds: [] };
+    B.generate(p, { seeds: T(8), reseed: true });
+    p.rounds[0].matchups.forEach(m => { m.winner = m.teamB; });   // every underdog wins
+    B.advance(p);
+    assert.deepEqual(pairs(p.rounds[1]), ['S5-S8', 'S6-S7']);
+    assert.equal(B.sourceLabel(p, p.rounds[1].matchups[0].id, 'teamA'), 'Reseeded — 1st seed left');
+});
+
+test('double elimination runs losers through a second bracket into a grand final', () => {
+    const p = { rounds: [] };
+    B.generate(p, { seeds: T(8), format: 'double' });
+    assert.deepEqual(p.rounds.map(r => r.matchups.length), [4, 4, 3, 1, 1, 1]);
+    const r2 = p.rounds[1].matchups.map(m => B.sourceLabel(p, m.id, 'teamA'));
+    assert.ok(r2.includes('Loser of R1 #1'), 'first-round losers meet in round 2');
+    playOut(p);
+    const gf = p.rounds[5].matchups[0];
+    assert.deepEqual([gf.teamA, gf.teamB], ['S1', 'S2']);
+    assert.equal(champion(p), 'S1');
+    const played = {};
+    p.rounds.forEach(r => r.matchups.forEach(m => {
+        const loser = m.winner === m.teamA ? m.teamB : m.teamA;
+        played[loser] = (played[loser] || 0) + 1;
+    }));
+    T(8).slice(1).forEach(t => assert.equal(played[t], 2, t + ' is out after two losses'));
+    assert.equal(played.S1, undefined);
+});
+
+test('a hand-picked team stays; a corrected result follows through', () => {
+    const p = { rounds: [] };
+    B.generate(p, { seeds: T(4) });
+    const [m1, m2] = p.rounds[0].matchups;
+    const fin = p.rounds[1].matchups[0];
+    fin.teamB = 'Wildcard';
+    m1.winner = 'S1';
+    m2.winner = 'S2';
+    B.advance(p);
+    assert.deepEqual([fin.teamA, fin.teamB], ['S1', 'Wildcard']);
+
+    m1.winner = 'S4';
+    fin.winner = 'S1';
+    B.advance(p);
+    assert.equal(fin.teamA, 'S4', 'the side it filled follows the corrected winner');
+    assert.equal(fin.winner, null, 'a winner no longer in the game is cleared');
+    assert.equal(fin.teamB, 'Wildcard');
+});
+
+test('seeds come from the standings, or the roster when there are none', () => {
+    const league = { teams: ['A', 'B', 'C'] };
+    assert.deepEqual(B.seedOrder(league, 'regular'), ['A', 'B', 'C']);
+    window.getLeagueSeedOrder = () => ['C', 'A', 'B'];
+    window.SpecialtyLeaguesAPI = { getSeedOrder: () => ['B', 'C', 'A'] };
+    try {
+        assert.deepEqual(B.seedOrder(league, 'regular'), ['C', 'A', 'B']);
+        assert.deepEqual(B.seedOrder(league, 'specialty'), ['B', 'C', 'A']);
+    } finally {
+        delete window.getLeagueSeedOrder;
+        delete window.SpecialtyLeaguesAPI;
+    }
+    assert.equal(B.build({ seeds: ['A'] }).bracket, null);
+});
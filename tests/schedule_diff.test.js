@@ -0,0 +1,135 @@
+/**
+ * Tests for: schedule_diff.js ScheduleDiff.diff / restore — moves, swaps,
+ *            adds, removals and retimes between two versions, and restoring
+ *            bunks or time ranges without double-booking a field or touching
+ *            league cells.
+ *
+ * Run with:  node --test tests/schedule_diff.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const D = require('../schedule_diff.js');
+
+// 4 × 45-min periods from 9:00, shared by the division.
+const GRID = [540, 585, 630, 675].map((s, i) => ({ slotIndex: i, startMin: s, endMin: s + 45 }));
+const DT = { Juniors: { _slots: GRID } };
+const divisionOf = () => 'Juniors';
+
+function cell(activity, field) { return { _activity: activity, field: field || activity }; }
+function version(rows, dt) { return { scheduleAssignments: rows, divisionTimes: dt || DT }; }
+function kinds(d, bunk) { return d.bunks[bunk].changes.map(c => c.kind); }
+
+test('identical schedules have no changes', () => {
+    const v = version({ B1: [cell('Art'), cell('Soccer', 'Turf'), null, cell('Swim', 'Pool')] });
+    const d = D.diff(v, JSON.parse(JSON.stringify(v)), { divisionOf });
+    assert.deepEqual(d.bunks, {});
+    assert.equal(d.summary.bunksChanged, 0);
+});
+
+test('a swap of two periods is reported once, as a swap', () => {
+    const a = version({ B1: [cell('Art'), cell('Drama'), cell('Swim'), cell('Lunch')] });
+    const b = version({ B1: [cell('Drama'), cell('Art'), cell('Swim'), cell('Lunch')] });
+    const d = D.diff(a, b, { divisionOf });
+    assert.deepEqual(kinds(d, 'B1'), ['swapped']);
+    const sw = d.bunks.B1.changes[0];
+    assert.deepEqual([sw.a.activity, sw.a.from.s, sw.a.to.s], ['Art', 540, 585]);
+});
+
+test('moved, added, removed, replaced and relocated are told apart', () => {
+    const a = version({ B1: [cell('Art'), cell('Soccer', 'Turf'), cell('Drama'), null] });
+    const b = version({ B1: [cell('Woodshop'), cell('Soccer', 'Grass'), null, cell('Drama')], B2: [cell('Swim')] });
+    const d = D.diff(a, b, { divisionOf });
+    const byKind = Object.fromEntries(d.bunks.B1.changes.map(c => [c.kind, c]));
+    assert.equal(byKind.replaced.from, 'Art');
+    assert.equal(byKind.replaced.to, 'Woodshop');
+    assert.deepEqual([byKind.relocated.fromField, byKind.relocated.toField], ['Turf', 'Grass']);
+    assert.deepEqual([byKind.moved.activity, byKind.moved.from.s, byKind.moved.to.s], ['Drama', 630, 675]);
+    assert.equal(d.bunks.B2.status, 'added');
+    assert.deepEqual(kinds(d, 'B2'), ['added']);
+});
+
+test('continuations extend a cell, and a longer cell at the same start is retimed', () => {
+    const a = version({ B1: [cell('Art'), null, null, null] });
+    const b = version({ B1: [cell('Art'), { _activity: 'Art', continuation: true }, null, null] });
+    const d = D.diff(a, b, { divisionOf });
+    assert.deepEqual(kinds(d, 'B1'), ['retimed']);
+    assert.deepEqual(d.bunks.B1.changes[0].to, { s: 540, e: 630 });
+});
+
+test('entry times win over the grid (auto per-bunk cells carry their own)', () => {
+    const cells = D.cellsOf(version({ B1: [{ _activity: 'Art', _startMin: 600, _endMin: 650 }] }), divisionOf);
+    assert.deepEqual([cells.B1[0].s, cells.B1[0].e], [600, 650]);
+});
+
+test('restoring a time range copies only that range for the chosen bunks', () => {
+    const older = version({
+        B1: [cell('Art'), cell('Drama'), cell('Swim'), cell('Lunch')],
+        B2: [cell('Soccer'), cell('Hockey'), cell('Swim'), cell('Lunch')]
+    });
+    const live = version({
+        B1: [cell('Free'), cell('Free'), cell('Swim'), cell('Lunch')],
+        B2: [cell('Free'), cell('Free'), cell('Swim'), cell('Lunch')]
+    });
+    const res = D.restore(live, older, { bunks: ['B1'], startMin: 540, endMin: 585, divisionOf });
+    assert.deepEqual(res.scheduleAssignments.B1.map(e => e._activity), ['Art', 'Free', 'Swim', 'Lunch']);
+    assert.equal(res.scheduleAssignments.B2[0]._activity, 'Free', 'unselected bunks are untouched');
+    assert.equal(live.scheduleAssignments.B1[0]._activity, 'Free', 'the input is not mutated');
+    assert.deepEqual(res.restored, [{ bunk: 'B1', cells: 1, misaligned: undefined }]);
+});
+
+test('a range whose slots no longer line up is skipped, not stretched', () => {
+    const older = version({ B1: [cell('Art'), cell('Drama'), cell('Swim'), cell('Lunch')] });
+    const shifted = { Juniors: { _slots: GRID.map(s => ({ startMin: s.startMin + 15, endMin: s.endMin + 15 })) } };
+    const live = version({ B1: [cell('Free'), cell('Free'), cell('Swim'), cell('Lunch')] }, shifted);
+    const res = D.restore(live, older, { bunks: ['B1'], startMin: 540, endMin: 720, divisionOf });
+    assert.equal(res.restored.length, 0);
+    assert.match(res.skipped[0].reason, /time grid changed/);
+});
+
+test('a whole-bunk restore brings back a per-bunk grid that changed', () => {
+    const olderGrid = [{ startMin: 540, endMin: 600 }, { startMin: 600, endMin: 660 }];
+    const older = version({ B1: [cell('Art'), cell('Drama')] }, { Juniors: { _slots: [], _perBunkSlots: { B1: olderGrid } } });
+    const liveDT = { Juniors: Object.assign([], { _isPerBunk: true, _perBunkSlots: { B1: GRID } }) };
+    const live = version({ B1: [cell('Free'), cell('Free'), cell('Free'), cell('Free')] }, liveDT);
+    const res = D.restore(live, older, { bunks: ['B1', 'B9'], divisionOf });
+    assert.deepEqual(res.scheduleAssignments.B1.map(e => e._activity), ['Art', 'Drama']);
+    assert.deepEqual(res.grids.B1, { division: 'Juniors', slots: olderGrid });
+    assert.deepEqual(res.skipped, [{ bunk: 'B9', reason: 'not in that version' }]);
+});
+
+test('a restored cell never double-books a field another bunk now holds', () => {
+    const older = version({ B1: [cell('Soccer', 'Turf'), cell('Art'), cell('Hockey', 'Rink'), cell('Lunch')] });
+    const live = version({
+        B1: [cell('Free'), cell('Free'), cell('Free'), cell('Lunch')],
+        B2: [cell('Kickball', 'Turf'), cell('Drama'), cell('Hockey', 'Rink'), cell('Lunch')]
+    });
+    const fieldCapacity = { Turf: 2, Rink: 2 };
+    const res = D.restore(live, older, { bunks: ['B1'], startMin: 540, endMin: 720, divisionOf, fieldCapacity });
+    assert.deepEqual(res.scheduleAssignments.B1.map(e => e._activity), ['Free', 'Art', 'Hockey', 'Lunch'],
+        'Turf holds B2\'s Kickball; the Rink is shared — same sport, same division, under capacity');
+    assert.deepEqual(res.skipped, [{ bunk: 'B1', reason: 'Turf is taken by B2', startMin: 540 }]);
+    assert.deepEqual(res.restored, [{ bunk: 'B1', cells: 3, misaligned: undefined }]);
+
+    // A whole-bunk restore keeps the clashing cell too, and a full field blocks a share.
+    const whole = D.restore(live, older, { bunks: ['B1'], divisionOf, fieldCapacity: { Turf: 2, Rink: 1 } });
+    assert.deepEqual(whole.scheduleAssignments.B1.map(e => e._activity), ['Free', 'Art', 'Free', 'Lunch']);
+    assert.deepEqual(whole.skipped.map(x => x.startMin), [540, 630]);
+});
+
+test('league cells are never restored over or pasted in — their matchups live elsewhere', () => {
+    const game = { _activity: 'League: Juniors', field: 'League: Juniors', sport: 'Hockey', _h2h: true };
+    const older = version({ B1: [cell('Art'), Object.assign({}, game, { sport: 'Soccer' }), cell('Swim'), cell('Lunch')] });
+    const live = version({ B1: [cell('Free'), game, cell('Swim'), cell('Lunch')] });
+    const res = D.restore(live, older, { bunks: ['B1'], startMin: 540, endMin: 630, divisionOf });
+    assert.deepEqual(res.scheduleAssignments.B1.map(e => e._activity), ['Art', 'League: Juniors', 'Swim', 'Lunch']);
+    assert.equal(res.scheduleAssignments.B1[1].sport, 'Hockey', 'the live game stays');
+    assert.deepEqual(res.skipped.map(x => [x.startMin, /league game/.test(x.reason)]), [[585, true]]);
+
+    const noGame = version({ B1: [cell('Art'), cell('Drama'), cell('Swim'), cell('Lunch')] });
+    const r2 = D.restore(live, noGame, { bunks: ['B1'], divisionOf });
+    assert.equal(r2.scheduleAssignments.B1[1]._activity, 'League: Juniors', 'a whole-bunk restore leaves the game too');
+    assert.equal(r2.scheduleAssignments.B1[0]._activity, 'Art');
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for: staff_scheduler.js StaffScheduler.planDay — a certified
+ *            guard on every swim and a specialist on every special, with
+ *            days off, hours, break gaps and swimBunksPerGuard honored, and
+ *            the builder's swim gate.
+ *
+ * Run with:  node --test tests/staff_scheduler.test.js
+ *
+ * A swim the guards cannot cover is reported rather than dropped — see
+ * "a third concurrent swim with two guards".
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const S = require('../staff_scheduler.js');
+
+const DATE = '2026-07-15'; // a Wednesday
+
+// One grid cell the way the auto builder writes it.
+function cell(activity, field, s, e, extra) {
+    return Object.assign({ field, sport: null, _activity: activity, _startMin: s, _endMin: e }, extra || {});
+}
+function special(activity, room, s, e) {
+    return cell(activity, room, s, e, { _autoSpecial: true });
+}
+
+const ROSTER = [
+    { name: 'Dana', certifications: ['Lifeguard'], availability: [{ start: '9:00am', end: '4:00pm' }] },
+    { name: 'Eli', certifications: ['lifeguard'], availability: [{ start: '9:00am', end: '4:00pm' }] },
+    { name: 'Rivka', specialties: ['Arts & Crafts'], availability: [{ start: '9:00am', end: '4:00pm' }] }
+];
+
+test('every swim gets a certified guard and every special its specialist', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: ROSTER,
+        scheduleAssignments: {
+            B1: [cell('Swim', 'Pool', 600, 645), special('Arts & Crafts', 'Art Room', 660, 705)],
+            B2: [cell('Swim', 'Pool', 600, 645)],
+            B3: [special('Arts & Crafts', 'Art Room', 720, 765)]
+        }
+    });
+    assert.equal(plan.uncovered.length, 0);
+    // B1 + B2 in the pool at once is one session — one guard, not two.
+    const swims = plan.sessions.filter(s => s.kind === 'swim');
+    assert.equal(swims.length, 1);
+    assert.deepEqual(swims[0].bunks.sort(), ['B1', 'B2']);
+    assert.equal(plan.assignments[swims[0].key].length, 1);
+    assert.equal(plan.byStaff.Rivka.length, 2);
+});
+
+test('nobody is double-booked: a second concurrent swim takes the other guard', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: ROSTER,
+        scheduleAssignments: {
+            B1: [cell('Swim', 'Lake', 600, 645)],
+            B2: [cell('Swim', 'Lake', 630, 675)]
+        }
+    });
+    assert.equal(plan.uncovered.length, 0);
+    const who = Object.values(plan.assignments).map(a => a[0]).sort();
+    assert.deepEqual(who, ['Dana', 'Eli']);
+});
+
+test('a third concurrent swim with two guards is reported, not silently dropped', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: ROSTER,
+        scheduleAssignments: {
+            B1: [cell('Swim', 'Pool', 600, 645)],
+            B2: [cell('Swim', 'Pool', 615, 660)],
+            B3: [cell('Swim', 'Pool', 630, 675)]
+        }
+    });
+    assert.equal(plan.uncovered.length, 1);
+    assert.match(plan.uncovered[0].reason, /already working/);
+});
+
+test('days off (weekday or date) and hours are honored', () => {
+    const roster = [
+        { name: 'Dana', certifications: ['lifeguard'], daysOff: ['Wed'] },
+        { name: 'Eli', certifications: ['lifeguard'], daysOff: ['2026-07-16'], availability: [{ start: '1:00pm', end: '5:00pm' }] }
+    ];
+    const grid = { B1: [cell('Swim', 'Pool', 600, 645)] };
+    const wed = S.planDay({ dateKey: DATE, roster, scheduleAssignments: grid });
+    assert.equal(wed.uncovered.length, 1, 'Dana is off Wednesdays, Eli starts at 1pm');
+    assert.match(wed.uncovered[0].reason, /nobody qualified is working/);
+
+    const late = S.planDay({ dateKey: DATE, roster, scheduleAssignments: { B1: [cell('Swim', 'Pool', 840, 885)] } });
+    assert.deepEqual(Object.values(late.assignments)[0], ['Eli']);
+});
+
+test('a block that would swallow the only break gap goes to someone else', () => {
+    const roster = [
+        { name: 'Dana', certifications: ['lifeguard'], break: { minutes: 30, start: '12:00pm', end: '1:00pm' } },
+        { name: 'Zed', certifications: ['lifeguard'] }
+    ];
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster,
+        scheduleAssignments: {
+            B1: [cell('Swim', 'Pool', 690, 750)],   // 11:30–12:30
+            B2: [cell('Swim', 'Pool', 750, 800)]    // 12:30–1:20 — Dana would have no 30 min left 12–1
+        }
+    });
+    assert.equal(plan.uncovered.length, 0);
+    const dana = plan.byStaff.Dana.map(r => r.startMin);
+    assert.equal(dana.length, 1);
+    assert.ok(plan.breaks.Dana, 'Dana keeps a break');
+    assert.ok(plan.breaks.Dana.startMin >= 720 && plan.breaks.Dana.endMin <= 780);
+});
+
+test('the instructor tag names a specialist; unstaffed specials need nobody', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: [{ name: 'Moshe' }],
+        specials: [{ name: 'Woodshop', instructor: 'moshe' }, { name: 'Canteen' }],
+        scheduleAssignments: {
+            B1: [cell('Woodshop', 'Shop', 600, 645)],
+            B2: [cell('Canteen', 'Canteen', 600, 645)]
+        }
+    });
+    assert.equal(plan.uncovered.length, 0);
+    assert.equal(plan.byStaff.Moshe.length, 1);
+    assert.equal(plan.byStaff.Moshe[0].activity, 'Woodshop');
+});
+
+test('multi-slot specials are stitched into one job', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: ROSTER,
+        scheduleAssignments: {
+            B1: [special('Arts & Crafts', 'Art Room', 600, 630),
+                 Object.assign(special('Arts & Crafts', 'Art Room', 630, 660), { continuation: true })]
+        }
+    });
+    assert.equal(plan.sessions.length, 1);
+    assert.equal(plan.sessions[0].endMin, 660);
+});
+
+test('swimBunksPerGuard scales the guards a session needs', () => {
+    const plan = S.planDay({
+        dateKey: DATE,
+        roster: ROSTER,
+        rules: { swimBunksPerGuard: 2 },
+        scheduleAssignments: {
+            B1: [cell('Swim', 'Pool', 600, 645)],
+            B2: [cell('Swim', 'Pool', 600, 645)],
+            B3: [cell('Swim', 'Pool', 600, 645)]
+        }
+    });
+    const key = plan.sessions[0].key;
+    assert.equal(plan.assignments[key].length, 2);
+    assert.equal(plan.uncovered.length, 0);
+});
+
+test('the builder gates swims on a certified guard being on duty', () => {
+    const loadRoster = S.loadRoster;
+    try {
+        S.loadRoster = () => [
+            { name: 'Dana', certifications: ['lifeguard'], availability: [{ start: '9:00am', end: '12:00pm' }], daysOff: ['Fri'] },
+            { name: 'Rivka', specialties: ['Arts & Crafts'], availability: [{ start: '9:00am', end: '4:00pm' }] }
+        ];
+        S.resetCache();
+        assert.equal(S.guardOnDuty(600, 645, DATE), true);
+        assert.equal(S.guardOnDuty(700, 745, DATE), false, 'after the only guard\'s hours');
+        assert.equal(S.guardOnDuty(600, 645, '2026-07-17'), false, 'the guard\'s day off');
+
+        S.loadRoster = () => [{ name: 'Rivka', specialties: ['Arts & Crafts'] }];
+        S.resetCache();
+        assert.equal(S.guardOnDuty(700, 745, DATE), true, 'no guard on the roster gates nothing');
+
+        S.loadRoster = () => [];
+        S.resetCache();
+        assert.equal(S.guardOnDuty(700, 745, DATE), true, 'no roster gates nothing');
+    } finally {
+        S.loadRoster = loadRoster;
+        S.resetCache();
+    }
+});
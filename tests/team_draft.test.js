@@ -0,0 +1,113 @@
+/**
+ * Tests for: team_draft.js TeamDraft — camper ratings, a balanced draft
+ *            across size, rating and bunk, keep-together / keep-apart pairs,
+ *            and a mid-season re-balance that moves as few campers as it can.
+ *
+ * Run with:  node --test tests/team_draft.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = {};
+const origLog = console.log;
+console.log = () => {};
+const D = require('../team_draft.js');
+console.log = origLog;
+
+const TEAMS = ['Red', 'Blue', 'Green', 'Gold'];
+// 24 campers over three bunks, ratings 1–5, ages 10–12.
+const CAMPERS = Array.from({ length: 24 }, (_, i) => ({
+    name: 'K' + String(i).padStart(2, '0'),
+    rating: 1 + (i * 7) % 5,
+    age: 10 + (i % 3),
+    bunk: ['8A', '8B', '8C'][i % 3]
+}));
+const teamOf = (r, n) => r.assignment[n];
+
+test('ratings come from the camper, per sport or overall', () => {
+    const c = { skills: { Soccer: 4, hockey: '2', Kickball: '' } };
+    assert.equal(D.ratingOf(c, 'Soccer'), 4);
+    assert.equal(D.ratingOf(c, 'Hockey'), 2);
+    assert.equal(D.ratingOf(c, 'Kickball'), null);
+    assert.equal(D.ratingOf(c), 3);
+    assert.equal(D.ratingOf({}, 'Soccer'), null);
+
+    const { campers, current } = D.campersFor({
+        'Ava': { division: 'Seniors', grade: '8', bunk: '8A', skills: { Soccer: 5 }, teams: { Cup: 'Red' }, dob: '2014-07-01' },
+        'Ben': { division: 'Seniors', grade: '7', bunk: '7A' },
+        'Cal': { division: 'Juniors', grade: '8', bunk: 'J1' }
+    }, { division: 'Seniors', grade: '8', sport: 'Soccer', league: 'Cup', today: '2026-07-01' });
+    assert.deepEqual(campers, [{ name: 'Ava', rating: 5, age: campers[0].age, bunk: '8A' }]);
+    assert.equal(Math.round(campers[0].age), 12);
+    assert.deepEqual(current, { Ava: 'Red' });
+});
+
+test('a draft evens out sizes, ratings and bunks', () => {
+    const r = D.draft({ campers: CAMPERS, teams: TEAMS });
+    assert.deepEqual(r.teams.map(t => t.size), [6, 6, 6, 6]);
+    assert.ok(r.spread <= 0.2, 'spread ' + r.spread);
+    r.teams.forEach(t => assert.deepEqual(Object.values(t.bunks), [2, 2, 2], t.name + ' ' + JSON.stringify(t.bunks)));
+    assert.equal(Object.keys(r.assignment).length, 24);
+    assert.deepEqual(D.draft({ campers: CAMPERS, teams: TEAMS }), r, 'the same input drafts the same teams');
+});
+
+test('together stays together, apart stays apart', () => {
+    const r = D.draft({
+        campers: CAMPERS, teams: TEAMS,
+        together: [['K00', 'K05'], ['K05', 'K10']],
+        apart: [['K03', 'K04'], ['K00', 'K10']]
+    });
+    assert.equal(teamOf(r, 'K00'), teamOf(r, 'K05'));
+    assert.equal(teamOf(r, 'K05'), teamOf(r, 'K10'));
+    assert.notEqual(teamOf(r, 'K03'), teamOf(r, 'K04'));
+    assert.deepEqual(r.notes, ['K00 and K10 are to be kept apart but are also grouped together — kept together.']);
+    assert.deepEqual(r.teams.map(t => t.size), [6, 6, 6, 6]);
+});
+
+test('unrated campers count as the average, and the draft says so', () => {
+    const campers = CAMPERS.map((c, i) => (i < 4 ? Object.assign({}, c, { rating: null }) : c));
+    const r = D.draft({ campers, teams: TEAMS });
+    assert.match(r.notes[0], /^4 campers with no rating counted as the average/);
+    assert.deepEqual(D.draft({ campers: [], teams: [] }).notes, ['No teams to draft into.']);
+});
+
+test('a re-balance fixes a lopsided league with few moves', () => {
+    const good = D.draft({ campers: CAMPERS, teams: TEAMS }).assignment;
+    assert.deepEqual(D.rebalance({ campers: CAMPERS, teams: TEAMS, current: good }).moves, [],
+        'balanced teams are left alone');
+
+    // Two strong campers traded onto Red for two weak ones.
+    const red = CAMPERS.filter(c => good[c.name] === 'Red');
+    const weakOnRed = red.filter(c => c.rating <= 2).slice(0, 2);
+    const strongElsewhere = CAMPERS.filter(c => good[c.name] !== 'Red' && c.rating === 5).slice(0, 2);
+    const lopsided = Object.assign({}, good);
+    weakOnRed.forEach((w, i) => {
+        lopsided[w.name] = good[strongElsewhere[i].name];
+        lopsided[strongElsewhere[i].name] = 'Red';
+    });
+    const before = D.summarize({ campers: CAMPERS, teams: TEAMS }, lopsided).spread;
+    const r = D.rebalance({ campers: CAMPERS, teams: TEAMS, current: lopsided });
+    assert.ok(r.spread < before, r.spread + ' < ' + before);
+    assert.ok(r.moves.length > 0 && r.moves.length <= 4, 'moved ' + r.moves.length);
+    r.moves.forEach(m => assert.equal(lopsided[m.name], m.from));
+
+    const capped = D.rebalance({ campers: CAMPERS, teams: TEAMS, current: lopsided, maxMoves: 2 });
+    assert.ok(capped.moves.length <= 2);
+});
+
+test('a re-balance places newcomers without counting them as moves, and heals broken pairs', () => {
+    const good = D.draft({ campers: CAMPERS, teams: TEAMS }).assignment;
+    const current = Object.assign({}, good);
+    delete current.K07;
+    const newcomer = D.rebalance({ campers: CAMPERS, teams: TEAMS, current });
+    assert.deepEqual(newcomer.placed, ['K07']);
+    assert.ok(newcomer.assignment.K07);
+    assert.ok(newcomer.moves.every(m => m.name !== 'K07'));
+
+    const partner = CAMPERS.find(c => good[c.name] !== good.K01).name;
+    const r = D.rebalance({ campers: CAMPERS, teams: TEAMS, current: good, together: [['K01', partner]] });
+    assert.equal(r.assignment.K01, r.assignment[partner]);
+    assert.deepEqual(r.notes, []);
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for: weather_forecast.js WeatherForecast.normalize / analyzeDay
+ *            — hourly rows (our own shape, Open-Meteo, pasted JSON) read as
+ *            a full rainy day, a mid-day switch, or dry, plus heat-index
+ *            windows clipped to the camp day.
+ *
+ * Run with:  node --test tests/weather_forecast.test.js
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WF = require('../weather_forecast.js');
+
+const DAY = { startMin: 540, endMin: 1020 };   // 9:00am – 5:00pm
+
+function hours(date, rows) {
+    return { hours: rows.map(([h, mm, pct, hi]) => ({ time: `${date}T${h}`, precipMm: mm, precipProb: pct, heatIndexF: hi })) };
+}
+
+test('a dry morning with rain from 1:30pm proposes a mid-day switch at 1:30', () => {
+    const f = WF.normalize(hours('2026-07-15', [
+        ['09:00', 0, 10, 80], ['10:00', 0, 10, 82], ['11:00', 0, 20, 84], ['12:00', 0, 30, 85],
+        ['13:00', 0, 40, 85], ['13:30', 2.1, 85, 80], ['14:30', 3, 90, 78], ['15:30', 0.1, 30, 78], ['16:30', 0, 10, 78]
+    ]));
+    const a = WF.analyzeDay(f, '2026-07-15', DAY);
+    assert.equal(a.rain.kind, 'mid-day');
+    assert.equal(a.rain.startMin, 810);
+    assert.equal(a.rain.clearsAt, 930, 'the wet run ends at 3:30');
+    assert.equal(a.rain.peakProb, 0.9);
+});
+
+test('rain at the opening bell, or most of the day, is a full rainy day', () => {
+    const opening = WF.normalize(hours('2026-07-16', [['08:00', 1, 70, 70], ['09:00', 1, 80, 70], ['10:00', 0, 10, 70]]));
+    assert.equal(WF.analyzeDay(opening, '2026-07-16', DAY).rain.kind, 'full-day');
+
+    const rows = [];
+    for (let h = 9; h < 17; h++) rows.push([String(h).padStart(2, '0') + ':00', h >= 12 ? 2 : 0, h >= 12 ? 80 : 5, 70]);
+    const afternoon = WF.analyzeDay(WF.normalize(hours('2026-07-16', rows)), '2026-07-16', DAY);
+    assert.equal(afternoon.rain.kind, 'full-day', '5 of 8 hours wet');
+    assert.equal(afternoon.rain.startMin, 540);
+    assert.equal(WF.analyzeDay(WF.normalize(hours('2026-07-16', rows)), '2026-07-16',
+        Object.assign({ fullDayFraction: 0.8 }, DAY)).rain.kind, 'mid-day');
+});
+
+test('a likely drizzle under the mm threshold, or heavy rain at low odds, stays dry', () => {
+    const f = WF.normalize(hours('2026-07-17', [['10:00', 0.1, 95, 80], ['11:00', 4, 30, 80]]));
+    const a = WF.analyzeDay(f, '2026-07-17', DAY);
+    assert.equal(a.hasData, true);
+    assert.equal(a.rain, null);
+    assert.equal(WF.analyzeDay(f, '2026-07-18', DAY).hasData, false, 'another day has no data');
+});
+
+test('heat-index windows merge across consecutive slots and clip to the camp day', () => {
+    const f = WF.normalize(hours('2026-07-15', [
+        ['08:00', 0, 0, 99], ['09:00', 0, 0, 90], ['12:00', 0, 0, 96], ['13:00', 0, 0, 101], ['14:00', 0, 0, 97],
+        ['15:00', 0, 0, 92], ['16:00', 0, 0, 95]
+    ]));
+    const a = WF.analyzeDay(f, '2026-07-15', DAY);
+    assert.deepEqual(a.heat, [
+        { startMin: 720, endMin: 900, peakF: 101 },
+        { startMin: 960, endMin: 1020, peakF: 95 }
+    ]);
+    assert.equal(WF.analyzeDay(f, '2026-07-15', Object.assign({ heatIndexF: 100 }, DAY)).heat.length, 1);
+});
+
+test('an Open-Meteo style hourly block (°C, percent probability) normalizes too', () => {
+    const f = WF.normalize({
+        hourly: {
+            time: ['2026-07-15T13:00', '2026-07-15T14:00'],
+            precipitation: [0, 1.5],
+            precipitation_probability: [10, 75],
+            apparent_temperature: [35, 30]
+        },
+        hourly_units: { apparent_temperature: '°C' }
+    });
+    assert.deepEqual(f.hours[1], { date: '2026-07-15', min: 840, precipMm: 1.5, precipProb: 0.75, heatIndexF: 86 });
+    assert.equal(f.hours[0].heatIndexF, 95);
+});
+
+test('the local JSON provider reads pasted data; bad input normalizes to nothing', async () => {
+    assert.ok(WF.listProviders().some(p => p.id === 'local-json'));
+    const pasted = JSON.stringify(hours('2026-07-15', [['13:00', 2, 80, 90]]));
+    global.window = { loadGlobalSettings: () => ({ app1: { weatherForecast: { localData: pasted } } }) };
+    try {
+        const f = await WF.getForecast({ force: true });
+        assert.equal(f.hours.length, 1);
+        assert.equal(f.hours[0].min, 780);
+    } finally {
+        delete global.window;
+    }
+    assert.deepEqual(WF.normalize('not json').hours, []);
+    assert.equal(WF.addDays('2026-07-31', 1), '2026-08-01');
+});
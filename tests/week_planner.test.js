@@ -0,0 +1,173 @@
+/**
+ * Tests for: week_planner.js WeekPlanner.planWeek + fairness — the joint
+ *            plan behind "Generate the week" (specials, field quality, league
+ *            sports, history before the week) and the report that scores it
+ *            against day-by-day generation.
+ *
+ * Run with:  node --test tests/week_planner.test.js
+ *
+ * The joint pass must never score worse than day-by-day on the same
+ * inputs; that comparison is its own test.
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const W = require('../week_planner.js');
+
+const WEEK = ['2026-07-13', '2026-07-14', '2026-07-15', '2026-07-16', '2026-07-17'];
+const SPECIALS = ['Art', 'Drama', 'Woodshop', 'Music', 'Cooking'];
+
+function bunks(n, division) {
+    return Array.from({ length: n }, (_, i) => ({ name: 'B' + (i + 1), division: division || 'Juniors' }));
+}
+function plan(opts) {
+    return W.planWeek(Object.assign({
+        dates: WEEK,
+        bunks: bunks(5),
+        pools: { special: SPECIALS, sport: [] },
+        perDay: Object.fromEntries(bunks(5).map(b => [b.name, { special: 1, sport: 0 }]))
+    }, opts || {}));
+}
+
+test('weekDates returns the camp days of the date\'s Monday-anchored week', () => {
+    assert.deepEqual(W.weekDates('2026-07-15'), WEEK);
+    // A custom camp-day predicate replaces the weekday default (e.g. a Sunday camp).
+    assert.deepEqual(W.weekDates('2026-07-19', d => d !== '2026-07-14'), ['2026-07-13', '2026-07-15', '2026-07-16', '2026-07-17', '2026-07-18', '2026-07-19']);
+});
+
+test('with enough specials nobody repeats one in the week and no day is over-booked', () => {
+    const p = plan();
+    const f = W.fairness(W.planAsWeek(p), {});
+    assert.equal(f.repeats, 0);
+    assert.equal(f.backToBack, 0);
+    WEEK.forEach(d => {
+        const counts = {};
+        Object.values(p.days[d]).flat().forEach(a => { counts[a] = (counts[a] || 0) + 1; });
+        assert.ok(Object.values(counts).every(c => c <= 1), d + ' books a special twice');
+    });
+});
+
+test('history before the week steers a bunk off what it did the day before', () => {
+    const history = { counts: { B1: { Art: 1 } }, last: { B1: { Art: '2026-07-12' } }, perDay: {} };
+    const p = plan({ history });
+    assert.notEqual(p.days['2026-07-13'].B1[0], 'Art');
+});
+
+test('access restrictions keep a special off bunks that cannot use it', () => {
+    const p = plan({ eligible: (b, div, a) => !(a === 'Woodshop' && b !== 'B1') });
+    WEEK.forEach(d => {
+        Object.keys(p.days[d]).forEach(b => {
+            if (b !== 'B1') assert.ok(!p.days[d][b].includes('Woodshop'));
+        });
+    });
+});
+
+test('the joint pass never does worse than day-by-day on the same inputs', () => {
+    // Scarce: 3 specials, 6 bunks, two specials a day — repeats are forced,
+    // the question is how well they are spread.
+    const six = bunks(6);
+    const opts = {
+        bunks: six,
+        pools: { special: ['Art', 'Drama', 'Woodshop'], sport: [] },
+        perDay: Object.fromEntries(six.map(b => [b.name, { special: 2, sport: 0 }]))
+    };
+    const joint = plan(Object.assign({}, opts, { joint: true }));
+    const daily = plan(Object.assign({}, opts, { joint: false }));
+    assert.ok(joint.cost <= daily.cost, `joint ${joint.cost} > day-by-day ${daily.cost}`);
+});
+
+test('field quality is part of the objective: good-field sports are spread across a grade', () => {
+    // Two sports on a rank-1 field, two on a rank-3 field, one sport a day.
+    const three = bunks(3);
+    const rank = { Archery: 1, Basketball: 1, Cricket: 3, Dodgeball: 3 };
+    const dates = WEEK.slice(0, 2);
+    function gap(fieldRank) {
+        const p = plan({
+            dates, bunks: three, fieldRank,
+            pools: { special: [], sport: Object.keys(rank) },
+            perDay: Object.fromEntries(three.map(b => [b.name, { special: 0, sport: 1 }]))
+        });
+        const avg = three.map(b => dates.reduce((n, d) => n + rank[p.days[d][b.name][0]], 0) / dates.length);
+        return Math.max(...avg) - Math.min(...avg);
+    }
+    assert.equal(gap(undefined), 1, 'without ranks one bunk gets both good fields');
+    assert.equal(gap(rank), 0);
+});
+
+test('league teams are planned their own sports across the week', () => {
+    const A = W.teamKey('Juniors League', 'Eagles');
+    const B = W.teamKey('Juniors League', 'Hawks');
+    const p = W.planWeek({
+        dates: WEEK.slice(0, 3),
+        bunks: [{ name: A }, { name: B }],
+        pools: { league: ['Basketball', 'Hockey', 'Soccer'] },
+        history: { counts: {}, last: { [A]: { Basketball: '2026-07-10' } }, perDay: {} }
+    });
+    assert.equal(p.kinds.Basketball, 'league');
+    [A, B].forEach(t => {
+        const week = WEEK.slice(0, 3).map(d => p.days[d][t][0]);
+        assert.equal(new Set(week).size, 3, t + ' repeats a sport: ' + week);
+    });
+    const f = W.fairness(W.planAsWeek({ dates: p.dates, days: {}, kinds: {}, league: p }), {});
+    assert.equal(f.leagueRepeats, 0);
+    assert.equal(f.leagueBackToBack, 0);
+    assert.equal(f.specialGap, 0, 'teams are not bunks of a grade');
+});
+
+test('league games come from leagueAssignments, once per game, and feed history', () => {
+    const game = { leagueName: 'Seniors', gameLabel: 'Game 3', sport: 'Hockey',
+        matchups: ['Lions vs Tigers @ Court 1 (Basketball)', 'Bears vs Wolves', 'Lions, Tigers, Bears — round robin', 'Owls vs BYE'] };
+    const la = { Seniors: { 2: game }, Majors: { 2: game } };
+    const rows = W.leagueRows(la);
+    assert.deepEqual(rows[W.teamKey('Seniors', 'Lions')], [{ activity: 'Basketball', kind: 'league' }]);
+    assert.deepEqual(rows[W.teamKey('Seniors', 'Wolves')], [{ activity: 'Hockey', kind: 'league' }], 'the game\'s sport when the line has none');
+    assert.equal(Object.keys(rows).length, 4);
+
+    const h = W.collectHistory({ '2026-07-09': { scheduleAssignments: {}, leagueAssignments: la } }, '2026-07-13', {});
+    const lions = W.teamKey('Seniors', 'Lions');
+    assert.deepEqual(h.counts[lions], { Basketball: 1 });
+    assert.equal(h.last[lions].Basketball, '2026-07-09');
+    assert.deepEqual(h.perDay[lions], { league: 1 });
+});
+
+test('fairness counts repeats, back-to-backs, swim time repeats and field-quality gaps', () => {
+    const week = {
+        '2026-07-13': {
+            B1: [{ activity: 'Art', kind: 'special' }, { activity: 'Swim', kind: 'swim', startMin: 600, field: 'Pool' }, { activity: 'Soccer', kind: 'sport', field: 'Turf' }],
+            B2: [{ activity: 'Drama', kind: 'special' }, { activity: 'Soccer', kind: 'sport', field: 'Grass' }]
+        },
+        '2026-07-14': {
+            B1: [{ activity: 'Art', kind: 'special' }, { activity: 'Swim', kind: 'swim', startMin: 600, field: 'Pool' }],
+            B2: []
+        }
+    };
+    const f = W.fairness(week, { bunkDivision: { B1: 'J', B2: 'J' }, fieldRank: { Turf: 1, Grass: 3 } });
+    assert.equal(f.repeats, 1);
+    assert.equal(f.backToBack, 1);
+    assert.equal(f.specialGap, 1);
+    assert.equal(f.swimSameTime, 1);
+    assert.equal(f.fieldQualityGap, 2);
+});
+
+test('bias and swimPenalty are inert outside a week run', () => {
+    assert.equal(W.isActive(), false);
+    assert.equal(W.bias('B1', 'Art', '2026-07-13'), 0);
+    assert.equal(W.leagueBias('Seniors', 'Lions', 'Hockey', '2026-07-13'), 0);
+    assert.equal(W.swimPenalty('Juniors', '2026-07-13', 600), 0);
+});
+
+test('collectHistory reads counts, last dates and per-day demand from saved days', () => {
+    const all = {
+        '2026-07-09': { scheduleAssignments: { B1: [
+            { field: 'Art Room', _activity: 'Art', _startMin: 600, _endMin: 645 },
+            { field: 'Turf', sport: 'Soccer', _activity: 'Soccer', _startMin: 660, _endMin: 705 }
+        ] } },
+        '2026-07-20': { scheduleAssignments: { B1: [{ field: 'Art Room', _activity: 'Art' }] } }
+    };
+    const h = W.collectHistory(all, '2026-07-13', { art: 1 });
+    assert.deepEqual(h.counts.B1, { Art: 1, Soccer: 1 });
+    assert.equal(h.last.B1.Art, '2026-07-09');
+    assert.deepEqual(h.perDay.B1, { special: 1, sport: 1 });
+});
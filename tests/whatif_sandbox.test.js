@@ -0,0 +1,244 @@
+/**
+ * Tests for: whatif_sandbox.js WhatIfSandbox — tweaks on a scratch copy
+ *            of the camp, the oracle input, and run / promote: storage,
+ *            settings, cloud writers (ScheduleDB, RotationCloud, the Supabase
+ *            client) and the day's globals are left as they were, and cloud
+ *            events that land mid-run are replayed after it.
+ *
+ * Run with:  node --test tests/whatif_sandbox.test.js
+ *
+ * The promote test takes the pending what-if the run test before it
+ * leaves, so new tests go after it.
+ */
+
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+function fakeStorage(init) {
+    const m = new Map(Object.entries(init || {}));
+    return {
+        get length() { return m.size; },
+        key: i => Array.from(m.keys())[i] ?? null,
+        getItem: k => (m.has(k) ? m.get(k) : null),
+        setItem: (k, v) => { m.set(k, String(v)); },
+        removeItem: k => { m.delete(k); },
+        dump: () => Object.fromEntries(m)
+    };
+}
+
+global.window = {};
+const S = require('../whatif_sandbox.js');
+
+const DATE = '2026-07-14';
+const SETTINGS = {
+    app1: {
+        fields: [{ name: 'Turf', activities: ['Soccer'] }, { name: 'Court', activities: ['Basketball'] }],
+        specialActivities: [
+            { name: 'Canteen', location: 'Turf', sharableWith: { type: 'not_sharable' } },
+            { name: 'Art', location: 'Art Room', sharableWith: { type: 'all', capacity: 2 } }
+        ]
+    }
+};
+const TWEAKS = {
+    closeFields: ['Turf'],
+    addTrips: [{ event: 'Zoo', divisions: ['Juniors'], startMin: 600, endMin: 720 }],
+    specialCapacity: { Canteen: 3 }
+};
+
+test('tweaks land on a scratch copy and never touch the base', () => {
+    const base = { settings: SETTINGS, daily: {}, dateKey: DATE, trips: [], overrides: {} };
+    const before = JSON.stringify(base);
+    const s = S.applyTweaks(base, TWEAKS);
+    assert.equal(JSON.stringify(base), before);
+
+    assert.deepEqual(s.overrides.disabledFields, ['Turf']);
+    assert.deepEqual(s.overrides.disabledSpecials, ['Canteen'], 'the special located on the closed field closes with it');
+    assert.equal(s.trips.length, 1);
+    assert.deepEqual([s.trips[0].division, s.trips[0].startTime, s.trips[0].endTime], ['Juniors', '10:00am', '12:00pm']);
+    assert.deepEqual(s.settings.app1.specialActivities[0].sharableWith, { type: 'all', capacity: 3 });
+    assert.equal(s.daily[DATE].overrides.disabledFields[0], 'Turf');
+    assert.equal(s.settings.app1.dailyTripsByDate[DATE].length, 1);
+
+    assert.equal(S.applyTweaks(base, { specialCapacity: { Art: 1 } }).settings.app1.specialActivities[1].sharableWith.type, 'not_sharable');
+});
+
+test('the oracle input drops closed fields and pins trips for their grades', () => {
+    const s = S.applyTweaks({ settings: SETTINGS, daily: {}, dateKey: DATE, trips: [], overrides: {} }, TWEAKS);
+    const divisions = { Juniors: { bunks: ['J1'] }, Seniors: { bunks: ['S1'] }, Camp: { isParent: true, bunks: ['x'] } };
+    const cfg = S.oracleInput(s, divisions, { Seniors: [{ type: 'swim', startMin: 540, endMin: 600 }] });
+    assert.deepEqual(cfg.globalSettings.app1.fields.map(f => f.name), ['Court']);
+    assert.deepEqual(cfg.allGrades, ['Juniors', 'Seniors']);
+    assert.deepEqual(cfg.layersByGrade.Juniors, [{ type: 'trip', event: 'Zoo', startMin: 600, endMin: 720 }]);
+    assert.equal(cfg.layersByGrade.Seniors.length, 1);
+});
+
+test('a run generates against the tweaks and leaves storage, settings and the day untouched', async () => {
+    const ls = fakeStorage({ campDailyData_v1: '{"keep":1}', other: 'x' });
+    const cloud = [];
+    const events = [];
+    let liveSettings = JSON.parse(JSON.stringify(SETTINGS));
+    const liveSA = { J1: [{ field: 'Turf', _activity: 'Soccer', _startMin: 600, _endMin: 660 }] };
+    Object.assign(window, {
+        localStorage: ls,
+        currentScheduleDate: DATE,
+        divisions: { Juniors: { bunks: ['J1'] } },
+        scheduleAssignments: liveSA,
+        divisionTimes: {},
+        loadGlobalSettings: () => liveSettings,
+        saveGlobalSettings: (k, v) => { cloud.push(k); liveSettings[k] = v; },
+        loadAllDailyData: () => ({}),
+        ScheduleDB: { saveSchedule: async () => { cloud.push('db'); }, loadSchedule: async () => null },
+        verifiedScheduleSave: async () => { cloud.push('verified'); },
+        dispatchEvent: ev => { events.push(ev.type); return true; }
+    });
+
+    let seen = null;
+    const r = await S.run(TWEAKS, {
+        generate: async () => {
+            const gs = window.loadGlobalSettings();
+            seen = {
+                cap: gs.app1.specialActivities[0].sharableWith.capacity,
+                closed: window.loadAllDailyData()[DATE].overrides.disabledFields,
+                trips: JSON.parse(ls.getItem('campDailyTrips_' + DATE)).length
+            };
+            window.scheduleAssignments = { J1: [{ field: 'Court', _activity: 'Basketball', _startMin: 600, _endMin: 660 }] };
+            window.saveGlobalSettings('daily_schedules', { [DATE]: { scheduleAssignments: window.scheduleAssignments } });
+            window.saveGlobalSettings('historicalCounts', { J1: { Basketball: 1 } });
+            ls.setItem('campDailyData_v1', '{"scratch":1}');
+            ls.setItem('scratchOnly', '1');
+            await window.ScheduleDB.saveSchedule(DATE, {});
+            await window.verifiedScheduleSave(DATE);
+            window.dispatchEvent({ type: 'campistry-generation-complete' });
+            window.dispatchEvent({ type: 'resize' });
+            return { ok: true, messages: [] };
+        }
+    });
+
+    assert.deepEqual(seen, { cap: 3, closed: ['Turf'], trips: 1 });
+    assert.deepEqual(cloud, [], 'nothing reached the live save paths');
+    assert.deepEqual(events, ['resize'], 'campistry events are held back, others pass');
+    assert.deepEqual(ls.dump(), { campDailyData_v1: '{"keep":1}', other: 'x' });
+    assert.equal(liveSettings.historicalCounts, undefined);
+    assert.equal(window.scheduleAssignments.J1[0].field, 'Turf');
+    assert.equal(typeof window.ScheduleDB.loadSchedule, 'function');
+
+    assert.equal(r.ok, true);
+    assert.equal(r.sandbox.data.scheduleAssignments.J1[0].field, 'Court');
+    assert.equal(r.live.data.scheduleAssignments.J1[0].field, 'Turf');
+    assert.equal(S.pending(), r);
+});
+
+test('promote installs the what-if day and refuses once the live day has moved on', async () => {
+    const saved = [];
+    window.saveCurrentDailyData = (k, v) => saved.push(k);
+    window.verifiedScheduleSave = async d => { saved.push('verified:' + d); };
+    window.saveDailyTrips = (d, trips) => saved.push('trips:' + trips.length);
+    window.loadDailyTrips = () => [];
+    window.saveGlobalSpecialActivities = list => saved.push('specials:' + list[0].sharableWith.capacity);
+    window.DailyAdjustmentsInternal = { closeFacilities: names => saved.push('close:' + names.join()) };
+
+    window.scheduleAssignments = { J1: [] };
+    await assert.rejects(S.promote(), /changed since/);
+
+    window.scheduleAssignments = S.pending().live.data.scheduleAssignments;
+    await S.promote();
+    assert.equal(window.scheduleAssignments.J1[0].field, 'Court');
+    assert.deepEqual(saved, ['close:Turf', 'trips:1', 'specials:3', 'scheduleAssignments', 'leagueAssignments', 'divisionTimes', 'verified:' + DATE]);
+    assert.equal(S.pending(), null);
+});
+
+test('a cloud hydration that lands mid-run keeps its writes and its events are replayed after', async () => {
+    const ls = fakeStorage({ campDailyData_v1: '{"keep":1}', campGlobalSettings_v1: '{"v":1}' });
+    const events = [];
+    Object.assign(window, {
+        localStorage: ls,
+        currentScheduleDate: DATE,
+        scheduleAssignments: {},
+        loadGlobalSettings: () => JSON.parse(JSON.stringify(SETTINGS)),
+        saveGlobalSettings: () => {},
+        loadAllDailyData: () => ({}),
+        dispatchEvent: ev => { events.push(ev.type); return true; }
+    });
+
+    let during = null;
+    await S.run({}, {
+        generate: async () => {
+            ls.setItem('campDailyData_v1', '{"scratch":1}');
+            await null;
+            // Realtime: hydrateFromCloud writes storage and announces it in one turn
+            ls.setItem('campGlobalSettings_v1', '{"v":2}');
+            ls.setItem('campDailyData_v1', '{"remote":1}');
+            window.dispatchEvent({ type: 'campistry-cloud-hydrated' });
+            await null;
+            window.dispatchEvent({ type: 'campistry-remote-change', detail: { key: 'leaguesByName' } });
+            ls.setItem('scratchOnly', '1');
+            window.dispatchEvent({ type: 'campistry-generation-complete' });
+            during = events.slice();
+            return { ok: true, messages: [] };
+        }
+    });
+
+    assert.deepEqual(during, [], 'nothing reaches listeners mid-run');
+    assert.deepEqual(events, ['campistry-cloud-hydrated', 'campistry-remote-change'],
+        'the cloud events are replayed after the run, the pipeline\'s own are not');
+    assert.deepEqual(ls.dump(), { campDailyData_v1: '{"remote":1}', campGlobalSettings_v1: '{"v":2}' },
+        'the cloud\'s writes stay, the run\'s own keys are put back');
+});
+
+test('a run makes no cloud client write and puts back the day\'s staff, officials and explanations', async () => {
+    const writes = [], reads = [];
+    function builder(table) {
+        const b = {
+            select: () => b, eq: () => b,
+            maybeSingle: async () => { reads.push(table); return { data: { value: 1 }, error: null }; }
+        };
+        ['insert', 'upsert', 'update', 'delete'].forEach(fn => {
+            b[fn] = () => { writes.push(table + '.' + fn); return b; };
+        });
+        return b;
+    }
+    const rotationSaves = [];
+    Object.assign(window, {
+        localStorage: fakeStorage({}),
+        currentScheduleDate: DATE,
+        scheduleAssignments: {},
+        loadGlobalSettings: () => JSON.parse(JSON.stringify(SETTINGS)),
+        saveGlobalSettings: () => {},
+        loadAllDailyData: () => ({}),
+        dispatchEvent: () => true,
+        supabase: { from: builder, rpc: () => { writes.push('rpc'); return builder('rpc'); }, auth: { id: 'auth' } },
+        RotationCloud: { save: async d => { rotationSaves.push(d); return true; }, getCachedData: () => 'cache' },
+        staffAssignments: { date: DATE, live: 1 },
+        leagueOfficialAssignments: { date: DATE, live: 1 },
+        _genExplain: { date: DATE, live: 1 }
+    });
+    const liveClient = window.supabase;
+
+    let read = null, saved = null;
+    await S.run({}, {
+        generate: async () => {
+            const sb = window.supabase;
+            read = await sb.from('camp_state_kv').select('value').eq('key', 'leagueHistory').maybeSingle();
+            const up = await sb.from('camp_state_kv').upsert({ key: 'leagueHistory' }, { onConflict: 'camp_id,key' });
+            await sb.from('daily_schedules').update({ x: 1 }).eq('date_key', DATE).select();
+            await sb.from('daily_schedules').delete().eq('date_key', DATE);
+            await sb.rpc('save_rotation_counts', {});
+            saved = { up: up.error, auth: sb.auth.id, rotation: await window.RotationCloud.save(DATE, {}), cache: window.RotationCloud.getCachedData() };
+            window.staffAssignments = { date: DATE, scratch: 1 };
+            window.leagueOfficialAssignments = { date: DATE, scratch: 1 };
+            window._genExplain = { date: DATE, scratch: 1 };
+            return { ok: true, messages: [] };
+        }
+    });
+
+    assert.deepEqual(writes, [], 'no insert / upsert / update / delete / rpc reached the client');
+    assert.deepEqual(rotationSaves, []);
+    assert.deepEqual(reads, ['camp_state_kv'], 'reads still go through');
+    assert.deepEqual(read.data, { value: 1 });
+    assert.deepEqual(saved, { up: null, auth: 'auth', rotation: true, cache: 'cache' });
+    assert.equal(window.supabase, liveClient);
+    assert.deepEqual(window.staffAssignments, { date: DATE, live: 1 });
+    assert.deepEqual(window.leagueOfficialAssignments, { date: DATE, live: 1 });
+    assert.deepEqual(window._genExplain, { date: DATE, live: 1 });
+});
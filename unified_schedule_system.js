@@ -5941,6 +5941,7 @@ if (bypassStatus.highlight) {
                 <span style="color:#6b7280;margin-left:8px;">${minutesToTimeLabel(startMin)} – ${minutesToTimeLabel(endMin)}</span>
             </div>
             ${window.PostEditReport?.panelHtml?.(bunk, divName, startMin, endMin, currentActivity, _reportCtx) || ''}
+            ${window.PostEditReport?.whyHtml?.(bunk, startMin, currentActivity) || ''}
             <div style="display:flex;flex-direction:column;gap:14px;">
                 <div>
                     <label style="display:block;font-weight:600;color:#374151;margin-bottom:6px;">What activity?</label>
@@ -8781,6 +8782,50 @@ if (softBlocks.length > 0) {
                 updateTable();
                 return { success: true, name: row.name };
             } catch (err) { return { success: false, error: err.message }; }
+        },
+        // Selective restore (Saved Schedules → Compare): copy only some bunks, or
+        // only [startMin, endMin) of them, from a saved version into the live
+        // schedule. Cell copying is ScheduleDiff.restore; this applies the
+        // result, backs up first like restoreVersionById, and saves.
+        async restorePartial(versionId, { bunks = [], startMin = null, endMin = null, snapshotFirst = true } = {}) {
+            const dateKey = getDateKey();
+            if (!dateKey || !window.ScheduleVersionsDB || !window.ScheduleDiff) { return { success: false, error: 'Version database not available.' }; }
+            if (!bunks.length) return { success: false, error: 'Pick at least one bunk.' };
+            try {
+                const row = await window.ScheduleVersionsDB.getVersion(versionId);
+                if (!row) return { success: false, error: 'Saved schedule not found.' };
+                const D = window.ScheduleDiff;
+                // Cells whose field another bunk now holds, and league games on
+                // either side (leagueAssignments is per game, not per bunk), come
+                // back in `skipped` and keep their live contents.
+                const res = D.restore(D.liveData(), D.versionData(row), {
+                    bunks, startMin, endMin, divisionOf: D.liveDivisionOf(), fieldCapacity: D.liveFieldCapacity()
+                });
+                if (!res.restored.length) return { success: false, error: 'Nothing restored.', skipped: res.skipped };
+                if (snapshotFirst && Object.keys(window.scheduleAssignments || {}).length > 0) {
+                    const stamp = new Date().toLocaleString();
+                    try { await this.saveVersion(`Auto-backup before restore (${stamp})`, { silent: true }); } catch (_e) {}
+                }
+                window.scheduleAssignments = res.scheduleAssignments;
+                window._scheduleAssignmentsDate = dateKey; // owner stamp coherent with the restored cells (cross-date guard)
+                Object.keys(res.grids).forEach(b => {
+                    const g = res.grids[b];
+                    const slots = window.divisionTimes?.[g.division];
+                    if (slots && slots._perBunkSlots) slots._perBunkSlots[b] = g.slots;
+                });
+                // Re-derive segments for the restored bunks only — the others keep theirs.
+                try {
+                    const seg = window.AutoSegmentModel?.segmentFromAssignment;
+                    if (seg && window.scheduleSegments) {
+                        res.restored.forEach(r => {
+                            window.scheduleSegments[r.bunk] = (res.scheduleAssignments[r.bunk] || []).map(e => { const s = seg(e); return s ? [s] : []; });
+                        });
+                    }
+                } catch (_e) {}
+                saveSchedule();
+                updateTable();
+                return { success: true, name: row.name, restored: res.restored, skipped: res.skipped };
+            } catch (err) { return { success: false, error: err.message }; }
         }
     };
 
@@ -0,0 +1,334 @@
+// =================================================================
+// weather_forecast.js — Forecast adapter for rainy-day / heat planning
+// VERSION: v1.0
+// -----------------------------------------------------------------
+// Rainy-day mode (daily_adjustments.js, RainyDayManager) is switched
+// by hand. This file feeds it a forecast: a PROVIDER returns hourly
+// (or finer) precipitation + heat index, normalize() turns any of the
+// accepted shapes into one list, and analyzeDay() reads a camp day
+// out of it:
+//
+//   rain.kind 'full-day'  wet at the opening bell, or wet for at least
+//                         fullDayFraction of the camp day
+//   rain.kind 'mid-day'   dry start, rain from startMin on
+//   heat[]                windows where the heat index reaches the
+//                         threshold — Daily Adjustments closes outdoor
+//                         fields for them so sports move indoors
+//
+// Daily Adjustments turns those into one-click suggestions ("go rainy
+// at 1:30pm", "full rainy day tomorrow") with a preview, and applies
+// an accepted "tomorrow" plan when that date is opened.
+//
+// Providers: register({ label, fetch(cfg) → Promise<raw> }). The
+// built-in 'local-json' provider is the stand-in — forecast JSON
+// pasted into settings or served as a static file (localUrl). A real
+// weather API plugs in as another provider returning either shape:
+//
+//   { hours: [{ time: '2026-07-15T13:30', precipMm, precipProb, heatIndexF }] }
+//   { hourly: { time: [], precipitation: [], precipitation_probability: [],
+//               apparent_temperature: [] }, hourly_units: { apparent_temperature: '°C' } }
+//
+// Settings + accepted plans live in app1.weatherForecast.
+// normalize() / analyzeDay() are pure — see tests/weather_forecast.test.js.
+// =================================================================
+
+(function () {
+    'use strict';
+
+    const DEFAULTS = {
+        provider: 'local-json',
+        localUrl: '',
+        localData: '',
+        rainProbPct: 60,       // a slot is wet at ≥ this chance of rain…
+        rainMm: 0.3,           // …and ≥ this much precipitation (mm per slot)
+        fullDayFraction: 0.5,  // wet for half the camp day → full rainy day
+        heatIndexF: 95         // heat index that pulls outdoor sports inside
+    };
+    const CACHE_MS = 15 * 60 * 1000;
+
+    const providers = {};
+    let _cache = null;         // { key, at, forecast }
+    let _lastError = null;
+
+    // ------------------------------------------------------------------
+    // Normalization
+    // ------------------------------------------------------------------
+    function num(v) {
+        if (v === null || v === undefined || v === '') return null;
+        const n = Number(v);
+        return isFinite(n) ? n : null;
+    }
+
+    function pick(o, keys) {
+        for (let i = 0; i < keys.length; i++) {
+            if (o[keys[i]] !== undefined && o[keys[i]] !== null) return o[keys[i]];
+        }
+        return null;
+    }
+
+    // Probability as 0..1 whether the source says 0.8 or 80.
+    function prob(v) {
+        const n = num(v);
+        if (n === null) return null;
+        return n > 1 ? n / 100 : n;
+    }
+
+    // 'YYYY-MM-DDTHH:MM' (seconds / zone suffix ignored — the forecast is in
+    // camp-local time, same as the schedule).
+    function splitTime(t) {
+        const m = String(t || '').match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):(\d{2})/);
+        return m ? { date: m[1], min: (+m[2]) * 60 + (+m[3]) } : null;
+    }
+
+    function cToF(c) { return c === null ? null : Math.round((c * 9 / 5 + 32) * 10) / 10; }
+
+    function normalize(raw) {
+        if (typeof raw === 'string') {
+            try { raw = JSON.parse(raw); } catch (_e) { return { hours: [] }; }
+        }
+        if (!raw) return { hours: [] };
+        const out = [];
+        if (raw.hourly && Array.isArray(raw.hourly.time)) {
+            const h = raw.hourly;
+            const units = raw.hourly_units || {};
+            const celsius = !/F/.test(String(units.apparent_temperature || units.heat_index || '°C'));
+            h.time.forEach((t, i) => {
+                const at = splitTime(t);
+                if (!at) return;
+                const heat = num((h.heat_index || h.apparent_temperature || [])[i]);
+                out.push({
+                    date: at.date, min: at.min,
+                    precipMm: num((h.precipitation || h.rain || [])[i]),
+                    precipProb: prob((h.precipitation_probability || [])[i]),
+                    heatIndexF: celsius ? cToF(heat) : heat
+                });
+            });
+        } else {
+            const list = Array.isArray(raw) ? raw : (raw.hours || []);
+            list.forEach(e => {
+                if (!e) return;
+                const at = splitTime(pick(e, ['time', 'start', 'datetime']));
+                if (!at) return;
+                let heat = num(pick(e, ['heatIndexF', 'heat_index_f', 'heatIndex', 'feelsLikeF']));
+                if (heat === null) heat = cToF(num(pick(e, ['heatIndexC', 'heat_index_c'])));
+                out.push({
+                    date: at.date, min: at.min,
+                    precipMm: num(pick(e, ['precipMm', 'precip_mm', 'precipitation', 'rain'])),
+                    precipProb: prob(pick(e, ['precipProb', 'precip_prob', 'precipitation_probability', 'pop'])),
+                    heatIndexF: heat
+                });
+            });
+        }
+        out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.min - b.min));
+        return { hours: out, source: raw.source || null };
+    }
+
+    // ------------------------------------------------------------------
+    // Analysis
+    // ------------------------------------------------------------------
+    function isWet(e, th) {
+        const p = e.precipProb, mm = e.precipMm;
+        if (mm === null) return p !== null && p >= th.rainProb;
+        return mm >= th.rainMm && (p === null || p >= th.rainProb);
+    }
+
+    // Each entry covers [min, next entry) — 60 min for the last one.
+    function slotsFor(forecast, dateKey, startMin, endMin) {
+        const day = ((forecast && forecast.hours) || []).filter(e => e.date === dateKey);
+        const out = [];
+        day.forEach((e, i) => {
+            const next = day[i + 1] ? day[i + 1].min : e.min + 60;
+            const s = Math.max(e.min, startMin), en = Math.min(next, endMin);
+            if (en > s) out.push({ s, e: en, entry: e });
+        });
+        return out;
+    }
+
+    function analyzeDay(forecast, dateKey, opts) {
+        opts = opts || {};
+        const startMin = opts.startMin != null ? opts.startMin : 540;
+        const endMin = opts.endMin != null ? opts.endMin : 1020;
+        const th = {
+            rainProb: (opts.rainProbPct != null ? opts.rainProbPct : DEFAULTS.rainProbPct) / 100,
+            rainMm: opts.rainMm != null ? opts.rainMm : DEFAULTS.rainMm,
+            fullDayFraction: opts.fullDayFraction != null ? opts.fullDayFraction : DEFAULTS.fullDayFraction,
+            heatIndexF: opts.heatIndexF != null ? opts.heatIndexF : DEFAULTS.heatIndexF
+        };
+        const slots = slotsFor(forecast, dateKey, startMin, endMin);
+        const result = { date: dateKey, hasData: slots.length > 0, rain: null, heat: [] };
+        if (!slots.length) return result;
+
+        let covered = 0, wetMin = 0, firstWet = null, peakProb = 0, peakMm = 0;
+        slots.forEach(sl => {
+            covered += sl.e - sl.s;
+            if (!isWet(sl.entry, th)) return;
+            wetMin += sl.e - sl.s;
+            if (!firstWet) firstWet = sl;
+            peakProb = Math.max(peakProb, sl.entry.precipProb || 0);
+            peakMm = Math.max(peakMm, sl.entry.precipMm || 0);
+        });
+        if (firstWet) {
+            // End of the wet run that starts at firstWet (rain clears then).
+            let clearsAt = null;
+            for (let i = slots.indexOf(firstWet); i < slots.length; i++) {
+                if (!isWet(slots[i].entry, th)) { clearsAt = slots[i].s; break; }
+            }
+            const wetFraction = covered ? wetMin / covered : 0;
+            const atOpening = firstWet.s <= startMin;
+            const kind = (atOpening || wetFraction >= th.fullDayFraction) ? 'full-day' : 'mid-day';
+            result.rain = {
+                kind,
+                startMin: kind === 'full-day' ? startMin : Math.floor(firstWet.s / 5) * 5,
+                clearsAt,
+                wetFraction: Math.round(wetFraction * 100) / 100,
+                peakProb,
+                peakMm
+            };
+        }
+
+        let cur = null;
+        slots.forEach(sl => {
+            const hf = sl.entry.heatIndexF;
+            if (hf !== null && hf >= th.heatIndexF) {
+                if (cur && cur.endMin === sl.s) { cur.endMin = sl.e; cur.peakF = Math.max(cur.peakF, hf); }
+                else { cur = { startMin: sl.s, endMin: sl.e, peakF: hf }; result.heat.push(cur); }
+            } else {
+                cur = null;
+            }
+        });
+        return result;
+    }
+
+    // ------------------------------------------------------------------
+    // Providers
+    // ------------------------------------------------------------------
+    function registerProvider(id, provider) {
+        if (!id || !provider || typeof provider.fetch !== 'function') return;
+        providers[id] = { id, label: provider.label || id, fetch: provider.fetch };
+        _cache = null;
+    }
+
+    function listProviders() {
+        return Object.keys(providers).map(id => ({ id, label: providers[id].label }));
+    }
+
+    registerProvider('local-json', {
+        label: 'Local JSON (file or pasted)',
+        fetch: async function (cfg) {
+            if (cfg.localData) return typeof cfg.localData === 'string' ? JSON.parse(cfg.localData) : cfg.localData;
+            if (cfg.localUrl && typeof fetch === 'function') {
+                const res = await fetch(cfg.localUrl, { cache: 'no-store' });
+                if (!res.ok) throw new Error('HTTP ' + res.status + ' for ' + cfg.localUrl);
+                return res.json();
+            }
+            return null;
+        }
+    });
+
+    // ------------------------------------------------------------------
+    // Settings + accepted plans (app1.weatherForecast)
+    // ------------------------------------------------------------------
+    function app1() {
+        try { return ((window.loadGlobalSettings && window.loadGlobalSettings()) || {}).app1 || {}; }
+        catch (_e) { return {}; }
+    }
+
+    function stored() { return app1().weatherForecast || {}; }
+
+    function settings() {
+        return Object.assign({}, DEFAULTS, stored());
+    }
+
+    function isConfigured(cfg) {
+        cfg = cfg || settings();
+        if (cfg.provider !== 'local-json') return !!providers[cfg.provider];
+        return !!(cfg.localData || cfg.localUrl);
+    }
+
+    function write(mutate) {
+        const a = app1();
+        const wf = Object.assign({}, a.weatherForecast || {});
+        mutate(wf);
+        // Plans / dismissals older than two weeks are dead weight in app1.
+        const cutoff = new Date(Date.now() - 14 * 86400000).toISOString().slice(0, 10);
+        ['plans', 'dismissed'].forEach(k => {
+            if (!wf[k]) return;
+            Object.keys(wf[k]).forEach(d => { if (d < cutoff) delete wf[k][d]; });
+        });
+        a.weatherForecast = wf;
+        if (window.saveGlobalSettings) window.saveGlobalSettings('app1', a);
+        return wf;
+    }
+
+    function saveSettings(patch) {
+        _cache = null;
+        return write(wf => Object.assign(wf, patch || {}));
+    }
+
+    function getPlan(dateKey) { return (stored().plans || {})[dateKey] || null; }
+
+    function savePlan(dateKey, plan) {
+        return write(wf => { wf.plans = Object.assign({}, wf.plans, { [dateKey]: plan }); });
+    }
+
+    function clearPlan(dateKey) {
+        return write(wf => { if (wf.plans) delete wf.plans[dateKey]; });
+    }
+
+    function isDismissed(dateKey, what) {
+        return ((stored().dismissed || {})[dateKey] || []).indexOf(what) !== -1;
+    }
+
+    function dismiss(dateKey, what) {
+        return write(wf => {
+            wf.dismissed = Object.assign({}, wf.dismissed);
+            const list = (wf.dismissed[dateKey] || []).slice();
+            if (list.indexOf(what) === -1) list.push(what);
+            wf.dismissed[dateKey] = list;
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Fetch (cached per provider + source)
+    // ------------------------------------------------------------------
+    async function getForecast(opts) {
+        const cfg = settings();
+        if (!isConfigured(cfg)) return null;
+        const key = [cfg.provider, cfg.localUrl, String(cfg.localData || '').length].join('|');
+        if (!(opts && opts.force) && _cache && _cache.key === key && Date.now() - _cache.at < CACHE_MS) {
+            return _cache.forecast;
+        }
+        const p = providers[cfg.provider];
+        if (!p) { _lastError = 'Unknown forecast provider "' + cfg.provider + '"'; return null; }
+        try {
+            const forecast = normalize(await p.fetch(cfg));
+            forecast.fetchedAt = new Date().toISOString();
+            _cache = { key, at: Date.now(), forecast };
+            _lastError = null;
+            return forecast;
+        } catch (e) {
+            _lastError = (e && e.message) || String(e);
+            console.warn('[WeatherForecast] fetch failed:', _lastError);
+            return null;
+        }
+    }
+
+    function addDays(dateKey, n) {
+        const [Y, M, D] = String(dateKey).split('-').map(Number);
+        const d = new Date(Date.UTC(Y, M - 1, D + n));
+        return d.toISOString().slice(0, 10);
+    }
+
+    const WeatherForecast = {
+        DEFAULTS,
+        normalize, analyzeDay, addDays,
+        registerProvider, listProviders,
+        settings, saveSettings, isConfigured,
+        getPlan, savePlan, clearPlan, isDismissed, dismiss,
+        getForecast,
+        lastError: () => _lastError
+    };
+
+    if (typeof window !== 'undefined') window.WeatherForecast = WeatherForecast;
+    if (typeof module !== 'undefined' && module.exports) module.exports = WeatherForecast;
+})();
@@ -0,0 +1,877 @@
+/* =============================================================================
+ * WEEK PLANNER  (window.WeekPlanner)
+ * -----------------------------------------------------------------------------
+ * "Generate the week". The builders solve one currentScheduleDate at a time and
+ * fairness across days is only approximated by RotationEngine's recency
+ * penalties — each day is greedy about what it can see behind it and blind to
+ * the days ahead. This module plans N dates JOINTLY first, then generates each
+ * day through the normal path with that plan steering the choices:
+ *
+ *   1. planWeek()   — allocates each bunk's specials and sports across the
+ *                     dates: greedy per day, then a swap pass that trades picks
+ *                     BETWEEN days to remove weekly repeats, back-to-back days,
+ *                     days where one special is over-subscribed and bunks whose
+ *                     sports sit on worse-ranked fields than their grade-mates'.
+ *                     Each league team's game sports are planned the same way
+ *                     in a second call (buildPlan → plan.league).
+ *   2. bias()       — read by RotationEngine.calculateRotationScore while a week
+ *                     run is active: a bonus for the activity the plan put on
+ *                     this date, a penalty for one it planned for another date.
+ *                     It only re-ranks candidates; every hard rule still holds.
+ *                     leagueBias() is the same nudge for the league assigners'
+ *                     sport scoring (scheduler_core_leagues.js).
+ *   3. swimPenalty()— read by the auto builder's period-spread for swim, so a
+ *                     grade's swim moves around the day across the week instead
+ *                     of landing in the same period every day.
+ *   4. generateWeek()— walks the dates: switch date (the normal date-picker
+ *                     transition), regenerate through Daily Adjustments'
+ *                     Generate (its pre-gen wipe + verified daily_schedules
+ *                     save), next date.
+ *
+ * The summary compares fairness() of the result against day-by-day: the plan
+ * against a simulated day-by-day pass over the same inputs, and the generated
+ * days against the schedules those dates held before (when they had any).
+ * Every fairness number is "lower is better".
+ *
+ * planWeek() / fairness() take everything injected — see
+ * tests/week_planner.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var W = {};
+
+    // Objective weights — one shared scale so the plan and the swap pass agree.
+    var COST = {
+        REPEAT: 100,        // same activity a second time in the week
+        BACK_TO_BACK: 60,   // same activity on consecutive camp days
+        OVERLOAD: 25,       // each bunk over an activity's fair daily share
+        HISTORY: 4,         // per pick above the bunk's least-done count
+        FIELD_QUALITY: 15   // per field rank the bunk's week drifts from its fair mean
+    };
+
+    // Rotation-score nudges while a week run is active (rotation_engine scale:
+    // yesterday-repeat 50000, never-done -5000).
+    var BIAS = { PLANNED_TODAY: -3000, PLANNED_OTHER_DAY: 2000 };
+    // League sport-score nudges, higher is better there (needed sport +1000,
+    // last sport repeated -1500, field quality up to +188) — per team.
+    var LEAGUE_BIAS = { PLANNED_TODAY: 300, PLANNED_OTHER_DAY: -200 };
+    var SWIM_REPEAT_PENALTY = 30;   // auto period-spread scale: pool load 40/grade
+
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function addDays(dateKey, n) {
+        var p = dateKey.split('-').map(Number);
+        var d = new Date(Date.UTC(p[0], p[1] - 1, p[2] + n));
+        return d.toISOString().slice(0, 10);
+    }
+    function dayDiff(a, b) {
+        var pa = a.split('-').map(Number), pb = b.split('-').map(Number);
+        return Math.round((Date.UTC(pb[0], pb[1] - 1, pb[2]) - Date.UTC(pa[0], pa[1] - 1, pa[2])) / 86400000);
+    }
+
+    // Camp days of the Monday-anchored week containing `anchor`.
+    W.weekDates = function (anchor, isCampDay) {
+        if (!isDate(anchor)) return [];
+        var p = anchor.split('-').map(Number);
+        var dow = new Date(Date.UTC(p[0], p[1] - 1, p[2])).getUTCDay();
+        var mon = addDays(anchor, -((dow + 6) % 7));
+        var ok = isCampDay || function (d) {
+            var q = d.split('-').map(Number);
+            var w = new Date(Date.UTC(q[0], q[1] - 1, q[2])).getUTCDay();
+            return w !== 0 && w !== 6;
+        };
+        var out = [];
+        for (var i = 0; i < 7; i++) { var d = addDays(mon, i); if (ok(d)) out.push(d); }
+        return out;
+    };
+
+    // ── classification ───────────────────────────────────────────────────────
+    function entryActivity(e) {
+        if (!e) return '';
+        return e._activity || e.sport || (typeof e.field === 'string' ? e.field : (e.field && e.field.name)) || '';
+    }
+    function entryField(e) {
+        return typeof e.field === 'string' ? e.field : (e.field && e.field.name) || '';
+    }
+    var NON_ROTATING = /^(free|lunch|snacks?|dismissal|transition|change|swim|league game|specialty league|elective|trip|rest|davening|canteen)$/i;
+
+    // One bunk-day as rows: { activity, kind: special|sport|swim|other, startMin, field }.
+    // A league tile is 'other': it carries the league, not the sport each team
+    // played — league sports come from the day's leagueAssignments (leagueRows).
+    W.rowsFromAssignments = function (bunkEntries, specialSet) {
+        var rows = [];
+        (bunkEntries || []).forEach(function (e) {
+            if (!e || e.continuation) return;
+            var act = entryActivity(e);
+            if (!act) return;
+            var kind = 'other';
+            if (/swim/i.test(act)) kind = 'swim';
+            else if (e._league || e._h2h) kind = 'other';
+            else if (specialSet[norm(act)] || e._autoSpecial) kind = 'special';
+            else if (!NON_ROTATING.test(String(act).trim()) && e.sport) kind = 'sport';
+            rows.push({ activity: act, kind: kind, startMin: e._startMin, field: entryField(e) });
+        });
+        return rows;
+    };
+
+    // League teams are planned under one key per (league, team) — team names
+    // repeat across leagues.
+    W.teamKey = function (leagueName, team) { return String(leagueName) + '\u0000' + String(team); };
+
+    // "A vs B @ Field (Sport)" | "A vs B" | { teamA, teamB, sport } — the
+    // shapes a saved league game carries (scheduler_core_leagues.js
+    // _parseDailyMatchup). Round-robin lines and BYE / TBD are not games.
+    function parseMatchup(m, fallbackSport) {
+        if (!m) return null;
+        if (typeof m === 'object') {
+            var a = m.teamA != null ? m.teamA : m.team1, b = m.teamB != null ? m.teamB : m.team2;
+            return a && b ? { t1: String(a).trim(), t2: String(b).trim(), sport: m.sport || fallbackSport || null } : null;
+        }
+        var str = String(m).trim();
+        if (/—\s*round robin(\s+R\d+)?\s*$/i.test(str)) return null;
+        var full = str.match(/^(.+?)\s+vs\.?\s+(.+?)\s+@\s+.+?\(([^()]+)\)\s*$/i);
+        if (full) return { t1: full[1].trim(), t2: full[2].trim(), sport: full[3].trim() };
+        var bare = str.match(/^(.+?)\s+vs\.?\s+(.+?)(?:\s+@\s+.+)?$/i);
+        return bare ? { t1: bare[1].trim(), t2: bare[2].trim(), sport: fallbackSport || null } : null;
+    }
+
+    // One day's league games as rows per team key: { key: [{ activity: sport, kind: 'league' }] }.
+    // A game spanning divisions is stored once per division — counted once.
+    W.leagueRows = function (leagueAssignments) {
+        var out = {}, seen = {};
+        Object.keys(leagueAssignments || {}).forEach(function (dv) {
+            var map = leagueAssignments[dv] || {};
+            Object.keys(map).forEach(function (k) {
+                var g = map[k];
+                if (!g || !g.leagueName) return;
+                (g.matchups || []).forEach(function (m) {
+                    var p = parseMatchup(m, g.sport || null);
+                    if (!p || !p.sport || /^(BYE|TBD)$/i.test(p.t1) || /^(BYE|TBD)$/i.test(p.t2)) return;
+                    var id = g.leagueName + '|' + (g.gameLabel || k) + '|' + [p.t1, p.t2].sort().join('|');
+                    if (seen[id]) return;
+                    seen[id] = 1;
+                    [p.t1, p.t2].forEach(function (t) {
+                        var key = W.teamKey(g.leagueName, t);
+                        (out[key] = out[key] || []).push({ activity: p.sport, kind: 'league' });
+                    });
+                });
+            });
+        });
+        return out;
+    };
+
+    // History before `beforeDate`: counts, last date done, and how many
+    // specials / sports each bunk (and league games each team) typically gets
+    // per day.
+    W.collectHistory = function (allDaily, beforeDate, specialSet) {
+        var counts = {}, last = {}, perDayAcc = {};
+        Object.keys(allDaily || {}).filter(function (d) { return isDate(d) && d < beforeDate; }).sort().forEach(function (d) {
+            var lr = W.leagueRows((allDaily[d] || {}).leagueAssignments);
+            Object.keys(lr).forEach(function (key) {
+                var acc = perDayAcc[key] || (perDayAcc[key] = { days: 0, league: 0 });
+                acc.days++;
+                lr[key].forEach(function (r) {
+                    acc.league++;
+                    var c = counts[key] || (counts[key] = {});
+                    c[r.activity] = (c[r.activity] || 0) + 1;
+                    (last[key] || (last[key] = {}))[r.activity] = d;
+                });
+            });
+            var sa = (allDaily[d] || {}).scheduleAssignments || {};
+            Object.keys(sa).forEach(function (b) {
+                var rows = W.rowsFromAssignments(sa[b], specialSet);
+                if (!rows.length) return;
+                var acc = perDayAcc[b] || (perDayAcc[b] = { days: 0, special: 0, sport: 0 });
+                acc.days++;
+                rows.forEach(function (r) {
+                    if (r.kind !== 'special' && r.kind !== 'sport') return;
+                    acc[r.kind]++;
+                    var c = counts[b] || (counts[b] = {});
+                    c[r.activity] = (c[r.activity] || 0) + 1;
+                    (last[b] || (last[b] = {}))[r.activity] = d;
+                });
+            });
+        });
+        var perDay = {};
+        Object.keys(perDayAcc).forEach(function (b) {
+            var a = perDayAcc[b];
+            perDay[b] = a.league != null
+                ? { league: Math.round(a.league / a.days) }
+                : { special: Math.round(a.special / a.days), sport: Math.round(a.sport / a.days) };
+        });
+        return { counts: counts, last: last, perDay: perDay };
+    };
+
+    // ── the joint plan ───────────────────────────────────────────────────────
+    // input: { dates, bunks: [{ name, division }], pools: { special: [], sport: [] },
+    //          eligible(bunk, division, activity, kind) → bool, perDay: { bunk: { special, sport } },
+    //          history: collectHistory() result, fieldRank: { sport: best rank },
+    //          joint (default true) }
+    // → { days: { date: { bunk: [activity…] } }, kinds: { activity: kind }, cost }
+    // League teams go through the same call with pools: { league: [sports] } and
+    // team keys as the "bunks" — never mixed with bunks in one call, since a
+    // league sport and the general sport of the same name are different picks.
+    var DEFAULT_PER_DAY = { special: 1, sport: 2, league: 1 };
+    W.planWeek = function (input) {
+        input = input || {};
+        var dates = (input.dates || []).slice().sort();
+        var bunks = input.bunks || [];
+        var pools = input.pools || {};
+        var hist = input.history || { counts: {}, last: {}, perDay: {} };
+        var eligible = input.eligible || function () { return true; };
+        var joint = input.joint !== false;
+        var KINDS = ['special', 'sport', 'league'].filter(function (k) { return Array.isArray(pools[k]); });
+        var kinds = {};
+        KINDS.forEach(function (k) { pools[k].forEach(function (a) { kinds[a] = k; }); });
+
+        // Per-bunk candidate pools and daily demand.
+        var cand = {}, need = {};
+        bunks.forEach(function (b) {
+            cand[b.name] = {};
+            need[b.name] = {};
+            KINDS.forEach(function (k) {
+                cand[b.name][k] = pools[k].filter(function (a) { return eligible(b.name, b.division, a, k); });
+                var pd = (input.perDay && input.perDay[b.name]) || hist.perDay[b.name] || {};
+                var n = pd[k] != null ? pd[k] : DEFAULT_PER_DAY[k];
+                need[b.name][k] = Math.min(n, cand[b.name][k].length);
+            });
+        });
+
+        // Field quality: a sport's rank is its best grouped field's. Each bunk's
+        // fair mean is the mean rank of the ranked sports open to it, so bunks of
+        // a grade (same pool) are pulled to the same mean — the week's good
+        // fields are spread instead of landing on the bunk that got them first.
+        var quality = { rank: input.fieldRank || {}, target: {} };
+        bunks.forEach(function (b) {
+            var rs = (cand[b.name].sport || []).filter(function (a) { return quality.rank[a] != null; })
+                .map(function (a) { return quality.rank[a]; });
+            quality.target[b.name] = rs.length ? rs.reduce(function (x, y) { return x + y; }, 0) / rs.length : null;
+        });
+
+        // Fair daily share of each activity: expected bunks per day.
+        var share = {};
+        bunks.forEach(function (b) {
+            KINDS.forEach(function (k) {
+                var pool = cand[b.name][k];
+                pool.forEach(function (a) { share[a] = (share[a] || 0) + need[b.name][k] / pool.length; });
+            });
+        });
+        Object.keys(share).forEach(function (a) { share[a] = Math.max(1, Math.ceil(share[a])); });
+
+        var days = {}, load = {};
+        dates.forEach(function (d) { days[d] = {}; load[d] = {}; });
+
+        function histCost(bn, a) {
+            var c = (hist.counts[bn] || {});
+            var pool = cand[bn][kinds[a]] || [];
+            var min = Infinity;
+            pool.forEach(function (x) { min = Math.min(min, c[x] || 0); });
+            return ((c[a] || 0) - (min === Infinity ? 0 : min)) * COST.HISTORY;
+        }
+        function prevDayHas(bn, di, a) {
+            if (di > 0) return (days[dates[di - 1]][bn] || []).indexOf(a) > -1;
+            var l = (hist.last[bn] || {})[a];
+            return !!l && dayDiff(l, dates[0]) <= 1;
+        }
+        function nextDayHas(bn, di, a) {
+            return di + 1 < dates.length && (days[dates[di + 1]][bn] || []).indexOf(a) > -1;
+        }
+        function weekCount(bn, a) {
+            var n = 0;
+            dates.forEach(function (d) { if ((days[d][bn] || []).indexOf(a) > -1) n++; });
+            return n;
+        }
+        function rankDrift(bn) {
+            var t = quality.target[bn], dr = 0;
+            if (t == null) return 0;
+            dates.forEach(function (d) {
+                (days[d][bn] || []).forEach(function (a) { if (quality.rank[a] != null) dr += quality.rank[a] - t; });
+            });
+            return dr;
+        }
+        // Marginal cost of adding `a` for bunk `bn` on date index `di`.
+        function addCost(bn, di, a) {
+            var c = weekCount(bn, a) * COST.REPEAT + histCost(bn, a);
+            if (prevDayHas(bn, di, a)) c += COST.BACK_TO_BACK;
+            if (nextDayHas(bn, di, a)) c += COST.BACK_TO_BACK;
+            var l = load[dates[di]][a] || 0;
+            if (l + 1 > share[a]) c += COST.OVERLOAD;
+            if (quality.rank[a] != null && quality.target[bn] != null) {
+                var dr = rankDrift(bn);
+                c += (Math.abs(dr + quality.rank[a] - quality.target[bn]) - Math.abs(dr)) * COST.FIELD_QUALITY;
+            }
+            return c;
+        }
+        function put(bn, di, a) {
+            (days[dates[di]][bn] = days[dates[di]][bn] || []).push(a);
+            load[dates[di]][a] = (load[dates[di]][a] || 0) + 1;
+        }
+        function take(bn, di, a) {
+            var list = days[dates[di]][bn];
+            list.splice(list.indexOf(a), 1);
+            load[dates[di]][a]--;
+        }
+
+        // Greedy pass: day by day, bunk order rotated per day so the same bunk
+        // is not always first to the scarce specials.
+        dates.forEach(function (d, di) {
+            var order = bunks.map(function (b) { return b.name; });
+            var rot = order.length ? di % order.length : 0;
+            order = order.slice(rot).concat(order.slice(0, rot));
+            KINDS.forEach(function (k) {
+                order.forEach(function (bn) {
+                    for (var i = 0; i < need[bn][k]; i++) {
+                        var best = null, bestC = Infinity;
+                        cand[bn][k].forEach(function (a) {
+                            if ((days[d][bn] || []).indexOf(a) > -1) return;   // never twice a day
+                            var c = addCost(bn, di, a);
+                            if (c < bestC || (c === bestC && a < best)) { best = a; bestC = c; }
+                        });
+                        if (best != null) put(bn, di, best);
+                    }
+                });
+            });
+        });
+
+        // Joint pass: swap picks between two days of the same bunk (or swap a
+        // pick for an unused candidate) whenever that lowers the total cost.
+        if (joint && dates.length > 1) {
+            var improved = true, guard = 0;
+            while (improved && guard++ < 6) {
+                improved = false;
+                bunks.forEach(function (b) {
+                    var bn = b.name;
+                    for (var i = 0; i < dates.length; i++) {
+                        for (var j = i + 1; j < dates.length; j++) {
+                            var li = (days[dates[i]][bn] || []).slice(), lj = (days[dates[j]][bn] || []).slice();
+                            for (var x = 0; x < li.length; x++) {
+                                for (var y = 0; y < lj.length; y++) {
+                                    var ai = li[x], aj = lj[y];
+                                    if (ai === aj || kinds[ai] !== kinds[aj]) continue;
+                                    if (lj.indexOf(ai) > -1 || li.indexOf(aj) > -1) continue;
+                                    var before = W._cost(days, load, dates, bunks, share, hist, quality, bn, [dates[i], dates[j]], [ai, aj]);
+                                    take(bn, i, ai); take(bn, j, aj); put(bn, i, aj); put(bn, j, ai);
+                                    var after = W._cost(days, load, dates, bunks, share, hist, quality, bn, [dates[i], dates[j]], [ai, aj]);
+                                    if (after < before) { improved = true; li = days[dates[i]][bn].slice(); lj = days[dates[j]][bn].slice(); }
+                                    else { take(bn, i, aj); take(bn, j, ai); put(bn, i, ai); put(bn, j, aj); }
+                                }
+                            }
+                        }
+                        // Replace with an unused candidate.
+                        var cur = (days[dates[i]][bn] || []).slice();
+                        cur.forEach(function (a) {
+                            (cand[bn][kinds[a]] || []).forEach(function (alt) {
+                                if ((days[dates[i]][bn] || []).indexOf(alt) > -1 || (days[dates[i]][bn] || []).indexOf(a) === -1) return;
+                                var before2 = W._cost(days, load, dates, bunks, share, hist, quality, bn, [dates[i]], [a, alt]);
+                                take(bn, i, a); put(bn, i, alt);
+                                var after2 = W._cost(days, load, dates, bunks, share, hist, quality, bn, [dates[i]], [a, alt]);
+                                if (after2 < before2) improved = true;
+                                else { take(bn, i, alt); put(bn, i, a); }
+                            });
+                        });
+                    }
+                });
+            }
+        }
+
+        var total = W._cost(days, load, dates, bunks, share, hist, quality);
+        return { dates: dates, days: days, kinds: kinds, cost: total, share: share };
+    };
+
+    // Objective over the plan. With `onlyBunk` / `onlyDates` / `onlyActs` it
+    // scores just the part a move can change (that bunk's repeats,
+    // back-to-backs and field-rank drift, plus the load cells of those
+    // activities on those dates) — enough to compare before/after of a single
+    // swap. quality: { rank: { sport: rank }, target: { bunk: fair mean } }.
+    W._cost = function (days, load, dates, bunks, share, hist, quality, onlyBunk, onlyDates, onlyActs) {
+        var total = 0;
+        var rank = (quality && quality.rank) || {}, target = (quality && quality.target) || {};
+        bunks.forEach(function (b) {
+            var bn = b.name;
+            if (onlyBunk && bn !== onlyBunk) return;
+            var seen = {}, prev = null, drift = 0;
+            if (dates.length) {
+                prev = {};
+                Object.keys(hist.last[bn] || {}).forEach(function (a) {
+                    if (dayDiff(hist.last[bn][a], dates[0]) <= 1) prev[a] = 1;
+                });
+            }
+            dates.forEach(function (d) {
+                var today = {};
+                (days[d][bn] || []).forEach(function (a) {
+                    today[a] = 1;
+                    if (seen[a]) total += COST.REPEAT;
+                    seen[a] = 1;
+                    if (prev && prev[a]) total += COST.BACK_TO_BACK;
+                    var c = hist.counts[bn] || {};
+                    total += (c[a] || 0) * COST.HISTORY;
+                    if (rank[a] != null && target[bn] != null) drift += rank[a] - target[bn];
+                });
+                prev = today;
+            });
+            total += Math.abs(drift) * COST.FIELD_QUALITY;
+        });
+        dates.forEach(function (d) {
+            if (onlyDates && onlyDates.indexOf(d) === -1) return;
+            Object.keys(load[d]).forEach(function (a) {
+                if (onlyActs && onlyActs.indexOf(a) === -1) return;
+                var over = (load[d][a] || 0) - (share[a] || 1);
+                if (over > 0) total += over * COST.OVERLOAD;
+            });
+        });
+        return total;
+    };
+
+    // ── fairness report ──────────────────────────────────────────────────────
+    // week: { date: { bunk: [rows] } } (rowsFromAssignments shape).
+    // ctx:  { bunkDivision: { bunk: grade }, fieldRank: { field: rank } }
+    W.fairness = function (week, ctx) {
+        ctx = ctx || {};
+        var dates = Object.keys(week || {}).sort();
+        var bunkDiv = ctx.bunkDivision || {};
+        var rank = ctx.fieldRank || {};
+        var repeats = 0, backToBack = 0, swimSameTime = 0, leagueRepeats = 0, leagueBackToBack = 0;
+        var specials = {}, ranks = {}, swimSeen = {}, prevDay = {}, isBunk = {};
+        var anySwim = false, anyRank = false, anyLeague = false;
+        dates.forEach(function (d, di) {
+            var consecutive = di > 0 && dayDiff(dates[di - 1], d) === 1;
+            var today = {};
+            Object.keys(week[d] || {}).forEach(function (b) {
+                var seenToday = today[b] = {};
+                (week[d][b] || []).forEach(function (r) {
+                    if (r.kind === 'league') {
+                        anyLeague = true;
+                        if (consecutive && prevDay[b] && prevDay[b][r.activity]) leagueBackToBack++;
+                        seenToday[r.activity] = 1;
+                        return;
+                    }
+                    isBunk[b] = 1;
+                    if (r.kind === 'special' || r.kind === 'sport') {
+                        seenToday[r.activity] = 1;
+                        if (consecutive && prevDay[b] && prevDay[b][r.activity]) backToBack++;
+                    }
+                    if (r.kind === 'special') specials[b] = (specials[b] || 0) + 1;
+                    if (r.kind === 'swim' && r.startMin != null) {
+                        anySwim = true;
+                        var ss = swimSeen[b] || (swimSeen[b] = {});
+                        if (ss[r.startMin]) swimSameTime++;
+                        ss[r.startMin] = 1;
+                    }
+                    if (r.field && rank[r.field] != null) {
+                        anyRank = true;
+                        var rk = ranks[b] || (ranks[b] = { sum: 0, n: 0 });
+                        rk.sum += rank[r.field]; rk.n++;
+                    }
+                });
+            });
+            prevDay = today;
+        });
+        // Weekly repeats per (bunk, activity) and per (team, league sport).
+        var weekCounts = {}, leagueCounts = {};
+        dates.forEach(function (d) {
+            Object.keys(week[d] || {}).forEach(function (b) {
+                (week[d][b] || []).forEach(function (r) {
+                    var k = b + '\u0000' + r.activity;
+                    if (r.kind === 'league') leagueCounts[k] = (leagueCounts[k] || 0) + 1;
+                    else if (r.kind === 'special' || r.kind === 'sport') weekCounts[k] = (weekCounts[k] || 0) + 1;
+                });
+            });
+        });
+        Object.keys(weekCounts).forEach(function (k) { if (weekCounts[k] > 1) repeats += weekCounts[k] - 1; });
+        Object.keys(leagueCounts).forEach(function (k) { if (leagueCounts[k] > 1) leagueRepeats += leagueCounts[k] - 1; });
+
+        // Spread within each grade: specials count gap and field-quality gap.
+        var byGrade = {};
+        Object.keys(isBunk).forEach(function (b) {
+            var g = bunkDiv[b] || '';
+            (byGrade[g] = byGrade[g] || []).push(b);
+        });
+        var specialGap = 0, fieldGap = 0;
+        Object.keys(byGrade).forEach(function (g) {
+            var list = byGrade[g];
+            var sc = list.map(function (b) { return specials[b] || 0; });
+            specialGap += Math.max.apply(null, sc) - Math.min.apply(null, sc);
+            var rr = list.filter(function (b) { return ranks[b]; }).map(function (b) { return ranks[b].sum / ranks[b].n; });
+            if (rr.length > 1) fieldGap += Math.max.apply(null, rr) - Math.min.apply(null, rr);
+        });
+
+        return {
+            repeats: repeats,
+            backToBack: backToBack,
+            specialGap: specialGap,
+            swimSameTime: anySwim ? swimSameTime : null,
+            fieldQualityGap: anyRank ? Math.round(fieldGap * 100) / 100 : null,
+            leagueRepeats: anyLeague ? leagueRepeats : null,
+            leagueBackToBack: anyLeague ? leagueBackToBack : null
+        };
+    };
+
+    // plan.days as fairness() rows — the league teams' plan (plan.league) included.
+    W.planAsWeek = function (plan) {
+        var week = {};
+        plan.dates.forEach(function (d) {
+            week[d] = {};
+            Object.keys(plan.days[d] || {}).forEach(function (b) {
+                week[d][b] = plan.days[d][b].map(function (a) { return { activity: a, kind: plan.kinds[a] || 'sport' }; });
+            });
+        });
+        if (plan.league) {
+            var lw = W.planAsWeek(plan.league);
+            Object.keys(lw).forEach(function (d) { Object.assign(week[d] = week[d] || {}, lw[d]); });
+        }
+        return week;
+    };
+
+    // ── live hooks (read by the engines while a week run is active) ──────────
+    var _active = null;   // { plan, dates }
+
+    W.isActive = function () { return !!_active; };
+
+    function genDate() {
+        return (typeof window !== 'undefined') ? (window._activeGenDate || window.currentScheduleDate || '') : '';
+    }
+
+    // RotationEngine score nudge for (bunk, activity) on the date being built.
+    W.bias = function (bunkName, activityName, dateKey) {
+        if (!_active) return 0;
+        var d = dateKey || genDate();
+        var plan = _active.plan;
+        if (!plan.days[d]) return 0;
+        var kind = plan.kinds[activityName];
+        if (!kind) return 0;
+        var today = plan.days[d][bunkName] || [];
+        if (today.indexOf(activityName) > -1) return BIAS.PLANNED_TODAY;
+        for (var i = 0; i < plan.dates.length; i++) {
+            var o = plan.dates[i];
+            if (o !== d && (plan.days[o][bunkName] || []).indexOf(activityName) > -1) return BIAS.PLANNED_OTHER_DAY;
+        }
+        return 0;
+    };
+
+    // League assigners' sport score nudge for one team of a matchup.
+    W.leagueBias = function (leagueName, team, sport, dateKey) {
+        if (!_active || !_active.plan.league) return 0;
+        var d = dateKey || genDate();
+        var lp = _active.plan.league;
+        if (!lp.days[d]) return 0;
+        var key = W.teamKey(leagueName, team);
+        if ((lp.days[d][key] || []).indexOf(sport) > -1) return LEAGUE_BIAS.PLANNED_TODAY;
+        for (var i = 0; i < lp.dates.length; i++) {
+            var o = lp.dates[i];
+            if (o !== d && (lp.days[o][key] || []).indexOf(sport) > -1) return LEAGUE_BIAS.PLANNED_OTHER_DAY;
+        }
+        return 0;
+    };
+
+    // Auto builder swim period-spread: penalize a start time this grade already
+    // swam at on an earlier day of the run.
+    W.swimPenalty = function (grade, dateKey, startMin) {
+        if (!_active) return 0;
+        var d = dateKey || genDate();
+        var used = (_active.swimTimes[grade] || {});
+        var n = 0;
+        Object.keys(used).forEach(function (day) { if (day < d && used[day] === startMin) n++; });
+        return n * SWIM_REPEAT_PENALTY;
+    };
+
+    // ── environment adapters ─────────────────────────────────────────────────
+    function app1() {
+        try { return ((window.loadGlobalSettings && window.loadGlobalSettings()) || {}).app1 || {}; }
+        catch (e) { return {}; }
+    }
+    function allDaily() {
+        try { return (window.loadAllDailyData && window.loadAllDailyData()) || {}; }
+        catch (e) { return {}; }
+    }
+    function specialSet() {
+        var s = {};
+        (app1().specialActivities || []).forEach(function (x) { if (x && x.name) s[norm(x.name)] = 1; });
+        return s;
+    }
+    function restricted(item, division, bunk) {
+        var ar = item && item.accessRestrictions;
+        if (!ar || ar.enabled !== true) return false;
+        var list = (ar.divisions || {})[division];
+        if (!list) return true;
+        return list.length > 0 && list.map(String).indexOf(String(bunk)) === -1;
+    }
+    // Both league stores, first occurrence of a name wins (same merge as
+    // scheduler_core_leagues.js _leagueConfigs).
+    function leagueList() {
+        var gs = {};
+        try { gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {}; } catch (e) { /* none */ }
+        function list(raw) {
+            if (!raw) return [];
+            return (Array.isArray(raw) ? raw : Object.values(raw)).filter(function (l) { return l && typeof l === 'object' && l.name; });
+        }
+        var out = [], seen = {};
+        list(gs.app1 && gs.app1.leagues).concat(list(gs.leaguesByName)).forEach(function (l) {
+            var k = norm(l.name);
+            if (seen[k] || l.enabled === false) return;
+            seen[k] = 1;
+            out.push(l);
+        });
+        return out;
+    }
+    function bunkList() {
+        var divs = window.divisions || {}, out = [];
+        Object.keys(divs).forEach(function (g) {
+            (divs[g].bunks || []).forEach(function (b) { out.push({ name: String(b), division: g }); });
+        });
+        return out;
+    }
+    function ctxForFairness() {
+        var bunkDivision = {}, fieldRank = {};
+        bunkList().forEach(function (b) { bunkDivision[b.name] = b.division; });
+        (app1().fields || []).forEach(function (f) {
+            if (f && f.fieldGroup && f.qualityRank != null) fieldRank[f.name] = parseInt(f.qualityRank, 10) || 999;
+        });
+        return { bunkDivision: bunkDivision, fieldRank: fieldRank };
+    }
+    function weekFromSaved(dates) {
+        var all = allDaily(), sp = specialSet(), week = {}, any = false;
+        dates.forEach(function (d) {
+            var sa = (all[d] || {}).scheduleAssignments || {};
+            week[d] = {};
+            Object.keys(sa).forEach(function (b) {
+                var rows = W.rowsFromAssignments(sa[b], sp);
+                if (rows.length) { week[d][b] = rows; any = true; }
+            });
+            var lr = W.leagueRows((all[d] || {}).leagueAssignments);
+            Object.keys(lr).forEach(function (key) { week[d][key] = lr[key]; any = true; });
+        });
+        return any ? week : null;
+    }
+
+    // Plan inputs from the live camp config.
+    W.buildPlan = function (dates, joint) {
+        var a = app1();
+        var sp = specialSet();
+        var specials = (a.specialActivities || []).filter(function (s) { return s && s.name && s.available !== false; });
+        var fields = (a.fields || []).filter(function (f) { return f && f.available !== false; });
+        var sportHosts = {};
+        fields.forEach(function (f) { (f.activities || []).forEach(function (s) { (sportHosts[s] = sportHosts[s] || []).push(f); }); });
+        var byName = {};
+        specials.forEach(function (s) { byName[s.name] = s; });
+        // A sport's field rank = its best-ranked grouped host (lower is better).
+        var fieldRank = {};
+        Object.keys(sportHosts).forEach(function (sport) {
+            sportHosts[sport].forEach(function (f) {
+                if (!f.fieldGroup || !f.qualityRank) return;
+                var r = parseInt(f.qualityRank, 10) || 999;
+                if (fieldRank[sport] == null || r < fieldRank[sport]) fieldRank[sport] = r;
+            });
+        });
+        var history = W.collectHistory(allDaily(), dates.slice().sort()[0] || '', sp);
+        var plan = W.planWeek({
+            dates: dates,
+            bunks: bunkList(),
+            pools: { special: specials.map(function (s) { return s.name; }), sport: Object.keys(sportHosts) },
+            history: history,
+            fieldRank: fieldRank,
+            joint: joint,
+            eligible: function (bunk, division, act, kind) {
+                if (kind === 'special') return !restricted(byName[act], division, bunk);
+                return (sportHosts[act] || []).some(function (f) { return !restricted(f, division, bunk); });
+            }
+        });
+        var teams = [], leagueSports = {}, sportsOf = {};
+        leagueList().forEach(function (l) {
+            var sports = (l.sports || []).filter(Boolean);
+            (l.teams || []).forEach(function (t) {
+                var key = W.teamKey(l.name, t);
+                teams.push({ name: key, division: null });
+                sportsOf[key] = sports;
+            });
+            sports.forEach(function (sport) { leagueSports[sport] = 1; });
+        });
+        if (teams.length) {
+            plan.league = W.planWeek({
+                dates: dates,
+                bunks: teams,
+                pools: { league: Object.keys(leagueSports) },
+                history: history,
+                joint: joint,
+                eligible: function (key, division, sport) { return sportsOf[key].indexOf(sport) > -1; }
+            });
+        }
+        return plan;
+    };
+
+    function sleep(ms) { return new Promise(function (r) { setTimeout(r, ms); }); }
+
+    // Switch the app to dateKey through the date picker — the same transition
+    // a user click runs (save old date, load new, clear the transition flag).
+    async function gotoDate(dateKey) {
+        if (window.currentScheduleDate === dateKey && !window.__dateTxnInProgress) return true;
+        var picker = document.getElementById('calendar-date-picker');
+        if (!picker) return false;
+        picker.value = dateKey;
+        picker.dispatchEvent(new Event('change', { bubbles: true }));
+        var t0 = Date.now();
+        while (Date.now() - t0 < 20000) {
+            await sleep(100);
+            if (window.currentScheduleDate === dateKey && !window._pendingDateTransition && !window.__dateTxnInProgress) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Plans `dates` jointly and regenerates each through the normal Generate
+     * path. Returns the summary (also kept on window.__lastWeekGen).
+     * opts.onProgress(i, total, dateKey) is called before each day.
+     */
+    W.generateWeek = async function (dates, opts) {
+        opts = opts || {};
+        dates = (dates || []).filter(isDate).sort();
+        if (!dates.length) throw new Error('No dates to generate');
+        if (_active) throw new Error('A week generation is already running');
+        var gen = window.DailyAdjustmentsInternal && window.DailyAdjustmentsInternal.generateHeadless;
+        if (typeof gen !== 'function') throw new Error('Daily Adjustments is not loaded');
+
+        var ctx = ctxForFairness();
+        var before = weekFromSaved(dates);
+        var plan = W.buildPlan(dates, true);
+        var dayByDay = W.buildPlan(dates, false);
+        var startDate = window.currentScheduleDate;
+        var days = [];
+
+        _active = { plan: plan, swimTimes: {} };
+        try {
+            for (var i = 0; i < dates.length; i++) {
+                var d = dates[i];
+                if (opts.onProgress) { try { opts.onProgress(i, dates.length, d); } catch (e) { /* UI only */ } }
+                if (!(await gotoDate(d))) { days.push({ date: d, ok: false, messages: ['Could not switch to this date'] }); continue; }
+                try { window.cleanupDailyAdjustments && window.cleanupDailyAdjustments(); } catch (e) { /* best effort */ }
+                try { window.initDailyAdjustments && window.initDailyAdjustments(); } catch (e) { /* best effort */ }
+                var run = await gen();
+                days.push({ date: d, ok: !!run.ok, messages: run.messages || [] });
+                // Record each grade's swim starts for the next day's spread.
+                var sa = window.scheduleAssignments || {};
+                Object.keys(window.divisions || {}).forEach(function (g) {
+                    ((window.divisions[g] || {}).bunks || []).some(function (b) {
+                        var sw = (sa[b] || []).find(function (e) { return e && !e.continuation && /swim/i.test(entryActivity(e)); });
+                        if (sw) { (_active.swimTimes[g] = _active.swimTimes[g] || {})[d] = sw._startMin; return true; }
+                        return false;
+                    });
+                });
+            }
+        } finally {
+            _active = null;
+            if (startDate && startDate !== window.currentScheduleDate) { try { await gotoDate(startDate); } catch (e) { /* stay put */ } }
+        }
+
+        var summary = {
+            dates: dates,
+            days: days,
+            planned: { joint: W.fairness(W.planAsWeek(plan), ctx), dayByDay: W.fairness(W.planAsWeek(dayByDay), ctx) },
+            actual: { before: before ? W.fairness(before, ctx) : null, after: W.fairness(weekFromSaved(dates) || {}, ctx) }
+        };
+        window.__lastWeekGen = summary;
+        console.log('[WeekPlanner] week generated', summary);
+        return summary;
+    };
+
+    // ── UI ───────────────────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+    var METRICS = [
+        ['repeats', 'Same activity twice in the week'],
+        ['backToBack', 'Same activity on consecutive days'],
+        ['specialGap', 'Specials gap between bunks of a grade'],
+        ['swimSameTime', 'Swims at a time the bunk already had'],
+        ['fieldQualityGap', 'Field-quality gap between bunks of a grade'],
+        ['leagueRepeats', 'League sport a team plays twice in the week'],
+        ['leagueBackToBack', 'League sport a team plays on consecutive days']
+    ];
+
+    function overlay(id) {
+        var old = document.getElementById(id);
+        if (old) old.remove();
+        var ov = document.createElement('div');
+        ov.id = id;
+        ov.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        document.body.appendChild(ov);
+        return ov;
+    }
+
+    function summaryHTML(s) {
+        function cell(v) { return v == null ? '—' : esc(v); }
+        function delta(a, b) {
+            if (a == null || b == null) return '';
+            var d = Math.round((b - a) * 100) / 100;
+            if (!d) return '<span style="color:#888;">±0</span>';
+            return '<span style="color:' + (d < 0 ? '#2e7d32' : '#c62828') + ';">' + (d > 0 ? '+' : '') + d + '</span>';
+        }
+        var rows = METRICS.map(function (m) {
+            var k = m[0];
+            return '<tr style="border-bottom:1px solid #f0f0f0;"><td style="padding:6px;">' + esc(m[1]) + '</td>'
+                + '<td style="padding:6px;text-align:center;">' + cell(s.planned.dayByDay[k]) + '</td>'
+                + '<td style="padding:6px;text-align:center;">' + cell(s.planned.joint[k]) + ' ' + delta(s.planned.dayByDay[k], s.planned.joint[k]) + '</td>'
+                + '<td style="padding:6px;text-align:center;">' + cell(s.actual.before && s.actual.before[k]) + '</td>'
+                + '<td style="padding:6px;text-align:center;">' + cell(s.actual.after[k]) + ' ' + delta(s.actual.before && s.actual.before[k], s.actual.after[k]) + '</td></tr>';
+        }).join('');
+        var bad = s.days.filter(function (d) { return !d.ok; });
+        return '<p style="margin:0 0 10px;color:#555;font-size:13px;">Generated ' + (s.days.length - bad.length) + ' of ' + s.days.length
+            + ' day(s). Lower is better everywhere.</p>'
+            + '<table style="width:100%;border-collapse:collapse;font-size:13px;"><thead><tr style="color:#888;font-size:12px;text-align:center;">'
+            + '<th style="padding:6px;text-align:left;">Fairness</th><th>Plan: day-by-day</th><th>Plan: week</th><th>Before</th><th>After</th></tr></thead><tbody>'
+            + rows + '</tbody></table>'
+            + (bad.length ? '<div style="margin-top:12px;color:#c62828;font-size:13px;">' + bad.map(function (d) {
+                return esc(d.date) + ': ' + esc((d.messages || []).join(' ').replace(/<[^>]+>/g, '') || 'did not complete');
+            }).join('<br>') + '</div>' : '');
+    }
+
+    W.openDialog = function () {
+        if (typeof document === 'undefined') return;
+        if (window.AccessControl && window.AccessControl.checkEditAccess && !window.AccessControl.checkEditAccess('generate the week')) return;
+        var isCampDay = window.SchedulerCoreUtils && window.SchedulerCoreUtils.isCampDay;
+        var dates = W.weekDates(window.currentScheduleDate, isCampDay ? function (d) { return window.SchedulerCoreUtils.isCampDay(d); } : null);
+        var ov = overlay('weekPlannerOverlay');
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:640px;width:100%;max-height:85vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        box.innerHTML =
+            '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;">'
+            + '<h3 style="margin:0;font-size:18px;">Generate the week</h3>'
+            + '<button data-close style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div>'
+            + '<div data-body style="padding:16px 20px;overflow:auto;flex:1;font-size:14px;color:#333;">'
+            + '<p style="margin:0 0 10px;">Plans these days together — specials, sports, league sports, swim times and field quality balanced across the whole week — then regenerates each one and saves it as usual.</p>'
+            + '<div style="display:flex;flex-wrap:wrap;gap:8px;margin-bottom:12px;">'
+            + dates.map(function (d) {
+                return '<label style="display:flex;align-items:center;gap:5px;padding:5px 10px;border:1px solid #ddd;border-radius:6px;cursor:pointer;">'
+                    + '<input type="checkbox" data-date="' + esc(d) + '" checked>' + esc(d) + '</label>';
+            }).join('') + '</div>'
+            + '<p style="margin:0;color:#c62828;font-size:13px;">Existing schedules on the chosen days are replaced, including their manual edits.</p></div>'
+            + '<div style="display:flex;justify-content:flex-end;gap:10px;padding:14px 20px;border-top:1px solid #e0e0e0;">'
+            + '<button data-go style="background:#147D91;color:#fff;border:none;padding:9px 18px;border-radius:5px;font-weight:600;cursor:pointer;">Generate</button></div>';
+        ov.appendChild(box);
+        var running = false;
+        box.querySelector('[data-close]').onclick = function () { if (!running) ov.remove(); };
+        box.querySelector('[data-go]').onclick = async function () {
+            var picked = Array.prototype.filter.call(box.querySelectorAll('input[data-date]'), function (c) { return c.checked; })
+                .map(function (c) { return c.getAttribute('data-date'); });
+            if (!picked.length) return;
+            running = true;
+            this.disabled = true;
+            var body = box.querySelector('[data-body]');
+            try {
+                var s = await W.generateWeek(picked, {
+                    onProgress: function (i, n, d) { body.innerHTML = '<p style="margin:0;">Generating ' + esc(d) + ' (' + (i + 1) + ' of ' + n + ')…</p>'; }
+                });
+                body.innerHTML = summaryHTML(s);
+            } catch (e) {
+                body.innerHTML = '<p style="color:#c62828;margin:0;">' + esc(e.message || e) + '</p>';
+            } finally {
+                running = false;
+                this.remove();
+            }
+        };
+    };
+
+    if (typeof window !== 'undefined') window.WeekPlanner = W;
+    if (typeof module !== 'undefined' && module.exports) module.exports = W;
+})();
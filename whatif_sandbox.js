@@ -0,0 +1,796 @@
+/* =============================================================================
+ * WHAT-IF SANDBOX  (window.WhatIfSandbox)
+ * -----------------------------------------------------------------------------
+ * "What happens if the Turf is closed tomorrow?" The director tweaks a few
+ * inputs — close fields for the day, add trips, change a special's capacity —
+ * and the full auto pipeline (Daily Adjustments' Generate, headless) runs
+ * against a SCRATCH copy of the camp. The result is shown next to the live
+ * day: both grids, the FeasibilityOracle verdict and the auto validator's
+ * report for each. Discard drops it; Promote applies the tweaks for real and
+ * saves the what-if schedule as the day's schedule.
+ *
+ * Isolation. The builders read and write through a handful of window-level
+ * entry points, so a run swaps exactly those and puts them back:
+ *
+ *   loadGlobalSettings / saveGlobalSettings → a tweaked clone of the settings
+ *   loadAllDailyData                        → a tweaked clone of daily data
+ *   ScheduleDB writes, verifiedScheduleSave,
+ *   forceSyncToCloud, RotationCloud writes  → no-ops (nothing reaches cloud)
+ *   window.supabase                         → reads pass through; insert /
+ *                                             upsert / update / delete / rpc
+ *                                             resolve without a request (the
+ *                                             league-history push and the
+ *                                             other direct writers)
+ *   showTab / renderStaggeredView / updateTable → no-ops (the page stays put)
+ *   window + document dispatchEvent         → campistry-* events are held,
+ *                                             so the post-generation listeners
+ *                                             (saves, repair gates, analytics,
+ *                                             badges) never see scratch state
+ *
+ * The run is async, so realtime sync keeps landing while it works. Only the
+ * localStorage keys the run wrote are put back from the snapshot — a key
+ * last written by a cloud hydration keeps what arrived — and the held events
+ * that come from the cloud side (REPLAY_EVENTS: a remote change, a
+ * re-hydration) are dispatched again once everything is undone; the
+ * pipeline's own events are dropped. The day globals the pipeline writes
+ * (DAY_GLOBALS) are deep-cloned and restored. The validator report stands in
+ * for the repair gates that were not notified.
+ *
+ * applyTweaks() / oracleInput() / summarizeValidation() are pure, and run()
+ * takes its generate step injected — see tests/whatif_sandbox.test.js.
+ * ========================================================================== */
+(function () {
+    'use strict';
+
+    var S = {};
+
+    // Globals a generation writes for the day it builds. Snapshotted before a
+    // run and put back after it, absent ones deleted again.
+    var DAY_GLOBALS = [
+        'scheduleAssignments', 'leagueAssignments', 'divisionTimes', 'unifiedTimes',
+        '_perBunkSlots', '_preservedPerBunkSlots', 'fieldUsageBySlot', 'locationUsageBySlot',
+        'fieldReservations', 'currentDisabledFields', 'activityProperties', 'campPeriods',
+        'isRainyDay', 'rainyDayStartTime', 'midDayCuts', 'currentDailyData', 'globalSettings',
+        '_activeGenDate', '_scheduleAssignmentsDate', '_localGenerationTimestamp',
+        '_divisionTimesLocked', '_generationInProgress', '_bunkTimelines', '_layersByGrade',
+        '_autoGeneratedSchedule', '_autoDivisionTimesBuilt', '_freeBlockReport',
+        '_coverageGaps', '_swimReport', '_rotationReport', '__lastGenScope', '__capGateRuns',
+        'staffAssignments', 'leagueOfficialAssignments', '_genExplain'
+    ];
+    var SCHEDULE_DB_WRITES = ['saveSchedule', 'saveBunkSchedule', 'deleteSchedule',
+        'deleteMyScheduleOnly', 'deleteMyRecord', 'renameActivityInCloud'];
+    var ROTATION_CLOUD_WRITES = ['save', 'deleteDate', 'deleteActivity', 'renameActivity',
+        'renameBunk', 'clearAll', 'clearForBunks'];
+    var CLIENT_WRITES = ['insert', 'upsert', 'update', 'delete'];
+    var UI_CALLS = ['showTab', 'renderStaggeredView', 'updateTable'];
+    // Held campistry-* events that report cloud state, not the run's — they
+    // are replayed after the run instead of dropped.
+    var REPLAY_EVENTS = ['campistry-remote-change', 'campistry-cloud-hydrated', 'campistry-settings-synced'];
+
+    var _running = false;
+    var _pending = null;
+    var _tripSeq = 0;
+
+    function isDate(d) { return /^\d{4}-\d{2}-\d{2}$/.test(String(d || '')); }
+    function norm(s) { return String(s == null ? '' : s).toLowerCase().trim(); }
+
+    // Deep clone that keeps the own props some arrays carry (divisionTimes
+    // grade arrays hold _perBunkSlots) — JSON round-trips drop those.
+    function clone(v, seen) {
+        if (v === null || typeof v !== 'object') return v;
+        if (v instanceof Date) return new Date(v.getTime());
+        seen = seen || new Map();
+        if (seen.has(v)) return seen.get(v);
+        var out;
+        if (v instanceof Map) {
+            out = new Map();
+            seen.set(v, out);
+            v.forEach(function (val, k) { out.set(k, clone(val, seen)); });
+            return out;
+        }
+        if (v instanceof Set) {
+            out = new Set();
+            seen.set(v, out);
+            v.forEach(function (val) { out.add(clone(val, seen)); });
+            return out;
+        }
+        out = Array.isArray(v) ? new Array(v.length) : {};
+        seen.set(v, out);
+        Object.keys(v).forEach(function (k) { out[k] = clone(v[k], seen); });
+        return out;
+    }
+    S._clone = clone;
+
+    function clock(min) {
+        var h = Math.floor(min / 60), m = min % 60;
+        return ((h + 11) % 12 + 1) + ':' + (m < 10 ? '0' : '') + m + (h >= 12 ? 'pm' : 'am');
+    }
+
+    // ── tweaks ───────────────────────────────────────────────────────────────
+    /**
+     * Tweaks are { closeFields: [name], addTrips: [{ event, divisions, startMin,
+     * endMin }], specialCapacity: { name: bunks } }. Closing a field also closes
+     * the specials located there — the Resources toggle does the same.
+     *
+     * @param {Object} base   { settings, daily, dateKey, trips, overrides } — never mutated
+     * @param {Object} tweaks
+     * @returns {Object} the scratch { settings, daily, dateKey, trips, overrides }
+     */
+    S.applyTweaks = function (base, tweaks) {
+        tweaks = tweaks || {};
+        var dateKey = base.dateKey;
+        var settings = clone(base.settings || {});
+        var daily = clone(base.daily || {});
+        var trips = clone(base.trips || []);
+        var ov = clone(base.overrides || {});
+        var app1 = settings.app1 = settings.app1 || {};
+
+        ov.disabledFields = (ov.disabledFields || []).slice();
+        ov.disabledSpecials = (ov.disabledSpecials || []).slice();
+        (tweaks.closeFields || []).forEach(function (name) {
+            if (ov.disabledFields.indexOf(name) === -1) ov.disabledFields.push(name);
+            (app1.specialActivities || []).forEach(function (s) {
+                if (s && s.location === name && ov.disabledSpecials.indexOf(s.name) === -1) ov.disabledSpecials.push(s.name);
+            });
+        });
+
+        (tweaks.addTrips || []).forEach(function (t) {
+            (t.divisions || []).forEach(function (div) {
+                trips.push({
+                    id: 'trip_' + Date.now() + '_' + (++_tripSeq) + '_' + div,
+                    event: t.event || 'Trip', division: div,
+                    startTime: clock(t.startMin), endTime: clock(t.endMin),
+                    startMin: t.startMin, endMin: t.endMin
+                });
+            });
+        });
+
+        var caps = tweaks.specialCapacity || {};
+        (app1.specialActivities || []).forEach(function (s) {
+            if (!s || !Object.prototype.hasOwnProperty.call(caps, s.name)) return;
+            var cap = Math.max(1, parseInt(caps[s.name], 10) || 1);
+            var sw = s.sharableWith || {};
+            var type = cap === 1 ? 'not_sharable' : (sw.type && sw.type !== 'not_sharable' ? sw.type : 'all');
+            s.sharableWith = Object.assign({}, sw, { type: type, capacity: cap });
+        });
+
+        var day = daily[dateKey] = daily[dateKey] || {};
+        day.overrides = Object.assign({}, day.overrides || {}, ov);
+        day.dailyTrips = trips;
+        app1.dailyTripsByDate = app1.dailyTripsByDate || {};
+        app1.dailyTripsByDate[dateKey] = trips;
+
+        return { settings: settings, daily: daily, dateKey: dateKey, trips: trips, overrides: ov };
+    };
+
+    /** One line per tweak, for the dialog and the console. */
+    S.describeTweaks = function (tweaks) {
+        tweaks = tweaks || {};
+        var out = [];
+        (tweaks.closeFields || []).forEach(function (f) { out.push('Close ' + f); });
+        (tweaks.addTrips || []).forEach(function (t) {
+            out.push('Trip "' + (t.event || 'Trip') + '" for ' + (t.divisions || []).join(', ') + ', ' + clock(t.startMin) + '–' + clock(t.endMin));
+        });
+        Object.keys(tweaks.specialCapacity || {}).forEach(function (n) {
+            out.push(n + ' takes ' + tweaks.specialCapacity[n] + ' bunk' + (tweaks.specialCapacity[n] == 1 ? '' : 's'));
+        });
+        return out;
+    };
+
+    S.isEmpty = function (tweaks) { return S.describeTweaks(tweaks).length === 0; };
+
+    // ── reports ──────────────────────────────────────────────────────────────
+    /**
+     * FeasibilityOracle.check() input for one side of the comparison. The
+     * oracle reads app1.fields as-is, so the day's closed fields are taken out
+     * here, and each trip becomes a pinned window for the grades it takes.
+     */
+    S.oracleInput = function (state, divisions, layersByGrade) {
+        var closed = {};
+        ((state.overrides || {}).disabledFields || []).forEach(function (n) { closed[norm(n)] = 1; });
+        var settings = clone(state.settings || {});
+        var app1 = settings.app1 = settings.app1 || {};
+        app1.fields = (app1.fields || []).filter(function (f) { return f && f.available !== false && !closed[norm(f.name)]; });
+
+        var layers = {};
+        Object.keys(layersByGrade || {}).forEach(function (g) { layers[g] = (layersByGrade[g] || []).slice(); });
+        (state.trips || []).forEach(function (t) {
+            var s = t.startMin, e = t.endMin;
+            if (typeof s !== 'number' || typeof e !== 'number') return;
+            (Array.isArray(t.division) ? t.division : [t.division]).forEach(function (g) {
+                if (!g) return;
+                (layers[g] = layers[g] || []).push({ type: 'trip', event: t.event, startMin: s, endMin: e });
+            });
+        });
+
+        var grades = Object.keys(divisions || {}).filter(function (g) {
+            var d = divisions[g];
+            return d && !d.isParent && (d.bunks || []).length > 0;
+        });
+        return { allGrades: grades, divisions: divisions || {}, layersByGrade: layers, globalSettings: settings };
+    };
+
+    function plain(s) {
+        return String(s || '').replace(/<br\s*\/?>/gi, ' — ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /** AutoValidator result → counts by error type plus the first few lines. */
+    S.summarizeValidation = function (res) {
+        if (!res) return null;
+        var byType = {};
+        (res.errors || []).forEach(function (e) { var t = (e && e.type) || 'other'; byType[t] = (byType[t] || 0) + 1; });
+        return {
+            errors: (res.errors || []).length,
+            warnings: (res.warnings || []).length,
+            byType: byType,
+            lines: (res.errors || []).slice(0, 6).map(function (e) { return plain(e && e.message); })
+        };
+    };
+
+    function summarizeOracle(r, relaxations) {
+        if (!r) return null;
+        if (r.skipped) return { skipped: true, reason: r.reason };
+        return {
+            feasible: !!r.feasible, feasPct: r.feasPct, deficit: r.deficit || 0,
+            why: (r.cuts || []).slice(0, 3).map(function (c) { return c.text; }),
+            fixes: (relaxations || []).slice(0, 3).map(function (x) { return { text: x.text, restores: !!x.restores }; })
+        };
+    }
+
+    function signature(sa) {
+        try { return JSON.stringify(sa || {}); } catch (e) { return String(Math.random()); }
+    }
+
+    // ── environment adapters ─────────────────────────────────────────────────
+    function storage() { return window.localStorage || null; }
+
+    function liveTrips(dateKey) {
+        try { if (typeof window.loadDailyTrips === 'function') return window.loadDailyTrips(dateKey) || []; }
+        catch (e) { /* fall through */ }
+        try { return JSON.parse(storage().getItem('campDailyTrips_' + dateKey) || '[]') || []; }
+        catch (e) { return []; }
+    }
+
+    // Daily Adjustments reads campResourceOverrides_<date> first, then the day's overrides.
+    function liveOverrides(dateKey, daily) {
+        try {
+            var stored = storage() && storage().getItem('campResourceOverrides_' + dateKey);
+            var parsed = stored ? JSON.parse(stored) : null;
+            if (parsed && parsed.overrides) return parsed.overrides;
+        } catch (e) { /* fall through */ }
+        return ((daily || {})[dateKey] || {}).overrides || {};
+    }
+
+    function captureDay() {
+        return {
+            scheduleAssignments: clone(window.scheduleAssignments || {}),
+            leagueAssignments: clone(window.leagueAssignments || {}),
+            divisionTimes: clone(window.divisionTimes || {}),
+            unifiedTimes: clone(window.unifiedTimes || [])
+        };
+    }
+
+    function validate() {
+        var v = window.AutoValidator;
+        if (!v || typeof v.validate !== 'function') return null;
+        try { return S.summarizeValidation(v.validate({ silent: true })); }
+        catch (e) { console.warn('[WhatIf] validator failed:', e); return null; }
+    }
+
+    function oracle(state, layersByGrade) {
+        var o = window.FeasibilityOracle;
+        if (!o || typeof o.check !== 'function') return null;
+        try {
+            var cfg = S.oracleInput(state, window.divisions || {}, layersByGrade);
+            var r = o.check(cfg);
+            var fixes = r && !r.skipped && !r.feasible && o.suggestRelaxations ? o.suggestRelaxations(cfg, r, { limit: 3 }) : [];
+            return summarizeOracle(r, fixes);
+        }
+        catch (e) { console.warn('[WhatIf] oracle failed:', e); return null; }
+    }
+
+    function autoLayers() {
+        var DA = window.DailyAdjustmentsInternal;
+        var layers = DA && DA.autoLayers;
+        return (layers && typeof layers === 'object') ? layers : {};
+    }
+
+    // A Supabase write that never leaves: every chained filter returns the
+    // same stub, and awaiting it resolves like a write that landed.
+    function noWrite() {
+        var done = Promise.resolve({ data: null, error: null, sandbox: true });
+        var chain = new Proxy(function () {}, {
+            get: function (t, k) {
+                if (k === 'then' || k === 'catch' || k === 'finally') return done[k].bind(done);
+                return function () { return chain; };
+            }
+        });
+        return chain;
+    }
+
+    // The client with its reads intact and its writes stubbed.
+    function readOnlyClient(sb) {
+        var client = Object.create(sb);
+        client.from = function (table) {
+            var q = Object.create(sb.from(table));
+            CLIENT_WRITES.forEach(function (fn) { q[fn] = noWrite; });
+            return q;
+        };
+        client.rpc = noWrite;
+        return client;
+    }
+
+    // Points the builders' persistence at `scratch` for the length of a run.
+    // Returns the function that undoes every swap.
+    function isolate(scratch) {
+        var undo = [];
+        function swap(obj, key, val) {
+            if (!obj) return;
+            var had = Object.prototype.hasOwnProperty.call(obj, key), prev = obj[key];
+            obj[key] = val;
+            undo.push(function () { if (had) obj[key] = prev; else delete obj[key]; });
+        }
+
+        // written[key] says who wrote the key last: the run, or the cloud. A
+        // hydration writes storage and announces itself in the same turn, so
+        // the keys written in the turn a cloud event is held in are the cloud's.
+        var ls = storage(), saved = {}, written = {}, turn = null, held = [];
+        if (ls) {
+            for (var i = 0; i < ls.length; i++) { var k = ls.key(i); saved[k] = ls.getItem(k); }
+            // A real Storage turns own props into items, so wrap its prototype.
+            var sp = (typeof Storage !== 'undefined' && ls instanceof Storage) ? Storage.prototype : ls;
+            ['setItem', 'removeItem'].forEach(function (fn) {
+                var realFn = sp[fn];
+                if (typeof realFn !== 'function') return;
+                swap(sp, fn, function (key) {
+                    if (this === ls || sp === ls) {
+                        written[String(key)] = 'run';
+                        if (!turn) { turn = []; Promise.resolve().then(function () { turn = null; }); }
+                        turn.push(String(key));
+                    }
+                    return realFn.apply(this, arguments);
+                });
+            });
+        }
+
+        var globals = {};
+        DAY_GLOBALS.forEach(function (g) {
+            if (Object.prototype.hasOwnProperty.call(window, g)) globals[g] = clone(window[g]);
+        });
+        var traces = window.GenTrace && Array.isArray(window.GenTrace.traces) ? window.GenTrace.traces.slice() : null;
+
+        var settings = scratch.settings;
+        swap(window, 'loadGlobalSettings', function (key) {
+            if (key) return settings[key] !== undefined ? settings[key] : ((settings.app1 || {})[key] !== undefined ? settings.app1[key] : {});
+            return settings;
+        });
+        swap(window, 'saveGlobalSettings', function (key, data) {
+            if (key === 'daily_schedules') scratch.daily = data;
+            else settings[key] = data;
+            return true;
+        });
+        swap(window, 'loadAllDailyData', function () { return scratch.daily; });
+        ['forceSyncToCloud', 'verifiedScheduleSave'].forEach(function (fn) {
+            swap(window, fn, function () { return Promise.resolve({ success: true, sandbox: true }); });
+        });
+        UI_CALLS.forEach(function (fn) { if (typeof window[fn] === 'function') swap(window, fn, function () {}); });
+        if (window.ScheduleDB) {
+            var db = Object.assign({}, window.ScheduleDB);
+            SCHEDULE_DB_WRITES.forEach(function (fn) {
+                if (typeof db[fn] === 'function') db[fn] = function () { return Promise.resolve({ success: true, sandbox: true }); };
+            });
+            swap(window, 'ScheduleDB', db);
+        }
+        if (window.RotationCloud) {
+            var rc = Object.assign({}, window.RotationCloud);
+            ROTATION_CLOUD_WRITES.forEach(function (fn) {
+                if (typeof rc[fn] === 'function') rc[fn] = function () { return Promise.resolve(true); };
+            });
+            swap(window, 'RotationCloud', rc);
+        }
+        if (window.supabase && typeof window.supabase.from === 'function') swap(window, 'supabase', readOnlyClient(window.supabase));
+        [window, typeof document !== 'undefined' ? document : null].forEach(function (target) {
+            if (!target || typeof target.dispatchEvent !== 'function') return;
+            var real = target.dispatchEvent;
+            swap(target, 'dispatchEvent', function (ev) {
+                if (ev && /^campistry-/.test(String(ev.type || ''))) {
+                    if (REPLAY_EVENTS.indexOf(ev.type) !== -1) {
+                        held.push({ target: target, ev: ev });
+                        (turn || []).forEach(function (key) { written[key] = 'cloud'; });
+                    }
+                    return true;
+                }
+                return real.call(target, ev);
+            });
+        });
+
+        if (window.activityProperties) {
+            window.activityProperties = clone(window.activityProperties);
+            ((settings.app1 || {}).specialActivities || []).forEach(function (s) {
+                var p = s && window.activityProperties[s.name];
+                if (p && s.sharableWith) p.sharableWith = clone(s.sharableWith);
+            });
+        }
+        if (ls) {
+            try {
+                ls.setItem('campDailyTrips_' + scratch.dateKey, JSON.stringify(scratch.trips));
+                var ro = JSON.parse(ls.getItem('campResourceOverrides_' + scratch.dateKey) || '{}') || {};
+                ro.overrides = Object.assign({}, ro.overrides || {}, scratch.overrides);
+                ls.setItem('campResourceOverrides_' + scratch.dateKey, JSON.stringify(ro));
+            } catch (e) { /* the daily-data copy still carries them */ }
+        }
+        try { window.invalidateDailyDataCache && window.invalidateDailyDataCache(); } catch (e) { /* cache only */ }
+
+        return function restore() {
+            while (undo.length) { try { undo.pop()(); } catch (e) { console.warn('[WhatIf] restore:', e); } }
+            if (ls) {
+                Object.keys(written).forEach(function (k) {
+                    if (written[k] !== 'run') return;
+                    try {
+                        if (!Object.prototype.hasOwnProperty.call(saved, k)) ls.removeItem(k);
+                        else if (ls.getItem(k) !== saved[k]) ls.setItem(k, saved[k]);
+                    } catch (e) { console.warn('[WhatIf] restore ' + k + ':', e); }
+                });
+            }
+            DAY_GLOBALS.forEach(function (g) {
+                if (Object.prototype.hasOwnProperty.call(globals, g)) window[g] = globals[g];
+                else delete window[g];
+            });
+            if (traces) window.GenTrace.traces = traces;
+            try { window.invalidateDailyDataCache && window.invalidateDailyDataCache(); } catch (e) { /* cache only */ }
+            held.forEach(function (h) {
+                try { h.target.dispatchEvent(h.ev); } catch (e) { console.warn('[WhatIf] replay ' + h.ev.type + ':', e); }
+            });
+        };
+    }
+
+    // ── run / discard / promote ──────────────────────────────────────────────
+    S.isRunning = function () { return _running; };
+    S.pending = function () { return _pending; };
+
+    /**
+     * Runs the auto pipeline for the current date with `tweaks` applied, in
+     * scratch state. Resolves to the comparison (also kept as pending() until
+     * discarded or promoted). opts.generate replaces Daily Adjustments'
+     * headless Generate.
+     */
+    S.run = async function (tweaks, opts) {
+        opts = opts || {};
+        if (_running) throw new Error('A what-if run is already in progress');
+        var DA = window.DailyAdjustmentsInternal;
+        var gen = opts.generate || (DA && DA.generateHeadless);
+        if (typeof gen !== 'function') throw new Error('Daily Adjustments is not loaded');
+        if (!opts.generate && window._daBuilderMode !== 'auto') throw new Error('What-if runs use the auto builder — switch Daily Adjustments to Auto first');
+        var dateKey = window.currentScheduleDate;
+        if (!isDate(dateKey)) throw new Error('No schedule date is selected');
+
+        var liveDaily = clone((window.loadAllDailyData && window.loadAllDailyData()) || {});
+        var base = {
+            settings: clone((window.loadGlobalSettings && window.loadGlobalSettings()) || {}),
+            daily: liveDaily,
+            dateKey: dateKey,
+            trips: liveTrips(dateKey),
+            overrides: liveOverrides(dateKey, liveDaily)
+        };
+        var scratch = S.applyTweaks(base, tweaks);
+        var live = { data: captureDay(), validator: validate() };
+        var liveSig = signature(window.scheduleAssignments);
+
+        var restore = isolate(scratch), run = null, sandbox = null;
+        _running = true;
+        try {
+            run = await gen();
+            sandbox = { data: captureDay(), validator: validate() };
+        } finally {
+            restore();
+            _running = false;
+            try { DA && DA.reloadOverrides && DA.reloadOverrides(); } catch (e) { /* UI state only */ }
+        }
+
+        var layers = autoLayers();
+        live.oracle = oracle(base, layers);
+        sandbox.oracle = oracle(scratch, layers);
+        var diff = null;
+        if (window.ScheduleDiff) {
+            try { diff = window.ScheduleDiff.diff(live.data, sandbox.data, { divisionOf: window.ScheduleDiff.liveDivisionOf() }); }
+            catch (e) { console.warn('[WhatIf] diff failed:', e); }
+        }
+
+        _pending = {
+            dateKey: dateKey,
+            tweaks: clone(tweaks || {}),
+            ok: !!(run && run.ok),
+            messages: ((run && run.messages) || []).map(plain),
+            live: live,
+            sandbox: sandbox,
+            diff: diff,
+            liveSig: liveSig,
+            at: Date.now()
+        };
+        console.log('[WhatIf] run for ' + dateKey, S.describeTweaks(tweaks), _pending);
+        return _pending;
+    };
+
+    S.discard = function () { _pending = null; };
+
+    /**
+     * Makes the pending what-if the live day: applies its tweaks through the
+     * normal save paths, then installs and saves its schedule. Refuses when the
+     * date changed or the live schedule was edited since the run.
+     */
+    S.promote = async function () {
+        var p = _pending;
+        if (!p) throw new Error('Nothing to promote');
+        if (!p.ok) throw new Error('The what-if run did not complete — nothing to promote');
+        if (window.currentScheduleDate !== p.dateKey) throw new Error('Switch back to ' + p.dateKey + ' to promote this what-if');
+        if (signature(window.scheduleAssignments) !== p.liveSig) throw new Error('The live schedule changed since this what-if ran — run it again');
+        var tw = p.tweaks || {};
+        var DA = window.DailyAdjustmentsInternal;
+
+        if ((tw.closeFields || []).length && DA && DA.closeFacilities) DA.closeFacilities(tw.closeFields);
+        if ((tw.addTrips || []).length && typeof window.saveDailyTrips === 'function') {
+            var added = S.applyTweaks({ dateKey: p.dateKey, trips: liveTrips(p.dateKey) }, { addTrips: tw.addTrips }).trips;
+            window.saveDailyTrips(p.dateKey, added);
+        }
+        var caps = tw.specialCapacity || {};
+        if (Object.keys(caps).length && typeof window.saveGlobalSpecialActivities === 'function') {
+            var gs = (window.loadGlobalSettings && window.loadGlobalSettings()) || {};
+            var list = S.applyTweaks({ dateKey: p.dateKey, settings: { app1: { specialActivities: (gs.app1 || {}).specialActivities || [] } } },
+                { specialCapacity: caps }).settings.app1.specialActivities;
+            window.saveGlobalSpecialActivities(list);
+        }
+
+        var d = clone(p.sandbox.data);
+        window.scheduleAssignments = d.scheduleAssignments;
+        window.leagueAssignments = d.leagueAssignments;
+        window.divisionTimes = d.divisionTimes;
+        window.unifiedTimes = d.unifiedTimes;
+        window._scheduleAssignmentsDate = p.dateKey;
+        if (window.saveCurrentDailyData) {
+            window.saveCurrentDailyData('scheduleAssignments', d.scheduleAssignments);
+            window.saveCurrentDailyData('leagueAssignments', d.leagueAssignments);
+            window.saveCurrentDailyData('divisionTimes',
+                (window.DivisionTimesSystem && window.DivisionTimesSystem.serialize && window.DivisionTimesSystem.serialize(d.divisionTimes)) || d.divisionTimes);
+        }
+        if (window.verifiedScheduleSave) await window.verifiedScheduleSave(p.dateKey);
+        _pending = null;
+        if (typeof document !== 'undefined') {
+            try { document.dispatchEvent(new CustomEvent('campistry-schedule-generated', { detail: { date: p.dateKey, mode: 'auto', whatIf: true } })); }
+            catch (e) { /* non-fatal */ }
+        }
+        try { window.renderStaggeredView && window.renderStaggeredView(); } catch (e) { /* view only */ }
+        return true;
+    };
+
+    // ── UI ───────────────────────────────────────────────────────────────────
+    function esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+    function toMin(v) {
+        var m = /^(\d{1,2}):(\d{2})$/.exec(String(v || ''));
+        return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+    }
+
+    function overlay(id) {
+        var old = document.getElementById(id);
+        if (old) old.remove();
+        var ov = document.createElement('div');
+        ov.id = id;
+        ov.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99990;display:flex;align-items:center;justify-content:center;padding:20px;';
+        document.body.appendChild(ov);
+        return ov;
+    }
+
+    var BOX = 'border:1px solid #e5e7eb;border-radius:8px;padding:10px 12px;';
+    var INPUT = 'padding:5px 7px;border:1px solid #d1d5db;border-radius:5px;font-size:13px;';
+    var BTN = 'padding:6px 12px;border-radius:5px;border:1px solid #d1d5db;background:#fff;cursor:pointer;font-size:13px;';
+
+    function oracleHTML(o) {
+        if (!o) return '<div style="color:#888;">Oracle not loaded.</div>';
+        if (o.skipped) return '<div style="color:#888;">Skipped — ' + esc(o.reason) + '</div>';
+        var head = o.feasible
+            ? '<div style="color:#15803d;font-weight:600;">Feasible — ' + esc(o.feasPct) + '% of field demand placeable</div>'
+            : '<div style="color:#c62828;font-weight:600;">Infeasible — ' + esc(o.deficit) + ' bunk-min cannot be placed (' + esc(o.feasPct) + '%)</div>';
+        return head + (o.why.length ? '<ul style="margin:6px 0 0;padding-left:18px;color:#555;">' + o.why.map(function (w) {
+            return '<li>' + esc(w) + '</li>';
+        }).join('') + '</ul>' : '') + (o.fixes.length ? '<div style="margin-top:6px;color:#555;">Would help: ' + o.fixes.map(function (f) {
+            return esc(f.text) + (f.restores ? ' <span style="color:#15803d;">✓</span>' : '');
+        }).join('; ') + '</div>' : '');
+    }
+
+    function validatorHTML(v) {
+        if (!v) return '<div style="color:#888;">Validator not loaded.</div>';
+        var types = Object.keys(v.byType);
+        return '<div style="font-weight:600;color:' + (v.errors ? '#c62828' : '#15803d') + ';">' + v.errors + ' error(s), ' + v.warnings + ' warning(s)</div>'
+            + (types.length ? '<div style="color:#555;margin-top:4px;">' + types.map(function (t) { return esc(t.replace(/_/g, ' ')) + ' ' + v.byType[t]; }).join(' · ') + '</div>' : '')
+            + (v.lines.length ? '<ul style="margin:6px 0 0;padding-left:18px;color:#555;">' + v.lines.map(function (l) { return '<li>' + esc(l) + '</li>'; }).join('') + '</ul>' : '');
+    }
+
+    function cellsHTML(cells, other) {
+        var seen = {};
+        (other || []).forEach(function (c) { seen[c.s + '|' + norm(c.activity)] = 1; });
+        return (cells || []).map(function (c) {
+            var changed = !seen[c.s + '|' + norm(c.activity)];
+            return '<span style="display:inline-block;margin:1px 3px 1px 0;padding:1px 5px;border-radius:4px;'
+                + (changed ? 'background:#fef3c7;border:1px solid #f59e0b;' : 'background:#f3f4f6;border:1px solid #e5e7eb;') + '">'
+                + (c.s != null ? esc(clock(c.s)) + ' ' : '') + esc(c.activity) + '</span>';
+        }).join('') || '<span style="color:#aaa;">—</span>';
+    }
+
+    function gridHTML(p, allBunks) {
+        var SD = window.ScheduleDiff;
+        if (!SD) return '';
+        var divOf = SD.liveDivisionOf();
+        var a = SD.cellsOf(p.live.data, divOf), b = SD.cellsOf(p.sandbox.data, divOf);
+        var changed = (p.diff && p.diff.bunks) || {};
+        var bunks = Object.keys(Object.assign({}, a, b)).filter(function (bk) { return allBunks || changed[bk]; });
+        if (!bunks.length) return '<p style="color:#888;margin:6px 0;">No bunk’s day changes.</p>';
+        return '<table style="width:100%;border-collapse:collapse;font-size:12px;"><thead><tr style="color:#888;text-align:left;">'
+            + '<th style="padding:4px;">Bunk</th><th style="padding:4px;">Live day</th><th style="padding:4px;">What-if</th></tr></thead><tbody>'
+            + bunks.map(function (bk) {
+                return '<tr style="border-top:1px solid #f0f0f0;vertical-align:top;"><td style="padding:4px;font-weight:600;">' + esc(bk) + '</td>'
+                    + '<td style="padding:4px;">' + cellsHTML(a[bk], b[bk]) + '</td><td style="padding:4px;">' + cellsHTML(b[bk], a[bk]) + '</td></tr>';
+            }).join('') + '</tbody></table>';
+    }
+
+    function resultHTML(p) {
+        var s = p.diff ? p.diff.summary : null;
+        var head = '<div style="margin-bottom:10px;">' + S.describeTweaks(p.tweaks).map(function (t) {
+            return '<span style="display:inline-block;margin:0 6px 6px 0;padding:2px 8px;border-radius:99px;background:#e0f2fe;color:#075985;font-size:12px;">' + esc(t) + '</span>';
+        }).join('') + '</div>';
+        if (!p.ok) {
+            return head + '<p style="color:#c62828;">The auto builder did not complete in the sandbox. ' + esc(p.messages.join(' ')) + '</p>';
+        }
+        function col(title, side) {
+            return '<div style="flex:1;min-width:240px;' + BOX + '"><div style="font-weight:700;margin-bottom:6px;">' + title + '</div>'
+                + '<div style="font-size:12px;color:#888;margin:6px 0 2px;">Feasibility oracle</div>' + oracleHTML(side.oracle)
+                + '<div style="font-size:12px;color:#888;margin:10px 0 2px;">Validator</div>' + validatorHTML(side.validator) + '</div>';
+        }
+        return head + '<div style="display:flex;gap:10px;flex-wrap:wrap;font-size:13px;">' + col('Live day', p.live) + col('What-if', p.sandbox) + '</div>'
+            + '<div style="display:flex;justify-content:space-between;align-items:center;margin:14px 0 6px;">'
+            + '<div style="font-weight:700;font-size:13px;">Grid' + (s ? ' — ' + s.bunksChanged + ' bunk(s) change' : '') + '</div>'
+            + '<label style="font-size:12px;color:#555;"><input type="checkbox" data-allbunks> Show every bunk</label></div>'
+            + '<div data-grid>' + gridHTML(p, false) + '</div>';
+    }
+
+    function formHTML(a1, divisions, tweaks) {
+        var fields = (a1.fields || []).filter(function (f) { return f && f.name && f.available !== false; });
+        var specials = (a1.specialActivities || []).filter(function (s) { return s && s.name && s.available !== false; });
+        var grades = Object.keys(divisions || {}).filter(function (g) { return !(divisions[g] || {}).isParent; });
+        var closed = tweaks.closeFields || [];
+        return '<p style="margin:0 0 12px;color:#555;font-size:13px;">Runs the auto builder on a scratch copy of ' + esc(window.currentScheduleDate)
+            + '. Nothing is saved until you promote the result.</p>'
+            + '<div style="' + BOX + 'margin-bottom:10px;"><div style="font-weight:600;margin-bottom:6px;">Close fields for the day</div>'
+            + '<div style="display:flex;flex-wrap:wrap;gap:6px;">' + fields.map(function (f) {
+                return '<label style="display:flex;align-items:center;gap:4px;padding:3px 8px;border:1px solid #ddd;border-radius:6px;font-size:13px;cursor:pointer;">'
+                    + '<input type="checkbox" data-close-field="' + esc(f.name) + '"' + (closed.indexOf(f.name) > -1 ? ' checked' : '') + '>' + esc(f.name) + '</label>';
+            }).join('') + '</div></div>'
+            + '<div style="' + BOX + 'margin-bottom:10px;"><div style="font-weight:600;margin-bottom:6px;">Add a trip</div>'
+            + '<div style="display:flex;flex-wrap:wrap;gap:6px;align-items:center;font-size:13px;">'
+            + '<input data-trip-name placeholder="Trip name" style="' + INPUT + 'width:130px;">'
+            + '<select data-trip-div style="' + INPUT + '">' + grades.map(function (g) { return '<option>' + esc(g) + '</option>'; }).join('') + '</select>'
+            + '<input data-trip-start type="time" style="' + INPUT + '"> to <input data-trip-end type="time" style="' + INPUT + '">'
+            + '<button data-add-trip style="' + BTN + '">Add</button></div><div data-trip-list style="margin-top:6px;"></div></div>'
+            + '<div style="' + BOX + '"><div style="font-weight:600;margin-bottom:6px;">Change a special’s capacity</div>'
+            + '<div style="display:flex;flex-wrap:wrap;gap:6px;align-items:center;font-size:13px;">'
+            + '<select data-cap-special style="' + INPUT + '">' + specials.map(function (s) {
+                var sw = s.sharableWith || {};
+                var cur = sw.type === 'not_sharable' ? 1 : (parseInt(sw.capacity, 10) || 2);
+                return '<option value="' + esc(s.name) + '" data-cur="' + cur + '">' + esc(s.name) + ' (now ' + cur + ')</option>';
+            }).join('') + '</select>'
+            + '<input data-cap-n type="number" min="1" max="20" value="2" style="' + INPUT + 'width:64px;"> bunks at once'
+            + '<button data-add-cap style="' + BTN + '">Set</button></div><div data-cap-list style="margin-top:6px;"></div></div>';
+    }
+
+    /** Opens the what-if dialog for the current date. */
+    S.openDialog = function () {
+        if (typeof document === 'undefined') return;
+        if (window.AccessControl && window.AccessControl.checkEditAccess && !window.AccessControl.checkEditAccess('run a what-if')) return;
+        var a1 = ((window.loadGlobalSettings && window.loadGlobalSettings()) || {}).app1 || {};
+        var tweaks = { closeFields: [], addTrips: [], specialCapacity: {} };
+        var ov = overlay('whatIfSandboxOverlay');
+        var box = document.createElement('div');
+        box.style.cssText = 'background:#fff;border-radius:10px;max-width:920px;width:100%;max-height:88vh;display:flex;flex-direction:column;box-shadow:0 10px 40px rgba(0,0,0,.3);overflow:hidden;';
+        box.innerHTML =
+            '<div style="display:flex;justify-content:space-between;align-items:center;padding:16px 20px;border-bottom:1px solid #e0e0e0;">'
+            + '<h3 style="margin:0;font-size:18px;">What-if sandbox</h3>'
+            + '<button data-close style="background:none;border:none;font-size:22px;cursor:pointer;color:#666;line-height:1;">&times;</button></div>'
+            + '<div data-body style="padding:16px 20px;overflow:auto;flex:1;font-size:14px;color:#333;"></div>'
+            + '<div data-foot style="display:flex;justify-content:flex-end;gap:10px;padding:14px 20px;border-top:1px solid #e0e0e0;"></div>';
+        ov.appendChild(box);
+        var body = box.querySelector('[data-body]'), foot = box.querySelector('[data-foot]');
+        var busy = false;
+        function close() { if (busy) return; S.discard(); ov.remove(); }
+        box.querySelector('[data-close]').onclick = close;
+
+        function chips(list, onRemove) {
+            return list.map(function (t, i) {
+                return '<span style="display:inline-block;margin:0 6px 4px 0;padding:2px 8px;border-radius:99px;background:#f3f4f6;font-size:12px;">'
+                    + esc(t) + ' <a href="#" data-rm="' + i + '" style="color:#c62828;text-decoration:none;">×</a></span>';
+            }).join('');
+        }
+        function renderLists() {
+            var tl = body.querySelector('[data-trip-list]'), cl = body.querySelector('[data-cap-list]');
+            tl.innerHTML = chips(S.describeTweaks({ addTrips: tweaks.addTrips }));
+            tl.querySelectorAll('[data-rm]').forEach(function (x) {
+                x.onclick = function (e) { e.preventDefault(); tweaks.addTrips.splice(+x.getAttribute('data-rm'), 1); renderLists(); };
+            });
+            var capNames = Object.keys(tweaks.specialCapacity);
+            cl.innerHTML = chips(S.describeTweaks({ specialCapacity: tweaks.specialCapacity }));
+            cl.querySelectorAll('[data-rm]').forEach(function (x) {
+                x.onclick = function (e) { e.preventDefault(); delete tweaks.specialCapacity[capNames[+x.getAttribute('data-rm')]]; renderLists(); };
+            });
+        }
+
+        function showForm() {
+            body.innerHTML = formHTML(a1, window.divisions || {}, tweaks);
+            body.querySelector('[data-add-trip]').onclick = function () {
+                var s = toMin(body.querySelector('[data-trip-start]').value), e = toMin(body.querySelector('[data-trip-end]').value);
+                var div = body.querySelector('[data-trip-div]').value;
+                if (s == null || e == null || e <= s || !div) return;
+                tweaks.addTrips.push({ event: body.querySelector('[data-trip-name]').value.trim() || 'Trip', divisions: [div], startMin: s, endMin: e });
+                renderLists();
+            };
+            body.querySelector('[data-add-cap]').onclick = function () {
+                var name = body.querySelector('[data-cap-special]').value, n = parseInt(body.querySelector('[data-cap-n]').value, 10);
+                if (!name || !(n >= 1)) return;
+                tweaks.specialCapacity[name] = n;
+                renderLists();
+            };
+            renderLists();
+            foot.innerHTML = '<button data-run style="background:#147D91;color:#fff;border:none;padding:9px 18px;border-radius:5px;font-weight:600;cursor:pointer;">Run what-if</button>';
+            foot.querySelector('[data-run]').onclick = run;
+        }
+
+        async function run() {
+            tweaks.closeFields = Array.prototype.filter.call(body.querySelectorAll('input[data-close-field]'), function (c) { return c.checked; })
+                .map(function (c) { return c.getAttribute('data-close-field'); });
+            if (S.isEmpty(tweaks)) return;
+            busy = true;
+            foot.innerHTML = '';
+            body.innerHTML = '<p style="margin:0;">Generating ' + esc(window.currentScheduleDate) + ' in the sandbox…</p>';
+            try {
+                showResult(await S.run(tweaks));
+            } catch (e) {
+                body.innerHTML = '<p style="color:#c62828;margin:0;">' + esc(e.message || e) + '</p>';
+                foot.innerHTML = '<button data-back style="' + BTN + '">Back</button>';
+                foot.querySelector('[data-back]').onclick = showForm;
+            } finally {
+                busy = false;
+            }
+        }
+
+        function showResult(p) {
+            body.innerHTML = resultHTML(p);
+            var all = body.querySelector('[data-allbunks]');
+            if (all) all.onchange = function () { body.querySelector('[data-grid]').innerHTML = gridHTML(p, all.checked); };
+            foot.innerHTML = '<button data-back style="' + BTN + '">Change tweaks</button>'
+                + '<button data-discard style="' + BTN + '">Discard</button>'
+                + (p.ok ? '<button data-promote style="background:#147D91;color:#fff;border:none;padding:9px 18px;border-radius:5px;font-weight:600;cursor:pointer;">Promote to live day</button>' : '');
+            foot.querySelector('[data-back]').onclick = function () { S.discard(); showForm(); };
+            foot.querySelector('[data-discard]').onclick = close;
+            var pr = foot.querySelector('[data-promote]');
+            if (pr) pr.onclick = async function () {
+                if (!window.confirm('Replace ' + p.dateKey + '’s schedule with the what-if, and apply its tweaks for real?')) return;
+                busy = true;
+                pr.disabled = true;
+                try {
+                    await S.promote();
+                    busy = false;
+                    ov.remove();
+                } catch (e) {
+                    busy = false;
+                    pr.disabled = false;
+                    body.insertAdjacentHTML('afterbegin', '<p style="color:#c62828;margin:0 0 10px;">' + esc(e.message || e) + '</p>');
+                }
+            };
+        }
+
+        showForm();
+    };
+
+    if (typeof window !== 'undefined') window.WhatIfSandbox = S;
+    if (typeof module !== 'undefined' && module.exports) module.exports = S;
+})();